@@ -7,8 +7,23 @@
  * - Attaches user info to request object
  */
 
+/**
+ * Collect the user ids a client claims in the request (route param, query,
+ * body or x-user-id header). The session decides who the user is; these are
+ * only accepted when they match it.
+ */
+function getClaimedUserIds(req) {
+    return [
+        req.params?.userId,
+        req.query?.userId,
+        req.body?.userId,
+        req.headers?.['x-user-id']
+    ].filter(userId => userId !== undefined && userId !== null && userId !== '');
+}
+
 /**
  * Create auth middleware with service factory
+ * Rejects requests whose client-supplied userId differs from the session user (403)
  */
 function createAuthMiddleware(serviceFactory) {
     const authService = serviceFactory.get('auth');
@@ -41,6 +56,19 @@ function createAuthMiddleware(serviceFactory) {
                 });
             }
 
+            const mismatchedUserId = getClaimedUserIds(req).find(userId => String(userId) !== String(validation.user.id));
+            if (mismatchedUserId !== undefined) {
+                logger.warn('Rejected request for another user', 'AuthMiddleware', {
+                    userId: validation.user.id,
+                    claimedUserId: mismatchedUserId,
+                    path: req.originalUrl || req.url
+                });
+                return res.status(403).json({
+                    success: false,
+                    error: 'Access denied: userId does not match the authenticated user'
+                });
+            }
+
             // Attach user info to request
             req.user = validation.user;
             req.chatId = validation.chatId;
@@ -88,6 +116,7 @@ function createOptionalAuthMiddleware(serviceFactory) {
 }
 
 module.exports = {
+    getClaimedUserIds,
     createAuthMiddleware,
     createOptionalAuthMiddleware
 };
@@ -1,35 +1,60 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
+const { createAuthMiddleware } = require('./authMiddleware');
+const PersonalityRepository = require('../dal/repositories/CORE_PersonalityRepository');
+const ToolService = require('../services/domain/ToolService');
 
 class CharactersRoutes {
     constructor(serviceFactory) {
         this.router = express.Router();
         this.serviceFactory = serviceFactory;
+        this.authMiddleware = createAuthMiddleware(serviceFactory);
         this.setupRoutes();
     }
 
     /**
-     * Extract userId from request (query parameter or header)
-     * @param {object} req - Express request object
-     * @returns {string|null} userId or null if not found
+     * Check a memory scope value from a request body
+     * @param {*} memoryScope - Value to check
+     * @returns {boolean} true when the value is a known scope
      */
-    extractUserId(req) {
-        return req.query.userId || req.headers['x-user-id'] || null;
+    isValidMemoryScope(memoryScope) {
+        return PersonalityRepository.MEMORY_SCOPES.includes(memoryScope);
+    }
+
+    /**
+     * Check a tool allowlist from a request body
+     * @param {*} toolAllowlist - Value to check (null = all tools)
+     * @returns {boolean} true when null or an array of known tool names
+     */
+    isValidToolAllowlist(toolAllowlist) {
+        return toolAllowlist === null || (
+            Array.isArray(toolAllowlist) &&
+            toolAllowlist.every(name => ToolService.TOOL_NAMES.includes(name))
+        );
+    }
+
+    /**
+     * Revision service, when registered (older setups record no history)
+     * @returns {object|null} CharacterRevisionService or null
+     */
+    getRevisionService() {
+        try {
+            return this.serviceFactory.get('characterRevisions') || null;
+        } catch (error) {
+            return null;
+        }
     }
 
     setupRoutes() {
         // CORS is handled by main server middleware - no need for duplicate headers
 
+        // Every character route acts as the session user (req.user)
+        this.router.use(this.authMiddleware);
+
         // Get user's characters
         this.router.get('/', async (req, res) => {
             try {
-                const userId = this.extractUserId(req);
-                if (!userId) {
-                    return res.status(400).json({ 
-                        error: 'userId required',
-                        details: 'Provide userId as query parameter or x-user-id header'
-                    });
-                }
+                const userId = req.user.id;
 
                 const databaseService = this.serviceFactory.get('database');
                 
@@ -52,13 +77,7 @@ class CharactersRoutes {
         // Get a specific character
         this.router.get('/:characterId', async (req, res) => {
             try {
-                const userId = this.extractUserId(req);
-                if (!userId) {
-                    return res.status(400).json({ 
-                        error: 'userId required',
-                        details: 'Provide userId as query parameter or x-user-id header'
-                    });
-                }
+                const userId = req.user.id;
 
                 const { characterId } = req.params;
                 const databaseService = this.serviceFactory.get('database');
@@ -95,21 +114,36 @@ class CharactersRoutes {
         // Create a new character
         this.router.post('/', async (req, res) => {
             try {
-                const userId = this.extractUserId(req);
-                if (!userId) {
-                    return res.status(400).json({ 
-                        error: 'userId required',
-                        details: 'Provide userId as query parameter or x-user-id header'
-                    });
-                }
+                const userId = req.user.id;
 
-                const { name, description, background, avatar, imageData, imageFilename, imageMimetype, imageSize } = req.body;
+                const { name, description, background, avatar, memory_scope, tool_allowlist, stop_sequences, merge_consecutive_turns, imageData, imageFilename, imageMimetype, imageSize } = req.body;
                 
                 if (!name || !name.trim()) {
                     return res.status(400).json({ 
                         error: 'Character name is required' 
                     });
                 }
+
+                if (memory_scope !== undefined && !this.isValidMemoryScope(memory_scope)) {
+                    return res.status(400).json({
+                        error: 'Invalid memory_scope',
+                        details: `memory_scope must be one of: ${PersonalityRepository.MEMORY_SCOPES.join(', ')}`
+                    });
+                }
+
+                if (tool_allowlist !== undefined && !this.isValidToolAllowlist(tool_allowlist)) {
+                    return res.status(400).json({
+                        error: 'Invalid tool_allowlist',
+                        details: `tool_allowlist must be null or an array of: ${ToolService.TOOL_NAMES.join(', ')}`
+                    });
+                }
+
+                if (stop_sequences !== undefined && !PersonalityRepository.isValidStopSequences(stop_sequences)) {
+                    return res.status(400).json({
+                        error: 'Invalid stop_sequences',
+                        details: `stop_sequences must be null or an array of up to ${PersonalityRepository.MAX_STOP_SEQUENCES} non-empty strings`
+                    });
+                }
                 
                 const databaseService = this.serviceFactory.get('database');
                 const characterId = uuidv4();
@@ -120,7 +154,11 @@ class CharactersRoutes {
                     name: name.trim(),
                     description: description?.trim() || '',
                     background: background?.trim() || '',
-                    avatar: avatar || null
+                    avatar: avatar || null,
+                    memory_scope: memory_scope || 'chat',
+                    tool_allowlist: tool_allowlist === undefined ? null : tool_allowlist,
+                    stop_sequences: stop_sequences === undefined ? null : stop_sequences,
+                    merge_consecutive_turns: merge_consecutive_turns === true
                 };
                 
                 // Handle image upload data
@@ -132,10 +170,13 @@ class CharactersRoutes {
                 }
                 
                 const result = await databaseService.getDAL().personalities.createCharacter(characterData);
+                const revisions = this.getRevisionService();
+                const revision = revisions ? (await revisions.recordRevision(characterId, userId, 'create')).revision : null;
                 
                 res.json({
                     success: true,
                     data: { ...characterData, ...result },
+                    revision,
                     message: 'Character created successfully'
                 });
 
@@ -151,16 +192,10 @@ class CharactersRoutes {
         // Update a character
         this.router.put('/:characterId', async (req, res) => {
             try {
-                const userId = this.extractUserId(req);
-                if (!userId) {
-                    return res.status(400).json({ 
-                        error: 'userId required',
-                        details: 'Provide userId as query parameter or x-user-id header'
-                    });
-                }
+                const userId = req.user.id;
 
                 const { characterId } = req.params;
-                const { name, description, background, avatar, llm_preferences, imageData, imageFilename, imageMimetype, imageSize } = req.body;
+                const { name, description, background, avatar, llm_preferences, memory_scope, tool_allowlist, stop_sequences, merge_consecutive_turns, imageData, imageFilename, imageMimetype, imageSize } = req.body;
                 const databaseService = this.serviceFactory.get('database');
                 
                 // Check if character exists
@@ -200,6 +235,27 @@ class CharactersRoutes {
                     }
                 }
                 
+                if (memory_scope !== undefined && !this.isValidMemoryScope(memory_scope)) {
+                    return res.status(400).json({
+                        error: 'Invalid memory_scope',
+                        details: `memory_scope must be one of: ${PersonalityRepository.MEMORY_SCOPES.join(', ')}`
+                    });
+                }
+
+                if (tool_allowlist !== undefined && !this.isValidToolAllowlist(tool_allowlist)) {
+                    return res.status(400).json({
+                        error: 'Invalid tool_allowlist',
+                        details: `tool_allowlist must be null or an array of: ${ToolService.TOOL_NAMES.join(', ')}`
+                    });
+                }
+
+                if (stop_sequences !== undefined && !PersonalityRepository.isValidStopSequences(stop_sequences)) {
+                    return res.status(400).json({
+                        error: 'Invalid stop_sequences',
+                        details: `stop_sequences must be null or an array of up to ${PersonalityRepository.MAX_STOP_SEQUENCES} non-empty strings`
+                    });
+                }
+                
                 const updateData = {};
                 
                 if (name !== undefined) updateData.name = name.trim();
@@ -207,6 +263,10 @@ class CharactersRoutes {
                 if (background !== undefined) updateData.background = background.trim();
                 if (avatar !== undefined) updateData.avatar = avatar;
                 if (llm_preferences !== undefined) updateData.llm_preferences = llm_preferences;
+                if (memory_scope !== undefined) updateData.memory_scope = memory_scope;
+                if (tool_allowlist !== undefined) updateData.tool_allowlist = tool_allowlist;
+                if (stop_sequences !== undefined) updateData.stop_sequences = stop_sequences;
+                if (merge_consecutive_turns !== undefined) updateData.merge_consecutive_turns = merge_consecutive_turns === true;
                 
                 // Handle image upload data
                 if (imageData) {
@@ -216,11 +276,22 @@ class CharactersRoutes {
                     updateData.imageSize = imageSize;
                 }
                 
+                // Keep the pre-edit state as revision 1 for characters without history
+                const revisions = this.getRevisionService();
+                if (revisions) {
+                    await revisions.ensureBaseline(characterId, userId);
+                }
+
                 const result = await databaseService.getDAL().personalities.updateCharacter(characterId, updateData);
+
+                // A changed definition is re-analysed in the background; the revision's framework fills in afterwards
+                const recorded = revisions ? await revisions.recordRevision(characterId, userId, 'edit') : null;
                 
                 res.json({
                     success: true,
                     data: { ...existingCharacter, ...updateData, ...result },
+                    revision: recorded?.revision || null,
+                    frameworkReanalysis: !!recorded?.analysis,
                     message: 'Character updated successfully'
                 });
 
@@ -236,13 +307,7 @@ class CharactersRoutes {
         // Delete a character (soft delete - sets is_active to 0)
         this.router.delete('/:characterId', async (req, res) => {
             try {
-                const userId = this.extractUserId(req);
-                if (!userId) {
-                    return res.status(400).json({ 
-                        error: 'userId required',
-                        details: 'Provide userId as query parameter or x-user-id header'
-                    });
-                }
+                const userId = req.user.id;
 
                 const { characterId } = req.params;
                 console.log(`🗑️  Delete request for character: ${characterId}`);
@@ -289,18 +354,21 @@ class CharactersRoutes {
             }
         });
 
-        // Export a character as JSON file
+        // Export a character as JSON file (?format=aria, default) or character card (?format=v2|v3|png)
         this.router.get('/:characterId/export', async (req, res) => {
             try {
-                const userId = this.extractUserId(req);
-                if (!userId) {
-                    return res.status(400).json({ 
-                        error: 'userId required',
-                        details: 'Provide userId as query parameter or x-user-id header'
-                    });
-                }
+                const userId = req.user.id;
 
                 const { characterId } = req.params;
+                const format = req.query.format || 'aria';
+
+                if (format !== 'aria') {
+                    const exported = await this.serviceFactory.get('characterCard').exportCard(characterId, userId, format);
+                    res.setHeader('Content-Type', exported.contentType);
+                    res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+                    return res.send(exported.body);
+                }
+
                 const databaseService = this.serviceFactory.get('database');
                 
                 // Fetch character from database
@@ -328,7 +396,11 @@ class CharactersRoutes {
                         background: character.background || '',
                         traits: character.traits || '',
                         avatar: character.avatar || null,
-                        llm_preferences: character.llm_preferences || null
+                        llm_preferences: character.llm_preferences || null,
+                        memory_scope: character.memory_scope || 'chat',
+                        tool_allowlist: character.tool_allowlist ?? null,
+                        stop_sequences: character.stop_sequences ?? null,
+                        merge_consecutive_turns: !!character.merge_consecutive_turns
                     },
                     exported_by: userId,
                     exported_at: new Date().toISOString()
@@ -355,6 +427,9 @@ class CharactersRoutes {
                 res.json(exportData);
 
             } catch (error) {
+                if (error.statusCode) {
+                    return res.status(error.statusCode).json({ error: error.message });
+                }
                 console.error('Character Export API Error:', error);
                 res.status(500).json({ 
                     error: 'Failed to export character', 
@@ -363,16 +438,106 @@ class CharactersRoutes {
             }
         });
 
+        // List a character's revisions (newest first)
+        this.router.get('/:characterId/revisions', async (req, res) => {
+            try {
+                const userId = req.user.id;
+
+                const revisions = await this.serviceFactory.get('characterRevisions')
+                    .getRevisions(req.params.characterId, userId);
+
+                res.json({ success: true, data: revisions });
+
+            } catch (error) {
+                if (error.statusCode) {
+                    return res.status(error.statusCode).json({ error: error.message });
+                }
+                console.error('Character Revisions API Error:', error);
+                res.status(500).json({ 
+                    error: 'Failed to get character revisions', 
+                    details: error.message 
+                });
+            }
+        });
+
+        // Get one revision with its snapshot and framework
+        this.router.get('/:characterId/revisions/:revisionId', async (req, res) => {
+            try {
+                const userId = req.user.id;
+
+                const { characterId, revisionId } = req.params;
+                const revision = await this.serviceFactory.get('characterRevisions')
+                    .getRevision(characterId, userId, revisionId);
+
+                res.json({ success: true, data: revision });
+
+            } catch (error) {
+                if (error.statusCode) {
+                    return res.status(error.statusCode).json({ error: error.message });
+                }
+                console.error('Character Revision API Error:', error);
+                res.status(500).json({ 
+                    error: 'Failed to get character revision', 
+                    details: error.message 
+                });
+            }
+        });
+
+        // Diff a revision against the previous one (or ?against=<revisionId>)
+        this.router.get('/:characterId/revisions/:revisionId/diff', async (req, res) => {
+            try {
+                const userId = req.user.id;
+
+                const { characterId, revisionId } = req.params;
+                const diff = await this.serviceFactory.get('characterRevisions')
+                    .diffRevisions(characterId, userId, revisionId, req.query.against || null);
+
+                res.json({ success: true, data: diff });
+
+            } catch (error) {
+                if (error.statusCode) {
+                    return res.status(error.statusCode).json({ error: error.message });
+                }
+                console.error('Character Revision Diff API Error:', error);
+                res.status(500).json({ 
+                    error: 'Failed to diff character revisions', 
+                    details: error.message 
+                });
+            }
+        });
+
+        // Roll a character back to a revision (recorded as a new revision)
+        this.router.post('/:characterId/revisions/:revisionId/rollback', async (req, res) => {
+            try {
+                const userId = req.user.id;
+
+                const { characterId, revisionId } = req.params;
+                const { revision, analysis } = await this.serviceFactory.get('characterRevisions')
+                    .rollback(characterId, userId, revisionId);
+
+                res.json({
+                    success: true,
+                    data: revision,
+                    frameworkReanalysis: !!analysis,
+                    message: `Character rolled back to revision ${revision.rolled_back_to}`
+                });
+
+            } catch (error) {
+                if (error.statusCode) {
+                    return res.status(error.statusCode).json({ error: error.message });
+                }
+                console.error('Character Rollback API Error:', error);
+                res.status(500).json({ 
+                    error: 'Failed to roll back character', 
+                    details: error.message 
+                });
+            }
+        });
+
         // Get character image
         this.router.get('/:characterId/image', async (req, res) => {
             try {
-                const userId = this.extractUserId(req);
-                if (!userId) {
-                    return res.status(400).json({ 
-                        error: 'userId required',
-                        details: 'Provide userId as query parameter or x-user-id header'
-                    });
-                }
+                const userId = req.user.id;
 
                 const { characterId } = req.params;
                 const databaseService = this.serviceFactory.get('database');
@@ -410,51 +575,45 @@ class CharactersRoutes {
             }
         });
 
-        // Import a character from JSON file
-        this.router.post('/import', async (req, res) => {
+        // Preview how an import maps onto character fields without saving it
+        this.router.post('/import/preview', async (req, res) => {
             try {
-                const userId = this.extractUserId(req);
-                if (!userId) {
-                    return res.status(400).json({ 
-                        error: 'userId required',
-                        details: 'Provide userId as query parameter or x-user-id header'
-                    });
+                const parsed = this.serviceFactory.get('characterCard').parseImport(req.body);
+                const { imageData, ...character } = parsed.character;
+
+                res.json({
+                    success: true,
+                    data: {
+                        format: parsed.format,
+                        character,
+                        imageUrl: imageData ? `data:${character.imageMimetype || 'image/png'};base64,${imageData}` : null,
+                        mapping: parsed.mapping,
+                        unmapped: parsed.unmapped,
+                        warnings: parsed.warnings
+                    }
+                });
+
+            } catch (error) {
+                if (error.statusCode === 400) {
+                    return res.status(400).json({ error: error.message, details: error.details });
                 }
+                console.error('Character Import Preview API Error:', error);
+                res.status(500).json({ 
+                    success: false,
+                    error: 'Failed to preview character import', 
+                    details: error.message 
+                });
+            }
+        });
+
+        // Import a character from the project's JSON export, a character card JSON or a card PNG
+        this.router.post('/import', async (req, res) => {
+            try {
+                const userId = req.user.id;
 
-                const importData = req.body;
                 const databaseService = this.serviceFactory.get('database');
-                
-                // Validate JSON structure
-                if (!importData || typeof importData !== 'object') {
-                    return res.status(400).json({
-                        error: 'Invalid import data',
-                        details: 'Import data must be a valid JSON object'
-                    });
-                }
-                
-                if (!importData.version) {
-                    return res.status(400).json({
-                        error: 'Invalid import format',
-                        details: 'Missing version field'
-                    });
-                }
-                
-                if (!importData.character || typeof importData.character !== 'object') {
-                    return res.status(400).json({
-                        error: 'Invalid import format',
-                        details: 'Missing or invalid character field'
-                    });
-                }
-                
-                const characterData = importData.character;
-                
-                // Validate required fields
-                if (!characterData.name || !characterData.name.trim()) {
-                    return res.status(400).json({
-                        error: 'Invalid character data',
-                        details: 'Character name is required'
-                    });
-                }
+                const parsed = this.serviceFactory.get('characterCard').parseImport(req.body);
+                const characterData = parsed.character;
                 
                 // Check and validate LLM preferences if present
                 let validatedLLMPreferences = characterData.llm_preferences;
@@ -483,12 +642,18 @@ class CharactersRoutes {
                                 // Fall back to user default by getting user preferences
                                 const userPrefs = await llmConfigService.getUserLLMPreferences(userId);
                                 if (userPrefs?.conversational?.model) {
-                                    validatedLLMPreferences.conversational.model = userPrefs.conversational.model;
+                                    validatedLLMPreferences = {
+                                        ...validatedLLMPreferences,
+                                        conversational: { ...validatedLLMPreferences.conversational, model: userPrefs.conversational.model }
+                                    };
                                 } else {
                                     // If no user default, fall back to global default
                                     const globalConfig = await llmConfigService.getGlobalLLMConfig('conversational');
                                     if (globalConfig?.model) {
-                                        validatedLLMPreferences.conversational.model = globalConfig.model;
+                                        validatedLLMPreferences = {
+                                            ...validatedLLMPreferences,
+                                            conversational: { ...validatedLLMPreferences.conversational, model: globalConfig.model }
+                                        };
                                     } else {
                                         // Remove LLM preferences if no fallback is available
                                         validatedLLMPreferences = null;
@@ -505,36 +670,34 @@ class CharactersRoutes {
                 // Create character with new ID
                 const characterId = uuidv4();
                 const newCharacterData = {
+                    ...characterData,
                     id: characterId,
                     user_id: userId,
-                    name: characterData.name.trim(),
-                    description: characterData.description?.trim() || '',
-                    background: characterData.background?.trim() || '',
-                    traits: characterData.traits?.trim() || '',
-                    avatar: characterData.avatar || null,
                     llm_preferences: validatedLLMPreferences
                 };
                 
-                // Handle image data from import
-                if (characterData.imageData) {
-                    newCharacterData.imageData = characterData.imageData;
-                    newCharacterData.imageFilename = characterData.imageFilename;
-                    newCharacterData.imageMimetype = characterData.imageMimetype;
-                    newCharacterData.imageSize = characterData.imageSize;
-                }
-                
                 const result = await databaseService.getDAL().personalities.createCharacter(newCharacterData);
+                const revisions = this.getRevisionService();
+                if (revisions) {
+                    await revisions.recordRevision(characterId, userId, 'import');
+                }
+                const warnings = [...parsed.warnings];
+                if (validatedLLMPreferences !== characterData.llm_preferences) {
+                    warnings.push('LLM model preferences were adjusted due to unavailable model');
+                }
                 
                 res.json({
                     success: true,
                     data: { ...newCharacterData, ...result },
+                    format: parsed.format,
                     message: 'Character imported successfully',
-                    warnings: validatedLLMPreferences !== characterData.llm_preferences 
-                        ? ['LLM model preferences were adjusted due to unavailable model']
-                        : []
+                    warnings
                 });
 
             } catch (error) {
+                if (error.statusCode === 400) {
+                    return res.status(400).json({ error: error.message, details: error.details });
+                }
                 console.error('❌ Character Import API Error:', error);
                 console.error('Error stack:', error.stack);
                 res.status(500).json({ 
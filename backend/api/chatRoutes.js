@@ -1,7 +1,10 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const DateTimeUtils = require('../utils/datetime_utils');
+const PromptAssembler = require('../utils/prompt_assembler');
+const PromptTemplates = require('../utils/prompt_templates');
 const { createAuthMiddleware } = require('./authMiddleware');
+const ConversationRepository = require('../dal/repositories/CORE_ConversationRepository');
 
 class ChatRoutes {
     constructor(serviceFactory) {
@@ -23,10 +26,53 @@ class ChatRoutes {
         return `${days} day${days > 1 ? 's' : ''} ago`;
     }
 
-    // Helper function to format messages for prompt
-    formatMessages(messages) {
-        if (!messages || messages.length === 0) return '(No recent messages)';
-        return messages.map(m => `[${m.sender || m.role}]: ${m.message || m.content}`).join('\n');
+    // Helper function to turn the chat history into user/assistant turns for the model
+    // Group chats send the other characters' lines as user turns labelled with their name;
+    // the user message being answered (already saved as the last message) is left out
+    buildHistoryTurns(character, messages, group = null, message = null) {
+        const speakerNames = group ? Object.fromEntries(group.participants.map(p => [p.id, p.name])) : {};
+        const history = [...(messages || [])];
+        const last = history[history.length - 1];
+        if (last && (last.sender || last.role) === 'user' && (last.message || last.content) === message) {
+            history.pop();
+        }
+
+        return history
+            .filter(m => m.message || m.content)
+            .map(m => {
+                const content = String(m.message || m.content).trim();
+                if ((m.sender || m.role) === 'user') {
+                    return { role: 'user', content };
+                }
+                if (m.personality_id && m.personality_id !== character.id && speakerNames[m.personality_id]) {
+                    return { role: 'user', content: `${speakerNames[m.personality_id]}: ${content}` };
+                }
+                return { role: 'assistant', content };
+            });
+    }
+
+    // Helper function to fill {{char}} and {{user}} into a character's stop sequences
+    buildStopSequences(character, names) {
+        return Array.isArray(character.stop_sequences)
+            ? character.stop_sequences.map(sequence => PromptTemplates.render(sequence, names)).filter(Boolean)
+            : [];
+    }
+
+    // Helper function to describe the other characters of a group chat for prompt
+    formatGroupChat(character, group) {
+        if (!group || group.participants.length < 2) return '';
+        const names = group.participants.map(p => (p.id === character.id ? `${p.name} (you)` : p.name));
+        return `GROUP CONVERSATION:
+You are one of several characters talking with the user: ${names.join(', ')}.
+- Speak only as ${character.name}; never write lines or actions for the other characters
+- Messages from the other characters are labelled with their names
+- React to what the others said when it is relevant, but answer the user's latest message`;
+    }
+
+    // Helper function to format triggered lorebook entries for prompt
+    formatLore(entries) {
+        if (!entries || entries.length === 0) return '';
+        return `WORLD INFO:\n${entries.map(e => e.content).join('\n\n')}`;
     }
 
     // Helper function to format memories for prompt
@@ -35,6 +81,64 @@ class ChatRoutes {
         return memories.map(m => `- ${m.content || m.message} (significance: ${m.total_significance || 'N/A'})`).join('\n');
     }
 
+    // Helper function to format the rolling conversation summary for prompt
+    formatConversationSummary(summary) {
+        if (!summary || (!summary.long_gist && !summary.mid_summary)) return '';
+        return [
+            'EARLIER IN THIS CONVERSATION:',
+            summary.long_gist ? `Long ago: ${summary.long_gist}` : null,
+            summary.mid_summary ? `More recently: ${summary.mid_summary}` : null
+        ].filter(Boolean).join('\n');
+    }
+
+    // Helper function to describe which LLM backend served a reply (stored in message metadata)
+    describeServingBackend(llmResult) {
+        if (!llmResult || typeof llmResult !== 'object' || !llmResult.provider) return null;
+        return {
+            provider: llmResult.provider,
+            model: llmResult.model || null,
+            attempts: llmResult.attempts || 1,
+            failover: !!llmResult.failover
+        };
+    }
+
+    // Helper function to set up tool calling for a character (empty when it has no tools)
+    // timeContext = the user's { timeZone, locale } for date tools
+    buildToolOptions(character, { userId, chatId, characterId, timeContext = null }) {
+        let toolService = null;
+        try {
+            toolService = this.serviceFactory.get('tools');
+        } catch (error) {
+            // Tool service not registered - chat without tools
+        }
+        if (!toolService) return {};
+
+        const allowedTools = toolService.getAllowedTools(character);
+        if (allowedTools.length === 0) return {};
+
+        return {
+            tools: toolService.getToolDefinitions(allowedTools),
+            executeTool: toolService.createExecutor({
+                userId,
+                chatId,
+                characterId,
+                memoryScope: character.memory_scope,
+                allowedTools,
+                timeContext
+            })
+        };
+    }
+
+    // Helper function to summarize executed tool calls for message metadata
+    summarizeToolCalls(llmResult) {
+        if (!llmResult?.toolCalls || llmResult.toolCalls.length === 0) return null;
+        return llmResult.toolCalls.map(call => ({
+            name: call.name,
+            arguments: call.arguments,
+            success: !call.result?.error
+        }));
+    }
+
     // Helper function to format commitments for prompt
     formatCommitments(commitments) {
         if (!commitments || commitments.length === 0) return '(No active commitments)';
@@ -53,21 +157,71 @@ class ChatRoutes {
         return completions.map(c => `- ${c.title} (${c.type}, completed: ${c.completed_at || c.updated_at})`).join('\n');
     }
 
-    // Shared method to build system prompt - used by both streaming and non-streaming routes
-    buildSystemPrompt(character, characterBackground, dateTimeContext, userProfile, conversationState, recentMessages, context, deepMemories) {
-        return `You are ${character.name}, ${character.description}
-${characterBackground ? `\nBackground: ${characterBackground}` : ''}
+    // Helper to load a chat and verify it belongs to the user (sends 404/403 and returns null otherwise)
+    async getOwnedChat(chatId, userId, res) {
+        const dal = this.serviceFactory.get('database').getDAL();
+        const chat = await dal.conversations.getChatById(chatId);
+
+        if (!chat) {
+            res.status(404).json({
+                success: false,
+                error: 'Chat not found'
+            });
+            return null;
+        }
+
+        if (chat.user_id !== userId) {
+            res.status(403).json({
+                success: false,
+                error: 'Access denied: This chat does not belong to you'
+            });
+            return null;
+        }
+
+        return chat;
+    }
 
-${dateTimeContext}
+    // Helper for routes that create chats on first use: an unknown chatId is
+    // fine, another user's chat is not. Sends 403 and returns true when rejected.
+    async rejectForeignChat(chatId, userId, res) {
+        const dal = this.serviceFactory.get('database').getDAL();
+        const chat = await dal.conversations.getChatById(chatId);
+
+        if (chat && chat.user_id !== userId) {
+            res.status(403).json({
+                success: false,
+                error: 'Access denied: This chat does not belong to you'
+            });
+            return true;
+        }
+
+        return false;
+    }
 
-${userProfile ? `USER PROFILE:
+    // Split the system prompt into named sections so PromptAssembler can trim them to the token budget
+    // The chat history is not a section here: it is sent as separate turns (see assemblePrompt)
+    buildPromptSections(character, characterBackground, dateTimeContext, userProfile, conversationState, context, deepMemories) {
+        // Lorebook entries arrive highest priority first, so trimming drops the least important
+        const lore = position => ({
+            name: `lore_${position}`,
+            items: (context.lore || []).filter(entry => entry.position === position),
+            render: entries => this.formatLore(entries)
+        });
+
+        return [
+            lore('before_character'),
+            { name: 'identity', required: true, content: `You are ${character.name}, ${character.description}` },
+            { name: 'group_chat', required: true, content: this.formatGroupChat(character, context.group) },
+            { name: 'background', truncatable: true, content: characterBackground ? `Background: ${characterBackground}` : '' },
+            lore('after_character'),
+            { name: 'datetime', content: dateTimeContext },
+            { name: 'user_profile', content: userProfile ? `USER PROFILE:
 Name: ${userProfile.name || 'Unknown'}
 ${userProfile.birthdate ? `Birthdate: ${userProfile.birthdate}` : ''}
 ${userProfile.bio ? `About them: ${userProfile.bio}` : ''}
 
-This is baseline information about the user. Reference it naturally without asking for details already provided.
-
-` : ''}CONVERSATION CONTEXT:
+This is baseline information about the user. Reference it naturally without asking for details already provided.` : '' },
+            { name: 'conversation_context', content: `CONVERSATION CONTEXT:
 - This conversation started ${this.formatDuration(conversationState.conversation_started_at)}
 - Messages exchanged: ${conversationState.messages_exchanged}
 - This is an ONGOING conversation, not a fresh start
@@ -78,34 +232,456 @@ CONVERSATION FLOW PRINCIPLES:
 - If you asked a question in your last message, you're waiting for their response
 - Don't re-greet unless there's been a significant break (hours/days since last message)
 - Match the natural rhythm of this specific conversation
-- Stay consistent with your recent emotional tone and topics
+- Stay consistent with your recent emotional tone and topics` },
+            { name: 'conversation_summary', truncatable: true, content: this.formatConversationSummary(context.conversationSummary) },
+            lore('before_messages'),
+            { name: 'psychology', content: `YOUR PSYCHOLOGICAL STATE:
+- Mood: ${context.psychologyState?.current_emotion || 'neutral'}
+- Energy: ${context.psychologyState?.energy_level || 5}/10
+- Relationship: ${context.psychologyState?.relationship_dynamic || 'developing'}` },
+            { name: 'top_memories', items: context.topMemories || [], render: memories => `TOP MEMORIES:\n${this.formatMemories(memories)}` },
+            {
+                name: 'deep_memories',
+                items: deepMemories || [],
+                render: memories => memories.length > 0 ? `RELEVANT PAST MEMORIES:\n${this.formatMemories(memories)}` : ''
+            },
+            { name: 'commitments', items: context.activeCommitments || [], render: commitments => `ACTIVE COMMITMENTS:\n${this.formatCommitments(commitments)}` },
+            { name: 'events', items: context.upcomingEvents || [], render: events => `UPCOMING EVENTS:\n${this.formatEvents(events)}` },
+            { name: 'completions', items: context.recentCompletions || [], render: completions => `RECENT COMPLETIONS:\n${this.formatCompletions(completions)}` },
+            { name: 'closing', required: true, content: `Stay in character as ${character.name}. You have complete awareness of all this context.` }
+        ];
+    }
+
+    // Resolve the prompt token budget for the conversational model (null = no trimming)
+    async resolvePromptBudget(userId, characterId) {
+        try {
+            const llmConfig = this.serviceFactory.get('llmConfig');
+            if (!llmConfig) return null;
+            return await llmConfig.resolvePromptBudget(userId, characterId, 'conversational');
+        } catch (error) {
+            console.error('Failed to resolve prompt budget, sending untrimmed prompt:', error.message);
+            return null;
+        }
+    }
+
+    // Resolve the chat_system and chat_user_turn templates (character → user → global → built-in)
+    // drafts = { name: content } replaces them with unsaved text for the prompt preview
+    async resolvePromptTemplates(userId, characterId, drafts = {}) {
+        let templateService = null;
+        try {
+            templateService = this.serviceFactory.get('promptTemplates');
+        } catch (error) {
+            // Template service not registered - built-in templates
+        }
+
+        const templates = {};
+        for (const name of ['chat_system', 'chat_user_turn']) {
+            if (typeof drafts[name] === 'string') {
+                templates[name] = { name, content: drafts[name], scope: 'draft', version: null };
+            } else if (templateService) {
+                templates[name] = await templateService.resolveTemplate(name, { userId, characterId });
+            } else {
+                templates[name] = { name, content: PromptTemplates.getDefault(name).content, scope: 'default', version: 0 };
+            }
+        }
+        return templates;
+    }
 
-Recent conversation flow:
-${recentMessages.reverse().map(m => `${m.sender === 'user' ? 'Them' : 'You'}: ${m.message}`).join('\n')}
+    // Assemble the system prompt and the chat history turns within the model's context length
+    // The layout comes from the chat_system template, the final user turn from chat_user_turn;
+    // history turns are trimmed oldest first, ranked like any other prompt section
+    async assemblePrompt(promptParts, message, userId, characterId, drafts = {}) {
+        const { character, characterBackground, dateTimeContext, userProfile, conversationState, context, deepMemories } = promptParts;
+        const promptBudget = await this.resolvePromptBudget(userId, characterId);
+        const templates = await this.resolvePromptTemplates(userId, characterId, drafts);
+        const names = { char: character.name, user: userProfile?.name || 'User' };
+        const userTurn = PromptTemplates.render(templates.chat_user_turn.content, { ...names, message });
+
+        const sections = [
+            ...this.buildPromptSections(
+                character, characterBackground, dateTimeContext, userProfile, conversationState, context, deepMemories
+            ),
+            {
+                name: 'recent_messages',
+                detached: true,
+                items: this.buildHistoryTurns(character, context.recentMessages, context.group, message),
+                trimFrom: 'start',
+                render: turns => turns.map(turn => turn.content).join('\n')
+            }
+        ];
+        const { prompt, detached, report } = PromptAssembler.assemble(sections, {
+            maxTokens: promptBudget?.promptTokens,
+            priority: promptBudget?.sectionPriority,
+            reservedText: userTurn,
+            template: PromptTemplates.render(templates.chat_system.content, names)
+        });
 
-RECENT CONVERSATION (last ${context.recentMessages.length} messages):
-${this.formatMessages(context.recentMessages)}
+        return {
+            systemPrompt: prompt,
+            history: detached.recent_messages,
+            userTurn,
+            stop: this.buildStopSequences(character, names),
+            mergeConsecutiveTurns: !!character.merge_consecutive_turns,
+            promptBudget: {
+                model: promptBudget?.model || null,
+                contextLength: promptBudget?.contextLength || null,
+                responseReserve: promptBudget?.responseReserve || null,
+                ...report
+            },
+            templates: Object.fromEntries(Object.values(templates)
+                .map(({ name, scope, version }) => [name, { scope, version }]))
+        };
+    }
 
-YOUR PSYCHOLOGICAL STATE:
-- Mood: ${context.psychologyState?.current_emotion || 'neutral'}
-- Energy: ${context.psychologyState?.energy_level || 5}/10
-- Relationship: ${context.psychologyState?.relationship_dynamic || 'developing'}
+    // LLM options that send an assembled prompt as system prompt, history turns and stop sequences
+    // (the user turn is the prompt and the history the context of the LLM call)
+    buildMessageOptions(assembled) {
+        return {
+            systemPrompt: assembled.systemPrompt,
+            contextFitted: true,
+            mergeConsecutiveTurns: assembled.mergeConsecutiveTurns,
+            stop: assembled.stop
+        };
+    }
 
-TOP MEMORIES:
-${this.formatMemories(context.topMemories)}
+    // Helper to add sibling navigation to history messages (unchanged when branching is unavailable)
+    async annotateBranches(chatId, messages) {
+        let branchService = null;
+        try {
+            branchService = this.serviceFactory.get('conversationBranch');
+        } catch (error) {
+            // Branch service not registered - history without navigation
+        }
+        return branchService ? await branchService.annotateBranches(chatId, messages) : messages;
+    }
 
-${deepMemories && deepMemories.length > 0 ? `RELEVANT PAST MEMORIES:
-${this.formatMemories(deepMemories)}
-` : ''}ACTIVE COMMITMENTS:
-${this.formatCommitments(context.activeCommitments)}
+    // Helper to get the group chat service (null when it is not registered)
+    getGroupChatService() {
+        try {
+            return this.serviceFactory.get('groupChat') || null;
+        } catch (error) {
+            // Group chat service not registered - every chat has one character
+            return null;
+        }
+    }
 
-UPCOMING EVENTS:
-${this.formatEvents(context.upcomingEvents)}
+    // Helper to pick the character answering a user message
+    // Returns { speaker, participants, strategy } for group chats (or an explicit speakerId), null otherwise
+    async selectSpeaker(chat, message, userId, speakerId = null) {
+        const groupChat = this.getGroupChatService();
+        if (!groupChat || !chat) return null;
+        return await groupChat.selectSpeaker(chat, message, { userId, speakerId });
+    }
 
-RECENT COMPLETIONS:
-${this.formatCompletions(context.recentCompletions)}
+    // Helper to list the characters of a chat (empty without group chat support)
+    async getChatParticipants(chat) {
+        const groupChat = this.getGroupChatService();
+        return groupChat ? await groupChat.getParticipants(chat) : [];
+    }
+
+    // Helper to add the speaking character to history messages (unchanged without group chat support)
+    async annotateSpeakers(chat, messages) {
+        const groupChat = this.getGroupChatService();
+        return groupChat ? await groupChat.annotateSpeakers(chat, messages) : messages;
+    }
 
-Stay in character as ${character.name}. You have complete awareness of all this context.`;
+    // Helper to load the character of an owned chat for branch replies (sends 404 and returns null otherwise)
+    // personalityId picks another character of a group chat (defaults to the chat's character)
+    async getChatCharacter(chat, res, personalityId = null) {
+        const dal = this.serviceFactory.get('database').getDAL();
+        const character = await dal.personalities.getCharacter(personalityId || chat.personality_id);
+
+        if (!character || character.user_id !== chat.user_id) {
+            res.status(404).json({
+                success: false,
+                error: 'Character not found'
+            });
+            return null;
+        }
+
+        return character;
+    }
+
+    // Helper to send branch validation errors (400/404) or a 500
+    sendBranchError(res, error, message) {
+        console.error(`${message}:`, error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : message,
+            details: error.statusCode ? undefined : error.message
+        });
+    }
+
+    // Helper to parse a search date filter; date-only values are whole days in timeZone
+    // (the user's stored time zone, else UTC) and date-only `to` values include the whole day
+    // Returns null when absent, undefined when invalid
+    parseSearchDate(value, endOfDay, timeZone = 'UTC') {
+        if (!value) return null;
+        const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (dateOnly) {
+            const [year, month, day] = dateOnly.slice(1).map(Number);
+            if (isNaN(new Date(`${value}T00:00:00Z`).getTime())) return undefined;
+            const start = DateTimeUtils.zonedTimeToUtc({ year, month, day: endOfDay ? day + 1 : day }, timeZone);
+            return new Date(start.getTime() - (endOfDay ? 1 : 0)).toISOString();
+        }
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? undefined : date.toISOString();
+    }
+
+    // Helper to open an SSE response
+    startEventStream(res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+    }
+
+    // Gather what the conversational prompt needs for a reply (shared by /message, streaming replies and the prompt preview)
+    // Falls back to minimal context when context building fails; deepSearch = false skips the deep memory search
+    async gatherPromptParts({ chatId, userId, characterId, character, message, group = null, deepSearch = true }) {
+        const psychologyService = this.serviceFactory.get('psychology');
+        const databaseService = this.serviceFactory.get('database');
+        const contextBuilder = this.serviceFactory.get('contextBuilder');
+        const memorySearch = this.serviceFactory.get('memorySearch');
+
+        // Get current psychology state (fast database lookup; one per character in group chats)
+        let psychologyState = group
+            ? await psychologyService.getCharacterState(chatId, characterId)
+            : await psychologyService.getCharacterState(chatId);
+        if (!psychologyState) {
+            // Initialize psychology state for new session (fast)
+            psychologyState = await psychologyService.initializeCharacterState(chatId, characterId);
+        }
+
+        // Get user profile
+        const user = await databaseService.getDAL().users.findById(userId);
+        let userProfile = null;
+        if (user && user.user_profile) {
+            try {
+                userProfile = typeof user.user_profile === 'string' 
+                    ? JSON.parse(user.user_profile) 
+                    : user.user_profile;
+            } catch (parseError) {
+                // Invalid JSON, continue without profile
+                userProfile = null;
+            }
+        }
+
+        // Get conversation state for context awareness
+        let conversationState, context, deepMemories;
+        
+        try {
+            conversationState = await databaseService.getDAL().conversations.getConversationState(chatId);
+            
+            // === DEBUG: Log conversation state ===
+            const logger = this.serviceFactory.get('logger');
+            if (logger) {
+                logger.info('===== CONVERSATION STATE =====', 'ChatRoutes', {
+                    chatId: chatId,
+                    messagesExchanged: conversationState?.messages_exchanged,
+                    lastMessagePreview: conversationState?.last_message?.message?.substring(0, 100),
+                    lastMessageSender: conversationState?.last_message_sender,
+                    conversationDuration: conversationState?.conversation_duration_minutes
+                });
+                logger.info('==============================', 'ChatRoutes');
+            }
+            // === END DEBUG ===
+            
+            context = await contextBuilder.buildUnifiedContext(userId, chatId, characterId, { message });
+            
+            // Get recent message IDs for exclusion in deep search
+            const recentMessageIds = context.recentMessages.map(m => m.id).filter(id => id);
+            
+            // Execute deep memory search (significance threshold from config, default 7)
+            const significanceThreshold = 7;
+            deepMemories = deepSearch
+                ? await memorySearch.executeDeepSearch(
+                    chatId,
+                    message,
+                    recentMessageIds,
+                    significanceThreshold,
+                    userId,
+                    { memoryScope: character.memory_scope, characterId }
+                )
+                : [];
+        } catch (contextError) {
+            // Fallback to minimal context if full context fails
+            console.error('Failed to build full context, using minimal fallback:', contextError.message);
+            
+            conversationState = {
+                conversation_started_at: new Date().toISOString(),
+                messages_exchanged: 0,
+                last_message: null
+            };
+            
+            context = {
+                recentMessages: [],
+                psychologyState: psychologyState,
+                topMemories: [],
+                activeCommitments: [],
+                upcomingEvents: [],
+                recentCompletions: []
+            };
+            
+            deepMemories = [];
+        }
+
+        if (group) {
+            context = { ...context, group, psychologyState: psychologyState || context.psychologyState };
+        }
+
+        // Prepare comprehensive context for LLM
+        const characterBackground = character.definition || '';
+        const timeContext = DateTimeUtils.getUserContext(user);
+        const dateTimeContext = DateTimeUtils.getSystemPromptDateTime(new Date(), timeContext);
+
+        return {
+            psychologyState,
+            timeContext,
+            promptParts: {
+                character,
+                characterBackground,
+                dateTimeContext,
+                userProfile,
+                conversationState,
+                context,
+                deepMemories
+            }
+        };
+    }
+
+    // Generate, stream and save a reply to the latest user message (shared by /stream, regenerate and edit)
+    // SSE headers must already be sent; ends the response and starts background analysis
+    // group = { participants } when several characters share the chat (character is the one speaking)
+    // The generation stops when the client disconnects or POST /:chatId/stop is called; the partial
+    // reply is then saved marked as truncated
+    async streamReply(res, { chatId, userId, characterId, character, message, parentId, group = null }) {
+        const llmService = this.serviceFactory.get('llm');
+        const databaseService = this.serviceFactory.get('database');
+        const generations = this.serviceFactory.get('generations');
+
+        const { psychologyState, timeContext, promptParts } = await this.gatherPromptParts({
+            chatId, userId, characterId, character, message, group
+        });
+        const { deepMemories } = promptParts;
+
+        // Use shared method to build the prompt within the model's token budget
+        const assembled = await this.assemblePrompt(promptParts, message, userId, characterId);
+        const { promptBudget } = assembled;
+
+        let fullAiResponse = '';
+
+        // Register the generation so it can be stopped; a dropped connection stops it too
+        const generation = generations.start(chatId, { userId, characterId });
+        const onClose = () => {
+            if (!res.writableEnded) {
+                generation.abort('client_disconnected');
+            }
+        };
+        res.on('close', onClose);
+
+        // Generate streaming AI response (USER SEES THIS IMMEDIATELY)
+        // System prompt, history turns, then the user's message
+        let streamResult;
+        try {
+            streamResult = await llmService.generateStreamingResponse(
+                assembled.userTurn,
+                assembled.history,
+                {
+                    userId: userId,
+                    characterId: characterId,
+                    role: 'conversational',
+                    signal: generation.signal,
+                    ...this.buildMessageOptions(assembled),
+                    ...this.buildToolOptions(character, { userId, chatId: chatId, characterId, timeContext })
+                },
+                (chunk, fullContent) => {
+                    // Stream each chunk to the frontend
+                    res.write(`data: ${JSON.stringify({
+                        type: 'chunk',
+                        content: chunk,
+                        fullContent: fullContent
+                    })}\n\n`);
+                    fullAiResponse = fullContent;
+                }
+            );
+        } finally {
+            generations.finish(generation);
+            res.off('close', onClose);
+        }
+        const toolCalls = this.summarizeToolCalls(streamResult);
+        const truncated = !!streamResult.aborted;
+        const stopReason = truncated ? generation.getAbortReason() : null;
+
+        // Stopped before anything arrived: there is no reply to save or analyse
+        if (truncated && !fullAiResponse.trim()) {
+            res.write(`data: ${JSON.stringify({
+                type: 'stopped',
+                reason: stopReason
+            })}\n\n`);
+            res.end();
+            return;
+        }
+
+        // Save AI response to database (fast)
+        const aiMessageId = await databaseService.getDAL().conversations.saveMessage(
+            chatId,
+            'assistant', 
+            fullAiResponse,
+            'chat',
+            {
+                user_id: userId,
+                message_type: 'text',
+                llm: this.describeServingBackend(streamResult),
+                tool_calls: toolCalls,
+                ...(truncated ? { truncated: true, stop_reason: stopReason } : {})
+            },
+            { parentId, personalityId: characterId }
+        );
+
+        // Send completion message IMMEDIATELY (user sees response is complete)
+        res.write(`data: ${JSON.stringify({
+            type: 'complete',
+            aiMessageId,
+            speaker: { id: character.id, name: character.name },
+            psychologyState: psychologyState, // Send current state immediately
+            fullResponse: fullAiResponse,
+            truncated,
+            contextInfo: {
+                deepSearchTriggered: deepMemories && deepMemories.length > 0,
+                memoriesFound: deepMemories ? deepMemories.length : 0,
+                memoryScope: character.memory_scope || 'chat',
+                promptBudget,
+                toolCalls
+            }
+        })}\n\n`);
+
+        res.end();
+
+        // 🎯 CLEAN BACKGROUND PROCESSING - Single service call
+        // This runs asynchronously without blocking the user experience
+        setImmediate(async () => {
+            try {
+                console.log('🚀 Starting background processing for session:', chatId);
+                const backgroundAnalysis = this.serviceFactory.get('backgroundAnalysis');
+                await backgroundAnalysis.processMessageAnalysis({
+                    chatId: chatId,
+                    userId: userId,
+                    characterId: characterId,
+                    userMessage: message,
+                    aiResponse: fullAiResponse,
+                    psychologyState: psychologyState,
+                    character: character,
+                    toolCalls: streamResult.toolCalls || [],
+                    messageId: aiMessageId.id,
+                    truncated
+                });
+                console.log('✅ Background processing completed for session:', chatId);
+            } catch (error) {
+                console.error('❌ Background analysis failed for session:', chatId, error);
+            }
+        });
     }
 
     setupRoutes() {
@@ -208,17 +784,164 @@ Stay in character as ${character.name}. You have complete awareness of all this
             }
         });
 
-        // Send a chat message (non-streaming)
-        this.router.post('/message', async (req, res) => {
+        // Create a chat with several characters (protected)
+        // Body: characterIds (first = primary), title, turnStrategy (round_robin | mention | llm), chatId, metadata
+        this.router.post('/group', this.authMiddleware, async (req, res) => {
             try {
-                const { message, chatId, userId, characterId } = req.body;
-                
-                if (!userId) {
-                    return res.status(400).json({ 
-                        error: 'userId is required',
-                        details: 'Provide userId in request body'
-                    });
+                const groupChat = this.getGroupChatService();
+                if (!groupChat) {
+                    return res.status(503).json({ error: 'Group chats are not available' });
+                }
+
+                const { chatId, title, characterIds, turnStrategy, metadata } = req.body || {};
+                if (chatId && await this.rejectForeignChat(chatId, req.user.id, res)) return;
+
+                const result = await groupChat.createGroupChat(req.user.id, {
+                    chatId,
+                    title,
+                    characterIds,
+                    turnStrategy: turnStrategy || 'round_robin',
+                    metadata
+                });
+
+                res.status(201).json({
+                    success: true,
+                    data: result,
+                    message: 'Group chat created successfully'
+                });
+
+            } catch (error) {
+                if (error.statusCode) {
+                    return res.status(error.statusCode).json({ error: error.message });
+                }
+                console.error('Create Group Chat API Error:', error);
+                res.status(500).json({
+                    error: 'Failed to create group chat',
+                    details: error.message
+                });
+            }
+        });
+
+        // List the characters of a chat and its turn strategy (protected)
+        this.router.get('/:chatId/characters', this.authMiddleware, async (req, res) => {
+            try {
+                const chat = await this.getOwnedChat(req.params.chatId, req.user.id, res);
+                if (!chat) return;
+
+                res.json({
+                    success: true,
+                    data: {
+                        participants: await this.getChatParticipants(chat),
+                        turnStrategy: chat.turn_strategy || 'round_robin'
+                    }
+                });
+
+            } catch (error) {
+                console.error('Chat Characters API Error:', error);
+                res.status(500).json({
+                    error: 'Failed to get chat characters',
+                    details: error.message
+                });
+            }
+        });
+
+        // Add a character to a chat (protected)
+        this.router.post('/:chatId/characters', this.authMiddleware, async (req, res) => {
+            try {
+                const groupChat = this.getGroupChatService();
+                if (!groupChat) {
+                    return res.status(503).json({ error: 'Group chats are not available' });
+                }
+
+                const { characterId } = req.body || {};
+                if (!characterId) {
+                    return res.status(400).json({ error: 'characterId is required' });
+                }
+
+                const chat = await this.getOwnedChat(req.params.chatId, req.user.id, res);
+                if (!chat) return;
+
+                const participants = await groupChat.addParticipant(chat, characterId, req.user.id);
+                res.status(201).json({
+                    success: true,
+                    data: { participants }
+                });
+
+            } catch (error) {
+                if (error.statusCode) {
+                    return res.status(error.statusCode).json({ error: error.message });
+                }
+                console.error('Add Chat Character API Error:', error);
+                res.status(500).json({
+                    error: 'Failed to add character to chat',
+                    details: error.message
+                });
+            }
+        });
+
+        // Remove a character from a chat (protected)
+        this.router.delete('/:chatId/characters/:characterId', this.authMiddleware, async (req, res) => {
+            try {
+                const groupChat = this.getGroupChatService();
+                if (!groupChat) {
+                    return res.status(503).json({ error: 'Group chats are not available' });
+                }
+
+                const chat = await this.getOwnedChat(req.params.chatId, req.user.id, res);
+                if (!chat) return;
+
+                const participants = await groupChat.removeParticipant(chat, req.params.characterId, req.user.id);
+                res.json({
+                    success: true,
+                    data: { participants }
+                });
+
+            } catch (error) {
+                if (error.statusCode) {
+                    return res.status(error.statusCode).json({ error: error.message });
+                }
+                console.error('Remove Chat Character API Error:', error);
+                res.status(500).json({
+                    error: 'Failed to remove character from chat',
+                    details: error.message
+                });
+            }
+        });
+
+        // Change how the next speaker of a group chat is chosen (protected)
+        this.router.put('/:chatId/turn-strategy', this.authMiddleware, async (req, res) => {
+            try {
+                const groupChat = this.getGroupChatService();
+                if (!groupChat) {
+                    return res.status(503).json({ error: 'Group chats are not available' });
+                }
+
+                const chat = await this.getOwnedChat(req.params.chatId, req.user.id, res);
+                if (!chat) return;
+
+                const turnStrategy = await groupChat.setTurnStrategy(chat, (req.body || {}).turnStrategy, req.user.id);
+                res.json({
+                    success: true,
+                    data: { turnStrategy }
+                });
+
+            } catch (error) {
+                if (error.statusCode) {
+                    return res.status(error.statusCode).json({ error: error.message });
                 }
+                console.error('Turn Strategy API Error:', error);
+                res.status(500).json({
+                    error: 'Failed to update turn strategy',
+                    details: error.message
+                });
+            }
+        });
+
+        // Send a chat message (non-streaming)
+        this.router.post('/message', this.authMiddleware, async (req, res) => {
+            try {
+                const { message, chatId, characterId } = req.body;
+                const userId = req.user.id;
                 
                 if (!characterId) {
                     return res.status(400).json({ 
@@ -231,17 +954,21 @@ Stay in character as ${character.name}. You have complete awareness of all this
                     return res.status(400).json({ error: 'Message is required' });
                 }
 
+                if (chatId && await this.rejectForeignChat(chatId, userId, res)) return;
+
                 // Get services
                 const llmService = this.serviceFactory.get('llm');
-                const psychologyService = this.serviceFactory.get('psychology');
-                const conversationService = this.serviceFactory.get('conversationAnalyzer');
                 const databaseService = this.serviceFactory.get('database');
-                const contextBuilder = this.serviceFactory.get('contextBuilder');
-                const memorySearch = this.serviceFactory.get('memorySearch');
 
                 // Create or get session
                 const actualSessionId = chatId || uuidv4();
 
+                // Group chats pick the answering character by their turn strategy
+                const existingChat = chatId ? await databaseService.getDAL().chats.findById(actualSessionId) : null;
+                const turn = await this.selectSpeaker(existingChat, message, userId, req.body.speakerId);
+                const speakerId = turn ? turn.speaker.id : characterId;
+                const group = turn && turn.participants.length > 1 ? { participants: turn.participants } : null;
+
                 // Save user message to database
                 const userMessageId = await databaseService.getDAL().conversations.saveMessage(
                     actualSessionId, 
@@ -252,12 +979,12 @@ Stay in character as ${character.name}. You have complete awareness of all this
                 );
 
                 // Get character information
-                const character = await databaseService.getDAL().personalities.getCharacter(characterId);
+                const character = await databaseService.getDAL().personalities.getCharacter(speakerId);
                 if (!character) {
                     return res.status(404).json({ 
                         success: false, 
                         error: 'Character not found',
-                        details: `Character with ID ${characterId} does not exist`
+                        details: `Character with ID ${speakerId} does not exist`
                     });
                 }
 
@@ -266,90 +993,28 @@ Stay in character as ${character.name}. You have complete awareness of all this
                     return res.status(404).json({ 
                         success: false, 
                         error: 'Character not found',
-                        details: `Character with ID ${characterId} does not exist`
+                        details: `Character with ID ${speakerId} does not exist`
                     });
                 }
 
-                // Get current psychology state
-                let psychologyState = await psychologyService.getCharacterState(actualSessionId);
-                if (!psychologyState) {
-                    // Initialize psychology state for new session
-                    psychologyState = await psychologyService.initializeCharacterState(userId, characterId);
-                }
-
-                // Get user profile
-                const user = await databaseService.getDAL().users.findById(userId);
-                let userProfile = null;
-                if (user && user.user_profile) {
-                    try {
-                        userProfile = typeof user.user_profile === 'string' 
-                            ? JSON.parse(user.user_profile) 
-                            : user.user_profile;
-                    } catch (parseError) {
-                        // Invalid JSON, continue without profile
-                        userProfile = null;
-                    }
-                }
-
-                // Get conversation state for context awareness
-                const conversationState = await databaseService.getDAL().conversations.getConversationState(actualSessionId);
-                
-                // === DEBUG: Log conversation state ===
-                const logger = this.serviceFactory.get('logger');
-                if (logger) {
-                    logger.info('===== CONVERSATION STATE =====', 'ChatRoutes', {
-                        chatId: actualSessionId,
-                        messagesExchanged: conversationState?.messages_exchanged,
-                        lastMessagePreview: conversationState?.last_message?.message?.substring(0, 100),
-                        lastMessageSender: conversationState?.last_message_sender,
-                        conversationDuration: conversationState?.conversation_duration_minutes
-                    });
-                    logger.info('==============================', 'ChatRoutes');
-                }
-                // === END DEBUG ===
-
-                // Get last 5 messages for conversation flow context
-                const recentMessages = await databaseService.getDAL().conversations.getSessionHistory(actualSessionId, 5);
-
-                // Build unified context (includes recent messages, psychology, memories, commitments, events)
-                const context = await contextBuilder.buildUnifiedContext(userId, actualSessionId, characterId);
-
-                // Get recent message IDs for exclusion in deep search
-                const recentMessageIds = context.recentMessages.map(m => m.id).filter(id => id);
-                
-                // Execute deep memory search (significance threshold from config, default 7)
-                const significanceThreshold = 7;
-                const deepMemories = await memorySearch.executeDeepSearch(
-                    actualSessionId, 
-                    message, 
-                    recentMessageIds, 
-                    significanceThreshold,
-                    userId
-                );
+                const { psychologyState, timeContext, promptParts } = await this.gatherPromptParts({
+                    chatId: actualSessionId, userId, characterId: speakerId, character, message, group
+                });
+                const { deepMemories } = promptParts;
 
-                // Prepare comprehensive context for LLM
-                const characterBackground = character.definition || '';
-                const dateTimeContext = DateTimeUtils.getSystemPromptDateTime();
-                
-                // Use shared method to build system prompt
-                const systemPrompt = this.buildSystemPrompt(
-                    character,
-                    characterBackground,
-                    dateTimeContext,
-                    userProfile,
-                    conversationState,
-                    recentMessages,
-                    context,
-                    deepMemories
-                );
+                // Use shared method to build the prompt within the model's token budget
+                const assembled = await this.assemblePrompt(promptParts, message, userId, speakerId);
+                const { promptBudget } = assembled;
 
-                // Generate AI response using LLM service (convert to string format)
-                const fullPrompt = `${systemPrompt}\n\nUser: ${message}\n${character.name}:`;
-                const aiResponse = await llmService.generateResponse(fullPrompt, [], {
+                // Generate AI response: system prompt, history turns, then the user's message
+                const aiResponse = await llmService.generateResponse(assembled.userTurn, assembled.history, {
                     userId: userId,
-                    characterId: characterId,
-                    role: 'conversational'
+                    characterId: speakerId,
+                    role: 'conversational',
+                    ...this.buildMessageOptions(assembled),
+                    ...this.buildToolOptions(character, { userId, chatId: actualSessionId, characterId: speakerId, timeContext })
                 });
+                const toolCalls = this.summarizeToolCalls(aiResponse);
 
                 // Save AI response to database
                 const aiMessageId = await databaseService.getDAL().conversations.saveMessage(
@@ -357,7 +1022,8 @@ Stay in character as ${character.name}. You have complete awareness of all this
                     'assistant', 
                     aiResponse.content || aiResponse,
                     'chat',
-                    { user_id: userId, message_type: 'text' }
+                    { user_id: userId, message_type: 'text', llm: this.describeServingBackend(aiResponse), tool_calls: toolCalls },
+                    { personalityId: speakerId }
                 );
 
                 // Return response IMMEDIATELY (user sees response fast)
@@ -366,12 +1032,16 @@ Stay in character as ${character.name}. You have complete awareness of all this
                     data: {
                         chatId: actualSessionId,
                         aiResponse: aiResponse.content || aiResponse,
+                        speaker: { id: character.id, name: character.name },
                         psychologyState: psychologyState, // Send current state immediately
                         userMessageId,
                         aiMessageId,
                         contextInfo: {
                             deepSearchTriggered: deepMemories && deepMemories.length > 0,
-                            memoriesFound: deepMemories ? deepMemories.length : 0
+                            memoriesFound: deepMemories ? deepMemories.length : 0,
+                            memoryScope: character.memory_scope || 'chat',
+                            promptBudget,
+                            toolCalls
                         }
                     }
                 });
@@ -383,11 +1053,12 @@ Stay in character as ${character.name}. You have complete awareness of all this
                         await backgroundAnalysis.processMessageAnalysis({
                             chatId: actualSessionId,
                             userId: userId,
-                            characterId: characterId,
+                            characterId: speakerId,
                             userMessage: message,
                             aiResponse: aiResponse.content || aiResponse,
                             psychologyState: psychologyState,
-                            character: character
+                            character: character,
+                            toolCalls: aiResponse.toolCalls || []
                         });
                     } catch (error) {
                         console.error('Background analysis failed:', error);
@@ -395,6 +1066,9 @@ Stay in character as ${character.name}. You have complete awareness of all this
                 });
 
             } catch (error) {
+                if (error.statusCode) {
+                    return res.status(error.statusCode).json({ error: error.message });
+                }
                 console.error('Chat API Error:', error);
                 res.status(500).json({ 
                     error: 'Failed to process message', 
@@ -404,16 +1078,10 @@ Stay in character as ${character.name}. You have complete awareness of all this
         });
 
         // Send a chat message with streaming (OPTIMIZED FOR FAST USER RESPONSE)
-        this.router.post('/stream', async (req, res) => {
+        this.router.post('/stream', this.authMiddleware, async (req, res) => {
             try {
-                const { message, chatId, userId, characterId } = req.body;
-                
-                if (!userId) {
-                    return res.status(400).json({ 
-                        error: 'userId is required',
-                        details: 'Provide userId in request body'
-                    });
-                }
+                const { message, chatId, characterId } = req.body;
+                const userId = req.user.id;
                 
                 if (!characterId) {
                     return res.status(400).json({ 
@@ -426,6 +1094,8 @@ Stay in character as ${character.name}. You have complete awareness of all this
                     return res.status(400).json({ error: 'Message is required' });
                 }
 
+                if (chatId && await this.rejectForeignChat(chatId, userId, res)) return;
+
                 // Set up Server-Sent Events headers (CORS already handled by main middleware)
                 res.writeHead(200, {
                     'Content-Type': 'text/event-stream',
@@ -434,20 +1104,19 @@ Stay in character as ${character.name}. You have complete awareness of all this
                 });
 
                 // Get services
-                const llmService = this.serviceFactory.get('llm');
-                const psychologyService = this.serviceFactory.get('psychology');
-                const conversationService = this.serviceFactory.get('conversationAnalyzer');
-                const proactiveIntelligence = this.serviceFactory.get('proactiveIntelligence');
-                const proactiveLearning = this.serviceFactory.get('proactiveLearning');
                 const databaseService = this.serviceFactory.get('database');
-                const contextBuilder = this.serviceFactory.get('contextBuilder');
-                const memorySearch = this.serviceFactory.get('memorySearch');
 
                 // Create or get session
                 const actualSessionId = chatId || uuidv4();
 
                 // Ensure chat exists before saving messages
                 const existingChat = await databaseService.getDAL().chats.findById(actualSessionId);
+
+                // Group chats pick the answering character by their turn strategy
+                const turn = await this.selectSpeaker(existingChat, message, userId, req.body.speakerId);
+                const speakerId = turn ? turn.speaker.id : characterId;
+                const group = turn && turn.participants.length > 1 ? { participants: turn.participants } : null;
+
                 if (!existingChat) {
                     // Create chat if it doesn't exist
                     await databaseService.getDAL().chats.createChat(userId, {
@@ -476,12 +1145,12 @@ Stay in character as ${character.name}. You have complete awareness of all this
                 })}\n\n`);
 
                 // Get character information (fast database lookup)
-                const character = await databaseService.getDAL().personalities.getCharacter(characterId);
+                const character = await databaseService.getDAL().personalities.getCharacter(speakerId);
                 if (!character) {
                     res.write(`data: ${JSON.stringify({
                         type: 'error',
                         error: 'Character not found',
-                        details: `Character with ID ${characterId} does not exist`
+                        details: `Character with ID ${speakerId} does not exist`
                     })}\n\n`);
                     res.end();
                     return;
@@ -492,217 +1161,285 @@ Stay in character as ${character.name}. You have complete awareness of all this
                     res.write(`data: ${JSON.stringify({
                         type: 'error',
                         error: 'Character not found',
-                        details: `Character with ID ${characterId} does not exist`
+                        details: `Character with ID ${speakerId} does not exist`
                     })}\n\n`);
                     res.end();
                     return;
                 }
 
-                // Get current psychology state (fast database lookup)
-                let psychologyState = await psychologyService.getCharacterState(actualSessionId);
-                if (!psychologyState) {
-                    // Initialize psychology state for new session (fast)
-                    psychologyState = await psychologyService.initializeCharacterState(actualSessionId, characterId);
+                await this.streamReply(res, {
+                    chatId: actualSessionId,
+                    userId,
+                    characterId: speakerId,
+                    character,
+                    message,
+                    parentId: userMessageId.id,
+                    group
+                });
+
+            } catch (error) {
+                console.error('Chat Streaming API Error:', error);
+                res.write(`data: ${JSON.stringify({
+                    type: 'error',
+                    error: 'Failed to process message',
+                    details: error.message
+                })}\n\n`);
+                res.end();
+                return; // Don't run background processing if there was an error
+            }
+        });
+
+        // Stop the reply being generated in a chat (protected)
+        // The streaming request then saves what was generated so far, marked as truncated
+        this.router.post('/:chatId/stop', this.authMiddleware, async (req, res) => {
+            try {
+                const { chatId } = req.params;
+
+                const chat = await this.getOwnedChat(chatId, req.user.id, res);
+                if (!chat) return;
+
+                const stopped = this.serviceFactory.get('generations').stop(chatId, req.user.id, 'user_stopped');
+
+                res.json({
+                    success: true,
+                    data: { stopped }
+                });
+
+            } catch (error) {
+                console.error('Stop Generation API Error:', error);
+                res.status(500).json({
+                    error: 'Failed to stop generation',
+                    details: error.message
+                });
+            }
+        });
+
+        // Full-text search across the user's conversations (protected)
+        // Query: q (required), characterId, from, to (ISO dates; date-only in the user's time zone), role (user|assistant), limit, offset
+        this.router.get('/search', this.authMiddleware, async (req, res) => {
+            try {
+                const { q, characterId, role } = req.query;
+
+                const matchQuery = ConversationRepository.buildSearchMatchQuery(q);
+                if (!matchQuery) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Search query is required'
+                    });
+                }
+
+                if (role && !['user', 'assistant'].includes(role)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'role must be one of: user, assistant'
+                    });
                 }
 
-                // Get user profile
-                const user = await databaseService.getDAL().users.findById(userId);
-                let userProfile = null;
-                if (user && user.user_profile) {
-                    try {
-                        userProfile = typeof user.user_profile === 'string' 
-                            ? JSON.parse(user.user_profile) 
-                            : user.user_profile;
-                    } catch (parseError) {
-                        // Invalid JSON, continue without profile
-                        userProfile = null;
-                    }
+                const dal = this.serviceFactory.get('database').getDAL();
+                const user = await dal.users.findById(req.user.id);
+                const timeZone = DateTimeUtils.isValidTimeZone(user?.timezone) ? user.timezone : 'UTC';
+
+                const from = this.parseSearchDate(req.query.from, false, timeZone);
+                const to = this.parseSearchDate(req.query.to, true, timeZone);
+                if (from === undefined || to === undefined) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'from and to must be ISO 8601 dates'
+                    });
                 }
 
-                // Get conversation state for context awareness
-                let conversationState, recentMessages, context, deepMemories;
-                
-                try {
-                    conversationState = await databaseService.getDAL().conversations.getConversationState(actualSessionId);
-                    
-                    // === DEBUG: Log conversation state (streaming) ===
-                    const logger = this.serviceFactory.get('logger');
-                    if (logger) {
-                        logger.info('===== CONVERSATION STATE (STREAMING) =====', 'ChatRoutes', {
-                            chatId: actualSessionId,
-                            messagesExchanged: conversationState?.messages_exchanged,
-                            lastMessagePreview: conversationState?.last_message?.message?.substring(0, 100),
-                            lastMessageSender: conversationState?.last_message_sender,
-                            conversationDuration: conversationState?.conversation_duration_minutes
-                        });
-                        logger.info('==============================', 'ChatRoutes');
-                    }
-                    // === END DEBUG ===
-                    
-                    recentMessages = await databaseService.getDAL().conversations.getSessionHistory(actualSessionId, 5);
-                    context = await contextBuilder.buildUnifiedContext(userId, actualSessionId, characterId);
-                    
-                    // Get recent message IDs for exclusion in deep search
-                    const recentMessageIds = context.recentMessages.map(m => m.id).filter(id => id);
-                    
-                    // Execute deep memory search (significance threshold from config, default 7)
-                    const significanceThreshold = 7;
-                    deepMemories = await memorySearch.executeDeepSearch(
-                        actualSessionId, 
-                        message, 
-                        recentMessageIds, 
-                        significanceThreshold,
-                        userId
-                    );
-                } catch (contextError) {
-                    // Fallback to minimal context if full context fails
-                    console.error('Failed to build full context, using minimal fallback:', contextError.message);
-                    
-                    conversationState = {
-                        conversation_started_at: new Date().toISOString(),
-                        messages_exchanged: 0,
-                        last_message: null
-                    };
-                    
-                    recentMessages = [];
-                    
-                    context = {
-                        recentMessages: [],
-                        psychologyState: psychologyState,
-                        topMemories: [],
-                        activeCommitments: [],
-                        upcomingEvents: [],
-                        recentCompletions: []
-                    };
-                    
-                    deepMemories = [];
-                }
-
-                // Prepare comprehensive context for LLM
-                const characterBackground = character.definition || '';
-                const dateTimeContext = DateTimeUtils.getSystemPromptDateTime();
-                
-                // Use shared method to build system prompt
-                const systemPrompt = this.buildSystemPrompt(
-                    character,
-                    characterBackground,
-                    dateTimeContext,
-                    userProfile,
-                    conversationState,
-                    recentMessages,
-                    context,
-                    deepMemories
-                );
+                const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+                const offset = Math.max(parseInt(req.query.offset) || 0, 0);
 
-                let fullAiResponse = '';
+                const results = await dal.conversations.searchMessages(req.user.id, matchQuery, {
+                    characterId, from, to, role, limit, offset
+                });
 
-                // Generate streaming AI response (USER SEES THIS IMMEDIATELY)
-                const fullPrompt = `${systemPrompt}\n\nUser: ${message}\n${character.name}:`;
-                
-                await llmService.generateStreamingResponse(
-                    fullPrompt,
-                    [], // context
-                    {
-                        userId: userId,
-                        characterId: characterId,
-                        role: 'conversational'
-                    },
-                    (chunk, fullContent) => {
-                        // Stream each chunk to the frontend
-                        res.write(`data: ${JSON.stringify({
-                            type: 'chunk',
-                            content: chunk,
-                            fullContent: fullContent
-                        })}\n\n`);
-                        fullAiResponse = fullContent;
-                    }
-                );
+                res.json({
+                    success: true,
+                    data: results,
+                    pagination: { limit, offset, hasMore: results.length === limit }
+                });
 
-                // Save AI response to database (fast)
-                const aiMessageId = await databaseService.getDAL().conversations.saveMessage(
-                    actualSessionId,
-                    'assistant', 
-                    fullAiResponse,
-                    'chat',
-                    { user_id: userId, message_type: 'text' }
-                );
+            } catch (error) {
+                console.error('Search API Error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to search conversations',
+                    details: error.message
+                });
+            }
+        });
+
+        // Get chat history (protected)
+        this.router.get('/history/:chatId', this.authMiddleware, async (req, res) => {
+            try {
+                const { chatId } = req.params;
+                const { from } = req.query;
+
+                const chat = await this.getOwnedChat(chatId, req.user.id, res);
+                if (!chat) return;
+
+                // `from` opens the chat at a point in time (e.g. a search result) instead of the latest messages
+                const databaseService = this.serviceFactory.get('database');
+                const messages = from
+                    ? await databaseService.getDAL().conversations.getSessionHistoryFrom(chatId, from)
+                    : await databaseService.getDAL().conversations.getSessionHistory(chatId, 50, 0);
 
-                // Send completion message IMMEDIATELY (user sees response is complete)
+                res.json({
+                    success: true,
+                    data: await this.annotateSpeakers(chat, await this.annotateBranches(chatId, messages))
+                });
+
+            } catch (error) {
+                console.error('Chat History API Error:', error);
+                res.status(500).json({ 
+                    error: 'Failed to get chat history', 
+                    details: error.message 
+                });
+            }
+        });
+
+        // Regenerate an assistant reply as a new branch (protected, SSE)
+        this.router.post('/:chatId/messages/:messageId/regenerate', this.authMiddleware, async (req, res) => {
+            const { chatId, messageId } = req.params;
+            const branchService = this.serviceFactory.get('conversationBranch');
+            let prepared = null;
+
+            try {
+                const chat = await this.getOwnedChat(chatId, req.user.id, res);
+                if (!chat) return;
+
+                // In group chats the same character answers again
+                const original = await this.serviceFactory.get('database').getDAL().conversations.getMessageById(messageId);
+                const speakerId = original && original.chat_id === chatId ? original.personality_id : null;
+                const character = await this.getChatCharacter(chat, res, speakerId);
+                if (!character) return;
+                const participants = await this.getChatParticipants(chat);
+
+                prepared = await branchService.prepareRegenerate(chatId, messageId);
+
+                this.startEventStream(res);
                 res.write(`data: ${JSON.stringify({
-                    type: 'complete',
-                    aiMessageId,
-                    psychologyState: psychologyState, // Send current state immediately
-                    fullResponse: fullAiResponse
+                    type: 'session',
+                    chatId,
+                    userMessageId: { id: prepared.parentId }
                 })}\n\n`);
 
+                await this.streamReply(res, {
+                    chatId,
+                    userId: req.user.id,
+                    characterId: character.id,
+                    character,
+                    message: prepared.userMessage.content,
+                    parentId: prepared.parentId,
+                    group: participants.length > 1 ? { participants } : null
+                });
+
+            } catch (error) {
+                if (!prepared) {
+                    return this.sendBranchError(res, error, 'Failed to regenerate message');
+                }
+
+                // Put the previous reply back rather than leaving the turn unanswered
+                console.error('Regenerate Streaming API Error:', error);
+                await branchService.switchBranch(chatId, messageId).catch(() => {});
+                res.write(`data: ${JSON.stringify({
+                    type: 'error',
+                    error: 'Failed to regenerate message',
+                    details: error.message
+                })}\n\n`);
                 res.end();
+            }
+        });
 
-                // 🎯 CLEAN BACKGROUND PROCESSING - Single service call
-                // This runs asynchronously without blocking the user experience
-                setImmediate(async () => {
-                    try {
-                        console.log('🚀 Starting background processing for session:', actualSessionId);
-                        const backgroundAnalysis = this.serviceFactory.get('backgroundAnalysis');
-                        await backgroundAnalysis.processMessageAnalysis({
-                            chatId: actualSessionId,
-                            userId: userId,
-                            characterId: characterId,
-                            userMessage: message,
-                            aiResponse: fullAiResponse,
-                            psychologyState: psychologyState,
-                            character: character
-                        });
-                        console.log('✅ Background processing completed for session:', actualSessionId);
-                    } catch (error) {
-                        console.error('❌ Background analysis failed for session:', actualSessionId, error);
-                    }
+        // Edit a user message and resend it as a new branch (protected, SSE)
+        this.router.post('/:chatId/messages/:messageId/edit', this.authMiddleware, async (req, res) => {
+            const { chatId, messageId } = req.params;
+            const { content } = req.body || {};
+            let editedMessage = null;
+
+            try {
+                const chat = await this.getOwnedChat(chatId, req.user.id, res);
+                if (!chat) return;
+
+                // Group chats pick the answering character for the edited message
+                const turn = await this.selectSpeaker(chat, content, req.user.id);
+                const character = await this.getChatCharacter(chat, res, turn ? turn.speaker.id : null);
+                if (!character) return;
+
+                editedMessage = await this.serviceFactory.get('conversationBranch').editUserMessage(chatId, messageId, content);
+
+                this.startEventStream(res);
+                res.write(`data: ${JSON.stringify({
+                    type: 'session',
+                    chatId,
+                    userMessageId: editedMessage
+                })}\n\n`);
+
+                await this.streamReply(res, {
+                    chatId,
+                    userId: req.user.id,
+                    characterId: character.id,
+                    character,
+                    message: editedMessage.messageData.content,
+                    parentId: editedMessage.id,
+                    group: turn && turn.participants.length > 1 ? { participants: turn.participants } : null
                 });
 
             } catch (error) {
-                console.error('Chat Streaming API Error:', error);
+                if (!editedMessage) {
+                    return this.sendBranchError(res, error, 'Failed to edit message');
+                }
+
+                console.error('Edit Streaming API Error:', error);
                 res.write(`data: ${JSON.stringify({
                     type: 'error',
                     error: 'Failed to process message',
                     details: error.message
                 })}\n\n`);
                 res.end();
-                return; // Don't run background processing if there was an error
             }
         });
 
-        // Get chat history
-        this.router.get('/history/:chatId', async (req, res) => {
+        // Switch the active branch to a message and its latest descendants (protected)
+        this.router.post('/:chatId/messages/:messageId/switch', this.authMiddleware, async (req, res) => {
             try {
-                const { chatId } = req.params;
-                const { userId } = req.query;
-                
-                // Note: userId is optional for history endpoint for backwards compatibility
-                // but should be provided for proper user isolation
+                const { chatId, messageId } = req.params;
 
-                const databaseService = this.serviceFactory.get('database');
-                const messages = await databaseService.getDAL().conversations.getSessionHistory(chatId, 50, 0);
+                const chat = await this.getOwnedChat(chatId, req.user.id, res);
+                if (!chat) return;
+
+                const { activePath } = await this.serviceFactory.get('conversationBranch').switchBranch(chatId, messageId);
+                const messages = await this.serviceFactory.get('database').getDAL().conversations.getSessionHistory(chatId, 50, 0);
 
                 res.json({
                     success: true,
-                    data: messages
+                    data: {
+                        activePath,
+                        messages: await this.annotateSpeakers(chat, await this.annotateBranches(chatId, messages))
+                    }
                 });
 
             } catch (error) {
-                console.error('Chat History API Error:', error);
-                res.status(500).json({ 
-                    error: 'Failed to get chat history', 
-                    details: error.message 
-                });
+                this.sendBranchError(res, error, 'Failed to switch branch');
             }
         });
 
-        // Get psychology state
-        this.router.get('/psychology/:chatId', async (req, res) => {
+        // Get psychology state (protected)
+        // Query: characterId picks one character's state in a group chat
+        this.router.get('/psychology/:chatId', this.authMiddleware, async (req, res) => {
             try {
                 const { chatId } = req.params;
+                const { characterId } = req.query || {};
+
+                const chat = await this.getOwnedChat(chatId, req.user.id, res);
+                if (!chat) return;
                 
                 const psychologyService = this.serviceFactory.get('psychology');
-                const psychologyState = await psychologyService.getCharacterState(chatId);
+                const psychologyState = characterId
+                    ? await psychologyService.getCharacterState(chatId, characterId)
+                    : await psychologyService.getCharacterState(chatId);
 
                 res.json({
                     success: true,
@@ -726,10 +1463,14 @@ Stay in character as ${character.name}. You have complete awareness of all this
             }
         });
 
-        // Server-Sent Events endpoint for proactive messages
-        this.router.get('/proactive/:chatId', async (req, res) => {
+        // Server-Sent Events endpoint for proactive messages (protected)
+        // EventSource cannot set headers, so clients pass ?sessionToken=
+        this.router.get('/proactive/:chatId', this.authMiddleware, async (req, res) => {
             try {
                 const { chatId } = req.params;
+
+                const chat = await this.getOwnedChat(chatId, req.user.id, res);
+                if (!chat) return;
                 
                 // Set up Server-Sent Events headers (CORS already handled by main middleware)
                 res.writeHead(200, {
@@ -758,7 +1499,7 @@ Stay in character as ${character.name}. You have complete awareness of all this
                     return;
                 }
 
-                // Register session for proactive message delivery
+                // Register session for proactive message delivery; while it is open the user gets no push notifications
                 const cleanup = proactiveDelivery.registerSession(chatId, (message) => {
                     try {
                         res.write(`data: ${JSON.stringify({
@@ -769,7 +1510,7 @@ Stay in character as ${character.name}. You have complete awareness of all this
                     } catch (error) {
                         console.error('Error sending proactive message via SSE:', error);
                     }
-                });
+                }, req.user.id);
 
                 // Send periodic heartbeat to keep connection alive
                 const heartbeatInterval = setInterval(() => {
@@ -824,19 +1565,152 @@ Stay in character as ${character.name}. You have complete awareness of all this
             }
         });
 
-        // DELETE /:chatId - Delete a chat
-        this.router.delete('/:chatId', async (req, res) => {
+        // Export a chat as a file (protected)
+        // Query: format = md | json | html | jsonl (SillyTavern)
+        this.router.get('/:chatId/export', this.authMiddleware, async (req, res) => {
             try {
                 const { chatId } = req.params;
-                const { userId } = req.query;
+                const format = req.query.format || 'md';
+
+                const chat = await this.getOwnedChat(chatId, req.user.id, res);
+                if (!chat) return;
+
+                const exported = await this.serviceFactory.get('conversationExport').exportChat(chatId, req.user.id, format);
+
+                res.setHeader('Content-Type', exported.contentType);
+                res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+                res.send(exported.body);
 
-                if (!userId) {
+            } catch (error) {
+                console.error('Chat Export API Error:', error);
+                res.status(error.statusCode || 500).json({
+                    success: false,
+                    error: error.statusCode ? error.message : 'Failed to export chat',
+                    details: error.message
+                });
+            }
+        });
+
+        // Render the prompt the next reply in a chat would get, without calling the model (protected)
+        // Body: message (the user message to answer), speakerId (group chats, default: the chat's character),
+        //       templates ({ chat_system, chat_user_turn } unsaved drafts), deepSearch (also run the deep memory search)
+        this.router.post('/:chatId/prompt-preview', this.authMiddleware, async (req, res) => {
+            try {
+                const { chatId } = req.params;
+                const { message = '', speakerId = null, templates = {}, deepSearch = false } = req.body || {};
+
+                const drafts = templates && typeof templates === 'object' ? templates : {};
+                const invalid = Object.entries(drafts)
+                    .filter(([name, content]) => !['chat_system', 'chat_user_turn'].includes(name) || typeof content !== 'string');
+                if (typeof message !== 'string' || invalid.length > 0) {
                     return res.status(400).json({
                         success: false,
-                        error: 'Missing required parameter: userId'
+                        error: 'message must be a string and templates may only hold chat_system and chat_user_turn text'
                     });
                 }
 
+                const chat = await this.getOwnedChat(chatId, req.user.id, res);
+                if (!chat) return;
+                const character = await this.getChatCharacter(chat, res, speakerId);
+                if (!character) return;
+                const participants = await this.getChatParticipants(chat);
+
+                const { promptParts } = await this.gatherPromptParts({
+                    chatId,
+                    userId: req.user.id,
+                    characterId: character.id,
+                    character,
+                    message,
+                    group: participants.length > 1 ? { participants } : null,
+                    deepSearch: deepSearch === true
+                });
+                const assembled = await this.assemblePrompt(
+                    promptParts, message, req.user.id, character.id, drafts
+                );
+                // The same message list the LLM service sends to the provider
+                const messages = await this.serviceFactory.get('llm').buildConversationMessages(
+                    assembled.userTurn, assembled.history, this.buildMessageOptions(assembled)
+                );
+
+                res.json({
+                    success: true,
+                    data: {
+                        messages,
+                        stop: assembled.stop,
+                        speaker: { id: character.id, name: character.name },
+                        templates: assembled.templates,
+                        promptBudget: assembled.promptBudget
+                    }
+                });
+
+            } catch (error) {
+                console.error('Prompt Preview API Error:', error);
+                res.status(error.statusCode || 500).json({
+                    success: false,
+                    error: error.statusCode ? error.message : 'Failed to preview prompt',
+                    details: error.message
+                });
+            }
+        });
+
+        // Get the rolling conversation summary of a chat (protected)
+        this.router.get('/:chatId/summary', this.authMiddleware, async (req, res) => {
+            try {
+                const { chatId } = req.params;
+
+                const chat = await this.getOwnedChat(chatId, req.user.id, res);
+                if (!chat) return;
+
+                const summary = await this.serviceFactory.get('conversationSummary').getSummary(chatId);
+
+                res.json({
+                    success: true,
+                    data: summary
+                });
+
+            } catch (error) {
+                console.error('Get Summary API Error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to get conversation summary',
+                    details: error.message
+                });
+            }
+        });
+
+        // Reset the rolling conversation summary of a chat (protected)
+        // The summary is rebuilt from the full history after the next exchange
+        this.router.delete('/:chatId/summary', this.authMiddleware, async (req, res) => {
+            try {
+                const { chatId } = req.params;
+
+                const chat = await this.getOwnedChat(chatId, req.user.id, res);
+                if (!chat) return;
+
+                const deleted = await this.serviceFactory.get('conversationSummary').resetSummary(chatId);
+
+                res.json({
+                    success: true,
+                    message: deleted ? 'Conversation summary reset' : 'No conversation summary to reset',
+                    data: { deleted }
+                });
+
+            } catch (error) {
+                console.error('Reset Summary API Error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to reset conversation summary',
+                    details: error.message
+                });
+            }
+        });
+
+        // DELETE /:chatId - Delete a chat (protected)
+        this.router.delete('/:chatId', this.authMiddleware, async (req, res) => {
+            try {
+                const { chatId } = req.params;
+                const userId = req.user.id;
+
                 const databaseService = this.serviceFactory.get('database');
                 const dal = databaseService.getDAL();
 
@@ -1,4 +1,5 @@
 const express = require('express');
+const { createAuthMiddleware } = require('./authMiddleware');
 
 /**
  * Commitment Routes
@@ -12,27 +13,25 @@ class CommitmentRoutes {
     constructor(serviceFactory) {
         this.router = express.Router();
         this.serviceFactory = serviceFactory;
+        this.authMiddleware = createAuthMiddleware(serviceFactory);
         this.setupRoutes();
     }
 
     setupRoutes() {
         // CORS is handled by main server middleware
 
+        // Every commitment route acts as the session user (req.user)
+        this.router.use(this.authMiddleware);
+
         /**
          * GET /api/commitments/active
          * Get active commitments for a user in a chat
-         * Query params: userId, chatId
+         * Query params: chatId
          */
         this.router.get('/active', async (req, res) => {
             try {
-                const { userId, chatId } = req.query;
-
-                if (!userId) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Missing required parameter: userId'
-                    });
-                }
+                const { chatId } = req.query;
+                const userId = req.user.id;
 
                 if (!chatId) {
                     return res.status(400).json({
@@ -67,20 +66,14 @@ class CommitmentRoutes {
         /**
          * POST /api/commitments/:commitmentId/submit
          * Submit a commitment for verification
-         * Body: { userId, submissionText }
+         * Body: { submissionText }
          * UPDATED: Now includes automatic verification via TaskVerificationService
          */
         this.router.post('/:commitmentId/submit', async (req, res) => {
             try {
                 const { commitmentId } = req.params;
-                const { userId, submissionText } = req.body;
-
-                if (!userId) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Missing required field: userId'
-                    });
-                }
+                const { submissionText } = req.body;
+                const userId = req.user.id;
 
                 if (!submissionText || !submissionText.trim()) {
                     return res.status(400).json({
@@ -191,19 +184,13 @@ class CommitmentRoutes {
         /**
          * POST /api/commitments/:commitmentId/resubmit
          * Resubmit a commitment after 'needs_revision' feedback
-         * Body: { userId, submissionText }
+         * Body: { submissionText }
          */
         this.router.post('/:commitmentId/resubmit', async (req, res) => {
             try {
                 const { commitmentId } = req.params;
-                const { userId, submissionText } = req.body;
-
-                if (!userId) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Missing required field: userId'
-                    });
-                }
+                const { submissionText } = req.body;
+                const userId = req.user.id;
 
                 if (!submissionText || !submissionText.trim()) {
                     return res.status(400).json({
@@ -307,19 +294,11 @@ class CommitmentRoutes {
         /**
          * GET /api/commitments/:commitmentId/verification-history
          * Get verification history for a commitment
-         * Query params: userId
          */
         this.router.get('/:commitmentId/verification-history', async (req, res) => {
             try {
                 const { commitmentId } = req.params;
-                const { userId } = req.query;
-
-                if (!userId) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Missing required parameter: userId'
-                    });
-                }
+                const userId = req.user.id;
 
                 const databaseService = this.serviceFactory.get('database');
                 
@@ -388,19 +367,13 @@ class CommitmentRoutes {
         /**
          * POST /api/commitments/verify/:commitmentId
          * Verify a submitted commitment (character action)
-         * Body: { userId, verificationResult, reasoning }
+         * Body: { verificationResult, reasoning }
          */
         this.router.post('/verify/:commitmentId', async (req, res) => {
             try {
                 const { commitmentId } = req.params;
-                const { userId, verificationResult, reasoning } = req.body;
-
-                if (!userId) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Missing required field: userId'
-                    });
-                }
+                const { verificationResult, reasoning } = req.body;
+                const userId = req.user.id;
 
                 if (!verificationResult) {
                     return res.status(400).json({
@@ -463,19 +436,11 @@ class CommitmentRoutes {
         /**
          * DELETE /api/commitments/:commitmentId
          * Delete a commitment (user must own it)
-         * Query params: userId
          */
         this.router.delete('/:commitmentId', async (req, res) => {
             try {
                 const { commitmentId } = req.params;
-                const { userId } = req.query;
-
-                if (!userId) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Missing required parameter: userId'
-                    });
-                }
+                const userId = req.user.id;
 
                 const databaseService = this.serviceFactory.get('database');
                 
@@ -522,18 +487,12 @@ class CommitmentRoutes {
         /**
          * GET /api/commitments/history
          * Get commitment history for a user
-         * Query params: userId, chatId (optional), limit (optional)
+         * Query params: chatId (optional), limit (optional)
          */
         this.router.get('/history', async (req, res) => {
             try {
-                const { userId, chatId, limit } = req.query;
-
-                if (!userId) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Missing required parameter: userId'
-                    });
-                }
+                const { chatId, limit } = req.query;
+                const userId = req.user.id;
 
                 const databaseService = this.serviceFactory.get('database');
                 
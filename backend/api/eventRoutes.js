@@ -1,4 +1,6 @@
 const express = require('express');
+const { createAuthMiddleware } = require('./authMiddleware');
+const { sendError } = require('./routeErrors');
 
 /**
  * Event Routes
@@ -12,6 +14,7 @@ class EventRoutes {
     constructor(serviceFactory) {
         this.router = express.Router();
         this.serviceFactory = serviceFactory;
+        this.authMiddleware = createAuthMiddleware(serviceFactory);
         this.setupRoutes();
     }
 
@@ -19,21 +22,102 @@ class EventRoutes {
         // CORS is handled by main server middleware
 
         /**
-         * GET /api/events/upcoming
-         * Get upcoming events for a user in a chat
-         * Query params: userId, chatId, limit (optional)
+         * GET /api/events/calendar.ics
+         * iCalendar feed of the user's events for calendar apps
+         * Query params: token (the feed secret from GET /api/events/calendar/feed)
+         * Registered before the auth middleware: calendar apps cannot send a session
          */
-        this.router.get('/upcoming', async (req, res) => {
+        this.router.get('/calendar.ics', async (req, res) => {
             try {
-                const { userId, chatId, limit } = req.query;
-
-                if (!userId) {
-                    return res.status(400).json({
+                const { token } = req.query;
+                if (!token || typeof token !== 'string') {
+                    return res.status(401).json({
                         success: false,
-                        error: 'Missing required parameter: userId'
+                        error: 'Missing calendar feed token'
                     });
                 }
 
+                const calendar = await this.serviceFactory.get('calendar').renderFeed(token);
+
+                res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+                res.setHeader('Content-Disposition', 'inline; filename="aria-events.ics"');
+                res.setHeader('Cache-Control', 'private, max-age=300');
+                res.send(calendar);
+
+            } catch (error) {
+                sendError(res, error, 'Render calendar feed');
+            }
+        });
+
+        // Every other event route acts as the session user (req.user)
+        this.router.use(this.authMiddleware);
+
+        /**
+         * GET /api/events/calendar/feed
+         * The user's calendar feed URL path (issues a secret on first use)
+         */
+        this.router.get('/calendar/feed', async (req, res) => {
+            try {
+                const feed = await this.serviceFactory.get('calendar').getFeed(req.user.id);
+
+                res.json({
+                    success: true,
+                    data: feed
+                });
+
+            } catch (error) {
+                sendError(res, error, 'Get calendar feed');
+            }
+        });
+
+        /**
+         * POST /api/events/calendar/feed/rotate
+         * Replace the feed secret; the old feed URL stops working
+         */
+        this.router.post('/calendar/feed/rotate', async (req, res) => {
+            try {
+                const feed = await this.serviceFactory.get('calendar').getFeed(req.user.id, { rotate: true });
+
+                res.json({
+                    success: true,
+                    data: feed
+                });
+
+            } catch (error) {
+                sendError(res, error, 'Rotate calendar feed');
+            }
+        });
+
+        /**
+         * POST /api/events/import
+         * Create events in a chat from an .ics file
+         * Body: { chatId, ics }
+         */
+        this.router.post('/import', async (req, res) => {
+            try {
+                const result = await this.serviceFactory.get('calendar')
+                    .importCalendar(req.user.id, req.body || {});
+
+                res.status(201).json({
+                    success: true,
+                    data: result
+                });
+
+            } catch (error) {
+                sendError(res, error, 'Import calendar');
+            }
+        });
+
+        /**
+         * GET /api/events/upcoming
+         * Get upcoming events for a user in a chat
+         * Query params: chatId, limit (optional)
+         */
+        this.router.get('/upcoming', async (req, res) => {
+            try {
+                const { chatId, limit } = req.query;
+                const userId = req.user.id;
+
                 if (!chatId) {
                     return res.status(400).json({
                         success: false,
@@ -68,19 +152,11 @@ class EventRoutes {
         /**
          * GET /api/events/:eventId
          * Get event details by ID
-         * Query params: userId
          */
         this.router.get('/:eventId', async (req, res) => {
             try {
                 const { eventId } = req.params;
-                const { userId } = req.query;
-
-                if (!userId) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Missing required parameter: userId'
-                    });
-                }
+                const userId = req.user.id;
 
                 const databaseService = this.serviceFactory.get('database');
                 
@@ -120,19 +196,13 @@ class EventRoutes {
         /**
          * PUT /api/events/:eventId/status
          * Update event status
-         * Body: { userId, status }
+         * Body: { status }
          */
         this.router.put('/:eventId/status', async (req, res) => {
             try {
                 const { eventId } = req.params;
-                const { userId, status } = req.body;
-
-                if (!userId) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Missing required field: userId'
-                    });
-                }
+                const { status } = req.body;
+                const userId = req.user.id;
 
                 if (!status) {
                     return res.status(400).json({
@@ -190,19 +260,11 @@ class EventRoutes {
         /**
          * DELETE /api/events/:eventId
          * Deactivate an event (soft delete)
-         * Query params: userId
          */
         this.router.delete('/:eventId', async (req, res) => {
             try {
                 const { eventId } = req.params;
-                const { userId } = req.query;
-
-                if (!userId) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Missing required parameter: userId'
-                    });
-                }
+                const userId = req.user.id;
 
                 const databaseService = this.serviceFactory.get('database');
                 
@@ -244,19 +306,13 @@ class EventRoutes {
         /**
          * POST /api/events/:eventId/reschedule
          * Reschedule an event (update next_occurrence)
-         * Body: { userId, new_time }
+         * Body: { new_time }
          */
         this.router.post('/:eventId/reschedule', async (req, res) => {
             try {
                 const { eventId } = req.params;
-                const { userId, new_time } = req.body;
-
-                if (!userId) {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Missing required field: userId'
-                    });
-                }
+                const { new_time } = req.body;
+                const userId = req.user.id;
 
                 if (!new_time) {
                     return res.status(400).json({
@@ -317,6 +373,28 @@ class EventRoutes {
                 });
             }
         });
+
+        /**
+         * POST /api/events/:eventId/exceptions
+         * Skip one occurrence of a recurring event (adds an EXDATE)
+         * Body: { occurrence }
+         */
+        this.router.post('/:eventId/exceptions', async (req, res) => {
+            try {
+                const { occurrence } = req.body || {};
+                const result = await this.serviceFactory.get('calendar')
+                    .skipOccurrence(req.user.id, req.params.eventId, occurrence);
+
+                res.json({
+                    success: true,
+                    message: 'Occurrence skipped',
+                    data: result
+                });
+
+            } catch (error) {
+                sendError(res, error, 'Skip event occurrence');
+            }
+        });
     }
 
     getRouter() {
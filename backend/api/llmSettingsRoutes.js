@@ -75,7 +75,8 @@ class LLMSettingsRoutes {
                     global: {
                         conversational: globalConversational,
                         analytical: globalAnalytical
-                    }
+                    },
+                    providers: await llmConfigService.listProviders()
                 };
 
                 // Get user preferences if userId provided
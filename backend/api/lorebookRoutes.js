@@ -0,0 +1,213 @@
+const express = require('express');
+const { createAuthMiddleware } = require('./authMiddleware');
+const { sendError } = require('./routeErrors');
+
+/**
+ * Lorebook Routes
+ *
+ * CLEAN ARCHITECTURE DESIGN:
+ * - API Layer: Handles HTTP requests/responses for lorebooks and their entries
+ * - Uses LorebookService for validation, ownership checks and world-info import
+ * - Enforces user isolation for all operations
+ */
+class LorebookRoutes {
+    constructor(serviceFactory) {
+        this.router = express.Router();
+        this.serviceFactory = serviceFactory;
+        this.authMiddleware = createAuthMiddleware(serviceFactory);
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        // CORS is handled by main server middleware
+
+        // Every lorebook route acts as the session user (req.user)
+        this.router.use(this.authMiddleware);
+
+        /**
+         * GET /api/lorebooks
+         * List the user's lorebooks
+         * Query params: characterId (optional) - only books that apply to this character
+         */
+        this.router.get('/', async (req, res) => {
+            try {
+                const lorebooks = await this.serviceFactory.get('lorebook')
+                    .listLorebooks(req.user.id, req.query.characterId || null);
+
+                res.json({
+                    success: true,
+                    data: lorebooks
+                });
+
+            } catch (error) {
+                sendError(res, error, 'List lorebooks');
+            }
+        });
+
+        /**
+         * POST /api/lorebooks
+         * Create a lorebook
+         * Body: { name, description, characterId, scanDepth, tokenBudget, isActive, entries }
+         */
+        this.router.post('/', async (req, res) => {
+            try {
+                const lorebook = await this.serviceFactory.get('lorebook')
+                    .createLorebook(req.user.id, req.body || {});
+
+                res.status(201).json({
+                    success: true,
+                    data: lorebook
+                });
+
+            } catch (error) {
+                sendError(res, error, 'Create lorebook');
+            }
+        });
+
+        /**
+         * POST /api/lorebooks/import
+         * Import a SillyTavern world-info file or a character card's character_book
+         * Body: { worldInfo, name, characterId }
+         */
+        this.router.post('/import', async (req, res) => {
+            try {
+                const { worldInfo, name, characterId } = req.body || {};
+                const result = await this.serviceFactory.get('lorebook')
+                    .importWorldInfo(req.user.id, worldInfo, { name, characterId });
+
+                res.status(201).json({
+                    success: true,
+                    data: result.lorebook,
+                    warnings: result.warnings
+                });
+
+            } catch (error) {
+                sendError(res, error, 'Import world info');
+            }
+        });
+
+        /**
+         * GET /api/lorebooks/:lorebookId
+         * Get a lorebook with its entries
+         */
+        this.router.get('/:lorebookId', async (req, res) => {
+            try {
+                const lorebook = await this.serviceFactory.get('lorebook')
+                    .getLorebook(req.params.lorebookId, req.user.id);
+
+                res.json({
+                    success: true,
+                    data: lorebook
+                });
+
+            } catch (error) {
+                sendError(res, error, 'Get lorebook');
+            }
+        });
+
+        /**
+         * PUT /api/lorebooks/:lorebookId
+         * Update a lorebook's settings
+         * Body: { name, description, characterId, scanDepth, tokenBudget, isActive }
+         */
+        this.router.put('/:lorebookId', async (req, res) => {
+            try {
+                const lorebook = await this.serviceFactory.get('lorebook')
+                    .updateLorebook(req.params.lorebookId, req.user.id, req.body || {});
+
+                res.json({
+                    success: true,
+                    data: lorebook
+                });
+
+            } catch (error) {
+                sendError(res, error, 'Update lorebook');
+            }
+        });
+
+        /**
+         * DELETE /api/lorebooks/:lorebookId
+         * Delete a lorebook and its entries
+         */
+        this.router.delete('/:lorebookId', async (req, res) => {
+            try {
+                await this.serviceFactory.get('lorebook')
+                    .deleteLorebook(req.params.lorebookId, req.user.id);
+
+                res.json({
+                    success: true,
+                    message: 'Lorebook deleted successfully'
+                });
+
+            } catch (error) {
+                sendError(res, error, 'Delete lorebook');
+            }
+        });
+
+        /**
+         * POST /api/lorebooks/:lorebookId/entries
+         * Add an entry
+         * Body: { name, keys, secondary_keys, selective_logic, content, priority, position, token_limit, constant, case_sensitive, enabled }
+         */
+        this.router.post('/:lorebookId/entries', async (req, res) => {
+            try {
+                const entry = await this.serviceFactory.get('lorebook')
+                    .createEntry(req.params.lorebookId, req.user.id, req.body || {});
+
+                res.status(201).json({
+                    success: true,
+                    data: entry
+                });
+
+            } catch (error) {
+                sendError(res, error, 'Create lorebook entry');
+            }
+        });
+
+        /**
+         * PUT /api/lorebooks/:lorebookId/entries/:entryId
+         * Update an entry (only the fields that are sent)
+         */
+        this.router.put('/:lorebookId/entries/:entryId', async (req, res) => {
+            try {
+                const { lorebookId, entryId } = req.params;
+                const entry = await this.serviceFactory.get('lorebook')
+                    .updateEntry(lorebookId, entryId, req.user.id, req.body || {});
+
+                res.json({
+                    success: true,
+                    data: entry
+                });
+
+            } catch (error) {
+                sendError(res, error, 'Update lorebook entry');
+            }
+        });
+
+        /**
+         * DELETE /api/lorebooks/:lorebookId/entries/:entryId
+         * Delete an entry
+         */
+        this.router.delete('/:lorebookId/entries/:entryId', async (req, res) => {
+            try {
+                const { lorebookId, entryId } = req.params;
+                await this.serviceFactory.get('lorebook')
+                    .deleteEntry(lorebookId, entryId, req.user.id);
+
+                res.json({
+                    success: true,
+                    message: 'Lorebook entry deleted successfully'
+                });
+
+            } catch (error) {
+                sendError(res, error, 'Delete lorebook entry');
+            }
+        });
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = LorebookRoutes;
@@ -1,5 +1,7 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
+const { createAuthMiddleware } = require('./authMiddleware');
+const { sendError } = require('./routeErrors');
 
 /**
  * Proactive Messaging Routes
@@ -10,25 +12,60 @@ class ProactiveRoutes {
     constructor(serviceFactory) {
         this.router = express.Router();
         this.serviceFactory = serviceFactory;
+        this.authMiddleware = createAuthMiddleware(serviceFactory);
         this.setupRoutes();
     }
 
     setupRoutes() {
         // CORS is handled by main server middleware
 
-        // POST /schedule - Schedule a proactive message
-        this.router.post('/schedule', async (req, res) => {
+        // Every proactive route acts as the session user (req.user)
+        this.router.use(this.authMiddleware);
+
+        // GET /settings - Quiet hours, do-not-disturb, daily cap and cool-down
+        this.router.get('/settings', async (req, res) => {
             try {
-                const { userId, chatId, characterId, message, scheduledFor } = req.body;
+                const settings = await this.serviceFactory.get('proactivePolicy').getSettings(req.user.id);
+                res.json({ success: true, data: settings });
+            } catch (error) {
+                sendError(res, error, 'Get proactive settings');
+            }
+        });
 
-                // Validate required fields
-                if (!userId) {
-                    return res.status(400).json({ 
-                        success: false, 
-                        error: 'userId is required' 
+        // PUT /settings - Change some settings; deferred messages are checked again
+        this.router.put('/settings', async (req, res) => {
+            try {
+                const settings = await this.serviceFactory.get('proactivePolicy').updateSettings(req.user.id, req.body);
+                res.json({ success: true, data: settings });
+            } catch (error) {
+                sendError(res, error, 'Update proactive settings');
+            }
+        });
+
+        // GET /suppressions - Messages recently held back by the settings
+        this.router.get('/suppressions', async (req, res) => {
+            try {
+                const parsedLimit = parseInt(req.query.limit ?? 20, 10);
+                if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'limit must be between 1 and 100'
                     });
                 }
 
+                const suppressions = await this.serviceFactory.get('proactivePolicy').getSuppressions(req.user.id, parsedLimit);
+                res.json({ success: true, data: suppressions });
+            } catch (error) {
+                sendError(res, error, 'Get proactive suppressions');
+            }
+        });
+
+        // POST /schedule - Schedule a proactive message
+        this.router.post('/schedule', async (req, res) => {
+            try {
+                const { chatId, characterId, message, scheduledFor } = req.body;
+                const userId = req.user.id;
+
                 if (!chatId) {
                     return res.status(400).json({ 
                         success: false, 
@@ -57,10 +94,34 @@ class ProactiveRoutes {
                     });
                 }
 
+                if (Number.isNaN(new Date(scheduledFor).getTime())) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'scheduledFor must be a valid date' 
+                    });
+                }
+
                 // Get services
                 const databaseService = this.serviceFactory.get('database');
                 const dal = databaseService.getDAL();
 
+                // Verify chat and character belong to user (user isolation)
+                const chat = await dal.conversations.getChatById(chatId);
+                if (!chat || chat.user_id !== userId) {
+                    return res.status(404).json({ 
+                        success: false, 
+                        error: 'Chat not found' 
+                    });
+                }
+
+                const character = await dal.personalities.getCharacter(characterId);
+                if (!character || character.user_id !== userId) {
+                    return res.status(404).json({ 
+                        success: false, 
+                        error: 'Character not found' 
+                    });
+                }
+
                 // Create engagement record
                 const engagementId = uuidv4();
                 const sql = `
@@ -83,9 +144,24 @@ class ProactiveRoutes {
                     new Date().toISOString()
                 ]);
 
+                // Queue the delivery (the scheduling worker picks it up when due)
+                const job = await dal.proactiveJobs.enqueue({
+                    userId,
+                    chatId,
+                    personalityId: characterId,
+                    engagementId,
+                    runAt: scheduledFor,
+                    payload: {
+                        personalityName: character.name,
+                        content: message,
+                        trigger: 'api_scheduled'
+                    }
+                });
+
                 res.json({ 
                     success: true, 
-                    engagementId 
+                    engagementId,
+                    jobId: job.id
                 });
 
             } catch (error) {
@@ -100,15 +176,7 @@ class ProactiveRoutes {
         // GET /pending - Get pending proactive messages for a user
         this.router.get('/pending', async (req, res) => {
             try {
-                const { userId } = req.query;
-
-                // Validate required fields
-                if (!userId) {
-                    return res.status(400).json({ 
-                        success: false, 
-                        error: 'userId is required' 
-                    });
-                }
+                const userId = req.user.id;
 
                 // Get services
                 const databaseService = this.serviceFactory.get('database');
@@ -154,7 +222,7 @@ class ProactiveRoutes {
                 const dal = databaseService.getDAL();
 
                 // Get engagement to verify it exists
-                const checkSql = `SELECT id FROM proactive_engagements WHERE id = ?`;
+                const checkSql = `SELECT id, user_id FROM proactive_engagements WHERE id = ?`;
                 const engagement = await dal.queryOne(checkSql, [engagementId]);
                 
                 if (!engagement) {
@@ -164,6 +232,14 @@ class ProactiveRoutes {
                     });
                 }
 
+                // Verify engagement belongs to user (user isolation)
+                if (engagement.user_id !== req.user.id) {
+                    return res.status(403).json({ 
+                        success: false, 
+                        error: 'Access denied: This engagement does not belong to you' 
+                    });
+                }
+
                 // Update status to cancelled
                 const updateSql = `
                     UPDATE proactive_engagements 
@@ -172,6 +248,7 @@ class ProactiveRoutes {
                 `;
                 
                 await dal.execute(updateSql, [new Date().toISOString(), engagementId]);
+                await dal.proactiveJobs.cancelByEngagement(engagementId);
 
                 res.json({ 
                     success: true 
@@ -189,15 +266,8 @@ class ProactiveRoutes {
         // GET /history - Get proactive message history for a user
         this.router.get('/history', async (req, res) => {
             try {
-                const { userId, limit = 50 } = req.query;
-
-                // Validate required fields
-                if (!userId) {
-                    return res.status(400).json({ 
-                        success: false, 
-                        error: 'userId is required' 
-                    });
-                }
+                const { limit = 50 } = req.query;
+                const userId = req.user.id;
 
                 // Validate limit
                 const parsedLimit = parseInt(limit, 10);
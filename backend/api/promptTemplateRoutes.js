@@ -0,0 +1,138 @@
+const express = require('express');
+const { createAuthMiddleware } = require('./authMiddleware');
+const { sendError } = require('./routeErrors');
+
+/**
+ * Prompt Template Routes
+ *
+ * CLEAN ARCHITECTURE DESIGN:
+ * - API Layer: Handles HTTP requests/responses for prompt template overrides
+ * - Uses PromptTemplateService for validation, the override cascade and versioning
+ * - User and character overrides belong to the session user; global ones apply to everyone
+ *   (like the global LLM configuration)
+ * - The rendered prompt of a chat is previewed through POST /api/chat/:chatId/prompt-preview
+ */
+class PromptTemplateRoutes {
+    constructor(serviceFactory) {
+        this.router = express.Router();
+        this.serviceFactory = serviceFactory;
+        this.authMiddleware = createAuthMiddleware(serviceFactory);
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        // CORS is handled by main server middleware
+
+        // Every template route acts as the session user (req.user)
+        this.router.use(this.authMiddleware);
+
+        /**
+         * GET /api/prompt-templates
+         * List every template with its placeholders, built-in text, overrides and the version in use
+         * Query params: characterId (optional) - include this character's overrides
+         */
+        this.router.get('/', async (req, res) => {
+            try {
+                const templates = await this.serviceFactory.get('promptTemplates')
+                    .listTemplates(req.user.id, req.query.characterId || null);
+
+                res.json({
+                    success: true,
+                    data: templates
+                });
+
+            } catch (error) {
+                sendError(res, error, 'List prompt templates');
+            }
+        });
+
+        /**
+         * GET /api/prompt-templates/:name/versions
+         * Version history of one override, newest first
+         * Query params: scope (global | user | character), characterId (character scope)
+         */
+        this.router.get('/:name/versions', async (req, res) => {
+            try {
+                const { scope, characterId } = req.query;
+                const versions = await this.serviceFactory.get('promptTemplates')
+                    .getVersions(req.params.name, req.user.id, { scope, characterId });
+
+                res.json({
+                    success: true,
+                    data: versions
+                });
+
+            } catch (error) {
+                sendError(res, error, 'Get prompt template versions');
+            }
+        });
+
+        /**
+         * PUT /api/prompt-templates/:name
+         * Save a new version of an override
+         * Body: { scope, characterId, content, note }
+         */
+        this.router.put('/:name', async (req, res) => {
+            try {
+                const saved = await this.serviceFactory.get('promptTemplates')
+                    .saveTemplate(req.params.name, req.user.id, req.body || {});
+
+                res.status(201).json({
+                    success: true,
+                    data: saved
+                });
+
+            } catch (error) {
+                sendError(res, error, 'Save prompt template');
+            }
+        });
+
+        /**
+         * POST /api/prompt-templates/:name/restore
+         * Make an earlier version current again (saved as a new version)
+         * Body: { scope, characterId, version }
+         */
+        this.router.post('/:name/restore', async (req, res) => {
+            try {
+                const restored = await this.serviceFactory.get('promptTemplates')
+                    .restoreVersion(req.params.name, req.user.id, req.body || {});
+
+                res.status(201).json({
+                    success: true,
+                    data: restored
+                });
+
+            } catch (error) {
+                sendError(res, error, 'Restore prompt template version');
+            }
+        });
+
+        /**
+         * DELETE /api/prompt-templates/:name
+         * Remove an override and its history; the next scope down applies again
+         * Query params: scope (global | user | character), characterId (character scope)
+         */
+        this.router.delete('/:name', async (req, res) => {
+            try {
+                const { scope, characterId } = req.query;
+                const result = await this.serviceFactory.get('promptTemplates')
+                    .resetTemplate(req.params.name, req.user.id, { scope, characterId });
+
+                res.json({
+                    success: true,
+                    data: result,
+                    message: 'Prompt template reset successfully'
+                });
+
+            } catch (error) {
+                sendError(res, error, 'Reset prompt template');
+            }
+        });
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = PromptTemplateRoutes;
@@ -0,0 +1,118 @@
+const express = require('express');
+const { createAuthMiddleware } = require('./authMiddleware');
+const { sendError } = require('./routeErrors');
+
+/**
+ * Push Notification Routes
+ *
+ * CLEAN ARCHITECTURE DESIGN:
+ * - API Layer: Handles HTTP requests/responses for browser push subscriptions
+ * - Uses PushNotificationService for validation, VAPID keys and sending
+ * - Subscriptions belong to the session user; proactive messages reach them
+ *   while the user has no WebSocket open
+ */
+class PushRoutes {
+    constructor(serviceFactory) {
+        this.router = express.Router();
+        this.serviceFactory = serviceFactory;
+        this.authMiddleware = createAuthMiddleware(serviceFactory);
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        // CORS is handled by main server middleware
+
+        // Every push route acts as the session user (req.user)
+        this.router.use(this.authMiddleware);
+
+        /**
+         * GET /api/push/vapid-public-key
+         * Application server key for PushManager.subscribe (base64url)
+         */
+        this.router.get('/vapid-public-key', async (req, res) => {
+            try {
+                const publicKey = this.serviceFactory.get('pushNotification').getPublicKey();
+                if (!publicKey) {
+                    return res.status(503).json({
+                        success: false,
+                        error: 'Push notifications are not available'
+                    });
+                }
+                res.json({ success: true, data: { publicKey } });
+            } catch (error) {
+                sendError(res, error, 'Get push public key');
+            }
+        });
+
+        /**
+         * GET /api/push/subscriptions
+         * The session user's subscribed browsers
+         */
+        this.router.get('/subscriptions', async (req, res) => {
+            try {
+                const subscriptions = await this.serviceFactory.get('pushNotification').getSubscriptions(req.user.id);
+                res.json({ success: true, data: subscriptions });
+            } catch (error) {
+                sendError(res, error, 'Get push subscriptions');
+            }
+        });
+
+        /**
+         * POST /api/push/subscriptions
+         * Register a browser
+         * Body: { subscription } - PushSubscription.toJSON()
+         */
+        this.router.post('/subscriptions', async (req, res) => {
+            try {
+                const subscription = await this.serviceFactory.get('pushNotification')
+                    .subscribe(req.user.id, req.body?.subscription, req.get('user-agent') || null);
+
+                res.status(201).json({
+                    success: true,
+                    data: subscription,
+                    message: 'Push notifications enabled'
+                });
+            } catch (error) {
+                sendError(res, error, 'Save push subscription');
+            }
+        });
+
+        /**
+         * DELETE /api/push/subscriptions
+         * Remove a browser
+         * Body: { endpoint }
+         */
+        this.router.delete('/subscriptions', async (req, res) => {
+            try {
+                await this.serviceFactory.get('pushNotification').unsubscribe(req.user.id, req.body?.endpoint);
+                res.json({ success: true, message: 'Push notifications disabled' });
+            } catch (error) {
+                sendError(res, error, 'Remove push subscription');
+            }
+        });
+
+        /**
+         * POST /api/push/test
+         * Send a test notification to every subscribed browser of the session user
+         */
+        this.router.post('/test', async (req, res) => {
+            try {
+                const result = await this.serviceFactory.get('pushNotification').sendToUser(req.user.id, {
+                    title: 'Aria',
+                    body: 'Push notifications are working.',
+                    tag: 'push-test',
+                    data: { type: 'test', url: '/' }
+                });
+                res.json({ success: true, data: result });
+            } catch (error) {
+                sendError(res, error, 'Send test notification');
+            }
+        });
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = PushRoutes;
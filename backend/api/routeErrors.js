@@ -0,0 +1,30 @@
+/**
+ * Route Errors - Shared error responses for API routes
+ *
+ * CLEAN ARCHITECTURE:
+ * - Services mark expected errors with a statusCode (400 invalid input,
+ *   404 missing or foreign resource, 409 conflict); see AbstractService
+ * - Routes send those as they are and anything else as a 500
+ */
+
+/**
+ * Send a service error with its status code, or a 500 "Failed to <message>"
+ */
+function sendError(res, error, message) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+    console.error(`${message} API Error:`, error);
+    res.status(500).json({
+        success: false,
+        error: `Failed to ${message.toLowerCase()}`,
+        details: error.message
+    });
+}
+
+module.exports = {
+    sendError
+};
@@ -7,6 +7,9 @@ const ProactiveRoutes = require('./proactiveRoutes');
 const LLMSettingsRoutes = require('./llmSettingsRoutes');
 const CommitmentRoutes = require('./commitmentRoutes');
 const EventRoutes = require('./eventRoutes');
+const LorebookRoutes = require('./lorebookRoutes');
+const PromptTemplateRoutes = require('./promptTemplateRoutes');
+const PushRoutes = require('./pushRoutes');
 const AuthRoutes = require('./authRoutes');
 const UserRoutes = require('./userRoutes');
 const { setupWebSocketServer } = require('./websocket');
@@ -39,7 +42,9 @@ class APIServer {
                 // Deny but don't throw error - just return false
                 callback(null, false);
             },
-            credentials: true
+            credentials: true,
+            // Lets the frontend read download filenames (chat exports)
+            exposedHeaders: ['Content-Disposition']
         }));
 
         // Parse JSON bodies with larger limit for character imports
@@ -111,6 +116,18 @@ class APIServer {
         const eventRoutes = new EventRoutes(this.serviceFactory);
         this.app.use('/api/events', eventRoutes.getRouter());
 
+        // Lorebook routes
+        const lorebookRoutes = new LorebookRoutes(this.serviceFactory);
+        this.app.use('/api/lorebooks', lorebookRoutes.getRouter());
+
+        // Prompt template routes
+        const promptTemplateRoutes = new PromptTemplateRoutes(this.serviceFactory);
+        this.app.use('/api/prompt-templates', promptTemplateRoutes.getRouter());
+
+        // Push notification routes
+        const pushRoutes = new PushRoutes(this.serviceFactory);
+        this.app.use('/api/push', pushRoutes.getRouter());
+
         // 404 handler
         this.app.use((req, res) => {
             res.status(404).json({ error: 'API endpoint not found' });
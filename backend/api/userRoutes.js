@@ -1,5 +1,6 @@
 const express = require('express');
 const { createAuthMiddleware } = require('./authMiddleware');
+const DateTimeUtils = require('../utils/datetime_utils');
 
 class UserRoutes {
     constructor(serviceFactory) {
@@ -45,7 +46,9 @@ class UserRoutes {
                     profile: {
                         name: profile.name || '',
                         birthdate: profile.birthdate || '',
-                        bio: profile.bio || ''
+                        bio: profile.bio || '',
+                        timezone: user.timezone || '',
+                        locale: user.locale || ''
                     }
                 });
 
@@ -79,6 +82,24 @@ class UserRoutes {
                     });
                 }
 
+                // Empty time zone / locale = server default
+                const timezone = profile.timezone ? String(profile.timezone).trim() : null;
+                const locale = profile.locale ? String(profile.locale).trim() : null;
+
+                if (timezone && !DateTimeUtils.isValidTimeZone(timezone)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Unknown time zone: ${timezone}`
+                    });
+                }
+
+                if (locale && !DateTimeUtils.isValidLocale(locale)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Unsupported locale: ${locale}`
+                    });
+                }
+
                 const databaseService = this.serviceFactory.get('database');
                 const dal = databaseService.getDAL();
 
@@ -94,6 +115,7 @@ class UserRoutes {
                     { user_profile: JSON.stringify(profileData) },
                     { id: userId }
                 );
+                await dal.users.updateTimeSettings(userId, { timezone, locale });
 
                 res.json({
                     success: true
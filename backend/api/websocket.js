@@ -2,19 +2,34 @@
  * WebSocket Server Setup
  * Handles real-time bidirectional communication with clients
  * Integrates with MessageDeliveryService for proactive message delivery
+ *
+ * Clients authenticate with their session token (?token=, Authorization or
+ * x-auth-token). The token is checked with AuthService.validateSession at
+ * upgrade time, re-checked while the socket is open, and the socket is closed
+ * once the session expires or is logged out. Reconnecting with
+ * ?lastMessageId=<id> replays the messages sent since that one.
  */
 
 const WebSocket = require('ws');
 const url = require('url');
 
+// How often an open socket re-validates its session (logout, deactivation)
+const SESSION_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Close code for expired sessions (4000-4999 are reserved for applications)
+const SESSION_EXPIRED_CODE = 4001;
+
 /**
  * Setup WebSocket server on existing HTTP server
  * @param {http.Server} server - HTTP server instance
  * @param {ServiceFactory} serviceFactory - Service factory for dependency injection
+ * @param {Object} options - { sessionCheckIntervalMs }
  */
-function setupWebSocketServer(server, serviceFactory) {
+function setupWebSocketServer(server, serviceFactory, options = {}) {
     const logger = serviceFactory.get('logger');
     const messageDelivery = serviceFactory.get('messageDelivery');
+    const authService = serviceFactory.get('auth');
+    const sessionCheckIntervalMs = options.sessionCheckIntervalMs || SESSION_CHECK_INTERVAL_MS;
     
     if (!logger) {
         throw new Error('Logger service is required for WebSocket server');
@@ -24,44 +39,121 @@ function setupWebSocketServer(server, serviceFactory) {
         logger.error('MessageDelivery service not available', 'WebSocket');
         throw new Error('MessageDelivery service is required for WebSocket server');
     }
+
+    if (!authService) {
+        logger.error('Auth service not available', 'WebSocket');
+        throw new Error('Auth service is required for WebSocket server');
+    }
     
-    // Create WebSocket server
-    const wss = new WebSocket.Server({ server });
+    // Create WebSocket server - sessions are validated before the upgrade completes
+    const wss = new WebSocket.Server({
+        server,
+        verifyClient: (info, done) => {
+            verifySession(info.req, authService, logger)
+                .then(validation => {
+                    if (!validation) {
+                        done(false, 401, 'Unauthorized');
+                        return;
+                    }
+                    info.req.session = validation;
+                    done(true);
+                })
+                .catch(error => {
+                    logger.error('Error validating WebSocket session', 'WebSocket', {
+                        error: error.message
+                    });
+                    done(false, 500, 'Session validation failed');
+                });
+        }
+    });
     
     logger.info('WebSocket server created', 'WebSocket');
     
-    // Handle new connections
+    // Handle new connections (already authenticated by verifyClient)
     wss.on('connection', async (ws, req) => {
-        let userId = null;
+        const { token, user, expiresAt } = req.session;
+        const userId = user.id;
+        let sessionTimer = null;
+        let closed = false;
         
-        try {
-            // Extract token from query params or headers
-            const token = extractToken(req);
+        // Re-validate on an interval and at expiry; close once the session is gone
+        const scheduleSessionCheck = (sessionExpiresAt) => {
+            const untilExpiry = sessionExpiresAt ? new Date(sessionExpiresAt).getTime() - Date.now() : Infinity;
+            const delay = Math.max(0, Math.min(sessionCheckIntervalMs, untilExpiry));
             
-            if (!token) {
-                logger.warn('WebSocket connection rejected - no token provided', 'WebSocket');
-                ws.close(1008, 'Authentication required');
-                return;
-            }
-            
-            // Basic token validation
-            if (typeof token !== 'string' || token.trim() === '') {
-                logger.warn('WebSocket connection rejected - invalid token', 'WebSocket');
-                ws.close(1008, 'Invalid token');
-                return;
+            sessionTimer = setTimeout(async () => {
+                try {
+                    const validation = await authService.validateSession(token);
+                    // The socket may have closed while the session was checked
+                    if (ws.readyState !== WebSocket.OPEN) {
+                        return;
+                    }
+                    if (!validation.valid || String(validation.user.id) !== String(userId)) {
+                        logger.info('WebSocket session expired', 'WebSocket', { userId });
+                        ws.close(SESSION_EXPIRED_CODE, 'Session expired');
+                        return;
+                    }
+                    scheduleSessionCheck(validation.expiresAt);
+                } catch (error) {
+                    logger.error('Error re-validating WebSocket session', 'WebSocket', {
+                        userId,
+                        error: error.message
+                    });
+                    if (ws.readyState === WebSocket.OPEN) {
+                        scheduleSessionCheck(sessionExpiresAt);
+                    }
+                }
+            }, delay);
+        };
+        
+        // Handle connection close - attached before registering, so a socket that
+        // closes while registration is awaited is still unregistered
+        ws.on('close', async (code, reason) => {
+            closed = true;
+            clearTimeout(sessionTimer);
+            try {
+                await messageDelivery.unregisterConnection(userId, ws);
+                logger.info('WebSocket connection closed', 'WebSocket', {
+                    userId,
+                    code,
+                    reason: reason.toString()
+                });
+            } catch (error) {
+                logger.error('Error during WebSocket cleanup', 'WebSocket', {
+                    userId,
+                    error: error.message
+                });
             }
+        });
+        
+        // Handle errors
+        ws.on('error', (error) => {
+            logger.error('WebSocket error occurred', 'WebSocket', {
+                userId,
+                error: error.message
+            });
             
-            // Extract userId from token (simple parsing)
-            userId = extractUserId(token);
-            
-            if (!userId) {
-                logger.warn('WebSocket connection rejected - cannot extract userId', 'WebSocket');
-                ws.close(1008, 'Invalid token format');
-                return;
+            // Graceful disconnect on error
+            try {
+                if (ws.readyState === WebSocket.OPEN) {
+                    ws.close(1011, 'Internal error');
+                }
+            } catch (closeError) {
+                logger.error('Error closing WebSocket after error', 'WebSocket', {
+                    error: closeError.message
+                });
             }
-            
+        });
+        
+        try {
             // Register connection with MessageDeliveryService
             await messageDelivery.registerConnection(userId, ws);
+            if (closed) {
+                // Closed while registering: the close handler ran before the socket was added
+                await messageDelivery.unregisterConnection(userId, ws);
+                return;
+            }
+            scheduleSessionCheck(expiresAt);
             
             logger.info('WebSocket connection established', 'WebSocket', {
                 userId,
@@ -110,46 +202,24 @@ function setupWebSocketServer(server, serviceFactory) {
                 }
             });
             
-            // Handle connection close
-            ws.on('close', async (code, reason) => {
+            // Resume: replay what was sent while this client was away
+            const { lastMessageId } = url.parse(req.url, true).query;
+            if (lastMessageId) {
                 try {
-                    if (userId) {
-                        await messageDelivery.unregisterConnection(userId);
-                        logger.info('WebSocket connection closed', 'WebSocket', {
-                            userId,
-                            code,
-                            reason: reason.toString()
-                        });
-                    }
-                } catch (error) {
-                    logger.error('Error during WebSocket cleanup', 'WebSocket', {
+                    await messageDelivery.replayMissedMessages(userId, lastMessageId, ws);
+                } catch (replayError) {
+                    logger.error('Error replaying missed messages', 'WebSocket', {
                         userId,
-                        error: error.message
-                    });
-                }
-            });
-            
-            // Handle errors
-            ws.on('error', (error) => {
-                logger.error('WebSocket error occurred', 'WebSocket', {
-                    userId,
-                    error: error.message
-                });
-                
-                // Graceful disconnect on error
-                try {
-                    if (ws.readyState === WebSocket.OPEN) {
-                        ws.close(1011, 'Internal error');
-                    }
-                } catch (closeError) {
-                    logger.error('Error closing WebSocket after error', 'WebSocket', {
-                        error: closeError.message
+                        lastMessageId,
+                        error: replayError.message
                     });
                 }
-            });
+            }
             
         } catch (error) {
+            clearTimeout(sessionTimer);
             logger.error('Error establishing WebSocket connection', 'WebSocket', {
+                userId,
                 error: error.message
             });
             
@@ -206,38 +276,29 @@ function extractToken(req) {
 }
 
 /**
- * Extract userId from token
- * Simple parsing - splits token and extracts userId portion
- * For production, use proper JWT verification
+ * Validate the session token of an upgrade request
+ * @returns {Promise<Object|null>} { token, user, expiresAt } or null if rejected
  */
-function extractUserId(token) {
-    try {
-        // Simple token format: "userId-timestamp" or just "userId"
-        // For JWT: decode the payload and extract userId
-        
-        // If token looks like JWT (has dots), try to decode
-        if (token.includes('.')) {
-            const parts = token.split('.');
-            if (parts.length === 3) {
-                // JWT format: header.payload.signature
-                const payload = JSON.parse(Buffer.from(parts[1], 'base64').toString());
-                return payload.userId || payload.sub || payload.id || null;
-            }
-        }
-        
-        // Simple token format
-        const parts = token.split('-');
-        if (parts.length > 0) {
-            return parts[0];
-        }
-        
-        // If all else fails, use token as userId (for development)
-        return token;
-        
-    } catch (error) {
+async function verifySession(req, authService, logger) {
+    const token = extractToken(req);
+    
+    if (!token || typeof token !== 'string' || token.trim() === '') {
+        logger.warn('WebSocket connection rejected - no token provided', 'WebSocket');
+        return null;
+    }
+    
+    const validation = await authService.validateSession(token);
+    
+    if (!validation.valid) {
+        logger.warn('WebSocket connection rejected - invalid or expired session', 'WebSocket');
         return null;
     }
+    
+    return {
+        token,
+        user: validation.user,
+        expiresAt: validation.expiresAt || null
+    };
 }
 
-module.exports = { setupWebSocketServer };
-
+module.exports = { setupWebSocketServer, SESSION_EXPIRED_CODE };
@@ -83,6 +83,25 @@ class DatabaseAccess {
         }
     }
 
+    /**
+     * INFRASTRUCTURE LAYER: Execute a multi-statement SQL script (migrations, schema files)
+     */
+    async executeScript(sql) {
+        try {
+            return new Promise((resolve, reject) => {
+                this.db.exec(sql, (err) => {
+                    if (err) {
+                        reject(this.errorHandler.wrapInfrastructureError(err, 'Script execution failed'));
+                    } else {
+                        resolve(true);
+                    }
+                });
+            });
+        } catch (error) {
+            throw this.errorHandler.wrapInfrastructureError(error, 'Script execution failed');
+        }
+    }
+
     /**
      * INFRASTRUCTURE LAYER: Count distinct values in a column
      */
@@ -0,0 +1,474 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const SchemaRepository = require('./repositories/CORE_SchemaRepository');
+
+/**
+ * MigrationRunner - Applies database/migrations/*.sql in order
+ * CLEAN ARCHITECTURE: Infrastructure layer schema management
+ *
+ * - Migrations are ordered by file name (NNN_name.sql); files may share a number
+ * - Each pending migration runs in a transaction and is recorded in
+ *   schema_versions with the SHA-256 checksum of its file
+ * - An applied migration whose file changed afterwards is checksum drift:
+ *   the runner refuses to continue until the file is restored
+ * - NNN_name.down.sql next to a migration reverts it (rollback)
+ *
+ * Databases without runner records are adopted on first run:
+ * - Empty database: schema.sql is applied (it already contains every
+ *   migration) and all migrations are recorded as baseline
+ * - Pre-runner database: migrations up to the highest version the SQL files
+ *   recorded themselves are recorded as baseline, later ones are applied.
+ *   Without such a version it is the highest migration whose tables and
+ *   columns all exist (a database created from an older schema.sql); columns
+ *   and indexes such a database lacks from its baselined migrations are added.
+ *   When neither is found the baseline must be set by hand
+ *   (node migrate.js baseline <version>)
+ */
+class MigrationRunner {
+    constructor(dependencies) {
+        if (!dependencies.dal) {
+            throw new Error('DAL not provided to migration runner');
+        }
+
+        this.dal = dependencies.dal;
+        this.logger = dependencies.logger;
+        this.errorHandler = dependencies.errorHandling;
+        this.migrationsDir = dependencies.migrationsDir || MigrationRunner.DEFAULT_MIGRATIONS_DIR;
+        this.schemaPath = dependencies.schemaPath || MigrationRunner.DEFAULT_SCHEMA_PATH;
+        this.schema = dependencies.schema || new SchemaRepository('schema_versions', {
+            dal: this.dal,
+            logger: this.logger,
+            errorHandling: this.errorHandler
+        });
+    }
+
+    static get DEFAULT_MIGRATIONS_DIR() {
+        return path.join(__dirname, '..', '..', 'database', 'migrations');
+    }
+
+    static get DEFAULT_SCHEMA_PATH() {
+        return path.join(__dirname, '..', '..', 'database', 'schema.sql');
+    }
+
+    /**
+     * Migration files in apply order
+     * @returns {Array<Object>} { name, version, description, checksum, sql, downSql }
+     */
+    loadMigrations() {
+        const files = fs.readdirSync(this.migrationsDir)
+            .filter(file => /^\d+_.+\.sql$/.test(file) && !file.endsWith('.down.sql'))
+            .sort();
+
+        return files.map(file => {
+            const name = file.replace(/\.sql$/, '');
+            const sql = fs.readFileSync(path.join(this.migrationsDir, file), 'utf8');
+            const downPath = path.join(this.migrationsDir, `${name}.down.sql`);
+
+            return {
+                name,
+                version: name.split('_')[0],
+                description: this.parseDescription(sql, name),
+                checksum: this.checksum(sql),
+                sql,
+                downSql: fs.existsSync(downPath) ? fs.readFileSync(downPath, 'utf8') : null
+            };
+        });
+    }
+
+    /**
+     * Title from the "-- Migration NNN: Title" header, or the file name
+     */
+    parseDescription(sql, name) {
+        const match = sql.match(/^--\s*Migration\s+\d+:\s*(.+)$/m);
+        return match ? match[1].trim() : name;
+    }
+
+    /**
+     * SHA-256 of a migration file (line endings normalised)
+     */
+    checksum(sql) {
+        return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+    }
+
+    async tableExists(tableName) {
+        const row = await this.dal.queryOne(
+            'SELECT name FROM sqlite_master WHERE type = ? AND name = ?',
+            ['table', tableName]
+        );
+        return !!row;
+    }
+
+    /**
+     * Compare migration files with schema_versions without changing anything
+     * @returns {Promise<Object>} { fresh, migrations, applied, pending, baseline, drifted, missing, legacyVersion, needsBaseline, additions }
+     */
+    async plan() {
+        const migrations = this.loadMigrations();
+        const fresh = !(await this.tableExists('users'));
+
+        const plan = {
+            fresh,
+            migrations,
+            applied: [],
+            pending: [],
+            baseline: [],
+            drifted: [],
+            missing: [],
+            legacyVersion: null,
+            needsBaseline: false,
+            additions: []
+        };
+
+        if (fresh) {
+            plan.baseline = migrations;
+            return plan;
+        }
+
+        const hasVersionsTable = await this.tableExists('schema_versions');
+        let tracked = false;
+        if (hasVersionsTable) {
+            const columns = await this.dal.query('PRAGMA table_info(schema_versions)');
+            tracked = columns.some(column => column.name === 'checksum');
+        }
+
+        plan.applied = tracked ? await this.schema.getAppliedMigrations() : [];
+
+        if (plan.applied.length === 0) {
+            // Pre-runner database: trust the versions the SQL files recorded themselves
+            let legacyVersions = [];
+            if (tracked) {
+                legacyVersions = await this.schema.getLegacyVersions();
+            } else if (hasVersionsTable) {
+                legacyVersions = (await this.schema.getSchemaHistory()).map(row => row.version);
+            }
+            const numeric = legacyVersions.filter(version => /^\d+$/.test(version)).map(Number);
+
+            const detected = numeric.length === 0;
+            plan.legacyVersion = detected
+                ? await this.detectLegacyVersion(migrations)
+                : Math.max(...numeric);
+
+            if (plan.legacyVersion === null) {
+                plan.needsBaseline = true;
+                plan.pending = migrations;
+                return plan;
+            }
+
+            plan.baseline = migrations.filter(migration => Number(migration.version) <= plan.legacyVersion);
+            plan.pending = migrations.filter(migration => Number(migration.version) > plan.legacyVersion);
+
+            if (detected) {
+                // An older schema.sql may lack a column or index of a migration it otherwise contains
+                for (const migration of plan.baseline) {
+                    const missing = await this.findMissingObjects(migration, { indexes: true });
+                    plan.additions.push(...missing.filter(object => object.kind !== 'table' && !object.tableMissing));
+                }
+            }
+            return plan;
+        }
+
+        const files = new Map(migrations.map(migration => [migration.name, migration]));
+        const appliedNames = new Set(plan.applied.map(row => row.name));
+
+        for (const row of plan.applied) {
+            const migration = files.get(row.name);
+            if (!migration) {
+                plan.missing.push(row);
+            } else if (row.checksum !== migration.checksum) {
+                plan.drifted.push({ name: row.name, recorded: row.checksum, current: migration.checksum });
+            }
+        }
+
+        plan.pending = migrations.filter(migration => !appliedNames.has(migration.name));
+        return plan;
+    }
+
+    /**
+     * Tables, columns and indexes a migration adds
+     * @returns {Array<Object>} { kind, table, name, columns, statement } - kind is table, column or index
+     */
+    parseSchemaObjects(sql) {
+        const objects = [];
+        for (const statement of sql.replace(/--.*$/gm, '').split(';')) {
+            let match;
+            if ((match = statement.match(/CREATE\s+(?:VIRTUAL\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(\w+)/i))) {
+                objects.push({ kind: 'table', table: match[1], name: match[1], statement: statement.trim() });
+            } else if ((match = statement.match(/ALTER\s+TABLE\s+(\w+)\s+ADD\s+(?:COLUMN\s+)?(\w+)/i))) {
+                objects.push({ kind: 'column', table: match[1], name: match[2], statement: statement.trim() });
+            } else if ((match = statement.match(/CREATE\s+(?:UNIQUE\s+)?INDEX\s+(?:IF\s+NOT\s+EXISTS\s+)?(\w+)\s+ON\s+(\w+)\s*\(([^)]*)\)/i))) {
+                const columns = match[3].split(',').map(column => column.trim().split(/\s+/)[0].toLowerCase());
+                objects.push({ kind: 'index', table: match[2], name: match[1], columns, statement: statement.trim() });
+            }
+        }
+        return objects;
+    }
+
+    /**
+     * Tables and columns (and with options.indexes, indexes) of a migration the database
+     * does not have. An index on the same columns under another name counts as present.
+     * @returns {Promise<Array<Object>>} parseSchemaObjects() entries plus tableMissing
+     */
+    async findMissingObjects(migration, options = {}) {
+        const missing = [];
+        for (const object of this.parseSchemaObjects(migration.sql)) {
+            if (object.kind === 'index' && !options.indexes) {
+                continue;
+            }
+
+            const columns = (await this.dal.query(`PRAGMA table_info(${object.table})`)).map(column => column.name);
+            const tableMissing = columns.length === 0;
+            let present = !tableMissing;
+            if (present && object.kind === 'column') {
+                present = columns.includes(object.name);
+            } else if (present && object.kind === 'index') {
+                present = await this.indexExists(object);
+            }
+
+            if (!present) {
+                missing.push({ ...object, tableMissing });
+            }
+        }
+        return missing;
+    }
+
+    async indexExists({ table, name, columns }) {
+        const indexes = await this.dal.query(`PRAGMA index_list(${table})`);
+        for (const index of indexes) {
+            if (index.name === name) {
+                return true;
+            }
+            const indexColumns = (await this.dal.query(`PRAGMA index_info(${index.name})`))
+                .map(column => (column.name || '').toLowerCase());
+            if (indexColumns.join(',') === columns.join(',')) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Version of a pre-runner database that recorded none: the highest migration
+     * whose tables and columns all exist. Migrations that only change data or indexes are skipped.
+     * @returns {Promise<number|null>} null when no migration's objects are present
+     */
+    async detectLegacyVersion(migrations) {
+        let detected = null;
+        for (const migration of migrations) {
+            if (!this.parseSchemaObjects(migration.sql).some(object => object.kind !== 'index')) {
+                continue;
+            }
+            if ((await this.findMissingObjects(migration)).length === 0) {
+                detected = Math.max(detected || 0, Number(migration.version));
+            }
+        }
+        return detected;
+    }
+
+    /**
+     * Apply pending migrations
+     * @param {Object} options - { dryRun }
+     * @returns {Promise<Object>} { dryRun, schemaCreated, baselined, added, applied, drifted, needsBaseline }
+     */
+    async migrate(options = {}) {
+        const plan = await this.plan();
+        const result = {
+            dryRun: !!options.dryRun,
+            schemaCreated: plan.fresh,
+            baselined: plan.baseline.map(migration => migration.name),
+            added: plan.additions.map(object => (object.kind === 'column' ? `${object.table}.${object.name}` : object.name)),
+            applied: plan.pending.map(migration => migration.name),
+            drifted: plan.drifted,
+            needsBaseline: plan.needsBaseline
+        };
+
+        if (options.dryRun) {
+            return result;
+        }
+
+        this.assertNoDrift(plan);
+
+        if (plan.needsBaseline) {
+            throw this.createMigrationError(
+                'Database has tables but no recorded migrations. Run "node migrate.js baseline <version>" with the last migration it already contains',
+                'MIGRATION_BASELINE_REQUIRED'
+            );
+        }
+
+        for (const row of plan.missing) {
+            this.log('warn', 'Applied migration file is missing', { name: row.name });
+        }
+
+        if (plan.fresh) {
+            await this.runInTransaction(async () => {
+                await this.dal.executeScript(fs.readFileSync(this.schemaPath, 'utf8'));
+                await this.schema.ensureSchemaVersionsSchema();
+                for (const migration of plan.baseline) {
+                    await this.schema.recordMigration(migration);
+                }
+            }, 'schema.sql');
+            this.log('info', 'Database created from schema.sql', { baselined: plan.baseline.length });
+        } else {
+            await this.schema.ensureSchemaVersionsSchema();
+            if (plan.additions.length > 0) {
+                await this.runInTransaction(async () => {
+                    for (const object of plan.additions) {
+                        await this.dal.execute(object.statement);
+                    }
+                }, 'baseline additions');
+                this.log('warn', 'Added objects missing from baselined migrations', { added: result.added });
+            }
+            if (plan.baseline.length > 0) {
+                await this.recordBaseline(plan.baseline);
+            }
+        }
+
+        for (const migration of plan.pending) {
+            await this.runInTransaction(async () => {
+                await this.dal.executeScript(migration.sql);
+                await this.schema.recordMigration(migration);
+            }, migration.name);
+            this.log('info', 'Migration applied', { name: migration.name });
+        }
+
+        return result;
+    }
+
+    /**
+     * Revert the most recently applied migrations with their .down.sql files
+     * @param {Object} options - { steps, dryRun }
+     * @returns {Promise<Object>} { dryRun, rolledBack }
+     */
+    async rollback(options = {}) {
+        const steps = options.steps || 1;
+        const plan = await this.plan();
+        this.assertNoDrift(plan);
+
+        const files = new Map(plan.migrations.map(migration => [migration.name, migration]));
+        const targets = [...plan.applied].reverse().slice(0, steps).map(row => files.get(row.name) || { name: row.name });
+
+        for (const migration of targets) {
+            if (!migration.downSql) {
+                throw this.createMigrationError(
+                    `No down-migration for ${migration.name} (expected ${migration.name}.down.sql)`,
+                    'MIGRATION_DOWN_MISSING'
+                );
+            }
+        }
+
+        if (!options.dryRun) {
+            for (const migration of targets) {
+                await this.runInTransaction(async () => {
+                    await this.dal.executeScript(migration.downSql);
+                    await this.schema.removeMigration(migration.name);
+                }, `${migration.name}.down`);
+                this.log('info', 'Migration rolled back', { name: migration.name });
+            }
+        }
+
+        return {
+            dryRun: !!options.dryRun,
+            rolledBack: targets.map(migration => migration.name)
+        };
+    }
+
+    /**
+     * Record migrations up to a version as applied without running them
+     * (for databases created before the runner from an unknown schema.sql)
+     */
+    async baseline(version, options = {}) {
+        const plan = await this.plan();
+        const recorded = new Set(plan.applied.map(row => row.name));
+        const targets = plan.migrations.filter(migration =>
+            Number(migration.version) <= Number(version) && !recorded.has(migration.name)
+        );
+
+        if (!options.dryRun) {
+            await this.schema.ensureSchemaVersionsSchema();
+            await this.recordBaseline(targets);
+        }
+
+        return {
+            dryRun: !!options.dryRun,
+            baselined: targets.map(migration => migration.name)
+        };
+    }
+
+    /**
+     * One entry per migration file plus applied migrations whose file is gone
+     * @returns {Promise<Object>} { fresh, needsBaseline, legacyVersion, migrations, missing }
+     */
+    async status() {
+        const plan = await this.plan();
+        const applied = new Map(plan.applied.map(row => [row.name, row]));
+        const drifted = new Set(plan.drifted.map(entry => entry.name));
+        const baseline = new Set(plan.baseline.map(migration => migration.name));
+
+        const stateOf = (migration) => {
+            if (drifted.has(migration.name)) return 'drifted';
+            if (applied.has(migration.name)) return 'applied';
+            if (baseline.has(migration.name)) return 'baseline';
+            return 'pending';
+        };
+
+        return {
+            fresh: plan.fresh,
+            needsBaseline: plan.needsBaseline,
+            legacyVersion: plan.legacyVersion,
+            migrations: plan.migrations.map(migration => ({
+                name: migration.name,
+                version: migration.version,
+                description: migration.description,
+                state: stateOf(migration),
+                appliedAt: applied.get(migration.name)?.applied_at || null,
+                reversible: !!migration.downSql
+            })),
+            missing: plan.missing.map(row => ({ name: row.name, appliedAt: row.applied_at }))
+        };
+    }
+
+    async recordBaseline(migrations) {
+        await this.runInTransaction(async () => {
+            for (const migration of migrations) {
+                await this.schema.recordMigration({ ...migration, description: `${migration.description} (baseline)` });
+            }
+        }, 'baseline');
+        this.log('info', 'Recorded baseline migrations', { count: migrations.length });
+    }
+
+    assertNoDrift(plan) {
+        if (plan.drifted.length > 0) {
+            const error = this.createMigrationError(
+                `Applied migrations changed on disk: ${plan.drifted.map(entry => entry.name).join(', ')}. Restore the original files; add a new migration for further changes`,
+                'MIGRATION_CHECKSUM_DRIFT'
+            );
+            error.migrations = plan.drifted;
+            throw error;
+        }
+    }
+
+    async runInTransaction(work, label) {
+        await this.dal.beginTransaction();
+        try {
+            await work();
+            await this.dal.commitTransaction();
+        } catch (error) {
+            await this.dal.rollbackTransaction();
+            throw this.createMigrationError(`Migration ${label} failed: ${error.message}`, 'MIGRATION_FAILED');
+        }
+    }
+
+    createMigrationError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    log(level, message, metadata) {
+        if (this.logger) {
+            this.logger[level](message, 'MigrationRunner', metadata);
+        }
+    }
+}
+
+module.exports = MigrationRunner;
@@ -71,6 +71,7 @@ class ChatRepository extends BaseRepository {
     /**
      * Create a new chat (MULTI-USER SUPPORT)
      * CLEAN ARCHITECTURE: Domain layer entity creation
+     * The chat's personality is recorded as its first participant in chat_characters
      */
     async createChat(userId, chatData) {
         try {
@@ -87,8 +88,15 @@ class ChatRepository extends BaseRepository {
                 updated_at: now,
                 is_active: 1
             };
+            if (chatData.turn_strategy) {
+                chat.turn_strategy = chatData.turn_strategy;
+            }
 
             await this.create(chat);
+            await this.dal.execute(`
+                INSERT OR IGNORE INTO chat_characters (chat_id, personality_id, user_id, position, joined_at)
+                VALUES (?, ?, ?, 0, ?)
+            `, [chatId, chat.personality_id, userId, now]);
             return await this.findById(chatId);
         } catch (error) {
             throw this.errorHandler.wrapRepositoryError(error, 'Failed to create chat', { userId, chatData });
@@ -210,6 +218,40 @@ class ChatRepository extends BaseRepository {
         }
     }
 
+    /**
+     * Update how the next speaker of a group chat is chosen
+     * CLEAN ARCHITECTURE: Domain layer entity update with access control
+     */
+    async updateTurnStrategy(userId, chatId, turnStrategy) {
+        try {
+            const result = await this.dal.execute(`
+                UPDATE ${this.tableName}
+                SET turn_strategy = ?, updated_at = ?
+                WHERE id = ? AND user_id = ? AND is_active = 1
+            `, [turnStrategy, new Date().toISOString(), chatId, userId]);
+            return { updated: result.changes > 0 };
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to update turn strategy', { userId, chatId, turnStrategy });
+        }
+    }
+
+    /**
+     * Change the primary character of a chat (chats.personality_id)
+     * Used when the primary character leaves a group chat
+     */
+    async updatePrimaryCharacter(userId, chatId, personalityId) {
+        try {
+            const result = await this.dal.execute(`
+                UPDATE ${this.tableName}
+                SET personality_id = ?, updated_at = ?
+                WHERE id = ? AND user_id = ? AND is_active = 1
+            `, [personalityId, new Date().toISOString(), chatId, userId]);
+            return { updated: result.changes > 0 };
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to update primary character', { userId, chatId, personalityId });
+        }
+    }
+
     /**
      * Soft delete chat (MULTI-USER SUPPORT)
      * CLEAN ARCHITECTURE: Domain layer entity deactivation
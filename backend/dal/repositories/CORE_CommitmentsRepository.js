@@ -388,6 +388,25 @@ class CommitmentsRepository extends BaseRepository {
             throw this.errorHandler.wrapRepositoryError(error, 'Failed to get recent completed commitments', { userId, limit });
         }
     }
+
+    /**
+     * Get every commitment of a chat, whatever its status (for exports)
+     * @param {string} userId - User ID
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<Array>} Commitments, oldest first
+     */
+    async getChatCommitments(userId, chatId) {
+        try {
+            const sql = `
+                SELECT * FROM commitments
+                WHERE user_id = ? AND chat_id = ?
+                ORDER BY assigned_at ASC, created_at ASC
+            `;
+            return await this.dal.query(sql, [userId, chatId]);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get chat commitments', { userId, chatId });
+        }
+    }
 }
 
 module.exports = CommitmentsRepository;
@@ -17,6 +17,17 @@ class ConversationRepository extends BaseRepository {
         this.memoryWeightsTable = 'character_memory_weights';
     }
 
+    /**
+     * Snippet match markers (control characters, never part of message text)
+     */
+    static get SEARCH_MATCH_START() {
+        return '\u0002';
+    }
+
+    static get SEARCH_MATCH_END() {
+        return '\u0003';
+    }
+
     /**
      * ADMIN INTERFACE: Generic findAll method for admin interface
      * Returns all conversation logs (primary table for this repository)
@@ -93,8 +104,11 @@ class ConversationRepository extends BaseRepository {
     /**
      * DOMAIN LAYER: Save a new message with analysis data
      * Core message storage with comprehensive metadata
+     * The message continues the active branch unless options.parentId names
+     * another parent (null = a new first message). options.personalityId
+     * records which character wrote an assistant message
      */
-    async saveMessage(chatId, sender, message, agentType = 'chat', analysisData = {}) {
+    async saveMessage(chatId, sender, message, agentType = 'chat', analysisData = {}, options = {}) {
         this.validateRequiredFields(
             { chatId, sender, message }, 
             ['chatId', 'sender', 'message'], 
@@ -115,6 +129,10 @@ class ConversationRepository extends BaseRepository {
             );
         }
         
+        const parentId = options.parentId !== undefined
+            ? options.parentId
+            : (await this.getActiveLeaf(chatId))?.id || null;
+        
         const messageData = this.sanitizeData({
             id: messageId,       // ✅ CRITICAL: Include the UUID
             chat_id: chatId,  // Use chat_id instead of session_id
@@ -122,8 +140,13 @@ class ConversationRepository extends BaseRepository {
             content: message,    // Use content instead of message
             user_id: chat.user_id,  // Get from chat record
             metadata: JSON.stringify(analysisData || {}),  // Store analysis data as JSON metadata
-            timestamp: this.getCurrentTimestamp()
+            timestamp: this.getCurrentTimestamp(),
+            parent_id: parentId,
+            is_active: 1
         });
+        if (options.personalityId) {
+            messageData.personality_id = options.personalityId;
+        }
 
         // CRITICAL FIX: Call DAL directly with correct table name
         // super.create() ignores the second parameter and uses this.tableName
@@ -146,7 +169,7 @@ class ConversationRepository extends BaseRepository {
         // Use DAL query method directly
         const query = `
             SELECT * FROM ${this.tableName} 
-            WHERE chat_id = ? 
+            WHERE chat_id = ? AND is_active = 1
             ORDER BY timestamp DESC 
             LIMIT ? OFFSET ?
         `;
@@ -238,7 +261,7 @@ class ConversationRepository extends BaseRepository {
         
         let query = `
             SELECT * FROM ${this.tableName} 
-            WHERE chat_id = ?
+            WHERE chat_id = ? AND is_active = 1
         `;
         const params = [chatId];
         
@@ -255,6 +278,29 @@ class ConversationRepository extends BaseRepository {
         return records.reverse(); // Return in chronological order
     }
 
+    /**
+     * DOMAIN LAYER: Get messages after a timestamp
+     * Returns every message newer than sinceTimestamp (or all messages) in chronological order
+     */
+    async getMessagesSince(chatId, sinceTimestamp = null) {
+        this.validateRequiredFields({ chatId }, ['chatId'], 'get messages since');
+
+        let query = `
+            SELECT * FROM ${this.tableName}
+            WHERE chat_id = ? AND is_active = 1
+        `;
+        const params = [chatId];
+
+        if (sinceTimestamp) {
+            query += ` AND timestamp > ?`;
+            params.push(sinceTimestamp);
+        }
+
+        query += ` ORDER BY timestamp ASC`;
+
+        return await this.dal.query(query, params);
+    }
+
     /**
      * DOMAIN LAYER: Get messages by IDs
      * Retrieves multiple messages by their IDs
@@ -317,7 +363,7 @@ class ConversationRepository extends BaseRepository {
         
         let query = `
             SELECT * FROM ${this.tableName} 
-            WHERE chat_id = ?
+            WHERE chat_id = ? AND is_active = 1
         `;
         const params = [criteria.chatId];
         
@@ -452,7 +498,7 @@ class ConversationRepository extends BaseRepository {
                  COALESCE(cmw.contextual_importance, 5)) as total_weight
             FROM ${this.conversationTable} cl
             LEFT JOIN ${this.memoryWeightsTable} cmw ON cl.id = cmw.message_id AND cl.chat_id = cmw.session_id
-            WHERE cl.chat_id = ?
+            WHERE cl.chat_id = ? AND cl.is_active = 1
             ${minTotalWeight > 0 ? 'HAVING total_weight >= ?' : ''}
             ORDER BY 
                 total_weight DESC,
@@ -551,7 +597,7 @@ class ConversationRepository extends BaseRepository {
                 cmw.last_recalled
             FROM ${this.memoryWeightsTable} cmw
             JOIN ${this.conversationTable} cl ON cmw.message_id = cl.id AND cmw.session_id = cl.chat_id
-            WHERE cmw.session_id = ? AND cmw.recall_frequency > 0
+            WHERE cmw.session_id = ? AND cmw.recall_frequency > 0 AND cl.is_active = 1
             ORDER BY cmw.recall_frequency DESC, cmw.last_recalled DESC
             LIMIT ?
         `;
@@ -796,6 +842,12 @@ class ConversationRepository extends BaseRepository {
      * Replaces database.js deleteChat method
      */
     async deleteChat(chatId) {
+        // Delete branch psychology snapshots (they reference the messages)
+        await this.dal.execute(
+            `DELETE FROM psychology_state_snapshots WHERE chat_id = ?`,
+            [chatId]
+        );
+
         // Delete conversation logs (using correct column name: chat_id)
         const messagesResult = await this.dal.execute(
             `DELETE FROM conversation_logs WHERE chat_id = ?`, 
@@ -949,6 +1001,221 @@ class ConversationRepository extends BaseRepository {
         });
     }
 
+    /**
+     * DOMAIN LAYER: Full-text search across all of a user's conversations
+     * Uses the conversation_logs_fts index; only messages on the active branch
+     * are returned, best match first, with the snippet split into highlights.
+     * @param {string} userId - Owner of the conversations
+     * @param {string} matchQuery - FTS5 MATCH expression (see buildSearchMatchQuery)
+     * @param {Object} filters - { characterId, from, to, role, limit, offset }
+     */
+    async searchMessages(userId, matchQuery, filters = {}) {
+        this.validateRequiredFields({ userId, matchQuery }, ['userId', 'matchQuery'], 'search messages');
+
+        const conditions = ['conversation_logs_fts MATCH ?', 'cl.user_id = ?', 'c.user_id = ?', 'cl.is_active = 1'];
+        const params = [matchQuery, userId, userId];
+
+        if (filters.characterId) {
+            conditions.push('c.personality_id = ?');
+            params.push(filters.characterId);
+        }
+        if (filters.from) {
+            conditions.push('cl.timestamp >= ?');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push('cl.timestamp <= ?');
+            params.push(filters.to);
+        }
+        if (filters.role) {
+            conditions.push('cl.role = ?');
+            params.push(filters.role);
+        }
+
+        const sql = `
+            SELECT
+                cl.id,
+                cl.chat_id,
+                cl.role,
+                cl.timestamp,
+                c.title AS chat_title,
+                c.personality_id AS character_id,
+                p.name AS character_name,
+                snippet(conversation_logs_fts, 0, ?, ?, '…', 16) AS snippet
+            FROM conversation_logs_fts
+            JOIN ${this.conversationTable} cl ON cl.rowid = conversation_logs_fts.rowid
+            JOIN chats c ON c.id = cl.chat_id
+            LEFT JOIN personalities p ON p.id = c.personality_id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY bm25(conversation_logs_fts), cl.timestamp DESC
+            LIMIT ? OFFSET ?
+        `;
+
+        const rows = await this.dal.query(sql, [
+            ConversationRepository.SEARCH_MATCH_START,
+            ConversationRepository.SEARCH_MATCH_END,
+            ...params,
+            filters.limit || 20,
+            filters.offset || 0
+        ]);
+
+        return rows.map(row => ({
+            ...row,
+            snippet: row.snippet.replace(/[\u0002\u0003]/g, ''),
+            highlights: ConversationRepository.parseSnippet(row.snippet)
+        }));
+    }
+
+    /**
+     * UTILITY: Split a marked snippet into [{ text, match }] segments
+     * Lets clients highlight matches without rendering HTML from message text
+     */
+    static parseSnippet(snippet) {
+        const segments = [];
+        const pattern = /\u0002([\s\S]*?)\u0003/g;
+        let lastIndex = 0;
+
+        for (const found of String(snippet || '').matchAll(pattern)) {
+            if (found.index > lastIndex) {
+                segments.push({ text: snippet.slice(lastIndex, found.index), match: false });
+            }
+            segments.push({ text: found[1], match: true });
+            lastIndex = found.index + found[0].length;
+        }
+        if (lastIndex < String(snippet || '').length) {
+            segments.push({ text: snippet.slice(lastIndex), match: false });
+        }
+
+        return segments;
+    }
+
+    /**
+     * UTILITY: Turn user input into a safe FTS5 MATCH expression
+     * Every word is quoted (no FTS operators from user input) and must match;
+     * the last word also matches as a prefix so results appear while typing.
+     * @returns {string|null} MATCH expression, or null when there is nothing to search
+     */
+    static buildSearchMatchQuery(text) {
+        const terms = String(text || '')
+            .split(/\s+/)
+            .map(term => term.replace(/"/g, '').trim())
+            .filter(Boolean);
+
+        if (terms.length === 0) {
+            return null;
+        }
+
+        return terms
+            .map((term, index) => `"${term}"${index === terms.length - 1 ? '*' : ''}`)
+            .join(' ');
+    }
+
+    /**
+     * DOMAIN LAYER: Get active-branch messages from a point in time onwards
+     * Used to open a chat at a search result
+     */
+    async getSessionHistoryFrom(chatId, fromTimestamp, limit = 200) {
+        this.validateRequiredFields({ chatId, fromTimestamp }, ['chatId', 'fromTimestamp'], 'get session history');
+
+        return await this.dal.query(`
+            SELECT * FROM ${this.conversationTable}
+            WHERE chat_id = ? AND is_active = 1 AND timestamp >= ?
+            ORDER BY timestamp ASC
+            LIMIT ?
+        `, [chatId, fromTimestamp, limit]);
+    }
+
+    /**
+     * DOMAIN LAYER: Get the last message on the active branch
+     * New messages are attached to it by default
+     */
+    async getActiveLeaf(chatId) {
+        return await this.dal.queryOne(`
+            SELECT id, role, timestamp FROM ${this.conversationTable}
+            WHERE chat_id = ? AND is_active = 1
+            ORDER BY timestamp DESC, rowid DESC
+            LIMIT 1
+        `, [chatId]);
+    }
+
+    /**
+     * DOMAIN LAYER: Get a single message, on any branch
+     */
+    async getMessageById(messageId) {
+        return await this.dal.queryOne(
+            `SELECT * FROM ${this.conversationTable} WHERE id = ?`,
+            [messageId]
+        );
+    }
+
+    /**
+     * DOMAIN LAYER: Get every message of a chat, including inactive branches
+     * Full rows, oldest first (for exports)
+     */
+    async getAllMessages(chatId) {
+        this.validateRequiredFields({ chatId }, ['chatId'], 'get all messages');
+
+        return await this.dal.query(`
+            SELECT * FROM ${this.conversationTable}
+            WHERE chat_id = ?
+            ORDER BY timestamp ASC, rowid ASC
+        `, [chatId]);
+    }
+
+    /**
+     * DOMAIN LAYER: Get the message tree of a chat
+     * Lightweight rows (no content) for branch navigation, oldest first
+     */
+    async getMessageTree(chatId) {
+        return await this.dal.query(`
+            SELECT id, parent_id, role, is_active, timestamp FROM ${this.conversationTable}
+            WHERE chat_id = ?
+            ORDER BY timestamp ASC, rowid ASC
+        `, [chatId]);
+    }
+
+    /**
+     * DOMAIN LAYER: Make a single path of messages the active branch
+     * Every other message of the chat is deactivated
+     */
+    async setActiveBranch(chatId, messageIds) {
+        this.validateRequiredFields({ chatId }, ['chatId'], 'set active branch');
+
+        const statements = [{
+            sql: `UPDATE ${this.conversationTable} SET is_active = 0 WHERE chat_id = ?`,
+            params: [chatId]
+        }];
+        if (messageIds.length > 0) {
+            statements.push({
+                sql: `UPDATE ${this.conversationTable} SET is_active = 1
+                      WHERE chat_id = ? AND id IN (${messageIds.map(() => '?').join(', ')})`,
+                params: [chatId, ...messageIds]
+            });
+        }
+
+        await this.dal.executeInTransaction(statements);
+        return { chatId, activeMessages: messageIds.length };
+    }
+
+    /**
+     * DOMAIN LAYER: Deactivate a message and everything below it
+     * Used before a replacement sibling is added (regenerate / edit)
+     */
+    async deactivateSubtree(messageId) {
+        const result = await this.dal.execute(`
+            WITH RECURSIVE subtree(id) AS (
+                SELECT id FROM ${this.conversationTable} WHERE id = ?
+                UNION ALL
+                SELECT cl.id FROM ${this.conversationTable} cl
+                JOIN subtree ON cl.parent_id = subtree.id
+            )
+            UPDATE ${this.conversationTable} SET is_active = 0
+            WHERE id IN (SELECT id FROM subtree)
+        `, [messageId]);
+
+        return { deactivated: result.changes };
+    }
+
     /**
      * UTILITY: Get table names
      * Required by base repository interface
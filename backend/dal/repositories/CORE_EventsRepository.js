@@ -3,6 +3,8 @@
  * CLEAN ARCHITECTURE: Infrastructure layer repository
  */
 const BaseRepository = require('../CORE_BaseRepository');
+const DateTimeUtils = require('../../utils/datetime_utils');
+const RecurrenceRules = require('../../utils/recurrence_rules');
 
 class EventsRepository extends BaseRepository {
     constructor(tableName, dependencies) {
@@ -12,7 +14,7 @@ class EventsRepository extends BaseRepository {
     /**
      * Create new event with calculated next_occurrence
      */
-    async createEvent(eventData) {
+    async createEvent(eventData, userContext = null) {
         try {
             this.validateRequiredFields(eventData, [
                 'id', 'user_id', 'chat_id', 'character_id', 
@@ -21,10 +23,26 @@ class EventsRepository extends BaseRepository {
 
             const recurrenceData = eventData.recurrence_data || '{}';
             const parsedRecurrenceData = this.parseJSON(recurrenceData);
+            const rrule = eventData.rrule ? RecurrenceRules.normalize(eventData.rrule) : null;
+            const exdates = this._normalizeExdates(eventData.exdates);
 
-            // Calculate next_occurrence based on recurrence_type
+            // Calculate next_occurrence based on rrule or recurrence_type
             let nextOccurrence;
-            if (eventData.recurrence_type === 'once') {
+            let isActive = eventData.is_active !== undefined ? eventData.is_active : 1;
+            if (rrule) {
+                // First occurrence still ahead; a rule that already ended is stored inactive
+                const now = new Date();
+                const startsAt = new Date(eventData.starts_at);
+                const first = RecurrenceRules.nextOccurrence(rrule, {
+                    startsAt,
+                    after: startsAt > now ? startsAt : now,
+                    inclusive: true,
+                    timeZone: DateTimeUtils.getUserContext(userContext).timeZone,
+                    exdates
+                });
+                nextOccurrence = first ? first.toISOString() : startsAt.toISOString();
+                if (!first) isActive = 0;
+            } else if (eventData.recurrence_type === 'once') {
                 nextOccurrence = eventData.starts_at;
             } else if (eventData.recurrence_type === 'daily') {
                 const startsAt = new Date(eventData.starts_at);
@@ -43,8 +61,10 @@ class EventsRepository extends BaseRepository {
             const event = {
                 ...eventData,
                 recurrence_data: this.stringifyJSON(parsedRecurrenceData),
+                rrule,
+                exdates: JSON.stringify(exdates),
                 next_occurrence: nextOccurrence,
-                is_active: eventData.is_active !== undefined ? eventData.is_active : 1,
+                is_active: isActive,
                 status: eventData.status || 'scheduled'
             };
 
@@ -75,14 +95,69 @@ class EventsRepository extends BaseRepository {
         }
     }
 
+    /**
+     * Events of a user for the calendar feed: active ones and completed one-time events
+     */
+    async getCalendarEvents(userId) {
+        try {
+            const events = await this.dal.query(
+                `SELECT * FROM events 
+                 WHERE user_id = ? AND (is_active = 1 OR status = 'completed')
+                 ORDER BY starts_at ASC`,
+                [userId]
+            );
+            return events || [];
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get calendar events', { userId });
+        }
+    }
+
+    /**
+     * Event a user imported from a VEVENT with this UID, null when there is none
+     */
+    async findByIcalUid(userId, icalUid) {
+        try {
+            return await this.dal.queryOne(
+                'SELECT * FROM events WHERE user_id = ? AND ical_uid = ?',
+                [userId, icalUid]
+            );
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to find imported event', { userId, icalUid });
+        }
+    }
+
+    /**
+     * Replace the excluded occurrences (EXDATE) of an event
+     * @param {Array<string|Date>} exdates
+     * @param {string} [nextOccurrence] - New next_occurrence when the excluded one was next
+     * @returns {Promise<Array<string>>} The stored exceptions
+     */
+    async updateExdates(eventId, exdates, nextOccurrence = null) {
+        try {
+            const normalized = this._normalizeExdates(exdates);
+            const updateData = { exdates: JSON.stringify(normalized) };
+            if (nextOccurrence) {
+                updateData.next_occurrence = nextOccurrence;
+            }
+            await this.update(updateData, { id: eventId });
+            return normalized;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to update event exceptions', { eventId });
+        }
+    }
+
     /**
      * Get all due events across all users
      */
     async getDueEvents() {
         try {
             const now = new Date().toISOString();
+            // The owner's time zone/locale come along for calculateNextOccurrence
             const events = await this.dal.query(
-                `SELECT * FROM events 
+                `SELECT events.*,
+                        (SELECT timezone FROM users WHERE users.id = events.user_id) AS user_timezone,
+                        (SELECT locale FROM users WHERE users.id = events.user_id) AS user_locale
+                 FROM events 
                  WHERE is_active = 1 AND next_occurrence <= ?
                  ORDER BY next_occurrence ASC`,
                 [now]
@@ -156,35 +231,67 @@ class EventsRepository extends BaseRepository {
 
     /**
      * Calculate next occurrence based on recurrence_type
+     * Works on the user's wall clock, so a 07:00 event stays at 07:00 across DST
+     * changes: daily at recurrence_data.time, weekly/monthly at the time of day
+     * of starts_at (monthly on its day of month, clamped to shorter months).
+     * Events with an rrule follow it instead, skipping excluded and already
+     * missed occurrences; they end at UNTIL/COUNT or ends_at.
+     * @param {Object} event - Event row
+     * @param {Object} [userContext] - The owner's { timeZone }, server time zone when omitted
      */
-    async calculateNextOccurrence(event) {
+    async calculateNextOccurrence(event, userContext = null) {
         try {
+            if (event.rrule) {
+                const after = [event.next_occurrence, event.last_occurrence, event.starts_at, new Date()]
+                    .filter(Boolean)
+                    .map(date => new Date(date))
+                    .reduce((latest, date) => (date > latest ? date : latest));
+                const next = RecurrenceRules.nextOccurrence(event.rrule, {
+                    startsAt: event.starts_at,
+                    after,
+                    timeZone: DateTimeUtils.getUserContext(userContext).timeZone,
+                    exdates: this._normalizeExdates(event.exdates)
+                });
+                if (!next || (event.ends_at && next > new Date(event.ends_at))) {
+                    return null;
+                }
+                return next.toISOString();
+            }
+
             if (event.recurrence_type === 'once') {
                 return null;
             }
 
             const recurrenceData = this.parseJSON(event.recurrence_data || '{}');
-            const lastOccurrence = new Date(event.last_occurrence || event.starts_at);
+            const { timeZone } = DateTimeUtils.getUserContext(userContext);
+            const start = DateTimeUtils.getZonedParts(new Date(event.starts_at), timeZone);
+            const last = DateTimeUtils.getZonedParts(new Date(event.last_occurrence || event.starts_at), timeZone);
+            const startTime = { hour: start.hour, minute: start.minute, second: start.second };
 
             if (event.recurrence_type === 'daily') {
                 const time = recurrenceData.time || '00:00';
                 const [hours, minutes] = time.split(':').map(Number);
-                const nextDate = new Date(lastOccurrence);
-                nextDate.setDate(nextDate.getDate() + 1);
-                nextDate.setHours(hours, minutes, 0, 0);
-                return nextDate.toISOString();
+                return DateTimeUtils.zonedTimeToUtc(
+                    { year: last.year, month: last.month, day: last.day + 1, hour: hours, minute: minutes, second: 0 },
+                    timeZone
+                ).toISOString();
             }
 
             if (event.recurrence_type === 'weekly') {
-                const nextDate = new Date(lastOccurrence);
-                nextDate.setDate(nextDate.getDate() + 7);
-                return nextDate.toISOString();
+                return DateTimeUtils.zonedTimeToUtc(
+                    { year: last.year, month: last.month, day: last.day + 7, ...startTime },
+                    timeZone
+                ).toISOString();
             }
 
             if (event.recurrence_type === 'monthly') {
-                const nextDate = new Date(lastOccurrence);
-                nextDate.setMonth(nextDate.getMonth() + 1);
-                return nextDate.toISOString();
+                const year = last.month === 12 ? last.year + 1 : last.year;
+                const month = last.month === 12 ? 1 : last.month + 1;
+                const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+                return DateTimeUtils.zonedTimeToUtc(
+                    { year, month, day: Math.min(start.day, daysInMonth), ...startTime },
+                    timeZone
+                ).toISOString();
             }
 
             return null;
@@ -213,6 +320,35 @@ class EventsRepository extends BaseRepository {
             throw this.errorHandler.wrapRepositoryError(error, 'Failed to get recent completed events', { userId, limit });
         }
     }
+
+    /**
+     * Get every event of a chat, including past and cancelled ones (for exports)
+     * @param {string} userId - User ID
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<Array>} Events, oldest first
+     */
+    async getChatEvents(userId, chatId) {
+        try {
+            const sql = `
+                SELECT * FROM events
+                WHERE user_id = ? AND chat_id = ?
+                ORDER BY starts_at ASC, created_at ASC
+            `;
+            return await this.dal.query(sql, [userId, chatId]);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get chat events', { userId, chatId });
+        }
+    }
+
+    /**
+     * Excluded occurrences as sorted, unique ISO strings (accepts a JSON string or an array)
+     */
+    _normalizeExdates(exdates) {
+        const list = typeof exdates === 'string' ? this.parseJSON(exdates) : exdates;
+        if (!Array.isArray(list)) return [];
+        const times = list.map(date => new Date(date).getTime()).filter(time => !isNaN(time));
+        return [...new Set(times)].sort((a, b) => a - b).map(time => new Date(time).toISOString());
+    }
 }
 
 module.exports = EventsRepository;
@@ -9,6 +9,72 @@ class PersonalityRepository extends BaseRepository {
         super(tableName, dependencies);
     }
 
+    /**
+     * Memory scopes a character can use for deep memory search
+     * - 'chat': only the current chat (default)
+     * - 'character': all of the user's chats with this character
+     * - 'user': all of the user's chats
+     */
+    static get MEMORY_SCOPES() {
+        return ['chat', 'character', 'user'];
+    }
+
+    /**
+     * Validate a memory scope value
+     */
+    validateMemoryScope(memoryScope) {
+        if (!PersonalityRepository.MEMORY_SCOPES.includes(memoryScope)) {
+            throw new Error(`Invalid memory scope: ${memoryScope}. Must be one of ${PersonalityRepository.MEMORY_SCOPES.join(', ')}`);
+        }
+        return memoryScope;
+    }
+
+    /**
+     * Serialize a tool allowlist for storage
+     * null/undefined = all tools; otherwise an array of tool names
+     */
+    serializeToolAllowlist(toolAllowlist) {
+        if (toolAllowlist === null || toolAllowlist === undefined) {
+            return null;
+        }
+        if (!Array.isArray(toolAllowlist) || !toolAllowlist.every(name => typeof name === 'string')) {
+            throw new Error('Invalid tool allowlist: must be an array of tool names or null');
+        }
+        return JSON.stringify(toolAllowlist);
+    }
+
+    /**
+     * Most stop sequences a character can have (the OpenAI API accepts four)
+     */
+    static get MAX_STOP_SEQUENCES() {
+        return 4;
+    }
+
+    /**
+     * Check stop sequences: null or up to MAX_STOP_SEQUENCES non-empty strings
+     */
+    static isValidStopSequences(stopSequences) {
+        return stopSequences === null || (
+            Array.isArray(stopSequences) &&
+            stopSequences.length <= PersonalityRepository.MAX_STOP_SEQUENCES &&
+            stopSequences.every(sequence => typeof sequence === 'string' && sequence.length > 0)
+        );
+    }
+
+    /**
+     * Serialize stop sequences for storage
+     * null/undefined/[] = none
+     */
+    serializeStopSequences(stopSequences) {
+        if (stopSequences === null || stopSequences === undefined) {
+            return null;
+        }
+        if (!PersonalityRepository.isValidStopSequences(stopSequences)) {
+            throw new Error(`Invalid stop sequences: must be an array of up to ${PersonalityRepository.MAX_STOP_SEQUENCES} non-empty strings or null`);
+        }
+        return stopSequences.length > 0 ? JSON.stringify(stopSequences) : null;
+    }
+
     /**
      * Get paginated personalities
      * CLEAN ARCHITECTURE: Domain layer pagination
@@ -319,6 +385,25 @@ class PersonalityRepository extends BaseRepository {
                         this.logger.warn('Failed to parse llm_preferences JSON', 'PersonalityRepository', { characterId: character.id });
                     }
                 }
+                
+                // Parse tool_allowlist JSON (null = all tools)
+                if (character.tool_allowlist) {
+                    try {
+                        character.tool_allowlist = JSON.parse(character.tool_allowlist);
+                    } catch (e) {
+                        this.logger.warn('Failed to parse tool_allowlist JSON', 'PersonalityRepository', { characterId: character.id });
+                    }
+                }
+
+                // Parse stop_sequences JSON (null = none)
+                if (character.stop_sequences) {
+                    try {
+                        character.stop_sequences = JSON.parse(character.stop_sequences);
+                    } catch (e) {
+                        this.logger.warn('Failed to parse stop_sequences JSON', 'PersonalityRepository', { characterId: character.id });
+                    }
+                }
+                character.merge_consecutive_turns = !!character.merge_consecutive_turns;
                 return character;
             });
         } catch (error) {
@@ -351,6 +436,25 @@ class PersonalityRepository extends BaseRepository {
                     }
                 }
                 
+                // Parse tool_allowlist JSON (null = all tools)
+                if (character.tool_allowlist) {
+                    try {
+                        character.tool_allowlist = JSON.parse(character.tool_allowlist);
+                    } catch (e) {
+                        this.logger.warn('Failed to parse tool_allowlist JSON', 'PersonalityRepository', { characterId: character.id });
+                    }
+                }
+
+                // Parse stop_sequences JSON (null = none)
+                if (character.stop_sequences) {
+                    try {
+                        character.stop_sequences = JSON.parse(character.stop_sequences);
+                    } catch (e) {
+                        this.logger.warn('Failed to parse stop_sequences JSON', 'PersonalityRepository', { characterId: character.id });
+                    }
+                }
+                character.merge_consecutive_turns = !!character.merge_consecutive_turns;
+                
                 // Handle image data: if image_type is 'upload', convert to data URL
                 if (character.image_type === 'upload' && character.image_data) {
                     try {
@@ -408,6 +512,25 @@ class PersonalityRepository extends BaseRepository {
                 }
             }
             
+            // Parse tool_allowlist JSON (null = all tools)
+            if (character.tool_allowlist) {
+                try {
+                    character.tool_allowlist = JSON.parse(character.tool_allowlist);
+                } catch (e) {
+                    this.logger.warn('Failed to parse tool_allowlist JSON', 'PersonalityRepository', { characterId });
+                }
+            }
+
+            // Parse stop_sequences JSON (null = none)
+            if (character.stop_sequences) {
+                try {
+                    character.stop_sequences = JSON.parse(character.stop_sequences);
+                } catch (e) {
+                    this.logger.warn('Failed to parse stop_sequences JSON', 'PersonalityRepository', { characterId });
+                }
+            }
+            character.merge_consecutive_turns = !!character.merge_consecutive_turns;
+            
             // Handle image data: if image_type is 'upload', convert to data URL
             if (character.image_type === 'upload' && character.image_data) {
                 try {
@@ -441,23 +564,31 @@ class PersonalityRepository extends BaseRepository {
                 display: characterData.avatar || 'default.png',
                 description: characterData.description || '',
                 definition: characterData.background || '',
+                // Imported characters (e.g. character cards) bring their own traits and style
                 personality_traits: JSON.stringify({
                     core_traits: [],
                     emotional_range: [],
                     learning_style: 'adaptive',
-                    relationship_approach: 'friendly'
+                    relationship_approach: 'friendly',
+                    ...(characterData.personality_traits || {})
                 }),
                 communication_style: JSON.stringify({
                     default_tone: 'friendly',
                     adaptability: 'moderate',
                     formality_range: ['casual', 'professional'],
                     humor_level: 'moderate',
-                    emotional_expression: 'authentic'
+                    emotional_expression: 'authentic',
+                    ...(characterData.communication_style || {})
                 }),
+                llm_preferences: characterData.llm_preferences ? JSON.stringify(characterData.llm_preferences) : null,
                 created_at: this.getCurrentTimestamp(),
                 updated_at: this.getCurrentTimestamp(),
                 usage_count: 0,
-                is_active: 1
+                is_active: 1,
+                memory_scope: this.validateMemoryScope(characterData.memory_scope || 'chat'),
+                tool_allowlist: this.serializeToolAllowlist(characterData.tool_allowlist),
+                stop_sequences: this.serializeStopSequences(characterData.stop_sequences),
+                merge_consecutive_turns: characterData.merge_consecutive_turns ? 1 : 0
             };
 
             // Handle image data if provided
@@ -543,12 +674,32 @@ class PersonalityRepository extends BaseRepository {
                 // When uploading image, update display to reference the image
                 data.display = updateData.imageFilename || 'uploaded_image';
             }
+            if (updateData.memory_scope !== undefined) {
+                data.memory_scope = this.validateMemoryScope(updateData.memory_scope);
+            }
+            if (updateData.tool_allowlist !== undefined) {
+                data.tool_allowlist = this.serializeToolAllowlist(updateData.tool_allowlist);
+            }
+            if (updateData.stop_sequences !== undefined) {
+                data.stop_sequences = this.serializeStopSequences(updateData.stop_sequences);
+            }
+            if (updateData.merge_consecutive_turns !== undefined) {
+                data.merge_consecutive_turns = updateData.merge_consecutive_turns ? 1 : 0;
+            }
             if (updateData.llm_preferences !== undefined) {
                 // Store as JSON string if it's an object, or as-is if null
-                data.llm_preferences = updateData.llm_preferences !== null 
+                data.llm_preferences = updateData.llm_preferences !== null
                     ? JSON.stringify(updateData.llm_preferences)
                     : null;
             }
+            // Traits and communication style are replaced as a whole (used by revision rollback)
+            for (const field of ['personality_traits', 'communication_style']) {
+                if (updateData[field] !== undefined && updateData[field] !== null) {
+                    data[field] = typeof updateData[field] === 'string'
+                        ? updateData[field]
+                        : JSON.stringify(updateData[field]);
+                }
+            }
 
             const result = await this.dal.update(this.tableName, data, { id: characterId });
             
@@ -361,38 +361,196 @@ class PsychologyRepository extends BaseRepository {
 
     /**
      * DOMAIN LAYER: Get psychological state for session
+     * Group chats keep one state per character; pass personalityId to pick it
      */
-    async getPsychologicalState(chatId) {
+    async getPsychologicalState(chatId, personalityId = null) {
         this.validateRequiredFields(
             { chatId }, 
             ['chatId'], 
             'get psychological state'
         );
         
-        const result = await this.dal.queryOne(
-            'SELECT * FROM character_psychological_state WHERE session_id = ?',
-            [chatId]
+        const result = personalityId
+            ? await this.dal.queryOne(
+                'SELECT * FROM character_psychological_state WHERE session_id = ? AND personality_id = ?',
+                [chatId, personalityId]
+            )
+            : await this.dal.queryOne(
+                'SELECT * FROM character_psychological_state WHERE session_id = ?',
+                [chatId]
+            );
+
+        return result ? this.parseStateRow(result) : result;
+    }
+
+    /**
+     * DOMAIN LAYER: Get the psychological state of every character in a chat
+     */
+    async getPsychologicalStates(chatId) {
+        this.validateRequiredFields(
+            { chatId },
+            ['chatId'],
+            'get psychological states'
         );
 
-        if (result) {
-            // Parse JSON fields
-            try {
-                result.current_motivations = JSON.parse(result.current_motivations || '[]');
-                result.active_interests = JSON.parse(result.active_interests || '[]');
-            } catch (error) {
-                this.logger.error('Error parsing psychological state JSON', 'PsychologyRepository', { error: error.message });
-                result.current_motivations = [];
-                result.active_interests = [];
-            }
+        const rows = await this.dal.query(`
+            SELECT cps.*, p.name as personality_name
+            FROM character_psychological_state cps
+            LEFT JOIN personalities p ON cps.personality_id = p.id
+            WHERE cps.session_id = ?
+            ORDER BY cps.last_updated DESC
+        `, [chatId]);
+
+        return rows.map(row => this.parseStateRow(row));
+    }
+
+    /**
+     * Parse the JSON columns of a character_psychological_state row
+     */
+    parseStateRow(row) {
+        try {
+            row.current_motivations = JSON.parse(row.current_motivations || '[]');
+            row.active_interests = JSON.parse(row.active_interests || '[]');
+        } catch (error) {
+            this.logger.error('Error parsing psychological state JSON', 'PsychologyRepository', { error: error.message });
+            row.current_motivations = [];
+            row.active_interests = [];
         }
+        return row;
+    }
 
-        return result;
+    /**
+     * DOMAIN LAYER: Snapshot the current psychological state at a message
+     * Lets the state follow the active branch when replies are regenerated,
+     * edited or switched
+     */
+    async saveStateSnapshot(chatId, messageId, personalityId = null) {
+        this.validateRequiredFields(
+            { chatId, messageId },
+            ['chatId', 'messageId'],
+            'save psychological state snapshot'
+        );
+
+        const state = personalityId
+            ? await this.dal.queryOne(
+                'SELECT * FROM character_psychological_state WHERE session_id = ? AND personality_id = ?',
+                [chatId, personalityId]
+            )
+            : await this.dal.queryOne(
+                'SELECT * FROM character_psychological_state WHERE session_id = ?',
+                [chatId]
+            );
+        if (!state) {
+            return null;
+        }
+
+        await this.dal.execute(`
+            INSERT OR REPLACE INTO psychology_state_snapshots (message_id, chat_id, user_id, state_data, created_at)
+            VALUES (?, ?, ?, ?, ?)
+        `, [messageId, chatId, state.user_id, JSON.stringify(state), this.getCurrentTimestamp()]);
+
+        return { messageId, chatId };
+    }
+
+    /**
+     * DOMAIN LAYER: Get the latest state snapshot on the active branch
+     * In group chats, pass personalityId for that character's latest snapshot
+     * @returns {Object|null} Stored character_psychological_state row
+     */
+    async getActiveBranchStateSnapshot(chatId, personalityId = null) {
+        const speakerFilter = personalityId ? "AND json_extract(pss.state_data, '$.personality_id') = ?" : '';
+        const params = personalityId ? [chatId, personalityId] : [chatId];
+        const snapshot = await this.dal.queryOne(`
+            SELECT pss.state_data FROM psychology_state_snapshots pss
+            JOIN conversation_logs cl ON cl.id = pss.message_id
+            WHERE pss.chat_id = ? AND cl.is_active = 1 ${speakerFilter}
+            ORDER BY cl.timestamp DESC, cl.rowid DESC
+            LIMIT 1
+        `, params);
+
+        if (!snapshot) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(snapshot.state_data);
+        } catch (error) {
+            this.logger.error('Error parsing psychological state snapshot', 'PsychologyRepository', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Check whether any reply of a chat has a state snapshot
+     */
+    async hasStateSnapshots(chatId) {
+        const row = await this.dal.queryOne(
+            'SELECT 1 AS found FROM psychology_state_snapshots WHERE chat_id = ? LIMIT 1',
+            [chatId]
+        );
+        return !!row;
+    }
+
+    /**
+     * DOMAIN LAYER: Restore a snapshotted psychological state row
+     */
+    async restorePsychologicalState(chatId, stateRow) {
+        this.validateRequiredFields(
+            { chatId, stateRow },
+            ['chatId', 'stateRow'],
+            'restore psychological state'
+        );
+
+        await this.dal.execute(`
+            INSERT OR REPLACE INTO character_psychological_state (
+                session_id, personality_id, user_id, current_emotion, emotional_intensity,
+                energy_level, stress_level, current_motivations, relationship_dynamic,
+                active_interests, communication_mode, internal_state_notes,
+                last_updated, change_reason, state_version
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            chatId,
+            stateRow.personality_id,
+            stateRow.user_id,
+            stateRow.current_emotion,
+            stateRow.emotional_intensity,
+            stateRow.energy_level,
+            stateRow.stress_level,
+            stateRow.current_motivations,
+            stateRow.relationship_dynamic,
+            stateRow.active_interests,
+            stateRow.communication_mode,
+            stateRow.internal_state_notes,
+            this.getCurrentTimestamp(),
+            'branch_switch',
+            stateRow.state_version
+        ]);
+
+        return { chatId, restored: true };
+    }
+
+    /**
+     * DOMAIN LAYER: Clear the psychological state of a session
+     * The state is re-initialized from the framework on the next message.
+     * With personalityId only that character's state in the chat is cleared
+     */
+    async clearPsychologicalState(chatId, personalityId = null) {
+        const result = personalityId
+            ? await this.dal.execute(
+                'DELETE FROM character_psychological_state WHERE session_id = ? AND personality_id = ?',
+                [chatId, personalityId]
+            )
+            : await this.dal.execute(
+                'DELETE FROM character_psychological_state WHERE session_id = ?',
+                [chatId]
+            );
+        return { chatId, cleared: result.changes > 0 };
     }
 
     /**
      * DOMAIN LAYER: Get psychological state summary for session
      */
-    async getPsychologyStateSummary(chatId) {
+    async getPsychologyStateSummary(chatId, personalityId = null) {
         this.validateRequiredFields(
             { chatId }, 
             ['chatId'], 
@@ -408,10 +566,10 @@ class PsychologyRepository extends BaseRepository {
             FROM character_psychological_state cps
             LEFT JOIN character_psychological_frameworks cpf ON cps.personality_id = cpf.personality_id
             LEFT JOIN personalities p ON cps.personality_id = p.id
-            WHERE cps.session_id = ?
+            WHERE cps.session_id = ? ${personalityId ? 'AND cps.personality_id = ?' : ''}
         `;
 
-        const result = await this.dal.queryOne(sql, [chatId]);
+        const result = await this.dal.queryOne(sql, personalityId ? [chatId, personalityId] : [chatId]);
         
         if (result) {
             try {
@@ -519,7 +677,7 @@ class PsychologyRepository extends BaseRepository {
                  cmw.personal_significance + cmw.contextual_importance) as total_significance
             FROM character_memory_weights cmw
             JOIN conversation_logs cl ON cmw.message_id = cl.id AND cmw.session_id = cl.chat_id
-            WHERE cmw.session_id = ?
+            WHERE cmw.session_id = ? AND cl.is_active = 1
             ORDER BY total_significance DESC, cmw.recall_frequency DESC
             LIMIT ?
         `;
@@ -565,7 +723,7 @@ class PsychologyRepository extends BaseRepository {
                      cmw.personal_significance + cmw.contextual_importance) as total_significance
                 FROM character_memory_weights cmw
                 JOIN conversation_logs cl ON cmw.message_id = cl.id AND cmw.session_id = cl.chat_id
-                WHERE cmw.session_id = ?
+                WHERE cmw.session_id = ? AND cl.is_active = 1
                 ${excludePlaceholders}
                 AND (
                     cmw.emotional_impact_score >= ? OR
@@ -606,6 +764,93 @@ class PsychologyRepository extends BaseRepository {
         }
     }
 
+    /**
+     * DOMAIN LAYER: Get significant memories across chats for a memory scope
+     * - 'character': every chat this user has had with the character
+     * - 'user': every chat of this user
+     * Always restricted to the given user's own messages and weights.
+     * @param {string} scope - 'character' or 'user'
+     * @param {Object} owner - { userId, characterId }
+     * @param {Array<string>} excludeMessageIds - Message IDs to exclude (recent context)
+     * @param {number} significanceThreshold - Minimum significance score (1-10)
+     */
+    async getScopedSignificantMemories(scope, owner, excludeMessageIds, significanceThreshold) {
+        try {
+            const { userId, characterId } = owner || {};
+            this.validateRequiredFields(
+                { scope, userId, excludeMessageIds, significanceThreshold },
+                ['scope', 'userId', 'excludeMessageIds', 'significanceThreshold'],
+                'get scoped significant memories'
+            );
+
+            if (!['character', 'user'].includes(scope)) {
+                throw new Error(`Invalid memory scope: ${scope}`);
+            }
+            if (scope === 'character' && !characterId) {
+                throw new Error('characterId is required for character memory scope');
+            }
+
+            const scopeClause = scope === 'character' ? 'AND c.personality_id = ?' : '';
+            const excludePlaceholders = excludeMessageIds.length > 0 
+                ? `AND cl.id NOT IN (${excludeMessageIds.map(() => '?').join(',')})` 
+                : '';
+
+            const sql = `
+                SELECT 
+                    cmw.*,
+                    cl.content,
+                    cl.role as sender,
+                    cl.timestamp,
+                    c.title as chat_title,
+                    (cmw.emotional_impact_score + cmw.relationship_relevance + 
+                     cmw.personal_significance + cmw.contextual_importance) as total_significance
+                FROM character_memory_weights cmw
+                JOIN conversation_logs cl ON cmw.message_id = cl.id AND cmw.session_id = cl.chat_id
+                JOIN chats c ON c.id = cl.chat_id
+                WHERE cmw.user_id = ? AND cl.user_id = ? AND c.user_id = ? AND cl.is_active = 1
+                ${scopeClause}
+                ${excludePlaceholders}
+                AND (
+                    cmw.emotional_impact_score >= ? OR
+                    cmw.relationship_relevance >= ? OR
+                    cmw.personal_significance >= ? OR
+                    cmw.contextual_importance >= ?
+                )
+                ORDER BY total_significance DESC
+            `;
+
+            const params = [
+                userId,
+                userId,
+                userId,
+                ...(scope === 'character' ? [characterId] : []),
+                ...excludeMessageIds,
+                significanceThreshold,
+                significanceThreshold,
+                significanceThreshold,
+                significanceThreshold
+            ];
+
+            const results = await this.dal.query(sql, params);
+
+            return results.map(result => {
+                try {
+                    result.memory_tags = JSON.parse(result.memory_tags || '[]');
+                } catch (error) {
+                    this.logger.error('Error parsing memory tags', 'PsychologyRepository', { error: error.message });
+                    result.memory_tags = [];
+                }
+                return result;
+            });
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(
+                error, 
+                'Failed to get scoped significant memories', 
+                { scope, userId: owner?.userId, characterId: owner?.characterId }
+            );
+        }
+    }
+
     /**
      * DOMAIN LAYER: Update memory recall frequency
      */
@@ -783,7 +1028,7 @@ class PsychologyRepository extends BaseRepository {
                  cmw.personal_significance + cmw.contextual_importance) as total_significance
             FROM conversation_logs cl
             LEFT JOIN character_memory_weights cmw ON cl.id = cmw.message_id AND cl.chat_id = cmw.session_id
-            WHERE cl.chat_id = ?
+            WHERE cl.chat_id = ? AND cl.is_active = 1
             ORDER BY 
                 CASE WHEN cmw.id IS NOT NULL THEN total_significance ELSE 0 END DESC,
                 cl.timestamp DESC
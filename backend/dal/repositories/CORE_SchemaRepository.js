@@ -9,6 +9,106 @@ class SchemaRepository extends BaseRepository {
         super(tableName, dependencies);
     }
 
+    /**
+     * INFRASTRUCTURE LAYER: Ensure schema_versions can track migration files
+     * name = migration file without extension, checksum = SHA-256 of its SQL.
+     * Rows without a name are legacy records written by the SQL files themselves.
+     */
+    async ensureSchemaVersionsSchema() {
+        try {
+            await this.dal.execute(`
+                CREATE TABLE IF NOT EXISTS ${this.tableName} (
+                    id TEXT PRIMARY KEY,
+                    version TEXT NOT NULL,
+                    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    description TEXT,
+                    name TEXT,
+                    checksum TEXT
+                )
+            `);
+
+            const columns = await this.dal.query(`PRAGMA table_info(${this.tableName})`);
+            const columnNames = columns.map(column => column.name);
+            for (const column of ['name', 'checksum']) {
+                if (!columnNames.includes(column)) {
+                    await this.dal.execute(`ALTER TABLE ${this.tableName} ADD COLUMN ${column} TEXT`);
+                }
+            }
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to ensure schema_versions schema');
+        }
+    }
+
+    /**
+     * INFRASTRUCTURE LAYER: Migrations recorded by the migration runner, in the order applied
+     */
+    async getAppliedMigrations() {
+        try {
+            const sql = `
+                SELECT id, version, name, checksum, description, applied_at
+                FROM ${this.tableName}
+                WHERE name IS NOT NULL
+                ORDER BY applied_at ASC, rowid ASC
+            `;
+            return await this.dal.query(sql, []);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get applied migrations');
+        }
+    }
+
+    /**
+     * INFRASTRUCTURE LAYER: Versions recorded before the migration runner existed
+     */
+    async getLegacyVersions() {
+        try {
+            const sql = `
+                SELECT version FROM ${this.tableName}
+                WHERE name IS NULL
+            `;
+            const rows = await this.dal.query(sql, []);
+            return rows.map(row => row.version);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get legacy schema versions');
+        }
+    }
+
+    /**
+     * INFRASTRUCTURE LAYER: Record an applied migration file
+     */
+    async recordMigration(migration) {
+        try {
+            const versionId = require('uuid').v4();
+            const sql = `
+                INSERT INTO ${this.tableName} (id, version, name, checksum, description, applied_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `;
+
+            await this.dal.execute(sql, [
+                versionId,
+                migration.version,
+                migration.name,
+                migration.checksum,
+                migration.description || null,
+                new Date().toISOString()
+            ]);
+            return versionId;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to record migration', { name: migration.name });
+        }
+    }
+
+    /**
+     * INFRASTRUCTURE LAYER: Forget a migration after it was rolled back
+     */
+    async removeMigration(name) {
+        try {
+            const sql = `DELETE FROM ${this.tableName} WHERE name = ?`;
+            return await this.dal.execute(sql, [name]);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to remove migration record', { name });
+        }
+    }
+
     /**
      * INFRASTRUCTURE LAYER: Get current schema version
      */
@@ -93,6 +93,80 @@ class UserRepository extends BaseRepository {
         }
     }
 
+    /**
+     * DOMAIN LAYER: Get the user's time zone and locale
+     * @returns {Promise<Object|null>} { timezone, locale } (either may be null), null for an unknown user
+     */
+    async getTimeSettings(userId) {
+        try {
+            const row = await this.dal.queryOne(
+                `SELECT timezone, locale FROM ${this.tableName} WHERE id = ?`,
+                [userId]
+            );
+            return row ? { timezone: row.timezone || null, locale: row.locale || null } : null;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get user time settings', { userId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Update the user's time zone and locale (null = server default)
+     */
+    async updateTimeSettings(userId, { timezone = null, locale = null } = {}) {
+        try {
+            const updates = {
+                timezone,
+                locale,
+                updated_at: new Date().toISOString()
+            };
+            
+            return await this.update(updates, { id: userId });
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to update user time settings', { userId, timezone, locale });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Get the secret of the user's calendar feed, null when none was issued
+     */
+    async getCalendarToken(userId) {
+        try {
+            const row = await this.dal.queryOne(
+                `SELECT calendar_token FROM ${this.tableName} WHERE id = ?`,
+                [userId]
+            );
+            return row?.calendar_token || null;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get calendar token', { userId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Store a new calendar feed secret (the old feed URL stops working)
+     */
+    async setCalendarToken(userId, token) {
+        try {
+            return await this.update({ calendar_token: token, updated_at: new Date().toISOString() }, { id: userId });
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to set calendar token', { userId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Active user owning a calendar feed secret, null when it matches none
+     */
+    async findByCalendarToken(token) {
+        try {
+            if (!token) return null;
+            return await this.dal.queryOne(
+                `SELECT * FROM ${this.tableName} WHERE calendar_token = ? AND is_active = 1`,
+                [token]
+            );
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to find user by calendar token');
+        }
+    }
+
     /**
      * DOMAIN LAYER: Update last active timestamp
      */
@@ -0,0 +1,165 @@
+const BaseRepository = require('../CORE_BaseRepository');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * CharacterRevisionRepository - Immutable history of character edits
+ * CLEAN ARCHITECTURE: Infrastructure layer revision storage
+ *
+ * This repository handles:
+ * - Appending numbered snapshots of a character (never updated afterwards)
+ * - Filling in the psychological framework of a revision once its analysis finishes
+ * - Listing and loading revisions of one character
+ */
+class CharacterRevisionRepository extends BaseRepository {
+    constructor(tableName, dependencies) {
+        super(tableName, dependencies);
+    }
+
+    /**
+     * DOMAIN LAYER: Append a revision with the next revision number
+     * @param {Object} revision - { personalityId, userId, source, snapshot, changedFields, rolledBackTo, framework, analysisVersion }
+     * @returns {Promise<Object>} Stored revision (parsed)
+     */
+    async createRevision(revision) {
+        try {
+            this.validateRequiredFields(revision, ['personalityId', 'userId', 'snapshot'], 'create character revision');
+
+            const id = uuidv4();
+            await this.dal.execute(`
+                INSERT INTO ${this.tableName} (
+                    id, personality_id, user_id, revision_number, source, snapshot,
+                    changed_fields, rolled_back_to, framework_data, analysis_version, created_at
+                )
+                SELECT ?, ?, ?, COALESCE(MAX(revision_number), 0) + 1, ?, ?, ?, ?, ?, ?, ?
+                FROM ${this.tableName} WHERE personality_id = ?
+            `, [
+                id,
+                revision.personalityId,
+                revision.userId,
+                revision.source || 'edit',
+                JSON.stringify(revision.snapshot),
+                JSON.stringify(revision.changedFields || []),
+                revision.rolledBackTo ?? null,
+                revision.framework ? JSON.stringify(revision.framework) : null,
+                revision.analysisVersion ?? null,
+                this.getCurrentTimestamp(),
+                revision.personalityId
+            ]);
+
+            return await this.getRevision(revision.personalityId, id);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to create character revision', {
+                personalityId: revision?.personalityId
+            });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Revisions of a character, newest first (without snapshots)
+     */
+    async getRevisions(personalityId) {
+        try {
+            const rows = await this.dal.query(`
+                SELECT id, personality_id, revision_number, source, changed_fields, rolled_back_to,
+                       analysis_version, framework_data IS NOT NULL AS analyzed, created_at
+                FROM ${this.tableName}
+                WHERE personality_id = ?
+                ORDER BY revision_number DESC
+            `, [personalityId]);
+
+            return rows.map(row => ({
+                ...row,
+                analyzed: !!row.analyzed,
+                changed_fields: this.parseJson(row.changed_fields, [])
+            }));
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get character revisions', { personalityId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: One revision of a character
+     */
+    async getRevision(personalityId, revisionId) {
+        try {
+            const row = await this.dal.queryOne(
+                `SELECT * FROM ${this.tableName} WHERE personality_id = ? AND id = ?`,
+                [personalityId, revisionId]
+            );
+            return this.parseRevision(row);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get character revision', { personalityId, revisionId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Revision by its number within a character
+     */
+    async getRevisionByNumber(personalityId, revisionNumber) {
+        try {
+            const row = await this.dal.queryOne(
+                `SELECT * FROM ${this.tableName} WHERE personality_id = ? AND revision_number = ?`,
+                [personalityId, revisionNumber]
+            );
+            return this.parseRevision(row);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get character revision', { personalityId, revisionNumber });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Most recent revision of a character
+     */
+    async getLatestRevision(personalityId) {
+        try {
+            const row = await this.dal.queryOne(
+                `SELECT * FROM ${this.tableName} WHERE personality_id = ? ORDER BY revision_number DESC LIMIT 1`,
+                [personalityId]
+            );
+            return this.parseRevision(row);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get latest character revision', { personalityId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Store the framework of a revision whose analysis was pending
+     * Only fills an empty framework, so an analysed revision stays as it was
+     */
+    async setRevisionFramework(revisionId, framework, analysisVersion) {
+        try {
+            const result = await this.dal.execute(
+                `UPDATE ${this.tableName} SET framework_data = ?, analysis_version = ? WHERE id = ? AND framework_data IS NULL`,
+                [JSON.stringify(framework), analysisVersion, revisionId]
+            );
+            return { updated: result.changes > 0 };
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to store revision framework', { revisionId });
+        }
+    }
+
+    parseRevision(row) {
+        if (!row) {
+            return null;
+        }
+        return {
+            ...row,
+            snapshot: this.parseJson(row.snapshot, {}),
+            changed_fields: this.parseJson(row.changed_fields, []),
+            framework_data: this.parseJson(row.framework_data, null)
+        };
+    }
+
+    parseJson(value, fallback) {
+        if (value === null || value === undefined) {
+            return fallback;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return fallback;
+        }
+    }
+}
+
+module.exports = CharacterRevisionRepository;
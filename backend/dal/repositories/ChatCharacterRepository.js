@@ -0,0 +1,108 @@
+const BaseRepository = require('../CORE_BaseRepository');
+
+/**
+ * ChatCharacterRepository - Characters taking part in a chat
+ * CLEAN ARCHITECTURE: Infrastructure layer chat participant storage
+ *
+ * This repository handles:
+ * - Listing the characters of a chat in turn order
+ * - Adding and removing characters from group chats
+ * - Finding which character spoke last on the active branch
+ */
+class ChatCharacterRepository extends BaseRepository {
+    constructor(tableName, dependencies) {
+        super(tableName, dependencies);
+    }
+
+    /**
+     * DOMAIN LAYER: Characters of a chat in turn order
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<Array>} Personality rows with position and joined_at
+     */
+    async getParticipants(chatId) {
+        try {
+            return await this.dal.query(`
+                SELECT p.id, p.name, p.description, p.display, p.image_type, p.user_id,
+                       cc.position, cc.joined_at
+                FROM ${this.tableName} cc
+                JOIN personalities p ON p.id = cc.personality_id
+                WHERE cc.chat_id = ?
+                ORDER BY cc.position ASC, cc.joined_at ASC
+            `, [chatId]);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get chat characters', { chatId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: IDs of the characters of a chat in turn order
+     */
+    async getCharacterIds(chatId) {
+        try {
+            const rows = await this.dal.query(
+                `SELECT personality_id FROM ${this.tableName} WHERE chat_id = ? ORDER BY position ASC, joined_at ASC`,
+                [chatId]
+            );
+            return rows.map(row => row.personality_id);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get chat character ids', { chatId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Add a character at the end of the turn order
+     * Adding a character that already takes part is a no-op
+     * @returns {Promise<boolean>} True when the character was added
+     */
+    async addParticipant(chatId, personalityId, userId) {
+        try {
+            this.validateRequiredFields({ chatId, personalityId, userId }, ['chatId', 'personalityId', 'userId'], 'add chat character');
+
+            const result = await this.dal.execute(`
+                INSERT OR IGNORE INTO ${this.tableName} (chat_id, personality_id, user_id, position, joined_at)
+                SELECT ?, ?, ?, COALESCE(MAX(position), -1) + 1, ?
+                FROM ${this.tableName} WHERE chat_id = ?
+            `, [chatId, personalityId, userId, this.getCurrentTimestamp(), chatId]);
+
+            return result.changes > 0;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to add chat character', { chatId, personalityId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Remove a character from a chat
+     * @returns {Promise<boolean>} True when the character was removed
+     */
+    async removeParticipant(chatId, personalityId) {
+        try {
+            const result = await this.dal.execute(
+                `DELETE FROM ${this.tableName} WHERE chat_id = ? AND personality_id = ?`,
+                [chatId, personalityId]
+            );
+            return result.changes > 0;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to remove chat character', { chatId, personalityId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Character that wrote the latest assistant message on the active branch
+     * @returns {Promise<string|null>} Personality ID
+     */
+    async getLastSpeakerId(chatId) {
+        try {
+            const row = await this.dal.queryOne(`
+                SELECT personality_id FROM conversation_logs
+                WHERE chat_id = ? AND role = 'assistant' AND is_active = 1 AND personality_id IS NOT NULL
+                ORDER BY timestamp DESC, rowid DESC
+                LIMIT 1
+            `, [chatId]);
+            return row ? row.personality_id : null;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get last speaker', { chatId });
+        }
+    }
+}
+
+module.exports = ChatCharacterRepository;
@@ -0,0 +1,124 @@
+const BaseRepository = require('../CORE_BaseRepository');
+
+/**
+ * ConversationSummaryRepository - Rolling per-chat conversation summaries
+ * CLEAN ARCHITECTURE: Infrastructure layer summary storage
+ *
+ * This repository handles:
+ * - One summary row per chat (mid-range summary + long-range gist)
+ * - The marker of the last message folded into the summary
+ * - Resetting a chat's summary so it is rebuilt from scratch
+ */
+class ConversationSummaryRepository extends BaseRepository {
+    constructor(tableName, dependencies) {
+        super(tableName, dependencies);
+    }
+
+    /**
+     * Ensure conversation summary schema exists
+     * Mirrors database/migrations/011_conversation_summaries.sql for databases created before it
+     */
+    async ensureConversationSummarySchema() {
+        try {
+            await this.dal.execute(`
+                CREATE TABLE IF NOT EXISTS ${this.tableName} (
+                    id TEXT PRIMARY KEY,
+                    chat_id TEXT NOT NULL UNIQUE,
+                    user_id TEXT NOT NULL,
+                    mid_summary TEXT DEFAULT '',
+                    long_gist TEXT DEFAULT '',
+                    mid_message_count INTEGER DEFAULT 0,
+                    summarized_message_count INTEGER DEFAULT 0,
+                    summarized_through_message_id TEXT,
+                    summarized_through_timestamp DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            await this.dal.execute(`CREATE INDEX IF NOT EXISTS idx_conversation_summaries_user ON ${this.tableName}(user_id)`);
+
+            return { success: true };
+        } catch (error) {
+            throw this.errorHandler.wrapInfrastructureError(error, 'Failed to ensure conversation summary schema');
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Get the summary of a chat
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<Object|null>} Summary row or null when nothing has been summarized yet
+     */
+    async getSummary(chatId) {
+        try {
+            return await this.dal.queryOne(
+                `SELECT * FROM ${this.tableName} WHERE chat_id = ?`,
+                [chatId]
+            );
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get conversation summary', { chatId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Store (or replace) the summary of a chat
+     * @param {Object} data - { chatId, userId, midSummary, longGist, midMessageCount,
+     *                          summarizedMessageCount, summarizedThroughMessageId, summarizedThroughTimestamp }
+     */
+    async saveSummary(data) {
+        try {
+            const { chatId, userId } = data;
+            this.validateRequiredFields({ chatId, userId }, ['chatId', 'userId'], 'save conversation summary');
+
+            const now = this.getCurrentTimestamp();
+            await this.dal.execute(
+                `INSERT INTO ${this.tableName} (
+                    id, chat_id, user_id, mid_summary, long_gist, mid_message_count,
+                    summarized_message_count, summarized_through_message_id, summarized_through_timestamp,
+                    created_at, updated_at
+                 ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(chat_id) DO UPDATE SET
+                    mid_summary = excluded.mid_summary,
+                    long_gist = excluded.long_gist,
+                    mid_message_count = excluded.mid_message_count,
+                    summarized_message_count = excluded.summarized_message_count,
+                    summarized_through_message_id = excluded.summarized_through_message_id,
+                    summarized_through_timestamp = excluded.summarized_through_timestamp,
+                    updated_at = excluded.updated_at`,
+                [
+                    this.generateId(),
+                    chatId,
+                    userId,
+                    data.midSummary || '',
+                    data.longGist || '',
+                    data.midMessageCount || 0,
+                    data.summarizedMessageCount || 0,
+                    data.summarizedThroughMessageId || null,
+                    data.summarizedThroughTimestamp || null,
+                    now,
+                    now
+                ]
+            );
+
+            return await this.getSummary(chatId);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to save conversation summary', { chatId: data?.chatId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Remove the summary of a chat
+     * @returns {Promise<boolean>} True when a summary existed
+     */
+    async deleteSummary(chatId) {
+        try {
+            const result = await this.dal.execute(`DELETE FROM ${this.tableName} WHERE chat_id = ?`, [chatId]);
+            return result.changes > 0;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to delete conversation summary', { chatId });
+        }
+    }
+}
+
+module.exports = ConversationSummaryRepository;
@@ -0,0 +1,302 @@
+const BaseRepository = require('../CORE_BaseRepository');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * LorebookRepository - Lorebooks and their entries
+ * CLEAN ARCHITECTURE: Infrastructure layer world-info storage
+ *
+ * This repository handles:
+ * - Lorebooks owned by a user, attached to one character or to all of them
+ * - Entries with trigger keys, priority, insertion position and token limit
+ * - Loading the enabled entries that apply to a character for scanning
+ */
+class LorebookRepository extends BaseRepository {
+    constructor(tableName, dependencies) {
+        super(tableName, dependencies);
+        this.entriesTable = 'lorebook_entries';
+    }
+
+    /**
+     * Lorebook columns a caller may set
+     */
+    static get LOREBOOK_FIELDS() {
+        return ['personality_id', 'name', 'description', 'scan_depth', 'token_budget', 'is_active', 'source'];
+    }
+
+    /**
+     * Entry columns a caller may set (keys and secondary_keys are arrays)
+     */
+    static get ENTRY_FIELDS() {
+        return [
+            'name', 'keys', 'secondary_keys', 'selective_logic', 'content', 'priority',
+            'position', 'token_limit', 'constant', 'case_sensitive', 'enabled'
+        ];
+    }
+
+    /**
+     * DOMAIN LAYER: A user's lorebooks with their entry counts
+     * @param {string} userId
+     * @param {string|null} personalityId - Only books attached to this character or to all characters
+     */
+    async getUserLorebooks(userId, personalityId = null) {
+        try {
+            this.validateRequiredFields({ userId }, ['userId'], 'get lorebooks');
+
+            const characterFilter = personalityId ? 'AND (lb.personality_id IS NULL OR lb.personality_id = ?)' : '';
+            const rows = await this.dal.query(`
+                SELECT lb.*, p.name AS character_name, COUNT(le.id) AS entry_count
+                FROM ${this.tableName} lb
+                LEFT JOIN personalities p ON p.id = lb.personality_id
+                LEFT JOIN ${this.entriesTable} le ON le.lorebook_id = lb.id
+                WHERE lb.user_id = ? ${characterFilter}
+                GROUP BY lb.id
+                ORDER BY lb.name COLLATE NOCASE ASC
+            `, personalityId ? [userId, personalityId] : [userId]);
+
+            return rows.map(row => this.parseLorebook(row));
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get lorebooks', { userId, personalityId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: One lorebook of a user (null when missing or owned by someone else)
+     */
+    async getLorebook(lorebookId, userId) {
+        try {
+            const row = await this.dal.queryOne(
+                `SELECT * FROM ${this.tableName} WHERE id = ? AND user_id = ?`,
+                [lorebookId, userId]
+            );
+            return row ? this.parseLorebook(row) : null;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get lorebook', { lorebookId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Create a lorebook
+     * @param {Object} lorebook - user_id, name and any of LOREBOOK_FIELDS
+     * @returns {Promise<Object>} Stored lorebook
+     */
+    async createLorebook(lorebook) {
+        try {
+            this.validateRequiredFields(lorebook, ['user_id', 'name'], 'create lorebook');
+
+            const now = this.getCurrentTimestamp();
+            const data = {
+                id: lorebook.id || uuidv4(),
+                user_id: lorebook.user_id,
+                ...this.pickFields(lorebook, LorebookRepository.LOREBOOK_FIELDS),
+                created_at: now,
+                updated_at: now
+            };
+            if (data.is_active !== undefined) {
+                data.is_active = data.is_active ? 1 : 0;
+            }
+
+            await this.dal.create(this.tableName, data);
+            return await this.getLorebook(data.id, lorebook.user_id);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to create lorebook', { userId: lorebook?.user_id });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Update a lorebook's settings
+     * @returns {Promise<Object>} { updated }
+     */
+    async updateLorebook(lorebookId, userId, updates) {
+        try {
+            const data = this.pickFields(updates, LorebookRepository.LOREBOOK_FIELDS);
+            if (data.is_active !== undefined) {
+                data.is_active = data.is_active ? 1 : 0;
+            }
+            data.updated_at = this.getCurrentTimestamp();
+
+            const result = await this.dal.update(this.tableName, data, { id: lorebookId, user_id: userId });
+            return { updated: result.changes > 0 };
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to update lorebook', { lorebookId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Delete a lorebook and its entries
+     * @returns {Promise<Object>} { deleted }
+     */
+    async deleteLorebook(lorebookId, userId) {
+        try {
+            await this.dal.execute(`DELETE FROM ${this.entriesTable} WHERE lorebook_id = ?`, [lorebookId]);
+            const result = await this.dal.execute(
+                `DELETE FROM ${this.tableName} WHERE id = ? AND user_id = ?`,
+                [lorebookId, userId]
+            );
+            return { deleted: result.changes > 0 };
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to delete lorebook', { lorebookId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Entries of a lorebook, highest priority first
+     */
+    async getEntries(lorebookId) {
+        try {
+            const rows = await this.dal.query(
+                `SELECT * FROM ${this.entriesTable} WHERE lorebook_id = ? ORDER BY priority DESC, created_at ASC`,
+                [lorebookId]
+            );
+            return rows.map(row => this.parseEntry(row));
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get lorebook entries', { lorebookId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: One entry of a lorebook
+     */
+    async getEntry(lorebookId, entryId) {
+        try {
+            const row = await this.dal.queryOne(
+                `SELECT * FROM ${this.entriesTable} WHERE id = ? AND lorebook_id = ?`,
+                [entryId, lorebookId]
+            );
+            return row ? this.parseEntry(row) : null;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get lorebook entry', { lorebookId, entryId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Add an entry to a lorebook
+     * @param {string} lorebookId
+     * @param {Object} entry - content and any of ENTRY_FIELDS
+     * @returns {Promise<Object>} Stored entry
+     */
+    async createEntry(lorebookId, entry) {
+        try {
+            this.validateRequiredFields({ lorebookId, ...entry }, ['lorebookId', 'content'], 'create lorebook entry');
+
+            const now = this.getCurrentTimestamp();
+            const data = {
+                id: uuidv4(),
+                lorebook_id: lorebookId,
+                ...this.serializeEntry(this.pickFields(entry, LorebookRepository.ENTRY_FIELDS)),
+                created_at: now,
+                updated_at: now
+            };
+
+            await this.dal.create(this.entriesTable, data);
+            return await this.getEntry(lorebookId, data.id);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to create lorebook entry', { lorebookId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Update an entry
+     * @returns {Promise<Object>} { updated }
+     */
+    async updateEntry(lorebookId, entryId, updates) {
+        try {
+            const data = this.serializeEntry(this.pickFields(updates, LorebookRepository.ENTRY_FIELDS));
+            data.updated_at = this.getCurrentTimestamp();
+
+            const result = await this.dal.update(this.entriesTable, data, { id: entryId, lorebook_id: lorebookId });
+            return { updated: result.changes > 0 };
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to update lorebook entry', { lorebookId, entryId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Delete an entry
+     * @returns {Promise<Object>} { deleted }
+     */
+    async deleteEntry(lorebookId, entryId) {
+        try {
+            const result = await this.dal.execute(
+                `DELETE FROM ${this.entriesTable} WHERE id = ? AND lorebook_id = ?`,
+                [entryId, lorebookId]
+            );
+            return { deleted: result.changes > 0 };
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to delete lorebook entry', { lorebookId, entryId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Enabled entries of the active lorebooks that apply to a character
+     * Each entry carries its book's scan_depth and token_budget
+     */
+    async getActiveEntries(userId, personalityId) {
+        try {
+            const rows = await this.dal.query(`
+                SELECT le.*, lb.name AS lorebook_name, lb.scan_depth, lb.token_budget
+                FROM ${this.entriesTable} le
+                JOIN ${this.tableName} lb ON lb.id = le.lorebook_id
+                WHERE lb.user_id = ? AND lb.is_active = 1 AND le.enabled = 1
+                  AND (lb.personality_id IS NULL OR lb.personality_id = ?)
+                ORDER BY le.priority DESC, le.created_at ASC
+            `, [userId, personalityId || null]);
+
+            return rows.map(row => this.parseEntry(row));
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get active lorebook entries', { userId, personalityId });
+        }
+    }
+
+    pickFields(data, fields) {
+        return Object.fromEntries(fields
+            .filter(field => data && data[field] !== undefined)
+            .map(field => [field, data[field]]));
+    }
+
+    serializeEntry(entry) {
+        const data = { ...entry };
+        for (const field of ['keys', 'secondary_keys']) {
+            if (data[field] !== undefined) {
+                data[field] = JSON.stringify(data[field] || []);
+            }
+        }
+        for (const field of ['constant', 'case_sensitive', 'enabled']) {
+            if (data[field] !== undefined) {
+                data[field] = data[field] ? 1 : 0;
+            }
+        }
+        return data;
+    }
+
+    parseLorebook(row) {
+        return {
+            ...row,
+            is_active: !!row.is_active,
+            ...(row.entry_count !== undefined && { entry_count: Number(row.entry_count) })
+        };
+    }
+
+    parseEntry(row) {
+        return {
+            ...row,
+            keys: this.parseJson(row.keys, []),
+            secondary_keys: this.parseJson(row.secondary_keys, []),
+            constant: !!row.constant,
+            case_sensitive: !!row.case_sensitive,
+            enabled: !!row.enabled
+        };
+    }
+
+    parseJson(value, fallback) {
+        if (value === null || value === undefined) {
+            return fallback;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return fallback;
+        }
+    }
+}
+
+module.exports = LorebookRepository;
@@ -0,0 +1,185 @@
+const BaseRepository = require('../CORE_BaseRepository');
+
+/**
+ * MemoryEmbeddingRepository - Vector index over conversation_logs
+ * CLEAN ARCHITECTURE: Infrastructure layer semantic memory storage
+ *
+ * This repository handles:
+ * - One embedding per message (re-embedding replaces the previous vector)
+ * - Lookup of stored vectors for deep search candidates
+ * - Discovery of messages that still need embedding (backfill)
+ *
+ * Vectors are stored as JSON arrays next to character_memory_weights so the
+ * index lives in the same SQLite file and cascades with its messages.
+ */
+class MemoryEmbeddingRepository extends BaseRepository {
+    constructor(tableName, dependencies) {
+        super(tableName, dependencies);
+        this.conversationTable = 'conversation_logs';
+    }
+
+    /**
+     * Ensure memory embedding schema exists
+     * Mirrors database/migrations/009_memory_embeddings.sql for databases created before it
+     */
+    async ensureMemoryEmbeddingSchema() {
+        try {
+            await this.dal.execute(`
+                CREATE TABLE IF NOT EXISTS ${this.tableName} (
+                    id TEXT PRIMARY KEY,
+                    message_id TEXT NOT NULL UNIQUE,
+                    chat_id TEXT NOT NULL,
+                    user_id TEXT NOT NULL,
+                    model TEXT NOT NULL,
+                    dimensions INTEGER NOT NULL,
+                    embedding TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (message_id) REFERENCES conversation_logs(id) ON DELETE CASCADE,
+                    FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )
+            `);
+            await this.dal.execute(`CREATE INDEX IF NOT EXISTS idx_memory_embeddings_chat ON ${this.tableName}(chat_id)`);
+            await this.dal.execute(`CREATE INDEX IF NOT EXISTS idx_memory_embeddings_user ON ${this.tableName}(user_id)`);
+            await this.dal.execute(`CREATE INDEX IF NOT EXISTS idx_memory_embeddings_model ON ${this.tableName}(model)`);
+
+            return { success: true };
+        } catch (error) {
+            throw this.errorHandler.wrapInfrastructureError(error, 'Failed to ensure memory embedding schema');
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Store (or replace) the embedding for a message
+     * @param {Object} data - { messageId, chatId, userId, model, embedding }
+     */
+    async saveEmbedding(data) {
+        try {
+            const { messageId, chatId, userId, model, embedding } = data;
+            this.validateRequiredFields(
+                { messageId, chatId, userId, model, embedding },
+                ['messageId', 'chatId', 'userId', 'model', 'embedding'],
+                'save embedding'
+            );
+
+            const id = this.generateId();
+            await this.dal.execute(
+                `INSERT INTO ${this.tableName} (id, message_id, chat_id, user_id, model, dimensions, embedding, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(message_id) DO UPDATE SET
+                    model = excluded.model,
+                    dimensions = excluded.dimensions,
+                    embedding = excluded.embedding,
+                    created_at = excluded.created_at`,
+                [id, messageId, chatId, userId, model, embedding.length, JSON.stringify(embedding), this.getCurrentTimestamp()]
+            );
+
+            return { messageId, model, dimensions: embedding.length };
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to save embedding', { messageId: data?.messageId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Get stored vectors for a set of messages
+     * Only vectors produced by the given model are returned, so a model switch
+     * makes old vectors invisible until they are re-embedded.
+     * @param {Array<string>} messageIds - Message IDs
+     * @param {string} model - Embedding model name
+     * @returns {Promise<Map<string, Array<number>>>} messageId → vector
+     */
+    async getEmbeddingsForMessages(messageIds, model) {
+        try {
+            const vectors = new Map();
+            if (!messageIds || messageIds.length === 0) {
+                return vectors;
+            }
+
+            const placeholders = messageIds.map(() => '?').join(',');
+            const rows = await this.dal.query(
+                `SELECT message_id, embedding FROM ${this.tableName}
+                 WHERE model = ? AND message_id IN (${placeholders})`,
+                [model, ...messageIds]
+            );
+
+            for (const row of rows) {
+                const vector = this.parseJSON(row.embedding);
+                if (Array.isArray(vector)) {
+                    vectors.set(row.message_id, vector);
+                }
+            }
+
+            return vectors;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get embeddings', { count: messageIds?.length, model });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Find messages that have no embedding for the given model
+     * @param {string} model - Embedding model name
+     * @param {Object} options - { chatId, userId, limit }
+     * @returns {Promise<Array>} conversation_logs rows (id, chat_id, user_id, content)
+     */
+    async getMessagesWithoutEmbeddings(model, options = {}) {
+        try {
+            // Blank messages are never indexed, so they must not be selected again and again
+            const conditions = ['cl.content IS NOT NULL', "TRIM(cl.content, char(32, 9, 10, 13)) != ''"];
+            const params = [model];
+
+            if (options.chatId) {
+                conditions.push('cl.chat_id = ?');
+                params.push(options.chatId);
+            }
+            if (options.userId) {
+                conditions.push('cl.user_id = ?');
+                params.push(options.userId);
+            }
+
+            params.push(options.limit || 50);
+
+            return await this.dal.query(
+                `SELECT cl.id, cl.chat_id, cl.user_id, cl.content
+                 FROM ${this.conversationTable} cl
+                 LEFT JOIN ${this.tableName} me ON me.message_id = cl.id AND me.model = ?
+                 WHERE me.id IS NULL AND ${conditions.join(' AND ')}
+                 ORDER BY cl.timestamp ASC
+                 LIMIT ?`,
+                params
+            );
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to find messages without embeddings', { model, ...options });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Count indexed messages for a user (optionally per model)
+     */
+    async countEmbeddings(userId, model = null) {
+        try {
+            const params = [userId];
+            let sql = `SELECT COUNT(*) as count FROM ${this.tableName} WHERE user_id = ?`;
+            if (model) {
+                sql += ' AND model = ?';
+                params.push(model);
+            }
+            const result = await this.dal.queryOne(sql, params);
+            return result ? result.count : 0;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to count embeddings', { userId, model });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Remove all embeddings of a chat
+     */
+    async deleteChatEmbeddings(chatId) {
+        try {
+            return await this.dal.execute(`DELETE FROM ${this.tableName} WHERE chat_id = ?`, [chatId]);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to delete chat embeddings', { chatId });
+        }
+    }
+}
+
+module.exports = MemoryEmbeddingRepository;
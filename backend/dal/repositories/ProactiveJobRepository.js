@@ -0,0 +1,272 @@
+const BaseRepository = require('../CORE_BaseRepository');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * ProactiveJobRepository - Persisted queue of delayed proactive messages
+ * CLEAN ARCHITECTURE: Infrastructure layer job storage
+ *
+ * This repository handles:
+ * - Enqueuing a job with the time it becomes due
+ * - Claiming due jobs for one worker (pending -> running, attempts + 1)
+ * - Completing, retrying (back to pending with a later run_at) or dead-lettering a claim
+ * - Cancelling jobs that have not run yet
+ * - Deferring a claim that quiet hours or a rate limit hold back (deferred_reason),
+ *   and bringing a user's deferred jobs forward when their settings change
+ *
+ * Every transition is a single conditional UPDATE, so a job is claimed by one
+ * worker at a time and a repeated complete/retry is a no-op. A running job whose
+ * lock is older than the lease is treated as abandoned (the worker crashed) and
+ * can be claimed again.
+ */
+class ProactiveJobRepository extends BaseRepository {
+    constructor(tableName, dependencies) {
+        super(tableName, dependencies);
+    }
+
+    /**
+     * DOMAIN LAYER: Add a job to the queue
+     * @param {Object} data - { userId, chatId, personalityId, engagementId, jobType, payload, runAt, maxAttempts, deferredReason }
+     * @returns {Promise<Object>} Stored job
+     */
+    async enqueue(data) {
+        try {
+            this.validateRequiredFields(data, ['userId', 'runAt'], 'enqueue proactive job');
+
+            const id = uuidv4();
+            const now = this.getCurrentTimestamp();
+            await this.dal.execute(`
+                INSERT INTO ${this.tableName} (
+                    id, job_type, user_id, chat_id, personality_id, engagement_id,
+                    payload, run_at, status, attempts, max_attempts, deferred_reason, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?, ?)
+            `, [
+                id,
+                data.jobType || 'proactive_message',
+                data.userId,
+                data.chatId || null,
+                data.personalityId || null,
+                data.engagementId || null,
+                JSON.stringify(data.payload || {}),
+                new Date(data.runAt).toISOString(),
+                data.maxAttempts || 5,
+                data.deferredReason || null,
+                now,
+                now
+            ]);
+
+            return await this.getJob(id);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to enqueue proactive job', { userId: data?.userId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: One job with its payload parsed, null when there is none
+     */
+    async getJob(jobId) {
+        try {
+            const row = await this.dal.queryOne(`SELECT * FROM ${this.tableName} WHERE id = ?`, [jobId]);
+            return row ? this._toJob(row) : null;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get proactive job', { jobId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Claim due jobs for a worker, oldest first
+     * @param {string} workerId - Recorded as locked_by; later transitions must match it
+     * @param {Object} options - { limit, leaseMs, now }
+     * @returns {Promise<Array>} Jobs this worker now holds (status 'running')
+     */
+    async claimDue(workerId, { limit = 10, leaseMs = 5 * 60 * 1000, now = new Date() } = {}) {
+        try {
+            const nowIso = now.toISOString();
+            const staleBefore = new Date(now.getTime() - leaseMs).toISOString();
+            const claimable = `
+                ((status = 'pending' AND run_at <= ?)
+                 OR (status = 'running' AND locked_at < ?))
+            `;
+
+            const candidates = await this.dal.query(`
+                SELECT id FROM ${this.tableName}
+                WHERE ${claimable}
+                ORDER BY run_at ASC
+                LIMIT ?
+            `, [nowIso, staleBefore, limit]);
+
+            const claimed = [];
+            for (const { id } of candidates) {
+                // Another worker may have claimed it since the SELECT
+                const result = await this.dal.execute(`
+                    UPDATE ${this.tableName}
+                    SET status = 'running', locked_by = ?, locked_at = ?,
+                        attempts = attempts + 1, updated_at = ?
+                    WHERE id = ? AND ${claimable}
+                `, [workerId, nowIso, nowIso, id, nowIso, staleBefore]);
+
+                if (result.changes === 1) {
+                    claimed.push(await this.getJob(id));
+                }
+            }
+            return claimed;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to claim proactive jobs', { workerId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Mark a claimed job completed
+     * @returns {Promise<boolean>} false when the worker no longer holds the job
+     */
+    async complete(jobId, workerId) {
+        const now = this.getCurrentTimestamp();
+        return this._release(jobId, workerId, `
+            status = 'completed', completed_at = ?, last_error = NULL,
+            locked_by = NULL, locked_at = NULL, updated_at = ?
+        `, [now, now], 'complete');
+    }
+
+    /**
+     * DOMAIN LAYER: Put a failed claim back in the queue for a later attempt
+     * @param {string|Date} runAt - When to try again
+     */
+    async retry(jobId, workerId, errorMessage, runAt) {
+        return this._release(jobId, workerId, `
+            status = 'pending', run_at = ?, last_error = ?,
+            locked_by = NULL, locked_at = NULL, updated_at = ?
+        `, [new Date(runAt).toISOString(), errorMessage || null, this.getCurrentTimestamp()], 'retry');
+    }
+
+    /**
+     * DOMAIN LAYER: Put a claim back in the queue without using up an attempt
+     * @param {string|Date} runAt - Start of the next window the message may be sent in
+     * @param {string} reason - Why it was held back (quiet_hours, dnd, daily_cap, cooldown)
+     */
+    async defer(jobId, workerId, runAt, reason) {
+        return this._release(jobId, workerId, `
+            status = 'pending', run_at = ?, deferred_reason = ?, attempts = MAX(attempts - 1, 0),
+            locked_by = NULL, locked_at = NULL, updated_at = ?
+        `, [new Date(runAt).toISOString(), reason, this.getCurrentTimestamp()], 'defer');
+    }
+
+    /**
+     * DOMAIN LAYER: Make a user's deferred jobs due now so they are checked against new settings
+     * Jobs that are still held back are deferred again by the worker.
+     * @returns {Promise<number>} Number of jobs brought forward
+     */
+    async releaseDeferred(userId, now = new Date()) {
+        try {
+            const nowIso = now.toISOString();
+            const result = await this.dal.execute(`
+                UPDATE ${this.tableName}
+                SET run_at = ?, updated_at = ?
+                WHERE user_id = ? AND status = 'pending' AND deferred_reason IS NOT NULL AND run_at > ?
+            `, [nowIso, nowIso, userId, nowIso]);
+            return result.changes;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to release deferred proactive jobs', { userId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Give up on a job; it stays in 'dead_letter' with the last error
+     */
+    async deadLetter(jobId, workerId, errorMessage) {
+        return this._release(jobId, workerId, `
+            status = 'dead_letter', last_error = ?,
+            locked_by = NULL, locked_at = NULL, updated_at = ?
+        `, [errorMessage || null, this.getCurrentTimestamp()], 'dead-letter');
+    }
+
+    /**
+     * DOMAIN LAYER: Cancel a job that has not run yet
+     * @returns {Promise<boolean>} true when a pending job was cancelled
+     */
+    async cancel(jobId) {
+        try {
+            const result = await this.dal.execute(`
+                UPDATE ${this.tableName}
+                SET status = 'cancelled', updated_at = ?
+                WHERE id = ? AND status = 'pending'
+            `, [this.getCurrentTimestamp(), jobId]);
+            return result.changes === 1;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to cancel proactive job', { jobId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Cancel the pending jobs that deliver an engagement
+     * @returns {Promise<number>} Number of jobs cancelled
+     */
+    async cancelByEngagement(engagementId) {
+        try {
+            const result = await this.dal.execute(`
+                UPDATE ${this.tableName}
+                SET status = 'cancelled', updated_at = ?
+                WHERE engagement_id = ? AND status = 'pending'
+            `, [this.getCurrentTimestamp(), engagementId]);
+            return result.changes;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to cancel proactive jobs', { engagementId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Jobs waiting to run (pending or running), soonest first
+     * @param {Object} filters - { chatId, userId }
+     */
+    async getPendingJobs({ chatId = null, userId = null } = {}) {
+        try {
+            const rows = await this.dal.query(`
+                SELECT * FROM ${this.tableName}
+                WHERE status IN ('pending', 'running')
+                  AND (? IS NULL OR chat_id = ?)
+                  AND (? IS NULL OR user_id = ?)
+                ORDER BY run_at ASC
+            `, [chatId, chatId, userId, userId]);
+            return rows.map(row => this._toJob(row));
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get pending proactive jobs', { chatId, userId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Id of the chat message a job already saved, null when it has not
+     * Lets a job that is re-run after a crash skip saving the message twice.
+     */
+    async getDeliveredMessageId(jobId, chatId) {
+        try {
+            const row = await this.dal.queryOne(`
+                SELECT id FROM conversation_logs
+                WHERE chat_id = ? AND json_extract(metadata, '$.job_id') = ?
+                LIMIT 1
+            `, [chatId, jobId]);
+            return row ? row.id : null;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to look up proactive job message', { jobId });
+        }
+    }
+
+    /**
+     * Apply a transition to a job the worker holds
+     */
+    async _release(jobId, workerId, assignments, params, action) {
+        try {
+            const result = await this.dal.execute(`
+                UPDATE ${this.tableName}
+                SET ${assignments}
+                WHERE id = ? AND status = 'running' AND locked_by = ?
+            `, [...params, jobId, workerId]);
+            return result.changes === 1;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, `Failed to ${action} proactive job`, { jobId, workerId });
+        }
+    }
+
+    _toJob(row) {
+        return { ...row, payload: this.parseJSON(row.payload) || {} };
+    }
+}
+
+module.exports = ProactiveJobRepository;
@@ -0,0 +1,187 @@
+const BaseRepository = require('../CORE_BaseRepository');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * ProactiveSettingsRepository - Per-user limits on proactive messages
+ * CLEAN ARCHITECTURE: Infrastructure layer settings storage
+ *
+ * This repository handles:
+ * - Quiet hours, do-not-disturb, daily cap and cool-down settings (one row per user)
+ * - Counting the proactive messages a character sent a user in a time range
+ * - Finding the user's latest proactive message and whether it was answered
+ * - Logging suppressed messages to proactive_engagement_history
+ *
+ * A user without a row gets the column defaults from getSettings.
+ */
+class ProactiveSettingsRepository extends BaseRepository {
+    constructor(tableName, dependencies) {
+        super(tableName, dependencies);
+    }
+
+    /**
+     * Settings used when a user has not saved any
+     */
+    static get DEFAULTS() {
+        return {
+            quiet_hours_enabled: 0,
+            quiet_hours_start: '22:00',
+            quiet_hours_end: '08:00',
+            dnd_enabled: 0,
+            dnd_until: null,
+            daily_cap: 5,
+            cooldown_minutes: 120
+        };
+    }
+
+    /**
+     * DOMAIN LAYER: A user's settings, the defaults when there is no row
+     */
+    async getSettings(userId) {
+        try {
+            const row = await this.dal.queryOne(`SELECT * FROM ${this.tableName} WHERE user_id = ?`, [userId]);
+            return row || { user_id: userId, ...ProactiveSettingsRepository.DEFAULTS };
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get proactive settings', { userId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Create or replace a user's settings
+     * @param {Object} settings - Columns of user_proactive_settings; missing ones keep their current value
+     * @returns {Promise<Object>} Stored settings
+     */
+    async saveSettings(userId, settings) {
+        try {
+            const merged = { ...(await this.getSettings(userId)), ...settings };
+            const now = this.getCurrentTimestamp();
+            await this.dal.execute(`
+                INSERT INTO ${this.tableName} (
+                    user_id, quiet_hours_enabled, quiet_hours_start, quiet_hours_end,
+                    dnd_enabled, dnd_until, daily_cap, cooldown_minutes, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(user_id) DO UPDATE SET
+                    quiet_hours_enabled = excluded.quiet_hours_enabled,
+                    quiet_hours_start = excluded.quiet_hours_start,
+                    quiet_hours_end = excluded.quiet_hours_end,
+                    dnd_enabled = excluded.dnd_enabled,
+                    dnd_until = excluded.dnd_until,
+                    daily_cap = excluded.daily_cap,
+                    cooldown_minutes = excluded.cooldown_minutes,
+                    updated_at = excluded.updated_at
+            `, [
+                userId,
+                merged.quiet_hours_enabled ? 1 : 0,
+                merged.quiet_hours_start,
+                merged.quiet_hours_end,
+                merged.dnd_enabled ? 1 : 0,
+                merged.dnd_until || null,
+                merged.daily_cap,
+                merged.cooldown_minutes,
+                now,
+                now
+            ]);
+
+            return await this.getSettings(userId);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to save proactive settings', { userId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Proactive messages a character sent a user in [since, until)
+     * Messages saved without personality_id count for their chat's character.
+     */
+    async countProactiveMessages(userId, personalityId, since, until) {
+        try {
+            const row = await this.dal.queryOne(`
+                SELECT COUNT(*) AS count FROM conversation_logs
+                WHERE user_id = ? AND role = 'assistant'
+                  AND json_extract(metadata, '$.message_type') = 'proactive'
+                  AND COALESCE(personality_id, (SELECT personality_id FROM chats WHERE chats.id = conversation_logs.chat_id)) = ?
+                  AND datetime(timestamp) >= datetime(?) AND datetime(timestamp) < datetime(?)
+            `, [userId, personalityId, new Date(since).toISOString(), new Date(until).toISOString()]);
+            return row ? row.count : 0;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to count proactive messages', { userId, personalityId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: The user's latest proactive message with whether they wrote in that chat since
+     * @returns {Promise<Object|null>} { id, chat_id, sent_at (ISO, UTC), answered }
+     */
+    async getLastProactiveMessage(userId) {
+        try {
+            const row = await this.dal.queryOne(`
+                SELECT id, chat_id, strftime('%Y-%m-%dT%H:%M:%SZ', timestamp) AS sent_at FROM conversation_logs
+                WHERE user_id = ? AND role = 'assistant'
+                  AND json_extract(metadata, '$.message_type') = 'proactive'
+                ORDER BY datetime(timestamp) DESC
+                LIMIT 1
+            `, [userId]);
+            if (!row) {
+                return null;
+            }
+
+            const reply = await this.dal.queryOne(`
+                SELECT id FROM conversation_logs
+                WHERE chat_id = ? AND role = 'user' AND datetime(timestamp) >= datetime(?)
+                LIMIT 1
+            `, [row.chat_id, row.sent_at]);
+
+            return { ...row, answered: Boolean(reply) };
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get last proactive message', { userId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Add a suppressed message to its engagement's history
+     * @param {Object} data - { userId, engagementId, reason, details }
+     * @returns {Promise<string>} History entry id
+     */
+    async recordSuppression({ userId, engagementId, reason, details = {} }) {
+        try {
+            this.validateRequiredFields({ userId, engagementId, reason }, ['userId', 'engagementId', 'reason'], 'record proactive suppression');
+
+            const id = uuidv4();
+            await this.dal.execute(`
+                INSERT INTO proactive_engagement_history (
+                    id, user_id, engagement_id, interaction_sequence,
+                    user_action, system_response, outcome_analysis, timestamp
+                ) VALUES (
+                    ?, ?, ?,
+                    (SELECT COALESCE(MAX(interaction_sequence), 0) + 1 FROM proactive_engagement_history WHERE engagement_id = ?),
+                    'suppressed', 'deferred', ?, ?
+                )
+            `, [id, userId, engagementId, engagementId, JSON.stringify({ reason, ...details }), this.getCurrentTimestamp()]);
+            return id;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to record proactive suppression', { userId, engagementId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: A user's latest suppressions, newest first
+     */
+    async getSuppressions(userId, limit = 20) {
+        try {
+            const rows = await this.dal.query(`
+                SELECT id, engagement_id, outcome_analysis, timestamp FROM proactive_engagement_history
+                WHERE user_id = ? AND user_action = 'suppressed'
+                ORDER BY timestamp DESC
+                LIMIT ?
+            `, [userId, limit]);
+            return rows.map(row => ({
+                id: row.id,
+                engagement_id: row.engagement_id,
+                timestamp: row.timestamp,
+                ...(this.parseJSON(row.outcome_analysis) || {})
+            }));
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get proactive suppressions', { userId });
+        }
+    }
+}
+
+module.exports = ProactiveSettingsRepository;
@@ -0,0 +1,138 @@
+const BaseRepository = require('../CORE_BaseRepository');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * PromptTemplateRepository - Versioned prompt template overrides
+ * CLEAN ARCHITECTURE: Infrastructure layer template storage
+ *
+ * This repository handles:
+ * - Override rows keyed by template name and scope (global, user or character)
+ * - Saving a new version per change; the highest version is the one in use
+ * - Version history and removing an override with all its versions
+ *
+ * Scope keys use `IS` comparisons so global (NULL user) and user (NULL character)
+ * overrides match their own rows only.
+ */
+class PromptTemplateRepository extends BaseRepository {
+    constructor(tableName, dependencies) {
+        super(tableName, dependencies);
+    }
+
+    /**
+     * DOMAIN LAYER: Current (highest) version of an override, null when there is none
+     * @param {string} name - Template name
+     * @param {Object} key - { scope, userId, personalityId }
+     */
+    async getCurrent(name, key) {
+        try {
+            const row = await this.dal.queryOne(`
+                SELECT * FROM ${this.tableName}
+                WHERE name = ? AND scope = ? AND user_id IS ? AND personality_id IS ?
+                ORDER BY version DESC
+                LIMIT 1
+            `, [name, key.scope, key.userId || null, key.personalityId || null]);
+            return row || null;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get prompt template', { name, scope: key.scope });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: All versions of an override, newest first
+     */
+    async getVersions(name, key) {
+        try {
+            return await this.dal.query(`
+                SELECT * FROM ${this.tableName}
+                WHERE name = ? AND scope = ? AND user_id IS ? AND personality_id IS ?
+                ORDER BY version DESC
+            `, [name, key.scope, key.userId || null, key.personalityId || null]);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get prompt template versions', { name, scope: key.scope });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: One version of an override
+     */
+    async getVersion(name, key, version) {
+        try {
+            return await this.dal.queryOne(`
+                SELECT * FROM ${this.tableName}
+                WHERE name = ? AND scope = ? AND user_id IS ? AND personality_id IS ? AND version = ?
+            `, [name, key.scope, key.userId || null, key.personalityId || null, version]);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get prompt template version', { name, version });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Save a new version of an override (version = previous + 1)
+     * @param {string} name - Template name
+     * @param {Object} key - { scope, userId, personalityId }
+     * @param {Object} data - { content, note, createdBy }
+     * @returns {Promise<Object>} Stored version
+     */
+    async createVersion(name, key, data) {
+        try {
+            this.validateRequiredFields({ name, ...key, ...data }, ['name', 'scope', 'content'], 'save prompt template');
+
+            const id = uuidv4();
+            await this.dal.execute(`
+                INSERT INTO ${this.tableName} (id, name, scope, user_id, personality_id, version, content, note, created_by, created_at)
+                SELECT ?, ?, ?, ?, ?, COALESCE(MAX(version), 0) + 1, ?, ?, ?, ?
+                FROM ${this.tableName}
+                WHERE name = ? AND scope = ? AND user_id IS ? AND personality_id IS ?
+            `, [
+                id, name, key.scope, key.userId || null, key.personalityId || null,
+                data.content, data.note || '', data.createdBy || null, this.getCurrentTimestamp(),
+                name, key.scope, key.userId || null, key.personalityId || null
+            ]);
+
+            return await this.dal.queryOne(`SELECT * FROM ${this.tableName} WHERE id = ?`, [id]);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to save prompt template', { name, scope: key?.scope });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Remove an override and its history (the next scope down applies again)
+     * @returns {Promise<Object>} { deleted } - number of versions removed
+     */
+    async deleteOverride(name, key) {
+        try {
+            const result = await this.dal.execute(`
+                DELETE FROM ${this.tableName}
+                WHERE name = ? AND scope = ? AND user_id IS ? AND personality_id IS ?
+            `, [name, key.scope, key.userId || null, key.personalityId || null]);
+            return { deleted: result.changes };
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to delete prompt template', { name, scope: key.scope });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Current version of every override that can apply to a user
+     * (global ones, the user's own and, with a character, that character's)
+     */
+    async getCurrentOverrides(userId, personalityId = null) {
+        try {
+            return await this.dal.query(`
+                SELECT pt.* FROM ${this.tableName} pt
+                WHERE (pt.scope = 'global'
+                       OR (pt.scope = 'user' AND pt.user_id = ?)
+                       OR (pt.scope = 'character' AND pt.user_id = ? AND pt.personality_id = ?))
+                  AND pt.version = (
+                      SELECT MAX(latest.version) FROM ${this.tableName} latest
+                      WHERE latest.name = pt.name AND latest.scope = pt.scope
+                        AND latest.user_id IS pt.user_id AND latest.personality_id IS pt.personality_id
+                  )
+                ORDER BY pt.name ASC
+            `, [userId, userId, personalityId]);
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get prompt template overrides', { userId, personalityId });
+        }
+    }
+}
+
+module.exports = PromptTemplateRepository;
@@ -0,0 +1,133 @@
+const BaseRepository = require('../CORE_BaseRepository');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * PushSubscriptionRepository - Browser push subscriptions per user
+ * CLEAN ARCHITECTURE: Infrastructure layer subscription storage
+ *
+ * This repository handles:
+ * - Saving a browser's PushSubscription (endpoint and keys)
+ * - Listing a user's subscriptions for delivery
+ * - Removing subscriptions on unsubscribe or when the push service reports them gone
+ * - Counting failed sends so dead subscriptions can be dropped
+ *
+ * Endpoints are unique: a browser that subscribes again replaces its
+ * previous row. An endpoint saved for one user is never moved to another.
+ */
+class PushSubscriptionRepository extends BaseRepository {
+    constructor(tableName, dependencies) {
+        super(tableName, dependencies);
+    }
+
+    /**
+     * DOMAIN LAYER: Create or replace the subscription of a browser
+     * @param {Object} subscription - PushSubscription JSON: { endpoint, keys: { p256dh, auth } }
+     * @returns {Promise<Object|null>} Stored subscription, or null when the endpoint belongs to another user
+     */
+    async saveSubscription(userId, subscription, userAgent = null) {
+        try {
+            const { endpoint, keys = {} } = subscription || {};
+            this.validateRequiredFields(
+                { userId, endpoint, p256dh: keys.p256dh, auth: keys.auth },
+                ['userId', 'endpoint', 'p256dh', 'auth'],
+                'save push subscription'
+            );
+
+            const now = this.getCurrentTimestamp();
+            await this.dal.execute(`
+                INSERT INTO ${this.tableName} (
+                    id, user_id, endpoint, p256dh, auth, user_agent, failure_count, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?)
+                ON CONFLICT(endpoint) DO UPDATE SET
+                    user_id = excluded.user_id,
+                    p256dh = excluded.p256dh,
+                    auth = excluded.auth,
+                    user_agent = excluded.user_agent,
+                    failure_count = 0,
+                    updated_at = excluded.updated_at
+                WHERE ${this.tableName}.user_id = excluded.user_id
+            `, [uuidv4(), userId, endpoint, keys.p256dh, keys.auth, userAgent, now, now]);
+
+            const saved = await this.dal.queryOne(`SELECT * FROM ${this.tableName} WHERE endpoint = ?`, [endpoint]);
+            return saved && saved.user_id === userId ? saved : null;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to save push subscription', { userId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: A user's subscriptions, oldest first
+     */
+    async getUserSubscriptions(userId) {
+        try {
+            return await this.dal.query(
+                `SELECT * FROM ${this.tableName} WHERE user_id = ? ORDER BY created_at ASC`,
+                [userId]
+            );
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to get push subscriptions', { userId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Remove a user's subscription by endpoint
+     * @returns {Promise<boolean>} Whether a subscription was removed
+     */
+    async deleteSubscription(userId, endpoint) {
+        try {
+            const result = await this.dal.execute(
+                `DELETE FROM ${this.tableName} WHERE user_id = ? AND endpoint = ?`,
+                [userId, endpoint]
+            );
+            return result.changes > 0;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to delete push subscription', { userId });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Remove a subscription the push service no longer knows
+     */
+    async deleteById(id) {
+        try {
+            const result = await this.dal.execute(`DELETE FROM ${this.tableName} WHERE id = ?`, [id]);
+            return result.changes > 0;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to delete push subscription', { id });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Record an accepted send
+     */
+    async markSuccess(id) {
+        try {
+            const now = this.getCurrentTimestamp();
+            await this.dal.execute(
+                `UPDATE ${this.tableName} SET failure_count = 0, last_success_at = ?, updated_at = ? WHERE id = ?`,
+                [now, now, id]
+            );
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to update push subscription', { id });
+        }
+    }
+
+    /**
+     * DOMAIN LAYER: Record a failed send
+     * @returns {Promise<number>} Failures since the last success
+     */
+    async markFailure(id) {
+        try {
+            await this.dal.execute(
+                `UPDATE ${this.tableName} SET failure_count = failure_count + 1, updated_at = ? WHERE id = ?`,
+                [this.getCurrentTimestamp(), id]
+            );
+            const row = await this.dal.queryOne(`SELECT failure_count FROM ${this.tableName} WHERE id = ?`, [id]);
+            return row ? row.failure_count : 0;
+        } catch (error) {
+            throw this.errorHandler.wrapRepositoryError(error, 'Failed to update push subscription', { id });
+        }
+    }
+}
+
+module.exports = PushSubscriptionRepository;
@@ -261,6 +261,39 @@ class AbstractService extends EventEmitter {
         this.emit('error', errorRecord);
     }
 
+    /**
+     * CLEAN ARCHITECTURE: Expected errors carry the status code routes send
+     * (400 invalid input, 404 missing or foreign resource, 409 conflict)
+     */
+    createValidationError(message) {
+        return this.createStatusError(message, 400);
+    }
+
+    createNotFoundError(message) {
+        return this.createStatusError(message, 404);
+    }
+
+    createConflictError(message) {
+        return this.createStatusError(message, 409);
+    }
+
+    createStatusError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    /**
+     * CLEAN ARCHITECTURE: Wrap an unexpected error as a domain error
+     * Errors with a status code are kept intact so routes can map them.
+     */
+    wrapError(error, message, context) {
+        if (error.statusCode) {
+            return error;
+        }
+        return this.errorHandler.wrapDomainError(error, message, context);
+    }
+
     /**
      * CLEAN ARCHITECTURE: Operation time recording
      */
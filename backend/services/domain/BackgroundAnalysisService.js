@@ -6,12 +6,18 @@
  * - Conversation flow analysis  
  * - Proactive intelligence analysis and delivery
  * - Learning pattern extraction
+ * - Semantic memory indexing of new messages
+ * - Rolling conversation summary of turns leaving the recent window
+ * 
+ * Replies the user stopped (truncated) are only indexed and summarized: an
+ * unfinished reply says nothing reliable about mood, intent or learnings.
  * 
  * Follows clean architecture principles with proper dependency injection
  * and single responsibility.
  */
 
 const AbstractService = require('../base/CORE_AbstractService');
+const DateTimeUtils = require('../../utils/datetime_utils');
 
 class BackgroundAnalysisService extends AbstractService {
     constructor(dependencies) {
@@ -27,6 +33,9 @@ class BackgroundAnalysisService extends AbstractService {
         this.proactiveLearning = null;
         this.errorHandler = null;
         this.configuration = null;
+        this.memorySearch = null;
+        this.conversationSummary = null;
+        this.conversationBranch = null;
     }
 
     /**
@@ -54,6 +63,9 @@ class BackgroundAnalysisService extends AbstractService {
             this.proactiveLearning = this.dependencies.proactiveLearning;
             this.errorHandler = this.dependencies.errorHandling;
             this.configuration = this.dependencies.configuration;
+            this.memorySearch = this.dependencies.memorySearch;
+            this.conversationSummary = this.dependencies.conversationSummary;
+            this.conversationBranch = this.dependencies.conversationBranch;
             
             // Get DAL from database service (CORE pattern)
             if (!this.database) {
@@ -82,22 +94,37 @@ class BackgroundAnalysisService extends AbstractService {
      * @param {string} context.aiResponse - AI's response
      * @param {Object} context.psychologyState - Current psychology state
      * @param {Object} context.character - Character configuration
+     * @param {Array} [context.toolCalls] - Tool calls the character made this turn ({ name, arguments, result })
+     * @param {string} [context.messageId] - Saved AI message; the resulting psychological state is snapshotted on it
+     * @param {boolean} [context.truncated] - The reply was stopped before it finished
      */
     async processMessageAnalysis(context) {
-        const { chatId, userId, characterId, userMessage, aiResponse, psychologyState, character } = context;
+        const { chatId, userId, characterId, userMessage, aiResponse, psychologyState, character, toolCalls = [], messageId = null, truncated = false } = context;
         
         try {
-            this.logger.info('Starting background analysis', 'BackgroundAnalysisService', { chatId });
+            this.logger.info('Starting background analysis', 'BackgroundAnalysisService', { chatId, truncated });
+
+            if (truncated) {
+                await Promise.allSettled([
+                    this._runMemoryIndexing(chatId, userId),
+                    this._runSummarization(chatId, userId, characterId)
+                ]);
+                this.logger.info('Skipped reply analysis for truncated reply', 'BackgroundAnalysisService', { chatId, messageId });
+                return;
+            }
 
             // Get conversation history for all analyses
             const conversationHistory = await this.dal.conversations.getSessionHistory(chatId, 10, 0);
+            const timeContext = await this._getUserTimeContext(userId);
 
             // Run all background analyses concurrently (non-blocking)
             const analysisPromises = [
-                this._runPsychologyAnalysis(chatId, userId, conversationHistory, userMessage, character),
+                this._runPsychologyAnalysis(chatId, userId, conversationHistory, userMessage, character, messageId, timeContext),
                 this._runConversationAnalysis(conversationHistory, userMessage),
-                this._runProactiveAnalysis(chatId, userId, characterId, userMessage, aiResponse, psychologyState, character, conversationHistory),
-                this._runLearningExtraction(chatId, userId, characterId, userMessage, aiResponse)
+                this._runProactiveAnalysis(chatId, userId, characterId, userMessage, aiResponse, psychologyState, character, conversationHistory, toolCalls, timeContext),
+                this._runLearningExtraction(chatId, userId, characterId, userMessage, aiResponse),
+                this._runMemoryIndexing(chatId, userId),
+                this._runSummarization(chatId, userId, characterId)
             ];
 
             // Wait for all analyses to complete (or fail gracefully)
@@ -116,10 +143,21 @@ class BackgroundAnalysisService extends AbstractService {
 
     /**
      * Run psychology analysis and state updates
+     * The new state is snapshotted on the reply so it can be restored when the
+     * user switches back to this branch
      */
-    async _runPsychologyAnalysis(chatId, userId, conversationHistory, userMessage, character) {
+    async _runPsychologyAnalysis(chatId, userId, conversationHistory, userMessage, character, messageId = null, timeContext = null) {
         try {
-            await this.psychology.analyzeAndUpdateState(chatId, userId, conversationHistory, userMessage, character);
+            await this.psychology.analyzeAndUpdateState(chatId, userId, conversationHistory, userMessage, character, timeContext);
+
+            if (messageId) {
+                await this.dal.memories.saveStateSnapshot(chatId, messageId, character?.id);
+
+                // The reply was regenerated or switched away from while we were analysing it
+                if (this.conversationBranch && !(await this.conversationBranch.isActiveMessage(messageId))) {
+                    await this.conversationBranch.restoreBranchState(chatId);
+                }
+            }
         } catch (error) {
             this.logger.error('Psychology analysis failed', 'BackgroundAnalysisService', { 
                 chatId, 
@@ -128,6 +166,104 @@ class BackgroundAnalysisService extends AbstractService {
         }
     }
 
+    /**
+     * Embed the new messages of this chat into the semantic memory index
+     */
+    async _runMemoryIndexing(chatId, userId) {
+        try {
+            if (!this.memorySearch) {
+                return;
+            }
+            const indexed = await this.memorySearch.indexChatMessages(chatId, userId);
+            this.logger.debug('Memory indexing completed', 'BackgroundAnalysisService', { chatId, indexed });
+        } catch (error) {
+            this.logger.error('Memory indexing failed', 'BackgroundAnalysisService', { 
+                chatId, 
+                error: error.message 
+            });
+        }
+    }
+
+    /**
+     * Fold messages that left the recent window into the rolling chat summary
+     */
+    async _runSummarization(chatId, userId, characterId) {
+        try {
+            if (!this.conversationSummary) {
+                return;
+            }
+            const result = await this.conversationSummary.updateSummary(chatId, userId, characterId);
+            this.logger.debug('Summarization completed', 'BackgroundAnalysisService', { 
+                chatId, 
+                summarizedCount: result.summarizedCount 
+            });
+        } catch (error) {
+            this.logger.error('Summarization failed', 'BackgroundAnalysisService', { 
+                chatId, 
+                error: error.message 
+            });
+        }
+    }
+
+    /**
+     * Tool calls of one tool that succeeded
+     */
+    _successfulToolCalls(toolCalls, name) {
+        return (toolCalls || []).filter(call => call.name === name && call.result && !call.result.error);
+    }
+
+    /**
+     * Schedule a proactive check-in one hour before a commitment is due
+     */
+    async _scheduleCommitmentFollowUp(commitmentId, commitmentData, { chatId, userId, characterId, character }) {
+        if (!commitmentData?.due_at || !this.proactiveDelivery) {
+            return;
+        }
+        try {
+            // Calculate reminder time (1 hour before due date)
+            const dueDate = new Date(commitmentData.due_at);
+            const reminderTime = new Date(dueDate.getTime() - (60 * 60 * 1000)); // 1 hour before
+            const now = new Date();
+            
+            // Only schedule if reminder time is in the future
+            if (reminderTime > now) {
+                const delaySeconds = Math.floor((reminderTime.getTime() - now.getTime()) / 1000);
+                
+                // Schedule follow-up using ProactiveDeliveryService
+                await this.proactiveDelivery.scheduleProactiveMessage({
+                    chatId,
+                    userId,
+                    personalityId: characterId,
+                    personalityName: character.name,
+                    content: `Just checking in about your commitment: "${commitmentData.description}". How is it going?`,
+                    delaySeconds,
+                    metadata: {
+                        type: 'commitment_reminder',
+                        commitmentId,
+                        dueDate: commitmentData.due_at
+                    }
+                });
+
+                this.logger.info('Commitment follow-up scheduled', 'BackgroundAnalysisService', {
+                    commitmentId,
+                    reminderTime: reminderTime.toISOString(),
+                    delaySeconds
+                });
+            } else {
+                this.logger.debug('Reminder time is in the past, not scheduling', 'BackgroundAnalysisService', {
+                    commitmentId,
+                    reminderTime: reminderTime.toISOString()
+                });
+            }
+        } catch (scheduleError) {
+            this.logger.error('Failed to schedule commitment follow-up', 'BackgroundAnalysisService', {
+                commitmentId,
+                error: scheduleError.message
+            });
+            // Continue processing - scheduling failure shouldn't block commitment creation
+        }
+    }
+
     /**
      * Run conversation flow analysis
      */
@@ -143,8 +279,10 @@ class BackgroundAnalysisService extends AbstractService {
 
     /**
      * Run proactive intelligence analysis and delivery
+     * Commitments/events the character already created through tool calls are
+     * not created again from detection.
      */
-    async _runProactiveAnalysis(chatId, userId, characterId, userMessage, aiResponse, psychologyState, character, conversationHistory) {
+    async _runProactiveAnalysis(chatId, userId, characterId, userMessage, aiResponse, psychologyState, character, conversationHistory, toolCalls = [], timeContext = null) {
         try {
             // === PROACTIVE DEBUG LOGGING ===
             this.logger.info('===== PROACTIVE DEBUG =====', 'BackgroundAnalysisService', {
@@ -171,12 +309,37 @@ class BackgroundAnalysisService extends AbstractService {
                     chatId,
                     userId,
                     personalityId: characterId,
-                    personalityName: character.name
+                    personalityName: character.name,
+                    timeContext
                 }
             });
 
+            const toolCommitments = this._successfulToolCalls(toolCalls, 'create_commitment');
+            const toolEvents = this._successfulToolCalls(toolCalls, 'schedule_event');
+
+            // Follow up on commitments the character created via tool calls
+            for (const call of toolCommitments) {
+                await this._scheduleCommitmentFollowUp(call.result.commitment_id, call.result, { chatId, userId, characterId, character });
+            }
+
+            if (toolCommitments.length > 0 && decision?.commitment_detected?.has_commitment) {
+                this.logger.info('Commitment already created by tool call, skipping detection', 'BackgroundAnalysisService', {
+                    chatId,
+                    userId,
+                    toolCommitments: toolCommitments.length
+                });
+            }
+
+            if (toolEvents.length > 0 && decision?.event_detected?.has_event) {
+                this.logger.info('Event already scheduled by tool call, skipping detection', 'BackgroundAnalysisService', {
+                    chatId,
+                    userId,
+                    toolEvents: toolEvents.length
+                });
+            }
+
             // Check if a commitment was detected and create commitment record
-            if (decision && decision.commitment_detected && decision.commitment_detected.has_commitment) {
+            if (toolCommitments.length === 0 && decision && decision.commitment_detected && decision.commitment_detected.has_commitment) {
                 try {
                     const commitmentData = decision.commitment_detected.commitment;
                     const confidence = decision.commitment_detected.confidence || 0.0;
@@ -216,51 +379,7 @@ class BackgroundAnalysisService extends AbstractService {
                         });
 
                         // Schedule proactive follow-up if due date is set
-                        if (commitmentData?.due_at && this.proactiveDelivery) {
-                            try {
-                                // Calculate reminder time (1 hour before due date)
-                                const dueDate = new Date(commitmentData.due_at);
-                                const reminderTime = new Date(dueDate.getTime() - (60 * 60 * 1000)); // 1 hour before
-                                const now = new Date();
-                                
-                                // Only schedule if reminder time is in the future
-                                if (reminderTime > now) {
-                                    const delaySeconds = Math.floor((reminderTime.getTime() - now.getTime()) / 1000);
-                                    
-                                    // Schedule follow-up using ProactiveDeliveryService
-                                    this.proactiveDelivery.scheduleProactiveMessage({
-                                        chatId,
-                                        userId,
-                                        personalityId: characterId,
-                                        personalityName: character.name,
-                                        messageContent: `Just checking in about your commitment: "${commitmentData.description}". How is it going?`,
-                                        delaySeconds,
-                                        metadata: {
-                                            type: 'commitment_reminder',
-                                            commitmentId,
-                                            dueDate: commitmentData.due_at
-                                        }
-                                    });
-
-                                    this.logger.info('Commitment follow-up scheduled', 'BackgroundAnalysisService', {
-                                        commitmentId,
-                                        reminderTime: reminderTime.toISOString(),
-                                        delaySeconds
-                                    });
-                                } else {
-                                    this.logger.debug('Reminder time is in the past, not scheduling', 'BackgroundAnalysisService', {
-                                        commitmentId,
-                                        reminderTime: reminderTime.toISOString()
-                                    });
-                                }
-                            } catch (scheduleError) {
-                                this.logger.error('Failed to schedule commitment follow-up', 'BackgroundAnalysisService', {
-                                    commitmentId,
-                                    error: scheduleError.message
-                                });
-                                // Continue processing - scheduling failure shouldn't block commitment creation
-                            }
-                        }
+                        await this._scheduleCommitmentFollowUp(commitmentId, commitmentData, { chatId, userId, characterId, character });
                     } else {
                         // Log low-confidence detection for monitoring
                         this.logger.info('Low-confidence commitment not created', 'BackgroundAnalysisService', {
@@ -282,7 +401,7 @@ class BackgroundAnalysisService extends AbstractService {
             }
 
             // Check if an event was detected and create event record
-            if (decision && decision.event_detected && decision.event_detected.has_event) {
+            if (toolEvents.length === 0 && decision && decision.event_detected && decision.event_detected.has_event) {
                 try {
                     const eventData = decision.event_detected.event;
                     
@@ -294,8 +413,8 @@ class BackgroundAnalysisService extends AbstractService {
                     });
 
                     // Parse starts_at and calculate initial next_occurrence
-                    const startsAt = this._parseStartTime(eventData.starts_at);
-                    const nextOccurrence = this._calculateInitialNextOccurrence(eventData, startsAt);
+                    const startsAt = this._parseStartTime(eventData.starts_at, timeContext);
+                    const nextOccurrence = this._calculateInitialNextOccurrence(eventData, startsAt, timeContext);
 
                     // Create event record
                     const eventId = this.generateId();
@@ -308,11 +427,13 @@ class BackgroundAnalysisService extends AbstractService {
                         description: eventData?.description || '',
                         recurrence_type: eventData?.recurrence_type || 'once',
                         recurrence_data: JSON.stringify(eventData?.recurrence_data || {}),
+                        rrule: eventData?.rrule || null,
+                        exdates: eventData?.exdates || [],
                         starts_at: startsAt,
                         next_occurrence: nextOccurrence,
                         is_active: 1,
                         status: 'scheduled'
-                    });
+                    }, timeContext);
 
                     this.logger.info('Event created successfully', 'BackgroundAnalysisService', {
                         eventId,
@@ -407,11 +528,30 @@ class BackgroundAnalysisService extends AbstractService {
         }
     }
 
+    /**
+     * The user's { timeZone, locale }; the server defaults when it cannot be read
+     */
+    async _getUserTimeContext(userId) {
+        try {
+            const settings = this.dal.users?.getTimeSettings
+                ? await this.dal.users.getTimeSettings(userId)
+                : null;
+            return DateTimeUtils.getUserContext(settings);
+        } catch (error) {
+            this.logger.warn('Could not load user time settings', 'BackgroundAnalysisService', {
+                userId,
+                error: error.message
+            });
+            return DateTimeUtils.getUserContext();
+        }
+    }
+
     /**
      * Parse start time from relative or absolute format
      * Handles: ISO timestamps, "tomorrow 7am", "tonight", etc.
+     * Times of day are read on the user's clock
      */
-    _parseStartTime(startsAt) {
+    _parseStartTime(startsAt, timeContext = null) {
         if (!startsAt) {
             return new Date().toISOString();
         }
@@ -424,38 +564,34 @@ class BackgroundAnalysisService extends AbstractService {
         // Handle relative times
         const now = new Date();
         const lowerStart = startsAt.toLowerCase();
+        const { timeZone } = DateTimeUtils.getUserContext(timeContext);
+        const today = DateTimeUtils.getZonedParts(now, timeZone);
+        const at = (dayOffset, hour) => DateTimeUtils.zonedTimeToUtc(
+            { ...today, day: today.day + dayOffset, hour, minute: 0, second: 0 },
+            timeZone
+        ).toISOString();
 
         // Tomorrow patterns
         if (lowerStart.includes('tomorrow')) {
-            const tomorrow = new Date(now);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            
             // Extract time if specified
             const timeMatch = lowerStart.match(/(\d{1,2})\s*(am|pm)/);
             if (timeMatch) {
                 let hours = parseInt(timeMatch[1]);
                 if (timeMatch[2] === 'pm' && hours !== 12) hours += 12;
                 if (timeMatch[2] === 'am' && hours === 12) hours = 0;
-                tomorrow.setHours(hours, 0, 0, 0);
-            } else {
-                tomorrow.setHours(9, 0, 0, 0); // Default to 9am
+                return at(1, hours);
             }
-            
-            return tomorrow.toISOString();
+            return at(1, 9); // Default to 9am
         }
 
         // Tonight pattern
         if (lowerStart.includes('tonight')) {
-            const tonight = new Date(now);
-            tonight.setHours(20, 0, 0, 0); // Default to 8pm
-            return tonight.toISOString();
+            return at(0, 20); // Default to 8pm
         }
 
         // This evening
         if (lowerStart.includes('evening')) {
-            const evening = new Date(now);
-            evening.setHours(18, 0, 0, 0); // Default to 6pm
-            return evening.toISOString();
+            return at(0, 18); // Default to 6pm
         }
 
         // Default: assume it's today at the current time or parse as date
@@ -470,8 +606,9 @@ class BackgroundAnalysisService extends AbstractService {
      * Calculate initial next_occurrence based on event type
      * For 'once': next_occurrence = starts_at
      * For recurring: calculate first trigger time based on recurrence_data
+     * (recurrence_data.time is on the user's clock)
      */
-    _calculateInitialNextOccurrence(eventData, startsAt) {
+    _calculateInitialNextOccurrence(eventData, startsAt, timeContext = null) {
         const recurrenceType = eventData.recurrence_type || 'once';
         const recurrenceData = eventData.recurrence_data || {};
 
@@ -486,12 +623,13 @@ class BackgroundAnalysisService extends AbstractService {
         if (recurrenceType === 'daily' && recurrenceData.time) {
             // Daily events: use specified time
             const [hours, minutes] = recurrenceData.time.split(':').map(Number);
-            const nextDate = new Date(startDate);
-            nextDate.setHours(hours, minutes, 0, 0);
+            const { timeZone } = DateTimeUtils.getUserContext(timeContext);
+            const startDay = DateTimeUtils.getZonedParts(startDate, timeZone);
+            let nextDate = DateTimeUtils.zonedTimeToUtc({ ...startDay, hour: hours, minute: minutes, second: 0 }, timeZone);
             
             // If the time has passed today, schedule for tomorrow
             if (nextDate <= new Date()) {
-                nextDate.setDate(nextDate.getDate() + 1);
+                nextDate = DateTimeUtils.zonedTimeToUtc({ ...startDay, day: startDay.day + 1, hour: hours, minute: minutes, second: 0 }, timeZone);
             }
             
             return nextDate.toISOString();
@@ -4,6 +4,9 @@ const AbstractService = require('../base/CORE_AbstractService');
  * CORE_ContextBuilderService
  * Builds unified context for LLM conversations by gathering and organizing
  * recent messages, psychology state, memories, commitments, and events.
+ * Turns older than the recent window are represented by the rolling
+ * conversation summary (mid-range summary + long-range gist).
+ * Lorebook entries triggered by the latest messages are added as lore.
  */
 class ContextBuilderService extends AbstractService {
     constructor(dependencies) {
@@ -14,6 +17,7 @@ class ContextBuilderService extends AbstractService {
         this.dal = this.database.getDAL();
         this.llmConfig = dependencies.llmConfig;
         this.psychology = dependencies.psychology;
+        this.lorebook = dependencies.lorebook || null;
     }
 
     async onInitialize() {
@@ -25,9 +29,10 @@ class ContextBuilderService extends AbstractService {
      * @param {number} userId - User ID
      * @param {number} chatId - Chat ID
      * @param {number} characterId - Character ID
+     * @param {Object} options - { message } - user message being answered, scanned for lore triggers
      * @returns {Promise<Object>} Unified context object
      */
-    async buildUnifiedContext(userId, chatId, characterId) {
+    async buildUnifiedContext(userId, chatId, characterId, options = {}) {
         try {
             this.logger.debug('Building unified context', 'ContextBuilderService', { 
                 userId, 
@@ -45,23 +50,29 @@ class ContextBuilderService extends AbstractService {
                 topMemories,
                 activeCommitments,
                 upcomingEvents,
-                recentCompletions
+                recentCompletions,
+                conversationSummary
             ] = await Promise.all([
                 this.getRecentMessages(chatId, windowSize),
                 this.psychology.getPsychologicalState(chatId),  // ✅ Fixed: correct method name, chatId is session_id
                 this.dal.psychology.getWeightedMemories(chatId, 10).catch(err => { this.logger.warn('Failed to get weighted memories:', err.message); return []; }),
                 this.dal.commitments.getActiveCommitments(userId),
                 this.dal.events.getUpcomingEvents(userId, 5),
-                this.getRecentCompletions(userId)
+                this.getRecentCompletions(userId),
+                this.getConversationSummary(chatId)
             ]);
 
+            const lore = await this.getTriggeredLore(userId, characterId, recentMessages, options.message);
+
             const context = {
                 recentMessages,
                 psychologyState,
                 topMemories,
                 activeCommitments,
                 upcomingEvents,
-                recentCompletions
+                recentCompletions,
+                conversationSummary,
+                lore
             };
 
             this.logger.debug('Unified context built successfully', 'ContextBuilderService', {
@@ -70,7 +81,8 @@ class ContextBuilderService extends AbstractService {
                 messageCount: recentMessages.length,
                 memoryCount: topMemories.length,
                 commitmentCount: activeCommitments.length,
-                eventCount: upcomingEvents.length
+                eventCount: upcomingEvents.length,
+                loreCount: lore.length
             });
 
             return context;
@@ -108,6 +120,52 @@ class ContextBuilderService extends AbstractService {
         }
     }
 
+    /**
+     * Get the rolling summary of turns older than the recent window
+     * Missing summaries are normal for young chats, so failures never block context building
+     * @param {number} chatId - Chat ID
+     * @returns {Promise<Object|null>} Summary row or null
+     */
+    async getConversationSummary(chatId) {
+        try {
+            if (!this.dal.conversationSummaries) {
+                return null;
+            }
+            return await this.dal.conversationSummaries.getSummary(chatId);
+        } catch (error) {
+            this.logger.warn('Failed to get conversation summary', 'ContextBuilderService', { 
+                chatId, 
+                error: error.message 
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Get the lorebook entries triggered by the latest messages
+     * Lore is optional, so failures never block context building
+     * @param {number} userId - User ID
+     * @param {number} characterId - Character ID
+     * @param {Array} recentMessages - Messages in chronological order
+     * @param {string} message - User message being answered
+     * @returns {Promise<Array>} Triggered entries, highest priority first
+     */
+    async getTriggeredLore(userId, characterId, recentMessages, message = null) {
+        try {
+            if (!this.lorebook) {
+                return [];
+            }
+            return await this.lorebook.findTriggeredEntries(userId, characterId, recentMessages, message);
+        } catch (error) {
+            this.logger.warn('Failed to scan lorebooks', 'ContextBuilderService', { 
+                userId, 
+                characterId, 
+                error: error.message 
+            });
+            return [];
+        }
+    }
+
     /**
      * Resolve context window size with cascade logic
      * Character override → User preference → Global config → Default 30
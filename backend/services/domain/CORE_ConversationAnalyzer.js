@@ -281,7 +281,7 @@ Focus on natural conversation flow. Only mark topics as concluded when they're t
             .map((msg, i) => `${msg.role}: "${msg.content}"`)
             .join('\n');
         
-        const dateTimeContext = DateTimeUtils.getSystemPromptDateTime();
+        const dateTimeContext = DateTimeUtils.getSystemPromptDateTime(new Date(), sessionContext?.timeContext);
             
         return `
 Analyze this conversation message for natural flow understanding:
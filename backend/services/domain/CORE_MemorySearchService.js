@@ -1,9 +1,15 @@
 const AbstractService = require('../base/CORE_AbstractService');
+const EmbeddingUtils = require('../../utils/embedding_utils');
+const PromptTemplates = require('../../utils/prompt_templates');
 
 /**
  * CORE_MemorySearchService
  * Provides intelligent memory search capabilities using LLM-based intent analysis
  * and semantic filtering to retrieve relevant past conversation context.
+ *
+ * When an embedding service is available, candidates are first ranked by cosine
+ * similarity (blended with significance scores) against a vector index of
+ * conversation_logs, and only the top-k go to the LLM for the final rerank.
  */
 class MemorySearchService extends AbstractService {
     constructor(dependencies) {
@@ -13,6 +19,14 @@ class MemorySearchService extends AbstractService {
         this.database = dependencies.database;
         this.dal = this.database.getDAL();
         this.structuredResponse = dependencies.structuredResponse;
+        this.embedding = dependencies.embedding || null;
+        this.promptTemplates = dependencies.promptTemplates || null;
+
+        // Semantic ranking settings
+        this.semanticTopK = 20;
+        this.similarityWeight = 0.7;      // remaining weight goes to significance
+        this.maxSignificance = 40;        // four scores of 1-10 each
+        this.backfillBatchSize = 50;
     }
 
     async onInitialize() {
@@ -38,27 +52,10 @@ class MemorySearchService extends AbstractService {
                 .map(m => `[${m.role}]: ${m.content}`)
                 .join('\n');
 
-            const prompt = `User message: "${userMessage}"
-Recent context (last 5 messages): ${recentContextText}
-
-Does the user's message reference past information not in recent context?
-
-Examples that NEED search:
-- "Like I told you last week..."
-- "Remember my ACL injury?"
-- "What about that task from September?"
-
-Examples that DON'T need search:
-- "Good morning!"
-- "How are you?"
-- References to recent messages
-
-Respond with JSON:
-{
-  "needs_search": boolean,
-  "search_query": "semantic description of what to find" or null,
-  "reasoning": "why search is/isn't needed"
-}`;
+            const prompt = await PromptTemplates.renderFor(this.promptTemplates, 'memory_search_intent', {
+                message: userMessage,
+                recent_context: recentContextText
+            }, { userId });
 
             const schema = {
                 type: 'object',
@@ -98,26 +95,63 @@ Respond with JSON:
         }
     }
 
+    /**
+     * Resolve the effective memory scope for a search
+     * Cross-chat scopes need the owning user (and the character for 'character'),
+     * otherwise the search stays inside the current chat.
+     * @param {Object} scopeOptions - { memoryScope, userId, characterId }
+     * @returns {string} 'chat', 'character' or 'user'
+     */
+    resolveMemoryScope(scopeOptions = {}) {
+        const { memoryScope, userId, characterId } = scopeOptions;
+
+        if (memoryScope === 'user' && userId) {
+            return 'user';
+        }
+        if (memoryScope === 'character' && userId && characterId) {
+            return 'character';
+        }
+        if (memoryScope && memoryScope !== 'chat') {
+            this.logger.warn('Memory scope requires user/character, searching current chat only', 'MemorySearchService', {
+                memoryScope,
+                hasUserId: !!userId,
+                hasCharacterId: !!characterId
+            });
+        }
+        return 'chat';
+    }
+
     /**
      * Search for significant memories excluding recent context
      * @param {number} chatId - Chat session ID
      * @param {Array<number>} excludeMessageIds - Message IDs to exclude (recent context)
      * @param {number} significanceThreshold - Minimum significance score (1-10)
+     * @param {Object} scopeOptions - { memoryScope, userId, characterId } (defaults to current chat)
      * @returns {Promise<Array>} Array of significant memory objects
      */
-    async searchSignificantMemories(chatId, excludeMessageIds, significanceThreshold) {
+    async searchSignificantMemories(chatId, excludeMessageIds, significanceThreshold, scopeOptions = {}) {
         try {
+            const scope = this.resolveMemoryScope(scopeOptions);
+
             this.logger.debug('Searching significant memories', 'MemorySearchService', {
                 chatId,
+                scope,
                 excludeCount: excludeMessageIds.length,
                 threshold: significanceThreshold
             });
 
-            const memories = await this.dal.memories.getSignificantMemories(
-                chatId,
-                excludeMessageIds,
-                significanceThreshold
-            );
+            const memories = scope === 'chat'
+                ? await this.dal.memories.getSignificantMemories(
+                    chatId,
+                    excludeMessageIds,
+                    significanceThreshold
+                )
+                : await this.dal.memories.getScopedSignificantMemories(
+                    scope,
+                    { userId: scopeOptions.userId, characterId: scopeOptions.characterId },
+                    excludeMessageIds,
+                    significanceThreshold
+                );
 
             this.logger.debug('Significant memories retrieved', 'MemorySearchService', {
                 chatId,
@@ -157,19 +191,11 @@ Respond with JSON:
                 .map((m, i) => `${i + 1}. [${m.timestamp}] ${m.content}`)
                 .join('\n');
 
-            const prompt = `Search query: "${searchQuery}"
-
-Candidate memories (${memories.length} total):
-${memoriesText}
-
-Which memories are relevant to the search query?
-Return the indices of relevant memories (1-based).
-
-Respond with JSON:
-{
-  "relevant_indices": [1, 5, 12, ...],
-  "reasoning": "why these are relevant"
-}`;
+            const prompt = await PromptTemplates.renderFor(this.promptTemplates, 'memory_filter', {
+                search_query: searchQuery,
+                memory_count: memories.length,
+                memories: memoriesText
+            }, { userId });
 
             const schema = {
                 type: 'object',
@@ -224,10 +250,11 @@ Respond with JSON:
      * @param {string} userMessage - Current user message
      * @param {Array<number>} recentMessageIds - Message IDs to exclude from search
      * @param {number} significanceThreshold - Minimum significance score
-     * @param {number} userId - User ID for LLM configuration resolution
+     * @param {number} userId - User ID for LLM configuration resolution (and memory ownership)
+     * @param {Object} options - { memoryScope, characterId } from the character's settings
      * @returns {Promise<Array|null>} Relevant memories or null if search not needed
      */
-    async executeDeepSearch(chatId, userMessage, recentMessageIds, significanceThreshold, userId) {
+    async executeDeepSearch(chatId, userMessage, recentMessageIds, significanceThreshold, userId, options = {}) {
         try {
             this.logger.debug('Executing deep search', 'MemorySearchService', {
                 chatId,
@@ -254,11 +281,12 @@ Respond with JSON:
                 searchQuery: searchIntent.search_query
             });
 
-            // Step 2: Search significant memories
+            // Step 2: Search significant memories (scope decides which chats are searched)
             const candidateMemories = await this.searchSignificantMemories(
                 chatId,
                 recentMessageIds,
-                significanceThreshold
+                significanceThreshold,
+                { memoryScope: options.memoryScope, userId, characterId: options.characterId }
             );
 
             if (candidateMemories.length === 0) {
@@ -266,9 +294,16 @@ Respond with JSON:
                 return [];
             }
 
-            // Step 3: Filter for relevance (using analytical model)
-            const relevantMemories = await this.filterRelevantMemories(
+            // Step 3: Narrow to the semantically closest candidates (when an index is available)
+            const rankedCandidates = await this.selectSemanticCandidates(
                 candidateMemories,
+                searchIntent.search_query || userMessage,
+                userId
+            );
+
+            // Step 4: Final rerank/filter for relevance (using analytical model)
+            const relevantMemories = await this.filterRelevantMemories(
+                rankedCandidates,
                 searchIntent.search_query,
                 userId
             );
@@ -276,6 +311,7 @@ Respond with JSON:
             this.logger.info('Deep search completed', 'MemorySearchService', {
                 chatId,
                 candidateCount: candidateMemories.length,
+                rankedCount: rankedCandidates.length,
                 relevantCount: relevantMemories.length
             });
 
@@ -288,6 +324,251 @@ Respond with JSON:
             );
         }
     }
+
+    /**
+     * Search memories for an explicit query (no intent analysis or LLM rerank)
+     * Used by the search_memory tool, where the model already decided to search.
+     * Without an embedding index, candidates are filtered by keyword overlap.
+     * @param {string} chatId - Current chat
+     * @param {string} query - What to look for
+     * @param {string} userId - Memory owner
+     * @param {Object} options - { memoryScope, characterId, significanceThreshold, limit }
+     * @returns {Promise<Array>} Matching memories, best first
+     */
+    async searchMemories(chatId, query, userId, options = {}) {
+        try {
+            const candidates = await this.searchSignificantMemories(
+                chatId,
+                [],
+                options.significanceThreshold || 5,
+                { memoryScope: options.memoryScope, userId, characterId: options.characterId }
+            );
+
+            let ranked = await this.selectSemanticCandidates(candidates, query, userId);
+            if (ranked.length > 0 && ranked[0].similarity === undefined) {
+                const keywords = query.toLowerCase().split(/\W+/).filter(word => word.length > 2);
+                ranked = ranked.filter(memory => {
+                    const content = (memory.content || '').toLowerCase();
+                    return keywords.some(word => content.includes(word));
+                });
+            }
+
+            return ranked.slice(0, options.limit || 5);
+        } catch (error) {
+            throw this.errorHandler.wrapDomainError(error, 'Failed to search memories', { chatId, query });
+        }
+    }
+
+    /**
+     * Rank candidates by semantic similarity, falling back to the full candidate list
+     * when no embedding service is configured or the embeddings server is unavailable
+     * @param {Array} candidates - Significant memories
+     * @param {string} searchQuery - Semantic search query
+     * @param {number} userId - User ID for embedding configuration resolution
+     * @returns {Promise<Array>} Candidates to hand to the LLM rerank
+     */
+    async selectSemanticCandidates(candidates, searchQuery, userId) {
+        if (!this.embedding) {
+            return candidates;
+        }
+
+        try {
+            return await this.rankBySimilarity(candidates, searchQuery, userId);
+        } catch (error) {
+            this.logger.warn('Semantic ranking unavailable, using significance order', 'MemorySearchService', {
+                error: error.message
+            });
+            return candidates;
+        }
+    }
+
+    /**
+     * Rank memories by cosine similarity blended with normalized significance
+     * Candidates without a stored vector are embedded on the fly and indexed.
+     * @param {Array} memories - Candidate memories (rows from getSignificantMemories)
+     * @param {string} searchQuery - Semantic search query
+     * @param {number} userId - User ID for embedding configuration resolution
+     * @returns {Promise<Array>} Top-k memories with similarity and relevance_score attached
+     */
+    async rankBySimilarity(memories, searchQuery, userId) {
+        try {
+            if (memories.length === 0) {
+                return [];
+            }
+
+            const model = await this.embedding.getModel(userId);
+            const messageIds = memories.map(m => this.getMessageId(m));
+            const vectors = await this.dal.memoryEmbeddings.getEmbeddingsForMessages(messageIds, model);
+
+            const unindexed = memories.filter(m => !vectors.has(this.getMessageId(m)));
+            if (unindexed.length > 0) {
+                const indexed = await this.indexMessages(unindexed.map(m => ({
+                    id: this.getMessageId(m),
+                    chat_id: m.chat_id || m.session_id,
+                    user_id: m.user_id || userId,
+                    content: m.content
+                })), userId);
+                indexed.forEach((vector, messageId) => vectors.set(messageId, vector));
+            }
+
+            const { vector: queryVector } = await this.embedding.embedText(searchQuery, { userId });
+
+            const ranked = memories
+                .map(memory => {
+                    const similarity = EmbeddingUtils.cosineSimilarity(queryVector, vectors.get(this.getMessageId(memory)));
+                    const significance = Math.min((memory.total_significance || 0) / this.maxSignificance, 1);
+                    return {
+                        ...memory,
+                        similarity,
+                        relevance_score: this.similarityWeight * Math.max(similarity, 0) +
+                            (1 - this.similarityWeight) * significance
+                    };
+                })
+                .sort((a, b) => b.relevance_score - a.relevance_score)
+                .slice(0, this.semanticTopK);
+
+            this.logger.debug('Memories ranked by similarity', 'MemorySearchService', {
+                candidateCount: memories.length,
+                embeddedOnTheFly: unindexed.length,
+                topScore: ranked[0]?.relevance_score
+            });
+
+            return ranked;
+        } catch (error) {
+            throw this.errorHandler.wrapDomainError(
+                error,
+                'Failed to rank memories by similarity',
+                { candidateCount: memories.length, searchQuery }
+            );
+        }
+    }
+
+    /**
+     * Embed and store vectors for conversation messages
+     * @param {Array} messages - Rows with id, chat_id, user_id, content
+     * @param {number} userId - User ID for embedding configuration resolution
+     * @returns {Promise<Map<string, Array<number>>>} messageId → stored vector
+     */
+    async indexMessages(messages, userId) {
+        try {
+            const stored = new Map();
+            const indexable = messages.filter(m => m.content && m.content.trim());
+            if (indexable.length === 0) {
+                return stored;
+            }
+
+            const { model, vectors } = await this.embedding.embedTexts(
+                indexable.map(m => m.content),
+                { userId }
+            );
+
+            for (let i = 0; i < indexable.length; i++) {
+                const message = indexable[i];
+                await this.dal.memoryEmbeddings.saveEmbedding({
+                    messageId: message.id,
+                    chatId: message.chat_id,
+                    userId: message.user_id || userId,
+                    model,
+                    embedding: vectors[i]
+                });
+                stored.set(message.id, vectors[i]);
+            }
+
+            return stored;
+        } catch (error) {
+            throw this.errorHandler.wrapDomainError(
+                error,
+                'Failed to index messages',
+                { messageCount: messages.length, userId }
+            );
+        }
+    }
+
+    /**
+     * Index any messages of a chat that have no embedding yet
+     * Called after each exchange so new messages are searchable without a backfill
+     * @param {string} chatId - Chat ID
+     * @param {string} userId - Owner of the chat
+     * @returns {Promise<number>} Number of messages indexed
+     */
+    async indexChatMessages(chatId, userId) {
+        try {
+            if (!this.embedding) {
+                return 0;
+            }
+
+            const model = await this.embedding.getModel(userId);
+            const pending = await this.dal.memoryEmbeddings.getMessagesWithoutEmbeddings(model, {
+                chatId,
+                userId,
+                limit: this.backfillBatchSize
+            });
+
+            const indexed = await this.indexMessages(pending, userId);
+            return indexed.size;
+        } catch (error) {
+            throw this.errorHandler.wrapDomainError(error, 'Failed to index chat messages', { chatId, userId });
+        }
+    }
+
+    /**
+     * Backfill embeddings for existing chats in batches
+     * @param {Object} options - { userId, chatId, batchSize, maxBatches }
+     * @returns {Promise<Object>} { indexed, batches }
+     */
+    async backfillEmbeddings(options = {}) {
+        try {
+            if (!this.embedding) {
+                throw new Error('Embedding service not configured');
+            }
+
+            const batchSize = options.batchSize || this.backfillBatchSize;
+            const maxBatches = options.maxBatches || Infinity;
+            const model = await this.embedding.getModel(options.userId);
+
+            let indexed = 0;
+            let batches = 0;
+
+            while (batches < maxBatches) {
+                const pending = await this.dal.memoryEmbeddings.getMessagesWithoutEmbeddings(model, {
+                    chatId: options.chatId,
+                    userId: options.userId,
+                    limit: batchSize
+                });
+
+                if (pending.length === 0) {
+                    break;
+                }
+
+                const stored = await this.indexMessages(pending, options.userId);
+                indexed += stored.size;
+                batches++;
+
+                if (stored.size === 0) {
+                    break; // nothing indexable left in this batch (e.g. blank content)
+                }
+            }
+
+            this.logger.info('Embedding backfill completed', 'MemorySearchService', {
+                model,
+                indexed,
+                batches,
+                userId: options.userId,
+                chatId: options.chatId
+            });
+
+            return { model, indexed, batches };
+        } catch (error) {
+            throw this.errorHandler.wrapDomainError(error, 'Failed to backfill embeddings', options);
+        }
+    }
+
+    /**
+     * Memory rows carry the weight id in `id` and the message in `message_id`
+     */
+    getMessageId(memory) {
+        return memory.message_id || memory.id;
+    }
 }
 
 module.exports = MemorySearchService;
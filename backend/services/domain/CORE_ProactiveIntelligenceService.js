@@ -12,6 +12,7 @@
 
 const AbstractService = require('../base/CORE_AbstractService');
 const DateTimeUtils = require('../../utils/datetime_utils');
+const RecurrenceRules = require('../../utils/recurrence_rules');
 
 class ProactiveIntelligenceService extends AbstractService {
     constructor(dependencies) {
@@ -255,7 +256,7 @@ class ProactiveIntelligenceService extends AbstractService {
         learnedPatterns,
         sessionContext
     }) {
-        const dateTimeContext = DateTimeUtils.getSystemPromptDateTime();
+        const dateTimeContext = DateTimeUtils.getSystemPromptDateTime(new Date(), sessionContext?.timeContext);
         
         return `You are ${sessionContext.personalityName || 'a character'} in a natural conversation. You've just had this exchange with someone:
 
@@ -657,7 +658,7 @@ IMPORTANT: Interpret these states through the lens of YOUR unique personality fr
         conversationHistory,
         sessionContext
     }) {
-        const dateTimeContext = DateTimeUtils.getSystemPromptDateTime();
+        const dateTimeContext = DateTimeUtils.getSystemPromptDateTime(new Date(), sessionContext?.timeContext);
         
         return `You are analyzing a conversation to detect if ${sessionContext.personalityName || 'the character'} assigned a commitment to the user.
 
@@ -885,7 +886,7 @@ Respond with complete JSON following the schema.`;
         conversationHistory,
         sessionContext
     }) {
-        const dateTimeContext = DateTimeUtils.getSystemPromptDateTime();
+        const dateTimeContext = DateTimeUtils.getSystemPromptDateTime(new Date(), sessionContext?.timeContext);
         const characterName = sessionContext.personalityName || 'the character';
         
         return `You are analyzing if ${characterName} scheduled an event or meeting.
@@ -909,6 +910,10 @@ EXAMPLES:
 - "We'll meet on the first Monday of every month at 3pm" → monthly recurring
 - "My birthday is on January 1st" → yearly recurring
 - "I'll check in with you tomorrow morning" → one-time event
+- "Every weekday at 7am" → rrule FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;BYHOUR=7;BYMINUTE=0
+- "Every other Tuesday" → rrule FREQ=WEEKLY;INTERVAL=2;BYDAY=TU
+- "On the last Friday of every month" → rrule FREQ=MONTHLY;BYDAY=-1FR
+- "Every Monday, except next week" → rrule FREQ=WEEKLY;BYDAY=MO with next week's Monday in exdates
 
 Also determine if character would want to remind user about this event:
 - Strict/professional characters → likely want reminders
@@ -919,6 +924,8 @@ EXTRACTION RULES:
 - description: Additional context or details
 - recurrence_type: 'once', 'daily', 'weekly', 'monthly', or 'yearly'
 - recurrence_data: Extract time, day_of_week (for weekly), day_of_month (for monthly)
+- rrule: For patterns recurrence_type cannot express (several weekdays, every N weeks, "last Friday"), an RFC 5545 RRULE without the "RRULE:" prefix (FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH, BYSETPOS, BYHOUR, BYMINUTE); otherwise omit it
+- exdates: ISO timestamps of occurrences the character said are skipped
 - starts_at: ISO timestamp or relative like "tomorrow 7am"
 - reminder_preference: Based on character's personality ('none', 'before_event', 'at_event')
 
@@ -978,6 +985,15 @@ Respond with strict JSON matching the schema.`;
                                 }
                             }
                         },
+                        rrule: {
+                            type: ['string', 'null'],
+                            description: 'RFC 5545 recurrence rule, e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=TU'
+                        },
+                        exdates: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'ISO timestamps of skipped occurrences'
+                        },
                         starts_at: {
                             type: 'string',
                             description: 'ISO timestamp or relative like "tomorrow 7am"'
@@ -1018,14 +1034,33 @@ Respond with strict JSON matching the schema.`;
             const event = rawEvent.event;
             const validRecurrenceTypes = ['once', 'daily', 'weekly', 'monthly', 'yearly'];
             const validReminderPreferences = ['none', 'before_event', 'at_event'];
+
+            // An invalid rule is dropped; the event falls back to recurrence_type
+            let rrule = null;
+            if (typeof event.rrule === 'string' && event.rrule.trim()) {
+                try {
+                    rrule = RecurrenceRules.normalize(event.rrule.replace(/^RRULE:/i, ''));
+                } catch (error) {
+                    this.logger.warn('Dropping invalid rrule from event detection', 'ProactiveIntelligence', {
+                        rrule: event.rrule,
+                        error: error.message
+                    });
+                }
+            }
             
             result.event = {
                 title: event.title || 'Scheduled Event',
                 description: event.description || '',
-                recurrence_type: validRecurrenceTypes.includes(event.recurrence_type) 
-                    ? event.recurrence_type 
-                    : 'once',
+                recurrence_type: rrule
+                    ? RecurrenceRules.getRecurrenceType(rrule)
+                    : validRecurrenceTypes.includes(event.recurrence_type) 
+                        ? event.recurrence_type 
+                        : 'once',
                 recurrence_data: event.recurrence_data || {},
+                rrule,
+                exdates: rrule && Array.isArray(event.exdates)
+                    ? event.exdates.filter(date => !isNaN(new Date(date).getTime()))
+                    : [],
                 starts_at: event.starts_at || new Date().toISOString(),
                 reminder_preference: validReminderPreferences.includes(event.reminder_preference)
                     ? event.reminder_preference
@@ -1,6 +1,7 @@
 const { v4: uuidv4 } = require('uuid');
 const AbstractService = require('../base/CORE_AbstractService');
 const DateTimeUtils = require('../../utils/datetime_utils');
+const PromptTemplates = require('../../utils/prompt_templates');
 
 /**
  * Enhanced Psychology Service (formerly DynamicCharacterPsychologyService)
@@ -29,6 +30,7 @@ class PsychologyService extends AbstractService {
         this.errorHandler = dependencies.errorHandling;
         this.database = dependencies.database;
         this.dal = this.database.getDAL();
+        this.promptTemplates = dependencies.promptTemplates || null;
         
         // Initialize state tracking
         this.activeStates = new Map();
@@ -138,12 +140,10 @@ class PsychologyService extends AbstractService {
         return await this.withMetrics(async () => {
             this.analytics.frameworksCreated++;
             
-            const prompt = `Analyze this personality definition and create a psychological framework:
-
-Personality: ${personalityName}
-Definition: ${personalityDefinition}
-
-Create a comprehensive psychological framework that captures the character's core traits, emotional patterns, and behavioral tendencies.`;
+            const prompt = await PromptTemplates.renderFor(this.promptTemplates, 'psychology_framework', {
+                char: personalityName,
+                definition: personalityDefinition
+            });
 
             const schema = {
                 type: 'object',
@@ -241,6 +241,56 @@ Create a comprehensive psychological framework that captures the character's cor
         }, 'storePersonalityFramework');
     }
 
+    /**
+     * APPLICATION LAYER: Re-run the framework analysis after the definition changed
+     * Stores the result under the next analysis_version and returns both frameworks for comparison
+     */
+    async reanalyzePersonalityFramework(personality) {
+        return await this.withMetrics(async () => {
+            const dal = this.getDAL();
+            const previous = await dal.psychology.getFrameworkWithMetadata(personality.id);
+            const previousVersion = previous?.analysis_version || 0;
+
+            const framework = await this.analyzePersonalityFramework(personality.definition, personality.name);
+            await dal.psychology.updatePsychologyFramework(personality.id, framework, previousVersion + 1);
+
+            this.logger.info(`🧠 Re-analyzed psychology framework for ${personality.name} (v${previousVersion + 1})`);
+            return {
+                framework,
+                analysisVersion: previousVersion + 1,
+                previousFramework: previous?.framework_data || null,
+                previousVersion: previous ? previousVersion : null
+            };
+        }, 'reanalyzePersonalityFramework');
+    }
+
+    /**
+     * APPLICATION LAYER: Put back an earlier framework (rollback) under the next analysis_version
+     */
+    async restorePersonalityFramework(personalityId, framework) {
+        return await this.withMetrics(async () => {
+            const dal = this.getDAL();
+            const previous = await dal.psychology.getFrameworkWithMetadata(personalityId);
+            const analysisVersion = (previous?.analysis_version || 0) + 1;
+
+            await dal.psychology.updatePsychologyFramework(personalityId, framework, analysisVersion);
+            return { framework, analysisVersion };
+        }, 'restorePersonalityFramework');
+    }
+
+    /**
+     * APPLICATION LAYER: Current framework together with its analysis_version
+     */
+    async getPersonalityFrameworkRecord(personalityId) {
+        return await this.withMetrics(async () => {
+            const record = await this.getDAL().psychology.getFrameworkWithMetadata(personalityId);
+            if (!record || !record.framework_data) {
+                return null;
+            }
+            return { framework: record.framework_data, analysisVersion: record.analysis_version || 1 };
+        }, 'getPersonalityFrameworkRecord');
+    }
+
     /**
      * APPLICATION LAYER: Get personality framework - direct DAL access
      */
@@ -258,12 +308,16 @@ Create a comprehensive psychological framework that captures the character's cor
 
     /**
      * APPLICATION LAYER: Get current psychological state - direct DAL access
+     * @param {string} chatId - Chat ID
+     * @param {string} [personalityId] - Character whose state to read (group chats keep one per character)
      */
-    async getCharacterState(chatId) {
+    async getCharacterState(chatId, personalityId = null) {
         return await this.withMetrics(async () => {
             try {
                 const dal = this.getDAL();
-                const state = await dal.psychology.getPsychologicalState(chatId);
+                const state = personalityId
+                    ? await dal.psychology.getPsychologicalState(chatId, personalityId)
+                    : await dal.psychology.getPsychologicalState(chatId);
                 
                 if (state) {
                     // Clean up any malformed JSON fields using centralized service
@@ -295,7 +349,7 @@ Create a comprehensive psychological framework that captures the character's cor
             cleanedState.current_motivations = fixedMotivations;
             
             // Update the database with the fixed value
-            await this.updateDatabaseJsonField(state.session_id, 'current_motivations', fixedMotivations);
+            await this.updateDatabaseJsonField(state.session_id, 'current_motivations', fixedMotivations, state.personality_id);
         }
         
         // Clean up active_interests if it's a string (should be array)
@@ -309,7 +363,7 @@ Create a comprehensive psychological framework that captures the character's cor
             cleanedState.active_interests = fixedInterests;
             
             // Update the database with the fixed value
-            await this.updateDatabaseJsonField(state.session_id, 'active_interests', fixedInterests);
+            await this.updateDatabaseJsonField(state.session_id, 'active_interests', fixedInterests, state.personality_id);
         }
         
         return cleanedState;
@@ -368,10 +422,10 @@ Convert to proper JSON format.`;
     /**
      * INFRASTRUCTURE LAYER: Update a specific JSON field in the database
      */
-    async updateDatabaseJsonField(chatId, fieldName, value) {
+    async updateDatabaseJsonField(chatId, fieldName, value, personalityId = null) {
         try {
             const dal = this.getDAL();
-            const currentState = await dal.psychology.getPsychologicalState(chatId);
+            const currentState = await dal.psychology.getPsychologicalState(chatId, personalityId);
             if (currentState) {
                 const updatedState = { ...currentState };
                 updatedState[fieldName] = value;
@@ -426,39 +480,35 @@ Convert to proper JSON format.`;
     /**
      * DOMAIN LAYER: LLM-powered psychological state analysis and update using character framework
      * Core intelligence for authentic character behavior evolution
+     * @param {Object} [timeContext] - The user's { timeZone, locale } for the date/time context
      */
-    async analyzeAndUpdateState(chatId, userId, conversationHistory, currentMessage, personality) {
+    async analyzeAndUpdateState(chatId, userId, conversationHistory, currentMessage, personality, timeContext = null) {
         try {
             // Ensure we have the character framework
             const framework = await this.ensurePersonalityFramework(personality);
             
-            // Get current state
-            let currentState = await this.getCharacterState(chatId);
+            // Get current state (each character in a group chat has its own)
+            let currentState = await this.getCharacterState(chatId, personality.id);
             
             // Initialize state if it doesn't exist
             if (!currentState) {
                 await this.initializeCharacterState(chatId, personality.id, framework);
-                currentState = await this.getCharacterState(chatId);
+                currentState = await this.getCharacterState(chatId, personality.id);
             }
 
             // Create simplified prompt for better JSON compliance
-            const dateTimeContext = DateTimeUtils.getSystemPromptDateTime();
-            const prompt = `Analyze how this conversation affects ${personality.name}'s psychological state.
-
-Character: ${personality.name}
-Definition: ${personality.definition}
-
-${dateTimeContext}
-
-Current state:
-- Emotion: ${currentState.current_emotion} (intensity: ${currentState.emotional_intensity}/10)
-- Energy: ${currentState.energy_level}/10
-- Stress: ${currentState.stress_level}/10
-- Relationship: ${currentState.relationship_dynamic}
-
-Latest message: "${currentMessage}"
-
-How would this naturally affect their internal state? Consider time-of-day factors (morning energy, evening relaxation, etc.) and how the current time might influence their psychological response.`;
+            const dateTimeContext = DateTimeUtils.getSystemPromptDateTime(new Date(), timeContext);
+            const prompt = await PromptTemplates.renderFor(this.promptTemplates, 'psychology_state', {
+                char: personality.name,
+                definition: personality.definition,
+                datetime: dateTimeContext,
+                emotion: currentState.current_emotion,
+                intensity: currentState.emotional_intensity,
+                energy: currentState.energy_level,
+                stress: currentState.stress_level,
+                relationship: currentState.relationship_dynamic,
+                message: currentMessage
+            }, { userId });
 
             const schema = {
                 type: 'object',
@@ -523,24 +573,24 @@ How would this naturally affect their internal state? Consider time-of-day facto
             await this.logStateEvolution(chatId, personality.id, currentState, updates, currentMessage, 'structured analysis');
             
             // Apply updates to database
-            await this.updateCharacterState(chatId, updates);
+            await this.updateCharacterState(chatId, updates, personality.id);
             
             // Weight recent memories based on psychological impact
             await this.weightRecentMemories(chatId, userId, conversationHistory, updates, framework);
             
-            return await this.getCharacterState(chatId);
+            return await this.getCharacterState(chatId, personality.id);
             
         } catch (error) {
             this.logger.error('Error analyzing psychological state:', error);
             // Return current state unchanged on error
-            return await this.getCharacterState(chatId);
+            return await this.getCharacterState(chatId, personality?.id);
         }
     }
 
     /**
      * INFRASTRUCTURE LAYER: Update character state in database
      */
-    async updateCharacterState(chatId, updates) {
+    async updateCharacterState(chatId, updates, personalityId = null) {
         const allowedFields = [
             'current_emotion', 'emotional_intensity', 'energy_level', 'stress_level',
             'current_motivations', 'relationship_dynamic', 'active_interests', 
@@ -563,7 +613,7 @@ How would this naturally affect their internal state? Consider time-of-day facto
             const dal = this.getDAL();
             
             // Get current state first
-            const currentState = await dal.psychology.getPsychologicalState(chatId);
+            const currentState = await dal.psychology.getPsychologicalState(chatId, personalityId);
             if (!currentState) {
                 throw new Error('No psychological state found for session');
             }
@@ -604,16 +654,10 @@ How would this naturally affect their internal state? Consider time-of-day facto
         }
         
         for (const message of recentMessages) {
-            const prompt = `Rate the psychological significance of this message for the character:
-
-Message: "${message.content}"
-Character state changes: ${JSON.stringify(stateUpdates)}
-
-Rate significance (1-10) for:
-- Emotional impact
-- Relationship relevance  
-- Personal significance
-- Contextual importance`;
+            const prompt = await PromptTemplates.renderFor(this.promptTemplates, 'memory_significance', {
+                message: message.content,
+                state_changes: JSON.stringify(stateUpdates)
+            }, { userId });
 
             const schema = {
                 type: 'object',
@@ -1043,14 +1087,14 @@ Rate significance (1-10) for:
      * Maps (userId, chatId, characterId) to chatId-based lookup
      * @param {string} userId - User ID (not currently used in state lookup)
      * @param {string} chatId - Chat/Session ID
-     * @param {string} characterId - Character/Personality ID (not currently used in state lookup)
+     * @param {string} characterId - Character/Personality ID (selects the state in group chats)
      * @returns {Promise<Object|null>} Psychology state
      */
     async getState(userId, chatId, characterId) {
         return await this.withMetrics(async () => {
             try {
-                // chatId IS the chatId in current architecture
-                return await this.getCharacterState(chatId);
+                // chatId IS the chatId in current architecture; group chats keep a state per character
+                return await this.getCharacterState(chatId, characterId);
             } catch (error) {
                 this.logger.error('Error in getState adapter', 'PsychologyService', {
                     error: error.message,
@@ -1,4 +1,5 @@
 const AbstractService = require('../base/CORE_AbstractService');
+const PromptTemplates = require('../../utils/prompt_templates');
 
 /**
  * TaskVerificationService - Handles commitment/task verification with character psychology
@@ -17,6 +18,7 @@ class TaskVerificationService extends AbstractService {
         this.database = dependencies.database;
         this.structuredResponse = dependencies.structuredResponse;
         this.psychology = dependencies.psychology;
+        this.promptTemplates = dependencies.promptTemplates || null;
         this.logger = dependencies.logger;
         this.errorHandler = dependencies.errorHandling;
     }
@@ -73,10 +75,11 @@ class TaskVerificationService extends AbstractService {
             );
 
             // Step 4: Build verification prompt with all context
-            const verificationPrompt = this._buildVerificationPrompt(
+            const verificationPrompt = await this._buildVerificationPrompt(
                 commitment,
                 psychologyState,
-                recentMessages
+                recentMessages,
+                userId
             );
 
             this.logger.debug('Built verification prompt', { 
@@ -183,14 +186,16 @@ class TaskVerificationService extends AbstractService {
     /**
      * Build verification prompt with character psychology and context
      * CLEAN ARCHITECTURE: Private helper for prompt construction
+     * Uses the user's task_verification template when one is set
      * 
      * @private
      * @param {Object} commitment - Commitment with full context
      * @param {Object} psychologyState - Character's psychological state
      * @param {Array} recentMessages - Recent conversation messages
-     * @returns {string} Formatted verification prompt
+     * @param {string} userId - User whose template overrides apply
+     * @returns {Promise<string>} Formatted verification prompt
      */
-    _buildVerificationPrompt(commitment, psychologyState, recentMessages) {
+    async _buildVerificationPrompt(commitment, psychologyState, recentMessages, userId) {
         const character = commitment.character;
         const timeTaken = this._calculateTimeDiff(
             commitment.assigned_at,
@@ -207,96 +212,19 @@ class TaskVerificationService extends AbstractService {
         const energy = psychologyState?.energy_level || 7;
         const relationship = psychologyState?.relationship_dynamic || 'professional';
 
-        const prompt = `You are ${character.name}, analyzing a task submission from the user.
-
-EXAMPLE 1 - Verifiable and Approved:
-Task: "Write 5 sentences in Spanish about your day"
-Submission: "Hoy me desperté temprano. Desayuné huevos con pan. Fui a trabajar en autobús. Almorcé con mis compañeros. Regresé a casa por la tarde."
-Time taken: 25 minutes
-Decision: APPROVED
-Reasoning: Correct Spanish grammar, appropriate vocabulary, realistic completion time.
-Response: {
-  "is_verifiable": true,
-  "verification_decision": "approved",
-  "character_feedback": "¡Excelente trabajo! Your sentences are grammatically correct and show good vocabulary use.",
-  "reasoning": "User submitted exactly 5 sentences in Spanish with correct grammar and realistic completion time.",
-  "timing_assessment": "plausible",
-  "quality_assessment": "excellent",
-  "detected_ai_generation": false
-}
-
-EXAMPLE 2 - Suspicious Timing:
-Task: "Write a 500-word essay on climate change"
-Submission: [500 words of well-structured essay]
-Time taken: 4 minutes
-Decision: NEEDS_REVISION
-Reasoning: Impossibly fast for human writing. Quality too polished. Likely AI-generated.
-Response: {
-  "is_verifiable": true,
-  "verification_decision": "needs_revision",
-  "character_feedback": "This is well-written, but you submitted it incredibly quickly. I'd like you to write this again, taking your time. Show me your rough draft too.",
-  "reasoning": "Submission quality is good but timing is highly suspicious. 500 words in 4 minutes suggests AI generation.",
-  "timing_assessment": "too_fast",
-  "quality_assessment": "good",
-  "detected_ai_generation": true
-}
-
-EXAMPLE 3 - Not Verifiable:
-Task: "Go for a 30-minute walk outside"
-Submission: "I went for a walk"
-Decision: NOT_VERIFIABLE
-Reasoning: I cannot verify physical activities without tracking data.
-Response: {
-  "is_verifiable": false,
-  "verification_decision": "not_verifiable",
-  "character_feedback": "I trust you completed this! Unfortunately, I can't verify walks without fitness data. Great job taking care of your health!",
-  "reasoning": "Physical activity commitment cannot be verified remotely without fitness tracker data or photos.",
-  "timing_assessment": "plausible",
-  "quality_assessment": "acceptable",
-  "detected_ai_generation": false
-}
-
-NOW ANALYZE THIS SUBMISSION:
-
-TASK CONTEXT:
-Assignment: "${commitment.description}"
-Assigned at: ${commitment.assigned_at}
-Due at: ${commitment.due_at || 'no deadline'}
-Submitted at: ${commitment.submitted_at}
-Time taken: ${timeTaken}
-
-SUBMISSION:
-"${commitment.submission_content}"
-
-YOUR PSYCHOLOGICAL STATE:
-Mood: ${mood}
-Energy: ${energy}/10
-Relationship dynamic: ${relationship}
-
-CONVERSATION CONTEXT:
-${formattedMessages}
-
-VERIFICATION TASK:
-1. Can you verify this submission? (Do you have the ability to check this work?)
-2. If verifiable:
-   - Does it meet expectations?
-   - Is the timing plausible? (Could a human realistically complete this in the time taken?)
-   - What's the quality level?
-3. What feedback should you give? (Stay in character)
-4. What's your decision?
-
-Respond with strict JSON:
-{
-  "is_verifiable": boolean,
-  "verification_decision": "approved|needs_revision|rejected|not_verifiable",
-  "character_feedback": "Your response to the user in your voice",
-  "reasoning": "Your internal analysis (not shown to user)",
-  "timing_assessment": "plausible|suspicious|too_fast|too_slow",
-  "quality_assessment": "excellent|good|acceptable|poor|unacceptable",
-  "detected_ai_generation": boolean (if submission seems AI-generated)
-}
-
-Be authentic to your personality. Strict teachers are critical. Supportive ones encourage.`;
+        const prompt = await PromptTemplates.renderFor(this.promptTemplates, 'task_verification', {
+            char: character.name,
+            task: commitment.description,
+            assigned_at: commitment.assigned_at,
+            due_at: commitment.due_at || 'no deadline',
+            submitted_at: commitment.submitted_at,
+            time_taken: timeTaken,
+            submission: commitment.submission_content,
+            mood,
+            energy,
+            relationship,
+            conversation: formattedMessages
+        }, { userId });
 
         return prompt;
     }
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const AbstractService = require('../base/CORE_AbstractService');
+const DateTimeUtils = require('../../utils/datetime_utils');
+const RecurrenceRules = require('../../utils/recurrence_rules');
+const ICalUtils = require('../../utils/ical_utils');
+
+/**
+ * CalendarService
+ * Character events as iCalendar: a subscribable feed and .ics import.
+ *
+ * - Each user gets a secret feed URL (GET /api/events/calendar.ics?token=...)
+ *   for calendar apps, which cannot send a session; rotating the secret
+ *   disables the old URL
+ * - Recurring events are exported with their RRULE (or one derived from
+ *   recurrence_type) and EXDATEs, in the user's time zone
+ * - Imported VEVENTs become events of one chat and its character; a UID that
+ *   was imported before is skipped, as are events with no upcoming occurrence
+ * - Single occurrences can be cancelled by adding them as exceptions
+ */
+class CalendarService extends AbstractService {
+    constructor(dependencies) {
+        super('CalendarService', dependencies);
+        this.logger = dependencies.logger;
+        this.errorHandler = dependencies.errorHandling;
+        this.database = dependencies.database;
+        this.dal = this.database.getDAL();
+    }
+
+    /**
+     * Most events one import may create
+     */
+    static get MAX_IMPORT_EVENTS() {
+        return 500;
+    }
+
+    async onInitialize() {
+        this.logger.info('CalendarService initialized', 'CalendarService');
+    }
+
+    /**
+     * The user's feed secret and path, issuing a secret on first use
+     * @param {Object} options - { rotate } replaces the secret
+     * @returns {Promise<Object>} { token, path }
+     */
+    async getFeed(userId, { rotate = false } = {}) {
+        try {
+            let token = rotate ? null : await this.dal.users.getCalendarToken(userId);
+            if (!token) {
+                token = crypto.randomBytes(24).toString('hex');
+                await this.dal.users.setCalendarToken(userId, token);
+                this.logger.info(rotate ? 'Calendar feed token rotated' : 'Calendar feed token issued', 'CalendarService', { userId });
+            }
+            return { token, path: `/api/events/calendar.ics?token=${token}` };
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to get calendar feed', { userId });
+        }
+    }
+
+    /**
+     * iCalendar text of the feed a secret belongs to
+     * @throws 404 when the secret matches no user
+     */
+    async renderFeed(token) {
+        try {
+            const user = await this.dal.users.findByCalendarToken(token);
+            if (!user) {
+                throw this.createNotFoundError('Calendar feed not found');
+            }
+
+            const { timeZone } = DateTimeUtils.getUserContext(user);
+            const events = await this.dal.events.getCalendarEvents(user.id);
+
+            return ICalUtils.buildCalendar({
+                name: `${user.display_name || user.username} - Aria`,
+                timeZone,
+                events: events.map(event => this.toCalendarEvent(event, timeZone))
+            });
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to render calendar feed');
+        }
+    }
+
+    /**
+     * Map an event row onto a VEVENT
+     */
+    toCalendarEvent(event, timeZone) {
+        const rrule = event.rrule || RecurrenceRules.fromRecurrenceType(event.recurrence_type);
+        let start = new Date(event.starts_at);
+
+        // Legacy daily events run at recurrence_data.time rather than at starts_at's time
+        const recurrenceData = this.parseJSON(event.recurrence_data, {});
+        if (!event.rrule && event.recurrence_type === 'daily' && recurrenceData.time) {
+            const [hour, minute] = recurrenceData.time.split(':').map(Number);
+            start = DateTimeUtils.zonedTimeToUtc({ ...DateTimeUtils.getZonedParts(start, timeZone), hour, minute, second: 0 }, timeZone);
+        }
+
+        return {
+            uid: event.ical_uid || `${event.id}@aria`,
+            summary: event.title,
+            description: event.description,
+            start,
+            rrule,
+            exdates: rrule ? this.parseJSON(event.exdates, []) : [],
+            status: event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+            created: event.created_at ? new Date(event.created_at) : null,
+            lastModified: event.updated_at ? new Date(event.updated_at) : null
+        };
+    }
+
+    /**
+     * Create events in a chat from an .ics file
+     * @param {string} userId
+     * @param {Object} data - { chatId, ics }
+     * @returns {Promise<Object>} { imported: [events], skipped, warnings }
+     */
+    async importCalendar(userId, { chatId, ics } = {}) {
+        try {
+            if (!chatId) {
+                throw this.createValidationError('chatId is required');
+            }
+            if (!ics || typeof ics !== 'string') {
+                throw this.createValidationError('ics must be the text of an .ics file');
+            }
+
+            const chat = await this.dal.chats.getUserChat(userId, chatId);
+            if (!chat) {
+                throw this.createNotFoundError('Chat not found');
+            }
+
+            const timeContext = DateTimeUtils.getUserContext(await this.dal.users.getTimeSettings(userId));
+            let parsed;
+            try {
+                parsed = ICalUtils.parseCalendar(ics, { timeZone: timeContext.timeZone });
+            } catch (error) {
+                throw this.createValidationError(error.message);
+            }
+            if (parsed.events.length > CalendarService.MAX_IMPORT_EVENTS) {
+                throw this.createValidationError(`An import may contain at most ${CalendarService.MAX_IMPORT_EVENTS} events`);
+            }
+
+            const warnings = [...parsed.warnings];
+            const imported = [];
+            let skipped = 0;
+
+            for (const vevent of parsed.events) {
+                const label = vevent.summary || vevent.uid || 'event';
+                if (vevent.uid && await this.dal.events.findByIcalUid(userId, vevent.uid)) {
+                    skipped++;
+                    continue;
+                }
+
+                const eventData = this.toEventData(vevent, { userId, chat, timeContext, warnings, label });
+                if (!eventData) {
+                    skipped++;
+                    continue;
+                }
+
+                imported.push(await this.dal.events.createEvent(eventData, timeContext));
+            }
+
+            this.logger.info('Calendar imported', 'CalendarService', { userId, chatId, imported: imported.length, skipped });
+            return { imported, skipped, warnings };
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to import calendar', { userId, chatId });
+        }
+    }
+
+    /**
+     * Map a parsed VEVENT onto createEvent data, null (with a warning) when it cannot be imported
+     */
+    toEventData(vevent, { userId, chat, timeContext, warnings, label }) {
+        if (vevent.status === 'CANCELLED') {
+            warnings.push(`Skipped "${label}": it is cancelled`);
+            return null;
+        }
+
+        const now = new Date();
+        let rrule = null;
+        if (vevent.rrule) {
+            try {
+                rrule = RecurrenceRules.normalize(vevent.rrule);
+            } catch (error) {
+                warnings.push(`Skipped "${label}": ${error.message}`);
+                return null;
+            }
+            const upcoming = RecurrenceRules.nextOccurrence(rrule, {
+                startsAt: vevent.start,
+                after: vevent.start > now ? vevent.start : now,
+                inclusive: true,
+                timeZone: timeContext.timeZone,
+                exdates: vevent.exdates
+            });
+            if (!upcoming) {
+                warnings.push(`Skipped "${label}": it has no upcoming occurrences`);
+                return null;
+            }
+        } else if (vevent.start <= now) {
+            warnings.push(`Skipped "${label}": it is in the past`);
+            return null;
+        }
+
+        return {
+            id: uuidv4(),
+            user_id: userId,
+            chat_id: chat.id,
+            character_id: chat.personality_id,
+            title: (vevent.summary || 'Imported Event').slice(0, 200),
+            description: vevent.description || '',
+            recurrence_type: rrule ? RecurrenceRules.getRecurrenceType(rrule) : 'once',
+            recurrence_data: {},
+            rrule,
+            exdates: vevent.exdates.map(date => date.toISOString()),
+            starts_at: vevent.start.toISOString(),
+            ical_uid: vevent.uid,
+            is_active: 1,
+            status: 'scheduled'
+        };
+    }
+
+    /**
+     * Cancel one occurrence of a recurring event by adding it as an exception
+     * @param {string} occurrence - ISO time of the occurrence to skip
+     * @returns {Promise<Object>} { exdates, next_occurrence }
+     */
+    async skipOccurrence(userId, eventId, occurrence) {
+        try {
+            const event = await this.dal.events.getEventById(eventId);
+            if (!event || event.user_id !== userId) {
+                throw this.createNotFoundError('Event not found');
+            }
+            if (!event.rrule) {
+                throw this.createValidationError('Only events with a recurrence rule can have exceptions');
+            }
+
+            const skipped = new Date(occurrence);
+            if (!occurrence || isNaN(skipped.getTime())) {
+                throw this.createValidationError('occurrence must be an ISO 8601 date/time');
+            }
+
+            const exdates = [...this.parseJSON(event.exdates, []), skipped.toISOString()];
+            let nextOccurrence = event.next_occurrence;
+
+            // Skipping the next occurrence moves the event on to the one after it
+            if (new Date(event.next_occurrence).getTime() === skipped.getTime()) {
+                const timeContext = DateTimeUtils.getUserContext(await this.dal.users.getTimeSettings(userId));
+                const next = RecurrenceRules.nextOccurrence(event.rrule, {
+                    startsAt: event.starts_at,
+                    after: skipped,
+                    timeZone: timeContext.timeZone,
+                    exdates
+                });
+                if (next && !(event.ends_at && next > new Date(event.ends_at))) {
+                    nextOccurrence = next.toISOString();
+                } else {
+                    await this.dal.events.deactivateEvent(eventId);
+                    nextOccurrence = null;
+                }
+            }
+
+            const stored = await this.dal.events.updateExdates(eventId, exdates, nextOccurrence);
+            return { exdates: stored, next_occurrence: nextOccurrence };
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to skip event occurrence', { eventId });
+        }
+    }
+
+    parseJSON(value, fallback) {
+        if (value === null || value === undefined || value === '') return fallback;
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch {
+            return fallback;
+        }
+    }
+}
+
+module.exports = CalendarService;
@@ -0,0 +1,515 @@
+const AbstractService = require('../base/CORE_AbstractService');
+const PngUtils = require('../../utils/png_utils');
+const PersonalityRepository = require('../../dal/repositories/CORE_PersonalityRepository');
+const ToolService = require('./ToolService');
+
+/**
+ * CharacterCardService
+ * Imports and exports characters as community Character Cards (V1, V2, V3)
+ * in JSON or embedded in a PNG, next to the project's own export format.
+ *
+ * Card fields map onto personalities as follows:
+ * - description → description
+ * - personality + scenario → definition (labelled sections, used in prompts)
+ * - personality, tags, creator metadata → personality_traits
+ * - first_mes, alternate_greetings, mes_example, system_prompt,
+ *   post_history_instructions → communication_style
+ * - PNG image (or V3 icon asset) → image_data
+ * - extensions.aria → memory_scope, tool_allowlist, llm_preferences, stop_sequences,
+ *   merge_consecutive_turns
+ *
+ * PNG cards carry base64 JSON in tEXt chunks: "chara" (V2) and "ccv3" (V3).
+ * parseImport() only maps; the caller previews or saves the result.
+ */
+class CharacterCardService extends AbstractService {
+    constructor(dependencies) {
+        super('CharacterCardService', dependencies);
+        this.logger = dependencies.logger;
+        this.errorHandler = dependencies.errorHandling;
+        this.database = dependencies.database;
+        this.dal = this.database.getDAL();
+    }
+
+    /**
+     * Card export formats with their file extension and content type
+     */
+    static get EXPORT_FORMATS() {
+        return {
+            v2: { extension: 'card.json', contentType: 'application/json; charset=utf-8' },
+            v3: { extension: 'card.json', contentType: 'application/json; charset=utf-8' },
+            png: { extension: 'png', contentType: 'image/png' }
+        };
+    }
+
+    /**
+     * Card fields that have a place in personalities
+     */
+    static get MAPPED_FIELDS() {
+        return [
+            'name', 'description', 'personality', 'scenario', 'first_mes', 'mes_example',
+            'alternate_greetings', 'system_prompt', 'post_history_instructions',
+            'tags', 'creator', 'creator_notes', 'character_version', 'extensions'
+        ];
+    }
+
+    async onInitialize() {
+        this.logger.info('CharacterCardService initialized', 'CharacterCardService');
+    }
+
+    /**
+     * Work out what an import body contains
+     * @param {Object} body - Request body
+     * @returns {string} png | chara_card_v1 | chara_card_v2 | chara_card_v3 | aria
+     */
+    detectFormat(body) {
+        if (typeof body.file === 'string') {
+            return 'png';
+        }
+        if (body.spec !== undefined) {
+            if (body.spec !== 'chara_card_v2' && body.spec !== 'chara_card_v3') {
+                throw this.createImportError('Invalid character card', `Unsupported card spec: ${body.spec}`);
+            }
+            return body.spec;
+        }
+        if (body.character === undefined && typeof body.name === 'string' &&
+            (body.first_mes !== undefined || body.personality !== undefined)) {
+            return 'chara_card_v1';
+        }
+        return 'aria';
+    }
+
+    /**
+     * Map an import body onto character data without saving it
+     * @param {Object} body - Project export, card JSON, or { file: base64 PNG, filename }
+     * @returns {Object} { format, character, mapping, unmapped, warnings }
+     */
+    parseImport(body) {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw this.createImportError('Invalid import data', 'Import data must be a valid JSON object');
+        }
+
+        const format = this.detectFormat(body);
+        if (format === 'aria') {
+            return this.parseProjectExport(body);
+        }
+        if (format === 'png') {
+            return this.parsePngCard(body);
+        }
+        return this.parseCard(body, format);
+    }
+
+    /**
+     * Map a card (V1 fields at the top level, V2/V3 under data)
+     */
+    parseCard(card, format) {
+        const data = format === 'chara_card_v1' ? card : card.data;
+        if (!data || typeof data !== 'object') {
+            throw this.createImportError('Invalid character card', 'Missing data field');
+        }
+
+        const text = (value) => (typeof value === 'string' ? value.trim() : '');
+        const list = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()) : []);
+
+        const name = text(data.name);
+        if (!name) {
+            throw this.createImportError('Invalid character data', 'Character name is required');
+        }
+
+        const personality = text(data.personality);
+        const scenario = text(data.scenario);
+        const aria = (data.extensions && typeof data.extensions.aria === 'object' && data.extensions.aria) || {};
+        const mapping = [];
+        const warnings = [];
+        const map = (source, target, value) => {
+            if (value !== '' && value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)) {
+                mapping.push({ source, target, value: this.previewValue(value) });
+            }
+        };
+
+        const personalityTraits = {};
+        if (personality) {
+            personalityTraits.summary = personality;
+            personalityTraits.core_traits = this.splitTraits(personality);
+        }
+        if (list(data.tags).length > 0) {
+            personalityTraits.tags = list(data.tags);
+        }
+        const cardMetadata = {};
+        for (const field of ['creator', 'creator_notes', 'character_version']) {
+            if (text(data[field])) {
+                cardMetadata[field] = text(data[field]);
+            }
+        }
+        if (Object.keys(cardMetadata).length > 0) {
+            personalityTraits.card = cardMetadata;
+        }
+
+        const communicationStyle = {};
+        const styleFields = {
+            first_mes: 'first_message',
+            mes_example: 'example_dialogue',
+            system_prompt: 'system_prompt',
+            post_history_instructions: 'post_history_instructions'
+        };
+        for (const [field, key] of Object.entries(styleFields)) {
+            if (text(data[field])) {
+                communicationStyle[key] = text(data[field]);
+            }
+        }
+        if (list(data.alternate_greetings).length > 0) {
+            communicationStyle.alternate_greetings = list(data.alternate_greetings);
+        }
+
+        const character = {
+            name,
+            description: text(data.description),
+            background: this.composeDefinition(personality, scenario),
+            avatar: null,
+            llm_preferences: aria.llm_preferences && typeof aria.llm_preferences === 'object' ? aria.llm_preferences : null,
+            memory_scope: PersonalityRepository.MEMORY_SCOPES.includes(aria.memory_scope) ? aria.memory_scope : 'chat',
+            tool_allowlist: this.isValidToolAllowlist(aria.tool_allowlist) ? aria.tool_allowlist : null,
+            stop_sequences: aria.stop_sequences !== undefined && PersonalityRepository.isValidStopSequences(aria.stop_sequences) ? aria.stop_sequences : null,
+            merge_consecutive_turns: aria.merge_consecutive_turns === true,
+            personality_traits: personalityTraits,
+            communication_style: communicationStyle
+        };
+
+        map('name', 'name', name);
+        map('description', 'description', character.description);
+        map('personality', 'definition, personality_traits.summary', personality);
+        map('scenario', 'definition', scenario);
+        map('first_mes', 'communication_style.first_message', communicationStyle.first_message);
+        map('alternate_greetings', 'communication_style.alternate_greetings', communicationStyle.alternate_greetings);
+        map('mes_example', 'communication_style.example_dialogue', communicationStyle.example_dialogue);
+        map('system_prompt', 'communication_style.system_prompt', communicationStyle.system_prompt);
+        map('post_history_instructions', 'communication_style.post_history_instructions', communicationStyle.post_history_instructions);
+        map('tags', 'personality_traits.tags', personalityTraits.tags);
+        for (const field of Object.keys(cardMetadata)) {
+            map(field, `personality_traits.card.${field}`, cardMetadata[field]);
+        }
+        map('extensions.aria.memory_scope', 'memory_scope', aria.memory_scope);
+        map('extensions.aria.tool_allowlist', 'tool_allowlist', aria.tool_allowlist);
+        map('extensions.aria.llm_preferences', 'llm_preferences', character.llm_preferences);
+        map('extensions.aria.stop_sequences', 'stop_sequences', character.stop_sequences);
+        map('extensions.aria.merge_consecutive_turns', 'merge_consecutive_turns', character.merge_consecutive_turns || null);
+
+        if (aria.memory_scope !== undefined && character.memory_scope !== aria.memory_scope) {
+            warnings.push(`Unknown memory scope "${aria.memory_scope}" replaced with "chat"`);
+        }
+        if (aria.tool_allowlist !== undefined && character.tool_allowlist !== aria.tool_allowlist) {
+            warnings.push('Unknown tools in the allowlist; all tools allowed');
+        }
+        if (aria.stop_sequences !== undefined && character.stop_sequences !== aria.stop_sequences) {
+            warnings.push(`Invalid stop sequences ignored (up to ${PersonalityRepository.MAX_STOP_SEQUENCES} non-empty strings)`);
+        }
+
+        // V3 cards may embed the avatar as a data URI icon asset
+        const icon = Array.isArray(data.assets)
+            ? data.assets.find(asset => asset && asset.type === 'icon' && /^data:image\/[\w.+-]+;base64,/.test(asset.uri || ''))
+            : null;
+        if (icon) {
+            const [, mimetype, base64] = icon.uri.match(/^data:(image\/[\w.+-]+);base64,(.*)$/s);
+            this.attachImage(character, mapping, Buffer.from(base64, 'base64'), mimetype, `${icon.name || 'icon'}.${mimetype.split('/')[1]}`, 'assets (icon)');
+        }
+
+        const unmapped = Object.keys(data)
+            .filter(field => !CharacterCardService.MAPPED_FIELDS.includes(field) && this.hasValue(data[field]))
+            .filter(field => !(field === 'assets' && icon));
+        if (data.extensions && typeof data.extensions === 'object') {
+            unmapped.push(...Object.keys(data.extensions)
+                .filter(key => key !== 'aria' && this.hasValue(data.extensions[key]))
+                .map(key => `extensions.${key}`));
+        }
+
+        return { format, character, mapping, unmapped, warnings };
+    }
+
+    /**
+     * Map a PNG with a card in its "ccv3" or "chara" tEXt chunk
+     */
+    parsePngCard(body) {
+        const buffer = Buffer.from(body.file.replace(/^data:[^,]*,/, ''), 'base64');
+        if (!PngUtils.isPng(buffer)) {
+            throw this.createImportError('Invalid import data', 'File is not a PNG image');
+        }
+
+        let texts;
+        try {
+            texts = PngUtils.readTextChunks(buffer);
+        } catch (error) {
+            throw this.createImportError('Invalid import data', error.message);
+        }
+
+        const encoded = texts.ccv3 || texts.chara;
+        if (!encoded) {
+            throw this.createImportError('Invalid character card', 'PNG has no embedded character card (chara or ccv3 chunk)');
+        }
+
+        let card;
+        try {
+            card = JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'));
+        } catch (error) {
+            throw this.createImportError('Invalid character card', 'Embedded character card is not valid JSON');
+        }
+        if (!card || typeof card !== 'object') {
+            throw this.createImportError('Invalid character card', 'Embedded character card is not valid JSON');
+        }
+
+        const format = this.detectFormat(card);
+        if (!format.startsWith('chara_card_')) {
+            throw this.createImportError('Invalid character card', 'Embedded JSON is not a character card');
+        }
+
+        const result = this.parseCard(card, format);
+        // The card text is not part of the avatar
+        const image = PngUtils.writeTextChunks(buffer, { chara: null, ccv3: null });
+        result.mapping = result.mapping.filter(entry => entry.target !== 'image_data');
+        this.attachImage(result.character, result.mapping, image, 'image/png', body.filename || `${result.character.name}.png`, 'PNG image');
+        return result;
+    }
+
+    /**
+     * Map the project's own export ({ version, character })
+     */
+    parseProjectExport(body) {
+        if (!body.version) {
+            throw this.createImportError('Invalid import format', 'Missing version field');
+        }
+        if (!body.character || typeof body.character !== 'object') {
+            throw this.createImportError('Invalid import format', 'Missing or invalid character field');
+        }
+
+        const data = body.character;
+        if (typeof data.name !== 'string' || !data.name.trim()) {
+            throw this.createImportError('Invalid character data', 'Character name is required');
+        }
+
+        const trim = (value) => (typeof value === 'string' ? value.trim() : '');
+        const character = {
+            name: data.name.trim(),
+            description: trim(data.description),
+            background: trim(data.background),
+            traits: trim(data.traits),
+            avatar: data.avatar || null,
+            llm_preferences: data.llm_preferences || null,
+            memory_scope: PersonalityRepository.MEMORY_SCOPES.includes(data.memory_scope) ? data.memory_scope : 'chat',
+            tool_allowlist: this.isValidToolAllowlist(data.tool_allowlist) ? data.tool_allowlist : null,
+            stop_sequences: data.stop_sequences !== undefined && PersonalityRepository.isValidStopSequences(data.stop_sequences) ? data.stop_sequences : null,
+            merge_consecutive_turns: data.merge_consecutive_turns === true
+        };
+
+        const targets = {
+            name: 'name',
+            description: 'description',
+            background: 'definition',
+            avatar: 'display',
+            llm_preferences: 'llm_preferences',
+            memory_scope: 'memory_scope',
+            tool_allowlist: 'tool_allowlist',
+            stop_sequences: 'stop_sequences',
+            merge_consecutive_turns: 'merge_consecutive_turns'
+        };
+        const mapping = Object.entries(targets)
+            .filter(([field]) => this.hasValue(character[field]))
+            .map(([field, target]) => ({ source: `character.${field}`, target, value: this.previewValue(character[field]) }));
+
+        if (data.imageData) {
+            character.imageData = data.imageData;
+            character.imageFilename = data.imageFilename;
+            character.imageMimetype = data.imageMimetype;
+            character.imageSize = data.imageSize;
+            mapping.push({ source: 'character.imageData', target: 'image_data', value: `${data.imageMimetype || 'image'}, ${data.imageSize || 0} bytes` });
+        }
+
+        const unmapped = Object.keys(data)
+            .filter(field => !['traits', 'imageFilename', 'imageMimetype', 'imageSize', 'imageData', ...Object.keys(targets)].includes(field) && this.hasValue(data[field]))
+            .map(field => `character.${field}`);
+
+        return { format: 'aria', character, mapping, unmapped, warnings: [] };
+    }
+
+    /**
+     * Export a character as a card
+     * @param {string} characterId - Character ID
+     * @param {string} userId - Owner of the character
+     * @param {string} format - v2 | v3 | png
+     * @returns {Promise<Object>} { filename, contentType, body }
+     */
+    async exportCard(characterId, userId, format = 'png') {
+        try {
+            const formatInfo = CharacterCardService.EXPORT_FORMATS[format];
+            if (!formatInfo) {
+                const error = new Error(`Unsupported export format: ${format}. Use one of: aria, ${Object.keys(CharacterCardService.EXPORT_FORMATS).join(', ')}`);
+                error.statusCode = 400;
+                throw error;
+            }
+
+            const character = await this.dal.personalities.getCharacter(characterId, userId);
+            if (!character) {
+                const error = new Error('Character not found');
+                error.statusCode = 404;
+                throw error;
+            }
+
+            let body;
+            if (format === 'png') {
+                const image = this.getPngAvatar(character);
+                body = PngUtils.writeTextChunks(image, {
+                    chara: Buffer.from(JSON.stringify(this.buildCard(character, 'v2')), 'utf8').toString('base64'),
+                    ccv3: Buffer.from(JSON.stringify(this.buildCard(character, 'v3')), 'utf8').toString('base64')
+                });
+            } else {
+                body = JSON.stringify(this.buildCard(character, format), null, 2);
+            }
+
+            this.logger.info('Exported character card', 'CharacterCardService', { characterId, format });
+
+            return {
+                filename: `${character.name.replace(/[^a-zA-Z0-9]/g, '_')}.${formatInfo.extension}`,
+                contentType: formatInfo.contentType,
+                body
+            };
+        } catch (error) {
+            if (error.statusCode) {
+                throw error;
+            }
+            throw this.errorHandler.wrapDomainError(error, 'Failed to export character card', { characterId, format });
+        }
+    }
+
+    /**
+     * Build a V2 or V3 card from a personalities row
+     */
+    buildCard(character, version) {
+        const traits = this.parseJson(character.personality_traits);
+        const style = this.parseJson(character.communication_style);
+        const card = traits.card || {};
+        const personality = traits.summary || (Array.isArray(traits.core_traits) ? traits.core_traits.join(', ') : '');
+
+        const data = {
+            name: character.name,
+            description: character.description || '',
+            personality,
+            scenario: this.extractScenario(character.definition || '', traits.summary),
+            first_mes: style.first_message || '',
+            mes_example: style.example_dialogue || '',
+            creator_notes: card.creator_notes || '',
+            system_prompt: style.system_prompt || '',
+            post_history_instructions: style.post_history_instructions || '',
+            alternate_greetings: style.alternate_greetings || [],
+            tags: traits.tags || [],
+            creator: card.creator || '',
+            character_version: card.character_version || '',
+            extensions: {
+                aria: {
+                    memory_scope: character.memory_scope || 'chat',
+                    tool_allowlist: character.tool_allowlist ?? null,
+                    llm_preferences: character.llm_preferences || null,
+                    stop_sequences: character.stop_sequences ?? null,
+                    merge_consecutive_turns: !!character.merge_consecutive_turns
+                }
+            }
+        };
+
+        if (version === 'v2') {
+            return { spec: 'chara_card_v2', spec_version: '2.0', data };
+        }
+
+        data.group_only_greetings = [];
+        data.creation_date = this.unixTime(character.created_at);
+        data.modification_date = this.unixTime(character.updated_at);
+        return { spec: 'chara_card_v3', spec_version: '3.0', data };
+    }
+
+    /**
+     * Definition text from card fields: labelled sections so the model can tell them apart
+     */
+    composeDefinition(personality, scenario) {
+        const sections = [];
+        if (personality) sections.push(`Personality: ${personality}`);
+        if (scenario) sections.push(sections.length > 0 ? `Scenario: ${scenario}` : scenario);
+        return sections.join('\n\n');
+    }
+
+    /**
+     * Reverse of composeDefinition(); a hand-written definition is the scenario as-is
+     */
+    extractScenario(definition, personality) {
+        let scenario = definition;
+        if (personality && scenario.startsWith(`Personality: ${personality}`)) {
+            scenario = scenario.slice(`Personality: ${personality}`.length).trimStart();
+            scenario = scenario.replace(/^Scenario:\s*/, '');
+        }
+        return scenario;
+    }
+
+    /**
+     * Short comma-separated personalities ("kind, curious, stubborn") become core traits
+     */
+    splitTraits(personality) {
+        const parts = personality.split(/[,;\n]/).map(part => part.trim()).filter(Boolean);
+        return parts.every(part => part.split(/\s+/).length <= 3) ? parts : [];
+    }
+
+    getPngAvatar(character) {
+        if (character.image_type === 'upload' && character.image_data) {
+            const image = Buffer.from(character.image_data, 'base64');
+            if (PngUtils.isPng(image)) {
+                return image;
+            }
+            this.logger.warn('Character image is not a PNG; exporting card on a placeholder image', 'CharacterCardService', { characterId: character.id });
+        }
+        return PngUtils.PLACEHOLDER;
+    }
+
+    attachImage(character, mapping, image, mimetype, filename, source) {
+        character.imageData = image.toString('base64');
+        character.imageFilename = filename;
+        character.imageMimetype = mimetype;
+        character.imageSize = image.length;
+        mapping.push({ source, target: 'image_data', value: `${mimetype}, ${image.length} bytes` });
+    }
+
+    isValidToolAllowlist(toolAllowlist) {
+        return toolAllowlist === null || (
+            Array.isArray(toolAllowlist) &&
+            toolAllowlist.every(name => ToolService.TOOL_NAMES.includes(name))
+        );
+    }
+
+    hasValue(value) {
+        if (value === null || value === undefined || value === '') return false;
+        if (Array.isArray(value)) return value.length > 0;
+        if (typeof value === 'object') return Object.keys(value).length > 0;
+        return true;
+    }
+
+    previewValue(value) {
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+    }
+
+    parseJson(value) {
+        if (!value) return {};
+        if (typeof value === 'object') return value;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return {};
+        }
+    }
+
+    unixTime(timestamp) {
+        const time = timestamp ? Date.parse(timestamp) : NaN;
+        return Number.isNaN(time) ? Math.floor(Date.now() / 1000) : Math.floor(time / 1000);
+    }
+
+    createImportError(message, details) {
+        const error = new Error(message);
+        error.statusCode = 400;
+        error.details = details;
+        return error;
+    }
+}
+
+module.exports = CharacterCardService;
@@ -0,0 +1,337 @@
+const AbstractService = require('../base/CORE_AbstractService');
+const DiffUtils = require('../../utils/diff_utils');
+
+/**
+ * CharacterRevisionService
+ * Keeps an immutable, numbered history of every character edit.
+ *
+ * - Each create, import, edit and rollback appends a revision holding a
+ *   snapshot of the character fields (uploaded image data is not copied)
+ * - Characters created before revisions existed get an "initial" revision
+ *   the first time they are edited
+ * - A definition change re-runs the psychology framework analysis with the
+ *   next analysis_version; the revision stores the framework it produced,
+ *   so two revisions can be compared both as text and as frameworks
+ * - Rollback writes an old snapshot back as a new revision (history is never rewritten)
+ */
+class CharacterRevisionService extends AbstractService {
+    constructor(dependencies) {
+        super('CharacterRevisionService', dependencies);
+        this.logger = dependencies.logger;
+        this.errorHandler = dependencies.errorHandling;
+        this.database = dependencies.database;
+        this.psychology = dependencies.psychology;
+        this.dal = this.database.getDAL();
+    }
+
+    /**
+     * Character fields stored in a revision snapshot
+     */
+    static get SNAPSHOT_FIELDS() {
+        return [
+            'name', 'description', 'definition', 'personality_traits', 'communication_style',
+            'llm_preferences', 'memory_scope', 'tool_allowlist'
+        ];
+    }
+
+    async onInitialize() {
+        this.logger.info('CharacterRevisionService initialized', 'CharacterRevisionService');
+    }
+
+    /**
+     * Record the current state as revision 1 if the character has no history yet
+     * Call before changing a character so the pre-edit state is kept
+     */
+    async ensureBaseline(characterId, userId) {
+        try {
+            const character = await this.getOwnedCharacter(characterId, userId);
+            const latest = await this.dal.characterRevisions.getLatestRevision(characterId);
+            if (latest) {
+                return latest;
+            }
+
+            const current = await this.psychology.getPersonalityFrameworkRecord(characterId);
+            return await this.dal.characterRevisions.createRevision({
+                personalityId: characterId,
+                userId,
+                source: 'initial',
+                snapshot: this.buildSnapshot(character),
+                changedFields: [],
+                framework: current?.framework || null,
+                analysisVersion: current?.analysisVersion ?? null
+            });
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to record baseline revision', { characterId });
+        }
+    }
+
+    /**
+     * Append a revision for the character's current state
+     * @param {string} characterId
+     * @param {string} userId
+     * @param {string} source - create | import | edit | rollback
+     * @param {Object} options - { rolledBackTo, framework }
+     * @returns {Promise<Object>} { revision, analysis } - revision is null when nothing changed;
+     *   analysis is a promise for a running framework re-analysis (or null)
+     */
+    async recordRevision(characterId, userId, source = 'edit', options = {}) {
+        try {
+            const character = await this.getOwnedCharacter(characterId, userId);
+            const snapshot = this.buildSnapshot(character);
+            const latest = await this.dal.characterRevisions.getLatestRevision(characterId);
+            const changedFields = latest
+                ? this.getChangedFields(latest.snapshot, snapshot)
+                : CharacterRevisionService.SNAPSHOT_FIELDS.filter(field => !this.isEmpty(snapshot[field]));
+
+            if (latest && changedFields.length === 0 && source !== 'rollback') {
+                return { revision: null, analysis: null };
+            }
+
+            // A changed definition gets a fresh analysis; otherwise the revision
+            // carries the framework currently in use
+            const reanalyze = !options.framework && !!latest && changedFields.includes('definition');
+            let framework = options.framework || null;
+            let analysisVersion = options.analysisVersion ?? null;
+            if (!framework && !reanalyze) {
+                const current = await this.psychology.getPersonalityFrameworkRecord(characterId);
+                framework = current?.framework || null;
+                analysisVersion = current?.analysisVersion ?? null;
+            }
+
+            const revision = await this.dal.characterRevisions.createRevision({
+                personalityId: characterId,
+                userId,
+                source,
+                snapshot,
+                changedFields,
+                rolledBackTo: options.rolledBackTo ?? null,
+                framework,
+                analysisVersion
+            });
+
+            this.logger.info('Character revision recorded', 'CharacterRevisionService', {
+                characterId,
+                revision: revision.revision_number,
+                source,
+                changedFields
+            });
+
+            const analysis = reanalyze ? this.reanalyze(character, revision) : null;
+            return { revision, analysis };
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to record character revision', { characterId, source });
+        }
+    }
+
+    /**
+     * Re-run the framework analysis for a revision in the background
+     * Failures are logged; the revision then simply has no framework
+     */
+    async reanalyze(character, revision) {
+        try {
+            const result = await this.psychology.reanalyzePersonalityFramework(character);
+            await this.dal.characterRevisions.setRevisionFramework(revision.id, result.framework, result.analysisVersion);
+            return result;
+        } catch (error) {
+            this.logger.error('Framework re-analysis failed', 'CharacterRevisionService', {
+                characterId: character.id,
+                revisionId: revision.id,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Revision list of a character, newest first
+     */
+    async getRevisions(characterId, userId) {
+        try {
+            await this.getOwnedCharacter(characterId, userId);
+            return await this.dal.characterRevisions.getRevisions(characterId);
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to get character revisions', { characterId });
+        }
+    }
+
+    /**
+     * One revision with its snapshot and framework
+     */
+    async getRevision(characterId, userId, revisionId) {
+        try {
+            await this.getOwnedCharacter(characterId, userId);
+            return await this.getCharacterRevision(characterId, revisionId);
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to get character revision', { characterId, revisionId });
+        }
+    }
+
+    /**
+     * Compare a revision with another one (by default the revision before it)
+     * @returns {Promise<Object>} { from, to, fields: [{ field, before, after, lines }], framework: [...] }
+     */
+    async diffRevisions(characterId, userId, revisionId, againstId = null) {
+        try {
+            await this.getOwnedCharacter(characterId, userId);
+            const to = await this.getCharacterRevision(characterId, revisionId);
+            const from = againstId
+                ? await this.getCharacterRevision(characterId, againstId)
+                : await this.dal.characterRevisions.getRevisionByNumber(characterId, to.revision_number - 1);
+
+            const beforeSnapshot = from ? from.snapshot : {};
+            const fields = CharacterRevisionService.SNAPSHOT_FIELDS
+                .filter(field => !this.isEqual(beforeSnapshot[field], to.snapshot[field]))
+                .map(field => ({
+                    field,
+                    before: beforeSnapshot[field] ?? null,
+                    after: to.snapshot[field] ?? null,
+                    lines: DiffUtils.diffLines(this.toText(beforeSnapshot[field]), this.toText(to.snapshot[field]))
+                }));
+
+            return {
+                from: from ? this.describeRevision(from) : null,
+                to: this.describeRevision(to),
+                fields,
+                framework: this.diffFrameworks(from ? from.framework_data : null, to.framework_data)
+            };
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to diff character revisions', { characterId, revisionId });
+        }
+    }
+
+    /**
+     * Compare two psychology frameworks key by key
+     * List values report added/removed entries; other values only before/after
+     */
+    diffFrameworks(before, after) {
+        if (!before && !after) {
+            return [];
+        }
+        const previous = before || {};
+        const next = after || {};
+        const keys = [...new Set([...Object.keys(previous), ...Object.keys(next)])];
+
+        return keys
+            .filter(key => !this.isEqual(previous[key], next[key]))
+            .map(key => {
+                const entry = { key, before: previous[key] ?? null, after: next[key] ?? null };
+                if (Array.isArray(previous[key]) || Array.isArray(next[key])) {
+                    Object.assign(entry, DiffUtils.diffLists(previous[key], next[key]));
+                }
+                return entry;
+            });
+    }
+
+    /**
+     * Write a revision's snapshot back to the character and record it as a new revision
+     * @returns {Promise<Object>} { revision, analysis }
+     */
+    async rollback(characterId, userId, revisionId) {
+        try {
+            await this.ensureBaseline(characterId, userId);
+            const target = await this.getCharacterRevision(characterId, revisionId);
+            const snapshot = target.snapshot;
+
+            await this.dal.personalities.updateCharacter(characterId, {
+                name: snapshot.name,
+                description: snapshot.description,
+                background: snapshot.definition,
+                personality_traits: snapshot.personality_traits,
+                communication_style: snapshot.communication_style,
+                llm_preferences: snapshot.llm_preferences ?? null,
+                memory_scope: snapshot.memory_scope || 'chat',
+                tool_allowlist: snapshot.tool_allowlist ?? null
+            });
+
+            // Restore the framework the target revision was analysed with; a
+            // target without one is analysed again if the definition changes
+            const options = { rolledBackTo: target.revision_number };
+            if (target.framework_data) {
+                const restored = await this.psychology.restorePersonalityFramework(characterId, target.framework_data);
+                options.framework = restored.framework;
+                options.analysisVersion = restored.analysisVersion;
+            }
+
+            return await this.recordRevision(characterId, userId, 'rollback', options);
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to roll back character', { characterId, revisionId });
+        }
+    }
+
+    /**
+     * Snapshot of the revisioned fields with JSON columns parsed
+     */
+    buildSnapshot(character) {
+        const snapshot = {};
+        for (const field of CharacterRevisionService.SNAPSHOT_FIELDS) {
+            snapshot[field] = this.parseJson(character[field]);
+        }
+        snapshot.definition = snapshot.definition || '';
+        snapshot.description = snapshot.description || '';
+        return snapshot;
+    }
+
+    getChangedFields(before, after) {
+        return CharacterRevisionService.SNAPSHOT_FIELDS.filter(field => !this.isEqual(before[field], after[field]));
+    }
+
+    describeRevision(revision) {
+        return {
+            id: revision.id,
+            revision_number: revision.revision_number,
+            source: revision.source,
+            rolled_back_to: revision.rolled_back_to,
+            analysis_version: revision.analysis_version,
+            created_at: revision.created_at
+        };
+    }
+
+    async getOwnedCharacter(characterId, userId) {
+        const character = await this.dal.personalities.getCharacter(characterId, userId);
+        if (!character) {
+            throw this.createNotFoundError('Character not found');
+        }
+        return character;
+    }
+
+    async getCharacterRevision(characterId, revisionId) {
+        const revision = await this.dal.characterRevisions.getRevision(characterId, revisionId);
+        if (!revision) {
+            throw this.createNotFoundError('Revision not found');
+        }
+        return revision;
+    }
+
+    parseJson(value) {
+        if (typeof value !== 'string') {
+            return value ?? null;
+        }
+        const trimmed = value.trim();
+        if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) {
+            return value;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value;
+        }
+    }
+
+    toText(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    }
+
+    isEmpty(value) {
+        return value === null || value === undefined || value === '' ||
+            (typeof value === 'object' && Object.keys(value).length === 0);
+    }
+
+    isEqual(a, b) {
+        return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    }
+}
+
+module.exports = CharacterRevisionService;
@@ -0,0 +1,299 @@
+const AbstractService = require('../base/CORE_AbstractService');
+
+/**
+ * ConversationBranchService
+ * Message trees for regenerating replies, editing user messages and switching
+ * between the resulting branches.
+ *
+ * Every message points at its parent (conversation_logs.parent_id). Siblings
+ * are alternative versions of the same turn. Exactly one root-to-leaf path per
+ * chat is active (is_active = 1); history, context and memory queries only see
+ * that path, so the character's memories follow the active branch.
+ *
+ * The psychological state is snapshotted after each analysed reply and
+ * restored from the active branch when it changes. The rolling summary is
+ * reset when the change reaches into turns it already covers.
+ */
+class ConversationBranchService extends AbstractService {
+    constructor(dependencies) {
+        super('ConversationBranchService', dependencies);
+        this.logger = dependencies.logger;
+        this.errorHandler = dependencies.errorHandling;
+        this.database = dependencies.database;
+        this.dal = this.database.getDAL();
+        this.conversationSummary = dependencies.conversationSummary || null;
+    }
+
+    async onInitialize() {
+        this.logger.info('ConversationBranchService initialized', 'ConversationBranchService');
+    }
+
+    /**
+     * Prepare a new version of an assistant reply
+     * The old reply and everything after it leave the active branch and the
+     * psychological state is rolled back; the caller generates the new reply as
+     * a sibling (same parent user message).
+     * @param {string} chatId - Chat ID
+     * @param {string} messageId - Assistant message to regenerate
+     * @returns {Promise<Object>} { userMessage, parentId }
+     */
+    async prepareRegenerate(chatId, messageId) {
+        try {
+            const message = await this.getChatMessage(chatId, messageId);
+            if (message.role !== 'assistant') {
+                throw this.createValidationError('Only assistant replies can be regenerated');
+            }
+
+            const userMessage = message.parent_id
+                ? await this.dal.conversations.getMessageById(message.parent_id)
+                : null;
+            if (!userMessage || userMessage.role !== 'user') {
+                throw this.createValidationError('Only replies to a user message can be regenerated');
+            }
+
+            await this.dal.conversations.deactivateSubtree(messageId);
+            await this.onBranchChanged(chatId, [message]);
+            await this.restoreBranchState(chatId);
+
+            this.logger.info('Prepared reply regeneration', 'ConversationBranchService', { chatId, messageId });
+            return { userMessage, parentId: userMessage.id };
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to regenerate message', { chatId, messageId });
+        }
+    }
+
+    /**
+     * Replace a user message with an edited version
+     * The edited message is saved as a sibling of the original and becomes the
+     * new active leaf; the caller then generates a reply to it.
+     * @param {string} chatId - Chat ID
+     * @param {string} messageId - User message to edit
+     * @param {string} content - New message text
+     * @returns {Promise<Object>} Saved user message ({ id, messageData })
+     */
+    async editUserMessage(chatId, messageId, content) {
+        try {
+            if (!content || typeof content !== 'string' || !content.trim()) {
+                throw this.createValidationError('Message content is required');
+            }
+
+            const message = await this.getChatMessage(chatId, messageId);
+            if (message.role !== 'user') {
+                throw this.createValidationError('Only user messages can be edited');
+            }
+
+            await this.dal.conversations.deactivateSubtree(messageId);
+            await this.onBranchChanged(chatId, [message]);
+            await this.restoreBranchState(chatId);
+
+            const metadata = this.parseMetadata(message.metadata);
+            const edited = await this.dal.conversations.saveMessage(
+                chatId,
+                'user',
+                content.trim(),
+                'chat',
+                { ...metadata, edited_from: messageId },
+                { parentId: message.parent_id || null }
+            );
+
+            this.logger.info('Saved edited user message', 'ConversationBranchService', {
+                chatId,
+                messageId,
+                editedMessageId: edited.id
+            });
+            return edited;
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to edit message', { chatId, messageId });
+        }
+    }
+
+    /**
+     * Make the branch through a message active
+     * Below the message, the most recent child is followed at each level.
+     * @param {string} chatId - Chat ID
+     * @param {string} messageId - Message to switch to (usually a sibling)
+     * @returns {Promise<Object>} { activePath: [messageId, ...] }
+     */
+    async switchBranch(chatId, messageId) {
+        try {
+            await this.getChatMessage(chatId, messageId);
+
+            const tree = await this.dal.conversations.getMessageTree(chatId);
+            const byId = new Map(tree.map(node => [node.id, node]));
+            const children = this.groupByParent(tree);
+
+            const ancestors = [];
+            for (let node = byId.get(messageId); node; node = byId.get(node.parent_id)) {
+                ancestors.unshift(node);
+            }
+
+            const descendants = [];
+            let current = byId.get(messageId);
+            while (children.has(current.id)) {
+                const siblings = children.get(current.id);
+                current = siblings[siblings.length - 1];
+                descendants.push(current);
+            }
+
+            const activePath = [...ancestors, ...descendants];
+            const activeIds = new Set(activePath.map(node => node.id));
+            const changed = tree.filter(node => Boolean(node.is_active) !== activeIds.has(node.id));
+
+            if (changed.length > 0) {
+                await this.dal.conversations.setActiveBranch(chatId, activePath.map(node => node.id));
+                await this.onBranchChanged(chatId, changed);
+                await this.restoreBranchState(chatId);
+            }
+
+            this.logger.info('Switched conversation branch', 'ConversationBranchService', {
+                chatId,
+                messageId,
+                changedMessages: changed.length
+            });
+            return { activePath: activePath.map(node => node.id) };
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to switch branch', { chatId, messageId });
+        }
+    }
+
+    /**
+     * Restore the psychological state of the active branch
+     * Falls back to clearing the state (re-initialized on the next message) when
+     * no reply on the branch has a snapshot yet. Chats from before snapshots
+     * existed keep their current state. In group chats every character's
+     * state is restored from its own latest snapshot.
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<boolean>} True when a snapshot was restored
+     */
+    async restoreBranchState(chatId) {
+        try {
+            const characterIds = await this.dal.chatCharacters.getCharacterIds(chatId);
+            const scopes = characterIds.length > 1
+                ? characterIds.map(characterId => [chatId, characterId])
+                : [[chatId]];
+
+            let restored = 0;
+            for (const scope of scopes) {
+                const snapshot = await this.dal.memories.getActiveBranchStateSnapshot(...scope);
+                if (snapshot) {
+                    await this.dal.memories.restorePsychologicalState(chatId, snapshot);
+                    restored++;
+                } else if (await this.dal.memories.hasStateSnapshots(chatId)) {
+                    await this.dal.memories.clearPsychologicalState(...scope);
+                }
+            }
+
+            this.logger.debug('Restored branch psychological state', 'ConversationBranchService', {
+                chatId,
+                fromSnapshot: restored > 0,
+                characters: scopes.length
+            });
+            return restored > 0;
+        } catch (error) {
+            throw this.errorHandler.wrapDomainError(error, 'Failed to restore branch state', { chatId });
+        }
+    }
+
+    /**
+     * Check whether a message is still on the active branch
+     * @param {string} messageId - Message ID
+     * @returns {Promise<boolean>}
+     */
+    async isActiveMessage(messageId) {
+        const message = await this.dal.conversations.getMessageById(messageId);
+        return !!message && Boolean(message.is_active);
+    }
+
+    /**
+     * Add sibling navigation to messages
+     * @param {string} chatId - Chat ID
+     * @param {Array} messages - Active messages (from the history endpoint)
+     * @returns {Promise<Array>} Messages with branch: { index, count, siblingIds } (index is 1-based)
+     */
+    async annotateBranches(chatId, messages) {
+        try {
+            const children = this.groupByParent(await this.dal.conversations.getMessageTree(chatId));
+            const parentOf = new Map();
+            for (const [parentId, siblings] of children) {
+                siblings.forEach(node => parentOf.set(node.id, parentId));
+            }
+
+            return messages.map(message => {
+                const siblings = parentOf.has(message.id) ? children.get(parentOf.get(message.id)) : [message];
+                const siblingIds = siblings.map(node => node.id);
+                return {
+                    ...message,
+                    branch: {
+                        index: siblingIds.indexOf(message.id) + 1,
+                        count: siblingIds.length,
+                        siblingIds
+                    }
+                };
+            });
+        } catch (error) {
+            throw this.errorHandler.wrapDomainError(error, 'Failed to annotate branches', { chatId });
+        }
+    }
+
+    /**
+     * Group tree nodes by parent (null key = first messages), oldest first
+     */
+    groupByParent(tree) {
+        const children = new Map();
+        for (const node of tree) {
+            const key = node.parent_id || null;
+            if (!children.has(key)) {
+                children.set(key, []);
+            }
+            children.get(key).push(node);
+        }
+        return children;
+    }
+
+    /**
+     * Reset the summary when the changed messages are already summarized
+     */
+    async onBranchChanged(chatId, changedMessages) {
+        if (!this.conversationSummary || changedMessages.length === 0) {
+            return;
+        }
+
+        const summary = await this.conversationSummary.getSummary(chatId);
+        const summarizedThrough = summary?.summarized_through_timestamp;
+        if (!summarizedThrough) {
+            return;
+        }
+
+        const earliest = changedMessages
+            .map(message => message.timestamp)
+            .sort()[0];
+        if (earliest <= summarizedThrough) {
+            await this.conversationSummary.resetSummary(chatId);
+        }
+    }
+
+    /**
+     * Load a message and check that it belongs to the chat
+     */
+    async getChatMessage(chatId, messageId) {
+        const message = await this.dal.conversations.getMessageById(messageId);
+        if (!message || message.chat_id !== chatId) {
+            const error = new Error('Message not found');
+            error.statusCode = 404;
+            throw error;
+        }
+        return message;
+    }
+
+    parseMetadata(metadata) {
+        if (!metadata) return {};
+        if (typeof metadata === 'object') return metadata;
+        try {
+            return JSON.parse(metadata);
+        } catch (error) {
+            return {};
+        }
+    }
+}
+
+module.exports = ConversationBranchService;
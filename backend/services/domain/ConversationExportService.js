@@ -0,0 +1,322 @@
+const AbstractService = require('../base/CORE_AbstractService');
+const DateTimeUtils = require('../../utils/datetime_utils');
+
+/**
+ * ConversationExportService
+ * Exports a chat as a Markdown transcript, a full-fidelity JSON archive,
+ * self-contained HTML or SillyTavern-compatible JSONL.
+ *
+ * Transcripts (Markdown, HTML) follow the active branch. The JSON archive
+ * keeps every message with its branch fields plus the psychology evolution
+ * log, commitments and events of the chat. SillyTavern JSONL carries
+ * alternative assistant replies as swipes.
+ */
+class ConversationExportService extends AbstractService {
+    constructor(dependencies) {
+        super('ConversationExportService', dependencies);
+        this.logger = dependencies.logger;
+        this.errorHandler = dependencies.errorHandling;
+        this.database = dependencies.database;
+        this.dal = this.database.getDAL();
+    }
+
+    /**
+     * Supported formats with their file extension and content type
+     */
+    static get FORMATS() {
+        return {
+            md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+            json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+            html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+            jsonl: { extension: 'jsonl', contentType: 'application/x-ndjson; charset=utf-8' }
+        };
+    }
+
+    static get ARCHIVE_VERSION() {
+        return '1.0';
+    }
+
+    async onInitialize() {
+        this.logger.info('ConversationExportService initialized', 'ConversationExportService');
+    }
+
+    /**
+     * Export a chat in the requested format
+     * @param {string} chatId - Chat ID (ownership is checked by the caller)
+     * @param {string} userId - Owner of the chat
+     * @param {string} format - md | json | html | jsonl
+     * @returns {Promise<Object>} { filename, contentType, body }
+     */
+    async exportChat(chatId, userId, format = 'md') {
+        try {
+            const formatInfo = ConversationExportService.FORMATS[format];
+            if (!formatInfo) {
+                const error = new Error(`Unsupported export format: ${format}. Use one of: ${Object.keys(ConversationExportService.FORMATS).join(', ')}`);
+                error.statusCode = 400;
+                throw error;
+            }
+
+            const data = await this.collectChatData(chatId, userId);
+            const formatters = {
+                md: () => this.formatMarkdown(data),
+                json: () => this.formatJson(data),
+                html: () => this.formatHtml(data),
+                jsonl: () => this.formatSillyTavern(data)
+            };
+
+            this.logger.info('Exported chat', 'ConversationExportService', {
+                chatId,
+                format,
+                messages: data.messages.length
+            });
+
+            return {
+                filename: `${this.slugify(data.character?.name || data.chat.title)}_chat_${this.fileDate(data.exportedAt)}.${formatInfo.extension}`,
+                contentType: formatInfo.contentType,
+                body: formatters[format]()
+            };
+        } catch (error) {
+            if (error.statusCode) {
+                throw error;
+            }
+            throw this.errorHandler.wrapDomainError(error, 'Failed to export chat', { chatId, format });
+        }
+    }
+
+    /**
+     * Load everything an export can contain
+     */
+    async collectChatData(chatId, userId) {
+        const chat = await this.dal.conversations.getChatById(chatId);
+        if (!chat) {
+            const error = new Error('Chat not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const [character, user, messages, evolution, commitments, events] = await Promise.all([
+            this.dal.personalities.getCharacter(chat.personality_id),
+            this.dal.users.findById(userId),
+            this.dal.conversations.getAllMessages(chatId),
+            this.dal.memories.getPsychologyEvolution(chatId, 10000),
+            this.dal.commitments.getChatCommitments(userId, chatId),
+            this.dal.events.getChatEvents(userId, chatId)
+        ]);
+
+        return {
+            chat,
+            character,
+            userName: user?.display_name || user?.username || 'You',
+            messages: messages.map(message => ({ ...message, metadata: this.parseJson(message.metadata) })),
+            evolution: [...evolution].reverse(),
+            commitments,
+            events,
+            exportedAt: new Date()
+        };
+    }
+
+    /**
+     * Messages on the active branch, oldest first
+     */
+    activeMessages(data) {
+        return data.messages.filter(message => message.is_active !== 0);
+    }
+
+    speakerName(data, message) {
+        if (message.role === 'user') return data.userName;
+        if (message.role === 'assistant') return data.character?.name || 'Assistant';
+        return 'System';
+    }
+
+    formatMarkdown(data) {
+        const lines = [
+            `# ${data.chat.title}`,
+            '',
+            `- **Character:** ${data.character?.name || 'Unknown'}`,
+            `- **Started:** ${DateTimeUtils.formatDatabaseTimestamp(data.chat.created_at)}`,
+            `- **Exported:** ${DateTimeUtils.formatDatabaseTimestamp(data.exportedAt.toISOString())}`,
+            ''
+        ];
+
+        for (const message of this.activeMessages(data)) {
+            lines.push('---', '');
+            lines.push(`**${this.speakerName(data, message)}** · ${DateTimeUtils.formatDatabaseTimestamp(message.timestamp)}`, '');
+            lines.push(message.content, '');
+        }
+
+        return lines.join('\n');
+    }
+
+    formatJson(data) {
+        const archive = {
+            format: 'aria-chat-export',
+            version: ConversationExportService.ARCHIVE_VERSION,
+            exported_at: data.exportedAt.toISOString(),
+            chat: {
+                id: data.chat.id,
+                title: data.chat.title,
+                created_at: DateTimeUtils.formatDatabaseTimestampForClient(data.chat.created_at),
+                updated_at: DateTimeUtils.formatDatabaseTimestampForClient(data.chat.updated_at),
+                metadata: this.parseJson(data.chat.chat_metadata)
+            },
+            character: data.character ? {
+                id: data.character.id,
+                name: data.character.name,
+                description: data.character.description || ''
+            } : null,
+            user: { name: data.userName },
+            messages: data.messages.map(message => ({
+                id: message.id,
+                parent_id: message.parent_id || null,
+                is_active: message.is_active !== 0,
+                role: message.role,
+                content: message.content,
+                timestamp: DateTimeUtils.formatDatabaseTimestampForClient(message.timestamp),
+                metadata: message.metadata
+            })),
+            psychology_evolution: data.evolution,
+            commitments: data.commitments,
+            events: data.events.map(event => ({ ...event, recurrence_data: this.parseJson(event.recurrence_data) }))
+        };
+
+        return JSON.stringify(archive, null, 2);
+    }
+
+    formatHtml(data) {
+        const characterName = data.character?.name || 'Assistant';
+        const messages = this.activeMessages(data).map(message => `
+    <div class="message ${this.escapeHtml(message.role)}">
+      <div class="meta"><span class="name">${this.escapeHtml(this.speakerName(data, message))}</span> <time datetime="${this.escapeHtml(DateTimeUtils.formatDatabaseTimestampForClient(message.timestamp) || '')}">${this.escapeHtml(DateTimeUtils.formatDatabaseTimestamp(message.timestamp))}</time></div>
+      <div class="content">${this.escapeHtml(message.content).replace(/\n/g, '<br>')}</div>
+    </div>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${this.escapeHtml(data.chat.title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f3f4f6; color: #1f2937; margin: 0; padding: 2rem 1rem; }
+    main { max-width: 48rem; margin: 0 auto; }
+    header { margin-bottom: 1.5rem; }
+    header h1 { color: #2563eb; margin: 0 0 .25rem; }
+    header p { color: #6b7280; margin: 0; font-size: .875rem; }
+    .message { max-width: 80%; margin-bottom: 1rem; padding: .75rem 1rem; border-radius: 1rem; background: #fff; border: 1px solid #e5e7eb; }
+    .message.user { margin-left: auto; background: #3b82f6; border-color: #3b82f6; color: #fff; }
+    .message.system { margin: 0 auto 1rem; background: #fef3c7; border-color: #fde68a; }
+    .meta { font-size: .75rem; opacity: .75; margin-bottom: .25rem; }
+    .name { font-weight: 600; }
+    .content { line-height: 1.5; white-space: normal; word-wrap: break-word; }
+  </style>
+</head>
+<body>
+  <main>
+    <header>
+      <h1>${this.escapeHtml(data.chat.title)}</h1>
+      <p>Conversation with ${this.escapeHtml(characterName)} · exported ${this.escapeHtml(DateTimeUtils.formatDatabaseTimestamp(data.exportedAt.toISOString()))}</p>
+    </header>${messages}
+  </main>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * SillyTavern chat file: a header line followed by one line per message
+     * Alternative versions of an assistant reply become its swipes.
+     */
+    formatSillyTavern(data) {
+        const characterName = data.character?.name || 'Assistant';
+        const siblings = new Map();
+        for (const message of data.messages) {
+            const key = `${message.parent_id || ''}:${message.role}`;
+            if (!siblings.has(key)) siblings.set(key, []);
+            siblings.get(key).push(message);
+        }
+
+        const header = {
+            user_name: data.userName,
+            character_name: characterName,
+            create_date: this.sillyTavernCreateDate(data.chat.created_at),
+            chat_metadata: {}
+        };
+
+        const lines = this.activeMessages(data).map(message => {
+            const entry = {
+                name: this.speakerName(data, message),
+                is_user: message.role === 'user',
+                is_system: message.role === 'system',
+                send_date: this.sillyTavernSendDate(message.timestamp),
+                mes: message.content,
+                extra: {}
+            };
+
+            const versions = message.role === 'assistant'
+                ? siblings.get(`${message.parent_id || ''}:assistant`) || [message]
+                : [message];
+            if (versions.length > 1) {
+                entry.swipes = versions.map(version => version.content);
+                entry.swipe_id = versions.findIndex(version => version.id === message.id);
+            }
+
+            return JSON.stringify(entry);
+        });
+
+        return [JSON.stringify(header), ...lines].join('\n') + '\n';
+    }
+
+    /**
+     * "2026-10-18@14h05m09s" (SillyTavern humanizedDateTime)
+     */
+    sillyTavernCreateDate(timestamp) {
+        const date = this.toDate(timestamp);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}@${pad(date.getHours())}h${pad(date.getMinutes())}m${pad(date.getSeconds())}s`;
+    }
+
+    /**
+     * "October 18, 2026 2:05pm" (SillyTavern message timestamp)
+     */
+    sillyTavernSendDate(timestamp) {
+        const date = this.toDate(timestamp);
+        const month = date.toLocaleString('en-US', { month: 'long' });
+        const hours = date.getHours() % 12 || 12;
+        const suffix = date.getHours() < 12 ? 'am' : 'pm';
+        return `${month} ${date.getDate()}, ${date.getFullYear()} ${hours}:${String(date.getMinutes()).padStart(2, '0')}${suffix}`;
+    }
+
+    toDate(timestamp) {
+        const iso = DateTimeUtils.formatDatabaseTimestampForClient(timestamp);
+        return iso ? new Date(iso) : new Date();
+    }
+
+    fileDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    slugify(name) {
+        return String(name || 'chat').replace(/[^a-zA-Z0-9]/g, '_');
+    }
+
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    parseJson(value) {
+        if (!value) return {};
+        if (typeof value === 'object') return value;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return {};
+        }
+    }
+}
+
+module.exports = ConversationExportService;
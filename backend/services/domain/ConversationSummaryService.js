@@ -0,0 +1,252 @@
+const AbstractService = require('../base/CORE_AbstractService');
+
+/**
+ * ConversationSummaryService
+ * Maintains a rolling, layered summary of each chat so older turns stay in
+ * context after they fall out of the recent-message window.
+ *
+ * Layers:
+ * - Recent: the last N messages (context window), sent verbatim by ContextBuilder
+ * - Mid-range: a summary of the turns just before the recent window
+ * - Long-range: a compressed gist; the mid-range summary is folded into it
+ *   once it covers more than midRangeMessages messages
+ */
+class ConversationSummaryService extends AbstractService {
+    constructor(dependencies) {
+        super('ConversationSummaryService', dependencies);
+        this.logger = dependencies.logger;
+        this.errorHandler = dependencies.errorHandling;
+        this.database = dependencies.database;
+        this.dal = this.database.getDAL();
+        this.structuredResponse = dependencies.structuredResponse;
+        this.contextBuilder = dependencies.contextBuilder;
+
+        // Summarization settings
+        this.minBatchSize = 10;          // don't call the LLM for fewer messages than this
+        this.maxBatchSize = 40;          // messages folded into the mid-range summary per call
+        this.maxBatchesPerRun = 3;       // catch-up limit for long chats summarized for the first time
+        this.midRangeMessages = 60;      // mid-range summary size before it is folded into the gist
+    }
+
+    async onInitialize() {
+        this.logger.info('ConversationSummaryService initialized', 'ConversationSummaryService');
+    }
+
+    /**
+     * Fold messages that have left the recent window into the chat summary
+     * @param {string} chatId - Chat ID
+     * @param {string} userId - User ID
+     * @param {string} characterId - Character ID (for context window resolution)
+     * @returns {Promise<Object>} { updated, summarizedCount, summary }
+     */
+    async updateSummary(chatId, userId, characterId) {
+        try {
+            const windowSize = await this.contextBuilder.resolveContextWindow(userId, characterId, 'conversational');
+            let summary = await this.dal.conversationSummaries.getSummary(chatId);
+
+            const unsummarized = await this.dal.conversations.getMessagesSince(
+                chatId,
+                summary?.summarized_through_timestamp || null
+            );
+            // The recent window is always sent verbatim, so only older messages are summarized
+            const pending = unsummarized.slice(0, Math.max(unsummarized.length - windowSize, 0));
+
+            if (pending.length < this.minBatchSize) {
+                this.logger.debug('Not enough messages to summarize', 'ConversationSummaryService', {
+                    chatId,
+                    pending: pending.length,
+                    windowSize
+                });
+                return { updated: false, summarizedCount: 0, summary };
+            }
+
+            let summarizedCount = 0;
+            for (let batchNumber = 0; batchNumber < this.maxBatchesPerRun; batchNumber++) {
+                const batch = pending.slice(summarizedCount, summarizedCount + this.maxBatchSize);
+                if (batch.length < this.minBatchSize) {
+                    break;
+                }
+
+                summary = await this.summarizeBatch(chatId, userId, summary, batch);
+                summarizedCount += batch.length;
+            }
+
+            this.logger.info('Conversation summary updated', 'ConversationSummaryService', {
+                chatId,
+                summarizedCount,
+                totalSummarized: summary.summarized_message_count
+            });
+
+            return { updated: true, summarizedCount, summary };
+        } catch (error) {
+            throw this.errorHandler.wrapDomainError(
+                error,
+                'Failed to update conversation summary',
+                { chatId, userId, characterId }
+            );
+        }
+    }
+
+    /**
+     * Fold one batch of messages into the summary and persist it
+     * @param {string} chatId - Chat ID
+     * @param {string} userId - User ID
+     * @param {Object|null} summary - Current summary row
+     * @param {Array} batch - Messages in chronological order
+     * @returns {Promise<Object>} Saved summary row
+     */
+    async summarizeBatch(chatId, userId, summary, batch) {
+        let longGist = summary?.long_gist || '';
+        let midSummary = summary?.mid_summary || '';
+        let midMessageCount = summary?.mid_message_count || 0;
+
+        // Make room in the mid-range layer before adding more to it
+        if (midSummary && midMessageCount + batch.length > this.midRangeMessages) {
+            longGist = await this.compressToGist(longGist, midSummary, userId);
+            midSummary = '';
+            midMessageCount = 0;
+        }
+
+        midSummary = await this.summarizeMessages(midSummary, batch, userId);
+        const lastMessage = batch[batch.length - 1];
+
+        return await this.dal.conversationSummaries.saveSummary({
+            chatId,
+            userId,
+            midSummary,
+            longGist,
+            midMessageCount: midMessageCount + batch.length,
+            summarizedMessageCount: (summary?.summarized_message_count || 0) + batch.length,
+            summarizedThroughMessageId: lastMessage.id,
+            summarizedThroughTimestamp: lastMessage.timestamp
+        });
+    }
+
+    /**
+     * Extend the mid-range summary with a batch of messages
+     * @param {string} previousSummary - Existing mid-range summary ('' when empty)
+     * @param {Array} messages - Messages in chronological order
+     * @param {string} userId - User ID for LLM configuration resolution
+     * @returns {Promise<string>} Updated mid-range summary
+     */
+    async summarizeMessages(previousSummary, messages, userId) {
+        const transcript = messages
+            .map(m => `[${m.role || m.sender}]: ${m.content || m.message}`)
+            .join('\n');
+
+        const prompt = `You maintain a running summary of a conversation between a user and an AI character.
+
+${previousSummary ? `Summary so far:
+${previousSummary}
+
+` : ''}New messages to add:
+${transcript}
+
+Write an updated summary that merges the new messages into the summary so far.
+Keep facts the user shared, decisions, promises, plans, emotional turning points and open questions.
+Drop greetings and small talk. Write in third person, past tense, at most 200 words.
+
+Respond with JSON:
+{
+  "summary": "updated summary"
+}`;
+
+        const schema = {
+            type: 'object',
+            properties: {
+                summary: { type: 'string' }
+            },
+            required: ['summary']
+        };
+
+        const result = await this.structuredResponse.generateStructuredResponse(
+            prompt,
+            schema,
+            {
+                userId: userId,
+                role: 'analytical',
+                temperature: 0.2,
+                maxTokens: 500
+            }
+        );
+
+        return (result?.summary || previousSummary || '').trim();
+    }
+
+    /**
+     * Fold the mid-range summary into the long-range gist
+     * @param {string} previousGist - Existing long-range gist ('' when empty)
+     * @param {string} midSummary - Mid-range summary being retired
+     * @param {string} userId - User ID for LLM configuration resolution
+     * @returns {Promise<string>} Updated long-range gist
+     */
+    async compressToGist(previousGist, midSummary, userId) {
+        const prompt = `You maintain the long-term gist of a conversation between a user and an AI character.
+
+${previousGist ? `Gist so far:
+${previousGist}
+
+` : ''}Summary of the next part of the conversation:
+${midSummary}
+
+Write an updated gist that covers both. Keep only what would still matter weeks later:
+who the user is, lasting facts, relationship developments, unresolved plans and commitments.
+At most 120 words.
+
+Respond with JSON:
+{
+  "gist": "updated gist"
+}`;
+
+        const schema = {
+            type: 'object',
+            properties: {
+                gist: { type: 'string' }
+            },
+            required: ['gist']
+        };
+
+        const result = await this.structuredResponse.generateStructuredResponse(
+            prompt,
+            schema,
+            {
+                userId: userId,
+                role: 'analytical',
+                temperature: 0.2,
+                maxTokens: 300
+            }
+        );
+
+        return (result?.gist || previousGist || '').trim();
+    }
+
+    /**
+     * Get the current summary of a chat
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<Object|null>} Summary row or null
+     */
+    async getSummary(chatId) {
+        try {
+            return await this.dal.conversationSummaries.getSummary(chatId);
+        } catch (error) {
+            throw this.errorHandler.wrapDomainError(error, 'Failed to get conversation summary', { chatId });
+        }
+    }
+
+    /**
+     * Discard the summary of a chat; it is rebuilt from the full history on the next exchange
+     * @param {string} chatId - Chat ID
+     * @returns {Promise<boolean>} True when a summary existed
+     */
+    async resetSummary(chatId) {
+        try {
+            const deleted = await this.dal.conversationSummaries.deleteSummary(chatId);
+            this.logger.info('Conversation summary reset', 'ConversationSummaryService', { chatId, deleted });
+            return deleted;
+        } catch (error) {
+            throw this.errorHandler.wrapDomainError(error, 'Failed to reset conversation summary', { chatId });
+        }
+    }
+}
+
+module.exports = ConversationSummaryService;
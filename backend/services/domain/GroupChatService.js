@@ -0,0 +1,327 @@
+const AbstractService = require('../base/CORE_AbstractService');
+
+/**
+ * GroupChatService
+ * Several characters taking turns in one chat.
+ *
+ * - Participants live in chat_characters; chats.personality_id stays the
+ *   primary character (chats from before group chats have only that one)
+ * - chats.turn_strategy decides who answers the next user message:
+ *     round_robin - the character after the one that spoke last
+ *     mention     - the character addressed with @Name, else round robin
+ *     llm         - the analytical model picks, else round robin
+ * - An explicit speaker chosen by the user always wins
+ * - Each character keeps its own psychological state within the chat
+ */
+class GroupChatService extends AbstractService {
+    constructor(dependencies) {
+        super('GroupChatService', dependencies);
+        this.logger = dependencies.logger;
+        this.errorHandler = dependencies.errorHandling;
+        this.database = dependencies.database;
+        this.structuredResponse = dependencies.structuredResponse;
+        this.dal = this.database.getDAL();
+    }
+
+    static get TURN_STRATEGIES() {
+        return ['round_robin', 'mention', 'llm'];
+    }
+
+    async onInitialize() {
+        this.logger.info('GroupChatService initialized', 'GroupChatService');
+    }
+
+    /**
+     * Create a chat with several characters
+     * @param {string} userId
+     * @param {Object} options - { chatId, title, characterIds, turnStrategy }
+     * @returns {Promise<Object>} { chat, participants }
+     */
+    async createGroupChat(userId, { chatId, title, characterIds, turnStrategy = 'round_robin', metadata } = {}) {
+        try {
+            const ids = [...new Set(Array.isArray(characterIds) ? characterIds : [])];
+            if (ids.length === 0) {
+                throw this.createValidationError('characterIds must list at least one character');
+            }
+            this.validateTurnStrategy(turnStrategy);
+
+            const characters = [];
+            for (const characterId of ids) {
+                characters.push(await this.getOwnedCharacter(characterId, userId));
+            }
+
+            const chat = await this.dal.chats.createChat(userId, {
+                id: chatId,
+                title: title || `Chat with ${characters.map(character => character.name).join(', ')}`,
+                personality_id: characters[0].id,
+                turn_strategy: turnStrategy,
+                metadata: metadata || {}
+            });
+
+            for (const character of characters.slice(1)) {
+                await this.dal.chatCharacters.addParticipant(chat.id, character.id, userId);
+            }
+
+            this.logger.info('Group chat created', 'GroupChatService', {
+                chatId: chat.id,
+                characters: characters.length,
+                turnStrategy
+            });
+            return { chat, participants: await this.getParticipants(chat) };
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to create group chat', { userId });
+        }
+    }
+
+    /**
+     * Characters of a chat in turn order
+     * Falls back to the chat's own character when chat_characters has no rows for it
+     * @param {Object} chat - chats row
+     */
+    async getParticipants(chat) {
+        const participants = await this.dal.chatCharacters.getParticipants(chat.id);
+        if (participants.length > 0 || !chat.personality_id) {
+            return participants;
+        }
+
+        const character = await this.dal.personalities.getCharacter(chat.personality_id);
+        return character ? [{ id: character.id, name: character.name, position: 0 }] : [];
+    }
+
+    /**
+     * Add a character to a chat
+     * @returns {Promise<Array>} Participants after the change
+     */
+    async addParticipant(chat, characterId, userId) {
+        try {
+            await this.getOwnedCharacter(characterId, userId);
+            const added = await this.dal.chatCharacters.addParticipant(chat.id, characterId, userId);
+            if (!added) {
+                throw this.createValidationError('Character is already part of this chat');
+            }
+            return await this.getParticipants(chat);
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to add character to chat', { chatId: chat.id, characterId });
+        }
+    }
+
+    /**
+     * Remove a character from a chat
+     * The last character cannot leave; when the primary character leaves the
+     * next one in turn order becomes primary
+     * @returns {Promise<Array>} Participants after the change
+     */
+    async removeParticipant(chat, characterId, userId) {
+        try {
+            const participants = await this.getParticipants(chat);
+            if (!participants.some(participant => participant.id === characterId)) {
+                throw this.createNotFoundError('Character is not part of this chat');
+            }
+            if (participants.length === 1) {
+                throw this.createValidationError('A chat needs at least one character');
+            }
+
+            await this.dal.chatCharacters.removeParticipant(chat.id, characterId);
+            const remaining = participants.filter(participant => participant.id !== characterId);
+            if (chat.personality_id === characterId) {
+                await this.dal.chats.updatePrimaryCharacter(userId, chat.id, remaining[0].id);
+            }
+            return remaining;
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to remove character from chat', { chatId: chat.id, characterId });
+        }
+    }
+
+    /**
+     * Change how the next speaker is chosen
+     */
+    async setTurnStrategy(chat, turnStrategy, userId) {
+        try {
+            this.validateTurnStrategy(turnStrategy);
+            await this.dal.chats.updateTurnStrategy(userId, chat.id, turnStrategy);
+            return turnStrategy;
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to update turn strategy', { chatId: chat.id, turnStrategy });
+        }
+    }
+
+    /**
+     * Pick the character that answers a user message
+     * @param {Object} chat - chats row
+     * @param {string} message - User message being answered
+     * @param {Object} options - { userId, speakerId } - speakerId forces a participant
+     * @returns {Promise<Object|null>} { speaker, participants, strategy } or null for single-character chats
+     */
+    async selectSpeaker(chat, message, { userId, speakerId } = {}) {
+        try {
+            const participants = await this.getParticipants(chat);
+
+            if (speakerId) {
+                const chosen = participants.find(participant => participant.id === speakerId);
+                if (!chosen) {
+                    throw this.createValidationError('Character is not part of this chat');
+                }
+                return { speaker: chosen, participants, strategy: 'explicit' };
+            }
+
+            if (participants.length <= 1) {
+                return null;
+            }
+
+            const strategy = chat.turn_strategy || 'round_robin';
+            let speaker = null;
+            if (strategy === 'mention') {
+                speaker = this.findMentionedSpeaker(message, participants);
+            } else if (strategy === 'llm') {
+                speaker = await this.chooseSpeakerWithLLM(chat, message, participants, userId);
+            }
+
+            if (speaker) {
+                return { speaker, participants, strategy };
+            }
+            return { speaker: await this.nextInRotation(chat.id, participants), participants, strategy: 'round_robin' };
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to select next speaker', { chatId: chat.id });
+        }
+    }
+
+    /**
+     * The participant addressed first with @Name (full name or first name, case-insensitive)
+     * @returns {Object|null}
+     */
+    findMentionedSpeaker(message, participants) {
+        const text = String(message || '').toLowerCase();
+        let best = null;
+
+        for (const participant of participants) {
+            const name = String(participant.name || '').toLowerCase().trim();
+            if (!name) continue;
+
+            for (const alias of new Set([name, name.split(/\s+/)[0]])) {
+                const index = this.findMention(text, alias);
+                if (index !== -1 && (!best || index < best.index)) {
+                    best = { index, participant };
+                }
+            }
+        }
+
+        return best ? best.participant : null;
+    }
+
+    /**
+     * Position of "@alias" in text where the name is not followed by more letters, or -1
+     */
+    findMention(text, alias) {
+        let index = text.indexOf(`@${alias}`);
+        while (index !== -1) {
+            const next = text.charAt(index + alias.length + 1);
+            if (!/[\p{L}\p{N}_]/u.test(next)) {
+                return index;
+            }
+            index = text.indexOf(`@${alias}`, index + 1);
+        }
+        return -1;
+    }
+
+    /**
+     * The participant after the one that wrote the latest reply on the active branch
+     */
+    async nextInRotation(chatId, participants) {
+        const lastSpeakerId = await this.dal.chatCharacters.getLastSpeakerId(chatId);
+        const lastIndex = participants.findIndex(participant => participant.id === lastSpeakerId);
+        return participants[(lastIndex + 1) % participants.length];
+    }
+
+    /**
+     * Ask the analytical model who should answer; null when it fails or names nobody
+     */
+    async chooseSpeakerWithLLM(chat, message, participants, userId) {
+        try {
+            const names = this.getSpeakerNames(participants);
+            const history = await this.dal.conversations.getSessionHistory(chat.id, 8, 0);
+            const transcript = [...history].reverse()
+                .map(entry => `${entry.role === 'user' ? 'User' : (names[entry.personality_id] || 'Character')}: ${entry.content}`)
+                .join('\n');
+
+            const prompt = `Several characters share this conversation. Decide which one should answer the user's latest message.
+
+Characters:
+${participants.map(participant => `- ${participant.name}${participant.description ? `: ${participant.description}` : ''}`).join('\n')}
+
+Recent conversation:
+${transcript || '(none)'}
+
+Latest user message: "${message}"
+
+Pick the character the user is addressing or who would most naturally respond. Avoid letting one character answer every time unless the user is clearly talking to them.`;
+
+            const schema = {
+                type: 'object',
+                required: ['next_speaker'],
+                properties: {
+                    next_speaker: { type: 'string', description: 'Exact name of the character who answers' }
+                },
+                fallback: { next_speaker: '' }
+            };
+
+            const result = await this.structuredResponse.generateStructuredResponse(prompt, schema, {
+                userId,
+                role: 'analytical',
+                temperature: 0.2,
+                maxTokens: 100
+            });
+
+            const chosen = String(result?.next_speaker || '').trim().toLowerCase();
+            return participants.find(participant => String(participant.name).toLowerCase() === chosen) || null;
+        } catch (error) {
+            this.logger.warn('LLM speaker selection failed, using round robin', 'GroupChatService', {
+                chatId: chat.id,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Add the speaking character to history messages: speaker = { id, name }
+     */
+    async annotateSpeakers(chat, messages) {
+        const participants = await this.getParticipants(chat);
+        const names = this.getSpeakerNames(participants);
+
+        const missing = [...new Set(messages
+            .map(message => message.personality_id)
+            .filter(id => id && !names[id]))];
+        for (const id of missing) {
+            const character = await this.dal.personalities.getCharacter(id);
+            names[id] = character ? character.name : null;
+        }
+
+        return messages.map(message => (message.role === 'assistant' && message.personality_id
+            ? { ...message, speaker: { id: message.personality_id, name: names[message.personality_id] } }
+            : message));
+    }
+
+    /**
+     * Map of personality id to name
+     */
+    getSpeakerNames(participants) {
+        return Object.fromEntries(participants.map(participant => [participant.id, participant.name]));
+    }
+
+    validateTurnStrategy(turnStrategy) {
+        if (!GroupChatService.TURN_STRATEGIES.includes(turnStrategy)) {
+            throw this.createValidationError(`turnStrategy must be one of: ${GroupChatService.TURN_STRATEGIES.join(', ')}`);
+        }
+    }
+
+    async getOwnedCharacter(characterId, userId) {
+        const character = await this.dal.personalities.getCharacter(characterId, userId);
+        if (!character) {
+            throw this.createNotFoundError('Character not found');
+        }
+        return character;
+    }
+}
+
+module.exports = GroupChatService;
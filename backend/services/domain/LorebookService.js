@@ -0,0 +1,567 @@
+const AbstractService = require('../base/CORE_AbstractService');
+const PromptAssembler = require('../../utils/prompt_assembler');
+
+// "/pattern/flags" keys are regular expressions
+const REGEX_KEY = /^\/(.+)\/([dgimsuvy]*)$/s;
+
+/**
+ * LorebookService
+ * World facts that enter the prompt only when the conversation mentions them.
+ *
+ * - A lorebook belongs to a user and is attached to one character or, with
+ *   no character, to all of the user's characters
+ * - Entries trigger on keywords (whole words, case-insensitive unless the
+ *   entry says otherwise) or on /regex/flags patterns; constant entries
+ *   always apply. Secondary keys narrow a match with selective_logic
+ * - Each book scans its own number of latest messages (scan_depth) and adds
+ *   at most token_budget tokens; higher priority entries are kept first and
+ *   token_limit shortens a single long entry
+ * - Regex keys are limited in length and may not repeat a group that already
+ *   repeats or has alternatives (like (a+)+ or (a|ab)*), since those can
+ *   backtrack for minutes on one message
+ * - SillyTavern world-info files and character_book objects from character
+ *   cards can be imported as new lorebooks
+ */
+class LorebookService extends AbstractService {
+    constructor(dependencies) {
+        super('LorebookService', dependencies);
+        this.logger = dependencies.logger;
+        this.errorHandler = dependencies.errorHandling;
+        this.database = dependencies.database;
+        this.dal = this.database.getDAL();
+    }
+
+    /**
+     * Where an entry goes in the prompt
+     */
+    static get POSITIONS() {
+        return ['before_character', 'after_character', 'before_messages'];
+    }
+
+    /**
+     * How secondary keys combine with a primary key match
+     */
+    static get SELECTIVE_LOGIC() {
+        return ['and_any', 'and_all', 'not_any', 'not_all'];
+    }
+
+    /**
+     * Longest pattern a regex key may have
+     */
+    static get MAX_REGEX_KEY_LENGTH() {
+        return 200;
+    }
+
+    async onInitialize() {
+        this.logger.info('LorebookService initialized', 'LorebookService');
+    }
+
+    /**
+     * A user's lorebooks, optionally only those that apply to one character
+     */
+    async listLorebooks(userId, characterId = null) {
+        try {
+            return await this.dal.lorebooks.getUserLorebooks(userId, characterId);
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to list lorebooks', { userId });
+        }
+    }
+
+    /**
+     * A lorebook with its entries
+     */
+    async getLorebook(lorebookId, userId) {
+        try {
+            const lorebook = await this.getOwnedLorebook(lorebookId, userId);
+            return { ...lorebook, entries: await this.dal.lorebooks.getEntries(lorebookId) };
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to get lorebook', { lorebookId });
+        }
+    }
+
+    /**
+     * Create a lorebook, optionally with entries
+     * @param {string} userId
+     * @param {Object} data - name, description, characterId, scanDepth, tokenBudget, isActive, entries
+     */
+    async createLorebook(userId, data = {}, source = 'manual') {
+        try {
+            const fields = await this.normalizeLorebook(data, userId);
+            const entries = (Array.isArray(data.entries) ? data.entries : []).map(entry => this.normalizeEntry(entry));
+
+            const lorebook = await this.dal.lorebooks.createLorebook({ ...fields, user_id: userId, source });
+            for (const entry of entries) {
+                await this.dal.lorebooks.createEntry(lorebook.id, entry);
+            }
+
+            this.logger.info('Lorebook created', 'LorebookService', {
+                lorebookId: lorebook.id,
+                entries: entries.length,
+                source
+            });
+            return { ...lorebook, entries: await this.dal.lorebooks.getEntries(lorebook.id) };
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to create lorebook', { userId });
+        }
+    }
+
+    /**
+     * Change a lorebook's settings (entries are changed one by one)
+     */
+    async updateLorebook(lorebookId, userId, data = {}) {
+        try {
+            await this.getOwnedLorebook(lorebookId, userId);
+            await this.dal.lorebooks.updateLorebook(lorebookId, userId, await this.normalizeLorebook(data, userId, true));
+            return await this.getLorebook(lorebookId, userId);
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to update lorebook', { lorebookId });
+        }
+    }
+
+    async deleteLorebook(lorebookId, userId) {
+        try {
+            await this.getOwnedLorebook(lorebookId, userId);
+            return await this.dal.lorebooks.deleteLorebook(lorebookId, userId);
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to delete lorebook', { lorebookId });
+        }
+    }
+
+    async createEntry(lorebookId, userId, data = {}) {
+        try {
+            await this.getOwnedLorebook(lorebookId, userId);
+            return await this.dal.lorebooks.createEntry(lorebookId, this.normalizeEntry(data));
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to create lorebook entry', { lorebookId });
+        }
+    }
+
+    async updateEntry(lorebookId, entryId, userId, data = {}) {
+        try {
+            await this.getOwnedLorebook(lorebookId, userId);
+            const { updated } = await this.dal.lorebooks.updateEntry(lorebookId, entryId, this.normalizeEntry(data, true));
+            if (!updated) {
+                throw this.createNotFoundError('Lorebook entry not found');
+            }
+            return await this.dal.lorebooks.getEntry(lorebookId, entryId);
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to update lorebook entry', { lorebookId, entryId });
+        }
+    }
+
+    async deleteEntry(lorebookId, entryId, userId) {
+        try {
+            await this.getOwnedLorebook(lorebookId, userId);
+            const result = await this.dal.lorebooks.deleteEntry(lorebookId, entryId);
+            if (!result.deleted) {
+                throw this.createNotFoundError('Lorebook entry not found');
+            }
+            return result;
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to delete lorebook entry', { lorebookId, entryId });
+        }
+    }
+
+    /**
+     * Import a SillyTavern world-info file or a character card's character_book
+     * @param {string} userId
+     * @param {Object} worldInfo - Parsed JSON
+     * @param {Object} options - { name, characterId } override the file's name and attach the book
+     * @returns {Promise<Object>} { lorebook, warnings }
+     */
+    async importWorldInfo(userId, worldInfo, { name, characterId } = {}) {
+        try {
+            const parsed = this.parseWorldInfo(worldInfo);
+            const lorebook = await this.createLorebook(userId, {
+                name: name || parsed.name,
+                description: parsed.description,
+                characterId: characterId || null,
+                scanDepth: parsed.scanDepth,
+                tokenBudget: parsed.tokenBudget,
+                entries: parsed.entries
+            }, parsed.source);
+
+            return { lorebook, warnings: parsed.warnings };
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to import world info', { userId });
+        }
+    }
+
+    /**
+     * Map world-info JSON onto lorebook fields without saving it
+     * SillyTavern files keep entries in an object keyed by uid (key, keysecondary,
+     * order, position 0-6, disable); character_book uses an array (keys,
+     * secondary_keys, insertion_order, position before_char/after_char, enabled)
+     * @returns {Object} { source, name, description, scanDepth, tokenBudget, entries, warnings }
+     */
+    parseWorldInfo(worldInfo) {
+        if (!worldInfo || typeof worldInfo !== 'object' || Array.isArray(worldInfo) ||
+            !worldInfo.entries || typeof worldInfo.entries !== 'object') {
+            throw this.createValidationError('World info must be a JSON object with entries');
+        }
+
+        const source = Array.isArray(worldInfo.entries) ? 'character_book' : 'sillytavern';
+        const rawEntries = Array.isArray(worldInfo.entries) ? worldInfo.entries : Object.values(worldInfo.entries);
+        const list = value => (Array.isArray(value) ? value : [value])
+            .filter(item => typeof item === 'string' && item.trim())
+            .map(item => item.trim());
+        const logicNames = { 0: 'and_any', 1: 'not_all', 2: 'not_any', 3: 'and_all' };
+
+        let skipped = 0;
+        let movedPositions = 0;
+        const entries = [];
+        for (const raw of rawEntries) {
+            const keys = raw && typeof raw === 'object' ? list(raw.key ?? raw.keys ?? []) : [];
+            if (!raw || typeof raw !== 'object' || typeof raw.content !== 'string' || !raw.content.trim() ||
+                (keys.length === 0 && !raw.constant)) {
+                skipped++;
+                continue;
+            }
+
+            let position;
+            if (raw.position === 0 || raw.position === 'before_char') {
+                position = 'before_character';
+            } else if (raw.position === 1 || raw.position === 'after_char' || raw.position === undefined) {
+                position = 'after_character';
+            } else {
+                position = 'before_messages';
+                movedPositions++;
+            }
+
+            const secondaryKeys = list(raw.keysecondary ?? raw.secondary_keys ?? []);
+            const selective = raw.selective !== false && secondaryKeys.length > 0;
+            const caseSensitive = raw.caseSensitive ?? raw.case_sensitive;
+
+            entries.push({
+                name: String(raw.comment || raw.name || '').trim(),
+                keys,
+                secondary_keys: selective ? secondaryKeys : [],
+                selective_logic: logicNames[raw.selectiveLogic] || 'and_any',
+                content: raw.content.trim(),
+                priority: Number.isFinite(raw.order) ? raw.order
+                    : Number.isFinite(raw.insertion_order) ? raw.insertion_order : 100,
+                position,
+                constant: !!raw.constant,
+                case_sensitive: !!caseSensitive,
+                enabled: raw.disable !== undefined ? !raw.disable : raw.enabled !== false
+            });
+        }
+
+        const warnings = [];
+        if (skipped > 0) {
+            warnings.push(`${skipped} entr${skipped === 1 ? 'y' : 'ies'} without content or trigger keys skipped`);
+        }
+        if (movedPositions > 0) {
+            warnings.push(`${movedPositions} entr${movedPositions === 1 ? 'y uses' : 'ies use'} an author's note or in-chat position; inserted before the recent messages instead`);
+        }
+
+        return {
+            source,
+            name: String(worldInfo.name || '').trim() || 'Imported lorebook',
+            description: String(worldInfo.description || '').trim(),
+            scanDepth: Number.isInteger(worldInfo.scan_depth) && worldInfo.scan_depth > 0 ? worldInfo.scan_depth : undefined,
+            tokenBudget: Number.isInteger(worldInfo.token_budget) && worldInfo.token_budget > 0 ? worldInfo.token_budget : undefined,
+            entries,
+            warnings
+        };
+    }
+
+    /**
+     * Entries triggered by the latest messages of a conversation
+     * @param {string} userId
+     * @param {string} characterId - Character that is about to answer
+     * @param {Array} messages - Recent messages in chronological order
+     * @param {string} latestMessage - Message being answered, when it is not stored yet
+     * @returns {Promise<Array>} { id, lorebook_id, name, content, position, priority }, highest priority first
+     */
+    async findTriggeredEntries(userId, characterId, messages = [], latestMessage = null) {
+        try {
+            const entries = await this.dal.lorebooks.getActiveEntries(userId, characterId);
+            if (entries.length === 0) {
+                return [];
+            }
+
+            const texts = (messages || []).map(message => message.content || message.message || '');
+            if (latestMessage && texts[texts.length - 1] !== latestMessage) {
+                texts.push(latestMessage);
+            }
+
+            const usedTokens = {};
+            const triggered = [];
+            for (const entry of entries) {
+                const scanText = texts.slice(-Math.max(entry.scan_depth || 1, 1)).join('\n');
+                if (!entry.constant && !this.matchesEntry(entry, scanText)) {
+                    continue;
+                }
+
+                const content = entry.token_limit ? PromptAssembler.truncate(entry.content, entry.token_limit) : entry.content;
+                const tokens = PromptAssembler.estimateTokens(content);
+                const used = usedTokens[entry.lorebook_id] || 0;
+                if (used + tokens > entry.token_budget) {
+                    continue;
+                }
+
+                usedTokens[entry.lorebook_id] = used + tokens;
+                triggered.push({
+                    id: entry.id,
+                    lorebook_id: entry.lorebook_id,
+                    name: entry.name,
+                    content,
+                    position: entry.position,
+                    priority: entry.priority
+                });
+            }
+
+            return triggered;
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to scan lorebooks', { userId, characterId });
+        }
+    }
+
+    /**
+     * Whether a primary key matches and the secondary keys agree
+     */
+    matchesEntry(entry, text) {
+        const matches = key => this.matchesKey(key, text, entry.case_sensitive);
+        if (!entry.keys.some(matches)) {
+            return false;
+        }
+
+        const secondary = entry.secondary_keys || [];
+        if (secondary.length === 0) {
+            return true;
+        }
+        switch (entry.selective_logic) {
+            case 'and_all': return secondary.every(matches);
+            case 'not_any': return !secondary.some(matches);
+            case 'not_all': return !secondary.every(matches);
+            default: return secondary.some(matches);
+        }
+    }
+
+    /**
+     * Match one key: "/pattern/flags" is a regular expression, anything else a whole word or phrase
+     */
+    matchesKey(key, text, caseSensitive = false) {
+        const regex = this.parseRegexKey(key);
+        if (regex) {
+            return regex.test(text);
+        }
+
+        const escaped = String(key).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (!escaped) {
+            return false;
+        }
+        return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, caseSensitive ? 'u' : 'iu').test(text);
+    }
+
+    /**
+     * RegExp for a "/pattern/flags" key, or null for plain keys and invalid patterns
+     */
+    parseRegexKey(key) {
+        const match = REGEX_KEY.exec(String(key).trim());
+        if (!match) {
+            return null;
+        }
+        // Entries saved before keys were checked may still hold unsafe patterns
+        if (this.getRegexKeyProblem(key)) {
+            this.logger.debug('Unsafe lorebook regex key ignored', 'LorebookService', { key });
+            return null;
+        }
+        try {
+            return new RegExp(match[1], match[2].replace(/[gy]/g, ''));
+        } catch (error) {
+            this.logger.debug('Invalid lorebook regex key ignored', 'LorebookService', { key });
+            return null;
+        }
+    }
+
+    /**
+     * Why a "/pattern/flags" key is refused, or null for safe and plain keys
+     */
+    getRegexKeyProblem(key) {
+        const match = REGEX_KEY.exec(String(key).trim());
+        if (!match) {
+            return null;
+        }
+        if (match[1].length > LorebookService.MAX_REGEX_KEY_LENGTH) {
+            return `is longer than ${LorebookService.MAX_REGEX_KEY_LENGTH} characters`;
+        }
+        return this.getRepeatProblem(match[1]);
+    }
+
+    /**
+     * Why a pattern's repeats (*, +, {n,m}) can backtrack without bound, or null.
+     * A repeated group may neither contain a repeat nor alternatives, which can
+     * overlap (like (a|a)+) even without one.
+     */
+    getRepeatProblem(pattern) {
+        const isRepeat = index => pattern[index] === '*' || pattern[index] === '+' || /^\{\d+,/.test(pattern.slice(index));
+        const groups = [{ repeats: false, alternates: false }];
+
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === '[') {
+                // Quantifier characters inside a class are literals
+                for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                    if (pattern[i] === '\\') i++;
+                }
+            } else if (char === '(') {
+                groups.push({ repeats: false, alternates: false });
+            } else if (char === '|') {
+                groups[groups.length - 1].alternates = true;
+            } else if (char === ')' && groups.length > 1) {
+                const group = groups.pop();
+                const parent = groups[groups.length - 1];
+                if (isRepeat(i + 1)) {
+                    if (group.repeats) {
+                        return 'repeats a group that already repeats, like (a+)+';
+                    }
+                    if (group.alternates) {
+                        return 'repeats a group with alternatives, like (a|ab)*';
+                    }
+                }
+                parent.repeats = parent.repeats || group.repeats;
+                parent.alternates = parent.alternates || group.alternates;
+            } else if (isRepeat(i)) {
+                groups[groups.length - 1].repeats = true;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check lorebook fields from a request and map them to columns
+     * @param {boolean} partial - Only check the fields that are present
+     */
+    async normalizeLorebook(data, userId, partial = false) {
+        const fields = {};
+
+        if (!partial || data.name !== undefined) {
+            if (typeof data.name !== 'string' || !data.name.trim()) {
+                throw this.createValidationError('name is required');
+            }
+            fields.name = data.name.trim();
+        }
+        if (data.description !== undefined) {
+            fields.description = String(data.description || '');
+        }
+        if (data.characterId !== undefined) {
+            if (data.characterId) {
+                await this.getOwnedCharacter(data.characterId, userId);
+            }
+            fields.personality_id = data.characterId || null;
+        }
+        if (data.scanDepth !== undefined) {
+            fields.scan_depth = this.positiveInteger(data.scanDepth, 'scanDepth');
+        }
+        if (data.tokenBudget !== undefined) {
+            fields.token_budget = this.positiveInteger(data.tokenBudget, 'tokenBudget');
+        }
+        if (data.isActive !== undefined) {
+            fields.is_active = !!data.isActive;
+        }
+
+        return fields;
+    }
+
+    /**
+     * Check entry fields from a request; accepts the column names used in responses
+     * @param {boolean} partial - Only check the fields that are present
+     */
+    normalizeEntry(data, partial = false) {
+        if (!data || typeof data !== 'object') {
+            throw this.createValidationError('Entry must be an object');
+        }
+
+        const entry = {};
+        const keyList = (value, field) => {
+            if (!Array.isArray(value) || value.some(key => typeof key !== 'string')) {
+                throw this.createValidationError(`${field} must be an array of strings`);
+            }
+            const keys = value.map(key => key.trim()).filter(Boolean);
+            for (const key of keys) {
+                const problem = this.getRegexKeyProblem(key);
+                if (problem) {
+                    throw this.createValidationError(`${field} regex ${key} ${problem}`);
+                }
+            }
+            return keys;
+        };
+
+        if (!partial || data.content !== undefined) {
+            if (typeof data.content !== 'string' || !data.content.trim()) {
+                throw this.createValidationError('content is required');
+            }
+            entry.content = data.content.trim();
+        }
+        if (data.name !== undefined) {
+            entry.name = String(data.name || '').trim();
+        }
+        if (data.keys !== undefined) {
+            entry.keys = keyList(data.keys, 'keys');
+        }
+        if (data.secondary_keys !== undefined) {
+            entry.secondary_keys = keyList(data.secondary_keys, 'secondary_keys');
+        }
+        if (data.selective_logic !== undefined) {
+            if (!LorebookService.SELECTIVE_LOGIC.includes(data.selective_logic)) {
+                throw this.createValidationError(`selective_logic must be one of: ${LorebookService.SELECTIVE_LOGIC.join(', ')}`);
+            }
+            entry.selective_logic = data.selective_logic;
+        }
+        if (data.position !== undefined) {
+            if (!LorebookService.POSITIONS.includes(data.position)) {
+                throw this.createValidationError(`position must be one of: ${LorebookService.POSITIONS.join(', ')}`);
+            }
+            entry.position = data.position;
+        }
+        if (data.priority !== undefined) {
+            if (!Number.isInteger(data.priority)) {
+                throw this.createValidationError('priority must be an integer');
+            }
+            entry.priority = data.priority;
+        }
+        if (data.token_limit !== undefined) {
+            entry.token_limit = data.token_limit === null ? null : this.positiveInteger(data.token_limit, 'token_limit');
+        }
+        for (const flag of ['constant', 'case_sensitive', 'enabled']) {
+            if (data[flag] !== undefined) {
+                entry[flag] = !!data[flag];
+            }
+        }
+
+        if (!partial && !entry.constant && (!entry.keys || entry.keys.length === 0)) {
+            throw this.createValidationError('keys must list at least one trigger unless the entry is constant');
+        }
+        return entry;
+    }
+
+    positiveInteger(value, field) {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) {
+            throw this.createValidationError(`${field} must be a positive integer`);
+        }
+        return number;
+    }
+
+    async getOwnedLorebook(lorebookId, userId) {
+        const lorebook = await this.dal.lorebooks.getLorebook(lorebookId, userId);
+        if (!lorebook) {
+            throw this.createNotFoundError('Lorebook not found');
+        }
+        return lorebook;
+    }
+
+    async getOwnedCharacter(characterId, userId) {
+        const character = await this.dal.personalities.getCharacter(characterId, userId);
+        if (!character) {
+            throw this.createNotFoundError('Character not found');
+        }
+        return character;
+    }
+}
+
+module.exports = LorebookService;
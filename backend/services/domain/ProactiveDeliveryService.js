@@ -3,6 +3,16 @@
  * ProactiveDeliveryService - Handles actual delivery of proactive messages to frontend
  * Bridges the gap between proactive intelligence decisions and frontend communication
  * 
+ * Delayed messages are stored as jobs in proactive_jobs (dal.proactiveJobs) and
+ * delivered by the SchedulingService worker, so they survive a restart.
+ * 
+ * Messages are checked against the user's quiet hours, do-not-disturb and rate
+ * limits (ProactivePolicyService); a held-back message is scheduled for the next
+ * allowed window instead of being sent or dropped.
+ * 
+ * Immediate and scheduled messages both reach the user through MessageDeliveryService,
+ * which pushes them to users who have neither a WebSocket nor an event stream open.
+ * 
  * FOLLOWS YOUR EXISTING SERVICE PATTERNS:
  * - Extends AbstractService
  * - Uses dependency injection pattern
@@ -21,6 +31,8 @@ class ProactiveDeliveryService extends AbstractService {
         this.dal = null;
         this.proactiveIntelligence = null;
         this.proactiveLearning = null;
+        this.proactivePolicy = null;
+        this.messageDelivery = null;
         this.logger = null;
         this.errorHandler = null;
         
@@ -29,9 +41,6 @@ class ProactiveDeliveryService extends AbstractService {
         
         // Active sessions for message delivery
         this.activeSessions = new Map();
-        
-        // Scheduled message timers
-        this.scheduledMessages = new Map();
     }
 
     /**
@@ -54,6 +63,8 @@ class ProactiveDeliveryService extends AbstractService {
             this.dal = this.dependencies.database?.getDAL();
             this.proactiveIntelligence = this.dependencies.proactiveIntelligence;
             this.proactiveLearning = this.dependencies.proactiveLearning;
+            this.proactivePolicy = this.dependencies.proactivePolicy || null;
+            this.messageDelivery = this.dependencies.messageDelivery || null;
             this.errorHandler = this.dependencies.errorHandling;
             
             // Validate required dependencies
@@ -95,11 +106,25 @@ class ProactiveDeliveryService extends AbstractService {
             const engagementId = await this.proactiveLearning?.recordProactiveDecision(decision, context);
 
             // Determine delivery timing
-            const delaySeconds = this.getDelaySecondsFromTiming(decision.engagement_timing);
+            let delaySeconds = this.getDelaySecondsFromTiming(decision.engagement_timing);
+            let deferral = null;
+
+            if (delaySeconds !== null && this.proactivePolicy) {
+                const plannedAt = new Date(Date.now() + delaySeconds * 1000);
+                const policy = await this.proactivePolicy.evaluate({
+                    userId: context.userId,
+                    personalityId: context.personality.id,
+                    at: plannedAt
+                });
+                if (!policy.allowed) {
+                    deferral = policy;
+                    delaySeconds = Math.max(Math.ceil((policy.deferUntil.getTime() - Date.now()) / 1000), 1);
+                }
+            }
             
             if (delaySeconds === 0) {
                 // Send immediately
-                return await this.deliverProactiveMessage({
+                const messageData = {
                     chatId: context.chatId,
                     userId: context.userId,
                     personalityId: context.personality.id,
@@ -108,10 +133,13 @@ class ProactiveDeliveryService extends AbstractService {
                     trigger: decision.psychological_reasoning,
                     confidence: decision.confidence_score,
                     engagementId
-                });
+                };
+                const delivered = await this.deliverProactiveMessage(messageData);
+                await this.notifyUser(messageData, delivered.messageId);
+                return delivered;
             } else if (delaySeconds > 0) {
-                // Schedule for later delivery
-                return this.scheduleProactiveMessage({
+                // Schedule for later delivery (or for the next allowed window)
+                const scheduled = await this.scheduleProactiveMessage({
                     chatId: context.chatId,
                     userId: context.userId,
                     personalityId: context.personality.id,
@@ -120,8 +148,23 @@ class ProactiveDeliveryService extends AbstractService {
                     trigger: decision.psychological_reasoning,
                     confidence: decision.confidence_score,
                     engagementId,
-                    delaySeconds
+                    delaySeconds,
+                    deferredReason: deferral?.reason
                 });
+
+                if (deferral) {
+                    await this.proactivePolicy.recordSuppression({
+                        userId: context.userId,
+                        engagementId,
+                        personalityId: context.personality.id,
+                        chatId: context.chatId,
+                        jobId: scheduled.scheduleId,
+                        reason: deferral.reason,
+                        deferUntil: deferral.deferUntil
+                    });
+                    return { ...scheduled, deferred: true, reason: deferral.reason };
+                }
+                return scheduled;
             }
 
             return null;
@@ -158,8 +201,10 @@ class ProactiveDeliveryService extends AbstractService {
                     message_type: 'proactive',
                     proactive_trigger: messageData.trigger,
                     confidence_score: messageData.confidence,
-                    engagement_id: messageData.engagementId
-                }
+                    engagement_id: messageData.engagementId,
+                    job_id: messageData.jobId || null
+                },
+                { personalityId: messageData.personalityId }
             );
 
             // Create message object for frontend
@@ -204,62 +249,118 @@ class ProactiveDeliveryService extends AbstractService {
         }
     }
 
+    /**
+     * DOMAIN LAYER: Pass a saved immediate message on to the user's connections
+     * Scheduled jobs take the same route from the SchedulingService worker.
+     */
+    async notifyUser(messageData, messageId) {
+        if (!this.messageDelivery) {
+            return;
+        }
+
+        await this.messageDelivery.deliverMessageToUser(messageData.userId, {
+            id: messageId,
+            type: 'proactive',
+            chatId: messageData.chatId,
+            personalityName: messageData.personalityName,
+            content: messageData.content,
+            metadata: messageData.metadata,
+            engagementId: messageData.engagementId
+        });
+    }
+
     /**
      * DOMAIN LAYER: Schedule proactive message for later delivery
+     * Enqueues a job that the SchedulingService worker delivers once it is due.
      */
-    scheduleProactiveMessage(messageData) {
+    async scheduleProactiveMessage(messageData) {
         this.logger.info('Scheduling proactive message', 'ProactiveDelivery', {
             chatId: messageData.chatId,
             delaySeconds: messageData.delaySeconds,
             personalityName: messageData.personalityName
         });
 
-        const scheduleId = `${messageData.chatId}-${Date.now()}`;
-        
-        const timer = setTimeout(async () => {
-            try {
-                await this.deliverProactiveMessage(messageData);
-                this.scheduledMessages.delete(scheduleId);
-            } catch (error) {
-                this.logger.error('Error delivering scheduled proactive message', 'ProactiveDelivery', {
-                    error: error.message,
-                    scheduleId,
-                    chatId: messageData.chatId
-                });
-                this.scheduledMessages.delete(scheduleId);
-            }
-        }, messageData.delaySeconds * 1000);
+        try {
+            const willDeliverAt = new Date(Date.now() + (messageData.delaySeconds * 1000));
+            const job = await this.dal.proactiveJobs.enqueue({
+                userId: messageData.userId,
+                chatId: messageData.chatId,
+                personalityId: messageData.personalityId,
+                engagementId: messageData.engagementId,
+                runAt: willDeliverAt,
+                deferredReason: messageData.deferredReason,
+                payload: {
+                    personalityName: messageData.personalityName,
+                    content: messageData.content,
+                    trigger: messageData.trigger,
+                    confidence: messageData.confidence,
+                    metadata: messageData.metadata || {}
+                }
+            });
 
-        // Store timer reference for potential cancellation
-        this.scheduledMessages.set(scheduleId, {
-            timer,
-            messageData,
-            scheduledAt: new Date()
-        });
+            this.logger.info('Proactive message scheduled', 'ProactiveDelivery', {
+                scheduleId: job.id,
+                chatId: messageData.chatId,
+                willDeliverAt
+            });
 
-        this.logger.info('Proactive message scheduled', 'ProactiveDelivery', {
-            scheduleId,
-            chatId: messageData.chatId,
-            willDeliverAt: new Date(Date.now() + (messageData.delaySeconds * 1000))
-        });
+            return {
+                scheduleId: job.id,
+                scheduled: true,
+                delaySeconds: messageData.delaySeconds,
+                willDeliverAt
+            };
+        } catch (error) {
+            throw this.errorHandler?.wrapDomainError(error,
+                'Failed to schedule proactive message') || error;
+        }
+    }
 
-        return {
-            scheduleId,
-            scheduled: true,
-            delaySeconds: messageData.delaySeconds,
-            willDeliverAt: new Date(Date.now() + (messageData.delaySeconds * 1000))
+    /**
+     * DOMAIN LAYER: Deliver a claimed proactive job (called by the SchedulingService worker)
+     * A job re-run after a crash finds the message it already saved and does not save it again.
+     */
+    async deliverScheduledJob(job) {
+        const payload = job.payload || {};
+        const messageData = {
+            chatId: job.chat_id,
+            userId: job.user_id,
+            personalityId: job.personality_id,
+            personalityName: payload.personalityName,
+            content: payload.content,
+            trigger: payload.trigger,
+            confidence: payload.confidence,
+            engagementId: job.engagement_id,
+            jobId: job.id
         };
+
+        const existingMessageId = await this.dal.proactiveJobs.getDeliveredMessageId(job.id, job.chat_id);
+        if (existingMessageId) {
+            this.logger.info('Scheduled proactive message already saved', 'ProactiveDelivery', {
+                jobId: job.id,
+                messageId: existingMessageId
+            });
+            return { messageId: existingMessageId, delivered: true, duplicate: true, message: null };
+        }
+
+        return await this.deliverProactiveMessage(messageData);
     }
 
     /**
      * DOMAIN LAYER: Register session for real-time message delivery
-     * Frontend connections can register to receive proactive messages
+     * Frontend connections can register to receive proactive messages; with a userId the
+     * user counts as connected (no push notifications) until the session is cleaned up.
      */
-    registerSession(chatId, deliveryCallback) {
+    registerSession(chatId, deliveryCallback, userId = null) {
         this.logger.info('Registering session for proactive delivery', 'ProactiveDelivery', {
-            chatId
+            chatId,
+            userId
         });
 
+        const unregisterListener = userId && this.messageDelivery
+            ? this.messageDelivery.registerListener(userId)
+            : null;
+
         this.activeSessions.set(chatId, {
             callback: deliveryCallback,
             registeredAt: new Date()
@@ -285,6 +386,9 @@ class ProactiveDeliveryService extends AbstractService {
         return () => {
             this.activeSessions.delete(chatId);
             this.messageEmitter.removeListener('proactive-message', messageHandler);
+            if (unregisterListener) {
+                unregisterListener();
+            }
             this.logger.info('Unregistered session from proactive delivery', 'ProactiveDelivery', {
                 chatId
             });
@@ -293,21 +397,16 @@ class ProactiveDeliveryService extends AbstractService {
 
     /**
      * DOMAIN LAYER: Cancel scheduled proactive message
+     * @returns {Promise<boolean>} false when the job already ran or does not exist
      */
-    cancelScheduledMessage(scheduleId) {
-        const scheduled = this.scheduledMessages.get(scheduleId);
-        if (scheduled) {
-            clearTimeout(scheduled.timer);
-            this.scheduledMessages.delete(scheduleId);
-            
+    async cancelScheduledMessage(scheduleId) {
+        const cancelled = await this.dal.proactiveJobs.cancel(scheduleId);
+        if (cancelled) {
             this.logger.info('Cancelled scheduled proactive message', 'ProactiveDelivery', {
-                scheduleId,
-                chatId: scheduled.messageData.chatId
+                scheduleId
             });
-            
-            return true;
         }
-        return false;
+        return cancelled;
     }
 
     /**
@@ -332,21 +431,21 @@ class ProactiveDeliveryService extends AbstractService {
     async getDeliveryAnalytics(chatId = null) {
         try {
             const activeSessionCount = this.activeSessions.size;
-            const scheduledMessageCount = this.scheduledMessages.size;
-            
-            const scheduledMessages = Array.from(this.scheduledMessages.entries()).map(([id, data]) => ({
-                scheduleId: id,
-                chatId: data.messageData?.chatId || 'unknown',
-                scheduledAt: data.scheduledAt,
-                content: (data.messageData?.content || '').substring(0, 50) + '...'
+            const jobs = await this.dal.proactiveJobs.getPendingJobs({ chatId });
+
+            const scheduledMessages = jobs.map(job => ({
+                scheduleId: job.id,
+                chatId: job.chat_id || 'unknown',
+                scheduledAt: job.created_at,
+                willDeliverAt: job.run_at,
+                attempts: job.attempts,
+                content: (job.payload?.content || '').substring(0, 50) + '...'
             }));
 
             return {
                 activeSessionCount,
-                scheduledMessageCount,
-                scheduledMessages: chatId 
-                    ? scheduledMessages.filter(msg => msg.chatId === chatId)
-                    : scheduledMessages
+                scheduledMessageCount: scheduledMessages.length,
+                scheduledMessages
             };
 
         } catch (error) {
@@ -376,17 +475,11 @@ class ProactiveDeliveryService extends AbstractService {
     }
 
     /**
-     * CLEANUP: Clear all scheduled messages and sessions
+     * CLEANUP: Clear sessions (scheduled jobs stay queued in the database)
      */
     async cleanup() {
         this.logger.info('Cleaning up ProactiveDeliveryService', 'ProactiveDelivery');
         
-        // Clear all scheduled timers
-        for (const [scheduleId, scheduled] of this.scheduledMessages) {
-            clearTimeout(scheduled.timer);
-        }
-        this.scheduledMessages.clear();
-        
         // Clear active sessions
         this.activeSessions.clear();
         
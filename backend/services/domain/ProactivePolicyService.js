@@ -0,0 +1,275 @@
+const AbstractService = require('../base/CORE_AbstractService');
+const DateTimeUtils = require('../../utils/datetime_utils');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * ProactivePolicyService
+ * Decides when a proactive message may be sent, from the user's settings
+ * (dal.proactiveSettings).
+ *
+ * - Quiet hours: a daily window on the user's clock (may span midnight)
+ * - Do-not-disturb: no messages until it is turned off or dnd_until passes
+ * - Daily cap: proactive messages per character per local day
+ * - Cool-down: no messages from any character for a while after a proactive
+ *   message the user has not answered
+ *
+ * A held-back message is not dropped: evaluate returns the start of the next
+ * allowed window and the caller schedules or defers the job until then. Each
+ * suppression is logged to proactive_engagement_history.
+ */
+class ProactivePolicyService extends AbstractService {
+    constructor(dependencies) {
+        super('ProactivePolicyService', dependencies);
+        this.logger = dependencies.logger;
+        this.errorHandler = dependencies.errorHandling;
+        this.database = dependencies.database;
+        this.dal = this.database.getDAL();
+    }
+
+    /**
+     * Upper bounds accepted by updateSettings
+     */
+    static get LIMITS() {
+        return { dailyCap: 50, cooldownMinutes: 24 * 60 };
+    }
+
+    /**
+     * How long an open-ended do-not-disturb holds a message before checking again
+     */
+    static get DND_RECHECK_MS() {
+        return 24 * 60 * 60 * 1000;
+    }
+
+    async onInitialize() {
+        this.logger.info('ProactivePolicyService initialized', 'ProactivePolicyService');
+    }
+
+    /**
+     * The user's settings
+     * @returns {Promise<Object>} { quietHours: { enabled, start, end }, doNotDisturb: { enabled, until }, dailyCap, cooldownMinutes }
+     */
+    async getSettings(userId) {
+        try {
+            return this.toSettings(await this.dal.proactiveSettings.getSettings(userId));
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to get proactive settings', { userId });
+        }
+    }
+
+    /**
+     * Change some of the user's settings (same shape as getSettings)
+     * Deferred messages are brought forward so they are checked against the new settings.
+     */
+    async updateSettings(userId, data = {}) {
+        try {
+            const columns = {};
+            const { quietHours, doNotDisturb, dailyCap, cooldownMinutes } = data || {};
+
+            if (quietHours) {
+                if (quietHours.enabled !== undefined) columns.quiet_hours_enabled = quietHours.enabled ? 1 : 0;
+                for (const key of ['start', 'end']) {
+                    if (quietHours[key] === undefined) continue;
+                    if (!TIME_PATTERN.test(quietHours[key])) {
+                        throw this.createValidationError(`quietHours.${key} must be a time in HH:MM format`);
+                    }
+                    columns[`quiet_hours_${key}`] = quietHours[key];
+                }
+            }
+
+            if (doNotDisturb) {
+                if (doNotDisturb.enabled !== undefined) columns.dnd_enabled = doNotDisturb.enabled ? 1 : 0;
+                if (doNotDisturb.until !== undefined) {
+                    const until = doNotDisturb.until ? new Date(doNotDisturb.until) : null;
+                    if (until && isNaN(until.getTime())) {
+                        throw this.createValidationError('doNotDisturb.until must be an ISO 8601 date/time or null');
+                    }
+                    columns.dnd_until = until ? until.toISOString() : null;
+                }
+            }
+
+            if (dailyCap !== undefined) {
+                columns.daily_cap = this.validateCount(dailyCap, 'dailyCap', ProactivePolicyService.LIMITS.dailyCap);
+            }
+            if (cooldownMinutes !== undefined) {
+                columns.cooldown_minutes = this.validateCount(cooldownMinutes, 'cooldownMinutes', ProactivePolicyService.LIMITS.cooldownMinutes);
+            }
+
+            const saved = await this.dal.proactiveSettings.saveSettings(userId, columns);
+            const released = await this.dal.proactiveJobs.releaseDeferred(userId);
+
+            this.logger.info('Proactive settings updated', 'ProactivePolicyService', { userId, released });
+            return this.toSettings(saved);
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to update proactive settings', { userId });
+        }
+    }
+
+    /**
+     * Whether a character may send the user a proactive message at a time
+     * @param {Object} request - { userId, personalityId, at }
+     * @returns {Promise<Object>} { allowed: true } or { allowed: false, reason, deferUntil }
+     *   reason is the first limit that applied: 'dnd', 'quiet_hours', 'cooldown' or 'daily_cap'
+     */
+    async evaluate({ userId, personalityId, at = new Date() }) {
+        try {
+            const settings = await this.dal.proactiveSettings.getSettings(userId);
+            const { timeZone } = DateTimeUtils.getUserContext(await this.dal.users.getTimeSettings(userId));
+            const lastMessage = settings.cooldown_minutes > 0
+                ? await this.dal.proactiveSettings.getLastProactiveMessage(userId)
+                : null;
+
+            let candidate = new Date(at);
+            let reason = null;
+
+            // Moving past one limit can land in another (cool-down ending in quiet hours)
+            for (let step = 0; step < 8; step++) {
+                const block = await this.findBlock(settings, { userId, personalityId, timeZone, lastMessage }, candidate);
+                if (!block) {
+                    break;
+                }
+                reason = reason || block.reason;
+                candidate = block.until;
+            }
+
+            return reason ? { allowed: false, reason, deferUntil: candidate } : { allowed: true };
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to evaluate proactive policy', { userId, personalityId });
+        }
+    }
+
+    /**
+     * The first limit that holds a message back at a time, with when it ends
+     * @returns {Promise<Object|null>} { reason, until }
+     */
+    async findBlock(settings, { userId, personalityId, timeZone, lastMessage }, at) {
+        if (settings.dnd_enabled) {
+            const dndUntil = settings.dnd_until ? new Date(settings.dnd_until) : null;
+            if (!dndUntil || at < dndUntil) {
+                return { reason: 'dnd', until: dndUntil || new Date(at.getTime() + ProactivePolicyService.DND_RECHECK_MS) };
+            }
+        }
+
+        if (settings.quiet_hours_enabled) {
+            const quietUntil = this.getQuietHoursEnd(settings.quiet_hours_start, settings.quiet_hours_end, at, timeZone);
+            if (quietUntil) {
+                return { reason: 'quiet_hours', until: quietUntil };
+            }
+        }
+
+        if (lastMessage && !lastMessage.answered) {
+            const cooldownUntil = new Date(new Date(lastMessage.sent_at).getTime() + settings.cooldown_minutes * 60 * 1000);
+            if (at < cooldownUntil) {
+                return { reason: 'cooldown', until: cooldownUntil };
+            }
+        }
+
+        if (settings.daily_cap > 0 && personalityId) {
+            const parts = DateTimeUtils.getZonedParts(at, timeZone);
+            const dayStart = DateTimeUtils.zonedTimeToUtc({ ...parts, hour: 0, minute: 0, second: 0 }, timeZone);
+            const nextDay = DateTimeUtils.zonedTimeToUtc({ ...parts, day: parts.day + 1, hour: 0, minute: 0, second: 0 }, timeZone);
+            const sent = await this.dal.proactiveSettings.countProactiveMessages(userId, personalityId, dayStart, nextDay);
+            if (sent >= settings.daily_cap) {
+                return { reason: 'daily_cap', until: nextDay };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * End of the quiet-hours window a time falls in, null when it is outside
+     * @param {string} start - HH:MM; a start after the end spans midnight
+     * @param {string} end - HH:MM
+     */
+    getQuietHoursEnd(start, end, at, timeZone) {
+        const toMinutes = value => {
+            const [hour, minute] = value.split(':').map(Number);
+            return hour * 60 + minute;
+        };
+        const from = toMinutes(start);
+        const to = toMinutes(end);
+        if (from === to) {
+            return null;
+        }
+
+        const parts = DateTimeUtils.getZonedParts(at, timeZone);
+        const now = parts.hour * 60 + parts.minute;
+        const inWindow = from < to ? now >= from && now < to : now >= from || now < to;
+        if (!inWindow) {
+            return null;
+        }
+
+        // A window spanning midnight that started today ends tomorrow
+        const day = from > to && now >= from ? parts.day + 1 : parts.day;
+        return DateTimeUtils.zonedTimeToUtc({ ...parts, day, hour: Math.floor(to / 60), minute: to % 60, second: 0 }, timeZone);
+    }
+
+    /**
+     * Log a held-back message to its engagement's history
+     * Failures are logged, not thrown: the message is deferred either way.
+     * @param {Object} suppression - { userId, engagementId, personalityId, chatId, jobId, reason, deferUntil }
+     */
+    async recordSuppression({ userId, engagementId, personalityId, chatId, jobId = null, reason, deferUntil }) {
+        const details = {
+            deferred_until: new Date(deferUntil).toISOString(),
+            personality_id: personalityId || null,
+            chat_id: chatId || null,
+            job_id: jobId
+        };
+        this.logger.info('Proactive message deferred', 'ProactivePolicyService', { userId, engagementId, reason, ...details });
+
+        if (!engagementId) {
+            return null;
+        }
+        try {
+            return await this.dal.proactiveSettings.recordSuppression({ userId, engagementId, reason, details });
+        } catch (error) {
+            this.logger.error('Failed to record proactive suppression', 'ProactivePolicyService', {
+                userId,
+                engagementId,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * The user's latest suppressions, newest first
+     */
+    async getSuppressions(userId, limit = 20) {
+        try {
+            return await this.dal.proactiveSettings.getSuppressions(userId, limit);
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to get proactive suppressions', { userId });
+        }
+    }
+
+    /**
+     * Map a settings row onto the API shape
+     */
+    toSettings(row) {
+        return {
+            quietHours: {
+                enabled: Boolean(row.quiet_hours_enabled),
+                start: row.quiet_hours_start,
+                end: row.quiet_hours_end
+            },
+            doNotDisturb: {
+                enabled: Boolean(row.dnd_enabled),
+                until: row.dnd_until || null
+            },
+            dailyCap: row.daily_cap,
+            cooldownMinutes: row.cooldown_minutes
+        };
+    }
+
+    validateCount(value, name, max) {
+        if (!Number.isInteger(value) || value < 0 || value > max) {
+            throw this.createValidationError(`${name} must be a whole number from 0 to ${max}`);
+        }
+        return value;
+    }
+}
+
+module.exports = ProactivePolicyService;
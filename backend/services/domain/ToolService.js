@@ -0,0 +1,331 @@
+const AbstractService = require('../base/CORE_AbstractService');
+const DateTimeUtils = require('../../utils/datetime_utils');
+const RecurrenceRules = require('../../utils/recurrence_rules');
+
+/**
+ * ToolService
+ * Tools a character can call during a conversation, advertised to the LLM in
+ * OpenAI `tools` format and executed against the existing repositories.
+ *
+ * Tools:
+ * - create_commitment: assign the user a task/commitment
+ * - schedule_event: schedule a one-off or recurring event
+ * - search_memory: search earlier conversations (character's memory scope)
+ * - get_datetime: current date and time
+ *
+ * Each character has a tool allowlist (personalities.tool_allowlist, a JSON
+ * array of tool names); NULL means all tools, [] disables tool calling.
+ */
+class ToolService extends AbstractService {
+    constructor(dependencies) {
+        super('ToolService', dependencies);
+        this.logger = dependencies.logger;
+        this.errorHandler = dependencies.errorHandling;
+        this.database = dependencies.database;
+        this.dal = this.database.getDAL();
+        this.memorySearch = dependencies.memorySearch || null;
+
+        // Tool settings
+        this.memoryResultLimit = 5;          // memories returned by search_memory
+        this.memorySignificanceThreshold = 5; // lower than deep search: the model asked explicitly
+
+        this.handlers = {
+            create_commitment: this.createCommitment.bind(this),
+            schedule_event: this.scheduleEvent.bind(this),
+            search_memory: this.searchMemory.bind(this),
+            get_datetime: this.getDateTime.bind(this)
+        };
+    }
+
+    /**
+     * Names of all available tools
+     */
+    static get TOOL_NAMES() {
+        return Object.keys(ToolService.TOOL_DEFINITIONS);
+    }
+
+    /**
+     * Tool descriptions and JSON Schema parameters, keyed by tool name
+     */
+    static get TOOL_DEFINITIONS() {
+        return {
+            create_commitment: {
+                description: 'Assign the user a commitment or task you will follow up on (homework, exercise, a promise to do something).',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        description: { type: 'string', description: 'What the user committed to do' },
+                        commitment_type: { type: 'string', description: 'Kind of commitment, e.g. task, habit, goal, promise' },
+                        due_at: { type: 'string', description: 'Due date/time as ISO 8601, if there is one' },
+                        character_notes: { type: 'string', description: 'Private notes for following up' }
+                    },
+                    required: ['description']
+                }
+            },
+            schedule_event: {
+                description: 'Schedule an event or reminder at a specific time, optionally recurring.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        title: { type: 'string', description: 'Short event title' },
+                        description: { type: 'string', description: 'Event details' },
+                        starts_at: { type: 'string', description: 'Start date/time as ISO 8601' },
+                        recurrence_type: {
+                            type: 'string',
+                            enum: ['once', 'daily', 'weekly', 'monthly', 'yearly'],
+                            description: 'How often the event repeats (default once)'
+                        },
+                        rrule: {
+                            type: 'string',
+                            description: 'RFC 5545 recurrence rule for other patterns, e.g. FREQ=WEEKLY;BYDAY=MO,WE,FR or FREQ=MONTHLY;BYDAY=-1FR'
+                        }
+                    },
+                    required: ['title', 'starts_at']
+                }
+            },
+            search_memory: {
+                description: 'Search earlier conversations with the user for something they told you.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        query: { type: 'string', description: 'What to look for' }
+                    },
+                    required: ['query']
+                }
+            },
+            get_datetime: {
+                description: 'Get the current date and time.',
+                parameters: { type: 'object', properties: {} }
+            }
+        };
+    }
+
+    async onInitialize() {
+        this.logger.info('ToolService initialized', 'ToolService');
+    }
+
+    /**
+     * Tool names a character may use
+     * @param {Object} character - Personality row (tool_allowlist is a JSON array, array or null)
+     * @returns {Array<string>} Allowed tool names
+     */
+    getAllowedTools(character) {
+        let allowlist = character?.tool_allowlist;
+        if (allowlist === undefined || allowlist === null || allowlist === '') {
+            return ToolService.TOOL_NAMES;
+        }
+
+        if (typeof allowlist === 'string') {
+            try {
+                allowlist = JSON.parse(allowlist);
+            } catch (error) {
+                this.logger.warn('Invalid tool allowlist, disabling tools', 'ToolService', {
+                    characterId: character?.id
+                });
+                return [];
+            }
+        }
+
+        return Array.isArray(allowlist)
+            ? allowlist.filter(name => ToolService.TOOL_NAMES.includes(name))
+            : [];
+    }
+
+    /**
+     * Tool definitions in OpenAI `tools` format
+     * @param {Array<string>} toolNames - Tools to include (defaults to all)
+     * @returns {Array} [{ type: 'function', function: { name, description, parameters } }]
+     */
+    getToolDefinitions(toolNames = ToolService.TOOL_NAMES) {
+        const definitions = ToolService.TOOL_DEFINITIONS;
+        return toolNames
+            .filter(name => definitions[name])
+            .map(name => ({
+                type: 'function',
+                function: { name, ...definitions[name] }
+            }));
+    }
+
+    /**
+     * Create an executor bound to one conversation, for LLMService's tool loop
+     * @param {Object} context - { userId, chatId, characterId, memoryScope, allowedTools, timeContext }
+     * @returns {Function} async (toolCall) => result
+     */
+    createExecutor(context) {
+        return (toolCall) => this.executeToolCall(toolCall, context);
+    }
+
+    /**
+     * Run one tool call
+     * Errors are returned to the model as { error } instead of failing the reply.
+     * @param {Object} toolCall - { id, name, arguments }
+     * @param {Object} context - { userId, chatId, characterId, memoryScope, allowedTools, timeContext }
+     * @returns {Promise<Object>} Tool result
+     */
+    async executeToolCall(toolCall, context = {}) {
+        const { name } = toolCall;
+        const allowedTools = context.allowedTools || ToolService.TOOL_NAMES;
+
+        if (!this.handlers[name] || !allowedTools.includes(name)) {
+            this.logger.warn('Rejected call to unavailable tool', 'ToolService', {
+                tool: name,
+                characterId: context.characterId
+            });
+            return { error: `Tool '${name}' is not available` };
+        }
+
+        try {
+            const result = await this.handlers[name](toolCall.arguments || {}, context);
+            this.logger.info('Tool call executed', 'ToolService', {
+                tool: name,
+                chatId: context.chatId,
+                characterId: context.characterId
+            });
+            return result;
+        } catch (error) {
+            this.logger.warn('Tool call failed', 'ToolService', {
+                tool: name,
+                chatId: context.chatId,
+                error: error.message
+            });
+            return { error: error.message };
+        }
+    }
+
+    /**
+     * create_commitment
+     */
+    async createCommitment(args, context) {
+        if (!args.description || typeof args.description !== 'string') {
+            throw new Error('description is required');
+        }
+        const dueAt = args.due_at ? this.parseDate(args.due_at, 'due_at') : null;
+
+        const commitment = await this.dal.commitments.createCommitment({
+            user_id: context.userId,
+            chat_id: context.chatId,
+            character_id: context.characterId,
+            description: args.description.trim(),
+            commitment_type: args.commitment_type || 'task',
+            character_notes: args.character_notes || null,
+            due_at: dueAt,
+            status: 'active'
+        });
+
+        return {
+            created: true,
+            commitment_id: commitment?.id || null,
+            description: args.description.trim(),
+            due_at: dueAt
+        };
+    }
+
+    /**
+     * schedule_event
+     */
+    async scheduleEvent(args, context) {
+        if (!args.title || typeof args.title !== 'string') {
+            throw new Error('title is required');
+        }
+        const startsAt = this.parseDate(args.starts_at, 'starts_at');
+        let rrule = null;
+        if (args.rrule) {
+            try {
+                rrule = RecurrenceRules.normalize(String(args.rrule).replace(/^RRULE:/i, ''));
+            } catch (error) {
+                throw new Error(`Invalid rrule: ${error.message}`);
+            }
+        }
+        const recurrenceType = rrule ? RecurrenceRules.getRecurrenceType(rrule) : (args.recurrence_type || 'once');
+        if (!['once', 'daily', 'weekly', 'monthly', 'yearly'].includes(recurrenceType)) {
+            throw new Error(`Invalid recurrence_type: ${recurrenceType}`);
+        }
+
+        // Daily events repeat at the start time on the user's clock (the repository defaults to midnight)
+        const start = DateTimeUtils.getZonedParts(new Date(startsAt), DateTimeUtils.getUserContext(context.timeContext).timeZone);
+        const recurrenceData = recurrenceType === 'daily' && !rrule
+            ? { time: `${String(start.hour).padStart(2, '0')}:${String(start.minute).padStart(2, '0')}` }
+            : {};
+
+        const eventId = require('uuid').v4();
+        await this.dal.events.createEvent({
+            id: eventId,
+            user_id: context.userId,
+            chat_id: context.chatId,
+            character_id: context.characterId,
+            title: args.title.trim(),
+            description: args.description || '',
+            recurrence_type: recurrenceType,
+            recurrence_data: JSON.stringify(recurrenceData),
+            rrule,
+            starts_at: startsAt,
+            is_active: 1,
+            status: 'scheduled'
+        }, context.timeContext);
+
+        return {
+            scheduled: true,
+            event_id: eventId,
+            title: args.title.trim(),
+            starts_at: startsAt,
+            recurrence_type: recurrenceType,
+            ...(rrule && { rrule })
+        };
+    }
+
+    /**
+     * search_memory
+     */
+    async searchMemory(args, context) {
+        if (!args.query || typeof args.query !== 'string') {
+            throw new Error('query is required');
+        }
+        if (!this.memorySearch) {
+            throw new Error('Memory search is not available');
+        }
+
+        const memories = await this.memorySearch.searchMemories(context.chatId, args.query, context.userId, {
+            memoryScope: context.memoryScope,
+            characterId: context.characterId,
+            significanceThreshold: this.memorySignificanceThreshold,
+            limit: this.memoryResultLimit
+        });
+
+        return {
+            query: args.query,
+            memories: memories.map(memory => ({
+                content: memory.content,
+                role: memory.role || memory.sender || null,
+                timestamp: memory.timestamp || null
+            }))
+        };
+    }
+
+    /**
+     * get_datetime (in the user's time zone and locale)
+     */
+    async getDateTime(args, context = {}) {
+        const now = new Date();
+        const { timeZone, locale } = DateTimeUtils.getUserContext(context.timeContext);
+        return {
+            iso: DateTimeUtils.getISOString(now),
+            date: DateTimeUtils.getLocalDateString(now, { timeZone }),
+            time: DateTimeUtils.getLocalTimeString(now, { timeZone, locale }),
+            weekday: now.toLocaleDateString(locale, { weekday: 'long', timeZone }),
+            timezone: timeZone
+        };
+    }
+
+    /**
+     * Validate an ISO date argument and normalize it to UTC ISO
+     */
+    parseDate(value, field) {
+        const date = value ? new Date(value) : null;
+        if (!date || isNaN(date.getTime())) {
+            throw new Error(`${field} must be an ISO 8601 date/time`);
+        }
+        return date.toISOString();
+    }
+}
+
+module.exports = ToolService;
@@ -183,7 +183,8 @@ class AuthService extends AbstractService {
                     displayName: session.display_name,
                     email: session.email
                 },
-                chatId: session.session_id
+                chatId: session.session_id,
+                expiresAt: session.expires_at
             };
         } catch (error) {
             this.logger.warn('Session validation failed', 'AuthService', { error: error.message });
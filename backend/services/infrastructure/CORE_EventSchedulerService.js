@@ -3,6 +3,7 @@
  * CLEAN ARCHITECTURE: Infrastructure layer service
  */
 const AbstractService = require('../base/CORE_AbstractService');
+const DateTimeUtils = require('../../utils/datetime_utils');
 
 class EventSchedulerService extends AbstractService {
     constructor(dependencies) {
@@ -11,6 +12,7 @@ class EventSchedulerService extends AbstractService {
         this.logger = dependencies.logger;
         this.errorHandler = dependencies.errorHandling;
         this.proactiveIntelligence = dependencies.proactiveIntelligence;
+        this.messageDelivery = dependencies.messageDelivery;
         this.pollingInterval = null;
         this.isPolling = false;
         this.pollIntervalMs = 60000; // 1 minute
@@ -138,8 +140,25 @@ class EventSchedulerService extends AbstractService {
             // Notify ProactiveIntelligenceService about event
             await this.proactiveIntelligence.triggerEventNotification(event);
 
-            // Calculate next occurrence
-            const nextOccurrence = await this.dal.events.calculateNextOccurrence(event);
+            // Push the event to the user's open clients (logged for replay while offline)
+            if (this.messageDelivery) {
+                await this.messageDelivery.deliverMessageToUser(event.user_id, {
+                    type: 'event',
+                    eventId: event.id,
+                    chatId: event.chat_id,
+                    characterId: event.character_id,
+                    title: event.title,
+                    description: event.description || null,
+                    occurrence: event.next_occurrence,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            // Calculate next occurrence on the owner's clock
+            const nextOccurrence = await this.dal.events.calculateNextOccurrence(
+                event,
+                DateTimeUtils.getUserContext({ timezone: event.user_timezone, locale: event.user_locale })
+            );
 
             const now = new Date().toISOString();
 
@@ -260,6 +260,180 @@ class CORE_LLMConfigService extends AbstractService {
         }
     }
     
+    /**
+     * Resolves the embedding model configuration (user → global cascade)
+     * Endpoint defaults to the /embeddings sibling of the chat completions endpoint
+     * @param {number} userId - The user ID
+     * @returns {Promise<Object>} { provider, endpoint, model, dimensions, api_key }
+     */
+    async resolveEmbeddingConfig(userId) {
+        try {
+            const chatEndpoint = process.env.LLM_ENDPOINT || 'http://localhost:1234/v1/chat/completions';
+            const defaults = {
+                provider: process.env.EMBEDDING_PROVIDER || 'openai',
+                endpoint: process.env.EMBEDDING_ENDPOINT || chatEndpoint.replace('/chat/completions', '/embeddings'),
+                model: process.env.EMBEDDING_MODEL || 'text-embedding-nomic-embed-text-v1.5',
+                dimensions: null,
+                api_key: process.env.EMBEDDING_API_KEY || null
+            };
+
+            if (userId) {
+                const userPrefs = await this.getUserLLMPreferences(userId);
+                if (userPrefs && userPrefs.embedding && userPrefs.embedding.model) {
+                    this.logger.debug('Resolved embedding config from USER preferences', 'LLMConfig', {
+                        userId,
+                        model: userPrefs.embedding.model
+                    });
+                    return { ...defaults, ...userPrefs.embedding };
+                }
+            }
+
+            const globalConfig = await this.dal.configuration.getConfigValue('llm_embedding_model');
+            if (globalConfig && globalConfig.model) {
+                return { ...defaults, ...globalConfig };
+            }
+
+            return defaults;
+        } catch (error) {
+            throw this.errorHandler.wrapDomainError(error, 'Failed to resolve embedding config', { userId });
+        }
+    }
+
+    /**
+     * Resolves the ordered failover chain for a role
+     * The first entry is the cascade result of resolveModelConfig; after it come the
+     * resolved config's own `fallbacks` and then the global 'llm_fallbacks' chain for
+     * the role ({ conversational: [...], analytical: [...] }). Each fallback is an
+     * endpoint/model pair { provider, model } and inherits temperature/max_tokens
+     * from the primary config unless it sets its own.
+     * @param {number} userId - The user ID
+     * @param {number} characterId - The character ID (optional for analytical)
+     * @param {string} role - 'conversational' or 'analytical'
+     * @returns {Promise<Array>} [{ provider, model, temperature, max_tokens, ... }] (empty if no model)
+     */
+    async resolveModelChain(userId, characterId, role) {
+        try {
+            const primary = await this.resolveModelConfig(userId, characterId, role);
+            if (!primary || !primary.model) {
+                return [];
+            }
+
+            const { fallbacks = [], ...primaryConfig } = primary;
+            const globalFallbacks = await this.dal.configuration.getConfigValue('llm_fallbacks');
+            const roleFallbacks = globalFallbacks && Array.isArray(globalFallbacks[role]) ? globalFallbacks[role] : [];
+
+            const chain = [{ ...primaryConfig, provider: primaryConfig.provider || 'default' }];
+            const seen = new Set([`${chain[0].provider}|${chain[0].model}`]);
+
+            for (const fallback of [...(Array.isArray(fallbacks) ? fallbacks : []), ...roleFallbacks]) {
+                if (!fallback || !fallback.model) {
+                    continue;
+                }
+
+                const entry = {
+                    temperature: primaryConfig.temperature,
+                    max_tokens: primaryConfig.max_tokens,
+                    context_window_messages: primaryConfig.context_window_messages,
+                    ...fallback,
+                    provider: fallback.provider || 'default'
+                };
+                const key = `${entry.provider}|${entry.model}`;
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    chain.push(entry);
+                }
+            }
+
+            return chain;
+        } catch (error) {
+            throw this.errorHandler.wrapDomainError(error, 'Failed to resolve model chain', { userId, characterId, role });
+        }
+    }
+
+    /**
+     * Gets the named LLM providers from the 'llm_providers' configuration
+     * Shape: { "<name>": { type: 'openai'|'ollama'|'anthropic', endpoint, api_key?, api_key_env? } }
+     * Model configs (global/user/character, per role) pick one with `provider: "<name>"`;
+     * without it the 'default' provider (LLM_ENDPOINT) is used.
+     * @returns {Promise<Object>} Provider configs keyed by name
+     */
+    async getProviderConfigs() {
+        try {
+            const providers = await this.dal.configuration.getConfigValue('llm_providers');
+            if (!providers || typeof providers !== 'object' || Array.isArray(providers)) {
+                return {};
+            }
+            return providers;
+        } catch (error) {
+            throw this.errorHandler.wrapDomainError(error, 'Failed to get LLM providers', {});
+        }
+    }
+
+    /**
+     * Gets one named provider config
+     * @param {string} name - Provider name
+     * @returns {Promise<Object>} Provider config
+     */
+    async getProviderConfig(name) {
+        const providers = await this.getProviderConfigs();
+        if (!providers[name]) {
+            throw new Error(`Unknown LLM provider: ${name}`);
+        }
+        return providers[name];
+    }
+
+    /**
+     * Lists configured providers without credentials (for the settings API)
+     * @returns {Promise<Array>} [{ name, type, endpoint, hasApiKey }]
+     */
+    async listProviders() {
+        const providers = await this.getProviderConfigs();
+        return Object.entries(providers).map(([name, config]) => ({
+            name,
+            type: config.type || 'openai',
+            endpoint: config.endpoint || null,
+            hasApiKey: !!(config.api_key || (config.api_key_env && process.env[config.api_key_env]))
+        }));
+    }
+
+    /**
+     * Resolves the prompt token budget for a conversation
+     * Context length cascade: resolved model config (context_length) → global 'llm_context_length'
+     * → LLM_CONTEXT_LENGTH env → 8192. Part of it is reserved for the reply (max_tokens, at most half).
+     * @param {number} userId - The user ID
+     * @param {number} characterId - The character ID
+     * @param {string} role - 'conversational' or 'analytical'
+     * @returns {Promise<Object>} { model, contextLength, responseReserve, promptTokens, sectionPriority }
+     */
+    async resolvePromptBudget(userId, characterId, role = 'conversational') {
+        try {
+            const modelConfig = await this.resolveModelConfig(userId, characterId, role) || {};
+            const globalContextLength = await this.dal.configuration.getConfigValue('llm_context_length');
+
+            const contextLength = parseInt(modelConfig.context_length, 10)
+                || parseInt(globalContextLength, 10)
+                || parseInt(process.env.LLM_CONTEXT_LENGTH, 10)
+                || 8192;
+            const responseReserve = Math.min(
+                parseInt(modelConfig.max_tokens, 10) || 1024,
+                Math.floor(contextLength / 2)
+            );
+
+            // Optional override of PromptAssembler.DEFAULT_PRIORITY (most important first)
+            const sectionPriority = await this.dal.configuration.getConfigValue('prompt_section_priority');
+
+            return {
+                model: modelConfig.model,
+                contextLength,
+                responseReserve,
+                promptTokens: contextLength - responseReserve,
+                sectionPriority: Array.isArray(sectionPriority) ? sectionPriority : null
+            };
+        } catch (error) {
+            throw this.errorHandler.wrapDomainError(error, 'Failed to resolve prompt budget', { userId, characterId, role });
+        }
+    }
+
     /**
      * Sets global LLM configuration
      * @param {string} key - Configuration key
@@ -11,6 +11,7 @@
  */
 
 const AbstractService = require('../base/CORE_AbstractService');
+const { v4: uuidv4 } = require('uuid');
 
 class MessageDeliveryService extends AbstractService {
     constructor(dependencies) {
@@ -19,10 +20,34 @@ class MessageDeliveryService extends AbstractService {
         this.dal = dependencies.database.getDAL();
         this.logger = dependencies.logger;
         this.errorHandler = dependencies.errorHandling;
-        this.llm = dependencies.llm;
+        this.pushNotification = dependencies.pushNotification || null;
         
-        // Map of userId -> WebSocket connection
+        // Map of userId -> Set of WebSocket connections (one per tab/device)
         this.connections = new Map();
+
+        // Map of userId -> number of open event streams (SSE) the app receives proactive messages on
+        this.listeners = new Map();
+    }
+
+    /**
+     * How long delivered messages are kept for replay after a reconnect
+     */
+    static get REPLAY_RETENTION_DAYS() {
+        return 7;
+    }
+
+    /**
+     * Maximum number of messages replayed on a single reconnect
+     */
+    static get REPLAY_LIMIT() {
+        return 100;
+    }
+
+    /**
+     * Message types sent as push notifications when the user has no open connection
+     */
+    static get PUSH_MESSAGE_TYPES() {
+        return ['proactive'];
     }
 
     /**
@@ -43,6 +68,8 @@ class MessageDeliveryService extends AbstractService {
                 throw new Error('ErrorHandling service is required');
             }
             
+            await this.pruneDeliveryLog();
+            
             this.logger.info('MessageDeliveryService initialized successfully', 'MessageDeliveryService');
             
         } catch (error) {
@@ -52,29 +79,25 @@ class MessageDeliveryService extends AbstractService {
     }
 
     /**
-     * INFRASTRUCTURE LAYER: Register user's WebSocket connection
+     * INFRASTRUCTURE LAYER: Register one of the user's WebSocket connections
+     * A user may have several open at once (tabs, devices); all of them receive messages.
      */
     async registerConnection(userId, websocket) {
         try {
-            // Clean up any existing connection for this user
-            if (this.connections.has(userId)) {
-                const oldConnection = this.connections.get(userId);
-                if (oldConnection && oldConnection.readyState === 1) { // OPEN
-                    oldConnection.close();
-                }
-            }
+            // Set up cleanup on disconnect
+            websocket.on('close', () => {
+                this.unregisterConnection(userId, websocket);
+            });
             
-            // Register new connection
-            this.connections.set(userId, websocket);
+            if (!this.connections.has(userId)) {
+                this.connections.set(userId, new Set());
+            }
+            this.connections.get(userId).add(websocket);
             
             this.logger.info('User connection registered', 'MessageDeliveryService', {
                 userId,
-                totalConnections: this.connections.size
-            });
-            
-            // Set up cleanup on disconnect
-            websocket.on('close', () => {
-                this.unregisterConnection(userId);
+                userConnections: this.connections.get(userId).size,
+                totalConnections: this.countConnections()
             });
             
         } catch (error) {
@@ -84,16 +107,27 @@ class MessageDeliveryService extends AbstractService {
     }
 
     /**
-     * INFRASTRUCTURE LAYER: Unregister user's WebSocket connection
+     * INFRASTRUCTURE LAYER: Unregister a user's WebSocket connection
+     * Without a websocket, every connection of the user is dropped.
      */
-    async unregisterConnection(userId) {
+    async unregisterConnection(userId, websocket = null) {
         try {
             if (this.connections.has(userId)) {
-                this.connections.delete(userId);
+                const userConnections = this.connections.get(userId);
+                if (websocket) {
+                    userConnections.delete(websocket);
+                } else {
+                    userConnections.clear();
+                }
+                
+                if (userConnections.size === 0) {
+                    this.connections.delete(userId);
+                }
                 
                 this.logger.info('User connection unregistered', 'MessageDeliveryService', {
                     userId,
-                    totalConnections: this.connections.size
+                    userConnections: userConnections.size,
+                    totalConnections: this.countConnections()
                 });
             }
         } catch (error) {
@@ -105,111 +139,159 @@ class MessageDeliveryService extends AbstractService {
     }
 
     /**
-     * DOMAIN LAYER: Check if user is connected
+     * INFRASTRUCTURE LAYER: Register one of the user's open event streams (SSE)
+     * While one is open the user counts as connected and proactive messages are not pushed.
+     * @returns {Function} Unregisters the stream; calling it again does nothing
+     */
+    registerListener(userId) {
+        this.listeners.set(userId, (this.listeners.get(userId) || 0) + 1);
+
+        let registered = true;
+        return () => {
+            if (!registered) {
+                return;
+            }
+            registered = false;
+
+            const remaining = this.listeners.get(userId) - 1;
+            if (remaining > 0) {
+                this.listeners.set(userId, remaining);
+            } else {
+                this.listeners.delete(userId);
+            }
+        };
+    }
+
+    /**
+     * UTILITY: Whether the user has an open event stream
+     */
+    hasListener(userId) {
+        return this.listeners.has(userId);
+    }
+
+    /**
+     * UTILITY: Open connections of a user
+     */
+    getOpenConnections(userId) {
+        const userConnections = this.connections.get(userId);
+        if (!userConnections) {
+            return [];
+        }
+        return [...userConnections].filter(connection => connection.readyState === 1); // 1 = OPEN
+    }
+
+    /**
+     * UTILITY: Number of registered connections across all users
+     */
+    countConnections() {
+        let total = 0;
+        for (const userConnections of this.connections.values()) {
+            total += userConnections.size;
+        }
+        return total;
+    }
+
+    /**
+     * DOMAIN LAYER: Check if user is connected (an open WebSocket or event stream)
      */
     async isUserConnected(userId) {
-        const connection = this.connections.get(userId);
-        return connection && connection.readyState === 1; // 1 = OPEN
+        return this.getOpenConnections(userId).length > 0 || this.hasListener(userId);
     }
 
     /**
      * DOMAIN LAYER: Get count of active connections
      */
     async getConnectionCount() {
-        return this.connections.size;
+        return this.countConnections();
     }
 
     /**
-     * DOMAIN LAYER: Deliver scheduled message to user
+     * DOMAIN LAYER: Deliver message to every open connection of a user
+     * The message is logged first so a client that is offline (or reconnecting)
+     * gets it replayed; it carries an id the client reports back as last seen.
+     * Without an open connection, proactive messages go out as push notifications
+     * unless the app is open on an event stream, which already carries them.
+     * @returns {Promise<boolean>} Whether a connection or a push service accepted the message
      */
-    async deliverScheduledMessage(engagement) {
-        try {
-            this.logger.info('Delivering scheduled message', 'MessageDeliveryService', {
-                engagementId: engagement.id,
-                userId: engagement.user_id
-            });
+    async deliverMessageToUser(userId, message) {
+        const payload = { ...message, id: message.id || uuidv4() };
+        const openConnections = this.getOpenConnections(userId);
+        let delivered = false;
 
-            // Check if user is connected
-            const isConnected = await this.isUserConnected(engagement.user_id);
-            
-            if (!isConnected) {
-                this.logger.info('User offline, message will remain pending', 'MessageDeliveryService', {
-                    engagementId: engagement.id,
-                    userId: engagement.user_id
+        try {
+            if (openConnections.length === 0) {
+                if (this.shouldPush(payload) && this.hasListener(userId)) {
+                    this.logger.debug('User listening on an event stream - no push needed', 'MessageDeliveryService', {
+                        userId,
+                        messageType: payload.type
+                    });
+                    delivered = true;
+                    return delivered;
+                }
+                if (this.shouldPush(payload)) {
+                    return await this.deliverByPush(userId, payload);
+                }
+                this.logger.warn('Cannot deliver message - user not connected', 'MessageDeliveryService', {
+                    userId
                 });
-                return { delivered: false, reason: 'user_offline' };
             }
 
-            // Generate message content if needed
-            let messageContent = engagement.engagement_content;
-            
-            if (!messageContent && this.llm) {
-                // Generate content using LLM
+            // Send message via WebSocket
+            for (const connection of openConnections) {
                 try {
-                    messageContent = await this.generateProactiveMessage(engagement);
-                } catch (llmError) {
-                    this.logger.error('Failed to generate message content', 'MessageDeliveryService', {
-                        error: llmError.message
+                    connection.send(JSON.stringify(payload));
+                    delivered = true;
+                } catch (sendError) {
+                    this.logger.error('Failed to deliver message to user', 'MessageDeliveryService', {
+                        userId,
+                        error: sendError.message
                     });
-                    messageContent = engagement.trigger_context || 'Proactive message';
                 }
             }
 
-            // Save to conversation_logs with is_proactive=true
-            const messageId = await this.saveProactiveMessage(engagement, messageContent);
-
-            // Deliver via WebSocket
-            const delivered = await this.deliverMessageToUser(engagement.user_id, {
-                id: messageId,
-                type: 'proactive',
-                content: messageContent,
-                engagementId: engagement.id,
-                timestamp: new Date().toISOString()
-            });
-
             if (delivered) {
-                this.logger.info('Successfully delivered scheduled message', 'MessageDeliveryService', {
-                    engagementId: engagement.id,
-                    messageId
+                this.logger.debug('Message delivered to user', 'MessageDeliveryService', {
+                    userId,
+                    messageType: payload.type,
+                    connections: openConnections.length
                 });
             }
 
-            return { delivered, messageId };
+            return delivered;
 
         } catch (error) {
-            throw this.errorHandler.wrapDomainError(error, 
-                'Failed to deliver scheduled message', {
-                    engagementId: engagement.id
-                });
+            this.logger.error('Failed to deliver message to user', 'MessageDeliveryService', {
+                userId,
+                error: error.message
+            });
+            return false;
+        } finally {
+            await this.logDelivery(userId, payload, delivered);
         }
     }
 
     /**
-     * DOMAIN LAYER: Deliver message to specific user via WebSocket
+     * UTILITY: Whether a message for an offline user goes out as a push notification
      */
-    async deliverMessageToUser(userId, message) {
-        try {
-            const connection = this.connections.get(userId);
-            
-            if (!connection || connection.readyState !== 1) {
-                this.logger.warn('Cannot deliver message - user not connected', 'MessageDeliveryService', {
-                    userId
-                });
-                return false;
-            }
+    shouldPush(payload) {
+        return Boolean(this.pushNotification) && MessageDeliveryService.PUSH_MESSAGE_TYPES.includes(payload.type);
+    }
 
-            // Send message via WebSocket
-            connection.send(JSON.stringify(message));
-            
-            this.logger.debug('Message delivered to user', 'MessageDeliveryService', {
+    /**
+     * INFRASTRUCTURE LAYER: Send a message to the user's push subscriptions
+     * The delivery log still marks it undelivered so the app replays it on the next connect.
+     */
+    async deliverByPush(userId, payload) {
+        try {
+            const result = await this.pushNotification.notifyMessage(userId, payload);
+            this.logger.info('User not connected - sent push notification', 'MessageDeliveryService', {
                 userId,
-                messageType: message.type
+                messageType: payload.type,
+                ...result
             });
-
-            return true;
-
+            return result.sent > 0;
         } catch (error) {
-            this.logger.error('Failed to deliver message to user', 'MessageDeliveryService', {
+            this.logger.error('Failed to send push notification', 'MessageDeliveryService', {
                 userId,
                 error: error.message
             });
@@ -218,81 +300,90 @@ class MessageDeliveryService extends AbstractService {
     }
 
     /**
-     * INFRASTRUCTURE LAYER: Generate proactive message content using LLM
+     * DOMAIN LAYER: Replay messages logged after the client's last seen message
+     * Ends with a replay_complete marker so the client knows it is caught up.
+     * @returns {Promise<number>} Number of messages replayed
      */
-    async generateProactiveMessage(engagement) {
+    async replayMissedMessages(userId, lastMessageId, websocket) {
         try {
-            if (!this.llm) {
-                return engagement.trigger_context || 'Proactive engagement';
+            const missed = await this.dal.query(`
+                SELECT id, payload FROM message_delivery_log
+                WHERE user_id = ?
+                AND rowid > (SELECT rowid FROM message_delivery_log WHERE id = ? AND user_id = ?)
+                ORDER BY rowid ASC
+                LIMIT ?
+            `, [userId, lastMessageId, userId, MessageDeliveryService.REPLAY_LIMIT]);
+
+            for (const entry of missed) {
+                websocket.send(JSON.stringify({ ...JSON.parse(entry.payload), replayed: true }));
             }
 
-            // Parse engagement metadata
-            const metadata = typeof engagement.engagement_metadata === 'string' 
-                ? JSON.parse(engagement.engagement_metadata) 
-                : engagement.engagement_metadata || {};
-
-            const prompt = `Generate a natural, engaging proactive message based on:
-Context: ${engagement.trigger_context || 'general conversation'}
-Type: ${engagement.engagement_type || 'check-in'}
-Psychological Context: ${JSON.stringify(metadata.psychological_context || {})}
+            if (missed.length > 0) {
+                const placeholders = missed.map(() => '?').join(', ');
+                await this.dal.execute(
+                    `UPDATE message_delivery_log SET delivered = 1 WHERE id IN (${placeholders})`,
+                    missed.map(entry => entry.id)
+                );
+            }
 
-Generate a brief, friendly message (1-2 sentences).`;
+            websocket.send(JSON.stringify({
+                type: 'replay_complete',
+                count: missed.length,
+                lastMessageId: missed.length > 0 ? missed[missed.length - 1].id : lastMessageId
+            }));
 
-            const response = await this.llm.generateResponse(prompt, {
-                maxTokens: 100,
-                temperature: 0.7
+            this.logger.info('Replayed missed messages', 'MessageDeliveryService', {
+                userId,
+                lastMessageId,
+                count: missed.length
             });
 
-            return response.content || engagement.trigger_context || 'Proactive message';
+            return missed.length;
 
         } catch (error) {
-            this.logger.error('Error generating proactive message', 'MessageDeliveryService', {
-                error: error.message
-            });
-            return engagement.trigger_context || 'Proactive message';
+            throw this.errorHandler.wrapInfrastructureError(error, 
+                'Failed to replay missed messages', { userId, lastMessageId });
         }
     }
 
     /**
-     * INFRASTRUCTURE LAYER: Save proactive message to conversation_logs
+     * INFRASTRUCTURE LAYER: Keep a copy of a real-time message for replay
+     * Logging failures never block the live delivery.
      */
-    async saveProactiveMessage(engagement, messageContent) {
+    async logDelivery(userId, payload, delivered) {
         try {
-            const messageId = require('uuid').v4();
-            const now = new Date().toISOString();
-
-            const sql = `
-                INSERT INTO conversation_logs (
-                    id, user_id, chat_id, session_id, message, sender, 
-                    is_proactive, engagement_id, timestamp, created_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `;
-
-            await this.dal.execute(sql, [
-                messageId,
-                engagement.user_id,
-                engagement.chat_id || null,
-                engagement.session_id,
-                messageContent,
-                'assistant',
-                1, // is_proactive = true
-                engagement.id,
-                now,
-                now
+            await this.dal.execute(`
+                INSERT INTO message_delivery_log (id, user_id, message_type, payload, delivered, created_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [
+                payload.id,
+                userId,
+                payload.type || 'message',
+                JSON.stringify(payload),
+                delivered ? 1 : 0,
+                new Date().toISOString()
             ]);
-
-            this.logger.debug('Proactive message saved to conversation logs', 'MessageDeliveryService', {
-                messageId,
-                engagementId: engagement.id
+        } catch (error) {
+            this.logger.error('Failed to log delivered message', 'MessageDeliveryService', {
+                userId,
+                error: error.message
             });
+        }
+    }
 
-            return messageId;
-
+    /**
+     * INFRASTRUCTURE LAYER: Drop logged messages older than the replay window
+     */
+    async pruneDeliveryLog() {
+        try {
+            await this.dal.execute(
+                `DELETE FROM message_delivery_log WHERE datetime(created_at) < datetime('now', ?)`,
+                [`-${MessageDeliveryService.REPLAY_RETENTION_DAYS} days`]
+            );
         } catch (error) {
-            throw this.errorHandler.wrapInfrastructureError(error, 
-                'Failed to save proactive message', {
-                    engagementId: engagement.id
-                });
+            this.logger.warn('Failed to prune message delivery log', 'MessageDeliveryService', {
+                error: error.message
+            });
         }
     }
 
@@ -304,20 +395,23 @@ Generate a brief, friendly message (1-2 sentences).`;
             this.logger.info('MessageDeliveryService shutting down', 'MessageDeliveryService');
             
             // Close all active connections
-            for (const [userId, connection] of this.connections) {
-                try {
-                    if (connection.readyState === 1) {
-                        connection.close(1001, 'Server shutting down');
+            for (const [userId, userConnections] of this.connections) {
+                for (const connection of userConnections) {
+                    try {
+                        if (connection.readyState === 1) {
+                            connection.close(1001, 'Server shutting down');
+                        }
+                    } catch (error) {
+                        this.logger.error('Error closing connection during shutdown', 'MessageDeliveryService', {
+                            userId,
+                            error: error.message
+                        });
                     }
-                } catch (error) {
-                    this.logger.error('Error closing connection during shutdown', 'MessageDeliveryService', {
-                        userId,
-                        error: error.message
-                    });
                 }
             }
             
             this.connections.clear();
+            this.listeners.clear();
             
             this.logger.info('MessageDeliveryService shutdown complete', 'MessageDeliveryService');
             
@@ -341,7 +435,8 @@ Generate a brief, friendly message (1-2 sentences).`;
      */
     getConnectionStats() {
         return {
-            totalConnections: this.connections.size,
+            totalConnections: this.countConnections(),
+            connectedUsers: this.connections.size,
             initialized: this.initialized
         };
     }
@@ -1,6 +1,17 @@
 /**
  * CLEAN ARCHITECTURE: Infrastructure Layer Service
- * SchedulingService - Background polling service for scheduled message delivery
+ * SchedulingService - Background worker for the persisted proactive job queue
+ * 
+ * JOB LIFECYCLE (proactive_jobs, see ProactiveJobRepository):
+ * - Each poll claims due jobs under this worker's id and delivers them
+ * - Delivered jobs are completed and their engagement marked delivered
+ * - Failed jobs are retried with exponential backoff until max_attempts,
+ *   then moved to 'dead_letter' and their engagement marked failed
+ * - Jobs held back by quiet hours, do-not-disturb or a rate limit
+ *   (ProactivePolicyService) are deferred to the next allowed window
+ *   without using up an attempt
+ * - Jobs claimed by a worker that stopped before finishing are claimed
+ *   again once the claim lease runs out
  * 
  * FOLLOWS CLEAN ARCHITECTURE PATTERNS:
  * - Extends AbstractService
@@ -11,6 +22,8 @@
  */
 
 const AbstractService = require('../base/CORE_AbstractService');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
 
 class SchedulingService extends AbstractService {
     constructor(dependencies) {
@@ -20,10 +33,19 @@ class SchedulingService extends AbstractService {
         this.logger = dependencies.logger;
         this.errorHandler = dependencies.errorHandling;
         this.messageDelivery = dependencies.messageDelivery;
+        this.proactiveDelivery = dependencies.proactiveDelivery || null;
+        this.proactivePolicy = dependencies.proactivePolicy || null;
         
         this.pollingInterval = null;
         this.isPolling = false;
         this.pollingFrequency = 30000; // 30 seconds
+
+        // Job queue settings
+        this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+        this.claimBatchSize = 10;
+        this.claimLeaseMs = 5 * 60 * 1000;   // Claims older than this are taken over
+        this.retryBaseDelayMs = 60 * 1000;    // 1, 2, 4, 8... minutes
+        this.retryMaxDelayMs = 60 * 60 * 1000;
     }
 
     /**
@@ -101,46 +123,37 @@ class SchedulingService extends AbstractService {
     }
 
     /**
-     * DOMAIN LAYER: Main polling logic - Check for scheduled messages due for delivery
+     * DOMAIN LAYER: Main polling logic - Claim and deliver due proactive jobs
      */
     async checkScheduledMessages() {
         try {
             this.logger.debug('Checking for scheduled messages', 'SchedulingService');
 
-            // Query proactive_engagements via DAL
-            const sql = `
-                SELECT * FROM proactive_engagements
-                WHERE status = 'pending' 
-                AND optimal_timing IS NOT NULL
-                AND datetime(optimal_timing) <= datetime('now')
-                ORDER BY optimal_timing ASC
-            `;
-
-            const dueMessages = await this.dal.query(sql, []);
+            const dueJobs = await this.dal.proactiveJobs.claimDue(this.workerId, {
+                limit: this.claimBatchSize,
+                leaseMs: this.claimLeaseMs
+            });
 
-            if (dueMessages && dueMessages.length > 0) {
-                this.logger.info(`Found ${dueMessages.length} scheduled message(s) due for delivery`, 'SchedulingService');
+            if (dueJobs && dueJobs.length > 0) {
+                this.logger.info(`Found ${dueJobs.length} scheduled message(s) due for delivery`, 'SchedulingService');
 
-                // Process each due message
-                for (const engagement of dueMessages) {
+                // Process each due job
+                for (const job of dueJobs) {
                     try {
-                        await this.deliverScheduledMessage(engagement);
+                        if (await this.deferIfSuppressed(job)) {
+                            continue;
+                        }
+                        await this.deliverScheduledMessage(job);
+                        await this.dal.proactiveJobs.complete(job.id, this.workerId);
                     } catch (error) {
-                        // Log error but continue processing other messages
+                        // Log error but continue processing other jobs
                         this.logger.error('Failed to deliver scheduled message', 'SchedulingService', {
-                            engagementId: engagement.id,
+                            jobId: job.id,
+                            engagementId: job.engagement_id,
+                            attempt: job.attempts,
                             error: error.message
                         });
-                        
-                        // Update status to failed
-                        try {
-                            await this.updateEngagementStatus(engagement.id, 'failed', error.message);
-                        } catch (updateError) {
-                            this.logger.error('Failed to update engagement status', 'SchedulingService', {
-                                engagementId: engagement.id,
-                                error: updateError.message
-                            });
-                        }
+                        await this.handleFailedJob(job, error);
                     }
                 }
             } else {
@@ -156,41 +169,133 @@ class SchedulingService extends AbstractService {
     }
 
     /**
-     * DOMAIN LAYER: Deliver a scheduled message
+     * DOMAIN LAYER: Defer a claimed proactive message the user's settings hold back
+     * @returns {Promise<boolean>} true when the job was deferred instead of delivered
+     */
+    async deferIfSuppressed(job) {
+        if (!this.proactivePolicy || job.job_type !== 'proactive_message') {
+            return false;
+        }
+
+        // A job re-run after a crash may already have saved its message
+        if (job.chat_id && await this.dal.proactiveJobs.getDeliveredMessageId(job.id, job.chat_id)) {
+            return false;
+        }
+
+        const policy = await this.proactivePolicy.evaluate({
+            userId: job.user_id,
+            personalityId: job.personality_id
+        });
+        if (policy.allowed) {
+            return false;
+        }
+
+        await this.dal.proactiveJobs.defer(job.id, this.workerId, policy.deferUntil, policy.reason);
+        await this.proactivePolicy.recordSuppression({
+            userId: job.user_id,
+            engagementId: job.engagement_id,
+            personalityId: job.personality_id,
+            chatId: job.chat_id,
+            jobId: job.id,
+            reason: policy.reason,
+            deferUntil: policy.deferUntil
+        });
+        return true;
+    }
+
+    /**
+     * DOMAIN LAYER: Deliver a claimed job
+     * Saves the message to its chat (through ProactiveDelivery) and pushes it to the user.
      */
-    async deliverScheduledMessage(engagement) {
+    async deliverScheduledMessage(job) {
         try {
             this.logger.info('Delivering scheduled message', 'SchedulingService', {
-                engagementId: engagement.id,
-                sessionId: engagement.session_id,
-                scheduledFor: engagement.optimal_timing
+                jobId: job.id,
+                chatId: job.chat_id,
+                engagementId: job.engagement_id,
+                scheduledFor: job.run_at,
+                attempt: job.attempts
             });
 
-            // Trigger message delivery via message delivery service
-            await this.messageDelivery.deliverMessageToUser(engagement.user_id, {
+            const payload = job.payload || {};
+            let messageId = null;
+            if (this.proactiveDelivery && job.chat_id) {
+                const saved = await this.proactiveDelivery.deliverScheduledJob(job);
+                messageId = saved.messageId;
+            }
+
+            // Push to the user's connections; offline users get it replayed and as a push notification
+            await this.messageDelivery.deliverMessageToUser(job.user_id, {
+                ...(messageId ? { id: messageId } : {}),
                 type: 'proactive',
-                content: engagement.engagement_content,
-                metadata: engagement.engagement_metadata,
-                engagementId: engagement.id
+                chatId: job.chat_id,
+                personalityName: payload.personalityName,
+                content: payload.content,
+                metadata: payload.metadata,
+                engagementId: job.engagement_id,
+                jobId: job.id
             });
 
-            // Update engagement status to delivered
-            await this.updateEngagementStatus(engagement.id, 'delivered');
+            if (job.engagement_id) {
+                await this.updateEngagementStatus(job.engagement_id, 'delivered');
+            }
 
             this.logger.info('Successfully delivered scheduled message', 'SchedulingService', {
-                engagementId: engagement.id
+                jobId: job.id,
+                messageId
             });
 
         } catch (error) {
             throw this.errorHandler.wrapDomainError(error, 
                 'Failed to deliver scheduled message', {
-                    engagementId: engagement.id
+                    jobId: job.id
                 });
         }
     }
 
+    /**
+     * DOMAIN LAYER: Retry a failed job later, or dead-letter it once it is out of attempts
+     */
+    async handleFailedJob(job, error) {
+        try {
+            if (job.attempts >= job.max_attempts) {
+                await this.dal.proactiveJobs.deadLetter(job.id, this.workerId, error.message);
+                this.logger.error('Scheduled message moved to dead letter', 'SchedulingService', {
+                    jobId: job.id,
+                    attempts: job.attempts
+                });
+                if (job.engagement_id) {
+                    await this.updateEngagementStatus(job.engagement_id, 'failed', error.message);
+                }
+                return;
+            }
+
+            const retryAt = new Date(Date.now() + this.getRetryDelay(job.attempts));
+            await this.dal.proactiveJobs.retry(job.id, this.workerId, error.message, retryAt);
+            this.logger.warn('Scheduled message will be retried', 'SchedulingService', {
+                jobId: job.id,
+                attempt: job.attempts,
+                retryAt: retryAt.toISOString()
+            });
+        } catch (updateError) {
+            // The claim lease runs out and another poll picks the job up again
+            this.logger.error('Failed to update job status', 'SchedulingService', {
+                jobId: job.id,
+                error: updateError.message
+            });
+        }
+    }
+
+    /**
+     * UTILITY: Exponential backoff delay before the next attempt
+     */
+    getRetryDelay(attempts) {
+        return Math.min(this.retryBaseDelayMs * 2 ** Math.max(attempts - 1, 0), this.retryMaxDelayMs);
+    }
+
     /**
      * INFRASTRUCTURE LAYER: Update engagement status via DAL
+     * errorMessage is kept for failed engagements and cleared otherwise
      */
     async updateEngagementStatus(engagementId, status, errorMessage = null) {
         try {
@@ -198,15 +303,17 @@ class SchedulingService extends AbstractService {
                 UPDATE proactive_engagements 
                 SET status = ?, 
                     actual_timing = CASE WHEN ? = 'delivered' THEN datetime('now') ELSE actual_timing END,
+                    error_message = ?,
                     updated_at = datetime('now')
                 WHERE id = ?
             `;
 
-            await this.dal.execute(sql, [status, status, engagementId]);
+            await this.dal.execute(sql, [status, status, errorMessage, engagementId]);
 
             this.logger.debug('Updated engagement status', 'SchedulingService', {
                 engagementId,
-                status
+                status,
+                errorMessage
             });
 
         } catch (error) {
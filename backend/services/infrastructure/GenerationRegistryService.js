@@ -0,0 +1,117 @@
+const AbstractService = require('../base/CORE_AbstractService');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * GenerationRegistryService
+ * Tracks in-flight reply generations per chat so they can be cancelled.
+ *
+ * - Each generation owns an AbortController whose signal is passed to the LLM
+ *   request; aborting it closes the upstream connection
+ * - Generations are stopped when the client disconnects or the user asks to
+ *   stop them (POST /api/chat/:chatId/stop)
+ * - In-memory only: a restart ends every generation anyway
+ */
+class GenerationRegistryService extends AbstractService {
+    constructor(dependencies) {
+        super('GenerationRegistryService', dependencies);
+        this.logger = dependencies.logger;
+        this.errorHandler = dependencies.errorHandling;
+
+        // Map of chatId -> Map of generationId -> generation
+        this.generations = new Map();
+    }
+
+    async onInitialize() {
+        this.logger.info('GenerationRegistryService initialized', 'GenerationRegistryService');
+    }
+
+    /**
+     * Register a generation for a chat
+     * @param {string} chatId
+     * @param {Object} owner - { userId, characterId }
+     * @returns {Object} { id, chatId, userId, characterId, signal, startedAt, abort(reason), isAborted(), getAbortReason() }
+     *   where reason is 'user_stopped' or 'client_disconnected'
+     */
+    start(chatId, { userId, characterId = null } = {}) {
+        const controller = new AbortController();
+        let abortReason = null;
+
+        const generation = {
+            id: uuidv4(),
+            chatId,
+            userId,
+            characterId,
+            signal: controller.signal,
+            startedAt: new Date().toISOString(),
+            abort: (reason = 'user_stopped') => {
+                if (controller.signal.aborted) {
+                    return false;
+                }
+                abortReason = reason;
+                controller.abort();
+                this.logger.info('Generation aborted', 'GenerationRegistryService', {
+                    chatId,
+                    generationId: generation.id,
+                    reason
+                });
+                return true;
+            },
+            isAborted: () => controller.signal.aborted,
+            getAbortReason: () => abortReason
+        };
+
+        if (!this.generations.has(chatId)) {
+            this.generations.set(chatId, new Map());
+        }
+        this.generations.get(chatId).set(generation.id, generation);
+
+        this.logger.debug('Generation started', 'GenerationRegistryService', {
+            chatId,
+            generationId: generation.id,
+            characterId
+        });
+        return generation;
+    }
+
+    /**
+     * Remove a generation once its reply is saved (or failed)
+     */
+    finish(generation) {
+        const chatGenerations = this.generations.get(generation.chatId);
+        if (!chatGenerations) {
+            return;
+        }
+        chatGenerations.delete(generation.id);
+        if (chatGenerations.size === 0) {
+            this.generations.delete(generation.chatId);
+        }
+    }
+
+    /**
+     * Stop every in-flight generation of a user's chat
+     * @returns {number} Number of generations stopped
+     */
+    stop(chatId, userId, reason = 'user_stopped') {
+        let stopped = 0;
+        for (const generation of this.getActive(chatId)) {
+            if (generation.userId === userId && generation.abort(reason)) {
+                stopped++;
+            }
+        }
+        return stopped;
+    }
+
+    /**
+     * In-flight generations of a chat
+     */
+    getActive(chatId) {
+        const chatGenerations = this.generations.get(chatId);
+        return chatGenerations ? [...chatGenerations.values()] : [];
+    }
+
+    isGenerating(chatId) {
+        return this.getActive(chatId).length > 0;
+    }
+}
+
+module.exports = GenerationRegistryService;
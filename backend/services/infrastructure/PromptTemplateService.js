@@ -0,0 +1,280 @@
+const AbstractService = require('../base/CORE_AbstractService');
+const PromptTemplates = require('../../utils/prompt_templates');
+
+/**
+ * PromptTemplateService
+ * User-editable versions of the built-in prompt templates.
+ *
+ * - Overrides exist globally, per user and (for conversational templates) per
+ *   character. Resolution follows the model config cascade: conversational
+ *   character → user → global → built-in, analytical user → global → built-in
+ * - Saving adds a version; restoring an old version saves it again as the newest
+ * - Templates may only use the placeholders their built-in version declares
+ * - Rendering never fails because of an override: lookup errors fall back to
+ *   the built-in template
+ */
+class PromptTemplateService extends AbstractService {
+    constructor(dependencies) {
+        super('PromptTemplateService', dependencies);
+        this.logger = dependencies.logger;
+        this.errorHandler = dependencies.errorHandling;
+        this.database = dependencies.database;
+        this.dal = this.database.getDAL();
+    }
+
+    /**
+     * Override scopes from least to most specific
+     */
+    static get SCOPES() {
+        return ['global', 'user', 'character'];
+    }
+
+    async onInitialize() {
+        this.logger.info('PromptTemplateService initialized', 'PromptTemplateService');
+    }
+
+    /**
+     * Every template with its built-in content, the overrides that apply and the version in use
+     * @param {string} userId
+     * @param {string|null} characterId - Include this character's overrides
+     */
+    async listTemplates(userId, characterId = null) {
+        try {
+            if (characterId) {
+                await this.getOwnedCharacter(characterId, userId);
+            }
+            const overrides = await this.dal.promptTemplates.getCurrentOverrides(userId, characterId);
+
+            return Object.entries(PromptTemplates.DEFAULTS).map(([name, definition]) => {
+                const byScope = Object.fromEntries(PromptTemplateService.SCOPES.map(scope => [
+                    scope,
+                    this.summarize(overrides.find(row => row.name === name && row.scope === scope))
+                ]));
+                const active = this.cascade(definition.role)
+                    .map(scope => byScope[scope] && { ...byScope[scope], scope })
+                    .find(Boolean);
+
+                return {
+                    name,
+                    role: definition.role,
+                    description: definition.description,
+                    variables: definition.variables,
+                    defaultContent: definition.content,
+                    overrides: byScope,
+                    active: active || { scope: 'default', version: 0, content: definition.content }
+                };
+            });
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to list prompt templates', { userId });
+        }
+    }
+
+    /**
+     * The template in use for a user and character
+     * @param {string} name - Template name
+     * @param {Object} scope - { userId, characterId }
+     * @returns {Promise<Object>} { name, content, scope: 'character'|'user'|'global'|'default', version }
+     */
+    async resolveTemplate(name, { userId = null, characterId = null } = {}) {
+        try {
+            const definition = this.getDefinition(name);
+
+            for (const scope of this.cascade(definition.role)) {
+                if ((scope === 'character' && (!characterId || !userId)) || (scope === 'user' && !userId)) {
+                    continue;
+                }
+                const row = await this.dal.promptTemplates.getCurrent(name, this.scopeKey(scope, userId, characterId));
+                if (row) {
+                    this.logger.debug('Prompt template resolved', 'PromptTemplateService', { name, scope, version: row.version });
+                    return { name, content: row.content, scope, version: row.version };
+                }
+            }
+
+            return { name, content: definition.content, scope: 'default', version: 0 };
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to resolve prompt template', { name, userId, characterId });
+        }
+    }
+
+    /**
+     * Render the template in use with placeholder values
+     * Falls back to the built-in template when the override cannot be loaded
+     * @returns {Promise<string>} Rendered prompt
+     */
+    async render(name, values = {}, scope = {}) {
+        let content;
+        try {
+            content = (await this.resolveTemplate(name, scope)).content;
+        } catch (error) {
+            this.logger.warn('Failed to resolve prompt template, using built-in version', 'PromptTemplateService', {
+                name,
+                error: error.message
+            });
+            content = this.getDefinition(name).content;
+        }
+        return PromptTemplates.render(content, values);
+    }
+
+    /**
+     * Version history of one override, newest first
+     * @param {Object} target - { scope, characterId }
+     */
+    async getVersions(name, userId, target = {}) {
+        try {
+            const key = await this.resolveScopeKey(name, userId, target);
+            return await this.dal.promptTemplates.getVersions(name, key);
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to get prompt template versions', { name, userId });
+        }
+    }
+
+    /**
+     * Save a new version of an override
+     * @param {Object} data - { scope, characterId, content, note }
+     * @returns {Promise<Object>} Stored version
+     */
+    async saveTemplate(name, userId, data = {}) {
+        try {
+            const definition = this.getDefinition(name);
+            const key = await this.resolveScopeKey(name, userId, data);
+            const content = this.validateContent(definition, data.content);
+
+            const saved = await this.dal.promptTemplates.createVersion(name, key, {
+                content,
+                note: typeof data.note === 'string' ? data.note.trim() : '',
+                createdBy: userId
+            });
+
+            this.logger.info('Prompt template saved', 'PromptTemplateService', {
+                name,
+                scope: key.scope,
+                version: saved.version
+            });
+            return saved;
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to save prompt template', { name, userId });
+        }
+    }
+
+    /**
+     * Make an earlier version current again by saving it as a new version
+     * @param {Object} data - { scope, characterId, version }
+     */
+    async restoreVersion(name, userId, data = {}) {
+        try {
+            const key = await this.resolveScopeKey(name, userId, data);
+            const version = Number(data.version);
+            const previous = Number.isInteger(version)
+                ? await this.dal.promptTemplates.getVersion(name, key, version)
+                : null;
+            if (!previous) {
+                throw this.createNotFoundError('Prompt template version not found');
+            }
+
+            return await this.dal.promptTemplates.createVersion(name, key, {
+                content: previous.content,
+                note: `Restored version ${previous.version}`,
+                createdBy: userId
+            });
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to restore prompt template version', { name, userId });
+        }
+    }
+
+    /**
+     * Remove an override with its history so the next scope down applies again
+     * @param {Object} target - { scope, characterId }
+     */
+    async resetTemplate(name, userId, target = {}) {
+        try {
+            const key = await this.resolveScopeKey(name, userId, target);
+            const result = await this.dal.promptTemplates.deleteOverride(name, key);
+            if (!result.deleted) {
+                throw this.createNotFoundError('Prompt template override not found');
+            }
+            return result;
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to reset prompt template', { name, userId });
+        }
+    }
+
+    /**
+     * Check a template body: non-empty and only the placeholders the template declares
+     */
+    validateContent(definition, content) {
+        if (typeof content !== 'string' || !content.trim()) {
+            throw this.createValidationError('content is required');
+        }
+        const unknown = PromptTemplates.placeholders(content).filter(name => !definition.variables.includes(name));
+        if (unknown.length > 0) {
+            throw this.createValidationError(
+                `Unknown placeholders: ${unknown.map(name => `{{${name}}}`).join(', ')}. ` +
+                `Available: ${definition.variables.map(name => `{{${name}}}`).join(', ')}`
+            );
+        }
+        return content;
+    }
+
+    /**
+     * Scopes to check for a template role, most specific first
+     */
+    cascade(role) {
+        return role === 'conversational' ? ['character', 'user', 'global'] : ['user', 'global'];
+    }
+
+    /**
+     * Check scope, character ownership and role for an override a user addresses
+     * @param {Object} target - { scope, characterId }
+     * @returns {Promise<Object>} { scope, userId, personalityId }
+     */
+    async resolveScopeKey(name, userId, { scope, characterId } = {}) {
+        const definition = this.getDefinition(name);
+
+        if (!PromptTemplateService.SCOPES.includes(scope)) {
+            throw this.createValidationError(`scope must be one of: ${PromptTemplateService.SCOPES.join(', ')}`);
+        }
+        if (scope === 'character') {
+            if (definition.role !== 'conversational') {
+                throw this.createValidationError(`${name} is an analytical template and cannot be overridden per character`);
+            }
+            if (!characterId) {
+                throw this.createValidationError('characterId is required for character templates');
+            }
+            await this.getOwnedCharacter(characterId, userId);
+        }
+
+        return this.scopeKey(scope, userId, characterId);
+    }
+
+    scopeKey(scope, userId, characterId) {
+        return {
+            scope,
+            userId: scope === 'global' ? null : userId,
+            personalityId: scope === 'character' ? characterId : null
+        };
+    }
+
+    getDefinition(name) {
+        const definition = PromptTemplates.getDefault(name);
+        if (!definition) {
+            throw this.createNotFoundError(`Unknown prompt template: ${name}`);
+        }
+        return definition;
+    }
+
+    summarize(row) {
+        return row
+            ? { version: row.version, content: row.content, note: row.note, created_at: row.created_at }
+            : null;
+    }
+
+    async getOwnedCharacter(characterId, userId) {
+        const character = await this.dal.personalities.getCharacter(characterId, userId);
+        if (!character) {
+            throw this.createNotFoundError('Character not found');
+        }
+        return character;
+    }
+}
+
+module.exports = PromptTemplateService;
@@ -0,0 +1,309 @@
+const AbstractService = require('../base/CORE_AbstractService');
+const WebPush = require('../../utils/web_push');
+
+/**
+ * PushNotificationService
+ * Web Push (VAPID) notifications to the browsers a user has subscribed
+ * (dal.pushSubscriptions), for messages that arrive while no WebSocket is open.
+ *
+ * - VAPID keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY, or are generated
+ *   once and kept in the configuration table (category 'push')
+ * - Notifications show the character's name and avatar; clicking one opens the app
+ * - Subscriptions the push service reports gone (404/410), or that keep
+ *   failing, are removed
+ */
+class PushNotificationService extends AbstractService {
+    constructor(dependencies) {
+        super('PushNotificationService', dependencies);
+        this.logger = dependencies.logger;
+        this.errorHandler = dependencies.errorHandling;
+        this.database = dependencies.database;
+        this.dal = this.database.getDAL();
+        this.vapid = null;
+    }
+
+    /**
+     * Configuration key of generated VAPID keys
+     */
+    static get VAPID_CONFIG_KEY() {
+        return 'push.vapid_keys';
+    }
+
+    /**
+     * Failed sends in a row after which a subscription is removed
+     */
+    static get MAX_FAILURES() {
+        return 5;
+    }
+
+    /**
+     * Longest notification body; the full message is in the chat
+     */
+    static get BODY_LENGTH() {
+        return 180;
+    }
+
+    async onInitialize() {
+        this.vapid = await this.loadVapidKeys();
+        this.logger.info('PushNotificationService initialized', 'PushNotificationService', {
+            keySource: this.vapid.source
+        });
+    }
+
+    /**
+     * VAPID keys from the environment, else the stored (or newly generated) pair
+     * @returns {Promise<Object>} { publicKey, privateKey, subject, source }
+     */
+    async loadVapidKeys() {
+        const subject = process.env.VAPID_SUBJECT || 'mailto:admin@localhost';
+
+        if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+            return {
+                publicKey: process.env.VAPID_PUBLIC_KEY,
+                privateKey: process.env.VAPID_PRIVATE_KEY,
+                subject,
+                source: 'environment'
+            };
+        }
+
+        try {
+            let keys = await this.dal.configuration.getConfigValue(PushNotificationService.VAPID_CONFIG_KEY);
+            if (!keys || !keys.publicKey || !keys.privateKey) {
+                keys = WebPush.generateVAPIDKeys();
+                await this.dal.configuration.setConfigValue(
+                    PushNotificationService.VAPID_CONFIG_KEY,
+                    keys,
+                    'json',
+                    'VAPID key pair for web push notifications',
+                    'push',
+                    false
+                );
+                this.logger.info('Generated VAPID keys for web push', 'PushNotificationService');
+            }
+            return { publicKey: keys.publicKey, privateKey: keys.privateKey, subject, source: 'configuration' };
+        } catch (error) {
+            throw this.errorHandler.wrapInfrastructureError(error, 'Failed to load VAPID keys');
+        }
+    }
+
+    /**
+     * Application server key browsers subscribe with (base64url)
+     */
+    getPublicKey() {
+        return this.vapid ? this.vapid.publicKey : null;
+    }
+
+    /**
+     * Save a browser's PushSubscription for the user
+     * @param {Object} subscription - PushSubscription JSON: { endpoint, keys: { p256dh, auth } }
+     */
+    async subscribe(userId, subscription, userAgent = null) {
+        try {
+            if (!WebPush.isValidSubscription(subscription)) {
+                throw this.createValidationError('subscription must have an https endpoint and p256dh and auth keys');
+            }
+            const saved = await this.dal.pushSubscriptions.saveSubscription(userId, subscription, userAgent);
+            if (!saved) {
+                throw this.createConflictError('This browser is subscribed for another user; unsubscribe there first');
+            }
+
+            this.logger.info('Push subscription saved', 'PushNotificationService', { userId, subscriptionId: saved.id });
+            return this.toSubscription(saved);
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to save push subscription', { userId });
+        }
+    }
+
+    /**
+     * Remove one of the user's subscriptions
+     */
+    async unsubscribe(userId, endpoint) {
+        try {
+            if (!endpoint || typeof endpoint !== 'string') {
+                throw this.createValidationError('endpoint is required');
+            }
+            if (!await this.dal.pushSubscriptions.deleteSubscription(userId, endpoint)) {
+                throw this.createNotFoundError('Push subscription not found');
+            }
+
+            this.logger.info('Push subscription removed', 'PushNotificationService', { userId });
+            return true;
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to remove push subscription', { userId });
+        }
+    }
+
+    /**
+     * The user's subscriptions without their keys
+     */
+    async getSubscriptions(userId) {
+        try {
+            const rows = await this.dal.pushSubscriptions.getUserSubscriptions(userId);
+            return rows.map(row => this.toSubscription(row));
+        } catch (error) {
+            throw this.wrapError(error, 'Failed to get push subscriptions', { userId });
+        }
+    }
+
+    /**
+     * Send a notification to every subscription of the user
+     * @param {Object} notification - { title, body, icon, tag, data } read by the service worker
+     * @param {Object} options - { ttl (seconds), urgency }
+     * @returns {Promise<Object>} { sent, failed, removed }
+     */
+    async sendToUser(userId, notification, options = {}) {
+        const result = { sent: 0, failed: 0, removed: 0 };
+        if (!this.vapid) {
+            return result;
+        }
+
+        try {
+            const subscriptions = await this.dal.pushSubscriptions.getUserSubscriptions(userId);
+            const payload = JSON.stringify(notification);
+
+            for (const subscription of subscriptions) {
+                const outcome = await this.sendToSubscription(subscription, payload, options);
+                result[outcome]++;
+            }
+
+            if (subscriptions.length > 0) {
+                this.logger.debug('Push notification sent', 'PushNotificationService', { userId, ...result });
+            }
+            return result;
+        } catch (error) {
+            throw this.errorHandler.wrapInfrastructureError(error, 'Failed to send push notification', { userId });
+        }
+    }
+
+    /**
+     * Send to one subscription and update its bookkeeping
+     * @returns {Promise<string>} 'sent', 'failed' or 'removed'
+     */
+    async sendToSubscription(subscription, payload, { ttl, urgency } = {}) {
+        let reason;
+        try {
+            const response = await WebPush.sendNotification(
+                { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+                payload,
+                { vapid: this.vapid, ttl, urgency }
+            );
+            if (response.gone) {
+                await this.dal.pushSubscriptions.deleteById(subscription.id);
+                this.logger.info('Removed expired push subscription', 'PushNotificationService', {
+                    userId: subscription.user_id,
+                    subscriptionId: subscription.id,
+                    statusCode: response.statusCode
+                });
+                return 'removed';
+            }
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+                await this.dal.pushSubscriptions.markSuccess(subscription.id);
+                return 'sent';
+            }
+            reason = `push service responded ${response.statusCode}`;
+        } catch (error) {
+            reason = error.message;
+        }
+
+        this.logger.warn('Push notification failed', 'PushNotificationService', {
+            userId: subscription.user_id,
+            subscriptionId: subscription.id,
+            reason
+        });
+        const failures = await this.dal.pushSubscriptions.markFailure(subscription.id);
+        if (failures >= PushNotificationService.MAX_FAILURES) {
+            await this.dal.pushSubscriptions.deleteById(subscription.id);
+            return 'removed';
+        }
+        return 'failed';
+    }
+
+    /**
+     * Notify the user of a chat message they could not receive live
+     * @param {Object} message - Delivery payload: { id, type, chatId, content, personalityName }
+     * @returns {Promise<Object>} { sent, failed, removed }
+     */
+    async notifyMessage(userId, message) {
+        const sender = await this.getSender(userId, message.chatId);
+        const name = message.personalityName || (sender && sender.name) || 'Aria';
+
+        return this.sendToUser(userId, {
+            title: name,
+            body: this.truncate(message.content || ''),
+            icon: this.getAvatarUrl(sender && sender.display),
+            tag: message.chatId ? `chat-${message.chatId}` : undefined,
+            data: {
+                type: message.type,
+                chatId: message.chatId || null,
+                messageId: message.id || null,
+                url: '/'
+            }
+        });
+    }
+
+    /**
+     * Name and avatar of the character of one of the user's chats
+     */
+    async getSender(userId, chatId) {
+        if (!chatId) {
+            return null;
+        }
+        try {
+            return await this.dal.queryOne(`
+                SELECT p.name, p.display FROM chats c
+                JOIN personalities p ON p.id = c.personality_id
+                WHERE c.id = ? AND c.user_id = ?
+            `, [chatId, userId]);
+        } catch (error) {
+            this.logger.warn('Failed to look up notification sender', 'PushNotificationService', {
+                userId,
+                chatId,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Avatar as the frontend serves it; inline images are too large for a push payload
+     */
+    getAvatarUrl(display) {
+        if (!display || display.startsWith('data:')) {
+            return null;
+        }
+        if (/^https?:\/\//.test(display) || display.startsWith('/')) {
+            return display;
+        }
+        return `/avatars/${display}`;
+    }
+
+    truncate(text) {
+        const max = PushNotificationService.BODY_LENGTH;
+        return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+    }
+
+    /**
+     * Map a subscription row onto the API shape
+     */
+    toSubscription(row) {
+        return {
+            id: row.id,
+            endpoint: row.endpoint,
+            userAgent: row.user_agent || null,
+            createdAt: row.created_at,
+            lastSuccessAt: row.last_success_at || null
+        };
+    }
+
+    /**
+     * Like AbstractService.wrapError, for a service in the infrastructure layer
+     */
+    wrapError(error, message, context) {
+        if (error.statusCode) {
+            return error;
+        }
+        return this.errorHandler.wrapInfrastructureError(error, message, context);
+    }
+}
+
+module.exports = PushNotificationService;
@@ -1,6 +1,6 @@
 const AbstractService = require('../base/CORE_AbstractService');
-// Use built-in fetch in Node.js 18+
-const fetch = globalThis.fetch;
+const { createProvider, CircuitBreaker } = require('./providers');
+const ToolProtocol = require('../../utils/tool_protocol');
 
 /**
  * Centralized LLM Service
@@ -15,7 +15,16 @@ const fetch = globalThis.fetch;
  * - Request queuing and rate limiting
  * - Health monitoring of LLM connection
  * - Unified interface for all LLM operations
- * - Provider adapter pattern for future extensibility
+ * - Named provider adapters (OpenAI-compatible, Ollama, Anthropic) picked per
+ *   request from the resolved model config's `provider`
+ * - Failover along the role's model chain, with retry/backoff per backend and a
+ *   circuit breaker per endpoint
+ * - Tool calling: options.tools (OpenAI format) + options.executeTool run a
+ *   tool loop, natively or via the <tool_call> text protocol
+ * - Chat turns: options.systemPrompt + context messages + the prompt as the final
+ *   user turn; options.stop passes stop sequences to the provider
+ * - Cancellation: options.signal (AbortSignal) stops a streaming response; the
+ *   result then holds the partial content with `aborted: true`
  * 
  * SIMPLIFIED: Removed caching complexity that was causing bugs
  */
@@ -43,6 +52,22 @@ class LLMService extends AbstractService {
             windowStart: Date.now()
         };
         
+        // CLEAN ARCHITECTURE: Retry policy and per-endpoint circuit breakers
+        const maxRetries = parseInt(process.env.LLM_MAX_RETRIES, 10);
+        this.retryPolicy = {
+            maxRetries: Number.isNaN(maxRetries) ? 2 : maxRetries,
+            baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS, 10) || 500,
+            maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS, 10) || 8000
+        };
+        this.circuitBreakerConfig = {
+            failureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD, 10) || 3,
+            resetTimeoutMs: parseInt(process.env.LLM_CIRCUIT_RESET_MS, 10) || 30000
+        };
+        this.circuits = new Map(); // endpoint → { breaker, provider }
+        
+        // CLEAN ARCHITECTURE: Tool calling
+        this.maxToolRounds = 3;
+        
         // CLEAN ARCHITECTURE: Performance and usage metrics
         this.llmMetrics = {
             totalRequests: 0,
@@ -88,6 +113,7 @@ class LLMService extends AbstractService {
             // Load endpoint and operational settings (NOT model - that's resolved per-request)
             this.config = {
                 endpoint: llmConfig.endpoint || process.env.LLM_ENDPOINT || 'http://localhost:1234/v1/chat/completions',
+                serverType: llmConfig.serverType || process.env.LLM_SERVER_TYPE || 'openai',
                 model: null, // Will be resolved per-request via LLMConfigService cascade
                 temperature: llmConfig.temperature || parseFloat(process.env.LLM_TEMPERATURE) || 0.7,
                 maxTokens: llmConfig.maxTokens || parseInt(process.env.LLM_MAX_TOKENS) || 2048,
@@ -110,6 +136,7 @@ class LLMService extends AbstractService {
             // Fallback configuration if configuration service fails
             this.config = {
                 endpoint: process.env.LLM_ENDPOINT || 'http://localhost:1234/v1/chat/completions',
+                serverType: process.env.LLM_SERVER_TYPE || 'openai',
                 model: null, // Will be resolved per-request
                 temperature: parseFloat(process.env.LLM_TEMPERATURE) || 0.7,
                 maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 2048,
@@ -171,28 +198,18 @@ class LLMService extends AbstractService {
     }
 
     /**
-     * INFRASTRUCTURE LAYER: Check LLM connection health
+     * INFRASTRUCTURE LAYER: Check LLM connection health (default provider)
      */
     async checkConnection() {
-        try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 5000);
-            
-            const modelsEndpoint = this.config.endpoint.replace('/chat/completions', '/models');
-            const response = await fetch(modelsEndpoint, {
-                method: 'GET',
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-            return response.ok;
-        } catch (error) {
+        const provider = await this.getProvider();
+        const isConnected = await provider.checkConnection();
+        if (!isConnected) {
             this.logger.warn('LLM connection check failed', 'LLM', {
-                error: error.message,
-                endpoint: this.config.endpoint.replace('/chat/completions', '/models')
+                provider: provider.name,
+                endpoint: provider.getHealthUrl()
             });
-            return false;
         }
+        return isConnected;
     }
 
     /**
@@ -240,9 +257,11 @@ class LLMService extends AbstractService {
 
     /**
      * DOMAIN LAYER: Generate streaming response
+     * options.signal aborts the upstream request; no retry or failover follows an abort
      */
     async generateStreamingResponse(prompt, context = [], options = {}, onChunk = null) {
         const startTime = Date.now();
+        const signal = options.signal || null;
         
         try {
             // Check rate limiting
@@ -253,280 +272,81 @@ class LLMService extends AbstractService {
             this.rateLimitConfig.currentRequests++;
             this.llmMetrics.totalRequests++;
             
-            const requestBody = await this.prepareStreamingRequestBody(prompt, context, options);
+            let { candidates } = await this.prepareRequest(prompt, context, options);
             
-            this.logger.debug('Starting streaming LLM request', 'LLM');
-            
-            // Use native Node.js HTTP for true streaming
-            return await this.processStreamingRequestNative(requestBody, onChunk, startTime);
+            // Once a chunk has reached the caller the reply can't be restarted elsewhere
+            let chunksSent = false;
+            const forwardChunk = (chunk, fullContent) => {
+                chunksSent = true;
+                if (typeof onChunk === 'function') {
+                    onChunk(chunk, fullContent);
+                }
+            };
             
-        } catch (error) {
-            const responseTime = Date.now() - startTime;
-            this.updateMetrics(responseTime, false);
-            const wrappedError = this.errorHandler.wrapDomainError(error, 'LLM streaming request failed');
-            this.logger.error('LLM streaming request failed', 'LLM', {
-                error: wrappedError.message
-            });
-            throw wrappedError;
-        }
-    }
-
-    /**
-     * INFRASTRUCTURE LAYER: Prepare streaming request body
-     */
-    async prepareStreamingRequestBody(prompt, context, options) {
-        const messages = await this.buildConversationMessages(prompt, context, options);
-        
-        // Resolve model configuration with cascade: character → user → global
-        let resolvedConfig = null;
-        let model = null;
-        let temperature = options?.temperature || this.config?.temperature || 0.7;
-        let maxTokens = options?.maxTokens || this.config?.maxTokens || 2048;
-        let configSource = 'unknown';
-        
-        // Determine role based on options (default to conversational)
-        const role = options?.role || 'conversational';
-        
-        // Try to resolve config if llmConfig service is available and we have user context
-        if (this.llmConfig && (options?.userId || options?.characterId)) {
-            try {
-                resolvedConfig = await this.llmConfig.resolveModelConfig(
-                    options.userId,
-                    options.characterId,
-                    role
-                );
-                
-                if (resolvedConfig && resolvedConfig.model) {
-                    // Use resolved config values from cascade
-                    model = resolvedConfig.model;
-                    temperature = resolvedConfig.temperature !== undefined ? resolvedConfig.temperature : temperature;
-                    maxTokens = resolvedConfig.max_tokens !== undefined ? resolvedConfig.max_tokens : maxTokens;
-                    
-                    // Determine configuration source for logging
-                    if (options.characterId) {
-                        configSource = 'character-specific';
-                    } else {
-                        configSource = 'user-default';
+            // Tools: one non-streamed round to let the model call them, then stream the answer
+            let toolState = { toolCalls: [], toolMode: null };
+            if (this.hasTools(options)) {
+                const loop = await this.runToolLoop(candidates, options, (provider, request) => provider.complete(request, signal), 1);
+                if (loop.done) {
+                    if (loop.result.content) {
+                        forwardChunk(loop.result.content, loop.result.content);
                     }
-                    
-                    this.logger.info('✅ Model resolved via LLMConfigService cascade', 'LLM', { 
-                        model, 
-                        role,
-                        source: configSource,
-                        userId: options.userId,
-                        characterId: options.characterId,
-                        temperature,
-                        maxTokens
-                    });
-                } else {
-                    this.logger.warn('⚠️ LLMConfigService returned null - check database configuration', 'LLM', {
-                        userId: options.userId,
-                        characterId: options.characterId,
-                        role
-                    });
+                    this.updateMetrics(Date.now() - startTime, true);
+                    return {
+                        ...loop.result,
+                        streaming: false,
+                        timestamp: Date.now(),
+                        cached: false
+                    };
                 }
-            } catch (error) {
-                this.logger.error('❌ Failed to resolve model config for streaming', 'LLM', { 
-                    error: error.message,
-                    userId: options.userId,
-                    characterId: options.characterId,
-                    role
-                });
+                candidates = loop.candidates;
+                toolState = { toolCalls: loop.toolCalls, toolMode: loop.toolMode };
             }
-        } else {
-            this.logger.warn('⚠️ Model resolution skipped - missing LLMConfigService or user context', 'LLM', {
-                hasLLMConfig: !!this.llmConfig,
-                hasUserId: !!options?.userId,
-                hasCharacterId: !!options?.characterId
-            });
-        }
-        
-        // Final validation - model MUST be set
-        if (!model) {
-            const errorMsg = 'No model configured. Please set global LLM configuration in database.';
-            this.logger.error('❌ CRITICAL: No model available for streaming request', 'LLM', {
-                userId: options?.userId,
-                characterId: options?.characterId,
-                role
-            });
-            throw new Error(errorMsg);
-        }
-        
-        // Get server type from configuration
-        const serverType = this.config?.serverType || 'lmstudio';
-        
-        // Build base config
-        const baseConfig = {
-            model: model,
-            messages: messages,
-            max_tokens: maxTokens,
-            temperature: temperature,
-            stream: true // Enable streaming
-        };
-        
-        // Adapt parameters for server type
-        const adaptedConfig = this.adaptParameters(baseConfig, serverType);
-        
-        this.logger.debug('Prepared streaming request body', 'LLM', {
-            model: adaptedConfig.model,
-            temperature: adaptedConfig.temperature,
-            maxTokens: adaptedConfig.max_tokens || adaptedConfig.num_predict,
-            messagesCount: adaptedConfig.messages?.length,
-            endpoint: this.config.endpoint
-        });
-        
-        return adaptedConfig;
-    }
-
-    /**
-     * INFRASTRUCTURE LAYER: Process streaming request with native Node.js HTTP
-     */
-    async processStreamingRequestNative(requestBody, onChunk, startTime) {
-        const https = require('https');
-        const http = require('http');
-        const url = require('url');
-        
-        return new Promise((resolve, reject) => {
-            const streamStartTime = Date.now();
-            let fullContent = '';
-            let buffer = '';
-            let chunkCount = 0;
-            let firstChunkReceived = false;
             
-            // Parse the endpoint URL
-            const parsedUrl = url.parse(this.config.endpoint);
-            const isHttps = parsedUrl.protocol === 'https:';
-            const client = isHttps ? https : http;
+            const result = await this.executeWithFailover(candidates, (provider, request) => {
+                this.logger.debug('Starting streaming LLM request', 'LLM', {
+                    provider: provider.name,
+                    type: provider.type,
+                    model: request.model,
+                    messagesCount: request.messages.length
+                });
+                return provider.stream(request, forwardChunk, signal);
+            }, () => !chunksSent && !(signal && signal.aborted));
             
-            const requestOptions = {
-                hostname: parsedUrl.hostname,
-                port: parsedUrl.port || (isHttps ? 443 : 80),
-                path: parsedUrl.path,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'text/event-stream',
-                    'Connection': 'keep-alive',
-                    'Cache-Control': 'no-cache'
-                }
+            const responseTime = Date.now() - startTime;
+            this.updateMetrics(responseTime, true);
+            this.logger.debug(`Streaming LLM response ${result.aborted ? 'aborted' : 'completed'} (${responseTime}ms)`, 'LLM');
+            
+            return {
+                ...result,
+                ...(toolState.toolMode ? toolState : {}),
+                timestamp: Date.now(),
+                cached: false
             };
             
-            this.logger.debug('Making streaming HTTP request', 'LLM', {
-                hostname: requestOptions.hostname,
-                port: requestOptions.port,
-                path: requestOptions.path,
-                model: requestBody.model,
-                messagesCount: requestBody.messages?.length
-            });
+        } catch (error) {
+            const responseTime = Date.now() - startTime;
             
-            const req = client.request(requestOptions, (res) => {
-                if (res.statusCode !== 200) {
-                    reject(new Error(`LLM request failed: ${res.statusCode} ${res.statusMessage}`));
-                    return;
-                }
-                
-                // Process data immediately as it arrives
-                res.on('data', (chunk) => {
-                    if (!firstChunkReceived) {
-                        this.logger.debug(`LLM: First chunk received after ${Date.now() - streamStartTime}ms`, 'LLM');
-                        firstChunkReceived = true;
-                    }
-                    
-                    // Decode chunk immediately
-                    const chunkText = chunk.toString('utf8');
-                    buffer += chunkText;
-                    
-                    // Process ALL lines immediately
-                    const lines = buffer.split('\n');
-                    
-                    // Keep the last potentially incomplete line in buffer
-                    if (buffer.endsWith('\n')) {
-                        buffer = '';
-                    } else {
-                        buffer = lines.pop() || '';
-                    }
-                    
-                    // Process all complete lines immediately
-                    for (const line of lines) {
-                        if (line.trim() === '') continue;
-                        if (line.startsWith('data: ')) {
-                            const data = line.slice(6);
-                            
-                            if (data === '[DONE]') {
-                                this.logger.debug(`LLM: Stream ended after ${chunkCount} chunks in ${Date.now() - streamStartTime}ms`, 'LLM');
-                                const responseTime = Date.now() - startTime;
-                                this.updateMetrics(responseTime, true);
-                                resolve({
-                                    content: fullContent,
-                                    usage: null,
-                                    model: this.config.model,
-                                    timestamp: Date.now(),
-                                    cached: false,
-                                    streaming: true
-                                });
-                                return;
-                            }
-                            
-                            try {
-                                const parsed = JSON.parse(data);
-                                const content = parsed.choices?.[0]?.delta?.content;
-                                
-                                if (content) {
-                                    fullContent += content;
-                                    chunkCount++;
-                                    
-                                    // Call the chunk callback immediately for real-time streaming
-                                    if (onChunk && typeof onChunk === 'function') {
-                                        this.logger.debug(`LLM: Streaming chunk #${chunkCount} (${content.length} chars)`, 'LLM');
-                                        onChunk(content, fullContent);
-                                    }
-                                }
-                            } catch (parseError) {
-                                // Silently skip malformed chunks to maintain stream flow
-                            }
-                        }
-                    }
-                });
-                
-                res.on('end', () => {
-                    this.logger.debug(`Streaming LLM response completed (${Date.now() - startTime}ms)`, 'LLM');
-                    const responseTime = Date.now() - startTime;
-                    this.updateMetrics(responseTime, true);
-                    resolve({
-                        content: fullContent,
-                        usage: null,
-                        model: this.config.model,
-                        timestamp: Date.now(),
-                        cached: false,
-                        streaming: true
-                    });
-                });
-                
-                res.on('error', (error) => {
-                    this.logger.error('Streaming response error', 'LLM', {
-                        error: error.message
-                    });
-                    const responseTime = Date.now() - startTime;
-                    this.updateMetrics(responseTime, false);
-                    reject(error);
-                });
-            });
+            // Aborted before the answer started streaming (e.g. during a tool round)
+            if (signal && signal.aborted) {
+                this.logger.debug(`Streaming LLM response aborted (${responseTime}ms)`, 'LLM');
+                return {
+                    content: '',
+                    streaming: true,
+                    aborted: true,
+                    timestamp: Date.now(),
+                    cached: false
+                };
+            }
             
-            req.on('error', (error) => {
-                this.logger.error('Streaming request error', 'LLM', {
-                    error: error.message
-                });
-                const responseTime = Date.now() - startTime;
-                this.updateMetrics(responseTime, false);
-                reject(error);
+            this.updateMetrics(responseTime, false);
+            const wrappedError = this.errorHandler.wrapDomainError(error, 'LLM streaming request failed');
+            this.logger.error('LLM streaming request failed', 'LLM', {
+                error: wrappedError.message
             });
-            
-            // Send the request body
-            req.write(JSON.stringify(requestBody));
-            req.end();
-        });
+            throw wrappedError;
+        }
     }
-
     /**
      * INFRASTRUCTURE LAYER: Queue request for processing
      */
@@ -593,49 +413,62 @@ class LLMService extends AbstractService {
             this.llmMetrics.totalRequests++;
             this.rateLimitConfig.currentRequests++;
             
-            // Check connection before processing
-            if (!await this.checkConnection()) {
-                throw new Error('LLM service not available - connection failed');
-            }
-            
-            // Prepare request body
-            const requestBody = await this.prepareRequestBody(request);
+            // Resolve the model chain, then try each backend until one answers
+            const { candidates } = await this.prepareRequest(
+                request.prompt,
+                request.context,
+                request.options
+            );
             
-            // Make HTTP request to LLM with timeout
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
-            
-            this.logger.debug('Making LLM request', 'LLM', {
-                endpoint: this.config.endpoint
-            });
-            
-            const response = await fetch(this.config.endpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody),
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
+            const attemptFn = async (provider, llmRequest) => {
+                if (!await provider.checkConnection()) {
+                    const connectionError = new Error(`LLM service not available - connection to provider '${provider.name}' failed`);
+                    connectionError.code = 'ECONNREFUSED';
+                    throw connectionError;
+                }
+                
+                this.logger.debug('Making LLM request', 'LLM', {
+                    provider: provider.name,
+                    type: provider.type,
+                    endpoint: provider.endpoint
+                });
+                
+                return provider.complete(llmRequest);
+            };
             
-            if (!response.ok) {
-                throw new Error(`LLM request failed: ${response.status} ${response.statusText}`);
+            let result;
+            if (this.hasTools(request.options)) {
+                const loop = await this.runToolLoop(candidates, request.options, attemptFn, this.maxToolRounds);
+                if (loop.done) {
+                    result = loop.result;
+                } else {
+                    result = await this.executeWithFailover(loop.candidates, attemptFn);
+                    // Out of tool rounds: drop any further text-protocol calls from the answer
+                    if (loop.toolMode === 'text') {
+                        result.content = ToolProtocol.parseToolCalls(result.content).content;
+                    }
+                    result = { ...result, toolCalls: loop.toolCalls, toolMode: loop.toolMode };
+                }
+            } else {
+                result = await this.executeWithFailover(candidates, attemptFn);
             }
             
-            const result = await this.processLLMResponse(response, request);
-            
             const responseTime = Date.now() - startTime;
             this.updateMetrics(responseTime, true);
             this.llmMetrics.successfulRequests++;
             
             this.logger.debug('LLM response generated', 'LLM', {
+                provider: result.provider,
+                attempts: result.attempts,
                 tokens: result.usage?.total_tokens || 'unknown',
                 responseTime: responseTime
             });
             
-            return result;
+            return {
+                ...result,
+                timestamp: Date.now(),
+                cached: false
+            };
             
         } catch (error) {
             const responseTime = Date.now() - startTime;
@@ -656,110 +489,395 @@ class LLMService extends AbstractService {
     }
 
     /**
-     * INFRASTRUCTURE LAYER: Prepare request body
+     * INFRASTRUCTURE LAYER: Prepare provider requests
+     * Resolves the role's model chain (character → user → global cascade, then
+     * fallbacks) and the named provider of each entry, and builds the neutral
+     * request the provider adapters translate into their wire format.
+     * @returns {Promise<Object>} { provider, request, candidates: [{ provider, request, toolMode }] }
+     *   provider/request are the primary candidate
      */
-    async prepareRequestBody(request) {
-        const messages = await this.buildConversationMessages(
-            request.prompt, 
-            request.context, 
-            request.options
-        );
+    async prepareRequest(prompt, context, options = {}) {
+        const messages = await this.buildConversationMessages(prompt, context, options);
         
-        // Resolve model configuration with cascade: character → user → global
-        let resolvedConfig = null;
-        let model = null;
-        let temperature = request.options?.temperature || this.config?.temperature || 0.7;
-        let maxTokens = request.options?.maxTokens || this.config?.maxTokens || 2048;
-        let configSource = 'unknown';
+        const defaultTemperature = options?.temperature || this.config?.temperature || 0.7;
+        const defaultMaxTokens = options?.maxTokens || this.config?.maxTokens || 2048;
+        const stop = Array.isArray(options?.stop) ? options.stop.filter(sequence => typeof sequence === 'string' && sequence) : [];
+        let chain = [];
         
-        // Determine role based on request options (default to conversational)
-        const role = request.options?.role || 'conversational';
+        // Determine role based on options (default to conversational)
+        const role = options?.role || 'conversational';
         
         // Try to resolve config if llmConfig service is available and we have user context
-        if (this.llmConfig && (request.options?.userId || request.options?.characterId)) {
+        if (this.llmConfig && (options?.userId || options?.characterId)) {
             try {
-                resolvedConfig = await this.llmConfig.resolveModelConfig(
-                    request.options.userId,
-                    request.options.characterId,
+                chain = await this.llmConfig.resolveModelChain(
+                    options.userId,
+                    options.characterId,
                     role
-                );
+                ) || [];
                 
-                if (resolvedConfig && resolvedConfig.model) {
-                    // Use resolved config values from cascade
-                    model = resolvedConfig.model;
-                    temperature = resolvedConfig.temperature !== undefined ? resolvedConfig.temperature : temperature;
-                    maxTokens = resolvedConfig.max_tokens !== undefined ? resolvedConfig.max_tokens : maxTokens;
-                    
-                    // Determine configuration source for logging
-                    if (request.options.characterId) {
-                        configSource = 'character-specific';
-                    } else {
-                        configSource = 'user-default';
-                    }
-                    
+                if (chain.length > 0) {
                     this.logger.info('✅ Model resolved via LLMConfigService cascade', 'LLM', { 
-                        model, 
+                        model: chain[0].model,
+                        provider: chain[0].provider || 'default',
+                        fallbacks: chain.length - 1,
                         role,
-                        source: configSource,
-                        userId: request.options.userId,
-                        characterId: request.options.characterId,
-                        temperature,
-                        maxTokens
+                        source: options.characterId ? 'character-specific' : 'user-default',
+                        userId: options.userId,
+                        characterId: options.characterId
                     });
                 } else {
                     this.logger.warn('⚠️ LLMConfigService returned null - check database configuration', 'LLM', {
-                        userId: request.options.userId,
-                        characterId: request.options.characterId,
+                        userId: options.userId,
+                        characterId: options.characterId,
                         role
                     });
                 }
             } catch (error) {
                 this.logger.error('❌ Failed to resolve model config', 'LLM', { 
                     error: error.message,
-                    userId: request.options?.userId,
-                    characterId: request.options?.characterId,
+                    userId: options?.userId,
+                    characterId: options?.characterId,
                     role
                 });
             }
         } else {
             this.logger.warn('⚠️ Model resolution skipped - missing LLMConfigService or user context', 'LLM', {
                 hasLLMConfig: !!this.llmConfig,
-                hasUserId: !!request.options?.userId,
-                hasCharacterId: !!request.options?.characterId
+                hasUserId: !!options?.userId,
+                hasCharacterId: !!options?.characterId
             });
         }
         
         // Final validation - model MUST be set
-        if (!model) {
+        if (chain.length === 0) {
             const errorMsg = 'No model configured. Please set global LLM configuration in database.';
             this.logger.error('❌ CRITICAL: No model available for request', 'LLM', {
-                userId: request.options?.userId,
-                characterId: request.options?.characterId,
+                userId: options?.userId,
+                characterId: options?.characterId,
                 role
             });
             throw new Error(errorMsg);
         }
         
-        // Get server type from configuration
-        const serverType = this.config?.serverType || 'lmstudio';
+        const candidates = [];
+        for (const entry of chain) {
+            try {
+                candidates.push({
+                    provider: await this.getProvider(entry.provider),
+                    toolMode: entry.tool_mode || null,
+                    request: {
+                        model: entry.model,
+                        messages,
+                        temperature: entry.temperature !== undefined ? entry.temperature : defaultTemperature,
+                        maxTokens: entry.max_tokens !== undefined ? entry.max_tokens : defaultMaxTokens,
+                        ...(stop.length > 0 ? { stop } : {})
+                    }
+                });
+            } catch (error) {
+                // A misconfigured fallback shouldn't take down the rest of the chain
+                this.logger.warn('Skipping unavailable LLM provider in model chain', 'LLM', {
+                    provider: entry.provider,
+                    model: entry.model,
+                    error: error.message
+                });
+            }
+        }
+        
+        if (candidates.length === 0) {
+            throw new Error('No usable LLM provider in the model chain');
+        }
         
-        // Build base config
-        const baseConfig = {
-            model: model,
-            messages: messages,
-            max_tokens: maxTokens,
-            temperature: temperature,
-            stream: false
+        return {
+            provider: candidates[0].provider,
+            request: candidates[0].request,
+            candidates
         };
+    }
+
+    /**
+     * INFRASTRUCTURE LAYER: Run a request along the failover chain
+     * Each candidate is retried with exponential backoff on retryable errors
+     * (network, timeout, 5xx, 429); endpoints with an open circuit are skipped.
+     * @param {Array} candidates - [{ provider, request }] in priority order
+     * @param {Function} attemptFn - (provider, request) => Promise<result>
+     * @param {Function} canRetry - Whether another attempt is still allowed (streaming stops once chunks are sent)
+     * @returns {Promise<Object>} Provider result plus { endpoint, attempts, failover, failedBackends }
+     */
+    async executeWithFailover(candidates, attemptFn, canRetry = () => true) {
+        const failures = [];
+        let attempts = 0;
         
-        // Adapt parameters for server type
-        const adaptedConfig = this.adaptParameters(baseConfig, serverType);
+        for (let index = 0; index < candidates.length; index++) {
+            const { provider, request } = candidates[index];
+            const circuit = this.getCircuit(provider);
+            
+            if (!circuit.canRequest()) {
+                this.logger.warn('Skipping LLM backend with open circuit', 'LLM', {
+                    provider: provider.name,
+                    endpoint: provider.endpoint
+                });
+                failures.push({ provider: provider.name, model: request.model, error: 'circuit open', status: null });
+                continue;
+            }
+            
+            for (let retry = 0; retry <= this.retryPolicy.maxRetries; retry++) {
+                attempts++;
+                try {
+                    const result = await attemptFn(provider, request);
+                    circuit.recordSuccess();
+                    if (index === 0) {
+                        this.connectionHealthy = true;
+                    }
+                    
+                    if (failures.length > 0) {
+                        this.logger.warn('LLM request served by fallback backend', 'LLM', {
+                            provider: provider.name,
+                            model: request.model,
+                            failedBackends: failures
+                        });
+                    }
+                    
+                    return {
+                        ...result,
+                        provider: provider.name,
+                        model: result.model || request.model,
+                        endpoint: provider.endpoint,
+                        attempts,
+                        failover: index > 0,
+                        failedBackends: failures
+                    };
+                } catch (error) {
+                    const retryable = this.isRetryableError(error);
+                    if (retryable) {
+                        circuit.recordFailure(error);
+                    }
+                    
+                    this.logger.warn('LLM backend attempt failed', 'LLM', {
+                        provider: provider.name,
+                        model: request.model,
+                        attempt: retry + 1,
+                        retryable,
+                        circuit: circuit.state,
+                        error: error.message
+                    });
+                    
+                    if (!canRetry()) {
+                        throw error;
+                    }
+                    
+                    const lastRetry = retry === this.retryPolicy.maxRetries;
+                    if (!retryable || lastRetry || !circuit.canRequest()) {
+                        failures.push({ provider: provider.name, model: request.model, error: error.message, status: error.status || null });
+                        break;
+                    }
+                    
+                    await this.sleep(this.getRetryDelay(retry));
+                }
+            }
+        }
         
-        return adaptedConfig;
+        if (candidates.length > 0 && this.getCircuit(candidates[0].provider).state === 'open') {
+            this.connectionHealthy = false;
+        }
+        
+        const summary = failures.map(f => `${f.provider}/${f.model}: ${f.error}`).join('; ');
+        const error = new Error(`All LLM backends failed (${summary})`);
+        error.failedBackends = failures;
+        throw error;
     }
 
+    /**
+     * APPLICATION LAYER: Whether a request asks for tool calling
+     */
+    hasTools(options) {
+        return !!(options?.tools && options.tools.length > 0 && typeof options.executeTool === 'function');
+    }
+
+    /**
+     * APPLICATION LAYER: Let the model call tools until it answers
+     * Native mode sends `tools` to the provider; text mode (chain entry
+     * `tool_mode: 'text'`, or a server that rejects `tools` with 400/422) describes
+     * them in the system prompt and parses <tool_call> blocks from the reply.
+     * Results are appended to every candidate's messages so failover keeps them.
+     * @param {Array} candidates - [{ provider, request, toolMode }]
+     * @param {Object} options - { tools, executeTool, toolMode, signal }
+     * @param {Function} attemptFn - (provider, request) => Promise<result>, non-streaming
+     * @param {number} maxRounds - Tool rounds before the answer is requested without tools
+     * @returns {Promise<Object>} { done: true, result } when the model answered, otherwise
+     *   { done: false, candidates, toolCalls, toolMode } ready for the final answer request
+     */
+    async runToolLoop(candidates, options, attemptFn, maxRounds = this.maxToolRounds) {
+        let toolMode = options.toolMode || candidates[0]?.toolMode || 'native';
+        const working = candidates.map(candidate => ({
+            ...candidate,
+            request: { ...candidate.request, messages: [...candidate.request.messages] }
+        }));
+        const toolCalls = [];
+        let round = 0;
+        
+        while (round < maxRounds) {
+            const roundCandidates = working.map(candidate => ({
+                ...candidate,
+                request: toolMode === 'native'
+                    ? { ...candidate.request, tools: options.tools }
+                    : { ...candidate.request, messages: this.withToolInstructions(candidate.request.messages, options.tools) }
+            }));
+            
+            let result;
+            try {
+                result = await this.executeWithFailover(roundCandidates, attemptFn, () => !(options.signal && options.signal.aborted));
+            } catch (error) {
+                const toolsRejected = (error.failedBackends || []).some(f => f.status === 400 || f.status === 422);
+                if (toolMode === 'native' && round === 0 && toolsRejected) {
+                    this.logger.warn('Native tool calling rejected, falling back to text protocol', 'LLM', {
+                        failedBackends: error.failedBackends
+                    });
+                    toolMode = 'text';
+                    continue;
+                }
+                throw error;
+            }
+            round++;
+            
+            const rawContent = result.content || '';
+            let calls = result.toolCalls || [];
+            if (toolMode === 'text') {
+                const parsed = ToolProtocol.parseToolCalls(rawContent);
+                calls = parsed.toolCalls;
+                result = { ...result, content: parsed.content };
+            }
+            
+            if (calls.length === 0) {
+                return { done: true, result: { ...result, toolCalls, toolMode } };
+            }
+            
+            const executed = [];
+            for (const call of calls) {
+                const callResult = await options.executeTool(call);
+                executed.push({ call, result: callResult });
+                toolCalls.push({ name: call.name, arguments: call.arguments, result: callResult });
+            }
+            
+            this.logger.debug('Executed tool calls', 'LLM', {
+                round,
+                toolMode,
+                tools: calls.map(call => call.name)
+            });
+            
+            const additions = toolMode === 'native'
+                ? [
+                    { role: 'assistant', content: rawContent, toolCalls: calls },
+                    ...executed.map(({ call, result: callResult }) => ({
+                        role: 'tool',
+                        toolCallId: call.id,
+                        name: call.name,
+                        content: JSON.stringify(callResult)
+                    }))
+                ]
+                : [
+                    { role: 'assistant', content: rawContent },
+                    { role: 'user', content: ToolProtocol.formatToolResults(executed.map(({ call, result: callResult }) => ({ name: call.name, result: callResult }))) }
+                ];
+            working.forEach(candidate => candidate.request.messages.push(...additions));
+        }
+        
+        // Native tool messages need the tool definitions; tool_choice 'none' asks for the answer
+        const finalCandidates = toolMode === 'native'
+            ? working.map(candidate => ({
+                ...candidate,
+                request: { ...candidate.request, tools: options.tools, toolChoice: 'none' }
+            }))
+            : working;
+        
+        return { done: false, candidates: finalCandidates, toolCalls, toolMode };
+    }
+
+    /**
+     * APPLICATION LAYER: Add the text tool protocol to the system message
+     */
+    withToolInstructions(messages, tools) {
+        const instructions = ToolProtocol.buildInstructions(tools);
+        if (messages[0]?.role === 'system') {
+            return [{ ...messages[0], content: `${messages[0].content}\n\n${instructions}` }, ...messages.slice(1)];
+        }
+        return [{ role: 'system', content: instructions }, ...messages];
+    }
+
+    /**
+     * INFRASTRUCTURE LAYER: Whether an error is worth retrying
+     * HTTP errors carry `status`; a 4xx other than 429 means the request itself was rejected
+     */
+    isRetryableError(error) {
+        if (error?.status) {
+            return error.status === 429 || error.status >= 500;
+        }
+        return true;
+    }
+
+    /**
+     * INFRASTRUCTURE LAYER: Exponential backoff with jitter
+     */
+    getRetryDelay(retry) {
+        const delay = Math.min(this.retryPolicy.baseDelayMs * Math.pow(2, retry), this.retryPolicy.maxDelayMs);
+        return delay + Math.floor(Math.random() * this.retryPolicy.baseDelayMs / 2);
+    }
+
+    /**
+     * INFRASTRUCTURE LAYER: Circuit breaker for a provider's endpoint
+     */
+    getCircuit(provider) {
+        const key = provider.endpoint || provider.name;
+        if (!this.circuits.has(key)) {
+            this.circuits.set(key, {
+                breaker: new CircuitBreaker(key, this.circuitBreakerConfig),
+                provider
+            });
+        }
+        return this.circuits.get(key).breaker;
+    }
+
+    /**
+     * APPLICATION LAYER: Circuit states for health and metrics
+     */
+    getCircuitStatus() {
+        return Array.from(this.circuits.values()).map(({ breaker, provider }) => ({
+            provider: provider.name,
+            ...breaker.getStatus()
+        }));
+    }
+
+    /**
+     * INFRASTRUCTURE LAYER: Get a provider adapter by name
+     * 'default' (or no name) is the endpoint from LLM_ENDPOINT / configuration;
+     * other names are looked up in the llm_providers configuration.
+     */
+    async getProvider(name = null) {
+        if (!name || name === 'default') {
+            return createProvider('default', {
+                type: this.config?.serverType || 'openai',
+                endpoint: this.config?.endpoint,
+                api_key_env: 'LLM_API_KEY',
+                timeout: this.config?.timeout
+            });
+        }
+        
+        if (!this.llmConfig) {
+            throw new Error(`Cannot resolve LLM provider '${name}' without LLMConfigService`);
+        }
+        
+        const providerConfig = await this.llmConfig.getProviderConfig(name);
+        return createProvider(name, {
+            timeout: this.config?.timeout,
+            ...providerConfig
+        });
+    }
     /**
      * DOMAIN LAYER: Build conversation messages for LLM
+     * options.contextFitted - the context was already fitted to the prompt budget:
+     *   send all of it, untruncated (otherwise only the last 5 short messages)
+     * options.mergeConsecutiveTurns - join consecutive turns of the same role into one
+     *   (for models that expect strictly alternating user/assistant turns)
      */
     async buildConversationMessages(prompt, context, options) {
         const messages = [];
@@ -775,10 +893,10 @@ class LLMService extends AbstractService {
         // Add context messages
         if (context && context.length > 0) {
             // Limit context to last 5 messages to prevent memory issues
-            const limitedContext = context.slice(-5);
+            const limitedContext = options.contextFitted ? context : context.slice(-5);
             
             for (const contextMessage of limitedContext) {
-                const processedMessage = this.processContextMessage(contextMessage);
+                const processedMessage = this.processContextMessage(contextMessage, options.contextFitted ? Infinity : 2000);
                 if (processedMessage) {
                     messages.push(processedMessage);
                 }
@@ -793,13 +911,33 @@ class LLMService extends AbstractService {
         
         this.logger.debug(`Building conversation with ${messages.length} messages`, 'LLM');
         
-        return messages;
+        return options.mergeConsecutiveTurns ? this.mergeConsecutiveTurns(messages) : messages;
+    }
+
+    /**
+     * DOMAIN LAYER: Join consecutive user or assistant turns into one turn
+     * System, tool and tool-call messages are never merged
+     */
+    mergeConsecutiveTurns(messages) {
+        const mergeable = message => ['user', 'assistant'].includes(message.role) &&
+            !(message.toolCalls && message.toolCalls.length > 0);
+
+        return messages.reduce((merged, message) => {
+            const previous = merged[merged.length - 1];
+            if (previous && previous.role === message.role && mergeable(previous) && mergeable(message)) {
+                merged[merged.length - 1] = { ...previous, content: `${previous.content}\n\n${message.content}` };
+            } else {
+                merged.push(message);
+            }
+            return merged;
+        }, []);
     }
 
     /**
      * DOMAIN LAYER: Process individual context message
+     * @param {number} maxLength - Longer messages are skipped
      */
-    processContextMessage(contextMessage) {
+    processContextMessage(contextMessage, maxLength = 2000) {
         let content;
         let role = 'user';
         
@@ -824,7 +962,7 @@ class LLMService extends AbstractService {
         }
         
         // Only return if we have valid content and it's not too long
-        if (content && content.trim() && content.length < 2000) {
+        if (content && content.trim() && content.length < maxLength) {
             return {
                 role: role,
                 content: content.trim()
@@ -834,43 +972,6 @@ class LLMService extends AbstractService {
         return null;
     }
 
-    /**
-     * INFRASTRUCTURE LAYER: Process LLM response
-     */
-    async processLLMResponse(response, request) {
-        const data = await response.json();
-        
-        if (!data.choices || data.choices.length === 0) {
-            throw new Error('No response from LLM');
-        }
-        
-        const choice = data.choices[0];
-        let llmResponse = '';
-        
-        // Handle different response formats from various models
-        if (choice.message.content && choice.message.content.trim()) {
-            llmResponse = choice.message.content.trim();
-        } else if (choice.message.reasoning_content && choice.message.reasoning_content.trim()) {
-            // Some models put the actual response in reasoning_content
-            llmResponse = choice.message.reasoning_content.trim();
-        } else {
-            throw new Error('No content found in LLM response');
-        }
-        
-        this.logger.debug('LLM response processed', 'LLM', {
-            tokens: data.usage?.total_tokens || 'unknown',
-            model: data.model
-        });
-        
-        return {
-            content: llmResponse,
-            usage: data.usage,
-            model: data.model || this.config.model,
-            timestamp: Date.now(),
-            cached: false
-        };
-    }
-
     /**
      * DOMAIN LAYER: Build analysis prompt
      */
@@ -890,28 +991,6 @@ class LLMService extends AbstractService {
         return prompts[analysisType] || `Analyze the following text: "${text}"`;
     }
 
-    /**
-     * INFRASTRUCTURE LAYER: Adapt parameters for different server types
-     * Ollama uses 'num_predict', OpenAI/LMStudio use 'max_tokens'
-     */
-    adaptParameters(config, serverType) {
-        if (!config) return {};
-        
-        const adapted = { ...config };
-        
-        // Handle max_tokens vs num_predict based on server type
-        if (serverType === 'ollama' && adapted.max_tokens) {
-            adapted.num_predict = adapted.max_tokens;
-            delete adapted.max_tokens;
-        } else if ((serverType === 'lmstudio' || serverType === 'openai') && adapted.num_predict) {
-            adapted.max_tokens = adapted.num_predict;
-            delete adapted.num_predict;
-        }
-        // For 'custom' server type, pass as-is
-        
-        return adapted;
-    }
-
     /**
      * INFRASTRUCTURE LAYER: Rate limiting
      */
@@ -988,6 +1067,22 @@ class LLMService extends AbstractService {
             this.connectionHealthy = isConnected;
             this.lastHealthCheck = Date.now();
             
+            // Feed the health check into the default endpoint's circuit
+            const defaultProvider = await this.getProvider();
+            const defaultCircuit = this.getCircuit(defaultProvider);
+            if (isConnected) {
+                defaultCircuit.recordSuccess();
+            } else {
+                defaultCircuit.recordFailure(new Error('Health check failed'));
+            }
+            
+            // Probe other open circuits so recovered backends rejoin without a failed request
+            for (const { breaker, provider } of this.circuits.values()) {
+                if (breaker !== defaultCircuit && breaker.state !== 'closed' && await provider.checkConnection()) {
+                    breaker.recordSuccess();
+                }
+            }
+            
             return {
                 healthy: isConnected && responseTime < 5000, // 5 second threshold
                 details: {
@@ -997,7 +1092,8 @@ class LLMService extends AbstractService {
                     queueLength: this.requestQueue.length,
                     totalRequests: this.llmMetrics.totalRequests,
                     successRate: this.getSuccessRate(),
-                    averageResponseTime: this.llmMetrics.averageResponseTime
+                    averageResponseTime: this.llmMetrics.averageResponseTime,
+                    circuits: this.getCircuitStatus()
                 }
             };
         } catch (error) {
@@ -1019,6 +1115,7 @@ class LLMService extends AbstractService {
             ...this.llmMetrics,
             queueLength: this.requestQueue.length,
             connectionHealthy: this.connectionHealthy,
+            circuits: this.getCircuitStatus(),
             rateLimitStatus: {
                 requestsPerMinute: this.rateLimitConfig.requestsPerMinute,
                 currentRequests: this.rateLimitConfig.currentRequests,
@@ -0,0 +1,141 @@
+/**
+ * INTELLIGENCE LAYER: Embedding Service
+ *
+ * Turns text into vectors for the semantic memory index.
+ * - Calls an OpenAI-compatible /v1/embeddings endpoint resolved through LLMConfigService
+ * - Supports a deterministic 'fake' provider (hashed bag-of-words) for tests
+ *   and for running without an embeddings server
+ */
+
+const AbstractService = require('../base/CORE_AbstractService');
+const EmbeddingUtils = require('../../utils/embedding_utils');
+
+class EmbeddingService extends AbstractService {
+    constructor(dependencies) {
+        super('Embedding', dependencies);
+        this.llmConfig = dependencies.llmConfig;
+        this.logger = dependencies.logger;
+        this.errorHandler = dependencies.errorHandling;
+
+        this.timeout = 30000;
+        this.batchSize = 32;
+        this.fakeDimensions = 64;
+    }
+
+    async onInitialize() {
+        if (!this.llmConfig) {
+            throw new Error('LLM config service dependency is required');
+        }
+        this.logger.info('EmbeddingService initialized', 'Embedding');
+    }
+
+    /**
+     * Embed a list of texts
+     * @param {Array<string>} texts - Texts to embed
+     * @param {Object} options - { userId }
+     * @returns {Promise<Object>} { model, vectors } where vectors[i] belongs to texts[i]
+     */
+    async embedTexts(texts, options = {}) {
+        try {
+            const config = await this.llmConfig.resolveEmbeddingConfig(options.userId);
+
+            if (!texts || texts.length === 0) {
+                return { model: config.model, vectors: [] };
+            }
+
+            if (config.provider === 'fake') {
+                const dimensions = config.dimensions || this.fakeDimensions;
+                return {
+                    model: config.model,
+                    vectors: texts.map(text => EmbeddingUtils.createFakeEmbedding(text, dimensions))
+                };
+            }
+
+            const vectors = [];
+            for (let i = 0; i < texts.length; i += this.batchSize) {
+                const batch = texts.slice(i, i + this.batchSize);
+                vectors.push(...await this.requestEmbeddings(config, batch));
+            }
+
+            this.logger.debug('Texts embedded', 'Embedding', {
+                count: texts.length,
+                model: config.model,
+                dimensions: vectors[0]?.length
+            });
+
+            return { model: config.model, vectors };
+        } catch (error) {
+            throw this.errorHandler.wrapDomainError(error, 'Failed to embed texts', {
+                count: texts?.length,
+                userId: options.userId
+            });
+        }
+    }
+
+    /**
+     * Embed a single text
+     * @returns {Promise<Object>} { model, vector }
+     */
+    async embedText(text, options = {}) {
+        const { model, vectors } = await this.embedTexts([text], options);
+        return { model, vector: vectors[0] };
+    }
+
+    /**
+     * Resolve the embedding model name for a user without embedding anything
+     */
+    async getModel(userId) {
+        const config = await this.llmConfig.resolveEmbeddingConfig(userId);
+        return config.model;
+    }
+
+    /**
+     * INFRASTRUCTURE LAYER: POST a batch to the OpenAI-compatible endpoint
+     */
+    async requestEmbeddings(config, batch) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.api_key) {
+            headers.Authorization = `Bearer ${config.api_key}`;
+        }
+
+        const body = { model: config.model, input: batch };
+        if (config.dimensions) {
+            body.dimensions = config.dimensions;
+        }
+
+        try {
+            const response = await fetch(config.endpoint, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Embedding request failed: ${response.status} ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            if (!result || !Array.isArray(result.data) || result.data.length !== batch.length) {
+                throw new Error('Embedding response did not contain one vector per input');
+            }
+
+            // Responses carry an index per item; don't rely on array order
+            return [...result.data]
+                .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+                .map(item => item.embedding);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Embedding request timed out');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+}
+
+module.exports = EmbeddingService;
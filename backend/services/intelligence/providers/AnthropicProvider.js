@@ -0,0 +1,171 @@
+const BaseLLMProvider = require('./BaseLLMProvider');
+
+/**
+ * INFRASTRUCTURE LAYER: Anthropic messages provider
+ *
+ * POST /v1/messages with the system prompt as a top-level field and
+ * max_tokens required. Streaming is SSE with typed events; text arrives in
+ * content_block_delta events and the stream ends with message_stop.
+ */
+class AnthropicProvider extends BaseLLMProvider {
+    constructor(name, config = {}) {
+        super(name, { endpoint: 'https://api.anthropic.com', api_key_env: 'ANTHROPIC_API_KEY', ...config });
+        this.apiVersion = config.api_version || '2023-06-01';
+    }
+
+    getRequestUrl() {
+        return this.endpoint.endsWith('/v1/messages')
+            ? this.endpoint
+            : `${this.endpoint}/v1/messages`;
+    }
+
+    getHealthUrl() {
+        return this.getRequestUrl().replace(/\/messages$/, '/models');
+    }
+
+    getHeaders() {
+        const headers = super.getHeaders();
+        headers['anthropic-version'] = this.apiVersion;
+        if (this.apiKey) {
+            headers['x-api-key'] = this.apiKey;
+        }
+        return headers;
+    }
+
+    buildRequestBody(request, stream) {
+        const system = request.messages
+            .filter(message => message.role === 'system')
+            .map(message => message.content)
+            .join('\n\n');
+
+        const body = {
+            model: request.model,
+            messages: this.formatMessages(request.messages.filter(message => message.role !== 'system')),
+            max_tokens: request.maxTokens || 1024,
+            stream
+        };
+
+        if (system) {
+            body.system = system;
+        }
+        if (request.tools && request.tools.length > 0) {
+            body.tools = request.tools.map(tool => ({
+                name: tool.function.name,
+                description: tool.function.description,
+                input_schema: tool.function.parameters || { type: 'object', properties: {} }
+            }));
+            if (request.toolChoice) {
+                body.tool_choice = { type: request.toolChoice };
+            }
+        }
+        if (request.temperature !== undefined) {
+            body.temperature = request.temperature;
+        }
+        // Anthropic rejects whitespace-only stop sequences
+        const stopSequences = (request.stop || []).filter(sequence => sequence.trim());
+        if (stopSequences.length > 0) {
+            body.stop_sequences = stopSequences;
+        }
+
+        return body;
+    }
+
+    /**
+     * Tool calls become tool_use blocks on the assistant turn; tool results become
+     * tool_result blocks, grouped into one user turn per batch of calls
+     */
+    formatMessages(messages) {
+        const formatted = [];
+        for (const message of messages) {
+            if (message.role === 'tool') {
+                const block = { type: 'tool_result', tool_use_id: message.toolCallId, content: message.content };
+                const previous = formatted[formatted.length - 1];
+                if (previous && previous.role === 'user' && Array.isArray(previous.content) &&
+                    previous.content.every(item => item.type === 'tool_result')) {
+                    previous.content.push(block);
+                } else {
+                    formatted.push({ role: 'user', content: [block] });
+                }
+            } else if (message.toolCalls && message.toolCalls.length > 0) {
+                formatted.push({
+                    role: 'assistant',
+                    content: [
+                        ...(message.content ? [{ type: 'text', text: message.content }] : []),
+                        ...message.toolCalls.map(call => ({
+                            type: 'tool_use',
+                            id: call.id,
+                            name: call.name,
+                            input: call.arguments || {}
+                        }))
+                    ]
+                });
+            } else {
+                formatted.push({ role: message.role, content: message.content });
+            }
+        }
+        return formatted;
+    }
+
+    parseResponse(data) {
+        if (data?.type === 'error') {
+            throw new Error(`Anthropic error: ${data.error?.message || 'unknown error'}`);
+        }
+
+        const blocks = data?.content || [];
+        const content = blocks
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('')
+            .trim();
+        const toolCalls = blocks
+            .filter(block => block.type === 'tool_use')
+            .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }));
+
+        return {
+            content,
+            usage: this.parseUsage(data?.usage),
+            model: data?.model,
+            toolCalls
+        };
+    }
+
+    parseStreamLine(line) {
+        // Event names are repeated in the data payload's `type`, so only data lines matter
+        if (!line.startsWith('data:')) {
+            return null;
+        }
+
+        const event = JSON.parse(line.slice(5).trim());
+        switch (event.type) {
+            case 'content_block_delta':
+                return { content: event.delta?.type === 'text_delta' ? event.delta.text : '', done: false };
+            case 'message_delta':
+                return { usage: this.parseUsage(event.usage), done: false };
+            case 'message_stop':
+                return { done: true };
+            case 'error':
+                return { error: event.error?.message || 'unknown error' };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Map Anthropic token counts to the OpenAI usage shape used elsewhere
+     */
+    parseUsage(usage) {
+        if (!usage) {
+            return null;
+        }
+
+        const promptTokens = usage.input_tokens || 0;
+        const completionTokens = usage.output_tokens || 0;
+        return {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+        };
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,326 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * INFRASTRUCTURE LAYER: Base LLM Provider
+ *
+ * One provider = one named LLM backend (endpoint, wire format, credentials).
+ * Subclasses translate between the neutral request used by LLMService
+ *   { model, messages, temperature, maxTokens, stop, tools, toolChoice }
+ * and their server's API, for both complete and streaming requests.
+ * `stop` is an optional array of stop sequences.
+ *
+ * Tool calling uses neutral messages too:
+ *   assistant turn: { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+ *   tool result:    { role: 'tool', toolCallId, name, content }
+ * `tools` is in OpenAI format; complete() returns toolCalls in the same shape.
+ *
+ * Streaming uses native http/https so chunks reach the caller as soon as they
+ * arrive; subclasses only parse individual lines of the stream.
+ *
+ * Both request kinds take an optional AbortSignal. An aborted stream closes the
+ * upstream connection and resolves with the content received so far
+ * (`aborted: true`); an aborted complete request rejects.
+ */
+class BaseLLMProvider {
+    /**
+     * @param {string} name - Provider name (key in llm_providers)
+     * @param {Object} config - { type, endpoint, api_key, api_key_env, timeout, headers }
+     */
+    constructor(name, config = {}) {
+        this.name = name;
+        this.config = config;
+        this.type = config.type;
+        this.endpoint = (config.endpoint || '').replace(/\/+$/, '');
+        this.apiKey = config.api_key || (config.api_key_env ? process.env[config.api_key_env] : null) || null;
+        this.timeout = config.timeout || 30000;
+    }
+
+    /**
+     * URL that generation requests are POSTed to
+     */
+    getRequestUrl() {
+        throw new Error(`${this.constructor.name} must implement getRequestUrl()`);
+    }
+
+    /**
+     * URL used for the connection check (GET)
+     */
+    getHealthUrl() {
+        throw new Error(`${this.constructor.name} must implement getHealthUrl()`);
+    }
+
+    /**
+     * Translate the neutral request into the server's request body
+     * @param {Object} request - { model, messages, temperature, maxTokens }
+     * @param {boolean} stream - Whether a streaming response is requested
+     */
+    buildRequestBody(request, stream) {
+        throw new Error(`${this.constructor.name} must implement buildRequestBody()`);
+    }
+
+    /**
+     * Translate a complete (non-streaming) response body
+     * @returns {Object} { content, usage, model, toolCalls }
+     */
+    parseResponse(data) {
+        throw new Error(`${this.constructor.name} must implement parseResponse()`);
+    }
+
+    /**
+     * Parse one line of a streaming response
+     * @returns {Object|null} { content, done, usage, error } or null for lines without data
+     */
+    parseStreamLine(line) {
+        throw new Error(`${this.constructor.name} must implement parseStreamLine()`);
+    }
+
+    /**
+     * Parse tool call arguments, which most servers send as a JSON string
+     */
+    parseToolArguments(args) {
+        if (args && typeof args === 'object') {
+            return args;
+        }
+        try {
+            return args ? JSON.parse(args) : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Extra request headers (authentication, API versions)
+     */
+    getHeaders() {
+        return { ...(this.config.headers || {}) };
+    }
+
+    /**
+     * Generate a complete response
+     * @param {Object} request - { model, messages, temperature, maxTokens, tools }
+     * @param {AbortSignal|null} signal - Cancels the request
+     * @returns {Promise<Object>} { content, usage, model, provider, toolCalls }
+     */
+    async complete(request, signal = null) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        const abort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort();
+            }
+            signal.addEventListener('abort', abort, { once: true });
+        }
+
+        try {
+            const response = await fetch(this.getRequestUrl(), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getHeaders()
+                },
+                body: JSON.stringify(this.buildRequestBody(request, false)),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const error = new Error(`LLM request failed: ${response.status} ${response.statusText}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            const result = this.parseResponse(await response.json());
+            if (!result.content && !(result.toolCalls && result.toolCalls.length > 0)) {
+                throw new Error('No content found in LLM response');
+            }
+
+            return {
+                ...result,
+                model: result.model || request.model,
+                provider: this.name
+            };
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) {
+                signal.removeEventListener('abort', abort);
+            }
+        }
+    }
+
+    /**
+     * Generate a streaming response
+     * @param {Object} request - { model, messages, temperature, maxTokens }
+     * @param {Function} onChunk - Called with (chunk, fullContent) for every content delta
+     * @param {AbortSignal|null} signal - Stops the stream, keeping what has arrived
+     * @returns {Promise<Object>} { content, usage, model, provider, streaming, aborted }
+     */
+    async stream(request, onChunk = null, signal = null) {
+        const parsedUrl = new URL(this.getRequestUrl());
+        const client = parsedUrl.protocol === 'https:' ? https : http;
+        const body = JSON.stringify(this.buildRequestBody(request, true));
+
+        return new Promise((resolve, reject) => {
+            let fullContent = '';
+            let usage = null;
+            let buffer = '';
+            let settled = false;
+            let req = null;
+
+            const onAbort = () => {
+                if (req) {
+                    req.destroy();
+                }
+                finish(true);
+            };
+
+            const finish = (aborted = false) => {
+                if (settled) return;
+                settled = true;
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve({
+                    content: fullContent,
+                    usage,
+                    model: request.model,
+                    provider: this.name,
+                    streaming: true,
+                    aborted
+                });
+            };
+
+            const fail = (error) => {
+                if (settled) return;
+                settled = true;
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                reject(error);
+            };
+
+            if (signal) {
+                if (signal.aborted) {
+                    finish(true);
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            const handleLine = (line) => {
+                if (settled || line.trim() === '') return;
+
+                let parsed;
+                try {
+                    parsed = this.parseStreamLine(line.trim());
+                } catch (parseError) {
+                    // Skip malformed chunks to keep the stream flowing
+                    return;
+                }
+                if (!parsed) return;
+
+                if (parsed.error) {
+                    fail(new Error(`LLM stream error: ${parsed.error}`));
+                    return;
+                }
+
+                if (parsed.content) {
+                    fullContent += parsed.content;
+                    if (typeof onChunk === 'function') {
+                        onChunk(parsed.content, fullContent);
+                    }
+                }
+
+                if (parsed.usage) {
+                    usage = parsed.usage;
+                }
+
+                if (parsed.done) {
+                    finish();
+                }
+            };
+
+            req = client.request({
+                hostname: parsedUrl.hostname,
+                port: parsedUrl.port || (parsedUrl.protocol === 'https:' ? 443 : 80),
+                path: `${parsedUrl.pathname}${parsedUrl.search}`,
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream',
+                    'Content-Length': Buffer.byteLength(body),
+                    ...this.getHeaders()
+                }
+            }, (res) => {
+                if (res.statusCode !== 200) {
+                    res.resume();
+                    const error = new Error(`LLM request failed: ${res.statusCode} ${res.statusMessage}`);
+                    error.status = res.statusCode;
+                    fail(error);
+                    return;
+                }
+
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    buffer += chunk;
+                    const lines = buffer.split('\n');
+                    // Keep the last, possibly incomplete line for the next chunk
+                    buffer = lines.pop();
+                    lines.forEach(handleLine);
+                });
+
+                res.on('end', () => {
+                    handleLine(buffer);
+                    finish();
+                });
+
+                res.on('error', fail);
+            });
+
+            // Socket idle timeout: no data for `timeout` ms
+            req.setTimeout(this.timeout, () => {
+                req.destroy(new Error(`LLM stream timed out after ${this.timeout}ms`));
+            });
+
+            req.on('error', fail);
+            req.write(body);
+            req.end();
+        });
+    }
+
+    /**
+     * Check that the server is reachable
+     * @returns {Promise<boolean>}
+     */
+    async checkConnection() {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+        try {
+            const response = await fetch(this.getHealthUrl(), {
+                method: 'GET',
+                headers: this.getHeaders(),
+                signal: controller.signal
+            });
+            return response.ok;
+        } catch (error) {
+            return false;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Provider description without credentials (for logs and settings)
+     */
+    describe() {
+        return {
+            name: this.name,
+            type: this.type,
+            endpoint: this.endpoint,
+            hasApiKey: !!this.apiKey
+        };
+    }
+}
+
+module.exports = BaseLLMProvider;
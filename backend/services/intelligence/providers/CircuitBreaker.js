@@ -0,0 +1,68 @@
+/**
+ * INFRASTRUCTURE LAYER: Circuit breaker for one LLM endpoint
+ *
+ * closed    - requests flow; consecutive failures are counted
+ * open      - requests are skipped until resetTimeoutMs has passed
+ * half_open - one trial request is let through; success closes the circuit,
+ *             failure opens it again
+ *
+ * Only server-side failures (network errors, timeouts, 5xx, 429) should be
+ * recorded; a 4xx means the endpoint is up but rejected the request.
+ */
+class CircuitBreaker {
+    /**
+     * @param {string} key - Endpoint the circuit protects
+     * @param {Object} options - { failureThreshold, resetTimeoutMs }
+     */
+    constructor(key, options = {}) {
+        this.key = key;
+        this.failureThreshold = options.failureThreshold || 3;
+        this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.lastSuccessAt = null;
+    }
+
+    /**
+     * Whether a request may be sent now (moves open → half_open after the reset timeout)
+     */
+    canRequest(now = Date.now()) {
+        if (this.state === 'open' && now - this.openedAt >= this.resetTimeoutMs) {
+            this.state = 'half_open';
+        }
+        return this.state !== 'open';
+    }
+
+    recordSuccess(now = Date.now()) {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.lastSuccessAt = now;
+    }
+
+    recordFailure(error = null, now = Date.now()) {
+        this.failures++;
+        this.lastError = error?.message || error || null;
+
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = now;
+        }
+    }
+
+    getStatus() {
+        return {
+            endpoint: this.key,
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
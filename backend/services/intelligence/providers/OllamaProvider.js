@@ -0,0 +1,119 @@
+const BaseLLMProvider = require('./BaseLLMProvider');
+
+/**
+ * INFRASTRUCTURE LAYER: Ollama native provider
+ *
+ * POST /api/chat with sampling parameters under `options` (num_predict instead
+ * of max_tokens). Streaming responses are newline-delimited JSON objects; the
+ * last one has `done: true` and carries the token counts.
+ */
+class OllamaProvider extends BaseLLMProvider {
+    constructor(name, config = {}) {
+        super(name, { endpoint: 'http://localhost:11434', ...config });
+    }
+
+    getRequestUrl() {
+        return this.endpoint.endsWith('/api/chat')
+            ? this.endpoint
+            : `${this.endpoint}/api/chat`;
+    }
+
+    getHealthUrl() {
+        return this.getRequestUrl().replace(/\/api\/chat$/, '/api/tags');
+    }
+
+    buildRequestBody(request, stream) {
+        const options = {};
+        if (request.temperature !== undefined) {
+            options.temperature = request.temperature;
+        }
+        if (request.maxTokens) {
+            options.num_predict = request.maxTokens;
+        }
+        if (request.stop && request.stop.length > 0) {
+            options.stop = request.stop;
+        }
+
+        const body = {
+            model: request.model,
+            messages: request.messages.map(message => this.formatMessage(message)),
+            stream,
+            options
+        };
+
+        // Ollama has no tool_choice; leaving the tools out asks for a plain answer
+        if (request.tools && request.tools.length > 0 && request.toolChoice !== 'none') {
+            body.tools = request.tools;
+        }
+
+        return body;
+    }
+
+    formatMessage(message) {
+        if (message.role === 'tool') {
+            return { role: 'tool', content: message.content };
+        }
+        if (message.toolCalls && message.toolCalls.length > 0) {
+            return {
+                role: 'assistant',
+                content: message.content || '',
+                tool_calls: message.toolCalls.map(call => ({
+                    function: { name: call.name, arguments: call.arguments || {} }
+                }))
+            };
+        }
+        return { role: message.role, content: message.content };
+    }
+
+    parseResponse(data) {
+        if (data?.error) {
+            throw new Error(`Ollama error: ${data.error}`);
+        }
+
+        // Ollama doesn't give tool calls ids; number them so results can be matched up
+        const toolCalls = (data?.message?.tool_calls || []).map((call, index) => ({
+            id: `call_${index + 1}`,
+            name: call.function?.name,
+            arguments: this.parseToolArguments(call.function?.arguments)
+        }));
+
+        return {
+            content: data?.message?.content?.trim() || '',
+            usage: this.parseUsage(data),
+            model: data?.model,
+            toolCalls
+        };
+    }
+
+    parseStreamLine(line) {
+        const parsed = JSON.parse(line);
+        if (parsed.error) {
+            return { error: parsed.error };
+        }
+
+        return {
+            content: parsed.message?.content || '',
+            usage: parsed.done ? this.parseUsage(parsed) : null,
+            done: !!parsed.done
+        };
+    }
+
+    /**
+     * Map Ollama token counts to the OpenAI usage shape used elsewhere
+     */
+    parseUsage(data) {
+        if (data?.prompt_eval_count === undefined && data?.eval_count === undefined) {
+            return null;
+        }
+
+        const promptTokens = data.prompt_eval_count || 0;
+        const completionTokens = data.eval_count || 0;
+        return {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+        };
+    }
+}
+
+module.exports = OllamaProvider;
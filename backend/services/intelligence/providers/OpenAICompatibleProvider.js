@@ -0,0 +1,118 @@
+const BaseLLMProvider = require('./BaseLLMProvider');
+
+/**
+ * INFRASTRUCTURE LAYER: OpenAI-compatible provider
+ *
+ * Covers LM Studio, vLLM, llama.cpp server and the OpenAI API itself:
+ * POST /v1/chat/completions, streaming as SSE `data: {...}` lines ending in `data: [DONE]`.
+ *
+ * endpoint may be the base URL (http://localhost:1234/v1) or the full
+ * chat completions URL (the LLM_ENDPOINT format).
+ */
+class OpenAICompatibleProvider extends BaseLLMProvider {
+    getRequestUrl() {
+        return this.endpoint.endsWith('/chat/completions')
+            ? this.endpoint
+            : `${this.endpoint}/chat/completions`;
+    }
+
+    getHealthUrl() {
+        return this.getRequestUrl().replace(/\/chat\/completions$/, '/models');
+    }
+
+    getHeaders() {
+        const headers = super.getHeaders();
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    buildRequestBody(request, stream) {
+        const body = {
+            model: request.model,
+            messages: request.messages.map(message => this.formatMessage(message)),
+            max_tokens: request.maxTokens,
+            temperature: request.temperature,
+            stream
+        };
+
+        // The OpenAI API accepts at most four stop sequences
+        if (request.stop && request.stop.length > 0) {
+            body.stop = request.stop.slice(0, 4);
+        }
+        if (request.tools && request.tools.length > 0) {
+            body.tools = request.tools;
+            if (request.toolChoice) {
+                body.tool_choice = request.toolChoice;
+            }
+        }
+
+        return body;
+    }
+
+    formatMessage(message) {
+        if (message.role === 'tool') {
+            return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+        }
+        if (message.toolCalls && message.toolCalls.length > 0) {
+            return {
+                role: 'assistant',
+                content: message.content || null,
+                tool_calls: message.toolCalls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+                }))
+            };
+        }
+        return { role: message.role, content: message.content };
+    }
+
+    parseResponse(data) {
+        const choice = data?.choices?.[0];
+        if (!choice) {
+            throw new Error('No response from LLM');
+        }
+
+        // Some reasoning models put the actual response in reasoning_content
+        const content = choice.message?.content?.trim() || choice.message?.reasoning_content?.trim() || '';
+
+        const toolCalls = (choice.message?.tool_calls || []).map(call => ({
+            id: call.id,
+            name: call.function?.name,
+            arguments: this.parseToolArguments(call.function?.arguments)
+        }));
+
+        return {
+            content,
+            usage: data.usage || null,
+            model: data.model,
+            toolCalls
+        };
+    }
+
+    parseStreamLine(line) {
+        if (!line.startsWith('data:')) {
+            return null;
+        }
+
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') {
+            return { done: true };
+        }
+
+        const parsed = JSON.parse(data);
+        if (parsed.error) {
+            return { error: parsed.error.message || String(parsed.error) };
+        }
+
+        return {
+            content: parsed.choices?.[0]?.delta?.content || '',
+            usage: parsed.usage || null,
+            done: false
+        };
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,48 @@
+/**
+ * INFRASTRUCTURE LAYER: LLM provider adapters
+ *
+ * Maps provider `type` values (as stored in the llm_providers configuration)
+ * to adapter classes. The server types used by earlier configurations
+ * (lmstudio, vllm, llamacpp, openai) all speak the OpenAI-compatible API.
+ * CircuitBreaker tracks the health of each endpoint for failover.
+ */
+
+const BaseLLMProvider = require('./BaseLLMProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const OllamaProvider = require('./OllamaProvider');
+const AnthropicProvider = require('./AnthropicProvider');
+const CircuitBreaker = require('./CircuitBreaker');
+
+const PROVIDER_TYPES = {
+    openai: OpenAICompatibleProvider,
+    lmstudio: OpenAICompatibleProvider,
+    vllm: OpenAICompatibleProvider,
+    llamacpp: OpenAICompatibleProvider,
+    ollama: OllamaProvider,
+    anthropic: AnthropicProvider
+};
+
+/**
+ * Create a provider adapter from its configuration
+ * @param {string} name - Provider name
+ * @param {Object} config - { type, endpoint, api_key, api_key_env, timeout, headers }
+ * @returns {BaseLLMProvider}
+ */
+function createProvider(name, config = {}) {
+    const type = config.type || 'openai';
+    const ProviderClass = PROVIDER_TYPES[type];
+    if (!ProviderClass) {
+        throw new Error(`Unknown LLM provider type '${type}' for provider '${name}'. Supported: ${Object.keys(PROVIDER_TYPES).join(', ')}`);
+    }
+    return new ProviderClass(name, { ...config, type });
+}
+
+module.exports = {
+    PROVIDER_TYPES,
+    createProvider,
+    BaseLLMProvider,
+    OpenAICompatibleProvider,
+    OllamaProvider,
+    AnthropicProvider,
+    CircuitBreaker
+};
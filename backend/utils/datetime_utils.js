@@ -24,18 +24,163 @@
  *    - ALWAYS use these centralized utilities for any date/time operations
  *    - Database stores UTC, client displays local time automatically
  *    
+ * 5. USER TIME CONTEXT:
+ *    - Users may set an IANA time zone and a locale (users.timezone, users.locale)
+ *    - Functions that depend on the wall clock (prompt context, greetings, business
+ *      hours, parsing "at 4 PM", recurrence) take an optional userContext
+ *      ({ timeZone, locale }, see getUserContext) and use the server's time zone
+ *      and en-US without one
+ *    - Calendar arithmetic ("tomorrow", "+1 day", recurrence) keeps the wall-clock
+ *      time across DST changes; hours and minutes are elapsed time
+ *    
  * This approach eliminates the common UTC vs Local timezone confusion
  * and ensures consistent behavior across different deployment environments.
  */
 
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Wall-clock formatters by named time zone (creating one is slow; recurrence expansion needs thousands of parts)
+const zonedFormatters = new Map();
+
 class DateTimeUtils {
     /**
-     * Get current date in local timezone (YYYY-MM-DD format)
+     * Locale used when a user has not chosen one
+     */
+    static get DEFAULT_LOCALE() {
+        return 'en-US';
+    }
+
+    /**
+     * Time zone of the server process
+     */
+    static getServerTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    /**
+     * Check an IANA time zone name (e.g. "Europe/Berlin")
+     */
+    static isValidTimeZone(timeZone) {
+        if (!timeZone || typeof timeZone !== 'string') return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Check a BCP 47 locale tag (e.g. "de-DE")
+     */
+    static isValidLocale(locale) {
+        if (!locale || typeof locale !== 'string') return false;
+        try {
+            return Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Build a user time context { timeZone, locale }
+     * Accepts a users row ({ timezone, locale }), an existing context or nothing;
+     * missing or invalid values fall back to the server time zone and en-US.
+     */
+    static getUserContext(user = null) {
+        const timeZone = user?.timeZone || user?.timezone;
+        const locale = user?.locale;
+        return {
+            timeZone: this.isValidTimeZone(timeZone) ? timeZone : this.getServerTimeZone(),
+            locale: this.isValidLocale(locale) ? locale : this.DEFAULT_LOCALE
+        };
+    }
+
+    /**
+     * Wall-clock parts of a date in a time zone
+     * @returns {Object} { year, month (1-12), day, hour (0-23), minute, second, weekday (0 = Sunday) }
      */
-    static getLocalDateString(date = new Date()) {
-        return date.getFullYear() + '-' + 
-               String(date.getMonth() + 1).padStart(2, '0') + '-' + 
-               String(date.getDate()).padStart(2, '0');
+    static getZonedParts(date, timeZone) {
+        let formatter = timeZone ? zonedFormatters.get(timeZone) : null;
+        if (!formatter) {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                weekday: 'short',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+            if (timeZone) {
+                zonedFormatters.set(timeZone, formatter);
+            }
+        }
+        const parts = {};
+        for (const { type, value } of formatter.formatToParts(date)) {
+            parts[type] = value;
+        }
+        return {
+            year: Number(parts.year),
+            month: Number(parts.month),
+            day: Number(parts.day),
+            hour: Number(parts.hour) % 24,
+            minute: Number(parts.minute),
+            second: Number(parts.second),
+            weekday: WEEKDAYS.indexOf(parts.weekday)
+        };
+    }
+
+    /**
+     * Offset of a time zone from UTC at an instant, in milliseconds (e.g. +3600000 for CET)
+     */
+    static getTimeZoneOffset(date, timeZone) {
+        const parts = this.getZonedParts(date, timeZone);
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+    }
+
+    /**
+     * Instant at which a wall-clock time happens in a time zone
+     * Out-of-range days and months roll over (day 32 is the 1st of the next month).
+     * A time skipped by a DST jump moves forward by the jump; a time that happens
+     * twice resolves to the first one.
+     * @param {Object} wallClock - { year, month (1-12), day, hour, minute, second }
+     * @returns {Date}
+     */
+    static zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+        const dayMs = 24 * 60 * 60 * 1000;
+
+        // Offsets a day either side cover both sides of at most one transition
+        const candidates = [...new Set([
+            wallClock - this.getTimeZoneOffset(new Date(wallClock - dayMs), timeZone),
+            wallClock - this.getTimeZoneOffset(new Date(wallClock + dayMs), timeZone)
+        ])];
+        const exact = candidates.filter(instant => wallClock - this.getTimeZoneOffset(new Date(instant), timeZone) === instant);
+
+        return new Date(exact.length > 0 ? Math.min(...exact) : Math.max(...candidates));
+    }
+
+    /**
+     * Add calendar days keeping the wall-clock time in a time zone
+     */
+    static addZonedDays(date, days, timeZone) {
+        const parts = this.getZonedParts(date, timeZone);
+        const shifted = this.zonedTimeToUtc({ ...parts, day: parts.day + days }, timeZone);
+        return new Date(shifted.getTime() + date.getMilliseconds());
+    }
+
+    /**
+     * Get current date in the user's (or server's) timezone (YYYY-MM-DD format)
+     */
+    static getLocalDateString(date = new Date(), userContext = null) {
+        const { year, month, day } = this.getZonedParts(date, this.getUserContext(userContext).timeZone);
+        return year + '-' + 
+               String(month).padStart(2, '0') + '-' + 
+               String(day).padStart(2, '0');
     }
 
     /**
@@ -48,8 +193,12 @@ class DateTimeUtils {
     /**
      * Get current local time formatted for display
      */
-    static getLocalTimeString(date = new Date()) {
-        return date.toLocaleString();
+    static getLocalTimeString(date = new Date(), userContext = null) {
+        if (!userContext) {
+            return date.toLocaleString();
+        }
+        const { timeZone, locale } = this.getUserContext(userContext);
+        return date.toLocaleString(locale, { timeZone });
     }
 
     /**
@@ -64,42 +213,38 @@ class DateTimeUtils {
      * @param {Date} date - Base date
      * @param {number} amount - Amount to add
      * @param {string} unit - 'minutes', 'hours', 'days'
+     * @param {Object} userContext - { timeZone } in which days keep their wall-clock time
      * @returns {Date}
      */
-    static addTime(date, amount, unit) {
-        const newDate = new Date(date);
+    static addTime(date, amount, unit, userContext = null) {
+        const base = new Date(date);
         
         switch (unit.toLowerCase()) {
             case 'second':
             case 'seconds':
-                newDate.setSeconds(newDate.getSeconds() + amount);
-                break;
+                return new Date(base.getTime() + amount * 1000);
             case 'minute':
             case 'minutes':
-                newDate.setMinutes(newDate.getMinutes() + amount);
-                break;
+                return new Date(base.getTime() + amount * 60 * 1000);
             case 'hour':
             case 'hours':
-                newDate.setHours(newDate.getHours() + amount);
-                break;
+                return new Date(base.getTime() + amount * 60 * 60 * 1000);
             case 'day':
             case 'days':
-                newDate.setDate(newDate.getDate() + amount);
-                break;
+                return this.addZonedDays(base, amount, this.getUserContext(userContext).timeZone);
             default:
                 throw new Error(`Unsupported time unit: ${unit}`);
         }
-        
-        return newDate;
     }
 
     /**
      * Parse relative time expressions and return absolute date
      * @param {string} expression - "in 5 minutes", "within 2 hours", etc.
      * @param {Date} baseDate - Base date (defaults to now)
+     * @param {Object} userContext - { timeZone } for expressions in days
      * @returns {Date|null}
      */
-    static parseRelativeTime(expression, baseDate = new Date()) {
+    static parseRelativeTime(expression, baseDate = new Date(), userContext = null) {
         const expr = expression.toLowerCase().trim();
         
         // Match patterns like "in 5 minutes", "within 2 hours", "due in 30 seconds"
@@ -114,7 +259,7 @@ class DateTimeUtils {
                 const amount = parseInt(match[1]);
                 const unit = match[2];
                 
-                return this.addTime(baseDate, amount, unit);
+                return this.addTime(baseDate, amount, unit, userContext);
             }
         }
         
@@ -125,9 +270,10 @@ class DateTimeUtils {
      * Parse absolute time expressions (like "by 4:30 PM")
      * @param {string} expression - Time expression
      * @param {Date} baseDate - Base date (defaults to today)
+     * @param {Object} userContext - { timeZone } the time is read in
      * @returns {Date|null}
      */
-    static parseAbsoluteTime(expression, baseDate = new Date()) {
+    static parseAbsoluteTime(expression, baseDate = new Date(), userContext = null) {
         const timeMatch = expression.match(/(?:by|at|before)\s+(\d{1,2}):?(\d{2})?\s*(am|pm)?/i);
         if (!timeMatch) return null;
         
@@ -144,13 +290,14 @@ class DateTimeUtils {
             }
         }
         
-        const dueDate = new Date(baseDate);
-        dueDate.setHours(adjustedHour, minute, 0, 0);
+        const { timeZone } = this.getUserContext(userContext);
+        const today = this.getZonedParts(baseDate, timeZone);
+        let dueDate = this.zonedTimeToUtc({ ...today, hour: adjustedHour, minute, second: 0 }, timeZone);
         
         // If time has passed today, assume tomorrow (unless explicitly mentioned)
         if (dueDate <= baseDate && !expression.toLowerCase().includes('tomorrow')) {
             if (!expression.toLowerCase().includes('today')) {
-                dueDate.setDate(dueDate.getDate() + 1);
+                dueDate = this.zonedTimeToUtc({ ...today, day: today.day + 1, hour: adjustedHour, minute, second: 0 }, timeZone);
             }
         }
         
@@ -161,32 +308,32 @@ class DateTimeUtils {
      * Comprehensive date/time parsing that handles both relative and absolute expressions
      * @param {string} message - Full message containing date/time info
      * @param {Date} baseDate - Base date (defaults to now)
+     * @param {Object} userContext - { timeZone } the expression is read in
      * @returns {Date|null}
      */
-    static parseDateTime(message, baseDate = new Date()) {
+    static parseDateTime(message, baseDate = new Date(), userContext = null) {
         // Try relative time first
-        const relativeDate = this.parseRelativeTime(message, baseDate);
+        const relativeDate = this.parseRelativeTime(message, baseDate, userContext);
         if (relativeDate) return relativeDate;
         
         // Try absolute time
-        const absoluteDate = this.parseAbsoluteTime(message, baseDate);
+        const absoluteDate = this.parseAbsoluteTime(message, baseDate, userContext);
         if (absoluteDate) return absoluteDate;
         
-        // Handle special cases
+        // Handle special cases (end of the day in the user's time zone)
         const messageLower = message.toLowerCase();
+        const { timeZone } = this.getUserContext(userContext);
+        const today = this.getZonedParts(baseDate, timeZone);
+        const endOfDay = days => new Date(
+            this.zonedTimeToUtc({ ...today, day: today.day + days, hour: 23, minute: 59, second: 59 }, timeZone).getTime() + 999
+        );
         
         if (messageLower.includes('tomorrow')) {
-            const tomorrow = new Date(baseDate);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            tomorrow.setHours(23, 59, 59, 999); // End of day
-            return tomorrow;
+            return endOfDay(1);
         }
         
         if (messageLower.includes('next week')) {
-            const nextWeek = new Date(baseDate);
-            nextWeek.setDate(nextWeek.getDate() + 7);
-            nextWeek.setHours(23, 59, 59, 999);
-            return nextWeek;
+            return endOfDay(7);
         }
         
         return null;
@@ -196,14 +343,18 @@ class DateTimeUtils {
      * Get current context for LLM date extraction
      * Returns both local and UTC context to avoid timezone confusion
      */
-    static getCurrentTimeContext() {
+    static getCurrentTimeContext(userContext = null) {
         const now = new Date();
+        const { timeZone, locale } = this.getUserContext(userContext);
         return {
             utcTime: now.toISOString(),
-            localTime: now.toString(),
-            localDate: this.getLocalDateString(now),
+            localTime: userContext
+                ? now.toLocaleString(locale, { timeZone, timeZoneName: 'short' })
+                : now.toString(),
+            localDate: this.getLocalDateString(now, userContext),
             utcDate: this.getUTCDateString(now),
-            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            timezone: timeZone,
+            locale,
             timestamp: now.getTime()
         };
     }
@@ -211,25 +362,29 @@ class DateTimeUtils {
     /**
      * Get comprehensive system prompt formatted date/time for LLMs
      * This is THE central method for providing date/time context to all LLMs
+     * @param {Date} date - Moment to describe (defaults to now)
+     * @param {Object} userContext - { timeZone, locale } of the user the prompt is for
      */
-    static getSystemPromptDateTime(date = new Date()) {
+    static getSystemPromptDateTime(date = new Date(), userContext = null) {
+        const { timeZone, locale } = this.getUserContext(userContext);
         const timestamp = date.getTime();
         const oneMinuteFromNow = new Date(timestamp + 60000);
         const fiveMinutesFromNow = new Date(timestamp + 300000);
         const oneHourFromNow = new Date(timestamp + 3600000);
         
-        return `Current date and time: ${date.toLocaleString('en-US', { 
+        return `Current date and time: ${date.toLocaleString(locale, { 
             weekday: 'long', 
             year: 'numeric', 
             month: 'long', 
             day: 'numeric',
             hour: '2-digit',
-            minute: '2-digit'
+            minute: '2-digit',
+            timeZone
         })}
 Current UTC time: ${date.toISOString()}
 Current timestamp: ${timestamp}
-Local date: ${this.getLocalDateString(date)}
-Timezone: ${Intl.DateTimeFormat().resolvedOptions().timeZone}
+Local date: ${this.getLocalDateString(date, { timeZone })}
+Timezone: ${timeZone}
 
 Time calculation examples for relative times:
 - "in 1 minute" = ${oneMinuteFromNow.toISOString()}
@@ -273,21 +428,20 @@ IMPORTANT: Use the current timestamp (${timestamp}) for all relative time calcul
     }
 
     /**
-     * Check if current time is business hours
+     * Check if current time is business hours (in the user's time zone)
      */
-    static isBusinessHours(date = new Date()) {
-        const hour = date.getHours();
-        const dayOfWeek = date.getDay();
+    static isBusinessHours(date = new Date(), userContext = null) {
+        const { hour, weekday: dayOfWeek } = this.getZonedParts(date, this.getUserContext(userContext).timeZone);
         
         // Monday-Friday, 9 AM to 5 PM
         return dayOfWeek >= 1 && dayOfWeek <= 5 && hour >= 9 && hour < 17;
     }
 
     /**
-     * Get time-aware greeting
+     * Get time-aware greeting (for the hour in the user's time zone)
      */
-    static getTimeAwareGreeting(date = new Date()) {
-        const hour = date.getHours();
+    static getTimeAwareGreeting(date = new Date(), userContext = null) {
+        const { hour } = this.getZonedParts(date, this.getUserContext(userContext).timeZone);
         
         if (hour < 12) {
             return "Good morning";
@@ -330,17 +484,17 @@ IMPORTANT: Use the current timestamp (${timestamp}) for all relative time calcul
     /**
      * Get comprehensive system context for LLMs - THE central method
      */
-    static getSystemContext(chatId = null) {
+    static getSystemContext(chatId = null, userContext = null) {
         const now = new Date();
         return {
-            dateTime: this.getSystemPromptDateTime(now),
-            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            dateTime: this.getSystemPromptDateTime(now, userContext),
+            timezone: this.getUserContext(userContext).timeZone,
             timestamp: now.getTime(),
             conversational: this.getConversationalDateTime(now),
             business: this.getBusinessDateTime(now),
-            isBusinessHours: this.isBusinessHours(now),
-            greeting: this.getTimeAwareGreeting(now),
-            localDate: this.getLocalDateString(now),
+            isBusinessHours: this.isBusinessHours(now, userContext),
+            greeting: this.getTimeAwareGreeting(now, userContext),
+            localDate: this.getLocalDateString(now, userContext),
             utcDate: this.getUTCDateString(now)
         };
     }
@@ -0,0 +1,78 @@
+/**
+ * Diff Utility
+ * Line and value comparisons for character revision history
+ *
+ * - diffLines() returns a line-based diff (longest common subsequence) as
+ *   { type: 'same' | 'added' | 'removed', text } entries
+ * - diffLists() compares two arrays of values as added/removed sets
+ */
+
+class DiffUtils {
+    /**
+     * Line diff of two texts
+     * @param {string} before
+     * @param {string} after
+     * @returns {Array<Object>} [{ type, text }]
+     */
+    static diffLines(before, after) {
+        const a = DiffUtils.toLines(before);
+        const b = DiffUtils.toLines(after);
+
+        // lengths[i][j] = LCS length of a[i..] and b[j..]
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                lines.push({ type: 'same', text: a[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                lines.push({ type: 'removed', text: a[i++] });
+            } else {
+                lines.push({ type: 'added', text: b[j++] });
+            }
+        }
+        while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+        while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+        return lines;
+    }
+
+    /**
+     * Values present in only one of two lists (compared by their JSON form)
+     * @param {Array} before
+     * @param {Array} after
+     * @returns {Object} { added, removed }
+     */
+    static diffLists(before, after) {
+        const beforeList = Array.isArray(before) ? before : [];
+        const afterList = Array.isArray(after) ? after : [];
+        const beforeKeys = new Set(beforeList.map(value => JSON.stringify(value)));
+        const afterKeys = new Set(afterList.map(value => JSON.stringify(value)));
+
+        return {
+            added: afterList.filter(value => !beforeKeys.has(JSON.stringify(value))),
+            removed: beforeList.filter(value => !afterKeys.has(JSON.stringify(value)))
+        };
+    }
+
+    static toLines(value) {
+        if (value === null || value === undefined || value === '') {
+            return [];
+        }
+        const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+        return text.split(/\r?\n/);
+    }
+}
+
+module.exports = DiffUtils;
@@ -0,0 +1,86 @@
+/**
+ * Embedding Utility
+ * Vector helpers shared by the semantic memory index
+ *
+ * - cosineSimilarity() compares two embedding vectors
+ * - createFakeEmbedding() produces a deterministic hashed bag-of-words vector
+ *   so tests (and offline development) can exercise semantic search without
+ *   an embeddings server. Texts sharing words end up with similar vectors.
+ */
+
+class EmbeddingUtils {
+    /**
+     * Cosine similarity between two vectors (0 when either is empty or zero-length)
+     * @param {Array<number>} a
+     * @param {Array<number>} b
+     * @returns {number} Similarity in the range -1..1
+     */
+    static cosineSimilarity(a, b) {
+        if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) {
+            return 0;
+        }
+
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+
+        if (normA === 0 || normB === 0) {
+            return 0;
+        }
+
+        return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+    }
+
+    /**
+     * Deterministic fake embedding (FNV-1a hashed tokens, L2-normalized)
+     * @param {string} text - Text to embed
+     * @param {number} dimensions - Vector size
+     * @returns {Array<number>} Embedding vector
+     */
+    static createFakeEmbedding(text, dimensions = 64) {
+        const vector = new Array(dimensions).fill(0);
+        const tokens = String(text || '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 2);
+
+        for (const token of tokens) {
+            const hash = EmbeddingUtils.hashToken(token);
+            const index = hash % dimensions;
+            const sign = (hash >>> 16) & 1 ? 1 : -1;
+            vector[index] += sign;
+        }
+
+        return EmbeddingUtils.normalize(vector);
+    }
+
+    /**
+     * L2-normalize a vector (zero vectors are returned unchanged)
+     */
+    static normalize(vector) {
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        if (norm === 0) {
+            return vector;
+        }
+        return vector.map(value => value / norm);
+    }
+
+    /**
+     * 32-bit FNV-1a hash of a token
+     */
+    static hashToken(token) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < token.length; i++) {
+            hash ^= token.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash >>> 0;
+    }
+}
+
+module.exports = EmbeddingUtils;
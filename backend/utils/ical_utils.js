@@ -0,0 +1,312 @@
+/**
+ * iCalendar Utilities (RFC 5545)
+ *
+ * Reads and writes the subset of iCalendar used for character events:
+ * VEVENTs with SUMMARY, DESCRIPTION, DTSTART, RRULE, EXDATE, STATUS and UID.
+ *
+ * RULES:
+ * - Lines are folded at 75 octets on output and unfolded on input
+ * - Recurring events are written with a local DTSTART and TZID so clients
+ *   expand them on the user's wall clock; one-time events are written in UTC
+ * - TZIDs are expected to be IANA names (as Google, Apple and Outlook.com
+ *   export them); other TZIDs and floating times use the importing user's zone
+ */
+
+const DateTimeUtils = require('./datetime_utils');
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+
+class ICalUtils {
+    /**
+     * Escape a TEXT value (backslash, semicolon, comma, newline)
+     */
+    static escapeText(value) {
+        return String(value ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Undo escapeText
+     */
+    static unescapeText(value) {
+        return String(value ?? '').replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * Fold a content line into 75-octet pieces (continuations start with a space)
+     */
+    static foldLine(line) {
+        const pieces = [];
+        let current = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const size = Buffer.byteLength(char, 'utf8');
+            // Continuation lines lose one octet to the leading space
+            const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+            if (octets + size > limit) {
+                pieces.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        pieces.push(current);
+
+        return pieces.join(`${CRLF} `);
+    }
+
+    /**
+     * Join folded lines back together
+     * @returns {Array<string>} Content lines
+     */
+    static unfoldLines(text) {
+        return String(text || '')
+            .replace(/\r?\n[ \t]/g, '')
+            .split(/\r?\n/)
+            .filter(line => line.trim() !== '');
+    }
+
+    /**
+     * Split a content line into name, parameters and value
+     * @returns {Object} { name, params, value }
+     */
+    static parseContentLine(line) {
+        let inQuotes = false;
+        let separator = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === ':' && !inQuotes) {
+                separator = i;
+                break;
+            }
+        }
+        if (separator === -1) {
+            return null;
+        }
+
+        const [name, ...rawParams] = line.slice(0, separator).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+        const params = {};
+        for (const param of rawParams) {
+            const equals = param.indexOf('=');
+            if (equals > 0) {
+                params[param.slice(0, equals).toUpperCase()] = param.slice(equals + 1).replace(/^"|"$/g, '');
+            }
+        }
+
+        return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+    }
+
+    /**
+     * Format an instant as UTC DATE-TIME (20261020T180000Z)
+     */
+    static formatUtc(date) {
+        return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Format an instant as local DATE-TIME in a zone (20261020T200000)
+     */
+    static formatLocal(date, timeZone) {
+        const parts = DateTimeUtils.getZonedParts(new Date(date), timeZone);
+        const pad = (number, length = 2) => String(number).padStart(length, '0');
+        return `${pad(parts.year, 4)}${pad(parts.month)}${pad(parts.day)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+    }
+
+    /**
+     * Read a DATE or DATE-TIME value
+     * @param {string} value - 20261020, 20261020T200000 or 20261020T180000Z
+     * @param {Object} params - Property parameters (TZID, VALUE)
+     * @param {string} defaultTimeZone - Zone for floating times and unknown TZIDs
+     * @returns {Object|null} { date, allDay, timeZone, unknownTimeZone }
+     */
+    static parseDateValue(value, params = {}, defaultTimeZone) {
+        const match = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (!match) {
+            return null;
+        }
+
+        const [, year, month, day, hour, minute, second, utc] = match;
+        const wallClock = {
+            year: Number(year),
+            month: Number(month),
+            day: Number(day),
+            hour: Number(hour || 0),
+            minute: Number(minute || 0),
+            second: Number(second || 0)
+        };
+
+        if (utc) {
+            return {
+                date: new Date(Date.UTC(wallClock.year, wallClock.month - 1, wallClock.day, wallClock.hour, wallClock.minute, wallClock.second)),
+                allDay: false,
+                timeZone: 'UTC',
+                unknownTimeZone: false
+            };
+        }
+
+        const unknownTimeZone = Boolean(params.TZID) && !DateTimeUtils.isValidTimeZone(params.TZID);
+        const timeZone = params.TZID && !unknownTimeZone ? params.TZID : defaultTimeZone;
+        return {
+            date: DateTimeUtils.zonedTimeToUtc(wallClock, timeZone),
+            allDay: params.VALUE === 'DATE' || hour === undefined,
+            timeZone,
+            unknownTimeZone
+        };
+    }
+
+    /**
+     * Build a VCALENDAR
+     * @param {Object} calendar - { name, timeZone, events: [{ uid, summary, description, start, rrule, exdates, status, created, lastModified }] }
+     * @returns {string} iCalendar text
+     */
+    static buildCalendar({ name, timeZone, events = [] }) {
+        const now = this.formatUtc(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Aria AI//Character Events//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(name || 'Aria Events')}`,
+            `X-WR-TIMEZONE:${timeZone}`
+        ];
+
+        for (const event of events) {
+            lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${now}`);
+
+            if (event.rrule) {
+                lines.push(`DTSTART;TZID=${timeZone}:${this.formatLocal(event.start, timeZone)}`);
+                lines.push(`RRULE:${event.rrule}`);
+                for (const exdate of event.exdates || []) {
+                    lines.push(`EXDATE;TZID=${timeZone}:${this.formatLocal(exdate, timeZone)}`);
+                }
+            } else {
+                lines.push(`DTSTART:${this.formatUtc(event.start)}`);
+            }
+
+            lines.push(`SUMMARY:${this.escapeText(event.summary)}`);
+            if (event.description) {
+                lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+            }
+            if (event.status) {
+                lines.push(`STATUS:${event.status}`);
+            }
+            if (event.created) {
+                lines.push(`CREATED:${this.formatUtc(event.created)}`);
+            }
+            if (event.lastModified) {
+                lines.push(`LAST-MODIFIED:${this.formatUtc(event.lastModified)}`);
+            }
+            lines.push('END:VEVENT');
+        }
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join(CRLF) + CRLF;
+    }
+
+    /**
+     * Read the VEVENTs of an iCalendar text
+     * Nested components (VALARM) are ignored; modified instances (RECURRENCE-ID)
+     * and RDATE are skipped with a warning.
+     * @param {string} text - iCalendar text
+     * @param {Object} options - { timeZone } for floating times and unknown TZIDs
+     * @returns {Object} { events: [{ uid, summary, description, start, allDay, timeZone, rrule, exdates, status }], warnings }
+     */
+    static parseCalendar(text, { timeZone } = {}) {
+        const lines = this.unfoldLines(text);
+        if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+            throw new Error('Not an iCalendar file (missing BEGIN:VCALENDAR)');
+        }
+
+        const defaultTimeZone = DateTimeUtils.getUserContext({ timeZone }).timeZone;
+        const events = [];
+        const warnings = [];
+        const stack = [];
+        let current = null;
+
+        for (const line of lines) {
+            const property = this.parseContentLine(line.trim());
+            if (!property) continue;
+
+            if (property.name === 'BEGIN') {
+                stack.push(property.value.toUpperCase());
+                if (property.value.toUpperCase() === 'VEVENT' && stack.length === 2) {
+                    current = { exdates: [], properties: [] };
+                }
+                continue;
+            }
+            if (property.name === 'END') {
+                const component = stack.pop();
+                if (component === 'VEVENT' && current && stack.length === 1) {
+                    const event = this._toEvent(current, defaultTimeZone, warnings);
+                    if (event) events.push(event);
+                    current = null;
+                }
+                continue;
+            }
+
+            // Only properties of the VEVENT itself, not of its VALARMs
+            if (current && stack.length === 2) {
+                current.properties.push(property);
+            }
+        }
+
+        return { events, warnings };
+    }
+
+    /**
+     * Turn the properties of one VEVENT into an event
+     */
+    static _toEvent({ properties }, defaultTimeZone, warnings) {
+        const get = name => properties.find(property => property.name === name);
+        const uid = get('UID')?.value || null;
+        const summary = this.unescapeText(get('SUMMARY')?.value || '').trim();
+        const label = summary || uid || 'event';
+
+        if (get('RECURRENCE-ID')) {
+            warnings.push(`Skipped a changed instance of "${label}" (RECURRENCE-ID is not supported)`);
+            return null;
+        }
+
+        const dtstart = get('DTSTART');
+        const start = dtstart ? this.parseDateValue(dtstart.value, dtstart.params, defaultTimeZone) : null;
+        if (!start) {
+            warnings.push(`Skipped "${label}": missing or invalid DTSTART`);
+            return null;
+        }
+        if (start.unknownTimeZone) {
+            warnings.push(`"${label}" uses unknown time zone ${dtstart.params.TZID}; read in ${defaultTimeZone}`);
+        }
+        if (get('RDATE')) {
+            warnings.push(`Ignored RDATE of "${label}"`);
+        }
+
+        const exdates = [];
+        for (const property of properties.filter(item => item.name === 'EXDATE')) {
+            for (const value of property.value.split(',')) {
+                const exdate = this.parseDateValue(value, property.params, start.timeZone);
+                if (exdate) exdates.push(exdate.date);
+            }
+        }
+
+        return {
+            uid,
+            summary,
+            description: this.unescapeText(get('DESCRIPTION')?.value || '').trim(),
+            start: start.date,
+            allDay: start.allDay,
+            timeZone: start.timeZone,
+            rrule: get('RRULE')?.value || null,
+            exdates,
+            status: (get('STATUS')?.value || '').toUpperCase() || null
+        };
+    }
+}
+
+module.exports = ICalUtils;
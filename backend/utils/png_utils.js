@@ -0,0 +1,137 @@
+/**
+ * PNG Utility
+ * Reads and writes tEXt chunks, which is where character cards live in PNG files
+ *
+ * - readTextChunks() returns every tEXt keyword/value pair of a PNG
+ * - writeTextChunks() replaces chunks with the given keywords and inserts the
+ *   new ones before IEND, leaving the image data untouched
+ * - PLACEHOLDER is a 1x1 transparent PNG for characters without a PNG avatar
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+let crcTable = null;
+
+class PngUtils {
+    static get PLACEHOLDER() {
+        return Buffer.from(
+            'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+            'base64'
+        );
+    }
+
+    /**
+     * Check the 8-byte PNG signature
+     * @param {Buffer} buffer
+     * @returns {boolean}
+     */
+    static isPng(buffer) {
+        return Buffer.isBuffer(buffer) && buffer.length > PNG_SIGNATURE.length &&
+            buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE);
+    }
+
+    /**
+     * Split a PNG into its chunks
+     * @param {Buffer} buffer - PNG file
+     * @returns {Array<Object>} [{ type, data }]
+     */
+    static readChunks(buffer) {
+        if (!PngUtils.isPng(buffer)) {
+            throw new Error('Not a PNG file');
+        }
+
+        const chunks = [];
+        let offset = PNG_SIGNATURE.length;
+        while (offset + 12 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString('latin1', offset + 4, offset + 8);
+            if (offset + 12 + length > buffer.length) {
+                throw new Error(`Truncated PNG chunk ${type}`);
+            }
+            chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+            offset += 12 + length;
+            if (type === 'IEND') {
+                break;
+            }
+        }
+        return chunks;
+    }
+
+    /**
+     * tEXt chunks as keyword → text (latin1, as the PNG spec defines them)
+     * @param {Buffer} buffer - PNG file
+     * @returns {Object}
+     */
+    static readTextChunks(buffer) {
+        const texts = {};
+        for (const chunk of PngUtils.readChunks(buffer)) {
+            if (chunk.type !== 'tEXt') continue;
+            const separator = chunk.data.indexOf(0);
+            if (separator <= 0) continue;
+            texts[chunk.data.toString('latin1', 0, separator)] = chunk.data.toString('latin1', separator + 1);
+        }
+        return texts;
+    }
+
+    /**
+     * Replace tEXt chunks by keyword (a null value only removes the chunk)
+     * @param {Buffer} buffer - PNG file
+     * @param {Object} texts - keyword → latin1 text or null
+     * @returns {Buffer} New PNG file
+     */
+    static writeTextChunks(buffer, texts) {
+        const keywords = Object.keys(texts);
+        const parts = [PNG_SIGNATURE];
+
+        for (const chunk of PngUtils.readChunks(buffer)) {
+            if (chunk.type === 'tEXt') {
+                const keyword = chunk.data.toString('latin1', 0, Math.max(chunk.data.indexOf(0), 0));
+                if (keywords.includes(keyword)) continue;
+            }
+            if (chunk.type === 'IEND') {
+                for (const keyword of keywords) {
+                    if (texts[keyword] !== null && texts[keyword] !== undefined) {
+                        const data = Buffer.concat([Buffer.from(keyword, 'latin1'), Buffer.from([0]), Buffer.from(texts[keyword], 'latin1')]);
+                        parts.push(PngUtils.encodeChunk('tEXt', data));
+                    }
+                }
+            }
+            parts.push(PngUtils.encodeChunk(chunk.type, chunk.data));
+        }
+
+        return Buffer.concat(parts);
+    }
+
+    static encodeChunk(type, data) {
+        const header = Buffer.alloc(8);
+        header.writeUInt32BE(data.length, 0);
+        header.write(type, 4, 'latin1');
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(PngUtils.crc32(Buffer.concat([header.subarray(4), data])), 0);
+        return Buffer.concat([header, data, crc]);
+    }
+
+    /**
+     * CRC-32 as used by PNG chunks
+     */
+    static crc32(buffer) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < buffer.length; i++) {
+            crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+module.exports = PngUtils;
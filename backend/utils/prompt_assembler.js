@@ -0,0 +1,227 @@
+/**
+ * Prompt Assembler Utility
+ * Fits system prompt sections into a model's context length
+ *
+ * - estimateTokens() approximates token counts without a tokenizer
+ * - assemble() renders sections in their original order, and when the total
+ *   exceeds the budget trims them from the lowest priority upwards:
+ *   list sections lose items one by one, truncatable text is shortened,
+ *   everything else is dropped. Required sections are never touched.
+ * - With a layout template, sections go where their {{name}} placeholder
+ *   is; sections the template does not mention are left out
+ * - Detached sections (e.g. chat history sent as separate message turns)
+ *   count against the budget and are trimmed like the others, but are
+ *   returned as their kept items instead of being written into the prompt
+ */
+
+const PromptTemplates = require('./prompt_templates');
+
+class PromptAssembler {
+    /**
+     * Sections from most to least important. Sections not listed here are
+     * trimmed before any listed one.
+     */
+    static get DEFAULT_PRIORITY() {
+        return [
+            'identity',
+            'closing',
+            'datetime',
+            'conversation_context',
+            'recent_messages',
+            'psychology',
+            'user_profile',
+            'lore_before_character',
+            'lore_after_character',
+            'lore_before_messages',
+            'conversation_summary',
+            'background',
+            'deep_memories',
+            'commitments',
+            'events',
+            'top_memories',
+            'recent_flow',
+            'completions'
+        ];
+    }
+
+    /**
+     * Conservative characters-per-token ratio (English averages ~4 for llama-style tokenizers)
+     */
+    static get CHARS_PER_TOKEN() {
+        return 3.5;
+    }
+
+    /**
+     * Truncated text shorter than this is dropped instead
+     */
+    static get MIN_TRUNCATED_TOKENS() {
+        return 50;
+    }
+
+    /**
+     * Estimate the token count of a text
+     * @param {string} text
+     * @returns {number} Estimated tokens
+     */
+    static estimateTokens(text) {
+        if (!text) {
+            return 0;
+        }
+        return Math.ceil(String(text).length / PromptAssembler.CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Assemble sections into a prompt that fits the token budget
+     * @param {Array<Object>} sections - In output order. Each section is
+     *   { name, content } for plain text or { name, items, render(items), trimFrom } for lists.
+     *   Optional flags: required (never trimmed), truncatable (text may be shortened),
+     *   detached (list kept out of the prompt text; its kept items are returned in `detached`).
+     * @param {Object} budget - { maxTokens, priority, reservedText, template }
+     *   reservedText is prompt text outside the sections (e.g. the user message) that counts against maxTokens;
+     *   template lays the sections out with {{section}} placeholders (default: sections joined by blank lines)
+     * @returns {Object} { prompt, detached: { name: items }, report: { budgetTokens, estimatedTokens, sections, dropped, overBudget } }
+     */
+    static assemble(sections, budget = {}) {
+        const priority = Array.isArray(budget.priority) && budget.priority.length > 0
+            ? budget.priority
+            : PromptAssembler.DEFAULT_PRIORITY;
+        const maxTokens = budget.maxTokens || Infinity;
+        const template = typeof budget.template === 'string' ? budget.template : null;
+        const placed = template ? new Set(PromptTemplates.placeholders(template)) : null;
+        // Words around the placeholders count too; the blank lines between sections do not
+        const templateText = template ? template.replace(/\{\{\s*\w+\s*\}\}/g, ' ').replace(/\s+/g, ' ').trim() : '';
+        const reservedTokens = PromptAssembler.estimateTokens(budget.reservedText) + PromptAssembler.estimateTokens(templateText);
+
+        const states = sections
+            .map(section => ({
+                ...section,
+                items: Array.isArray(section.items) ? [...section.items] : null,
+                omitted: false
+            }))
+            .map(state => ({ ...state, text: PromptAssembler.renderSection(state) }))
+            .filter(state => state.text && (!placed || state.detached || placed.has(state.name)));
+
+        const totalTokens = () => reservedTokens + states
+            .filter(state => !state.omitted)
+            .reduce((sum, state) => sum + PromptAssembler.estimateTokens(state.text), 0);
+
+        // Lowest priority first; unknown sections rank below every listed one
+        const rank = name => {
+            const index = priority.indexOf(name);
+            return index === -1 ? priority.length : index;
+        };
+        const trimOrder = states
+            .filter(state => !state.required)
+            .sort((a, b) => rank(b.name) - rank(a.name));
+
+        const dropped = [];
+        let total = totalTokens();
+
+        for (const state of trimOrder) {
+            if (total <= maxTokens) {
+                break;
+            }
+
+            const tokensBefore = PromptAssembler.estimateTokens(state.text);
+
+            if (state.items && state.items.length > 0) {
+                let itemsRemoved = 0;
+                while (state.items.length > 0 && total > maxTokens) {
+                    if (state.trimFrom === 'start') {
+                        state.items.shift();
+                    } else {
+                        state.items.pop();
+                    }
+                    itemsRemoved++;
+                    state.text = state.items.length > 0 ? PromptAssembler.renderSection(state) : '';
+                    state.omitted = state.items.length === 0;
+                    total = totalTokens();
+                }
+                dropped.push({
+                    section: state.name,
+                    action: state.omitted ? 'dropped' : 'trimmed',
+                    itemsRemoved,
+                    itemsKept: state.items.length,
+                    tokensSaved: tokensBefore - PromptAssembler.estimateTokens(state.omitted ? '' : state.text)
+                });
+                continue;
+            }
+
+            const allowance = tokensBefore - (total - maxTokens);
+            if (state.truncatable && allowance >= PromptAssembler.MIN_TRUNCATED_TOKENS) {
+                state.text = PromptAssembler.truncate(state.text, allowance);
+                dropped.push({
+                    section: state.name,
+                    action: 'truncated',
+                    tokensSaved: tokensBefore - PromptAssembler.estimateTokens(state.text)
+                });
+            } else {
+                state.omitted = true;
+                dropped.push({ section: state.name, action: 'dropped', tokensSaved: tokensBefore });
+            }
+            total = totalTokens();
+        }
+
+        const kept = states.filter(state => !state.omitted);
+        const inline = kept.filter(state => !state.detached);
+
+        return {
+            prompt: template
+                ? PromptAssembler.fillTemplate(template, sections.map(section => section.name), inline)
+                : inline.map(state => state.text).join('\n\n'),
+            detached: Object.fromEntries(sections
+                .filter(section => section.detached)
+                .map(section => [section.name, kept.find(state => state.name === section.name)?.items || []])),
+            report: {
+                budgetTokens: Number.isFinite(maxTokens) ? maxTokens : null,
+                estimatedTokens: total,
+                sections: kept.map(state => state.name),
+                dropped,
+                overBudget: total > maxTokens
+            }
+        };
+    }
+
+    /**
+     * Put the kept section texts into a layout template
+     * Placeholders of empty or dropped sections disappear with the line breaks
+     * after them; placeholders that name no section stay as they are
+     */
+    static fillTemplate(template, sectionNames, kept) {
+        const texts = Object.fromEntries(kept.map(state => [state.name, state.text]));
+        return template
+            .replace(/\{\{\s*(\w+)\s*\}\}([ \t]*(?:\r?\n[ \t]*)*)/g, (placeholder, name, spacing) => {
+                if (!sectionNames.includes(name)) {
+                    return placeholder;
+                }
+                return texts[name] ? texts[name] + spacing : '';
+            })
+            .trim();
+    }
+
+    /**
+     * Render a section to text ('' for sections with nothing to show)
+     */
+    static renderSection(section) {
+        const text = section.items ? section.render(section.items) : section.content;
+        return text ? String(text).trim() : '';
+    }
+
+    /**
+     * Cut text down to roughly maxTokens, preferring a sentence or line boundary
+     */
+    static truncate(text, maxTokens) {
+        const marker = ' […]';
+        const maxChars = Math.floor(maxTokens * PromptAssembler.CHARS_PER_TOKEN) - marker.length;
+        if (text.length <= maxChars) {
+            return text;
+        }
+
+        const cut = text.slice(0, maxChars);
+        const boundary = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('\n'));
+        const end = boundary > maxChars * 0.6 ? boundary + 1 : maxChars;
+        return cut.slice(0, end).trimEnd() + marker;
+    }
+}
+
+module.exports = PromptAssembler;
@@ -0,0 +1,311 @@
+/**
+ * Prompt Templates Utility
+ * Built-in prompt templates and {{placeholder}} rendering
+ *
+ * - DEFAULTS lists every template the app renders. Users override their
+ *   content through PromptTemplateService but cannot add new names
+ * - chat_system lays out the conversational system prompt: its section
+ *   placeholders are filled by PromptAssembler after trimming. The chat
+ *   history is not part of it; it is sent as separate user/assistant turns
+ * - render() replaces the placeholders it has values for and leaves the
+ *   others untouched, so a template can be filled in several passes
+ */
+
+class PromptTemplates {
+    /**
+     * Conversational prompt sections, in the default layout order
+     */
+    static get SECTION_NAMES() {
+        return [
+            'lore_before_character',
+            'identity',
+            'group_chat',
+            'background',
+            'lore_after_character',
+            'datetime',
+            'user_profile',
+            'conversation_context',
+            'conversation_summary',
+            'lore_before_messages',
+            'psychology',
+            'top_memories',
+            'deep_memories',
+            'commitments',
+            'events',
+            'completions',
+            'closing'
+        ];
+    }
+
+    /**
+     * Built-in templates by name
+     * role picks the override cascade (as for model configs): conversational
+     * templates can be overridden per character, analytical ones only per user or globally
+     */
+    static get DEFAULTS() {
+        return {
+            chat_system: {
+                role: 'conversational',
+                description: 'Layout of the conversational system prompt; section placeholders are filled after trimming to the token budget',
+                variables: [...PromptTemplates.SECTION_NAMES, 'char', 'user'],
+                content: PromptTemplates.SECTION_NAMES.map(section => `{{${section}}}`).join('\n\n')
+            },
+            chat_user_turn: {
+                role: 'conversational',
+                description: 'Final user turn, sent after the system prompt and the chat history turns',
+                variables: ['message', 'char', 'user'],
+                content: '{{message}}'
+            },
+            memory_search_intent: {
+                role: 'analytical',
+                description: 'Decides whether a message refers to something outside the recent conversation',
+                variables: ['message', 'recent_context'],
+                content: `User message: "{{message}}"
+Recent context (last 5 messages): {{recent_context}}
+
+Does the user's message reference past information not in recent context?
+
+Examples that NEED search:
+- "Like I told you last week..."
+- "Remember my ACL injury?"
+- "What about that task from September?"
+
+Examples that DON'T need search:
+- "Good morning!"
+- "How are you?"
+- References to recent messages
+
+Respond with JSON:
+{
+  "needs_search": boolean,
+  "search_query": "semantic description of what to find" or null,
+  "reasoning": "why search is/isn't needed"
+}`
+            },
+            memory_filter: {
+                role: 'analytical',
+                description: 'Picks the candidate memories that match a deep search query',
+                variables: ['search_query', 'memory_count', 'memories'],
+                content: `Search query: "{{search_query}}"
+
+Candidate memories ({{memory_count}} total):
+{{memories}}
+
+Which memories are relevant to the search query?
+Return the indices of relevant memories (1-based), ordered from most to least relevant.
+
+Respond with JSON:
+{
+  "relevant_indices": [1, 5, 12, ...],
+  "reasoning": "why these are relevant"
+}`
+            },
+            task_verification: {
+                role: 'analytical',
+                description: "The character's review of a submitted task",
+                variables: [
+                    'char', 'task', 'assigned_at', 'due_at', 'submitted_at', 'time_taken',
+                    'submission', 'mood', 'energy', 'relationship', 'conversation'
+                ],
+                content: `You are {{char}}, analyzing a task submission from the user.
+
+EXAMPLE 1 - Verifiable and Approved:
+Task: "Write 5 sentences in Spanish about your day"
+Submission: "Hoy me desperté temprano. Desayuné huevos con pan. Fui a trabajar en autobús. Almorcé con mis compañeros. Regresé a casa por la tarde."
+Time taken: 25 minutes
+Decision: APPROVED
+Reasoning: Correct Spanish grammar, appropriate vocabulary, realistic completion time.
+Response: {
+  "is_verifiable": true,
+  "verification_decision": "approved",
+  "character_feedback": "¡Excelente trabajo! Your sentences are grammatically correct and show good vocabulary use.",
+  "reasoning": "User submitted exactly 5 sentences in Spanish with correct grammar and realistic completion time.",
+  "timing_assessment": "plausible",
+  "quality_assessment": "excellent",
+  "detected_ai_generation": false
+}
+
+EXAMPLE 2 - Suspicious Timing:
+Task: "Write a 500-word essay on climate change"
+Submission: [500 words of well-structured essay]
+Time taken: 4 minutes
+Decision: NEEDS_REVISION
+Reasoning: Impossibly fast for human writing. Quality too polished. Likely AI-generated.
+Response: {
+  "is_verifiable": true,
+  "verification_decision": "needs_revision",
+  "character_feedback": "This is well-written, but you submitted it incredibly quickly. I'd like you to write this again, taking your time. Show me your rough draft too.",
+  "reasoning": "Submission quality is good but timing is highly suspicious. 500 words in 4 minutes suggests AI generation.",
+  "timing_assessment": "too_fast",
+  "quality_assessment": "good",
+  "detected_ai_generation": true
+}
+
+EXAMPLE 3 - Not Verifiable:
+Task: "Go for a 30-minute walk outside"
+Submission: "I went for a walk"
+Decision: NOT_VERIFIABLE
+Reasoning: I cannot verify physical activities without tracking data.
+Response: {
+  "is_verifiable": false,
+  "verification_decision": "not_verifiable",
+  "character_feedback": "I trust you completed this! Unfortunately, I can't verify walks without fitness data. Great job taking care of your health!",
+  "reasoning": "Physical activity commitment cannot be verified remotely without fitness tracker data or photos.",
+  "timing_assessment": "plausible",
+  "quality_assessment": "acceptable",
+  "detected_ai_generation": false
+}
+
+NOW ANALYZE THIS SUBMISSION:
+
+TASK CONTEXT:
+Assignment: "{{task}}"
+Assigned at: {{assigned_at}}
+Due at: {{due_at}}
+Submitted at: {{submitted_at}}
+Time taken: {{time_taken}}
+
+SUBMISSION:
+"{{submission}}"
+
+YOUR PSYCHOLOGICAL STATE:
+Mood: {{mood}}
+Energy: {{energy}}/10
+Relationship dynamic: {{relationship}}
+
+CONVERSATION CONTEXT:
+{{conversation}}
+
+VERIFICATION TASK:
+1. Can you verify this submission? (Do you have the ability to check this work?)
+2. If verifiable:
+   - Does it meet expectations?
+   - Is the timing plausible? (Could a human realistically complete this in the time taken?)
+   - What's the quality level?
+3. What feedback should you give? (Stay in character)
+4. What's your decision?
+
+Respond with strict JSON:
+{
+  "is_verifiable": boolean,
+  "verification_decision": "approved|needs_revision|rejected|not_verifiable",
+  "character_feedback": "Your response to the user in your voice",
+  "reasoning": "Your internal analysis (not shown to user)",
+  "timing_assessment": "plausible|suspicious|too_fast|too_slow",
+  "quality_assessment": "excellent|good|acceptable|poor|unacceptable",
+  "detected_ai_generation": boolean (if submission seems AI-generated)
+}
+
+Be authentic to your personality. Strict teachers are critical. Supportive ones encourage.`
+            },
+            psychology_framework: {
+                role: 'analytical',
+                description: "Derives a character's psychological framework from its definition",
+                variables: ['char', 'definition'],
+                content: `Analyze this personality definition and create a psychological framework:
+
+Personality: {{char}}
+Definition: {{definition}}
+
+Create a comprehensive psychological framework that captures the character's core traits, emotional patterns, and behavioral tendencies.`
+            },
+            psychology_state: {
+                role: 'analytical',
+                description: "Updates a character's psychological state after a message",
+                variables: ['char', 'definition', 'datetime', 'emotion', 'intensity', 'energy', 'stress', 'relationship', 'message'],
+                content: `Analyze how this conversation affects {{char}}'s psychological state.
+
+Character: {{char}}
+Definition: {{definition}}
+
+{{datetime}}
+
+Current state:
+- Emotion: {{emotion}} (intensity: {{intensity}}/10)
+- Energy: {{energy}}/10
+- Stress: {{stress}}/10
+- Relationship: {{relationship}}
+
+Latest message: "{{message}}"
+
+How would this naturally affect their internal state? Consider time-of-day factors (morning energy, evening relaxation, etc.) and how the current time might influence their psychological response.`
+            },
+            memory_significance: {
+                role: 'analytical',
+                description: 'Rates how significant a message is for the character',
+                variables: ['message', 'state_changes'],
+                content: `Rate the psychological significance of this message for the character:
+
+Message: "{{message}}"
+Character state changes: {{state_changes}}
+
+Rate significance (1-10) for:
+- Emotional impact
+- Relationship relevance  
+- Personal significance
+- Contextual importance`
+            }
+        };
+    }
+
+    /**
+     * Built-in template by name (null for unknown names)
+     */
+    static getDefault(name) {
+        const defaults = PromptTemplates.DEFAULTS;
+        return Object.prototype.hasOwnProperty.call(defaults, name) ? defaults[name] : null;
+    }
+
+    /**
+     * Placeholder names used in a template, in order of first use
+     */
+    static placeholders(content) {
+        const names = [...String(content || '').matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]);
+        return [...new Set(names)];
+    }
+
+    /**
+     * Fill the placeholders that have a value (null and undefined become '')
+     * @param {string} content - Template text
+     * @param {Object} values - Placeholder values by name
+     * @returns {string} Rendered text; placeholders without a value stay as they are
+     */
+    static render(content, values = {}) {
+        return String(content || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+            if (!Object.prototype.hasOwnProperty.call(values, name)) {
+                return placeholder;
+            }
+            const value = values[name];
+            return value === null || value === undefined ? '' : String(value);
+        });
+    }
+
+    /**
+     * Render a built-in template
+     */
+    static renderDefault(name, values = {}) {
+        const template = PromptTemplates.getDefault(name);
+        if (!template) {
+            throw new Error(`Unknown prompt template: ${name}`);
+        }
+        return PromptTemplates.render(template.content, values);
+    }
+
+    /**
+     * Render a template with the user's overrides when the template service
+     * is available, otherwise the built-in version
+     * @param {Object|null} templateService - PromptTemplateService (optional dependency)
+     * @param {string} name - Template name
+     * @param {Object} values - Placeholder values
+     * @param {Object} scope - { userId, characterId } for the override cascade
+     * @returns {Promise<string>} Rendered prompt
+     */
+    static async renderFor(templateService, name, values, scope = {}) {
+        if (!templateService) {
+            return PromptTemplates.renderDefault(name, values);
+        }
+        return await templateService.render(name, values, scope);
+    }
+}
+
+module.exports = PromptTemplates;
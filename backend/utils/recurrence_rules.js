@@ -0,0 +1,548 @@
+/**
+ * Recurrence Rules (RFC 5545 RRULE)
+ *
+ * Expands iCalendar recurrence rules for character events ("every weekday at
+ * 7:00", "every other Tuesday", "last Friday of the month").
+ *
+ * SUPPORTED:
+ * - FREQ=DAILY | WEEKLY | MONTHLY | YEARLY with INTERVAL, COUNT and UNTIL
+ * - BYDAY (with ordinals like 1MO or -1FR for MONTHLY/YEARLY), BYMONTHDAY
+ *   (negative = from the end of the month), BYMONTH, BYSETPOS, BYHOUR,
+ *   BYMINUTE and WKST
+ *
+ * RULES:
+ * - Occurrences are expanded on the wall clock of a time zone, so an event
+ *   keeps its local time across DST changes
+ * - starts_at (DTSTART) supplies the time of day and the anchor for INTERVAL;
+ *   it is only an occurrence when it matches the rule
+ * - COUNT counts occurrences before exceptions (EXDATE) are removed
+ * - A rule may produce at most MAX_INSTANTS_PER_PERIOD times per period
+ *   (e.g. FREQ=YEARLY;BYMONTHDAY=1,...,31;BYHOUR=0,...,23 is refused)
+ */
+
+const DateTimeUtils = require('./datetime_utils');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const PART_ORDER = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYMONTH', 'BYMONTHDAY', 'BYDAY', 'BYSETPOS', 'BYHOUR', 'BYMINUTE', 'WKST'];
+
+// Stop expanding rules that never match (e.g. BYMONTH=2;BYMONTHDAY=30)
+const MAX_PERIODS = 5000;
+
+// Times one period may expand to (days x BYHOUR x BYMINUTE)
+const MAX_INSTANTS_PER_PERIOD = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RecurrenceRules {
+    /**
+     * Frequencies that can be expanded
+     */
+    static get FREQUENCIES() {
+        return FREQUENCIES;
+    }
+
+    /**
+     * Parse an RRULE value ("FREQ=WEEKLY;BYDAY=TU", an "RRULE:" prefix is allowed)
+     * @returns {Object} { freq, interval, count, until, byDay: [{ weekday, ordinal }], byMonthDay, byMonth, bySetPos, byHour, byMinute, wkst }
+     * @throws {Error} When the rule is malformed or uses unsupported parts
+     */
+    static parse(value) {
+        if (!value || typeof value !== 'string') {
+            throw new Error('RRULE must be a non-empty string');
+        }
+
+        const rule = {
+            freq: null,
+            interval: 1,
+            count: null,
+            until: null,
+            byDay: [],
+            byMonthDay: [],
+            byMonth: [],
+            bySetPos: [],
+            byHour: [],
+            byMinute: [],
+            wkst: 'MO'
+        };
+
+        const text = value.trim().replace(/^RRULE:/i, '');
+        for (const part of text.split(';').filter(Boolean)) {
+            const [rawKey, rawValue, ...rest] = part.split('=');
+            const key = (rawKey || '').trim().toUpperCase();
+            const partValue = (rawValue || '').trim().toUpperCase();
+            if (!key || !partValue || rest.length > 0) {
+                throw new Error(`Malformed RRULE part: ${part}`);
+            }
+
+            switch (key) {
+                case 'FREQ':
+                    if (!FREQUENCIES.includes(partValue)) {
+                        throw new Error(`Unsupported RRULE frequency: ${partValue}`);
+                    }
+                    rule.freq = partValue;
+                    break;
+                case 'INTERVAL':
+                    rule.interval = this._parseInteger(partValue, key, 1, 1000);
+                    break;
+                case 'COUNT':
+                    rule.count = this._parseInteger(partValue, key, 1, 10000);
+                    break;
+                case 'UNTIL':
+                    if (!/^\d{8}(T\d{6}Z?)?$/.test(partValue)) {
+                        throw new Error(`Invalid RRULE UNTIL: ${partValue}`);
+                    }
+                    rule.until = partValue;
+                    break;
+                case 'BYDAY':
+                    rule.byDay = partValue.split(',').map(day => this._parseWeekday(day));
+                    break;
+                case 'BYMONTHDAY':
+                    rule.byMonthDay = this._parseList(partValue, key, -31, 31);
+                    break;
+                case 'BYMONTH':
+                    rule.byMonth = this._parseList(partValue, key, 1, 12);
+                    break;
+                case 'BYSETPOS':
+                    rule.bySetPos = this._parseList(partValue, key, -366, 366);
+                    break;
+                case 'BYHOUR':
+                    rule.byHour = this._parseList(partValue, key, 0, 23, true);
+                    break;
+                case 'BYMINUTE':
+                    rule.byMinute = this._parseList(partValue, key, 0, 59, true);
+                    break;
+                case 'WKST':
+                    if (!WEEKDAYS.includes(partValue)) {
+                        throw new Error(`Invalid RRULE WKST: ${partValue}`);
+                    }
+                    rule.wkst = partValue;
+                    break;
+                default:
+                    throw new Error(`Unsupported RRULE part: ${key}`);
+            }
+        }
+
+        if (!rule.freq) {
+            throw new Error('RRULE requires FREQ');
+        }
+        if (rule.count && rule.until) {
+            throw new Error('RRULE cannot have both COUNT and UNTIL');
+        }
+        if (['DAILY', 'WEEKLY'].includes(rule.freq) && rule.byDay.some(day => day.ordinal)) {
+            throw new Error(`BYDAY ordinals are only allowed with MONTHLY or YEARLY rules`);
+        }
+        if (rule.freq === 'WEEKLY' && rule.byMonthDay.length > 0) {
+            throw new Error('BYMONTHDAY is not allowed with WEEKLY rules');
+        }
+
+        const instants = this._maxDaysPerPeriod(rule) *
+            Math.max(1, new Set(rule.byHour).size) * Math.max(1, new Set(rule.byMinute).size);
+        if (instants > MAX_INSTANTS_PER_PERIOD) {
+            throw new Error(`RRULE repeats up to ${instants} times per period; at most ${MAX_INSTANTS_PER_PERIOD} are allowed`);
+        }
+
+        return rule;
+    }
+
+    /**
+     * Format a parsed rule back into an RRULE value (without the "RRULE:" prefix)
+     */
+    static stringify(rule) {
+        const parts = {
+            FREQ: rule.freq,
+            INTERVAL: rule.interval > 1 ? rule.interval : null,
+            COUNT: rule.count,
+            UNTIL: rule.until,
+            BYMONTH: rule.byMonth.join(','),
+            BYMONTHDAY: rule.byMonthDay.join(','),
+            BYDAY: rule.byDay.map(day => `${day.ordinal || ''}${day.weekday}`).join(','),
+            BYSETPOS: rule.bySetPos.join(','),
+            BYHOUR: rule.byHour.join(','),
+            BYMINUTE: rule.byMinute.join(','),
+            WKST: rule.wkst !== 'MO' ? rule.wkst : null
+        };
+
+        return PART_ORDER
+            .filter(key => parts[key] !== null && parts[key] !== undefined && parts[key] !== '')
+            .map(key => `${key}=${parts[key]}`)
+            .join(';');
+    }
+
+    /**
+     * Parse and re-format a rule, so equal rules are stored the same way
+     */
+    static normalize(value) {
+        return this.stringify(this.parse(value));
+    }
+
+    /**
+     * Whether a value is a rule this module can expand
+     */
+    static isValid(value) {
+        try {
+            this.parse(value);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * events.recurrence_type for a rule ('daily', 'weekly', 'monthly' or 'yearly')
+     */
+    static getRecurrenceType(value) {
+        const rule = typeof value === 'string' ? this.parse(value) : value;
+        return rule.freq.toLowerCase();
+    }
+
+    /**
+     * Equivalent rule for a legacy recurrence_type; the time of day comes from starts_at
+     * @returns {string|null} null for one-time events
+     */
+    static fromRecurrenceType(recurrenceType) {
+        const freq = (recurrenceType || '').toUpperCase();
+        return FREQUENCIES.includes(freq) ? `FREQ=${freq}` : null;
+    }
+
+    /**
+     * Next occurrence of a rule
+     * @param {string|Object} rrule - RRULE value or parsed rule
+     * @param {Object} options
+     * @param {string|Date} options.startsAt - DTSTART
+     * @param {string|Date} [options.after] - Only occurrences after this instant (defaults to startsAt)
+     * @param {boolean} [options.inclusive] - Also accept an occurrence exactly at `after`
+     * @param {string} [options.timeZone] - IANA zone the rule is expanded in (server zone when omitted)
+     * @param {Array<string|Date>} [options.exdates] - Excluded occurrences (EXDATE)
+     * @returns {Date|null} null when the rule has ended
+     */
+    static nextOccurrence(rrule, { startsAt, after = null, inclusive = false, timeZone = null, exdates = [] }) {
+        const rule = typeof rrule === 'string' ? this.parse(rrule) : rrule;
+        const start = new Date(startsAt);
+        if (isNaN(start.getTime())) {
+            throw new Error('startsAt must be a valid date');
+        }
+
+        const zone = DateTimeUtils.getUserContext({ timeZone }).timeZone;
+        const threshold = after ? new Date(after).getTime() : start.getTime();
+        const until = rule.until ? this._resolveUntil(rule.until, zone).getTime() : null;
+        const excluded = new Set(
+            (exdates || []).map(date => new Date(date).getTime()).filter(time => !isNaN(time))
+        );
+
+        // Without COUNT nothing before `after` matters, so skip ahead
+        const firstPeriod = rule.count ? 0 : this._periodBefore(rule, start, new Date(threshold), zone);
+
+        let index = 0;
+        for (const occurrence of this._occurrences(rule, start, zone, firstPeriod)) {
+            const time = occurrence.getTime();
+            if (until !== null && time > until) return null;
+
+            index++;
+            if (rule.count && index > rule.count) return null;
+
+            if (time < threshold || (time === threshold && !inclusive)) continue;
+            if (excluded.has(time)) continue;
+            return occurrence;
+        }
+        return null;
+    }
+
+    /**
+     * Upcoming occurrences of a rule, for previews
+     * @param {Object} options - Same as nextOccurrence, plus limit
+     * @returns {Array<Date>}
+     */
+    static getOccurrences(rrule, { limit = 10, ...options }) {
+        const occurrences = [];
+        let after = options.after || options.startsAt;
+        let inclusive = options.inclusive !== undefined ? options.inclusive : !options.after;
+
+        while (occurrences.length < limit) {
+            const next = this.nextOccurrence(rrule, { ...options, after, inclusive });
+            if (!next) break;
+            occurrences.push(next);
+            after = next;
+            inclusive = false;
+        }
+        return occurrences;
+    }
+
+    /**
+     * Occurrences on or after start, in order
+     */
+    static *_occurrences(rule, start, timeZone, firstPeriod) {
+        const anchor = DateTimeUtils.getZonedParts(start, timeZone);
+        const hours = rule.byHour.length > 0 ? [...rule.byHour].sort((a, b) => a - b) : [anchor.hour];
+        const minutes = rule.byMinute.length > 0 ? [...rule.byMinute].sort((a, b) => a - b) : [anchor.minute];
+
+        for (let period = firstPeriod; period < firstPeriod + MAX_PERIODS; period++) {
+            const days = this._expandPeriod(rule, anchor, period);
+            if (days === null) return;
+
+            let instants = [];
+            for (const day of days) {
+                for (const hour of hours) {
+                    for (const minute of minutes) {
+                        instants.push(DateTimeUtils.zonedTimeToUtc({ ...day, hour, minute, second: anchor.second }, timeZone));
+                    }
+                }
+            }
+            instants = this._uniqueSorted(instants);
+
+            if (rule.bySetPos.length > 0) {
+                instants = this._uniqueSorted(rule.bySetPos
+                    .map(position => instants[position > 0 ? position - 1 : instants.length + position])
+                    .filter(Boolean));
+            }
+
+            for (const instant of instants) {
+                if (instant >= start) {
+                    yield instant;
+                }
+            }
+        }
+    }
+
+    /**
+     * Calendar days of one period (day, week, month or year after the anchor)
+     * @returns {Array<Object>|null} [{ year, month, day }], null past year 9999
+     */
+    static _expandPeriod(rule, anchor, period) {
+        const step = period * rule.interval;
+
+        if (rule.freq === 'DAILY') {
+            const day = this._civil(anchor.year, anchor.month, anchor.day + step);
+            if (day.year > 9999) return null;
+            const matches = this._inMonths(rule, day.month) &&
+                (rule.byMonthDay.length === 0 || this._matchesMonthDay(rule, day)) &&
+                (rule.byDay.length === 0 || rule.byDay.some(byDay => byDay.weekday === this._weekday(day)));
+            return matches ? [day] : [];
+        }
+
+        if (rule.freq === 'WEEKLY') {
+            const offset = (anchor.weekday - WEEKDAYS.indexOf(rule.wkst) + 7) % 7;
+            const weekStart = this._civil(anchor.year, anchor.month, anchor.day - offset + step * 7);
+            if (weekStart.year > 9999) return null;
+            const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [WEEKDAYS[anchor.weekday]];
+            const days = [];
+            for (let i = 0; i < 7; i++) {
+                const day = this._civil(weekStart.year, weekStart.month, weekStart.day + i);
+                if (weekdays.includes(this._weekday(day)) && this._inMonths(rule, day.month)) {
+                    days.push(day);
+                }
+            }
+            return days;
+        }
+
+        if (rule.freq === 'MONTHLY') {
+            const monthIndex = anchor.month - 1 + step;
+            const year = anchor.year + Math.floor(monthIndex / 12);
+            const month = (monthIndex % 12) + 1;
+            if (year > 9999) return null;
+            return this._inMonths(rule, month) ? this._monthDays(rule, anchor, year, month) : [];
+        }
+
+        // YEARLY
+        const year = anchor.year + step;
+        if (year > 9999) return null;
+
+        if (rule.byMonth.length > 0) {
+            return [...rule.byMonth].sort((a, b) => a - b)
+                .flatMap(month => this._monthDays(rule, anchor, year, month));
+        }
+        if (rule.byMonthDay.length > 0) {
+            return Array.from({ length: 12 }, (_, i) => i + 1)
+                .flatMap(month => this._monthDays(rule, anchor, year, month));
+        }
+        if (rule.byDay.length > 0) {
+            return this._yearWeekdays(rule, year);
+        }
+        return this._monthDays(rule, anchor, year, anchor.month);
+    }
+
+    /**
+     * Upper bound on the calendar days one period of a rule expands to
+     */
+    static _maxDaysPerPeriod(rule) {
+        const weekdays = new Set(rule.byDay.map(day => day.weekday)).size;
+        const monthDays = new Set(rule.byMonthDay).size;
+        // A weekday without an ordinal falls up to 5 times in a month and 53 in a year
+        const weekdayDays = perWeekday => rule.byDay.reduce((total, day) => total + (day.ordinal ? 1 : perWeekday), 0);
+        const perMonth = monthDays > 0 ? monthDays : weekdays > 0 ? Math.min(31, weekdayDays(5)) : 1;
+
+        switch (rule.freq) {
+            case 'DAILY':
+                return 1;
+            case 'WEEKLY':
+                return Math.max(1, weekdays);
+            case 'MONTHLY':
+                return perMonth;
+            default:
+                if (rule.byMonth.length > 0) {
+                    return Math.min(366, new Set(rule.byMonth).size * perMonth);
+                }
+                if (monthDays > 0) {
+                    return Math.min(366, 12 * perMonth);
+                }
+                return weekdays > 0 ? Math.min(366, weekdayDays(53)) : 1;
+        }
+    }
+
+    /**
+     * Days of a month matching BYMONTHDAY/BYDAY, or the anchor's day of month
+     * (months without that day are skipped, as RFC 5545 requires)
+     */
+    static _monthDays(rule, anchor, year, month) {
+        const daysInMonth = this._daysInMonth(year, month);
+
+        if (rule.byMonthDay.length === 0 && rule.byDay.length === 0) {
+            return anchor.day <= daysInMonth ? [{ year, month, day: anchor.day }] : [];
+        }
+
+        const days = [];
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = { year, month, day };
+            if (rule.byMonthDay.length > 0 && !this._matchesMonthDay(rule, date)) continue;
+            if (rule.byDay.length > 0 && !rule.byDay.some(byDay => this._matchesWeekday(byDay, date, day, daysInMonth))) continue;
+            days.push(date);
+        }
+        return days;
+    }
+
+    /**
+     * Days of a year matching BYDAY, with ordinals counted within the year (20MO)
+     */
+    static _yearWeekdays(rule, year) {
+        const daysInYear = this._isLeapYear(year) ? 366 : 365;
+        const days = [];
+        for (let dayOfYear = 1; dayOfYear <= daysInYear; dayOfYear++) {
+            const date = this._civil(year, 1, dayOfYear);
+            if (rule.byDay.some(byDay => this._matchesWeekday(byDay, date, dayOfYear, daysInYear))) {
+                days.push(date);
+            }
+        }
+        return days;
+    }
+
+    /**
+     * Whether a day matches one BYDAY entry; position/length locate the ordinal
+     */
+    static _matchesWeekday(byDay, date, position, length) {
+        if (byDay.weekday !== this._weekday(date)) return false;
+        if (!byDay.ordinal) return true;
+        return byDay.ordinal > 0
+            ? Math.ceil(position / 7) === byDay.ordinal
+            : Math.ceil((length - position + 1) / 7) === -byDay.ordinal;
+    }
+
+    static _matchesMonthDay(rule, date) {
+        const daysInMonth = this._daysInMonth(date.year, date.month);
+        return rule.byMonthDay.some(monthDay =>
+            monthDay > 0 ? monthDay === date.day : daysInMonth + monthDay + 1 === date.day
+        );
+    }
+
+    static _inMonths(rule, month) {
+        return rule.byMonth.length === 0 || rule.byMonth.includes(month);
+    }
+
+    /**
+     * A period safely before the one containing `after` (0 when after is before start)
+     */
+    static _periodBefore(rule, start, after, timeZone) {
+        if (after <= start) return 0;
+
+        const from = DateTimeUtils.getZonedParts(start, timeZone);
+        const to = DateTimeUtils.getZonedParts(after, timeZone);
+        const days = Math.floor((Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / DAY_MS);
+        const months = (to.year - from.year) * 12 + (to.month - from.month);
+
+        const elapsed = {
+            DAILY: days,
+            WEEKLY: Math.floor(days / 7),
+            MONTHLY: months,
+            YEARLY: to.year - from.year
+        }[rule.freq];
+
+        return Math.max(0, Math.floor(elapsed / rule.interval) - 1);
+    }
+
+    /**
+     * UNTIL as an instant: UTC ("...Z"), wall clock in the zone, or the end of a date
+     */
+    static _resolveUntil(until, timeZone) {
+        const year = Number(until.slice(0, 4));
+        const month = Number(until.slice(4, 6));
+        const day = Number(until.slice(6, 8));
+
+        if (until.length === 8) {
+            return DateTimeUtils.zonedTimeToUtc({ year, month, day, hour: 23, minute: 59, second: 59 }, timeZone);
+        }
+
+        const time = { hour: Number(until.slice(9, 11)), minute: Number(until.slice(11, 13)), second: Number(until.slice(13, 15)) };
+        return until.endsWith('Z')
+            ? new Date(Date.UTC(year, month - 1, day, time.hour, time.minute, time.second))
+            : DateTimeUtils.zonedTimeToUtc({ year, month, day, ...time }, timeZone);
+    }
+
+    static _parseWeekday(value) {
+        const match = value.trim().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+        if (!match) {
+            throw new Error(`Invalid RRULE BYDAY: ${value}`);
+        }
+        const ordinal = match[1] ? parseInt(match[1], 10) : null;
+        if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 53)) {
+            throw new Error(`Invalid RRULE BYDAY: ${value}`);
+        }
+        return { weekday: match[2], ordinal };
+    }
+
+    static _parseList(value, key, min, max, allowZero = false) {
+        return value.split(',').map(item => {
+            const number = this._parseInteger(item, key, min, max);
+            if (number === 0 && !allowZero) {
+                throw new Error(`Invalid RRULE ${key}: ${item}`);
+            }
+            return number;
+        });
+    }
+
+    static _parseInteger(value, key, min, max) {
+        if (!/^[+-]?\d+$/.test(value.trim())) {
+            throw new Error(`Invalid RRULE ${key}: ${value}`);
+        }
+        const number = parseInt(value, 10);
+        if (number < min || number > max) {
+            throw new Error(`Invalid RRULE ${key}: ${value}`);
+        }
+        return number;
+    }
+
+    static _uniqueSorted(instants) {
+        const unique = new Map(instants.map(instant => [instant.getTime(), instant]));
+        return [...unique.values()].sort((a, b) => a - b);
+    }
+
+    /**
+     * Normalize a calendar date whose day may be out of range
+     */
+    static _civil(year, month, day) {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    }
+
+    static _weekday({ year, month, day }) {
+        return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+    }
+
+    static _daysInMonth(year, month) {
+        return new Date(Date.UTC(year, month, 0)).getUTCDate();
+    }
+
+    static _isLeapYear(year) {
+        return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    }
+}
+
+module.exports = RecurrenceRules;
@@ -0,0 +1,90 @@
+/**
+ * Tool Protocol Utility
+ * Text fallback for models without native tool calling
+ *
+ * - buildInstructions() describes the tools in the system prompt and asks the
+ *   model to answer with <tool_call>{"name": ..., "arguments": {...}}</tool_call>
+ * - parseToolCalls() extracts those blocks from a reply
+ * - formatToolResults() renders results as <tool_result> blocks for the next turn
+ */
+
+class ToolProtocol {
+    static get CALL_PATTERN() {
+        return /<tool_call>\s*([\s\S]*?)\s*<\/tool_call>/g;
+    }
+
+    /**
+     * Describe tools (OpenAI `tools` format) for the system prompt
+     * @param {Array} tools - [{ type: 'function', function: { name, description, parameters } }]
+     * @returns {string} Instructions to append to the system prompt
+     */
+    static buildInstructions(tools) {
+        if (!tools || tools.length === 0) {
+            return '';
+        }
+
+        const descriptions = tools.map(tool => {
+            const fn = tool.function || tool;
+            const properties = fn.parameters?.properties || {};
+            const required = fn.parameters?.required || [];
+            const args = Object.entries(properties)
+                .map(([name, schema]) => `    - ${name}${required.includes(name) ? '' : ' (optional)'}: ${schema.description || schema.type}`)
+                .join('\n');
+            return `- ${fn.name}: ${fn.description}${args ? `\n${args}` : ''}`;
+        }).join('\n');
+
+        return `TOOLS:
+You can use these tools:
+${descriptions}
+
+To use a tool, reply with ONLY one or more blocks like this and nothing else:
+<tool_call>{"name": "tool_name", "arguments": {"arg": "value"}}</tool_call>
+You will get the results in <tool_result> blocks and can then answer normally.
+Only use a tool when it is actually needed.`;
+    }
+
+    /**
+     * Extract tool calls from a model reply
+     * @param {string} content - Model reply
+     * @returns {Object} { toolCalls: [{ id, name, arguments }], content } with the blocks removed from content
+     */
+    static parseToolCalls(content) {
+        if (!content || !content.includes('<tool_call>')) {
+            return { toolCalls: [], content: content || '' };
+        }
+
+        const toolCalls = [];
+        for (const match of content.matchAll(ToolProtocol.CALL_PATTERN)) {
+            try {
+                const parsed = JSON.parse(match[1]);
+                if (parsed && typeof parsed.name === 'string') {
+                    toolCalls.push({
+                        id: `text_call_${toolCalls.length + 1}`,
+                        name: parsed.name,
+                        arguments: parsed.arguments && typeof parsed.arguments === 'object' ? parsed.arguments : {}
+                    });
+                }
+            } catch (error) {
+                // Malformed block - leave it out rather than failing the reply
+            }
+        }
+
+        return {
+            toolCalls,
+            content: content.replace(ToolProtocol.CALL_PATTERN, '').trim()
+        };
+    }
+
+    /**
+     * Render tool results for the follow-up user turn
+     * @param {Array} results - [{ name, result }]
+     * @returns {string}
+     */
+    static formatToolResults(results) {
+        return results
+            .map(({ name, result }) => `<tool_result name="${name}">${JSON.stringify(result)}</tool_result>`)
+            .join('\n');
+    }
+}
+
+module.exports = ToolProtocol;
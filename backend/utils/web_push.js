@@ -0,0 +1,161 @@
+/**
+ * Web Push Utilities (RFC 8030, RFC 8291, RFC 8292)
+ *
+ * Sends notifications to browser push services without a push library:
+ * payloads are encrypted with aes128gcm for the subscription's keys and
+ * requests are signed with the application server's VAPID key.
+ *
+ * RULES:
+ * - Keys are base64url strings: VAPID public keys and p256dh are uncompressed
+ *   P-256 points (65 bytes), private keys are 32 bytes, auth secrets 16 bytes
+ * - A payload must fit one record: at most MAX_PAYLOAD_BYTES of UTF-8
+ * - 404 and 410 from the push service mean the subscription is gone
+ * - Subscriptions are only accepted with https endpoints; the server posts to
+ *   whatever URL a browser registered
+ */
+
+const crypto = require('crypto');
+
+const RECORD_SIZE = 4096;
+// One record minus the header (86), delimiter (1) and GCM tag (16)
+const MAX_PAYLOAD_BYTES = RECORD_SIZE - 86 - 1 - 16;
+const JWT_LIFETIME_SECONDS = 12 * 60 * 60;
+
+class WebPush {
+    static get MAX_PAYLOAD_BYTES() {
+        return MAX_PAYLOAD_BYTES;
+    }
+
+    /**
+     * Create a VAPID key pair
+     * @returns {Object} { publicKey, privateKey } as base64url
+     */
+    static generateVAPIDKeys() {
+        const ecdh = crypto.createECDH('prime256v1');
+        ecdh.generateKeys();
+        return {
+            publicKey: ecdh.getPublicKey().toString('base64url'),
+            privateKey: ecdh.getPrivateKey().toString('base64url')
+        };
+    }
+
+    /**
+     * Check the https endpoint and keys of a PushSubscription JSON
+     * @returns {boolean}
+     */
+    static isValidSubscription(subscription) {
+        if (!subscription || typeof subscription.endpoint !== 'string' || !subscription.keys) {
+            return false;
+        }
+        try {
+            const url = new URL(subscription.endpoint);
+            if (url.protocol !== 'https:') return false;
+        } catch {
+            return false;
+        }
+        const p256dh = Buffer.from(String(subscription.keys.p256dh || ''), 'base64url');
+        const auth = Buffer.from(String(subscription.keys.auth || ''), 'base64url');
+        return p256dh.length === 65 && p256dh[0] === 0x04 && auth.length === 16;
+    }
+
+    /**
+     * Encrypt a payload for a subscription (aes128gcm content coding)
+     * @param {string|Buffer} payload
+     * @param {Object} keys - { p256dh, auth } of the subscription
+     * @param {Object} options - { salt, privateKey } fixed values for reproducible output
+     * @returns {Buffer} Request body
+     */
+    static encrypt(payload, { p256dh, auth }, { salt = crypto.randomBytes(16), privateKey = null } = {}) {
+        const plaintext = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+        if (plaintext.length > MAX_PAYLOAD_BYTES) {
+            throw new Error(`Push payload is ${plaintext.length} bytes; the limit is ${MAX_PAYLOAD_BYTES}`);
+        }
+
+        const userAgentPublicKey = Buffer.from(p256dh, 'base64url');
+        const authSecret = Buffer.from(auth, 'base64url');
+
+        const ecdh = crypto.createECDH('prime256v1');
+        if (privateKey) {
+            ecdh.setPrivateKey(Buffer.from(privateKey, 'base64url'));
+        } else {
+            ecdh.generateKeys();
+        }
+        const serverPublicKey = ecdh.getPublicKey();
+        const sharedSecret = ecdh.computeSecret(userAgentPublicKey);
+
+        const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey]);
+        const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+        const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+        const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+        const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+        // 0x02 marks the last (and only) record
+        const ciphertext = Buffer.concat([cipher.update(Buffer.concat([plaintext, Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+        const recordSize = Buffer.alloc(4);
+        recordSize.writeUInt32BE(RECORD_SIZE);
+        return Buffer.concat([salt, recordSize, Buffer.from([serverPublicKey.length]), serverPublicKey, ciphertext]);
+    }
+
+    /**
+     * Authorization header value for a push service (VAPID, ES256 JWT)
+     * @param {string} endpoint - Subscription endpoint; the JWT audience is its origin
+     * @param {Object} vapid - { publicKey, privateKey, subject }
+     */
+    static getVapidAuthorization(endpoint, { publicKey, privateKey, subject }, now = new Date()) {
+        const header = { typ: 'JWT', alg: 'ES256' };
+        const claims = {
+            aud: new URL(endpoint).origin,
+            exp: Math.floor(now.getTime() / 1000) + JWT_LIFETIME_SECONDS,
+            sub: subject
+        };
+        const unsigned = [header, claims]
+            .map(part => Buffer.from(JSON.stringify(part)).toString('base64url'))
+            .join('.');
+
+        const point = Buffer.from(publicKey, 'base64url');
+        const key = crypto.createPrivateKey({
+            format: 'jwk',
+            key: {
+                kty: 'EC',
+                crv: 'P-256',
+                d: privateKey,
+                x: point.subarray(1, 33).toString('base64url'),
+                y: point.subarray(33, 65).toString('base64url')
+            }
+        });
+        const signature = crypto.sign('sha256', Buffer.from(unsigned), { key, dsaEncoding: 'ieee-p1363' });
+
+        return `vapid t=${unsigned}.${signature.toString('base64url')}, k=${publicKey}`;
+    }
+
+    /**
+     * Send one notification
+     * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+     * @param {string} payload - Usually JSON
+     * @param {Object} options - { vapid, ttl (seconds), urgency, timeoutMs }
+     * @returns {Promise<Object>} { statusCode, gone } gone = the subscription no longer exists
+     * @throws when the push service cannot be reached
+     */
+    static async sendNotification(subscription, payload, { vapid, ttl = 24 * 60 * 60, urgency = 'normal', timeoutMs = 10000 }) {
+        const response = await fetch(subscription.endpoint, {
+            method: 'POST',
+            headers: {
+                Authorization: this.getVapidAuthorization(subscription.endpoint, vapid),
+                TTL: String(ttl),
+                Urgency: urgency,
+                'Content-Encoding': 'aes128gcm',
+                'Content-Type': 'application/octet-stream'
+            },
+            body: this.encrypt(payload, subscription.keys),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+
+        return {
+            statusCode: response.status,
+            gone: response.status === 404 || response.status === 410
+        };
+    }
+}
+
+module.exports = WebPush;
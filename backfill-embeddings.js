@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Embedding Backfill Script
+ *
+ * DOMAIN LAYER: Builds the semantic memory index for existing chats
+ *
+ * Messages saved before the embedding index existed are not searchable by
+ * similarity until they are embedded. New messages are indexed after each
+ * exchange; this script catches up on the history.
+ *
+ * Usage:
+ *   node backfill-embeddings.js                       # Backfill all messages
+ *   node backfill-embeddings.js --user <userId>       # Only one user's chats
+ *   node backfill-embeddings.js --chat <chatId>       # Only one chat
+ *   node backfill-embeddings.js --batch-size 100      # Messages per embeddings request
+ */
+
+const { setupServices, shutdownServices } = require('./setupServices');
+
+const args = process.argv.slice(2);
+
+function getArg(name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+function displayHelp() {
+    console.log(`
+🧠 Aria AI Embedding Backfill
+
+USAGE:
+  node backfill-embeddings.js [options]
+
+OPTIONS:
+  --user <userId>              # Only backfill chats owned by this user
+  --chat <chatId>              # Only backfill a single chat
+  --batch-size <n>             # Messages per embeddings request (default 50)
+  --help, -h                   # Show this help message
+    `);
+}
+
+async function main() {
+    if (args.includes('--help') || args.includes('-h')) {
+        displayHelp();
+        return;
+    }
+
+    const serviceFactory = await setupServices();
+
+    try {
+        const memorySearch = serviceFactory.get('memorySearch');
+        const batchSize = getArg('--batch-size');
+
+        const result = await memorySearch.backfillEmbeddings({
+            userId: getArg('--user'),
+            chatId: getArg('--chat'),
+            batchSize: batchSize ? parseInt(batchSize, 10) : undefined
+        });
+
+        console.log(`✅ Indexed ${result.indexed} messages with ${result.model} in ${result.batches} batches`);
+    } finally {
+        await shutdownServices(serviceFactory);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Embedding backfill failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,34 @@
+-- ============================================================================
+-- Migration 009: Memory Embeddings
+-- Semantic vector index over conversation_logs for deep memory search
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description: 
+--   - Add memory_embeddings table (one vector per message, JSON-encoded)
+--   - Vectors are tagged with the embedding model that produced them so a
+--     model change never mixes incompatible vectors
+--   - Rows cascade with their message, chat and user
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS memory_embeddings (
+    id TEXT PRIMARY KEY,
+    message_id TEXT NOT NULL UNIQUE,     -- Reference to conversation log
+    chat_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,               -- Reference to user for isolation
+    model TEXT NOT NULL,                 -- Embedding model that produced the vector
+    dimensions INTEGER NOT NULL,
+    embedding TEXT NOT NULL,             -- JSON array of floats
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (message_id) REFERENCES conversation_logs(id) ON DELETE CASCADE,
+    FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_memory_embeddings_chat ON memory_embeddings(chat_id);
+CREATE INDEX IF NOT EXISTS idx_memory_embeddings_user ON memory_embeddings(user_id);
+CREATE INDEX IF NOT EXISTS idx_memory_embeddings_model ON memory_embeddings(model);
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description) 
+VALUES ('migration_009', '009', 'Add memory embeddings for semantic search');
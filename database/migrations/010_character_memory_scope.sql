@@ -0,0 +1,19 @@
+-- ============================================================================
+-- Migration 010: Character Memory Scope
+-- Let deep memory search reach beyond the current chat
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description: 
+--   - Add memory_scope column to personalities
+--   - memory_scope values:
+--       'chat'      = only the current chat (previous behaviour, default)
+--       'character' = all of the user's chats with this character
+--       'user'      = all of the user's chats
+--   - Searches never cross user_id boundaries regardless of scope
+-- ============================================================================
+
+ALTER TABLE personalities ADD COLUMN memory_scope TEXT DEFAULT 'chat';
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description) 
+VALUES ('migration_010', '010', 'Add character memory scope');
@@ -0,0 +1,35 @@
+-- ============================================================================
+-- Migration 011: Conversation Summaries
+-- Rolling, layered summary of older turns per chat
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description: 
+--   - Add conversation_summaries table (one row per chat)
+--   - Layers:
+--       recent     = last N messages, kept verbatim (not stored here)
+--       mid_summary = summary of the turns just before the recent window
+--       long_gist   = compressed gist of everything older than that
+--   - summarized_through_* marks the last message folded into the summary
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS conversation_summaries (
+    id TEXT PRIMARY KEY,
+    chat_id TEXT NOT NULL UNIQUE,
+    user_id TEXT NOT NULL,
+    mid_summary TEXT DEFAULT '',
+    long_gist TEXT DEFAULT '',
+    mid_message_count INTEGER DEFAULT 0,
+    summarized_message_count INTEGER DEFAULT 0,
+    summarized_through_message_id TEXT,
+    summarized_through_timestamp DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_summaries_user ON conversation_summaries(user_id);
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description) 
+VALUES ('migration_011', '011', 'Add rolling conversation summaries');
@@ -0,0 +1,19 @@
+-- ============================================================================
+-- Migration 012: Prompt Budget Configuration
+-- Fit the chat system prompt into the model's context length
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description: 
+--   - llm_context_length: fallback context length (tokens) when the resolved
+--     model config has no context_length of its own
+--   - prompt_section_priority: system prompt sections from most to least
+--     important; the least important are trimmed first when over budget
+-- ============================================================================
+
+INSERT OR IGNORE INTO configuration (key, value, type, description, category, is_user_configurable) VALUES
+('llm_context_length', '8192', 'number', 'Context length (tokens) of the conversational model', 'llm', 1),
+('prompt_section_priority', '["identity","closing","datetime","conversation_context","recent_messages","psychology","user_profile","conversation_summary","background","deep_memories","commitments","events","top_memories","recent_flow","completions"]', 'json', 'System prompt sections from most to least important (least important are trimmed first)', 'llm', 1);
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description) 
+VALUES ('migration_012', '012', 'Add prompt budget configuration');
@@ -0,0 +1,20 @@
+-- ============================================================================
+-- Migration 013: Named LLM Providers
+-- Route each model config (per role) to a named backend
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description: 
+--   - llm_providers: named backends keyed by name, e.g.
+--     {"local-ollama": {"type": "ollama", "endpoint": "http://localhost:11434"},
+--      "claude": {"type": "anthropic", "api_key_env": "ANTHROPIC_API_KEY"}}
+--     type is one of openai, lmstudio, vllm, llamacpp, ollama, anthropic.
+--     Model configs select one with "provider": "<name>"; without it the
+--     default LLM_ENDPOINT server is used.
+-- ============================================================================
+
+INSERT OR IGNORE INTO configuration (key, value, type, description, category, is_user_configurable) VALUES
+('llm_providers', '{}', 'json', 'Named LLM backends (type, endpoint, api_key_env) selectable per model config', 'llm', 1);
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description) 
+VALUES ('migration_013', '013', 'Add named LLM providers configuration');
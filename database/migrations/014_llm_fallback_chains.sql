@@ -0,0 +1,18 @@
+-- ============================================================================
+-- Migration 014: LLM Fallback Chains
+-- Ordered backup endpoint/model pairs per role
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description: 
+--   - llm_fallbacks: global failover chain per role, tried after the resolved
+--     model config (and its own `fallbacks`) when a backend is down, e.g.
+--     {"conversational": [{"provider": "local-ollama", "model": "llama3.1:8b"}],
+--      "analytical": [{"provider": "claude", "model": "claude-3-5-haiku-latest"}]}
+-- ============================================================================
+
+INSERT OR IGNORE INTO configuration (key, value, type, description, category, is_user_configurable) VALUES
+('llm_fallbacks', '{"conversational":[],"analytical":[]}', 'json', 'Failover chain of provider/model pairs per role', 'llm', 1);
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description) 
+VALUES ('migration_014', '014', 'Add LLM fallback chain configuration');
@@ -0,0 +1,7 @@
+-- ============================================================================
+-- Migration 015 (down): Character Tool Allowlist
+-- ============================================================================
+
+ALTER TABLE personalities DROP COLUMN tool_allowlist;
+
+DELETE FROM schema_versions WHERE id = 'migration_015';
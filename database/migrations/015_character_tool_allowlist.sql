@@ -0,0 +1,17 @@
+-- ============================================================================
+-- Migration 015: Character Tool Allowlist
+-- Which tools each character may call during a conversation
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description: 
+--   - Add tool_allowlist column to personalities
+--   - tool_allowlist is a JSON array of tool names:
+--       create_commitment, schedule_event, search_memory, get_datetime
+--   - NULL = all tools (default), '[]' = tool calling disabled
+-- ============================================================================
+
+ALTER TABLE personalities ADD COLUMN tool_allowlist TEXT DEFAULT NULL;
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description) 
+VALUES ('migration_015', '015', 'Add character tool allowlist');
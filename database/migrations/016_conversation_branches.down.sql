@@ -0,0 +1,18 @@
+-- ============================================================================
+-- Migration 016 (down): Conversation Branches
+-- ============================================================================
+-- Inactive branches are deleted: without parent_id/is_active every remaining
+-- message would show up in the linear history again.
+-- ============================================================================
+
+DROP INDEX IF EXISTS idx_psychology_state_snapshots_chat;
+DROP TABLE IF EXISTS psychology_state_snapshots;
+
+DELETE FROM conversation_logs WHERE is_active = 0;
+
+DROP INDEX IF EXISTS idx_conversation_logs_active;
+DROP INDEX IF EXISTS idx_conversation_logs_parent;
+ALTER TABLE conversation_logs DROP COLUMN is_active;
+ALTER TABLE conversation_logs DROP COLUMN parent_id;
+
+DELETE FROM schema_versions WHERE id = 'migration_016';
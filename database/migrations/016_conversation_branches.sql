@@ -0,0 +1,47 @@
+-- ============================================================================
+-- Migration 016: Conversation Branches
+-- Message trees for regenerating replies and editing user messages
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description:
+--   - Add parent_id to conversation_logs (previous message in the tree,
+--     NULL for the first message of a chat)
+--   - Add is_active to conversation_logs (1 = on the active branch); the
+--     active branch is always a single path, so history queries stay linear
+--   - Backfill parent_id for existing chats from timestamp order
+--   - Add psychology_state_snapshots: the character's psychological state
+--     after each assistant reply, restored when the active branch changes
+-- ============================================================================
+
+ALTER TABLE conversation_logs ADD COLUMN parent_id TEXT DEFAULT NULL;
+ALTER TABLE conversation_logs ADD COLUMN is_active INTEGER DEFAULT 1;
+
+UPDATE conversation_logs
+SET parent_id = (
+    SELECT prev.id FROM conversation_logs prev
+    WHERE prev.chat_id = conversation_logs.chat_id
+    AND (prev.timestamp < conversation_logs.timestamp
+         OR (prev.timestamp = conversation_logs.timestamp AND prev.rowid < conversation_logs.rowid))
+    ORDER BY prev.timestamp DESC, prev.rowid DESC
+    LIMIT 1
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_logs_parent ON conversation_logs(chat_id, parent_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_logs_active ON conversation_logs(chat_id, is_active, timestamp);
+
+CREATE TABLE IF NOT EXISTS psychology_state_snapshots (
+    message_id TEXT PRIMARY KEY,
+    chat_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    state_data TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (message_id) REFERENCES conversation_logs(id) ON DELETE CASCADE,
+    FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_psychology_state_snapshots_chat ON psychology_state_snapshots(chat_id);
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description)
+VALUES ('migration_016', '016', 'Add conversation branches');
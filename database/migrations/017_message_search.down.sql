@@ -0,0 +1,10 @@
+-- ============================================================================
+-- Migration 017 (down): Message Search
+-- ============================================================================
+
+DROP TRIGGER IF EXISTS conversation_logs_fts_insert;
+DROP TRIGGER IF EXISTS conversation_logs_fts_delete;
+DROP TRIGGER IF EXISTS conversation_logs_fts_update;
+DROP TABLE IF EXISTS conversation_logs_fts;
+
+DELETE FROM schema_versions WHERE id = 'migration_017';
@@ -0,0 +1,44 @@
+-- ============================================================================
+-- Migration 017: Message Search
+-- Full-text search across all of a user's conversations
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description:
+--   - Add conversation_logs_fts, an FTS5 index over conversation_logs.content
+--     (external content table: rows are matched back by rowid)
+--   - Keep the index in sync with triggers on insert, update and delete
+--   - Index existing messages
+-- ============================================================================
+
+CREATE VIRTUAL TABLE IF NOT EXISTS conversation_logs_fts USING fts5(
+    content,
+    content = 'conversation_logs',
+    content_rowid = 'rowid',
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS conversation_logs_fts_insert
+    AFTER INSERT ON conversation_logs
+    BEGIN
+        INSERT INTO conversation_logs_fts(rowid, content) VALUES (NEW.rowid, NEW.content);
+    END;
+
+CREATE TRIGGER IF NOT EXISTS conversation_logs_fts_delete
+    AFTER DELETE ON conversation_logs
+    BEGIN
+        INSERT INTO conversation_logs_fts(conversation_logs_fts, rowid, content) VALUES ('delete', OLD.rowid, OLD.content);
+    END;
+
+CREATE TRIGGER IF NOT EXISTS conversation_logs_fts_update
+    AFTER UPDATE OF content ON conversation_logs
+    BEGIN
+        INSERT INTO conversation_logs_fts(conversation_logs_fts, rowid, content) VALUES ('delete', OLD.rowid, OLD.content);
+        INSERT INTO conversation_logs_fts(rowid, content) VALUES (NEW.rowid, NEW.content);
+    END;
+
+-- Index existing messages
+INSERT INTO conversation_logs_fts(conversation_logs_fts) VALUES ('rebuild');
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description)
+VALUES ('migration_017', '017', 'Add full-text message search');
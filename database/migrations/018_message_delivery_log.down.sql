@@ -0,0 +1,8 @@
+-- ============================================================================
+-- Migration 018 (down): Message Delivery Log
+-- ============================================================================
+
+DROP INDEX IF EXISTS idx_message_delivery_log_user;
+DROP TABLE IF EXISTS message_delivery_log;
+
+DELETE FROM schema_versions WHERE id = 'migration_018';
@@ -0,0 +1,29 @@
+-- ============================================================================
+-- Migration 018: Message Delivery Log
+-- Real-time messages sent to users, kept for replay after a reconnect
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description:
+--   - Add message_delivery_log: every proactive message and event notification
+--     pushed over the WebSocket, whether or not the user was connected
+--   - Clients reconnect with the id of the last message they saw and receive
+--     everything logged for them after it (ordered by rowid)
+--   - Entries older than the replay window are pruned by MessageDeliveryService
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS message_delivery_log (
+    id TEXT PRIMARY KEY,                 -- Message id sent to the client
+    user_id TEXT NOT NULL,               -- Reference to user for isolation
+    message_type TEXT NOT NULL,          -- proactive, event, ...
+    payload TEXT NOT NULL,               -- JSON message as sent over the socket
+    delivered INTEGER DEFAULT 0,         -- 1 if at least one connection received it live
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_delivery_log_user ON message_delivery_log(user_id, created_at);
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description)
+VALUES ('migration_018', '018', 'Add message delivery log for WebSocket replay');
@@ -0,0 +1,8 @@
+-- ============================================================================
+-- Migration 019 (down): Character Revisions
+-- ============================================================================
+
+DROP INDEX IF EXISTS idx_character_revisions_personality;
+DROP TABLE IF EXISTS character_revisions;
+
+DELETE FROM schema_versions WHERE id = 'migration_019';
@@ -0,0 +1,37 @@
+-- ============================================================================
+-- Migration 019: Character Revisions
+-- Immutable history of character edits with rollback
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description:
+--   - Add character_revisions: a full snapshot of the editable character
+--     fields after every create, edit, import and rollback
+--   - Each revision keeps the psychological framework that was in effect
+--     for it (framework_data + analysis_version), so old and new analyses
+--     can be compared after a definition change
+--   - Uploaded image data is not copied into revisions; image_metadata is
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS character_revisions (
+    id TEXT PRIMARY KEY,
+    personality_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,               -- Reference to user for isolation
+    revision_number INTEGER NOT NULL,    -- 1, 2, 3... per character
+    source TEXT NOT NULL DEFAULT 'edit', -- initial, create, import, edit or rollback
+    snapshot TEXT NOT NULL,              -- JSON of the character fields after this revision
+    changed_fields TEXT DEFAULT '[]',    -- JSON array of fields changed against the previous revision
+    rolled_back_to INTEGER DEFAULT NULL, -- Revision number restored by a rollback
+    framework_data TEXT DEFAULT NULL,    -- Psychological framework for this revision (NULL while analysis runs)
+    analysis_version INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (personality_id, revision_number),
+    FOREIGN KEY (personality_id) REFERENCES personalities(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_character_revisions_personality ON character_revisions(personality_id, revision_number DESC);
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description)
+VALUES ('migration_019', '019', 'Add character revision history');
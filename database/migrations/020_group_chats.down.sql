@@ -0,0 +1,97 @@
+-- ============================================================================
+-- Migration 020 (down): Group Chats
+-- Keeps the primary character's state row for each chat
+-- ============================================================================
+
+-- The summary view reads the table being rebuilt
+DROP VIEW IF EXISTS character_psychology_summary;
+
+CREATE TABLE character_psychological_state_old (
+    id TEXT PRIMARY KEY DEFAULT (hex(randomblob(16))),
+    session_id TEXT NOT NULL UNIQUE,     -- Actually chatId
+    personality_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,               -- Reference to user for isolation
+
+    current_emotion TEXT DEFAULT 'neutral',
+    emotional_intensity INTEGER DEFAULT 5,
+    energy_level INTEGER DEFAULT 5,
+    stress_level INTEGER DEFAULT 3,
+
+    current_motivations TEXT DEFAULT '[]',
+    relationship_dynamic TEXT DEFAULT 'getting_to_know',
+    active_interests TEXT DEFAULT '[]',
+    communication_mode TEXT DEFAULT 'default',
+    internal_state_notes TEXT DEFAULT '',
+
+    last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+    change_reason TEXT DEFAULT 'initialization',
+    state_version INTEGER DEFAULT 1,
+
+    FOREIGN KEY (session_id) REFERENCES chats(id) ON DELETE CASCADE,
+    FOREIGN KEY (personality_id) REFERENCES personalities(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+INSERT OR IGNORE INTO character_psychological_state_old (
+    id, session_id, personality_id, user_id,
+    current_emotion, emotional_intensity, energy_level, stress_level,
+    current_motivations, relationship_dynamic, active_interests, communication_mode, internal_state_notes,
+    last_updated, change_reason, state_version
+)
+SELECT
+    s.id, s.session_id, s.personality_id, s.user_id,
+    s.current_emotion, s.emotional_intensity, s.energy_level, s.stress_level,
+    s.current_motivations, s.relationship_dynamic, s.active_interests, s.communication_mode, s.internal_state_notes,
+    s.last_updated, s.change_reason, s.state_version
+FROM character_psychological_state s
+JOIN chats c ON c.id = s.session_id AND c.personality_id = s.personality_id;
+
+DROP TABLE character_psychological_state;
+
+ALTER TABLE character_psychological_state_old RENAME TO character_psychological_state;
+
+CREATE INDEX IF NOT EXISTS idx_psych_state_session ON character_psychological_state(session_id);
+CREATE INDEX IF NOT EXISTS idx_psych_state_user ON character_psychological_state(user_id);
+CREATE INDEX IF NOT EXISTS idx_psych_state_personality ON character_psychological_state(personality_id);
+CREATE INDEX IF NOT EXISTS idx_psych_state_updated ON character_psychological_state(last_updated);
+CREATE INDEX IF NOT EXISTS idx_psych_state_emotion ON character_psychological_state(current_emotion);
+
+CREATE VIEW character_psychology_summary AS
+SELECT 
+    cps.session_id,
+    cps.user_id,
+    cps.personality_id,
+    p.name as personality_name,
+    cps.current_emotion,
+    cps.emotional_intensity,
+    cps.energy_level,
+    cps.stress_level,
+    cps.relationship_dynamic,
+    cps.communication_mode,
+    cps.state_version,
+    cps.last_updated,
+    cpf.framework_data,
+    cpf.analysis_version,
+    COUNT(cmw.id) as memory_count,
+    AVG(cmw.emotional_impact_score) as avg_emotional_impact,
+    AVG(cmw.relationship_relevance) as avg_relationship_relevance,
+    MAX(cmw.recall_frequency) as max_recall_frequency
+FROM character_psychological_state cps
+LEFT JOIN character_psychological_frameworks cpf ON cps.personality_id = cpf.personality_id
+LEFT JOIN personalities p ON cps.personality_id = p.id
+LEFT JOIN character_memory_weights cmw ON cps.session_id = cmw.session_id AND cps.user_id = cmw.user_id
+WHERE cps.user_id IS NOT NULL
+GROUP BY cps.session_id, cps.user_id, cps.personality_id, p.name, cps.current_emotion, 
+         cps.emotional_intensity, cps.energy_level, cps.stress_level, 
+         cps.relationship_dynamic, cps.communication_mode, cps.state_version, 
+         cps.last_updated, cpf.framework_data, cpf.analysis_version;
+
+DROP INDEX IF EXISTS idx_conversation_logs_speaker;
+ALTER TABLE conversation_logs DROP COLUMN personality_id;
+
+ALTER TABLE chats DROP COLUMN turn_strategy;
+
+DROP INDEX IF EXISTS idx_chat_characters_personality;
+DROP TABLE IF EXISTS chat_characters;
+
+DELETE FROM schema_versions WHERE id = 'migration_020';
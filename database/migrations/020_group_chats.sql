@@ -0,0 +1,129 @@
+-- ============================================================================
+-- Migration 020: Group Chats
+-- Several characters taking turns in one conversation
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description:
+--   - Add chat_characters: the characters taking part in a chat, in turn
+--     order. chats.personality_id stays as the chat's primary character
+--   - Add chats.turn_strategy: round_robin, mention or llm
+--   - Add conversation_logs.personality_id: the character that wrote an
+--     assistant message (NULL for user messages)
+--   - Rebuild character_psychological_state so each character in a chat keeps
+--     its own row: unique on (session_id, personality_id) instead of session_id
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS chat_characters (
+    chat_id TEXT NOT NULL,
+    personality_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,               -- Reference to user for isolation
+    position INTEGER NOT NULL DEFAULT 0, -- Turn order within the chat
+    joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (chat_id, personality_id),
+    FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+    FOREIGN KEY (personality_id) REFERENCES personalities(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_characters_personality ON chat_characters(personality_id);
+
+INSERT OR IGNORE INTO chat_characters (chat_id, personality_id, user_id, position, joined_at)
+SELECT id, personality_id, user_id, 0, created_at FROM chats;
+
+ALTER TABLE chats ADD COLUMN turn_strategy TEXT DEFAULT 'round_robin';
+
+ALTER TABLE conversation_logs ADD COLUMN personality_id TEXT DEFAULT NULL;
+
+UPDATE conversation_logs
+SET personality_id = (SELECT chats.personality_id FROM chats WHERE chats.id = conversation_logs.chat_id)
+WHERE role = 'assistant';
+
+CREATE INDEX IF NOT EXISTS idx_conversation_logs_speaker ON conversation_logs(chat_id, personality_id);
+
+-- The summary view reads the table being rebuilt
+DROP VIEW IF EXISTS character_psychology_summary;
+
+CREATE TABLE character_psychological_state_new (
+    id TEXT PRIMARY KEY DEFAULT (hex(randomblob(16))),
+    session_id TEXT NOT NULL,            -- Actually chatId
+    personality_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,               -- Reference to user for isolation
+
+    current_emotion TEXT DEFAULT 'neutral',
+    emotional_intensity INTEGER DEFAULT 5,
+    energy_level INTEGER DEFAULT 5,
+    stress_level INTEGER DEFAULT 3,
+
+    current_motivations TEXT DEFAULT '[]',
+    relationship_dynamic TEXT DEFAULT 'getting_to_know',
+    active_interests TEXT DEFAULT '[]',
+    communication_mode TEXT DEFAULT 'default',
+    internal_state_notes TEXT DEFAULT '',
+
+    last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+    change_reason TEXT DEFAULT 'initialization',
+    state_version INTEGER DEFAULT 1,
+
+    UNIQUE (session_id, personality_id),
+    FOREIGN KEY (session_id) REFERENCES chats(id) ON DELETE CASCADE,
+    FOREIGN KEY (personality_id) REFERENCES personalities(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+INSERT INTO character_psychological_state_new (
+    id, session_id, personality_id, user_id,
+    current_emotion, emotional_intensity, energy_level, stress_level,
+    current_motivations, relationship_dynamic, active_interests, communication_mode, internal_state_notes,
+    last_updated, change_reason, state_version
+)
+SELECT
+    id, session_id, personality_id, user_id,
+    current_emotion, emotional_intensity, energy_level, stress_level,
+    current_motivations, relationship_dynamic, active_interests, communication_mode, internal_state_notes,
+    last_updated, change_reason, state_version
+FROM character_psychological_state;
+
+DROP TABLE character_psychological_state;
+
+ALTER TABLE character_psychological_state_new RENAME TO character_psychological_state;
+
+CREATE INDEX IF NOT EXISTS idx_psych_state_session ON character_psychological_state(session_id);
+CREATE INDEX IF NOT EXISTS idx_psych_state_user ON character_psychological_state(user_id);
+CREATE INDEX IF NOT EXISTS idx_psych_state_personality ON character_psychological_state(personality_id);
+CREATE INDEX IF NOT EXISTS idx_psych_state_updated ON character_psychological_state(last_updated);
+CREATE INDEX IF NOT EXISTS idx_psych_state_emotion ON character_psychological_state(current_emotion);
+
+CREATE VIEW character_psychology_summary AS
+SELECT 
+    cps.session_id,
+    cps.user_id,
+    cps.personality_id,
+    p.name as personality_name,
+    cps.current_emotion,
+    cps.emotional_intensity,
+    cps.energy_level,
+    cps.stress_level,
+    cps.relationship_dynamic,
+    cps.communication_mode,
+    cps.state_version,
+    cps.last_updated,
+    cpf.framework_data,
+    cpf.analysis_version,
+    COUNT(cmw.id) as memory_count,
+    AVG(cmw.emotional_impact_score) as avg_emotional_impact,
+    AVG(cmw.relationship_relevance) as avg_relationship_relevance,
+    MAX(cmw.recall_frequency) as max_recall_frequency
+FROM character_psychological_state cps
+LEFT JOIN character_psychological_frameworks cpf ON cps.personality_id = cpf.personality_id
+LEFT JOIN personalities p ON cps.personality_id = p.id
+LEFT JOIN character_memory_weights cmw ON cps.session_id = cmw.session_id AND cps.user_id = cmw.user_id
+WHERE cps.user_id IS NOT NULL
+GROUP BY cps.session_id, cps.user_id, cps.personality_id, p.name, cps.current_emotion, 
+         cps.emotional_intensity, cps.energy_level, cps.stress_level, 
+         cps.relationship_dynamic, cps.communication_mode, cps.state_version, 
+         cps.last_updated, cpf.framework_data, cpf.analysis_version;
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description)
+VALUES ('migration_020', '020', 'Add group chats');
@@ -0,0 +1,15 @@
+-- ============================================================================
+-- Migration 021 (down): Lorebooks
+-- ============================================================================
+
+UPDATE configuration
+SET value = '["identity","closing","datetime","conversation_context","recent_messages","psychology","user_profile","conversation_summary","background","deep_memories","commitments","events","top_memories","recent_flow","completions"]'
+WHERE key = 'prompt_section_priority'
+  AND value = '["identity","closing","datetime","conversation_context","recent_messages","psychology","user_profile","lore_before_character","lore_after_character","lore_before_messages","conversation_summary","background","deep_memories","commitments","events","top_memories","recent_flow","completions"]';
+
+DROP INDEX IF EXISTS idx_lorebook_entries_lorebook;
+DROP INDEX IF EXISTS idx_lorebooks_user;
+DROP TABLE IF EXISTS lorebook_entries;
+DROP TABLE IF EXISTS lorebooks;
+
+DELETE FROM schema_versions WHERE id = 'migration_021';
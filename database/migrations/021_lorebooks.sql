@@ -0,0 +1,65 @@
+-- ============================================================================
+-- Migration 021: Lorebooks
+-- World facts that enter the prompt only when the conversation mentions them
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description:
+--   - Add lorebooks: named collections of entries owned by a user and either
+--     attached to one character (personality_id) or to all of the user's
+--     characters (personality_id NULL)
+--   - Add lorebook_entries: content plus the keywords or /regex/ patterns that
+--     trigger it, a priority, where in the prompt it goes and a token limit
+--   - scan_depth is how many of the latest messages are scanned for triggers;
+--     token_budget caps the lore a book adds to one prompt
+--   - Rank the lore prompt sections in prompt_section_priority when it still
+--     holds the default order
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS lorebooks (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,                  -- Reference to user for isolation
+    personality_id TEXT DEFAULT NULL,       -- Attached character (NULL = every character of the user)
+    name TEXT NOT NULL,
+    description TEXT DEFAULT '',
+    scan_depth INTEGER NOT NULL DEFAULT 4,  -- Latest messages scanned for trigger keys
+    token_budget INTEGER NOT NULL DEFAULT 500, -- Most lore tokens this book adds to one prompt
+    is_active BOOLEAN NOT NULL DEFAULT 1,
+    source TEXT NOT NULL DEFAULT 'manual',  -- manual, sillytavern or character_book
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (personality_id) REFERENCES personalities(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS lorebook_entries (
+    id TEXT PRIMARY KEY,
+    lorebook_id TEXT NOT NULL,
+    name TEXT DEFAULT '',                   -- Label shown in the editor
+    keys TEXT NOT NULL DEFAULT '[]',        -- JSON array of trigger keywords or /regex/flags patterns
+    secondary_keys TEXT NOT NULL DEFAULT '[]', -- JSON array checked with selective_logic once a key matched
+    selective_logic TEXT NOT NULL DEFAULT 'and_any', -- and_any, and_all, not_any or not_all
+    content TEXT NOT NULL,
+    priority INTEGER NOT NULL DEFAULT 100,  -- Higher priority entries are kept first under the token budget
+    position TEXT NOT NULL DEFAULT 'after_character', -- before_character, after_character or before_messages
+    token_limit INTEGER DEFAULT NULL,       -- Longer content is shortened to this many tokens
+    constant BOOLEAN NOT NULL DEFAULT 0,    -- Always inserted, no trigger needed
+    case_sensitive BOOLEAN NOT NULL DEFAULT 0,
+    enabled BOOLEAN NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (lorebook_id) REFERENCES lorebooks(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_lorebooks_user ON lorebooks(user_id, personality_id);
+CREATE INDEX IF NOT EXISTS idx_lorebook_entries_lorebook ON lorebook_entries(lorebook_id, priority DESC);
+
+UPDATE configuration
+SET value = '["identity","closing","datetime","conversation_context","recent_messages","psychology","user_profile","lore_before_character","lore_after_character","lore_before_messages","conversation_summary","background","deep_memories","commitments","events","top_memories","recent_flow","completions"]'
+WHERE key = 'prompt_section_priority'
+  AND value = '["identity","closing","datetime","conversation_context","recent_messages","psychology","user_profile","conversation_summary","background","deep_memories","commitments","events","top_memories","recent_flow","completions"]';
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description)
+VALUES ('migration_021', '021', 'Add lorebooks');
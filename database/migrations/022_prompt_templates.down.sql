@@ -0,0 +1,8 @@
+-- ============================================================================
+-- Migration 022 (down): Prompt Templates
+-- ============================================================================
+
+DROP INDEX IF EXISTS idx_prompt_templates_lookup;
+DROP TABLE IF EXISTS prompt_templates;
+
+DELETE FROM schema_versions WHERE id = 'migration_022';
@@ -0,0 +1,35 @@
+-- ============================================================================
+-- Migration 022: Prompt Templates
+-- User-editable, versioned prompt templates with placeholders
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description:
+--   - Add prompt_templates: overrides of the built-in templates (conversational
+--     prompt layout, user turn and the analysis prompts)
+--   - An override applies globally (scope 'global'), to one user ('user') or
+--     to one of the user's characters ('character'); the most specific one wins
+--   - Every save adds a row with the next version number, so earlier
+--     versions can be restored; the highest version is the one in use
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,                     -- Built-in template name (e.g. chat_system, memory_search_intent)
+    scope TEXT NOT NULL CHECK (scope IN ('global', 'user', 'character')),
+    user_id TEXT DEFAULT NULL,              -- Owner of user and character overrides (NULL = global)
+    personality_id TEXT DEFAULT NULL,       -- Character of a character override
+    version INTEGER NOT NULL,               -- 1, 2, ... per name and scope
+    content TEXT NOT NULL,                  -- Template text with {{placeholders}}
+    note TEXT DEFAULT '',                   -- What changed in this version
+    created_by TEXT DEFAULT NULL,           -- User who saved this version
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (personality_id) REFERENCES personalities(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_templates_lookup ON prompt_templates(name, scope, user_id, personality_id, version DESC);
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description)
+VALUES ('migration_022', '022', 'Add prompt templates');
@@ -0,0 +1,8 @@
+-- ============================================================================
+-- Migration 023 (down): Character Message Format
+-- ============================================================================
+
+ALTER TABLE personalities DROP COLUMN merge_consecutive_turns;
+ALTER TABLE personalities DROP COLUMN stop_sequences;
+
+DELETE FROM schema_versions WHERE id = 'migration_023';
@@ -0,0 +1,19 @@
+-- ============================================================================
+-- Migration 023: Character Message Format
+-- How a character's conversation is sent to chat models
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description: 
+--   - Add stop_sequences column to personalities: JSON array of up to four
+--     strings that end the reply ({{char}} and {{user}} are filled in),
+--     NULL = none (default)
+--   - Add merge_consecutive_turns column to personalities: join consecutive
+--     user or assistant turns into one for models that need strict alternation
+-- ============================================================================
+
+ALTER TABLE personalities ADD COLUMN stop_sequences TEXT DEFAULT NULL;
+ALTER TABLE personalities ADD COLUMN merge_consecutive_turns BOOLEAN DEFAULT 0;
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description) 
+VALUES ('migration_023', '023', 'Add character stop sequences and turn merging');
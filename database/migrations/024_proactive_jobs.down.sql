@@ -0,0 +1,9 @@
+-- ============================================================================
+-- Migration 024 (down): Proactive Jobs
+-- ============================================================================
+
+DROP INDEX IF EXISTS idx_proactive_jobs_chat;
+DROP INDEX IF EXISTS idx_proactive_jobs_due;
+DROP TABLE IF EXISTS proactive_jobs;
+
+DELETE FROM schema_versions WHERE id = 'migration_024';
@@ -0,0 +1,62 @@
+-- ============================================================================
+-- Migration 024: Proactive Jobs
+-- Persisted queue for delayed proactive messages
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description:
+--   - Add proactive_jobs: one row per delayed delivery (decision follow-ups,
+--     commitment reminders, messages scheduled through the API), so pending
+--     deliveries survive a restart
+--   - Workers claim due jobs (status 'running', locked_by/locked_at); a claim
+--     whose lock is older than the lease is taken over after a crash
+--   - Failed jobs return to 'pending' with a later run_at until max_attempts,
+--     then stay in 'dead_letter' with the last error for inspection
+--   - Pending engagements that already have an optimal_timing become jobs
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS proactive_jobs (
+    id TEXT PRIMARY KEY,
+    job_type TEXT NOT NULL DEFAULT 'proactive_message',
+    user_id TEXT NOT NULL,
+    chat_id TEXT,                           -- Chat the message is delivered to
+    personality_id TEXT,                    -- Character sending the message
+    engagement_id TEXT,                     -- proactive_engagements row to mark delivered
+    payload TEXT NOT NULL DEFAULT '{}',     -- JSON: content, trigger, confidence, metadata
+    run_at DATETIME NOT NULL,               -- When the job is due (ISO 8601)
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'dead_letter', 'cancelled')),
+    attempts INTEGER NOT NULL DEFAULT 0,    -- Claims so far
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    last_error TEXT DEFAULT NULL,
+    locked_by TEXT DEFAULT NULL,            -- Worker holding the claim
+    locked_at DATETIME DEFAULT NULL,
+    completed_at DATETIME DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+    FOREIGN KEY (engagement_id) REFERENCES proactive_engagements(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_proactive_jobs_due ON proactive_jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_proactive_jobs_chat ON proactive_jobs(chat_id, status);
+
+-- Queue engagements that were waiting for the old polling loop
+INSERT INTO proactive_jobs (id, job_type, user_id, chat_id, personality_id, engagement_id, payload, run_at)
+SELECT
+    'job-' || pe.id,
+    'proactive_message',
+    pe.user_id,
+    pe.session_id,
+    pe.personality_id,
+    pe.id,
+    json_object('content', pe.engagement_content, 'trigger', pe.trigger_context),
+    strftime('%Y-%m-%dT%H:%M:%fZ', pe.optimal_timing)
+FROM proactive_engagements pe
+WHERE pe.status = 'pending' AND pe.optimal_timing IS NOT NULL
+  AND EXISTS (SELECT 1 FROM chats c WHERE c.id = pe.session_id);
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description) 
+VALUES ('migration_024', '024', 'Add persisted proactive job queue');
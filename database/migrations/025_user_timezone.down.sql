@@ -0,0 +1,8 @@
+-- ============================================================================
+-- Migration 025 (down): User Time Zone and Locale
+-- ============================================================================
+
+ALTER TABLE users DROP COLUMN locale;
+ALTER TABLE users DROP COLUMN timezone;
+
+DELETE FROM schema_versions WHERE id = 'migration_025';
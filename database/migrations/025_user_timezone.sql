@@ -0,0 +1,17 @@
+-- ============================================================================
+-- Migration 025: User Time Zone and Locale
+-- Per-user wall clock for prompts, greetings and recurring events
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description: 
+--   - Add timezone column to users (IANA name, e.g. 'Europe/Berlin')
+--   - Add locale column to users (BCP 47 tag, e.g. 'de-DE')
+--   - NULL = server time zone / en-US (previous behaviour)
+-- ============================================================================
+
+ALTER TABLE users ADD COLUMN timezone TEXT DEFAULT NULL;
+ALTER TABLE users ADD COLUMN locale TEXT DEFAULT NULL;
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description) 
+VALUES ('migration_025', '025', 'Add user time zone and locale');
@@ -0,0 +1,13 @@
+-- ============================================================================
+-- Migration 026 (down): Event Recurrence Rules and Calendar Feed
+-- ============================================================================
+
+DROP INDEX IF EXISTS idx_users_calendar_token;
+DROP INDEX IF EXISTS idx_events_user_ical_uid;
+
+ALTER TABLE users DROP COLUMN calendar_token;
+ALTER TABLE events DROP COLUMN ical_uid;
+ALTER TABLE events DROP COLUMN exdates;
+ALTER TABLE events DROP COLUMN rrule;
+
+DELETE FROM schema_versions WHERE id = 'migration_026';
@@ -0,0 +1,24 @@
+-- ============================================================================
+-- Migration 026: Event Recurrence Rules and Calendar Feed
+-- RFC 5545 RRULE/EXDATE on events, iCalendar import and a per-user feed
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description: 
+--   - Add rrule column to events (RRULE value, e.g. 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU');
+--     NULL = recurrence_type alone decides (previous behaviour)
+--   - Add exdates column to events (JSON array of excluded occurrences, ISO UTC)
+--   - Add ical_uid column to events (UID of an imported VEVENT, one import per user)
+--   - Add calendar_token column to users (secret for GET /api/events/calendar.ics)
+-- ============================================================================
+
+ALTER TABLE events ADD COLUMN rrule TEXT DEFAULT NULL;
+ALTER TABLE events ADD COLUMN exdates TEXT DEFAULT '[]';
+ALTER TABLE events ADD COLUMN ical_uid TEXT DEFAULT NULL;
+ALTER TABLE users ADD COLUMN calendar_token TEXT DEFAULT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_events_user_ical_uid ON events(user_id, ical_uid);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token ON users(calendar_token);
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description) 
+VALUES ('migration_026', '026', 'Add event recurrence rules and calendar feed token');
@@ -0,0 +1,11 @@
+-- ============================================================================
+-- Migration 027 (down): Proactive Quiet Hours, Do-Not-Disturb and Rate Limits
+-- ============================================================================
+
+DROP INDEX IF EXISTS idx_proactive_jobs_user;
+
+ALTER TABLE proactive_jobs DROP COLUMN deferred_reason;
+
+DROP TABLE IF EXISTS user_proactive_settings;
+
+DELETE FROM schema_versions WHERE id = 'migration_027';
@@ -0,0 +1,35 @@
+-- ============================================================================
+-- Migration 027: Proactive Quiet Hours, Do-Not-Disturb and Rate Limits
+-- User controls over when and how often characters reach out
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description: 
+--   - Add user_proactive_settings (one row per user; no row = defaults):
+--     quiet hours on the user's clock, do-not-disturb, a per-character daily
+--     cap and a cool-down after an unanswered proactive message
+--   - Add deferred_reason column to proactive_jobs (why a suppressed message
+--     was moved to a later run_at; NULL = never deferred)
+--   - Suppressions are logged to proactive_engagement_history
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS user_proactive_settings (
+    user_id TEXT PRIMARY KEY,
+    quiet_hours_enabled INTEGER NOT NULL DEFAULT 0,
+    quiet_hours_start TEXT NOT NULL DEFAULT '22:00',  -- HH:MM on the user's clock
+    quiet_hours_end TEXT NOT NULL DEFAULT '08:00',    -- HH:MM; may be on the next day
+    dnd_enabled INTEGER NOT NULL DEFAULT 0,
+    dnd_until DATETIME DEFAULT NULL,                  -- NULL = until turned off
+    daily_cap INTEGER NOT NULL DEFAULT 5,             -- Proactive messages per character per day (0 = no cap)
+    cooldown_minutes INTEGER NOT NULL DEFAULT 120,    -- Pause after an unanswered proactive message (0 = off)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+ALTER TABLE proactive_jobs ADD COLUMN deferred_reason TEXT DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_proactive_jobs_user ON proactive_jobs(user_id, status);
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description) 
+VALUES ('migration_027', '027', 'Add proactive quiet hours, do-not-disturb, daily cap and cool-down');
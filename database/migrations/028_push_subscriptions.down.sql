@@ -0,0 +1,11 @@
+-- ============================================================================
+-- Migration 028 (down): Web Push Subscriptions
+-- ============================================================================
+
+DROP INDEX IF EXISTS idx_push_subscriptions_user;
+
+DROP TABLE IF EXISTS push_subscriptions;
+
+DELETE FROM configuration WHERE category = 'push';
+
+DELETE FROM schema_versions WHERE id = 'migration_028';
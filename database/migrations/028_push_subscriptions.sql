@@ -0,0 +1,32 @@
+-- ============================================================================
+-- Migration 028: Web Push Subscriptions
+-- Browser push subscriptions for users without an open WebSocket
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description: 
+--   - Add push_subscriptions (one row per browser/device; the endpoint is
+--     unique, so re-subscribing a browser replaces its keys)
+--   - Subscriptions the push service reports as gone (404/410) are deleted
+--   - VAPID keys come from VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY or are generated
+--     once and kept in configuration (category 'push')
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    endpoint TEXT NOT NULL UNIQUE,        -- Push service URL of the subscription
+    p256dh TEXT NOT NULL,                 -- Browser public key (base64url)
+    auth TEXT NOT NULL,                   -- Browser auth secret (base64url)
+    user_agent TEXT,
+    failure_count INTEGER NOT NULL DEFAULT 0, -- Failed sends since the last success
+    last_success_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions(user_id);
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description) 
+VALUES ('migration_028', '028', 'Add web push subscriptions');
@@ -0,0 +1,7 @@
+-- ============================================================================
+-- Migration 029 (down): Proactive Engagement Errors
+-- ============================================================================
+
+ALTER TABLE proactive_engagements DROP COLUMN error_message;
+
+DELETE FROM schema_versions WHERE id = 'migration_029';
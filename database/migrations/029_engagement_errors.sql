@@ -0,0 +1,16 @@
+-- ============================================================================
+-- Migration 029: Proactive Engagement Errors
+-- Keep the reason an engagement could not be delivered
+-- ============================================================================
+-- Date: 2026-10-18
+-- Description: 
+--   - Add error_message column to proactive_engagements, set when its job is
+--     dead-lettered (the job keeps the same text in last_error)
+--   - NULL = delivered, pending or failed before this migration
+-- ============================================================================
+
+ALTER TABLE proactive_engagements ADD COLUMN error_message TEXT DEFAULT NULL;
+
+-- Record migration
+INSERT INTO schema_versions (id, version, description) 
+VALUES ('migration_029', '029', 'Add proactive engagement error message');
@@ -27,7 +27,9 @@ CREATE TABLE schema_versions (
     id TEXT PRIMARY KEY,
     version TEXT NOT NULL,
     applied_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    description TEXT
+    description TEXT,
+    name TEXT,                           -- Migration file (without .sql) applied by the migration runner
+    checksum TEXT                        -- SHA-256 of the migration file when it was applied
 );
 
 -- ============================================================================
@@ -42,11 +44,15 @@ CREATE TABLE users (
     password_hash TEXT,                 -- Hashed password (if using local auth)
     display_name TEXT,                  -- User's display name
     preferences TEXT DEFAULT '{}',      -- JSON user preferences
+    llm_preferences TEXT DEFAULT '{}',  -- JSON with user-level LLM defaults
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     last_active DATETIME DEFAULT CURRENT_TIMESTAMP,
     is_active BOOLEAN DEFAULT 1,        -- Whether user account is active
-    user_profile TEXT DEFAULT '{}'      -- JSON user profile data (bio, interests, etc.)
+    user_profile TEXT DEFAULT '{}',     -- JSON user profile data (bio, interests, etc.)
+    timezone TEXT DEFAULT NULL,         -- IANA time zone (NULL = server time zone)
+    locale TEXT DEFAULT NULL,           -- BCP 47 locale (NULL = en-US)
+    calendar_token TEXT DEFAULT NULL    -- Secret for the iCalendar feed (NULL = no feed yet)
 );
 
 -- User sessions table for cross-device continuity
@@ -85,7 +91,84 @@ CREATE TABLE personalities (
     user_id TEXT NOT NULL DEFAULT 'system',
     image_data TEXT DEFAULT NULL,       -- Base64 encoded image data
     image_type TEXT DEFAULT 'url',      -- 'url', 'upload', or 'path'
-    image_metadata TEXT DEFAULT '{}'    -- JSON metadata about the image
+    image_metadata TEXT DEFAULT '{}',   -- JSON metadata about the image
+    memory_scope TEXT DEFAULT 'chat',   -- Deep memory search scope: chat | character | user
+    tool_allowlist TEXT DEFAULT NULL,   -- JSON array of tool names the character may call (NULL = all)
+    stop_sequences TEXT DEFAULT NULL,   -- JSON array of up to 4 stop sequences ({{char}}/{{user}} filled in, NULL = none)
+    merge_consecutive_turns BOOLEAN DEFAULT 0 -- Join consecutive same-role turns for strict-alternation models
+);
+
+-- Immutable history of character edits (snapshot per create, edit, import and rollback)
+CREATE TABLE character_revisions (
+    id TEXT PRIMARY KEY,
+    personality_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,               -- Reference to user for isolation
+    revision_number INTEGER NOT NULL,    -- 1, 2, 3... per character
+    source TEXT NOT NULL DEFAULT 'edit', -- initial, create, import, edit or rollback
+    snapshot TEXT NOT NULL,              -- JSON of the character fields after this revision
+    changed_fields TEXT DEFAULT '[]',    -- JSON array of fields changed against the previous revision
+    rolled_back_to INTEGER DEFAULT NULL, -- Revision number restored by a rollback
+    framework_data TEXT DEFAULT NULL,    -- Psychological framework for this revision (NULL while analysis runs)
+    analysis_version INTEGER DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (personality_id, revision_number),
+    FOREIGN KEY (personality_id) REFERENCES personalities(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Lorebooks: world facts added to prompts when the conversation mentions them
+CREATE TABLE lorebooks (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,                  -- Reference to user for isolation
+    personality_id TEXT DEFAULT NULL,       -- Attached character (NULL = every character of the user)
+    name TEXT NOT NULL,
+    description TEXT DEFAULT '',
+    scan_depth INTEGER NOT NULL DEFAULT 4,  -- Latest messages scanned for trigger keys
+    token_budget INTEGER NOT NULL DEFAULT 500, -- Most lore tokens this book adds to one prompt
+    is_active BOOLEAN NOT NULL DEFAULT 1,
+    source TEXT NOT NULL DEFAULT 'manual',  -- manual, sillytavern or character_book
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (personality_id) REFERENCES personalities(id) ON DELETE CASCADE
+);
+
+CREATE TABLE lorebook_entries (
+    id TEXT PRIMARY KEY,
+    lorebook_id TEXT NOT NULL,
+    name TEXT DEFAULT '',                   -- Label shown in the editor
+    keys TEXT NOT NULL DEFAULT '[]',        -- JSON array of trigger keywords or /regex/flags patterns
+    secondary_keys TEXT NOT NULL DEFAULT '[]', -- JSON array checked with selective_logic once a key matched
+    selective_logic TEXT NOT NULL DEFAULT 'and_any', -- and_any, and_all, not_any or not_all
+    content TEXT NOT NULL,
+    priority INTEGER NOT NULL DEFAULT 100,  -- Higher priority entries are kept first under the token budget
+    position TEXT NOT NULL DEFAULT 'after_character', -- before_character, after_character or before_messages
+    token_limit INTEGER DEFAULT NULL,       -- Longer content is shortened to this many tokens
+    constant BOOLEAN NOT NULL DEFAULT 0,    -- Always inserted, no trigger needed
+    case_sensitive BOOLEAN NOT NULL DEFAULT 0,
+    enabled BOOLEAN NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (lorebook_id) REFERENCES lorebooks(id) ON DELETE CASCADE
+);
+
+-- User-editable prompt templates (global, user or character overrides; every save is a new version)
+CREATE TABLE prompt_templates (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    scope TEXT NOT NULL CHECK (scope IN ('global', 'user', 'character')),
+    user_id TEXT DEFAULT NULL,
+    personality_id TEXT DEFAULT NULL,
+    version INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    note TEXT DEFAULT '',
+    created_by TEXT DEFAULT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (personality_id) REFERENCES personalities(id) ON DELETE CASCADE
 );
 
 -- Chat management with multi-user support
@@ -100,10 +183,24 @@ CREATE TABLE chats (
     is_active BOOLEAN DEFAULT 1,        -- Whether the chat is active
     last_message_preview TEXT,          -- Preview of last message for UI display
     message_count INTEGER DEFAULT 0,    -- Count of messages in this chat
+    turn_strategy TEXT DEFAULT 'round_robin', -- Next speaker in group chats: round_robin, mention or llm
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (personality_id) REFERENCES personalities(id)
 );
 
+-- Characters taking part in a chat (group chats have more than one)
+CREATE TABLE chat_characters (
+    chat_id TEXT NOT NULL,
+    personality_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,               -- Reference to user for isolation
+    position INTEGER NOT NULL DEFAULT 0, -- Turn order within the chat
+    joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (chat_id, personality_id),
+    FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+    FOREIGN KEY (personality_id) REFERENCES personalities(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
 -- Conversation history with multi-user support
 CREATE TABLE conversation_logs (
     id TEXT PRIMARY KEY,                -- UUID for each message
@@ -113,6 +210,9 @@ CREATE TABLE conversation_logs (
     content TEXT NOT NULL,              -- Message content
     metadata TEXT DEFAULT '{}',         -- JSON metadata (tokens, processing time, etc.)
     timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    parent_id TEXT DEFAULT NULL,        -- Previous message in the conversation tree (NULL = first)
+    is_active INTEGER DEFAULT 1,        -- 1 = on the chat's active branch
+    personality_id TEXT DEFAULT NULL,   -- Character that wrote an assistant message
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE
 );
@@ -151,7 +251,7 @@ CREATE TABLE character_psychological_frameworks (
 -- Dynamic character psychological state (chat-based, session_id is actually chatId)
 CREATE TABLE character_psychological_state (
     id TEXT PRIMARY KEY DEFAULT (hex(randomblob(16))),
-    session_id TEXT NOT NULL UNIQUE,                   -- Functional primary key (actually chatId)
+    session_id TEXT NOT NULL,            -- Actually chatId; one row per character in the chat
     personality_id TEXT NOT NULL,
     user_id TEXT NOT NULL,               -- Reference to user for isolation
     
@@ -173,6 +273,7 @@ CREATE TABLE character_psychological_state (
     change_reason TEXT DEFAULT 'initialization',
     state_version INTEGER DEFAULT 1,
     
+    UNIQUE (session_id, personality_id),
     FOREIGN KEY (session_id) REFERENCES chats(id) ON DELETE CASCADE,
     FOREIGN KEY (personality_id) REFERENCES personalities(id) ON DELETE CASCADE,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
@@ -205,6 +306,61 @@ CREATE TABLE character_memory_weights (
     FOREIGN KEY (message_id) REFERENCES conversation_logs(id) ON DELETE CASCADE
 );
 
+-- Semantic memory index (one embedding per message)
+CREATE TABLE memory_embeddings (
+    id TEXT PRIMARY KEY,
+    message_id TEXT NOT NULL UNIQUE,     -- Reference to conversation log
+    chat_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,               -- Reference to user for isolation
+    model TEXT NOT NULL,                 -- Embedding model that produced the vector
+    dimensions INTEGER NOT NULL,
+    embedding TEXT NOT NULL,             -- JSON array of floats
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (message_id) REFERENCES conversation_logs(id) ON DELETE CASCADE,
+    FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Rolling conversation summary (one row per chat)
+CREATE TABLE conversation_summaries (
+    id TEXT PRIMARY KEY,
+    chat_id TEXT NOT NULL UNIQUE,        -- Reference to the chat
+    user_id TEXT NOT NULL,               -- Reference to user for isolation
+    mid_summary TEXT DEFAULT '',         -- Summary of turns just before the recent window
+    long_gist TEXT DEFAULT '',           -- Compressed gist of everything older
+    mid_message_count INTEGER DEFAULT 0, -- Messages covered by mid_summary
+    summarized_message_count INTEGER DEFAULT 0,
+    summarized_through_message_id TEXT,  -- Last message folded into the summary
+    summarized_through_timestamp DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Full-text search index over message content (external content: matched back by rowid)
+CREATE VIRTUAL TABLE conversation_logs_fts USING fts5(
+    content,
+    content = 'conversation_logs',
+    content_rowid = 'rowid',
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- Psychological state after each assistant reply (restored when the active branch changes)
+CREATE TABLE psychology_state_snapshots (
+    message_id TEXT PRIMARY KEY,         -- Assistant reply the state belongs to
+    chat_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,               -- Reference to user for isolation
+    state_data TEXT NOT NULL,            -- JSON copy of character_psychological_state
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (message_id) REFERENCES conversation_logs(id) ON DELETE CASCADE,
+    FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
 -- Psychology evolution tracking (for learning and improvement)
 CREATE TABLE psychology_evolution_log (
     id TEXT PRIMARY KEY,
@@ -300,10 +456,13 @@ CREATE TABLE events (
     description TEXT,                   -- Additional context
     
     -- Recurrence configuration
-    recurrence_type TEXT NOT NULL,      -- 'once', 'daily', 'weekly', 'monthly'
+    recurrence_type TEXT NOT NULL,      -- 'once', 'daily', 'weekly', 'monthly', 'yearly'
     recurrence_data TEXT DEFAULT '{}',  -- JSON: {"time": "07:00", "day_of_week": "monday"}
+    rrule TEXT DEFAULT NULL,            -- RFC 5545 RRULE, overrides recurrence_type/data when set
+    exdates TEXT DEFAULT '[]',          -- JSON array of excluded occurrences (ISO UTC)
     starts_at DATETIME NOT NULL,        -- First occurrence
     ends_at DATETIME,                   -- Optional end date (null = infinite)
+    ical_uid TEXT,                      -- UID of the imported VEVENT (null = created here)
     
     -- Occurrence tracking
     last_occurrence DATETIME,           -- When did this last trigger?
@@ -342,6 +501,7 @@ CREATE TABLE proactive_engagements (
     
     -- Status tracking
     status TEXT DEFAULT 'pending',       -- pending, sent, responded, ignored
+    error_message TEXT DEFAULT NULL,     -- Why delivery failed (status 'failed')
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     
@@ -422,6 +582,76 @@ CREATE TABLE proactive_engagement_history (
     FOREIGN KEY (engagement_id) REFERENCES proactive_engagements(id) ON DELETE CASCADE
 );
 
+-- Persisted queue of delayed proactive messages (survives restarts)
+CREATE TABLE proactive_jobs (
+    id TEXT PRIMARY KEY,
+    job_type TEXT NOT NULL DEFAULT 'proactive_message',
+    user_id TEXT NOT NULL,               -- Reference to user for isolation
+    chat_id TEXT,                        -- Chat the message is delivered to
+    personality_id TEXT,                 -- Character sending the message
+    engagement_id TEXT,                  -- proactive_engagements row to mark delivered
+    payload TEXT NOT NULL DEFAULT '{}',  -- JSON: content, trigger, confidence, metadata
+    run_at DATETIME NOT NULL,            -- When the job is due (ISO 8601)
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'dead_letter', 'cancelled')),
+    attempts INTEGER NOT NULL DEFAULT 0, -- Claims so far
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    last_error TEXT DEFAULT NULL,
+    locked_by TEXT DEFAULT NULL,         -- Worker holding the claim
+    locked_at DATETIME DEFAULT NULL,
+    completed_at DATETIME DEFAULT NULL,
+    deferred_reason TEXT DEFAULT NULL,   -- Why a suppressed message was moved to a later run_at
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+    FOREIGN KEY (engagement_id) REFERENCES proactive_engagements(id) ON DELETE SET NULL
+);
+
+-- User controls over proactive messages (no row = defaults)
+CREATE TABLE user_proactive_settings (
+    user_id TEXT PRIMARY KEY,
+    quiet_hours_enabled INTEGER NOT NULL DEFAULT 0,
+    quiet_hours_start TEXT NOT NULL DEFAULT '22:00',  -- HH:MM on the user's clock
+    quiet_hours_end TEXT NOT NULL DEFAULT '08:00',    -- HH:MM; may be on the next day
+    dnd_enabled INTEGER NOT NULL DEFAULT 0,
+    dnd_until DATETIME DEFAULT NULL,                  -- NULL = until turned off
+    daily_cap INTEGER NOT NULL DEFAULT 5,             -- Proactive messages per character per day (0 = no cap)
+    cooldown_minutes INTEGER NOT NULL DEFAULT 120,    -- Pause after an unanswered proactive message (0 = off)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Real-time messages sent to users, kept for replay after a WebSocket reconnect
+CREATE TABLE message_delivery_log (
+    id TEXT PRIMARY KEY,                 -- Message id sent to the client
+    user_id TEXT NOT NULL,               -- Reference to user for isolation
+    message_type TEXT NOT NULL,          -- proactive, event, ...
+    payload TEXT NOT NULL,               -- JSON message as sent over the socket
+    delivered INTEGER DEFAULT 0,         -- 1 if at least one connection received it live
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Browser push subscriptions, used when the user has no open WebSocket
+CREATE TABLE push_subscriptions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,               -- Reference to user for isolation
+    endpoint TEXT NOT NULL UNIQUE,       -- Push service URL of the subscription
+    p256dh TEXT NOT NULL,                -- Browser public key (base64url)
+    auth TEXT NOT NULL,                  -- Browser auth secret (base64url)
+    user_agent TEXT,
+    failure_count INTEGER NOT NULL DEFAULT 0, -- Failed sends since the last success
+    last_success_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
 -- ============================================================================
 -- CONFIGURATION & ANALYTICS LAYER
 -- ============================================================================
@@ -458,6 +688,7 @@ CREATE INDEX idx_users_username ON users(username);
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_last_active ON users(last_active);
 CREATE INDEX idx_users_active ON users(is_active);
+CREATE UNIQUE INDEX idx_users_calendar_token ON users(calendar_token);
 
 -- Session management indexes
 CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id);
@@ -477,9 +708,17 @@ CREATE INDEX idx_conversation_logs_user_id ON conversation_logs(user_id);
 CREATE INDEX idx_conversation_logs_chat ON conversation_logs(chat_id);
 CREATE INDEX idx_conversation_logs_user_chat ON conversation_logs(user_id, chat_id);
 CREATE INDEX idx_conversation_logs_timestamp ON conversation_logs(timestamp DESC);
+CREATE INDEX idx_conversation_logs_parent ON conversation_logs(chat_id, parent_id);
+CREATE INDEX idx_conversation_logs_active ON conversation_logs(chat_id, is_active, timestamp);
+CREATE INDEX idx_conversation_logs_speaker ON conversation_logs(chat_id, personality_id);
+CREATE INDEX idx_chat_characters_personality ON chat_characters(personality_id);
 
 CREATE INDEX idx_personalities_active ON personalities(is_active);
 CREATE INDEX idx_personalities_usage ON personalities(usage_count DESC);
+CREATE INDEX idx_character_revisions_personality ON character_revisions(personality_id, revision_number DESC);
+CREATE INDEX idx_lorebooks_user ON lorebooks(user_id, personality_id);
+CREATE INDEX idx_lorebook_entries_lorebook ON lorebook_entries(lorebook_id, priority DESC);
+CREATE INDEX idx_prompt_templates_lookup ON prompt_templates(name, scope, user_id, personality_id, version DESC);
 
 -- Psychology system indexes
 CREATE INDEX idx_psych_frameworks_personality ON character_psychological_frameworks(personality_id);
@@ -499,6 +738,13 @@ CREATE INDEX idx_memory_weights_emotional ON character_memory_weights(emotional_
 CREATE INDEX idx_memory_weights_type ON character_memory_weights(memory_type);
 CREATE INDEX idx_memory_weights_recall ON character_memory_weights(recall_frequency DESC);
 
+CREATE INDEX idx_memory_embeddings_chat ON memory_embeddings(chat_id);
+CREATE INDEX idx_memory_embeddings_user ON memory_embeddings(user_id);
+CREATE INDEX idx_memory_embeddings_model ON memory_embeddings(model);
+
+CREATE INDEX idx_conversation_summaries_user ON conversation_summaries(user_id);
+CREATE INDEX idx_psychology_state_snapshots_chat ON psychology_state_snapshots(chat_id);
+
 CREATE INDEX idx_evolution_session ON psychology_evolution_log(session_id);
 CREATE INDEX idx_evolution_user ON psychology_evolution_log(user_id);
 CREATE INDEX idx_evolution_personality ON psychology_evolution_log(personality_id);
@@ -523,6 +769,7 @@ CREATE INDEX idx_events_user ON events(user_id);
 CREATE INDEX idx_events_chat ON events(chat_id);
 CREATE INDEX idx_events_character ON events(character_id);
 CREATE INDEX idx_events_next_occurrence ON events(next_occurrence);
+CREATE UNIQUE INDEX idx_events_user_ical_uid ON events(user_id, ical_uid);
 CREATE INDEX idx_events_active_due ON events(is_active, next_occurrence) 
 WHERE is_active = 1;
 
@@ -545,6 +792,11 @@ CREATE INDEX idx_proactive_timing_confidence ON proactive_timing_optimizations(c
 CREATE INDEX idx_proactive_history_user ON proactive_engagement_history(user_id);
 CREATE INDEX idx_proactive_history_engagement ON proactive_engagement_history(engagement_id);
 CREATE INDEX idx_proactive_history_learning ON proactive_engagement_history(learning_value DESC);
+CREATE INDEX idx_proactive_jobs_due ON proactive_jobs(status, run_at);
+CREATE INDEX idx_proactive_jobs_chat ON proactive_jobs(chat_id, status);
+CREATE INDEX idx_proactive_jobs_user ON proactive_jobs(user_id, status);
+CREATE INDEX idx_message_delivery_log_user ON message_delivery_log(user_id, created_at);
+CREATE INDEX idx_push_subscriptions_user ON push_subscriptions(user_id);
 
 -- Analytics indexes
 CREATE INDEX idx_analytics_user ON analytics_data(user_id);
@@ -558,6 +810,8 @@ CREATE INDEX idx_configuration_user_configurable ON configuration(is_user_config
 
 -- Additional indexes added later
 CREATE INDEX idx_personalities_user ON personalities(user_id);
+CREATE INDEX idx_personalities_user_active ON personalities(user_id, is_active);
+CREATE INDEX idx_personalities_image_type ON personalities(image_type);
 
 -- ============================================================================
 -- VIEWS: Application Layer Data Aggregation
@@ -694,6 +948,26 @@ CREATE TRIGGER update_user_last_active
         WHERE id = NEW.user_id;
     END;
 
+-- Keep the message search index in sync with conversation_logs
+CREATE TRIGGER conversation_logs_fts_insert
+    AFTER INSERT ON conversation_logs
+    BEGIN
+        INSERT INTO conversation_logs_fts(rowid, content) VALUES (NEW.rowid, NEW.content);
+    END;
+
+CREATE TRIGGER conversation_logs_fts_delete
+    AFTER DELETE ON conversation_logs
+    BEGIN
+        INSERT INTO conversation_logs_fts(conversation_logs_fts, rowid, content) VALUES ('delete', OLD.rowid, OLD.content);
+    END;
+
+CREATE TRIGGER conversation_logs_fts_update
+    AFTER UPDATE OF content ON conversation_logs
+    BEGIN
+        INSERT INTO conversation_logs_fts(conversation_logs_fts, rowid, content) VALUES ('delete', OLD.rowid, OLD.content);
+        INSERT INTO conversation_logs_fts(rowid, content) VALUES (NEW.rowid, NEW.content);
+    END;
+
 -- Update commitments timestamp automatically
 CREATE TRIGGER update_commitments_timestamp 
     AFTER UPDATE ON commitments
@@ -0,0 +1,52 @@
+/**
+ * Service worker for Web Push notifications
+ *
+ * The server pushes proactive messages here while no tab has the app open.
+ * The payload is JSON: { title, body, icon, tag, data: { chatId, url } }
+ * where title is the character's name and icon its avatar.
+ */
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+  let notification = {};
+  if (event.data) {
+    try {
+      notification = event.data.json();
+    } catch {
+      notification = { body: event.data.text() };
+    }
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(notification.title || 'Aria', {
+      body: notification.body || '',
+      icon: notification.icon || '/vite.svg',
+      badge: '/vite.svg',
+      tag: notification.tag,
+      data: notification.data || {}
+    })
+  );
+});
+
+// Focus an open tab of the app, or open one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => new URL(client.url).origin === self.location.origin);
+      if (open) {
+        return open.focus();
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
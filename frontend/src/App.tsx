@@ -18,6 +18,7 @@ const AppContent: React.FC = () => {
     switchToCharacterChat,
     deleteChat,
     setShowNewChatModal,
+    openMessage,
   } = useChatContext();
 
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
@@ -46,6 +47,7 @@ const AppContent: React.FC = () => {
         onSwitchToChat={switchToCharacterChat}
         onDeleteChat={deleteChat}
         onCreateNewChat={() => setShowNewChatModal(true)}
+        onOpenMessage={openMessage}
         isMobileMenuOpen={isMobileMenuOpen}
         onCloseMobileMenu={() => setIsMobileMenuOpen(false)}
       />
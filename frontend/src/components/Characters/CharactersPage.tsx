@@ -1,8 +1,50 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { formatDate } from '../../utils/dateFormatter';
 import { API_BASE_URL } from '../../config/api';
+import { authenticatedFetch } from '../../utils/api';
 import { useAuth } from '../../contexts/AuthContext';
 
+type MemoryScope = 'chat' | 'character' | 'user';
+
+const TOOL_OPTIONS: { name: string; label: string }[] = [
+  { name: 'create_commitment', label: 'Create commitments' },
+  { name: 'schedule_event', label: 'Schedule events' },
+  { name: 'search_memory', label: 'Search memory' },
+  { name: 'get_datetime', label: 'Get date & time' }
+];
+
+const MAX_STOP_SEQUENCES = 4;
+
+// Stop sequences are edited one per line, with \n standing for a line break
+const formatStopSequences = (sequences?: string[] | null) =>
+  (sequences ?? []).map(sequence => sequence.replace(/\n/g, '\\n')).join('\n');
+
+const parseStopSequences = (text: string) =>
+  text.split('\n')
+    .filter(line => line.trim())
+    .map(line => line.replace(/\\n/g, '\n'));
+
+const EXPORT_FORMATS = [
+  { format: 'aria', label: 'Aria JSON' },
+  { format: 'png', label: 'Character Card (PNG)' },
+  { format: 'v2', label: 'Character Card V2 (JSON)' },
+  { format: 'v3', label: 'Character Card V3 (JSON)' }
+];
+
+interface ImportPreview {
+  format: string;
+  character: {
+    name: string;
+    description: string;
+    background: string;
+    imageFilename?: string;
+  };
+  imageUrl: string | null;
+  mapping: { source: string; target: string; value: string }[];
+  unmapped: string[];
+  warnings: string[];
+}
+
 interface Character {
   id: string;
   name: string;
@@ -22,6 +64,10 @@ interface Character {
       context_window_messages?: number;
     };
   };
+  memory_scope?: MemoryScope;
+  tool_allowlist?: string[] | null;
+  stop_sequences?: string[] | null;
+  merge_consecutive_turns?: boolean;
 }
 
 interface LLMModel {
@@ -29,16 +75,99 @@ interface LLMModel {
   name: string;
 }
 
+const REVISION_SOURCES: Record<string, string> = {
+  initial: 'Before history',
+  create: 'Created',
+  import: 'Imported',
+  edit: 'Edited',
+  rollback: 'Rolled back'
+};
+
+interface CharacterRevision {
+  id: string;
+  revision_number: number;
+  source: string;
+  changed_fields: string[];
+  rolled_back_to: number | null;
+  analysis_version: number | null;
+  analyzed: boolean;
+  created_at: string;
+}
+
+interface RevisionDiff {
+  from: { id: string; revision_number: number } | null;
+  to: { id: string; revision_number: number; analysis_version: number | null };
+  fields: {
+    field: string;
+    lines: { type: 'same' | 'added' | 'removed'; text: string }[];
+  }[];
+  framework: {
+    key: string;
+    before: unknown;
+    after: unknown;
+    added?: unknown[];
+    removed?: unknown[];
+  }[];
+}
+
+type LorePosition = 'before_character' | 'after_character' | 'before_messages';
+type SelectiveLogic = 'and_any' | 'and_all' | 'not_any' | 'not_all';
+
+const LORE_POSITIONS: { value: LorePosition; label: string }[] = [
+  { value: 'before_character', label: 'Before character' },
+  { value: 'after_character', label: 'After character' },
+  { value: 'before_messages', label: 'Before recent messages' }
+];
+
+const SELECTIVE_LOGIC: { value: SelectiveLogic; label: string }[] = [
+  { value: 'and_any', label: 'and any of' },
+  { value: 'and_all', label: 'and all of' },
+  { value: 'not_any', label: 'and none of' },
+  { value: 'not_all', label: 'and not all of' }
+];
+
+interface LorebookEntry {
+  id: string;
+  name: string;
+  keys: string[];
+  secondary_keys: string[];
+  selective_logic: SelectiveLogic;
+  content: string;
+  priority: number;
+  position: LorePosition;
+  token_limit: number | null;
+  constant: boolean;
+  case_sensitive: boolean;
+  enabled: boolean;
+}
+
+interface Lorebook {
+  id: string;
+  name: string;
+  description: string;
+  personality_id: string | null;
+  scan_depth: number;
+  token_budget: number;
+  is_active: boolean;
+  source: string;
+  entry_count?: number;
+  entries?: LorebookEntry[];
+}
 
 const CharactersPage: React.FC = () => {
-  const { user } = useAuth();
-  const userId = user?.id || "";
+  const { sessionToken } = useAuth();
   
   const [characters, setCharacters] = useState<Character[]>([]);
   const [loading, setLoading] = useState(true);
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [editingCharacter, setEditingCharacter] = useState<Character | null>(null);
   const [message, setMessage] = useState<{ type: 'success' | 'error', text: string } | null>(null);
+  const [exportMenuCharacterId, setExportMenuCharacterId] = useState<string | null>(null);
+  const [importPayload, setImportPayload] = useState<object | null>(null);
+  const [importPreview, setImportPreview] = useState<ImportPreview | null>(null);
+  const [importing, setImporting] = useState(false);
+  const [historyCharacter, setHistoryCharacter] = useState<Character | null>(null);
+  const [loreCharacter, setLoreCharacter] = useState<Character | null>(null);
   const fileInputRef = React.useRef<HTMLInputElement>(null);
 
   useEffect(() => {
@@ -47,7 +176,7 @@ const CharactersPage: React.FC = () => {
 
   const loadCharacters = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/characters?userId=${userId}`);
+      const response = await authenticatedFetch('/api/characters');
       const data = await response.json();
       
       if (data.success) {
@@ -86,11 +215,8 @@ const CharactersPage: React.FC = () => {
     setMessage({ type: 'success', text: `Deleting ${characterName}...` });
     
     try {
-      const response = await fetch(`${API_BASE_URL}/api/characters/${characterId}?userId=${userId}`, {
-        method: 'DELETE',
-        headers: {
-          'Content-Type': 'application/json'
-        }
+      const response = await authenticatedFetch(`/api/characters/${characterId}`, {
+        method: 'DELETE'
       });
       
       if (!response.ok) {
@@ -113,19 +239,27 @@ const CharactersPage: React.FC = () => {
     }
   };
 
-  const exportCharacter = async (characterId: string) => {
+  const exportCharacter = async (character: Character, format: string) => {
+    setExportMenuCharacterId(null);
     try {
-      const response = await fetch(`${API_BASE_URL}/api/characters/${characterId}/export?userId=${userId}`);
-      const data = await response.json();
-      
-      // Create a blob from the JSON data
-      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const response = await authenticatedFetch(`/api/characters/${character.id}/export?format=${format}`);
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: 'Export failed' }));
+        throw new Error(error.error || 'Export failed');
+      }
+
+      // Use the server's filename from Content-Disposition
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1]
+        || `${character.name.replace(/[^a-zA-Z0-9]/g, '_')}_character_export.json`;
+
+      const blob = await response.blob();
       
       // Create a download link
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `${data.character.name.replace(/[^a-zA-Z0-9]/g, '_')}_character_export.json`;
+      a.download = filename;
       document.body.appendChild(a);
       a.click();
       
@@ -144,6 +278,13 @@ const CharactersPage: React.FC = () => {
     fileInputRef.current?.click();
   };
 
+  const readFileAsBase64 = (file: File) => new Promise<string>((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+    reader.onerror = () => reject(new Error('Could not read file'));
+    reader.readAsDataURL(file);
+  });
+
   const handleFileImport = async (event: React.ChangeEvent<HTMLInputElement>) => {
     const file = event.target.files?.[0];
     if (!file) return;
@@ -152,33 +293,74 @@ const CharactersPage: React.FC = () => {
     setMessage({ type: 'success', text: 'Reading file...' });
 
     try {
-      // Validate file type
-      if (!file.name.endsWith('.json') && file.type !== 'application/json') {
-        throw new Error('Please select a valid JSON file');
-      }
+      let importData: object;
 
-      // Read file content
-      const fileContent = await file.text();
-      
-      // Parse JSON
-      let importData;
-      try {
-        importData = JSON.parse(fileContent);
-      } catch (parseError) {
-        throw new Error('Invalid JSON file format');
+      if (file.name.toLowerCase().endsWith('.png') || file.type === 'image/png') {
+        // Character card PNG: the server reads the embedded card
+        importData = { file: await readFileAsBase64(file), filename: file.name };
+      } else {
+        // Validate file type
+        if (!file.name.endsWith('.json') && file.type !== 'application/json') {
+          throw new Error('Please select a JSON file or a character card PNG');
+        }
+
+        // Read file content
+        const fileContent = await file.text();
+        
+        // Parse JSON
+        try {
+          importData = JSON.parse(fileContent);
+        } catch (parseError) {
+          throw new Error('Invalid JSON file format');
+        }
       }
 
-      setMessage({ type: 'success', text: 'Uploading to server...' });
+      setMessage({ type: 'success', text: 'Reading character...' });
 
-      // Send to server
-      const response = await fetch(`${API_BASE_URL}/api/characters/import?userId=${userId}`, {
+      // Show how the file maps onto character fields before saving
+      const response = await authenticatedFetch('/api/characters/import/preview', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
         body: JSON.stringify(importData)
       });
 
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.success) {
+        throw new Error(data.details || data.error || `Server error: ${response.status}`);
+      }
+
+      setMessage(null);
+      setImportPayload(importData);
+      setImportPreview(data.data);
+    } catch (error) {
+      console.error('Failed to import character:', error);
+      const errorMessage = error instanceof Error ? error.message : 'Failed to import character';
+      setMessage({ 
+        type: 'error', 
+        text: `Import failed: ${errorMessage}` 
+      });
+    } finally {
+      // Reset file input
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+    }
+  };
+
+  const closeImportPreview = () => {
+    setImportPayload(null);
+    setImportPreview(null);
+  };
+
+  const confirmImport = async () => {
+    if (!importPayload) return;
+    setImporting(true);
+
+    try {
+      const response = await authenticatedFetch('/api/characters/import', {
+        method: 'POST',
+        body: JSON.stringify(importPayload)
+      });
+
       if (!response.ok) {
         const errorText = await response.text();
         throw new Error(`Server error: ${response.status} - ${errorText}`);
@@ -187,6 +369,7 @@ const CharactersPage: React.FC = () => {
       const data = await response.json();
 
       if (data.success) {
+        closeImportPreview();
         await loadCharacters();
         const warningMessage = data.warnings && data.warnings.length > 0 
           ? ` (${data.warnings.join(', ')})` 
@@ -201,15 +384,13 @@ const CharactersPage: React.FC = () => {
     } catch (error) {
       console.error('Failed to import character:', error);
       const errorMessage = error instanceof Error ? error.message : 'Failed to import character';
+      closeImportPreview();
       setMessage({ 
         type: 'error', 
         text: `Import failed: ${errorMessage}` 
       });
     } finally {
-      // Reset file input
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
-      }
+      setImporting(false);
     }
   };
 
@@ -257,7 +438,7 @@ const CharactersPage: React.FC = () => {
           <input
             ref={fileInputRef}
             type="file"
-            accept=".json,application/json,text/*"
+            accept=".json,.png,application/json,image/png,text/*"
             onChange={handleFileImport}
             className="hidden"
             style={{ display: 'none' }}
@@ -352,11 +533,38 @@ const CharactersPage: React.FC = () => {
                           Edit
                         </button>
                         <button
-                          onClick={() => exportCharacter(character.id)}
-                          className="flex-1 bg-green-50 hover:bg-green-100 active:bg-green-200 text-green-600 px-3 py-2 rounded-lg text-xs md:text-sm font-medium transition-colors duration-200 min-h-[40px]"
+                          onClick={() => setHistoryCharacter(character)}
+                          className="flex-1 bg-purple-50 hover:bg-purple-100 active:bg-purple-200 text-purple-600 px-3 py-2 rounded-lg text-xs md:text-sm font-medium transition-colors duration-200 min-h-[40px]"
                         >
-                          📥 Export
+                          History
                         </button>
+                        <button
+                          onClick={() => setLoreCharacter(character)}
+                          className="flex-1 bg-amber-50 hover:bg-amber-100 active:bg-amber-200 text-amber-700 px-3 py-2 rounded-lg text-xs md:text-sm font-medium transition-colors duration-200 min-h-[40px]"
+                        >
+                          Lore
+                        </button>
+                        <div className="flex-1 relative">
+                          <button
+                            onClick={() => setExportMenuCharacterId(exportMenuCharacterId === character.id ? null : character.id)}
+                            className="w-full bg-green-50 hover:bg-green-100 active:bg-green-200 text-green-600 px-3 py-2 rounded-lg text-xs md:text-sm font-medium transition-colors duration-200 min-h-[40px]"
+                          >
+                            📥 Export
+                          </button>
+                          {exportMenuCharacterId === character.id && (
+                            <div className="absolute top-full right-0 mt-1 z-20 bg-white rounded-lg shadow-lg border border-gray-200 py-1 w-52">
+                              {EXPORT_FORMATS.map(({ format, label }) => (
+                                <button
+                                  key={format}
+                                  onClick={() => exportCharacter(character, format)}
+                                  className="w-full px-3 py-1.5 text-left text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                                >
+                                  {label}
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                        </div>
                       </div>
                       <button
                         onClick={(e) => {
@@ -383,11 +591,103 @@ const CharactersPage: React.FC = () => {
           </div>
         )}
 
+        {/* Import Preview */}
+        {importPreview && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-3 md:p-4 z-50">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+              <div className="p-4 md:p-6 border-b border-gray-200 flex items-center gap-3">
+                {importPreview.imageUrl && (
+                  <img
+                    src={importPreview.imageUrl}
+                    alt={importPreview.character.name}
+                    className="w-12 h-12 rounded-full object-cover border border-gray-200"
+                  />
+                )}
+                <div>
+                  <h2 className="text-lg md:text-xl font-semibold text-gray-800">Import {importPreview.character.name}</h2>
+                  <p className="text-xs md:text-sm text-gray-500">
+                    {importPreview.format === 'aria' ? 'Aria export' : importPreview.format.replace('chara_card_v', 'Character Card V')}
+                  </p>
+                </div>
+              </div>
+
+              <div className="p-4 md:p-6 space-y-4">
+                <table className="w-full text-xs md:text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b border-gray-200">
+                      <th className="py-2 pr-2 font-medium">From</th>
+                      <th className="py-2 pr-2 font-medium">To</th>
+                      <th className="py-2 font-medium">Value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {importPreview.mapping.map((entry) => (
+                      <tr key={`${entry.source}-${entry.target}`} className="border-b border-gray-100 align-top">
+                        <td className="py-2 pr-2 font-mono text-gray-700">{entry.source}</td>
+                        <td className="py-2 pr-2 font-mono text-blue-600">{entry.target}</td>
+                        <td className="py-2 text-gray-700 whitespace-pre-wrap break-words">{entry.value}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                {importPreview.unmapped.length > 0 && (
+                  <div className="p-3 rounded-lg bg-yellow-50 border border-yellow-200 text-xs md:text-sm text-yellow-800">
+                    Not imported: {importPreview.unmapped.join(', ')}
+                  </div>
+                )}
+                {importPreview.warnings.map((warning) => (
+                  <div key={warning} className="p-3 rounded-lg bg-yellow-50 border border-yellow-200 text-xs md:text-sm text-yellow-800">
+                    {warning}
+                  </div>
+                ))}
+              </div>
+
+              <div className="p-4 md:p-6 border-t border-gray-200 flex justify-end gap-2">
+                <button
+                  onClick={closeImportPreview}
+                  disabled={importing}
+                  className="px-4 py-2 rounded-lg text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 min-h-[44px]"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={confirmImport}
+                  disabled={importing}
+                  className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-green-500 hover:bg-green-600 disabled:opacity-50 min-h-[44px]"
+                >
+                  {importing ? 'Importing...' : 'Import Character'}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Revision History */}
+        {historyCharacter && (
+          <RevisionHistoryModal
+            character={historyCharacter}
+            onClose={() => setHistoryCharacter(null)}
+            onRolledBack={(revisionNumber) => {
+              loadCharacters();
+              setMessage({ type: 'success', text: `${historyCharacter.name} rolled back to revision ${revisionNumber}` });
+            }}
+          />
+        )}
+
+        {/* Lorebooks */}
+        {loreCharacter && (
+          <LorebookModal
+            character={loreCharacter}
+            sessionToken={sessionToken}
+            onClose={() => setLoreCharacter(null)}
+          />
+        )}
+
         {/* Create/Edit Modal */}
         {(showCreateModal || editingCharacter) && (
           <CharacterModal
             character={editingCharacter}
-            userId={userId}
             onClose={() => {
               setShowCreateModal(false);
               setEditingCharacter(null);
@@ -411,17 +711,20 @@ const CharactersPage: React.FC = () => {
 // Character Modal Component
 interface CharacterModalProps {
   character: Character | null;
-  userId: string;
   onClose: () => void;
   onSave: () => void;
 }
 
-const CharacterModal: React.FC<CharacterModalProps> = ({ character, userId, onClose, onSave }) => {
+const CharacterModal: React.FC<CharacterModalProps> = ({ character, onClose, onSave }) => {
   const [formData, setFormData] = useState({
     name: character?.name || '',
     description: character?.description || '',
     background: '',
-    avatar: ''
+    avatar: '',
+    memory_scope: (character?.memory_scope || 'chat') as MemoryScope,
+    tool_allowlist: (character?.tool_allowlist ?? null) as string[] | null,
+    stop_sequences: formatStopSequences(character?.stop_sequences),
+    merge_consecutive_turns: !!character?.merge_consecutive_turns
   });
   const [saving, setSaving] = useState(false);
   const [availableModels, setAvailableModels] = useState<LLMModel[]>([]);
@@ -450,7 +753,11 @@ const CharacterModal: React.FC<CharacterModalProps> = ({ character, userId, onCl
         name: character.name,
         description: character.description,
         background: character.definition || '',
-        avatar: character.display !== 'default.png' ? character.display : ''
+        avatar: character.display !== 'default.png' ? character.display : '',
+        memory_scope: character.memory_scope || 'chat',
+        tool_allowlist: character.tool_allowlist ?? null,
+        stop_sequences: formatStopSequences(character.stop_sequences),
+        merge_consecutive_turns: !!character.merge_consecutive_turns
       });
       
       // Set image preview if character has an image
@@ -482,7 +789,11 @@ const CharacterModal: React.FC<CharacterModalProps> = ({ character, userId, onCl
         name: '',
         description: '',
         background: '',
-        avatar: ''
+        avatar: '',
+        memory_scope: 'chat',
+        tool_allowlist: null,
+        stop_sequences: '',
+        merge_consecutive_turns: false
       });
       setImagePreview(null);
       setImageFile(null);
@@ -607,22 +918,23 @@ const CharacterModal: React.FC<CharacterModalProps> = ({ character, userId, onCl
       return;
     }
 
+    const stopSequences = parseStopSequences(formData.stop_sequences);
+    if (stopSequences.length > MAX_STOP_SEQUENCES) {
+      alert(`At most ${MAX_STOP_SEQUENCES} stop sequences are supported`);
+      return;
+    }
+
     setSaving(true);
     
     try {
       const url = character 
-        ? `${API_BASE_URL}/api/characters/${character.id}?userId=${userId}`
-        : `${API_BASE_URL}/api/characters?userId=${userId}`;
+        ? `/api/characters/${character.id}`
+        : '/api/characters';
       
       const method = character ? 'PUT' : 'POST';
       
       // Build request body with optional llm_preferences
-      const requestBody: any = { ...formData };
-      
-      // Include user_id for new character creation
-      if (!character) {
-        requestBody.user_id = userId;
-      }
+      const requestBody: any = { ...formData, stop_sequences: stopSequences };
       
       // Include image data if a file was uploaded
       if (imageFile) {
@@ -646,11 +958,8 @@ const CharacterModal: React.FC<CharacterModalProps> = ({ character, userId, onCl
         requestBody.llm_preferences = null;
       }
       
-      const response = await fetch(url, {
+      const response = await authenticatedFetch(url, {
         method,
-        headers: {
-          'Content-Type': 'application/json',
-        },
         body: JSON.stringify(requestBody)
       });
       
@@ -753,6 +1062,89 @@ const CharacterModal: React.FC<CharacterModalProps> = ({ character, userId, onCl
             />
           </div>
 
+          {/* Memory Scope */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Memory Scope
+            </label>
+            <select
+              value={formData.memory_scope}
+              onChange={(e) => setFormData({ ...formData, memory_scope: e.target.value as MemoryScope })}
+              className="w-full p-2.5 md:p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm md:text-base"
+            >
+              <option value="chat">This chat only</option>
+              <option value="character">All my chats with this character</option>
+              <option value="user">All my chats</option>
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              Which past conversations the character can recall. Memories are never shared between users.
+            </p>
+          </div>
+
+          {/* Tools */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Tools
+            </label>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {TOOL_OPTIONS.map(tool => {
+                const allowed = formData.tool_allowlist ?? TOOL_OPTIONS.map(t => t.name);
+                return (
+                  <label key={tool.name} className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={allowed.includes(tool.name)}
+                      onChange={(e) => {
+                        const next = e.target.checked
+                          ? [...allowed, tool.name]
+                          : allowed.filter(name => name !== tool.name);
+                        // All tools checked is stored as null so newly added tools are enabled too
+                        setFormData({
+                          ...formData,
+                          tool_allowlist: next.length === TOOL_OPTIONS.length ? null : next
+                        });
+                      }}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    />
+                    {tool.label}
+                  </label>
+                );
+              })}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              Actions the character may take during a conversation.
+            </p>
+          </div>
+
+          {/* Message Format */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Stop Sequences
+            </label>
+            <textarea
+              value={formData.stop_sequences}
+              onChange={(e) => setFormData({ ...formData, stop_sequences: e.target.value })}
+              rows={3}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono text-sm"
+              placeholder={'\\n{{user}}:'}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              One per line, at most {MAX_STOP_SEQUENCES}. Generation stops when the model writes one. Use \n for a line break; {'{{char}}'} and {'{{user}}'} are replaced with the names.
+            </p>
+            <label className="flex items-center gap-2 text-sm text-gray-700 mt-3">
+              <input
+                type="checkbox"
+                checked={formData.merge_consecutive_turns}
+                onChange={(e) => setFormData({ ...formData, merge_consecutive_turns: e.target.checked })}
+                className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+              />
+              Merge consecutive messages from the same side
+            </label>
+            <p className="text-xs text-gray-500 mt-1">
+              For models that require user and assistant turns to alternate.
+            </p>
+          </div>
+
           {/* Avatar Upload/URL Section */}
           <div className="space-y-3">
             <label className="block text-sm font-medium text-gray-700">
@@ -960,4 +1352,684 @@ const CharacterModal: React.FC<CharacterModalProps> = ({ character, userId, onCl
   );
 };
 
+// Lorebook Modal Component
+interface LorebookModalProps {
+  character: Character;
+  sessionToken: string | null;
+  onClose: () => void;
+}
+
+const splitKeys = (value: string): string[] => value.split(',').map(key => key.trim()).filter(Boolean);
+
+const LorebookModal: React.FC<LorebookModalProps> = ({ character, sessionToken, onClose }) => {
+  const [lorebooks, setLorebooks] = useState<Lorebook[]>([]);
+  const [selected, setSelected] = useState<Lorebook | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [warnings, setWarnings] = useState<string[]>([]);
+  const importInputRef = useRef<HTMLInputElement>(null);
+
+  const request = useCallback(async (path: string, init: RequestInit = {}) => {
+    const response = await fetch(`${API_BASE_URL}/api/lorebooks${path}`, {
+      ...init,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${sessionToken}`
+      }
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Lorebook request failed');
+    }
+    return data;
+  }, [sessionToken]);
+
+  const loadLorebooks = useCallback(async () => {
+    try {
+      const data = await request(`?characterId=${encodeURIComponent(character.id)}`);
+      setLorebooks(data.data);
+    } catch (loadError) {
+      setError(loadError instanceof Error ? loadError.message : 'Failed to load lorebooks');
+    } finally {
+      setLoading(false);
+    }
+  }, [character.id, request]);
+
+  const selectLorebook = async (lorebookId: string) => {
+    try {
+      const data = await request(`/${lorebookId}`);
+      setSelected(data.data);
+    } catch (selectError) {
+      setError(selectError instanceof Error ? selectError.message : 'Failed to load lorebook');
+    }
+  };
+
+  useEffect(() => {
+    loadLorebooks();
+  }, [loadLorebooks]);
+
+  const run = async (action: () => Promise<void>) => {
+    setError(null);
+    try {
+      await action();
+    } catch (actionError) {
+      setError(actionError instanceof Error ? actionError.message : 'Lorebook request failed');
+    }
+  };
+
+  const createLorebook = () => run(async () => {
+    const name = window.prompt('Lorebook name', `${character.name}'s world`);
+    if (!name) return;
+    const data = await request('', { method: 'POST', body: JSON.stringify({ name, characterId: character.id }) });
+    setSelected(data.data);
+    await loadLorebooks();
+  });
+
+  const importWorldInfo = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    run(async () => {
+      let worldInfo: unknown;
+      try {
+        worldInfo = JSON.parse(await file.text());
+      } catch {
+        throw new Error('World info file is not valid JSON');
+      }
+      const data = await request('/import', {
+        method: 'POST',
+        body: JSON.stringify({ worldInfo, characterId: character.id, name: worldInfo && (worldInfo as { name?: string }).name ? undefined : file.name.replace(/\.json$/i, '') })
+      });
+      setSelected(data.data);
+      setWarnings(data.warnings || []);
+      await loadLorebooks();
+    });
+  };
+
+  const saveSettings = (updates: Partial<Lorebook>) => run(async () => {
+    if (!selected) return;
+    const data = await request(`/${selected.id}`, {
+      method: 'PUT',
+      body: JSON.stringify({
+        name: updates.name,
+        description: updates.description,
+        characterId: updates.personality_id,
+        scanDepth: updates.scan_depth,
+        tokenBudget: updates.token_budget,
+        isActive: updates.is_active
+      })
+    });
+    setSelected(data.data);
+    await loadLorebooks();
+  });
+
+  const deleteLorebook = () => run(async () => {
+    if (!selected || !window.confirm(`Delete the lorebook "${selected.name}" and all of its entries?`)) return;
+    await request(`/${selected.id}`, { method: 'DELETE' });
+    setSelected(null);
+    await loadLorebooks();
+  });
+
+  const saveEntry = (entry: Partial<LorebookEntry>, entryId?: string) => run(async () => {
+    if (!selected) return;
+    await request(entryId ? `/${selected.id}/entries/${entryId}` : `/${selected.id}/entries`, {
+      method: entryId ? 'PUT' : 'POST',
+      body: JSON.stringify(entry)
+    });
+    await selectLorebook(selected.id);
+    await loadLorebooks();
+  });
+
+  const deleteEntry = (entry: LorebookEntry) => run(async () => {
+    if (!selected || !window.confirm(`Delete the entry "${entry.name || entry.keys.join(', ')}"?`)) return;
+    await request(`/${selected.id}/entries/${entry.id}`, { method: 'DELETE' });
+    await selectLorebook(selected.id);
+    await loadLorebooks();
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-3 md:p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-5xl max-h-[90vh] flex flex-col">
+        <div className="p-4 md:p-6 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg md:text-xl font-semibold text-gray-800">{character.name} — Lorebooks</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 text-xl min-h-[44px] px-2">×</button>
+        </div>
+
+        {error && (
+          <div className="mx-4 md:mx-6 mt-4 p-3 rounded-lg bg-red-50 border border-red-200 text-xs md:text-sm text-red-800">{error}</div>
+        )}
+        {warnings.map((warning) => (
+          <div key={warning} className="mx-4 md:mx-6 mt-4 p-3 rounded-lg bg-yellow-50 border border-yellow-200 text-xs md:text-sm text-yellow-800">{warning}</div>
+        ))}
+
+        <div className="flex flex-col md:flex-row flex-1 min-h-0">
+          {/* Lorebook list */}
+          <div className="md:w-64 border-b md:border-b-0 md:border-r border-gray-200 flex flex-col max-h-56 md:max-h-none">
+            <div className="p-3 flex gap-2 border-b border-gray-100">
+              <button
+                onClick={createLorebook}
+                className="flex-1 px-3 py-2 rounded-lg text-xs md:text-sm font-medium text-white bg-amber-500 hover:bg-amber-600 min-h-[40px]"
+              >
+                New
+              </button>
+              <button
+                onClick={() => importInputRef.current?.click()}
+                className="flex-1 px-3 py-2 rounded-lg text-xs md:text-sm font-medium text-amber-700 bg-amber-50 hover:bg-amber-100 min-h-[40px]"
+              >
+                Import
+              </button>
+              <input ref={importInputRef} type="file" accept=".json,application/json" className="hidden" onChange={importWorldInfo} />
+            </div>
+            <ul className="overflow-y-auto flex-1">
+              {loading ? (
+                <li className="p-4 text-sm text-gray-500">Loading lorebooks...</li>
+              ) : lorebooks.length === 0 ? (
+                <li className="p-4 text-sm text-gray-500">No lorebooks yet. Create one or import a SillyTavern world info file.</li>
+              ) : lorebooks.map((lorebook) => (
+                <li key={lorebook.id}>
+                  <button
+                    onClick={() => selectLorebook(lorebook.id)}
+                    className={`w-full text-left px-4 py-3 border-b border-gray-100 text-sm ${
+                      lorebook.id === selected?.id ? 'bg-amber-50' : 'hover:bg-gray-50'
+                    }`}
+                  >
+                    <div className={`font-medium ${lorebook.is_active ? 'text-gray-800' : 'text-gray-400'}`}>{lorebook.name}</div>
+                    <div className="text-xs text-gray-500">
+                      {lorebook.entry_count ?? 0} entries · {lorebook.personality_id ? character.name : 'All characters'}
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {/* Selected lorebook */}
+          <div className="flex-1 overflow-y-auto p-4 md:p-6 space-y-4">
+            {!selected ? (
+              <p className="text-sm text-gray-500">
+                Lorebook entries are added to the prompt only when one of their keys appears in the latest messages.
+                Select a lorebook to edit it.
+              </p>
+            ) : (
+              <>
+                <LorebookSettings
+                  key={selected.id}
+                  lorebook={selected}
+                  characterId={character.id}
+                  characterName={character.name}
+                  onSave={saveSettings}
+                  onDelete={deleteLorebook}
+                />
+                <div className="space-y-3">
+                  <h3 className="text-sm font-semibold text-gray-700">Entries</h3>
+                  {(selected.entries || []).map((entry) => (
+                    <LorebookEntryEditor
+                      key={entry.id}
+                      entry={entry}
+                      onSave={(updates) => saveEntry(updates, entry.id)}
+                      onDelete={() => deleteEntry(entry)}
+                    />
+                  ))}
+                  <LorebookEntryEditor key={`new-${selected.entries?.length ?? 0}`} onSave={(entry) => saveEntry(entry)} />
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+interface LorebookSettingsProps {
+  lorebook: Lorebook;
+  characterId: string;
+  characterName: string;
+  onSave: (updates: Partial<Lorebook>) => void;
+  onDelete: () => void;
+}
+
+const LorebookSettings: React.FC<LorebookSettingsProps> = ({ lorebook, characterId, characterName, onSave, onDelete }) => {
+  const [form, setForm] = useState({
+    name: lorebook.name,
+    description: lorebook.description || '',
+    attached: lorebook.personality_id !== null,
+    scan_depth: lorebook.scan_depth,
+    token_budget: lorebook.token_budget,
+    is_active: lorebook.is_active
+  });
+
+  return (
+    <div className="space-y-3 pb-4 border-b border-gray-200">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <label className="text-xs font-medium text-gray-600">
+          Name
+          <input
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </label>
+        <label className="text-xs font-medium text-gray-600">
+          Applies to
+          <select
+            value={form.attached ? 'character' : 'all'}
+            onChange={(e) => setForm({ ...form, attached: e.target.value === 'character' })}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="character">{characterName} only</option>
+            <option value="all">All my characters</option>
+          </select>
+        </label>
+        <label className="text-xs font-medium text-gray-600">
+          Scan depth (latest messages)
+          <input
+            type="number"
+            min={1}
+            value={form.scan_depth}
+            onChange={(e) => setForm({ ...form, scan_depth: parseInt(e.target.value) || 1 })}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </label>
+        <label className="text-xs font-medium text-gray-600">
+          Token budget
+          <input
+            type="number"
+            min={1}
+            value={form.token_budget}
+            onChange={(e) => setForm({ ...form, token_budget: parseInt(e.target.value) || 1 })}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </label>
+      </div>
+      <label className="block text-xs font-medium text-gray-600">
+        Description
+        <input
+          value={form.description}
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+      </label>
+      <div className="flex items-center justify-between gap-2">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.is_active}
+            onChange={(e) => setForm({ ...form, is_active: e.target.checked })}
+          />
+          Active
+        </label>
+        <div className="flex gap-2">
+          <button
+            onClick={onDelete}
+            className="px-3 py-2 rounded-lg text-xs md:text-sm font-medium text-red-600 bg-red-50 hover:bg-red-100 min-h-[40px]"
+          >
+            Delete lorebook
+          </button>
+          <button
+            onClick={() => onSave({
+              name: form.name,
+              description: form.description,
+              personality_id: form.attached ? characterId : null,
+              scan_depth: form.scan_depth,
+              token_budget: form.token_budget,
+              is_active: form.is_active
+            })}
+            className="px-3 py-2 rounded-lg text-xs md:text-sm font-medium text-white bg-amber-500 hover:bg-amber-600 min-h-[40px]"
+          >
+            Save settings
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+interface LorebookEntryEditorProps {
+  entry?: LorebookEntry;
+  onSave: (entry: Partial<LorebookEntry>) => void;
+  onDelete?: () => void;
+}
+
+const LorebookEntryEditor: React.FC<LorebookEntryEditorProps> = ({ entry, onSave, onDelete }) => {
+  const [form, setForm] = useState({
+    name: entry?.name || '',
+    keys: entry?.keys.join(', ') || '',
+    secondary_keys: entry?.secondary_keys.join(', ') || '',
+    selective_logic: entry?.selective_logic || 'and_any' as SelectiveLogic,
+    content: entry?.content || '',
+    priority: entry?.priority ?? 100,
+    position: entry?.position || 'after_character' as LorePosition,
+    token_limit: entry?.token_limit ? String(entry.token_limit) : '',
+    constant: entry?.constant || false,
+    case_sensitive: entry?.case_sensitive || false,
+    enabled: entry?.enabled ?? true
+  });
+
+  const save = () => onSave({
+    name: form.name,
+    keys: splitKeys(form.keys),
+    secondary_keys: splitKeys(form.secondary_keys),
+    selective_logic: form.selective_logic,
+    content: form.content,
+    priority: form.priority,
+    position: form.position,
+    token_limit: form.token_limit ? parseInt(form.token_limit) : null,
+    constant: form.constant,
+    case_sensitive: form.case_sensitive,
+    enabled: form.enabled
+  });
+
+  return (
+    <div className={`p-3 rounded-lg border space-y-2 ${entry ? 'border-gray-200' : 'border-dashed border-amber-300 bg-amber-50/40'}`}>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+        <input
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder={entry ? 'Entry name' : 'New entry name'}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <input
+          value={form.keys}
+          onChange={(e) => setForm({ ...form, keys: e.target.value })}
+          placeholder="Keys, comma separated (/regex/i allowed)"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+        />
+        <select
+          value={form.selective_logic}
+          onChange={(e) => setForm({ ...form, selective_logic: e.target.value as SelectiveLogic })}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        >
+          {SELECTIVE_LOGIC.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          value={form.secondary_keys}
+          onChange={(e) => setForm({ ...form, secondary_keys: e.target.value })}
+          placeholder="Secondary keys (optional)"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+        />
+      </div>
+      <textarea
+        value={form.content}
+        onChange={(e) => setForm({ ...form, content: e.target.value })}
+        placeholder="What the character should know when a key comes up"
+        rows={3}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+      />
+      <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600">
+        <label className="flex items-center gap-1">
+          Priority
+          <input
+            type="number"
+            value={form.priority}
+            onChange={(e) => setForm({ ...form, priority: parseInt(e.target.value) || 0 })}
+            className="w-20 px-2 py-1 border border-gray-300 rounded"
+          />
+        </label>
+        <select
+          value={form.position}
+          onChange={(e) => setForm({ ...form, position: e.target.value as LorePosition })}
+          className="px-2 py-1 border border-gray-300 rounded"
+        >
+          {LORE_POSITIONS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1">
+          Token limit
+          <input
+            type="number"
+            min={1}
+            value={form.token_limit}
+            onChange={(e) => setForm({ ...form, token_limit: e.target.value })}
+            placeholder="none"
+            className="w-20 px-2 py-1 border border-gray-300 rounded"
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={form.constant} onChange={(e) => setForm({ ...form, constant: e.target.checked })} />
+          Always
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={form.case_sensitive} onChange={(e) => setForm({ ...form, case_sensitive: e.target.checked })} />
+          Case-sensitive
+        </label>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={form.enabled} onChange={(e) => setForm({ ...form, enabled: e.target.checked })} />
+          Enabled
+        </label>
+        <div className="flex gap-2 ml-auto">
+          {onDelete && (
+            <button onClick={onDelete} className="px-3 py-1.5 rounded-lg font-medium text-red-600 bg-red-50 hover:bg-red-100">
+              Delete
+            </button>
+          )}
+          <button onClick={save} className="px-3 py-1.5 rounded-lg font-medium text-white bg-amber-500 hover:bg-amber-600">
+            {entry ? 'Save' : 'Add entry'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Revision History Modal Component
+interface RevisionHistoryModalProps {
+  character: Character;
+  onClose: () => void;
+  onRolledBack: (revisionNumber: number) => void;
+}
+
+const formatFrameworkValue = (value: unknown): string => {
+  if (value === null || value === undefined) return '—';
+  if (Array.isArray(value)) return value.map(item => String(item)).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const RevisionHistoryModal: React.FC<RevisionHistoryModalProps> = ({ character, onClose, onRolledBack }) => {
+  const [revisions, setRevisions] = useState<CharacterRevision[]>([]);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [diff, setDiff] = useState<RevisionDiff | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [rollingBack, setRollingBack] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadRevisions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await authenticatedFetch(`/api/characters/${character.id}/revisions`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load revisions');
+      }
+      setRevisions(data.data);
+      setSelectedId(data.data[0]?.id || null);
+    } catch (loadError) {
+      setError(loadError instanceof Error ? loadError.message : 'Failed to load revisions');
+    } finally {
+      setLoading(false);
+    }
+  }, [character.id]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setDiff(null);
+      return;
+    }
+    const loadDiff = async () => {
+      try {
+        const response = await authenticatedFetch(`/api/characters/${character.id}/revisions/${selectedId}/diff`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load diff');
+        }
+        setDiff(data.data);
+      } catch (diffError) {
+        setError(diffError instanceof Error ? diffError.message : 'Failed to load diff');
+      }
+    };
+    loadDiff();
+  }, [character.id, selectedId]);
+
+  const rollback = async (revision: CharacterRevision) => {
+    if (!window.confirm(`Roll ${character.name} back to revision ${revision.revision_number}? The current version stays in the history.`)) {
+      return;
+    }
+    setRollingBack(true);
+    try {
+      const response = await authenticatedFetch(`/api/characters/${character.id}/revisions/${revision.id}/rollback`, {
+        method: 'POST'
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Rollback failed');
+      }
+      onRolledBack(revision.revision_number);
+      await loadRevisions();
+    } catch (rollbackError) {
+      setError(rollbackError instanceof Error ? rollbackError.message : 'Rollback failed');
+    } finally {
+      setRollingBack(false);
+    }
+  };
+
+  const selected = revisions.find(revision => revision.id === selectedId) || null;
+  const isLatest = selected !== null && selected.id === revisions[0]?.id;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-3 md:p-4 z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        <div className="p-4 md:p-6 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg md:text-xl font-semibold text-gray-800">{character.name} — History</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 text-xl min-h-[44px] px-2">×</button>
+        </div>
+
+        {error && (
+          <div className="mx-4 md:mx-6 mt-4 p-3 rounded-lg bg-red-50 border border-red-200 text-xs md:text-sm text-red-800">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="p-8 text-center text-gray-500 text-sm">Loading history...</div>
+        ) : revisions.length === 0 ? (
+          <div className="p-8 text-center text-gray-500 text-sm">No revisions yet. Edits to this character will appear here.</div>
+        ) : (
+          <div className="flex flex-col md:flex-row flex-1 min-h-0">
+            {/* Revision list */}
+            <ul className="md:w-64 border-b md:border-b-0 md:border-r border-gray-200 overflow-y-auto max-h-48 md:max-h-none">
+              {revisions.map((revision) => (
+                <li key={revision.id}>
+                  <button
+                    onClick={() => setSelectedId(revision.id)}
+                    className={`w-full text-left px-4 py-3 border-b border-gray-100 text-sm ${
+                      revision.id === selectedId ? 'bg-blue-50' : 'hover:bg-gray-50'
+                    }`}
+                  >
+                    <div className="font-medium text-gray-800">
+                      #{revision.revision_number} · {REVISION_SOURCES[revision.source] || revision.source}
+                      {revision.rolled_back_to !== null && ` to #${revision.rolled_back_to}`}
+                    </div>
+                    <div className="text-xs text-gray-500">{formatDate(revision.created_at)}</div>
+                    {revision.changed_fields.length > 0 && (
+                      <div className="text-xs text-gray-500 truncate">{revision.changed_fields.join(', ')}</div>
+                    )}
+                    {!revision.analyzed && revision.changed_fields.includes('definition') && (
+                      <div className="text-xs text-purple-600">Framework analysis pending</div>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            {/* Diff */}
+            <div className="flex-1 overflow-y-auto p-4 md:p-6 space-y-4">
+              {selected && diff && (
+                <>
+                  <div className="flex items-center justify-between gap-2">
+                    <p className="text-xs md:text-sm text-gray-500">
+                      {diff.from ? `Changes from #${diff.from.revision_number} to #${diff.to.revision_number}` : 'First revision'}
+                    </p>
+                    {!isLatest && (
+                      <button
+                        onClick={() => rollback(selected)}
+                        disabled={rollingBack}
+                        className="px-3 py-2 rounded-lg text-xs md:text-sm font-medium text-white bg-purple-500 hover:bg-purple-600 disabled:opacity-50 min-h-[40px]"
+                      >
+                        {rollingBack ? 'Rolling back...' : `Roll back to #${selected.revision_number}`}
+                      </button>
+                    )}
+                  </div>
+
+                  {diff.fields.length === 0 && (
+                    <p className="text-sm text-gray-500">No field changes.</p>
+                  )}
+                  {diff.fields.map((field) => (
+                    <div key={field.field}>
+                      <h3 className="text-xs font-semibold text-gray-600 mb-1 font-mono">{field.field}</h3>
+                      <pre className="text-xs rounded-lg border border-gray-200 overflow-x-auto">
+                        {field.lines.map((line, index) => (
+                          <div
+                            key={index}
+                            className={`px-2 whitespace-pre-wrap break-words ${
+                              line.type === 'added' ? 'bg-green-50 text-green-800'
+                                : line.type === 'removed' ? 'bg-red-50 text-red-800'
+                                : 'text-gray-600'
+                            }`}
+                          >
+                            {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+                          </div>
+                        ))}
+                      </pre>
+                    </div>
+                  ))}
+
+                  {diff.framework.length > 0 && (
+                    <div>
+                      <h3 className="text-xs font-semibold text-gray-600 mb-1">
+                        Psychology framework{diff.to.analysis_version !== null && ` (analysis v${diff.to.analysis_version})`}
+                      </h3>
+                      <table className="w-full text-xs">
+                        <tbody>
+                          {diff.framework.map((entry) => (
+                            <tr key={entry.key} className="border-b border-gray-100 align-top">
+                              <td className="py-2 pr-2 font-mono text-gray-700">{entry.key}</td>
+                              <td className="py-2">
+                                {entry.added || entry.removed ? (
+                                  <>
+                                    {entry.added?.map((item) => (
+                                      <span key={`+${String(item)}`} className="inline-block mr-1 mb-1 px-1.5 rounded bg-green-50 text-green-800">+ {formatFrameworkValue(item)}</span>
+                                    ))}
+                                    {entry.removed?.map((item) => (
+                                      <span key={`-${String(item)}`} className="inline-block mr-1 mb-1 px-1.5 rounded bg-red-50 text-red-800">- {formatFrameworkValue(item)}</span>
+                                    ))}
+                                  </>
+                                ) : (
+                                  <>
+                                    <div className="text-red-800">- {formatFrameworkValue(entry.before)}</div>
+                                    <div className="text-green-800">+ {formatFrameworkValue(entry.after)}</div>
+                                  </>
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
 export default CharactersPage;
@@ -109,6 +109,7 @@ export const ChatInterface: React.FC<ChatInterfaceProps> = ({
           isTyping={isTyping}
           characterName={currentSession.character.name}
           characterAvatar={currentSession.character.avatar}
+          characterId={currentSession.character.id}
         />
       </div>
 
@@ -7,12 +7,15 @@ import { useAuth } from '../../contexts/AuthContext';
 import type { Message } from '../../types';
 import { formatChatTimestamp } from '../../utils/dateFormatter';
 import ReactMarkdown from 'react-markdown';
-import { API_BASE_URL } from '../../config/api';
 import { ChevronDown, ChevronUp } from 'lucide-react';
 import { getCharacterImageUrl } from '../../utils/characterImageCache';
+import { authenticatedFetch } from '../../utils/api';
+import { mapHistoryMessage, hasSeveralSpeakers } from '../../utils/chatMessages';
+import type { HistoryMessage } from '../../utils/chatMessages';
+import { MessageControls } from './MessageControls';
 
 const ChatPage: React.FC = () => {
-  const { user } = useAuth();
+  const { user, sessionToken } = useAuth();
   const {
     currentChat,
     setCurrentChat,
@@ -23,6 +26,8 @@ const ChatPage: React.FC = () => {
     isLoadingCharacters,
     createNewChat,
     loadCharacters,
+    focusMessageId,
+    setFocusMessageId,
   } = useChatContext();
 
   const [inputValue, setInputValue] = useState('');
@@ -70,10 +75,26 @@ const ChatPage: React.FC = () => {
     loadImage();
   }, [currentChat, user]);
 
-  // Auto-scroll to bottom when new messages arrive
+  // Auto-scroll to bottom when new messages arrive (unless jumping to a search result)
   useEffect(() => {
+    if (focusMessageId) return;
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [currentChat?.messages, isTyping]);
+  }, [currentChat?.messages, isTyping, focusMessageId]);
+
+  // Scroll to and briefly highlight the message opened from search
+  useEffect(() => {
+    if (!focusMessageId) return;
+    const element = document.getElementById(`message-${focusMessageId}`);
+    if (!element) return;
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    element.classList.add('ring-2', 'ring-yellow-400', 'rounded-2xl');
+    const timer = setTimeout(() => {
+      element.classList.remove('ring-2', 'ring-yellow-400', 'rounded-2xl');
+      setFocusMessageId(null);
+    }, 2000);
+    return () => clearTimeout(timer);
+  }, [focusMessageId, currentChat?.messages, setFocusMessageId]);
 
   // Auto-resize textarea
   useEffect(() => {
@@ -157,6 +178,170 @@ const ChatPage: React.FC = () => {
     }
   }, [showNewChatModal]);
 
+  // Apply an update to the current chat's messages and mirror it into the chat list
+  const updateCurrentMessages = useCallback((chatId: string, update: (messages: Message[]) => Message[]) => {
+    setCurrentChat(prevChat => {
+      if (!prevChat || prevChat.id !== chatId) return prevChat;
+
+      const updatedChat = { ...prevChat, messages: update(prevChat.messages) };
+      setChats(prev => prev.map(chat => chat.id === prevChat.id ? updatedChat : chat));
+      return updatedChat;
+    });
+  }, [setCurrentChat, setChats]);
+
+  // Read a reply stream into the AI placeholder; temporary ids are replaced with
+  // the saved message ids so regenerate/edit can target them
+  const readReplyStream = async (response: Response, aiMessageId: string, userMessageId?: string) => {
+    if (!currentChat) return;
+    const chatId = currentChat.id;
+    const reader = response.body?.getReader();
+    const decoder = new TextDecoder();
+    let fullContent = '';
+
+    if (!reader) return;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      
+      if (done) break;
+      
+      const chunk = decoder.decode(value, { stream: true });
+      const lines = chunk.split('\n');
+      
+      for (const line of lines) {
+        if (line.startsWith('data: ')) {
+          try {
+            const data = JSON.parse(line.slice(6));
+            
+            if (data.type === 'session') {
+              const savedUserMessageId = data.userMessageId?.id;
+              if (userMessageId && savedUserMessageId) {
+                updateCurrentMessages(chatId, messages => messages.map(msg =>
+                  msg.id === userMessageId ? { ...msg, id: savedUserMessageId } : msg
+                ));
+              }
+            } else if (data.type === 'chunk') {
+              fullContent = data.fullContent;
+              
+              // Update the streaming message with new content
+              updateCurrentMessages(chatId, messages => messages.map(msg => 
+                msg.id === aiMessageId 
+                  ? { ...msg, content: fullContent, isStreaming: true }
+                  : msg
+              ));
+            } else if (data.type === 'complete') {
+              // Mark streaming as complete
+              updateCurrentMessages(chatId, messages => messages.map(msg => 
+                msg.id === aiMessageId 
+                  ? { ...msg, id: data.aiMessageId?.id || msg.id, content: data.fullResponse, speaker: data.speaker || msg.speaker, isStreaming: false, truncated: !!data.truncated }
+                  : msg
+              ));
+              
+              // Update psychology state if provided
+              if (data.psychologyState) {
+                console.log('Psychology state updated:', data.psychologyState);
+              }
+            } else if (data.type === 'stopped') {
+              // Stopped before any text arrived: nothing was saved
+              updateCurrentMessages(chatId, messages => messages.filter(msg => msg.id !== aiMessageId));
+            } else if (data.type === 'error') {
+              throw new Error(data.error);
+            }
+          } catch (parseError) {
+            // Skip malformed JSON
+            console.warn('Failed to parse streaming data:', parseError);
+          }
+        }
+      }
+    }
+  };
+
+  // Reload the active branch (with sibling navigation) after a branch operation
+  const reloadHistory = async (chatId: string) => {
+    if (!user) return;
+
+    try {
+      const response = await authenticatedFetch(`/api/chat/history/${chatId}?userId=${user.id}`, {}, sessionToken);
+      const result = await response.json();
+      if (result.success) {
+        updateCurrentMessages(chatId, () => result.data.map((msg: HistoryMessage) => mapHistoryMessage(msg, chatId)));
+      }
+    } catch (error) {
+      console.error('Failed to reload chat history:', error);
+    }
+  };
+
+  // Stream a new version of a reply or an edited user message; later messages
+  // are replaced by the new branch
+  const streamBranchReply = async (message: Message, action: 'regenerate' | 'edit', content?: string) => {
+    if (!currentChat || !user || isTyping) return;
+    const chatId = currentChat.id;
+
+    const editedMessage: Message | null = action === 'edit' && content ? {
+      id: `edit-${Date.now()}`,
+      sessionId: chatId,
+      content,
+      type: 'user',
+      timestamp: new Date()
+    } : null;
+    const aiMessageId = `${action}-${Date.now() + 1}`;
+    const streamingMessage: Message = {
+      id: aiMessageId,
+      sessionId: chatId,
+      content: '',
+      type: 'ai',
+      timestamp: new Date(),
+      isStreaming: true
+    };
+
+    updateCurrentMessages(chatId, messages => {
+      const index = messages.findIndex(msg => msg.id === message.id);
+      if (index < 0) return messages;
+      return [...messages.slice(0, index), ...(editedMessage ? [editedMessage] : []), streamingMessage];
+    });
+    setIsTyping(true);
+
+    try {
+      const response = await authenticatedFetch(`/api/chat/${chatId}/messages/${message.id}/${action}`, {
+        method: 'POST',
+        body: action === 'edit' ? JSON.stringify({ content }) : undefined
+      }, sessionToken);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      await readReplyStream(response, aiMessageId, editedMessage?.id);
+    } catch (error) {
+      console.error(`Failed to ${action} message:`, error);
+    } finally {
+      setIsTyping(false);
+      await reloadHistory(chatId);
+    }
+  };
+
+  const handleRegenerate = (message: Message) => streamBranchReply(message, 'regenerate');
+
+  const handleEditMessage = (message: Message, content: string) => streamBranchReply(message, 'edit', content);
+
+  const handleSwitchBranch = async (messageId: string) => {
+    if (!currentChat || isTyping) return;
+    const chatId = currentChat.id;
+
+    try {
+      const response = await authenticatedFetch(`/api/chat/${chatId}/messages/${messageId}/switch`, {
+        method: 'POST'
+      }, sessionToken);
+      const result = await response.json();
+
+      if (result.success) {
+        updateCurrentMessages(chatId, () => result.data.messages.map((msg: HistoryMessage) => mapHistoryMessage(msg, chatId)));
+      }
+    } catch (error) {
+      console.error('Failed to switch branch:', error);
+    }
+  };
+
   const handleSendMessage = async () => {
     if (!inputValue.trim() || !currentChat || !user) return;
     
@@ -197,89 +382,20 @@ const ChatPage: React.FC = () => {
     
     try {
       // Use fetch with streaming handling
-      const response = await fetch(`${API_BASE_URL}/api/chat/stream`, {
+      const response = await authenticatedFetch('/api/chat/stream', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
         body: JSON.stringify({
           message: messageContent,
           chatId: currentChat.id,  // FIXED: Changed from sessionId to chatId
-          userId: user.id,
           characterId: currentChat.characterId
         })
-      });
+      }, sessionToken);
 
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
 
-      const reader = response.body?.getReader();
-      const decoder = new TextDecoder();
-      let fullContent = '';
-
-      if (reader) {
-        while (true) {
-          const { done, value } = await reader.read();
-          
-          if (done) break;
-          
-          const chunk = decoder.decode(value, { stream: true });
-          const lines = chunk.split('\n');
-          
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              try {
-                const data = JSON.parse(line.slice(6));
-                
-                if (data.type === 'chunk') {
-                  fullContent = data.fullContent;
-                  
-                  // Update the streaming message with new content
-                  setCurrentChat(prevChat => {
-                    if (!prevChat) return prevChat;
-                    
-                    const updatedMessages = prevChat.messages.map(msg => 
-                      msg.id === aiMessageId 
-                        ? { ...msg, content: fullContent, isStreaming: true }
-                        : msg
-                    );
-                    
-                    const updatedChat = { ...prevChat, messages: updatedMessages };
-                    setChats(prev => prev.map(chat => chat.id === prevChat.id ? updatedChat : chat));
-                    return updatedChat;
-                  });
-                } else if (data.type === 'complete') {
-                  // Mark streaming as complete
-                  setCurrentChat(prevChat => {
-                    if (!prevChat) return prevChat;
-                    
-                    const updatedMessages = prevChat.messages.map(msg => 
-                      msg.id === aiMessageId 
-                        ? { ...msg, content: data.fullResponse, isStreaming: false }
-                        : msg
-                    );
-                    
-                    const updatedChat = { ...prevChat, messages: updatedMessages };
-                    setChats(prev => prev.map(chat => chat.id === prevChat.id ? updatedChat : chat));
-                    return updatedChat;
-                  });
-                  
-                  // Update psychology state if provided
-                  if (data.psychologyState) {
-                    console.log('Psychology state updated:', data.psychologyState);
-                  }
-                } else if (data.type === 'error') {
-                  throw new Error(data.error);
-                }
-              } catch (parseError) {
-                // Skip malformed JSON
-                console.warn('Failed to parse streaming data:', parseError);
-              }
-            }
-          }
-        }
-      }
+      await readReplyStream(response, aiMessageId, userMessage.id);
     } catch (error) {
       console.error('Streaming API Error:', error);
       
@@ -306,6 +422,19 @@ const ChatPage: React.FC = () => {
     }
   };
 
+  // Stop the reply being generated; the stream then ends with what was written so far
+  const handleStopGeneration = async () => {
+    if (!currentChat || !isTyping) return;
+
+    try {
+      await authenticatedFetch(`/api/chat/${currentChat.id}/stop`, { method: 'POST' }, sessionToken);
+    } catch (error) {
+      console.error('Failed to stop generation:', error);
+    }
+  };
+
+  const isGroupChat = !!currentChat && hasSeveralSpeakers(currentChat.messages, currentChat.characterId);
+
   const handleKeyDown = (e: React.KeyboardEvent<HTMLTextAreaElement>) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -466,7 +595,7 @@ const ChatPage: React.FC = () => {
                 const verificationStyle = getVerificationStyle(message.metadata.verification.decision);
                 
                 return (
-                  <div key={message.id} className="flex items-start space-x-3">
+                  <div key={message.id} id={`message-${message.id}`} className="flex items-start space-x-3">
                     {/* Avatar */}
                     <div className="w-10 h-10 rounded-full bg-gradient-to-br from-purple-500 to-pink-500 flex items-center justify-center flex-shrink-0 overflow-hidden">
                       {characterImageUrl ? (
@@ -541,9 +670,12 @@ const ChatPage: React.FC = () => {
                 );
               }
 
-              // Render regular message
+              // Render regular message; group chat replies name their character
+              const speaker = message.type === 'ai' ? message.speaker : undefined;
+              const isOtherCharacter = !!speaker && speaker.id !== currentChat.characterId;
+              const speakerName = speaker?.name || currentChat.characterName;
               return (
-                <div key={message.id} className={`flex items-start space-x-2 md:space-x-3 ${
+                <div key={message.id} id={`message-${message.id}`} className={`flex items-start space-x-2 md:space-x-3 ${
                   message.type === 'user' ? 'flex-row-reverse space-x-reverse' : ''
                 }`}>
                   {/* Avatar */}
@@ -554,6 +686,10 @@ const ChatPage: React.FC = () => {
                   }`}>
                     {message.type === 'user' ? (
                       '👤'
+                    ) : isOtherCharacter ? (
+                      <div className="w-full h-full flex items-center justify-center text-white font-bold text-xs md:text-sm">
+                        {speakerName.charAt(0).toUpperCase()}
+                      </div>
                     ) : characterImageUrl ? (
                       <img 
                         src={characterImageUrl}
@@ -574,6 +710,9 @@ const ChatPage: React.FC = () => {
                   <div className={`max-w-[75%] md:max-w-xs lg:max-w-md xl:max-w-lg ${
                     message.type === 'user' ? 'items-end' : 'items-start'
                   }`}>
+                    {isGroupChat && message.type === 'ai' && (
+                      <div className="text-xs font-medium text-gray-600 mb-1">{speakerName}</div>
+                    )}
                     <div className={`px-3 py-2 md:px-4 md:py-3 rounded-2xl shadow-sm ${
                       message.type === 'user' 
                         ? 'bg-blue-500 text-white rounded-br-md'
@@ -598,7 +737,15 @@ const ChatPage: React.FC = () => {
                       message.type === 'user' ? 'text-right' : 'text-left'
                     }`}>
                       {formatChatTimestamp(message.timestamp)}
+                      {message.truncated && <span className="italic"> · stopped</span>}
                     </div>
+                    <MessageControls
+                      message={message}
+                      disabled={isTyping}
+                      onRegenerate={handleRegenerate}
+                      onEdit={handleEditMessage}
+                      onSwitchBranch={handleSwitchBranch}
+                    />
                   </div>
                 </div>
               );
@@ -654,24 +801,32 @@ const ChatPage: React.FC = () => {
               )}
             </div>
             
-            {/* Send Button */}
-            <button
-              onClick={handleSendMessage}
-              disabled={!inputValue.trim() || isTyping || !currentChat}
-              className={`p-2.5 md:p-3 rounded-full transition-all duration-200 flex items-center justify-center min-w-[44px] min-h-[44px] ${
-                inputValue.trim() && !isTyping && currentChat
-                  ? 'bg-blue-500 hover:bg-blue-600 text-white shadow-lg hover:shadow-xl transform hover:scale-105'
-                  : 'bg-gray-200 text-gray-400 cursor-not-allowed'
-              }`}
-            >
-              {isTyping ? (
-                <div className="w-5 h-5 border-2 border-gray-400 border-t-transparent rounded-full animate-spin"></div>
-              ) : (
+            {/* Send Button (Stop while a reply is being generated) */}
+            {isTyping ? (
+              <button
+                onClick={handleStopGeneration}
+                title="Stop generating"
+                className="p-2.5 md:p-3 rounded-full transition-all duration-200 flex items-center justify-center min-w-[44px] min-h-[44px] bg-gray-700 hover:bg-gray-800 text-white shadow-lg"
+              >
+                <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+                  <rect x="6" y="6" width="12" height="12" rx="1" />
+                </svg>
+              </button>
+            ) : (
+              <button
+                onClick={handleSendMessage}
+                disabled={!inputValue.trim() || !currentChat}
+                className={`p-2.5 md:p-3 rounded-full transition-all duration-200 flex items-center justify-center min-w-[44px] min-h-[44px] ${
+                  inputValue.trim() && currentChat
+                    ? 'bg-blue-500 hover:bg-blue-600 text-white shadow-lg hover:shadow-xl transform hover:scale-105'
+                    : 'bg-gray-200 text-gray-400 cursor-not-allowed'
+                }`}
+              >
                 <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
                 </svg>
-              )}
-            </button>
+              </button>
+            )}
           </div>
           
           {/* Helper text - Desktop only */}
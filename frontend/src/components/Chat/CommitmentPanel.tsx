@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { formatDateTime } from '../../utils/dateFormatter';
-import { API_BASE_URL } from '../../config/api';
+import { authenticatedFetch } from '../../utils/api';
 
 interface Commitment {
   id: string;
@@ -74,8 +74,8 @@ const CommitmentPanel: React.FC<CommitmentPanelProps> = ({ chatId, userId, onVer
   const loadCommitments = async () => {
     setLoading(true);
     try {
-      const response = await fetch(
-        `${API_BASE_URL}/api/commitments/active?chatId=${chatId}&userId=${userId}`
+      const response = await authenticatedFetch(
+        `/api/commitments/active?chatId=${chatId}`
       );
       const data = await response.json();
       
@@ -103,15 +103,11 @@ const CommitmentPanel: React.FC<CommitmentPanelProps> = ({ chatId, userId, onVer
     setVerificationResult(null);
     
     try {
-      const response = await fetch(
-        `${API_BASE_URL}/api/commitments/${selectedCommitment.id}/submit`,
+      const response = await authenticatedFetch(
+        `/api/commitments/${selectedCommitment.id}/submit`,
         {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
           body: JSON.stringify({
-            userId,
             submissionText: submissionText.trim()
           })
         }
@@ -172,15 +168,11 @@ const CommitmentPanel: React.FC<CommitmentPanelProps> = ({ chatId, userId, onVer
     setVerificationResult(null);
     
     try {
-      const response = await fetch(
-        `${API_BASE_URL}/api/commitments/${selectedCommitment.id}/resubmit`,
+      const response = await authenticatedFetch(
+        `/api/commitments/${selectedCommitment.id}/resubmit`,
         {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
           body: JSON.stringify({
-            userId,
             submissionText: submissionText.trim()
           })
         }
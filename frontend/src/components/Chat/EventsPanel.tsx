@@ -1,7 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { formatRelativeTime, formatDateTime } from '../../utils/dateFormatter';
 import type { Event } from '../../types';
-import { API_BASE_URL } from '../../config/api';
+import { authenticatedFetch } from '../../utils/api';
 
 interface EventsPanelProps {
   chatId: string;
@@ -12,6 +12,8 @@ const EventsPanel: React.FC<EventsPanelProps> = ({ chatId, userId }) => {
   const [events, setEvents] = useState<Event[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
 
   useEffect(() => {
     loadEvents();
@@ -21,8 +23,8 @@ const EventsPanel: React.FC<EventsPanelProps> = ({ chatId, userId }) => {
     setLoading(true);
     setError(null);
     try {
-      const response = await fetch(
-        `${API_BASE_URL}/api/events/upcoming?chatId=${chatId}&userId=${userId}`
+      const response = await authenticatedFetch(
+        `/api/events/upcoming?chatId=${chatId}`
       );
       const data = await response.json();
       
@@ -38,6 +40,68 @@ const EventsPanel: React.FC<EventsPanelProps> = ({ chatId, userId }) => {
     }
   };
 
+  const importCalendar = async (file: File) => {
+    setNotice(null);
+    try {
+      const response = await authenticatedFetch('/api/events/import', {
+        method: 'POST',
+        body: JSON.stringify({ chatId, ics: await file.text() })
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to import calendar');
+      }
+      const { imported, skipped, warnings } = data.data;
+      setNotice([`Imported ${imported.length} event(s)${skipped ? `, skipped ${skipped}` : ''}`, ...warnings].join('\n'));
+      await loadEvents();
+    } catch (err) {
+      setNotice(err instanceof Error ? err.message : 'Failed to import calendar');
+    }
+  };
+
+  const skipNextOccurrence = async (event: Event) => {
+    try {
+      const response = await authenticatedFetch(`/api/events/${event.id}/exceptions`, {
+        method: 'POST',
+        body: JSON.stringify({ occurrence: event.next_occurrence })
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Failed to skip occurrence');
+      }
+      await loadEvents();
+    } catch (err) {
+      setNotice(err instanceof Error ? err.message : 'Failed to skip occurrence');
+    }
+  };
+
+  const importControls = (
+    <div className="flex items-center justify-between gap-2 mb-2">
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".ics,text/calendar"
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          if (file) importCalendar(file);
+          e.target.value = '';
+        }}
+      />
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        className="text-xs text-blue-600 hover:text-blue-800 font-medium"
+      >
+        Import .ics
+      </button>
+      {notice && (
+        <p className="text-xs text-gray-600 whitespace-pre-line text-right">{notice}</p>
+      )}
+    </div>
+  );
+
   const getRecurrenceIcon = (recurrenceType: string): string => {
     if (recurrenceType === 'once') {
       return '📅';
@@ -45,7 +109,11 @@ const EventsPanel: React.FC<EventsPanelProps> = ({ chatId, userId }) => {
     return '🔄';
   };
 
-  const getRecurrenceLabel = (recurrenceType: string): string => {
+  const getRecurrenceLabel = (recurrenceType: string, rrule?: string | null): string => {
+    // Rules beyond a plain frequency are shown as written
+    if (rrule && rrule !== `FREQ=${recurrenceType.toUpperCase()}`) {
+      return rrule;
+    }
     switch (recurrenceType) {
       case 'once':
         return 'One-time';
@@ -55,6 +123,8 @@ const EventsPanel: React.FC<EventsPanelProps> = ({ chatId, userId }) => {
         return 'Weekly';
       case 'monthly':
         return 'Monthly';
+      case 'yearly':
+        return 'Yearly';
       default:
         return recurrenceType;
     }
@@ -125,9 +195,12 @@ const EventsPanel: React.FC<EventsPanelProps> = ({ chatId, userId }) => {
 
   if (events.length === 0) {
     return (
-      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-3">
-        <div className="text-center text-gray-500">
-          <p className="text-xs">📅 No upcoming events</p>
+      <div>
+        {importControls}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-3">
+          <div className="text-center text-gray-500">
+            <p className="text-xs">📅 No upcoming events</p>
+          </div>
         </div>
       </div>
     );
@@ -135,6 +208,7 @@ const EventsPanel: React.FC<EventsPanelProps> = ({ chatId, userId }) => {
 
   return (
     <div className="space-y-2">
+      {importControls}
       <div className="bg-white rounded-lg shadow-sm border border-gray-200 divide-y divide-gray-100">
         {events.map((event) => (
           <div 
@@ -171,9 +245,17 @@ const EventsPanel: React.FC<EventsPanelProps> = ({ chatId, userId }) => {
               <div className="flex items-center gap-1 text-xs">
                 <span>{getRecurrenceIcon(event.recurrence_type)}</span>
                 <span className="text-gray-700 font-medium">
-                  {getRecurrenceLabel(event.recurrence_type)}
+                  {getRecurrenceLabel(event.recurrence_type, event.rrule)}
                 </span>
               </div>
+              {event.rrule && (
+                <button
+                  onClick={() => skipNextOccurrence(event)}
+                  className="ml-auto text-xs text-gray-500 hover:text-gray-800"
+                >
+                  Skip next
+                </button>
+              )}
             </div>
           </div>
         ))}
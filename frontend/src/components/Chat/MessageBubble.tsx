@@ -4,14 +4,29 @@ import { Bot, User, AlertCircle, Zap } from 'lucide-react';
 import { clsx } from 'clsx';
 import { formatChatTimestamp } from '../../utils/dateFormatter';
 import ReactMarkdown from 'react-markdown';
+import { MessageControls } from './MessageControls';
 
 interface MessageBubbleProps {
   message: Message;
   characterAvatar?: string;
   characterName?: string;
+  showSpeakerName?: boolean;
+  controlsDisabled?: boolean;
+  onRegenerate?: (message: Message) => void;
+  onEdit?: (message: Message, content: string) => void;
+  onSwitchBranch?: (messageId: string) => void;
 }
 
-export const MessageBubble: React.FC<MessageBubbleProps> = ({ message, characterAvatar, characterName }) => {
+export const MessageBubble: React.FC<MessageBubbleProps> = ({
+  message,
+  characterAvatar,
+  characterName,
+  showSpeakerName,
+  controlsDisabled,
+  onRegenerate,
+  onEdit,
+  onSwitchBranch
+}) => {
   const isUser = message.type === 'user';
   const isSystem = message.type === 'system';
   const isProactive = message.metadata?.proactive;
@@ -62,6 +77,10 @@ export const MessageBubble: React.FC<MessageBubbleProps> = ({ message, character
         "max-w-xs lg:max-w-md xl:max-w-lg",
         isUser ? "ml-auto" : "mr-auto"
       )}>
+        {/* Speaker name (group chats) */}
+        {showSpeakerName && !isUser && characterName && (
+          <div className="text-xs font-medium text-gray-600 mb-1">{characterName}</div>
+        )}
         <div className={clsx(
           "px-4 py-3 rounded-2xl",
           isUser
@@ -108,6 +127,16 @@ export const MessageBubble: React.FC<MessageBubbleProps> = ({ message, character
         )}>
           {formatChatTimestamp(message.timestamp)}
         </div>
+
+        {(onRegenerate || onEdit || onSwitchBranch) && (
+          <MessageControls
+            message={message}
+            disabled={controlsDisabled}
+            onRegenerate={onRegenerate}
+            onEdit={onEdit}
+            onSwitchBranch={onSwitchBranch}
+          />
+        )}
       </div>
     </div>
   );
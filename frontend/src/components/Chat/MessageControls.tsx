@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import type { Message } from '../../types';
+import { ChevronLeft, ChevronRight, Pencil, RefreshCw } from 'lucide-react';
+import { clsx } from 'clsx';
+
+interface MessageControlsProps {
+  message: Message;
+  disabled?: boolean;
+  onRegenerate?: (message: Message) => void;
+  onEdit?: (message: Message, content: string) => void;
+  onSwitchBranch?: (messageId: string) => void;
+}
+
+/**
+ * Regenerate (AI replies), edit-and-resend (user messages) and the "< 2/3 >"
+ * navigator between sibling versions of a message.
+ */
+export const MessageControls: React.FC<MessageControlsProps> = ({
+  message,
+  disabled = false,
+  onRegenerate,
+  onEdit,
+  onSwitchBranch
+}) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(message.content);
+
+  const isUser = message.type === 'user';
+  const branch = message.branch;
+  const hasSiblings = !!branch && branch.count > 1;
+
+  if (message.isStreaming || (message.type !== 'user' && message.type !== 'ai')) {
+    return null;
+  }
+
+  const switchTo = (offset: number) => {
+    if (!branch || !onSwitchBranch) return;
+    const targetId = branch.siblingIds[branch.index - 1 + offset];
+    if (targetId) onSwitchBranch(targetId);
+  };
+
+  const submitEdit = () => {
+    const content = draft.trim();
+    if (!content || !onEdit) return;
+    setIsEditing(false);
+    if (content !== message.content) {
+      onEdit(message, content);
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <div className="mt-2 w-full">
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+              e.preventDefault();
+              submitEdit();
+            } else if (e.key === 'Escape') {
+              setIsEditing(false);
+            }
+          }}
+          rows={3}
+          className="w-full text-sm text-gray-800 border border-gray-300 rounded-lg p-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          autoFocus
+        />
+        <div className="flex justify-end space-x-2 mt-1">
+          <button
+            type="button"
+            onClick={() => setIsEditing(false)}
+            className="px-2 py-1 text-xs text-gray-600 hover:text-gray-800"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={submitEdit}
+            disabled={!draft.trim()}
+            className="px-2 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 disabled:opacity-50"
+          >
+            Save &amp; send
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const buttonClass = 'p-1 rounded hover:bg-gray-100 hover:text-gray-700 disabled:opacity-40 disabled:hover:bg-transparent';
+
+  return (
+    <div className={clsx(
+      'flex items-center space-x-1 text-xs text-gray-400 mt-1',
+      isUser ? 'justify-end' : 'justify-start'
+    )}>
+      {hasSiblings && onSwitchBranch && (
+        <div className="flex items-center">
+          <button
+            type="button"
+            onClick={() => switchTo(-1)}
+            disabled={disabled || branch.index <= 1}
+            className={buttonClass}
+            title="Previous version"
+          >
+            <ChevronLeft className="w-3 h-3" />
+          </button>
+          <span className="tabular-nums">{branch.index}/{branch.count}</span>
+          <button
+            type="button"
+            onClick={() => switchTo(1)}
+            disabled={disabled || branch.index >= branch.count}
+            className={buttonClass}
+            title="Next version"
+          >
+            <ChevronRight className="w-3 h-3" />
+          </button>
+        </div>
+      )}
+      {isUser && onEdit && (
+        <button
+          type="button"
+          onClick={() => {
+            setDraft(message.content);
+            setIsEditing(true);
+          }}
+          disabled={disabled}
+          className={buttonClass}
+          title="Edit and resend"
+        >
+          <Pencil className="w-3 h-3" />
+        </button>
+      )}
+      {!isUser && onRegenerate && (
+        <button
+          type="button"
+          onClick={() => onRegenerate(message)}
+          disabled={disabled}
+          className={buttonClass}
+          title="Regenerate reply"
+        >
+          <RefreshCw className="w-3 h-3" />
+        </button>
+      )}
+    </div>
+  );
+};
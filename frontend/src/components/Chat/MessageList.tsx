@@ -2,12 +2,17 @@ import React, { useEffect, useRef } from 'react';
 import type { Message } from '../../types';
 import { MessageBubble } from './MessageBubble';
 import { TypingIndicator } from './TypingIndicator';
+import { hasSeveralSpeakers } from '../../utils/chatMessages';
 
 interface MessageListProps {
   messages: Message[];
   isTyping: boolean;
   characterName: string;
   characterAvatar?: string;
+  characterId?: string;
+  onRegenerate?: (message: Message) => void;
+  onEdit?: (message: Message, content: string) => void;
+  onSwitchBranch?: (messageId: string) => void;
 }
 
 export const MessageList: React.FC<MessageListProps> = ({
@@ -15,8 +20,23 @@ export const MessageList: React.FC<MessageListProps> = ({
   isTyping,
   characterName,
   characterAvatar,
+  characterId,
+  onRegenerate,
+  onEdit,
+  onSwitchBranch,
 }) => {
   const messagesEndRef = useRef<HTMLDivElement>(null);
+  const isGroupChat = hasSeveralSpeakers(messages, characterId);
+
+  // In group chats each reply shows the character that wrote it
+  const speakerOf = (message: Message) => {
+    const speaker = message.type === 'ai' ? message.speaker : undefined;
+    const isOwnCharacter = !speaker || (characterId ? speaker.id === characterId : speaker.name === characterName);
+    return {
+      name: speaker?.name || characterName,
+      avatar: isOwnCharacter ? characterAvatar : undefined,
+    };
+  };
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -45,8 +65,13 @@ export const MessageList: React.FC<MessageListProps> = ({
             <MessageBubble 
               key={message.id} 
               message={message} 
-              characterAvatar={characterAvatar}
-              characterName={characterName}
+              characterAvatar={speakerOf(message).avatar}
+              characterName={speakerOf(message).name}
+              showSpeakerName={isGroupChat}
+              controlsDisabled={isTyping}
+              onRegenerate={onRegenerate}
+              onEdit={onEdit}
+              onSwitchBranch={onSwitchBranch}
             />
           ))}
           
@@ -1,7 +1,15 @@
 import React, { useState, useEffect } from 'react';
-import { ChevronDown, ChevronUp, Plus, Trash2 } from 'lucide-react';
+import { ChevronDown, ChevronUp, Download, Plus, Trash2 } from 'lucide-react';
 import { getCharacterImageUrl } from '../../utils/characterImageCache';
 import { useAuth } from '../../contexts/AuthContext';
+import { authenticatedFetch } from '../../utils/api';
+
+const EXPORT_FORMATS = [
+  { format: 'md', label: 'Markdown' },
+  { format: 'json', label: 'JSON archive' },
+  { format: 'html', label: 'HTML page' },
+  { format: 'jsonl', label: 'SillyTavern (JSONL)' }
+];
 
 interface Chat {
   id: string;
@@ -29,9 +37,10 @@ export const CollapsibleConversationList: React.FC<CollapsibleConversationListPr
   onCreateNewChat,
   className = '',
 }) => {
-  const { user } = useAuth();
+  const { user, sessionToken } = useAuth();
   const [isExpanded, setIsExpanded] = useState(true);
   const [loadedImages, setLoadedImages] = useState<Record<string, string>>({});
+  const [exportMenuChatId, setExportMenuChatId] = useState<string | null>(null);
 
   // Remember collapsed state in localStorage
   const storageKey = 'aria-conversation-list-expanded';
@@ -79,6 +88,37 @@ export const CollapsibleConversationList: React.FC<CollapsibleConversationListPr
     setIsExpanded(!isExpanded);
   };
 
+  const exportChat = async (chat: Chat, format: string) => {
+    setExportMenuChatId(null);
+    try {
+      const response = await authenticatedFetch(`/api/chat/${chat.id}/export?format=${format}`, {}, sessionToken);
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: 'Export failed' }));
+        throw new Error(error.error || 'Export failed');
+      }
+
+      // Use the server's filename from Content-Disposition
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1]
+        || `${chat.characterName.replace(/[^a-zA-Z0-9]/g, '_')}_chat.${format}`;
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+
+      // Cleanup
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (error) {
+      console.error('Failed to export chat:', error);
+      window.alert(`Failed to export conversation with ${chat.characterName}`);
+    }
+  };
+
   return (
     <div className={`bg-gray-50 border border-gray-200 rounded-lg ${className}`}>
       {/* Header */}
@@ -167,7 +207,7 @@ export const CollapsibleConversationList: React.FC<CollapsibleConversationListPr
                             </div>
                           )}
                         </div>
-                        <div className="flex-1 min-w-0 pr-8">
+                        <div className="flex-1 min-w-0 pr-14">
                           <div className="flex items-center justify-between">
                             <h3 className={`font-medium truncate ${
                               currentChat?.id === chat.id ? 'text-blue-600' : 'text-gray-800'
@@ -206,6 +246,33 @@ export const CollapsibleConversationList: React.FC<CollapsibleConversationListPr
                     >
                       <Trash2 className="w-3 h-3" />
                     </button>
+
+                    {/* Export Button */}
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        e.preventDefault();
+                        setExportMenuChatId(exportMenuChatId === chat.id ? null : chat.id);
+                      }}
+                      className="absolute top-2 right-8 p-1 text-gray-400 hover:text-blue-500 hover:bg-blue-50 rounded-full z-10 transition-all border border-transparent hover:border-blue-300"
+                      title={`Export this conversation with ${chat.characterName}`}
+                    >
+                      <Download className="w-3 h-3" />
+                    </button>
+
+                    {exportMenuChatId === chat.id && (
+                      <div className="absolute top-8 right-2 z-20 bg-white rounded-lg shadow-lg border border-gray-200 py-1 w-44">
+                        {EXPORT_FORMATS.map(({ format, label }) => (
+                          <button
+                            key={format}
+                            onClick={() => exportChat(chat, format)}
+                            className="w-full px-3 py-1.5 text-left text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
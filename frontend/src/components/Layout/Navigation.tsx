@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { CollapsibleConversationList } from './CollapsibleConversationList';
+import { SearchPanel } from './SearchPanel';
 import { useAuth } from '../../contexts/AuthContext';
 import UserProfileModal from '../UserProfile/UserProfileModal';
+import type { UserProfile } from '../UserProfile/UserProfileModal';
 import { API_BASE_URL } from '../../config/api';
 import { ChevronLeft, ChevronRight } from 'lucide-react';
 
@@ -21,6 +23,7 @@ interface NavigationProps {
   onSwitchToChat?: (characterId: string) => void;
   onDeleteChat?: (chatId: string) => void;
   onCreateNewChat?: () => void;
+  onOpenMessage?: (chatId: string, messageId: string, timestamp: string) => void;
   isMobileMenuOpen?: boolean;
   onCloseMobileMenu?: () => void;
 }
@@ -31,6 +34,7 @@ const Navigation: React.FC<NavigationProps> = ({
   onSwitchToChat = () => {},
   onDeleteChat = () => {},
   onCreateNewChat = () => {},
+  onOpenMessage = () => {},
   isMobileMenuOpen = false,
   onCloseMobileMenu = () => {}
 }) => {
@@ -39,7 +43,7 @@ const Navigation: React.FC<NavigationProps> = ({
   const { user, logout } = useAuth();
   const [showUserMenu, setShowUserMenu] = useState(false);
   const [showProfileModal, setShowProfileModal] = useState(false);
-  const [userProfile, setUserProfile] = useState<{ name?: string; birthdate?: string; bio?: string }>({ name: '', birthdate: '', bio: '' });
+  const [userProfile, setUserProfile] = useState<{ name?: string; birthdate?: string; bio?: string; timezone?: string; locale?: string }>({ name: '', birthdate: '', bio: '' });
   const [isCollapsed, setIsCollapsed] = useState(false);
 
   // Load collapsed state from localStorage
@@ -101,12 +105,20 @@ const Navigation: React.FC<NavigationProps> = ({
     }
   };
 
+  const handleOpenMessage = (chatId: string, messageId: string, timestamp: string) => {
+    onOpenMessage(chatId, messageId, timestamp);
+    // Close mobile menu after opening a search result
+    if (isMobileMenuOpen) {
+      onCloseMobileMenu();
+    }
+  };
+
   const handleLogout = async () => {
     await logout();
     navigate('/login');
   };
 
-  const handleProfileSave = async (profile: { name: string; birthdate?: string; bio?: string }) => {
+  const handleProfileSave = async (profile: UserProfile) => {
     if (!user) {
       throw new Error('User not authenticated');
     }
@@ -194,6 +206,11 @@ const Navigation: React.FC<NavigationProps> = ({
         ))}
       </nav>
       
+      {/* Message Search - Only show on Chat page and when not collapsed */}
+      {location.pathname === '/' && !isCollapsed && (
+        <SearchPanel chats={chats} onOpenMessage={handleOpenMessage} />
+      )}
+
       {/* Conversation List - Only show on Chat page and when not collapsed */}
       {location.pathname === '/' && !isCollapsed && (
         <div className="mt-6">
@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { Search, SlidersHorizontal, X } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { authenticatedFetch } from '../../utils/api';
+import { formatChatTimestamp } from '../../utils/dateFormatter';
+
+interface Chat {
+  id: string;
+  characterId: string;
+  characterName: string;
+}
+
+interface SearchHighlight {
+  text: string;
+  match: boolean;
+}
+
+interface SearchResult {
+  id: string;
+  chat_id: string;
+  role: 'user' | 'assistant';
+  timestamp: string;
+  chat_title?: string;
+  character_id?: string;
+  character_name?: string;
+  snippet: string;
+  highlights: SearchHighlight[];
+}
+
+interface SearchPanelProps {
+  chats: Chat[];
+  onOpenMessage: (chatId: string, messageId: string, timestamp: string) => void;
+}
+
+/**
+ * Full-text search across the user's conversations, with character, role and
+ * date filters. Selecting a result opens its chat at the matching message.
+ */
+export const SearchPanel: React.FC<SearchPanelProps> = ({ chats, onOpenMessage }) => {
+  const { sessionToken } = useAuth();
+  const [query, setQuery] = useState('');
+  const [characterId, setCharacterId] = useState('');
+  const [role, setRole] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [showFilters, setShowFilters] = useState(false);
+  const [results, setResults] = useState<SearchResult[]>([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // One entry per character the user has chatted with
+  const characters = chats.filter((chat, index) =>
+    chats.findIndex(other => other.characterId === chat.characterId) === index
+  );
+
+  // Debounced search
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      setError(null);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        const params = new URLSearchParams({ q: query });
+        if (characterId) params.set('characterId', characterId);
+        if (role) params.set('role', role);
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+
+        const response = await authenticatedFetch(`/api/chat/search?${params}`, {}, sessionToken);
+        const data = await response.json();
+        if (data.success) {
+          setResults(data.data);
+          setError(null);
+        } else {
+          setResults([]);
+          setError(data.error || 'Search failed');
+        }
+      } catch (err) {
+        console.error('Search failed:', err);
+        setError('Search failed');
+      } finally {
+        setIsSearching(false);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [query, characterId, role, from, to, sessionToken]);
+
+  const hasFilters = !!(characterId || role || from || to);
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center space-x-2">
+        <div className="relative flex-1">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search messages..."
+            className="w-full pl-9 pr-8 py-2 text-sm border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          {query && (
+            <button
+              onClick={() => setQuery('')}
+              className="absolute right-2 top-1/2 -translate-y-1/2 p-1 text-gray-400 hover:text-gray-600"
+              aria-label="Clear search"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          )}
+        </div>
+        <button
+          onClick={() => setShowFilters(!showFilters)}
+          className={`p-2 rounded-lg transition-colors ${
+            showFilters || hasFilters ? 'bg-blue-50 text-blue-600' : 'text-gray-500 hover:bg-gray-50'
+          }`}
+          title="Search filters"
+        >
+          <SlidersHorizontal className="w-4 h-4" />
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className="mt-2 space-y-2 text-sm">
+          <div className="flex space-x-2">
+            <select
+              value={characterId}
+              onChange={(e) => setCharacterId(e.target.value)}
+              className="flex-1 min-w-0 px-2 py-1 border border-gray-200 rounded-lg"
+            >
+              <option value="">All characters</option>
+              {characters.map(chat => (
+                <option key={chat.characterId} value={chat.characterId}>{chat.characterName}</option>
+              ))}
+            </select>
+            <select
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              className="px-2 py-1 border border-gray-200 rounded-lg"
+            >
+              <option value="">Anyone</option>
+              <option value="user">Me</option>
+              <option value="assistant">Character</option>
+            </select>
+          </div>
+          <div className="flex items-center space-x-2 text-xs text-gray-500">
+            <input
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              className="flex-1 min-w-0 px-2 py-1 border border-gray-200 rounded-lg"
+              aria-label="From date"
+            />
+            <span>–</span>
+            <input
+              type="date"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              className="flex-1 min-w-0 px-2 py-1 border border-gray-200 rounded-lg"
+              aria-label="To date"
+            />
+          </div>
+        </div>
+      )}
+
+      {query.trim() && (
+        <div className="mt-2 max-h-80 overflow-y-auto space-y-1">
+          {isSearching && results.length === 0 && (
+            <p className="text-xs text-gray-500 p-2">Searching...</p>
+          )}
+          {error && <p className="text-xs text-red-600 p-2">{error}</p>}
+          {!isSearching && !error && results.length === 0 && (
+            <p className="text-xs text-gray-500 p-2">No messages found</p>
+          )}
+          {results.map(result => (
+            <button
+              key={result.id}
+              onClick={() => onOpenMessage(result.chat_id, result.id, result.timestamp)}
+              className="w-full text-left p-2 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+                <span className="font-medium text-gray-700 truncate">
+                  {result.role === 'user' ? 'You' : result.character_name || 'Character'}
+                  {result.character_name && result.role === 'user' && ` → ${result.character_name}`}
+                </span>
+                <span className="flex-shrink-0 ml-2">{formatChatTimestamp(new Date(result.timestamp))}</span>
+              </div>
+              <p className="text-sm text-gray-600 line-clamp-2">
+                {result.highlights.map((segment, index) => segment.match ? (
+                  <mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5">{segment.text}</mark>
+                ) : (
+                  <span key={index}>{segment.text}</span>
+                ))}
+              </p>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -6,14 +6,23 @@ interface LLMModel {
   name: string;
 }
 
+interface LLMProvider {
+  name: string;
+  type: string;
+  endpoint: string | null;
+  hasApiKey: boolean;
+}
+
 interface LLMConfig {
   conversational?: {
+    provider?: string;
     model?: string;
     temperature?: number;
     max_tokens?: number;
     context_window_messages?: number;
   };
   analytical?: {
+    provider?: string;
     model?: string;
     temperature?: number;
     max_tokens?: number;
@@ -36,12 +45,15 @@ const LLMSettingsPage: React.FC = () => {
   const [serverType, setServerType] = useState<'lmstudio' | 'ollama' | 'openai' | 'custom'>('lmstudio');
   const [endpoint, setEndpoint] = useState('http://localhost:1234/v1');
   const [availableModels, setAvailableModels] = useState<LLMModel[]>([]);
+  const [providers, setProviders] = useState<LLMProvider[]>([]);
   
+  const [conversationalProvider, setConversationalProvider] = useState('');
   const [conversationalModel, setConversationalModel] = useState('');
   const [conversationalTemp, setConversationalTemp] = useState(0.7);
   const [conversationalMaxTokens, setConversationalMaxTokens] = useState(2000);
   const [conversationalContextWindow, setConversationalContextWindow] = useState(30);
   
+  const [analyticalProvider, setAnalyticalProvider] = useState('');
   const [analyticalModel, setAnalyticalModel] = useState('');
   const [analyticalTemp, setAnalyticalTemp] = useState(0.1);
   const [analyticalMaxTokens, setAnalyticalMaxTokens] = useState(4000);
@@ -69,7 +81,8 @@ const LLMSettingsPage: React.FC = () => {
       console.log('📥 API Response:', JSON.stringify(data, null, 2));
       
       if (data.success) {
-        const config: { global: GlobalConfig; user?: LLMConfig } = data.data;
+        const config: { global: GlobalConfig; user?: LLMConfig; providers?: LLMProvider[] } = data.data;
+        setProviders(config.providers || []);
         console.log('📥 Parsed config:', { hasUser: !!config.user, hasGlobal: !!config.global });
         console.log('📥 User config:', config.user);
         console.log('📥 Global config:', config.global);
@@ -77,12 +90,14 @@ const LLMSettingsPage: React.FC = () => {
         // Load conversational settings
         if (config.user?.conversational) {
           console.log('✅ Loading USER conversational settings:', config.user.conversational);
+          setConversationalProvider(config.user.conversational.provider || '');
           setConversationalModel(config.user.conversational.model || '');
           setConversationalTemp(config.user.conversational.temperature ?? 0.7);
           setConversationalMaxTokens(config.user.conversational.max_tokens ?? 2000);
           setConversationalContextWindow(config.user.conversational.context_window_messages ?? 30);
         } else if (config.global?.conversational) {
           console.log('⚠️ Loading GLOBAL conversational settings (no user override):', config.global.conversational);
+          setConversationalProvider(config.global.conversational.provider || '');
           setConversationalModel(config.global.conversational.model || '');
           setConversationalTemp(config.global.conversational.temperature ?? 0.7);
           setConversationalMaxTokens(config.global.conversational.max_tokens ?? 2000);
@@ -92,12 +107,14 @@ const LLMSettingsPage: React.FC = () => {
         // Load analytical settings
         if (config.user?.analytical) {
           console.log('✅ Loading USER analytical settings:', config.user.analytical);
+          setAnalyticalProvider(config.user.analytical.provider || '');
           setAnalyticalModel(config.user.analytical.model || '');
           setAnalyticalTemp(config.user.analytical.temperature ?? 0.1);
           setAnalyticalMaxTokens(config.user.analytical.max_tokens ?? 4000);
           setAnalyticalContextWindow(config.user.analytical.context_window_messages ?? 30);
         } else if (config.global?.analytical) {
           console.log('⚠️ Loading GLOBAL analytical settings (no user override):', config.global.analytical);
+          setAnalyticalProvider(config.global.analytical.provider || '');
           setAnalyticalModel(config.global.analytical.model || '');
           setAnalyticalTemp(config.global.analytical.temperature ?? 0.1);
           setAnalyticalMaxTokens(config.global.analytical.max_tokens ?? 4000);
@@ -149,12 +166,14 @@ const LLMSettingsPage: React.FC = () => {
     try {
       const preferences: LLMConfig = {
         conversational: {
+          ...(conversationalProvider ? { provider: conversationalProvider } : {}),
           model: conversationalModel,
           temperature: conversationalTemp,
           max_tokens: conversationalMaxTokens,
           context_window_messages: conversationalContextWindow
         },
         analytical: {
+          ...(analyticalProvider ? { provider: analyticalProvider } : {}),
           model: analyticalModel,
           temperature: analyticalTemp,
           max_tokens: analyticalMaxTokens,
@@ -335,6 +354,27 @@ const LLMSettingsPage: React.FC = () => {
           </p>
           
           <div className="space-y-4">
+            {/* Provider Selection */}
+            {providers.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Provider
+                </label>
+                <select
+                  value={conversationalProvider}
+                  onChange={(e) => setConversationalProvider(e.target.value)}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="">Default server</option>
+                  {providers.map((provider) => (
+                    <option key={provider.name} value={provider.name}>
+                      {provider.name} ({provider.type})
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {/* Model Selection */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -423,6 +463,27 @@ const LLMSettingsPage: React.FC = () => {
           </p>
           
           <div className="space-y-4">
+            {/* Provider Selection */}
+            {providers.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Provider
+                </label>
+                <select
+                  value={analyticalProvider}
+                  onChange={(e) => setAnalyticalProvider(e.target.value)}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="">Default server</option>
+                  {providers.map((provider) => (
+                    <option key={provider.name} value={provider.name}>
+                      {provider.name} ({provider.type})
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {/* Model Selection */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
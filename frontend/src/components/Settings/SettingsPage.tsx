@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { API_BASE_URL } from '../../config/api';
 import { useAuth } from '../../contexts/AuthContext';
+import { authenticatedFetch } from '../../utils/api';
+import { disablePush, enablePush, getPushState, type PushState } from '../../utils/pushNotifications';
 
 interface Model {
   id: string;
@@ -24,6 +26,21 @@ interface Settings {
   ui: UISettings;
 }
 
+interface ProactiveSettings {
+  quietHours: { enabled: boolean; start: string; end: string };
+  doNotDisturb: { enabled: boolean; until: string | null };
+  dailyCap: number;
+  cooldownMinutes: number;
+}
+
+// ISO time <-> value of a datetime-local input (browser time)
+const toLocalInput = (iso: string | null) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const fromLocalInput = (value: string) => (value ? new Date(value).toISOString() : null);
+
 const SettingsPage: React.FC = () => {
   const { user } = useAuth();
   const [settings, setSettings] = useState<Settings | null>(null);
@@ -31,10 +48,18 @@ const SettingsPage: React.FC = () => {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [message, setMessage] = useState<{ type: 'success' | 'error', text: string } | null>(null);
+  const [calendarFeedUrl, setCalendarFeedUrl] = useState<string | null>(null);
+  const [rotatingFeed, setRotatingFeed] = useState(false);
+  const [proactiveSettings, setProactiveSettings] = useState<ProactiveSettings | null>(null);
+  const [pushState, setPushState] = useState<PushState>('disabled');
+  const [updatingPush, setUpdatingPush] = useState(false);
 
   useEffect(() => {
     loadSettings();
     loadModels();
+    loadCalendarFeed();
+    loadProactiveSettings();
+    getPushState().then(setPushState).catch(() => setPushState('unsupported'));
   }, []);
 
   const loadSettings = async () => {
@@ -85,6 +110,84 @@ const SettingsPage: React.FC = () => {
     }
   };
 
+  const loadCalendarFeed = async (rotate = false) => {
+    try {
+      const response = await authenticatedFetch(
+        rotate ? '/api/events/calendar/feed/rotate' : '/api/events/calendar/feed',
+        { method: rotate ? 'POST' : 'GET' }
+      );
+      const data = await response.json();
+
+      if (data.success) {
+        setCalendarFeedUrl(`${API_BASE_URL}${data.data.path}`);
+      } else {
+        throw new Error(data.error);
+      }
+    } catch (error) {
+      console.error('Failed to load calendar feed:', error);
+      setMessage({ type: 'error', text: 'Failed to load calendar feed' });
+    }
+  };
+
+  const loadProactiveSettings = async () => {
+    try {
+      const response = await authenticatedFetch('/api/proactive/settings');
+      const data = await response.json();
+
+      if (data.success) {
+        setProactiveSettings(data.data);
+      } else {
+        throw new Error(data.error);
+      }
+    } catch (error) {
+      console.error('Failed to load proactive settings:', error);
+      setMessage({ type: 'error', text: 'Failed to load proactive message settings' });
+    }
+  };
+
+  const saveProactiveSettings = async () => {
+    if (!proactiveSettings) return;
+
+    const response = await authenticatedFetch('/api/proactive/settings', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(proactiveSettings)
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.error);
+    }
+    setProactiveSettings(data.data);
+  };
+
+  const updateProactiveSetting = <K extends keyof ProactiveSettings>(key: K, value: ProactiveSettings[K]) => {
+    if (!proactiveSettings) return;
+    setProactiveSettings({ ...proactiveSettings, [key]: value });
+  };
+
+  // Takes effect right away: subscribing needs the browser's permission prompt
+  const togglePush = async () => {
+    setUpdatingPush(true);
+    try {
+      setPushState(pushState === 'enabled' ? await disablePush() : await enablePush());
+    } catch (error) {
+      console.error('Failed to update push notifications:', error);
+      setMessage({ type: 'error', text: 'Failed to update push notifications' });
+    } finally {
+      setUpdatingPush(false);
+    }
+  };
+
+  const rotateCalendarFeed = async () => {
+    if (!window.confirm('Create a new calendar link? Calendars subscribed to the old link will stop updating.')) {
+      return;
+    }
+    setRotatingFeed(true);
+    await loadCalendarFeed(true);
+    setRotatingFeed(false);
+  };
+
   const saveSettings = async () => {
     if (!settings) return;
     
@@ -119,6 +222,7 @@ const SettingsPage: React.FC = () => {
       const data = await response.json();
       
       if (data.success) {
+        await saveProactiveSettings();
         setMessage({ 
           type: 'success', 
           text: 'Settings updated successfully' 
@@ -128,7 +232,7 @@ const SettingsPage: React.FC = () => {
       }
     } catch (error) {
       console.error('Failed to save settings:', error);
-      setMessage({ type: 'error', text: 'Failed to save settings' });
+      setMessage({ type: 'error', text: error instanceof Error && error.message ? `Failed to save settings: ${error.message}` : 'Failed to save settings' });
     } finally {
       setSaving(false);
     }
@@ -307,6 +411,168 @@ const SettingsPage: React.FC = () => {
               </div>
             </div>
 
+            {/* Proactive Messages */}
+            {proactiveSettings && (
+              <div className="bg-white rounded-lg shadow-sm p-4 md:p-6">
+                <h2 className="text-lg md:text-xl font-semibold text-gray-800 mb-3 md:mb-4 flex items-center">
+                  <span className="text-base md:text-lg mr-2 md:mr-3">🔕</span>
+                  Proactive Messages
+                </h2>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 md:gap-6">
+                  {/* Quiet Hours */}
+                  <div>
+                    <label className="flex items-center text-sm font-medium text-gray-700 mb-2">
+                      <input
+                        type="checkbox"
+                        checked={proactiveSettings.quietHours.enabled}
+                        onChange={(e) => updateProactiveSetting('quietHours', { ...proactiveSettings.quietHours, enabled: e.target.checked })}
+                        className="mr-2 accent-blue-500"
+                      />
+                      Quiet hours
+                    </label>
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="time"
+                        value={proactiveSettings.quietHours.start}
+                        disabled={!proactiveSettings.quietHours.enabled}
+                        onChange={(e) => updateProactiveSetting('quietHours', { ...proactiveSettings.quietHours, start: e.target.value })}
+                        className="flex-1 p-2.5 md:p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm md:text-base disabled:bg-gray-50"
+                      />
+                      <span className="text-sm text-gray-500">to</span>
+                      <input
+                        type="time"
+                        value={proactiveSettings.quietHours.end}
+                        disabled={!proactiveSettings.quietHours.enabled}
+                        onChange={(e) => updateProactiveSetting('quietHours', { ...proactiveSettings.quietHours, end: e.target.value })}
+                        className="flex-1 p-2.5 md:p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm md:text-base disabled:bg-gray-50"
+                      />
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      In your profile's time zone. Messages are held until quiet hours end.
+                    </p>
+                  </div>
+
+                  {/* Do Not Disturb */}
+                  <div>
+                    <label className="flex items-center text-sm font-medium text-gray-700 mb-2">
+                      <input
+                        type="checkbox"
+                        checked={proactiveSettings.doNotDisturb.enabled}
+                        onChange={(e) => updateProactiveSetting('doNotDisturb', { ...proactiveSettings.doNotDisturb, enabled: e.target.checked })}
+                        className="mr-2 accent-blue-500"
+                      />
+                      Do not disturb
+                    </label>
+                    <input
+                      type="datetime-local"
+                      value={toLocalInput(proactiveSettings.doNotDisturb.until)}
+                      disabled={!proactiveSettings.doNotDisturb.enabled}
+                      onChange={(e) => updateProactiveSetting('doNotDisturb', { ...proactiveSettings.doNotDisturb, until: fromLocalInput(e.target.value) })}
+                      className="w-full p-2.5 md:p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm md:text-base disabled:bg-gray-50"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Until this time, or until you turn it off when left empty
+                    </p>
+                  </div>
+
+                  {/* Daily Cap */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Messages per character per day
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="50"
+                      value={proactiveSettings.dailyCap}
+                      onChange={(e) => updateProactiveSetting('dailyCap', parseInt(e.target.value) || 0)}
+                      className="w-full p-2.5 md:p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm md:text-base"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      0 = no limit (0-50)
+                    </p>
+                  </div>
+
+                  {/* Cool-down */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Pause after an unanswered message (minutes)
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="1440"
+                      step="15"
+                      value={proactiveSettings.cooldownMinutes}
+                      onChange={(e) => updateProactiveSetting('cooldownMinutes', parseInt(e.target.value) || 0)}
+                      className="w-full p-2.5 md:p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm md:text-base"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      No character reaches out during the pause; 0 = off (0-1440)
+                    </p>
+                  </div>
+                </div>
+
+                {/* Push Notifications */}
+                <div className="mt-4 md:mt-6 pt-4 border-t border-gray-200">
+                  <label className="flex items-center text-sm font-medium text-gray-700 mb-1">
+                    <input
+                      type="checkbox"
+                      checked={pushState === 'enabled'}
+                      disabled={updatingPush || pushState === 'unsupported' || pushState === 'denied'}
+                      onChange={togglePush}
+                      className="mr-2 accent-blue-500"
+                    />
+                    Notify me on this device when the app is closed
+                  </label>
+                  <p className="text-xs text-gray-500">
+                    {pushState === 'unsupported' && 'This browser does not support push notifications.'}
+                    {pushState === 'denied' && 'Notifications are blocked for this site in your browser settings.'}
+                    {(pushState === 'enabled' || pushState === 'disabled') && 'Messages from your characters show up as notifications with their name and picture.'}
+                  </p>
+                </div>
+              </div>
+            )}
+
+            {/* Calendar Feed */}
+            <div className="bg-white rounded-lg shadow-sm p-4 md:p-6">
+              <h2 className="text-lg md:text-xl font-semibold text-gray-800 mb-3 md:mb-4 flex items-center">
+                <span className="text-base md:text-lg mr-2 md:mr-3">📆</span>
+                Calendar Feed
+              </h2>
+
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Subscription URL
+              </label>
+              <div className="flex flex-col md:flex-row gap-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={calendarFeedUrl || ''}
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 p-2.5 md:p-3 border border-gray-300 rounded-lg bg-gray-50 text-sm font-mono"
+                />
+                <button
+                  onClick={() => calendarFeedUrl && navigator.clipboard.writeText(calendarFeedUrl)}
+                  disabled={!calendarFeedUrl}
+                  className="px-4 py-2 rounded-lg bg-blue-500 hover:bg-blue-600 text-white text-sm font-medium min-h-[44px] disabled:bg-gray-300"
+                >
+                  Copy
+                </button>
+                <button
+                  onClick={rotateCalendarFeed}
+                  disabled={rotatingFeed}
+                  className="px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-50 text-gray-700 text-sm font-medium min-h-[44px] disabled:opacity-50"
+                >
+                  {rotatingFeed ? 'Resetting...' : 'Reset Link'}
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Subscribe to this URL in Google Calendar, Apple Calendar or Outlook to see your characters' events. Keep it private: anyone with the link can read your events.
+              </p>
+            </div>
+
             {/* Connection Status */}
             <div className="bg-white rounded-lg shadow-sm p-4 md:p-6">
               <h2 className="text-lg md:text-xl font-semibold text-gray-800 mb-3 md:mb-4 flex items-center">
@@ -5,15 +5,20 @@ export interface UserProfile {
   name: string;
   birthdate?: string;
   bio?: string;
+  timezone?: string;
+  locale?: string;
 }
 
 interface UserProfileModalProps {
   isOpen: boolean;
   onClose: () => void;
-  currentProfile: { name?: string; birthdate?: string; bio?: string };
+  currentProfile: { name?: string; birthdate?: string; bio?: string; timezone?: string; locale?: string };
   onSave: (profile: UserProfile) => Promise<void>;
 }
 
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const timeZones = Intl.supportedValuesOf('timeZone');
+
 const UserProfileModal: React.FC<UserProfileModalProps> = ({
   isOpen,
   onClose,
@@ -23,6 +28,8 @@ const UserProfileModal: React.FC<UserProfileModalProps> = ({
   const [name, setName] = useState('');
   const [birthdate, setBirthdate] = useState('');
   const [bio, setBio] = useState('');
+  const [timezone, setTimezone] = useState('');
+  const [locale, setLocale] = useState('');
   const [error, setError] = useState<string | null>(null);
   const [saving, setSaving] = useState(false);
   const [showToast, setShowToast] = useState(false);
@@ -34,6 +41,8 @@ const UserProfileModal: React.FC<UserProfileModalProps> = ({
       setName(currentProfile.name || '');
       setBirthdate(currentProfile.birthdate || '');
       setBio(currentProfile.bio || '');
+      setTimezone(currentProfile.timezone || browserTimeZone);
+      setLocale(currentProfile.locale || '');
       setError(null);
     }
   }, [isOpen, currentProfile]);
@@ -59,7 +68,9 @@ const UserProfileModal: React.FC<UserProfileModalProps> = ({
       const profile: UserProfile = {
         name: name.trim(),
         ...(birthdate && { birthdate }),
-        ...(bio.trim() && { bio: bio.trim() })
+        ...(bio.trim() && { bio: bio.trim() }),
+        ...(timezone && { timezone }),
+        ...(locale.trim() && { locale: locale.trim() })
       };
 
       await onSave(profile);
@@ -156,6 +167,45 @@ const UserProfileModal: React.FC<UserProfileModalProps> = ({
               />
             </div>
 
+            {/* Time Zone Field */}
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">
+                Time Zone
+              </label>
+              <select
+                value={timezone}
+                onChange={(e) => setTimezone(e.target.value)}
+                className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 text-base bg-white"
+              >
+                {!timeZones.includes(timezone) && timezone && (
+                  <option value={timezone}>{timezone}</option>
+                )}
+                {timeZones.map((zone) => (
+                  <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-2">
+                Used for greetings, reminders and recurring events
+              </p>
+            </div>
+
+            {/* Locale Field */}
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">
+                Locale <span className="text-gray-400 font-normal">(Optional)</span>
+              </label>
+              <input
+                type="text"
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                placeholder={`e.g. ${navigator.language}`}
+                className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 text-base"
+              />
+              <p className="text-xs text-gray-500 mt-2">
+                Language and region for dates and times, like en-US or de-DE
+              </p>
+            </div>
+
             {/* Bio Field */}
             <div>
               <label className="block text-sm font-semibold text-gray-700 mb-2">
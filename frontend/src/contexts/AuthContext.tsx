@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import type { ReactNode } from 'react';
 import { API_BASE_URL } from '../config/api';
+import { disablePush } from '../utils/pushNotifications';
 
 interface User {
   id: string;
@@ -138,6 +139,10 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   const logout = async () => {
     try {
       if (sessionToken) {
+        // Stop this browser's notifications while the session can still remove them;
+        // the server keeps an endpoint with its user, so the next user could not subscribe
+        await disablePush().catch(error => console.error('Push unsubscribe error:', error));
+
         // Call logout endpoint
         await fetch(`${API_BASE_URL}/api/auth/logout`, {
           method: 'POST',
@@ -2,7 +2,10 @@ import React, { createContext, useContext, useState, useEffect } from 'react';
 import type { ReactNode } from 'react';
 import type { Message } from '../types';
 import { API_BASE_URL } from '../config/api';
+import { authenticatedFetch } from '../utils/api';
 import { useAuth } from './AuthContext';
+import { mapHistoryMessage } from '../utils/chatMessages';
+import type { HistoryMessage } from '../utils/chatMessages';
 
 interface Character {
   id: string;
@@ -39,6 +42,9 @@ interface ChatContextType {
   loadCharacters: () => Promise<void>;
   loadSavedChats: () => void;
   saveChatsToStorage: () => void;
+  focusMessageId: string | null;
+  setFocusMessageId: React.Dispatch<React.SetStateAction<string | null>>;
+  openMessage: (chatId: string, messageId: string, timestamp: string) => Promise<void>;
 }
 
 const ChatContext = createContext<ChatContextType | undefined>(undefined);
@@ -62,6 +68,7 @@ export const ChatProvider: React.FC<ChatProviderProps> = ({ children }) => {
   const [characters, setCharacters] = useState<Character[]>([]);
   const [isLoadingCharacters, setIsLoadingCharacters] = useState(false);
   const [showNewChatModal, setShowNewChatModal] = useState(false);
+  const [focusMessageId, setFocusMessageId] = useState<string | null>(null);
 
   // Load chats from database when user is authenticated
   useEffect(() => {
@@ -129,13 +136,7 @@ export const ChatProvider: React.FC<ChatProviderProps> = ({ children }) => {
               characterId: dbChat.personality_id,
               characterName: dbChat.personality_name || dbChat.title,
               characterAvatar: dbChat.personality_display || 'default.png',
-              messages: messages.map((msg: any) => ({
-                id: msg.id,
-                sessionId: msg.session_id || msg.chat_id || dbChat.id,
-                content: msg.content || msg.message,
-                type: msg.role === 'user' ? 'user' : msg.role === 'assistant' ? 'ai' : 'system',
-                timestamp: new Date(msg.created_at)
-              })),
+              messages: messages.map((msg: any) => mapHistoryMessage(msg, dbChat.id)),
               createdAt: new Date(dbChat.created_at)
             };
           })
@@ -265,11 +266,7 @@ export const ChatProvider: React.FC<ChatProviderProps> = ({ children }) => {
     
     setIsLoadingCharacters(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/api/characters?userId=${user.id}`, {
-        headers: {
-          'Authorization': `Bearer ${sessionToken}`
-        }
-      });
+      const response = await authenticatedFetch('/api/characters', {}, sessionToken);
       const data = await response.json();
       if (data.success) {
         setCharacters(data.data);
@@ -352,6 +349,42 @@ export const ChatProvider: React.FC<ChatProviderProps> = ({ children }) => {
     }
   };
 
+  // Open a chat at a specific message (e.g. a search result). Messages older
+  // than the loaded window are fetched from the message's timestamp onwards.
+  const openMessage = async (chatId: string, messageId: string, timestamp: string) => {
+    const chat = chats.find(c => c.id === chatId);
+    if (!chat || !user || !sessionToken) return;
+
+    let messages = chat.messages;
+    if (!messages.some(msg => msg.id === messageId)) {
+      try {
+        const response = await fetch(
+          `${API_BASE_URL}/api/chat/history/${chatId}?userId=${user.id}&from=${encodeURIComponent(timestamp)}`,
+          {
+            headers: {
+              'Authorization': `Bearer ${sessionToken}`
+            }
+          }
+        );
+        const result = await response.json();
+        if (result.success && result.data) {
+          const earlier = result.data.map((msg: HistoryMessage) => mapHistoryMessage(msg, chatId));
+          const loadedIds = new Set(earlier.map((msg: Message) => msg.id));
+          messages = [...earlier, ...messages.filter(msg => !loadedIds.has(msg.id))]
+            .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+        }
+      } catch (error) {
+        console.error('Error loading messages for search result:', error);
+      }
+    }
+
+    const updatedChat = { ...chat, messages };
+    setChats(prev => prev.map(c => c.id === chatId ? updatedChat : c));
+    setCurrentChat(updatedChat);
+    localStorage.setItem('aria-current-chat-id', chatId);
+    setFocusMessageId(messageId);
+  };
+
   const value: ChatContextType = {
     chats,
     currentChat,
@@ -370,6 +403,9 @@ export const ChatProvider: React.FC<ChatProviderProps> = ({ children }) => {
     loadCharacters,
     loadSavedChats,
     saveChatsToStorage,
+    focusMessageId,
+    setFocusMessageId,
+    openMessage,
   };
 
   return (
@@ -71,8 +71,10 @@ export const useProactiveMessages = ({
     console.log('🔗 Attempting to connect proactive messaging for session:', sessionId, 'enabled:', enabled);
 
     try {
+      // EventSource cannot send an Authorization header, so the session token goes in the query
+      const sessionToken = localStorage.getItem('aria-session-token') || '';
       const eventSource = new EventSource(
-        `${API_BASE_URL}/api/chat/proactive/${sessionId}`,
+        `${API_BASE_URL}/api/chat/proactive/${sessionId}?sessionToken=${encodeURIComponent(sessionToken)}`,
         {
           withCredentials: false
         }
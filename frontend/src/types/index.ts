@@ -26,6 +26,18 @@ export interface ChatSession {
   psychologyState?: PsychologyState;
 }
 
+export interface MessageBranch {
+  index: number; // 1-based position among sibling versions
+  count: number;
+  siblingIds: string[];
+}
+
+// Character that wrote a reply (group chats have several)
+export interface MessageSpeaker {
+  id: string;
+  name: string | null;
+}
+
 export interface Message {
   id: string;
   sessionId: string;
@@ -33,6 +45,9 @@ export interface Message {
   type: 'user' | 'ai' | 'system' | 'verification';
   timestamp: Date;
   isStreaming?: boolean;
+  truncated?: boolean; // Reply was stopped before it finished
+  branch?: MessageBranch;
+  speaker?: MessageSpeaker;
   metadata?: {
     proactive?: boolean;
     psychologyTrigger?: string;
@@ -112,6 +127,8 @@ export interface Event {
     day_of_week?: string;
     day_of_month?: number;
   };
+  rrule?: string | null;
+  exdates?: string;
   starts_at: string;
   ends_at?: string;
   last_occurrence?: string;
@@ -1,4 +1,4 @@
-import { API_BASE_URL } from '../config/api';
+import { authenticatedFetch } from './api';
 
 // Cache for character images
 const imageCache = new Map<string, string>();
@@ -7,7 +7,7 @@ const imageCache = new Map<string, string>();
  * Get character image URL - handles uploaded images stored in DB
  * @param characterAvatar - Either a URL, path, or character-{id} reference
  * @param characterId - The character ID
- * @param userId - The user ID for authentication
+ * @param userId - The user ID the image is cached for
  * @returns Promise<string> - The image URL (data URL for uploaded images)
  */
 export async function getCharacterImageUrl(
@@ -39,9 +39,7 @@ export async function getCharacterImageUrl(
     }
 
     try {
-      const response = await fetch(
-        `${API_BASE_URL}/api/characters/${characterId}/image?userId=${userId}`
-      );
+      const response = await authenticatedFetch(`/api/characters/${characterId}/image`);
       const data = await response.json();
 
       if (data.success && data.data.imageUrl) {
@@ -0,0 +1,59 @@
+/**
+ * Chat Message Utilities
+ *
+ * Converts messages from the chat history API into frontend messages.
+ */
+
+import type { Message, MessageBranch, MessageSpeaker } from '../types';
+
+export interface HistoryMessage {
+  id: string;
+  session_id?: string;
+  chat_id?: string;
+  role?: string;
+  content?: string;
+  message?: string;
+  timestamp?: string;
+  created_at?: string;
+  branch?: MessageBranch;
+  speaker?: MessageSpeaker;
+  metadata?: string | null;
+}
+
+// Replies stopped before they finished are saved with { truncated: true } metadata
+const isTruncated = (metadata?: string | null): boolean => {
+  if (!metadata) return false;
+  try {
+    return JSON.parse(metadata)?.truncated === true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Maps a conversation_logs row (with optional branch navigation) to a Message
+ * @param msg - Message from /api/chat/history or a branch switch
+ * @param chatId - Chat the message belongs to
+ */
+export const mapHistoryMessage = (msg: HistoryMessage, chatId: string): Message => ({
+  id: msg.id,
+  sessionId: msg.session_id || msg.chat_id || chatId,
+  content: msg.content || msg.message || '',
+  type: msg.role === 'user' ? 'user' : msg.role === 'assistant' ? 'ai' : 'system',
+  timestamp: new Date(msg.timestamp || msg.created_at || Date.now()),
+  branch: msg.branch,
+  speaker: msg.speaker,
+  ...(isTruncated(msg.metadata) ? { truncated: true } : {})
+});
+
+/**
+ * Whether replies come from more than one character (a group chat)
+ * @param messages - Messages of the chat
+ * @param characterId - The chat's own character; a reply from anyone else also counts
+ */
+export const hasSeveralSpeakers = (messages: Message[], characterId?: string): boolean => {
+  const speakerIds = new Set(
+    messages.filter(msg => msg.type === 'ai' && msg.speaker).map(msg => msg.speaker?.id)
+  );
+  return speakerIds.size > 1 || (!!characterId && [...speakerIds].some(id => id !== characterId));
+};
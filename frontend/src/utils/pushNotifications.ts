@@ -0,0 +1,90 @@
+import { authenticatedFetch } from './api';
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+export type PushState = 'unsupported' | 'denied' | 'enabled' | 'disabled';
+
+/**
+ * Whether this browser can receive push notifications
+ */
+export function isPushSupported(): boolean {
+  return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+/**
+ * Push notification state of this browser
+ */
+export async function getPushState(): Promise<PushState> {
+  if (!isPushSupported()) return 'unsupported';
+  if (Notification.permission === 'denied') return 'denied';
+
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  const subscription = await registration?.pushManager.getSubscription();
+  return subscription ? 'enabled' : 'disabled';
+}
+
+/**
+ * Ask for permission, subscribe this browser and register it with the server
+ */
+export async function enablePush(): Promise<PushState> {
+  if (!isPushSupported()) return 'unsupported';
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    return permission === 'denied' ? 'denied' : 'disabled';
+  }
+
+  const keyResponse = await authenticatedFetch('/api/push/vapid-public-key');
+  const keyData = await keyResponse.json();
+  if (!keyData.success) {
+    throw new Error(keyData.error);
+  }
+
+  const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription()
+    || await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: decodeBase64Url(keyData.data.publicKey)
+    });
+
+  const response = await authenticatedFetch('/api/push/subscriptions', {
+    method: 'POST',
+    body: JSON.stringify({ subscription: subscription.toJSON() })
+  });
+  const data = await response.json();
+  if (!data.success) {
+    await subscription.unsubscribe();
+    throw new Error(data.error);
+  }
+  return 'enabled';
+}
+
+/**
+ * Unsubscribe this browser and remove it on the server
+ */
+export async function disablePush(): Promise<PushState> {
+  if (!isPushSupported()) return 'unsupported';
+
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  const subscription = await registration?.pushManager.getSubscription();
+  if (subscription) {
+    await authenticatedFetch('/api/push/subscriptions', {
+      method: 'DELETE',
+      body: JSON.stringify({ endpoint: subscription.endpoint })
+    });
+    await subscription.unsubscribe();
+  }
+  return 'disabled';
+}
+
+// VAPID key (base64url) as the bytes PushManager.subscribe expects
+function decodeBase64Url(value: string): Uint8Array<ArrayBuffer> {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Database Migration Script
+ *
+ * INFRASTRUCTURE LAYER: Applies, inspects and reverts database/migrations/*.sql
+ *
+ * The server runs pending migrations on startup; this script previews them,
+ * shows what is applied and rolls migrations back with their .down.sql files.
+ *
+ * Usage:
+ *   node migrate.js                        # Apply pending migrations
+ *   node migrate.js --dry-run              # Show what would be applied
+ *   node migrate.js status                 # Applied / pending / drifted migrations
+ *   node migrate.js down                   # Revert the last applied migration
+ *   node migrate.js down --steps 2         # Revert the last two
+ *   node migrate.js baseline 012           # Mark migrations up to 012 as applied
+ *   node migrate.js --db path/to/other.db  # Use another database file
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const LoggerService = require('./backend/services/foundation/CORE_LoggerService');
+const ErrorHandlingService = require('./backend/services/foundation/CORE_ErrorHandlingService');
+const DataAccessLayer = require('./backend/dal/CORE_DataAccessLayer');
+const MigrationRunner = require('./backend/dal/CORE_MigrationRunner');
+
+const args = process.argv.slice(2);
+const command = args[0] && !args[0].startsWith('--') ? args[0] : 'up';
+const dryRun = args.includes('--dry-run');
+
+function getArg(name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+function displayHelp() {
+    console.log(`
+🗄️  Aria AI Database Migrations
+
+USAGE:
+  node migrate.js [command] [options]
+
+COMMANDS:
+  up                           # Apply pending migrations (default)
+  status                       # List migrations and their state
+  down                         # Revert the last applied migration(s)
+  baseline <version>           # Record migrations up to <version> as applied without running them
+
+OPTIONS:
+  --dry-run                    # Show what would happen without changing the database
+  --steps <n>                  # Number of migrations to revert with down (default 1)
+  --db <path>                  # Database file (default database/aria.db)
+  --help, -h                   # Show this help message
+    `);
+}
+
+function openDatabase(dbPath) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath, (err) => {
+            if (err) {
+                reject(new Error(`Database connection failed: ${err.message}`));
+            } else {
+                resolve(db);
+            }
+        });
+    });
+}
+
+function printStatus(status) {
+    const icons = { applied: '✅', baseline: '📌', pending: '⏳', drifted: '❌' };
+
+    if (status.fresh) {
+        console.log('📋 Empty database: schema.sql will be applied and every migration recorded as baseline');
+    } else if (status.needsBaseline) {
+        console.log('⚠️  No recorded migrations. Run "node migrate.js baseline <version>" first');
+    } else if (status.legacyVersion !== null) {
+        console.log(`📋 Pre-runner database at version ${String(status.legacyVersion).padStart(3, '0')}`);
+    }
+
+    for (const migration of status.migrations) {
+        const appliedAt = migration.appliedAt ? ` (${migration.appliedAt})` : '';
+        const reversible = migration.reversible ? ' ↩' : '';
+        console.log(`   ${icons[migration.state]} ${migration.state.padEnd(8)} ${migration.name}${reversible}${appliedAt}`);
+    }
+
+    for (const migration of status.missing) {
+        console.log(`   ⚠️  missing  ${migration.name} (file not found, applied ${migration.appliedAt})`);
+    }
+}
+
+async function run(runner) {
+    switch (command) {
+        case 'status':
+            printStatus(await runner.status());
+            return;
+
+        case 'down': {
+            const steps = parseInt(getArg('--steps') || '1', 10);
+            const result = await runner.rollback({ steps, dryRun });
+            const verb = dryRun ? 'Would revert' : 'Reverted';
+            result.rolledBack.forEach(name => console.log(`↩️  ${verb} ${name}`));
+            if (result.rolledBack.length === 0) {
+                console.log('Nothing to revert');
+            }
+            return;
+        }
+
+        case 'baseline': {
+            const version = args[1];
+            if (!version || !/^\d+$/.test(version)) {
+                throw new Error('baseline needs the migration version the database already contains, e.g. "node migrate.js baseline 012"');
+            }
+            const result = await runner.baseline(version, { dryRun });
+            const verb = dryRun ? 'Would record' : 'Recorded';
+            console.log(`📌 ${verb} ${result.baselined.length} migration(s) as applied`);
+            return;
+        }
+
+        case 'up': {
+            const result = await runner.migrate({ dryRun });
+            if (dryRun) {
+                if (result.drifted.length > 0) {
+                    result.drifted.forEach(entry => console.log(`❌ Checksum drift: ${entry.name}`));
+                }
+                if (result.needsBaseline) {
+                    console.log('⚠️  No recorded migrations. Run "node migrate.js baseline <version>" first');
+                }
+                if (result.schemaCreated) {
+                    console.log('📋 Would apply schema.sql to the empty database');
+                }
+                if (result.baselined.length > 0) {
+                    console.log(`📌 Would record ${result.baselined.length} migration(s) as baseline`);
+                }
+                result.added.forEach(name => console.log(`➕ Would add ${name} missing from a baselined migration`));
+                result.applied.forEach(name => console.log(`⏳ Would apply ${name}`));
+                if (result.applied.length === 0) {
+                    console.log('✅ No pending migrations');
+                }
+                return;
+            }
+            result.added.forEach(name => console.log(`➕ Added ${name} missing from a baselined migration`));
+            result.applied.forEach(name => console.log(`✅ Applied ${name}`));
+            console.log(result.applied.length === 0 ? '✅ Database is up to date' : `✅ Applied ${result.applied.length} migration(s)`);
+            return;
+        }
+
+        default:
+            throw new Error(`Unknown command: ${command}`);
+    }
+}
+
+async function main() {
+    if (args.includes('--help') || args.includes('-h')) {
+        displayHelp();
+        return;
+    }
+
+    const dbPath = getArg('--db') || path.join(__dirname, 'database', 'aria.db');
+    const logger = new LoggerService();
+    const errorHandling = new ErrorHandlingService({ logger });
+    const db = await openDatabase(dbPath);
+
+    try {
+        const dal = new DataAccessLayer(db, errorHandling);
+        await dal.initialize();
+
+        console.log(`📍 Database: ${dbPath}`);
+        await run(new MigrationRunner({ dal, logger, errorHandling }));
+    } finally {
+        db.close();
+    }
+}
+
+// Export for programmatic usage
+module.exports = {
+    main
+};
+
+// Execute if run directly
+if (require.main === module) {
+    main().catch(error => {
+        console.error('💥 Migration failed:', error.message);
+        process.exit(1);
+    });
+}
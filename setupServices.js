@@ -28,12 +28,16 @@ const DataAccessLayer = require('./backend/dal/CORE_DataAccessLayer');
 const MessageDeliveryService = require('./backend/services/infrastructure/CORE_MessageDeliveryService');
 const SchedulingService = require('./backend/services/infrastructure/CORE_SchedulingService');
 const LLMConfigService = require('./backend/services/infrastructure/CORE_LLMConfigService');
+const PromptTemplateService = require('./backend/services/infrastructure/PromptTemplateService');
+const GenerationRegistryService = require('./backend/services/infrastructure/GenerationRegistryService');
 const EventSchedulerService = require('./backend/services/infrastructure/CORE_EventSchedulerService');
 const AuthService = require('./backend/services/infrastructure/AuthService');
+const PushNotificationService = require('./backend/services/infrastructure/PushNotificationService');
 
 // Intelligence Services  
 const LLMService = require('./backend/services/intelligence/CORE_LLMService');
 const StructuredResponseService = require('./backend/services/intelligence/CORE_StructuredResponseService');
+const EmbeddingService = require('./backend/services/intelligence/EmbeddingService');
 
 // Domain Services
 const PsychologyService = require('./backend/services/domain/CORE_PsychologyService');
@@ -42,15 +46,34 @@ const ConversationAnalyzer = require('./backend/services/domain/CORE_Conversatio
 const ProactiveIntelligenceService = require('./backend/services/domain/CORE_ProactiveIntelligenceService');
 const ProactiveLearningService = require('./backend/services/domain/CORE_ProactiveLearningService');
 const ProactiveDeliveryService = require('./backend/services/domain/ProactiveDeliveryService');
+const ProactivePolicyService = require('./backend/services/domain/ProactivePolicyService');
 const BackgroundAnalysisService = require('./backend/services/domain/BackgroundAnalysisService');
 const ContextBuilderService = require('./backend/services/domain/CORE_ContextBuilderService');
 const MemorySearchService = require('./backend/services/domain/CORE_MemorySearchService');
+const ConversationSummaryService = require('./backend/services/domain/ConversationSummaryService');
+const ToolService = require('./backend/services/domain/ToolService');
+const ConversationBranchService = require('./backend/services/domain/ConversationBranchService');
+const ConversationExportService = require('./backend/services/domain/ConversationExportService');
+const CharacterCardService = require('./backend/services/domain/CharacterCardService');
+const CharacterRevisionService = require('./backend/services/domain/CharacterRevisionService');
+const GroupChatService = require('./backend/services/domain/GroupChatService');
+const LorebookService = require('./backend/services/domain/LorebookService');
+const CalendarService = require('./backend/services/domain/CalendarService');
 
 // Repository Classes
 const ChatRepository = require('./backend/dal/repositories/CORE_ChatRepository');
+const ChatCharacterRepository = require('./backend/dal/repositories/ChatCharacterRepository');
 const ConversationRepository = require('./backend/dal/repositories/CORE_ConversationRepository');
 const PersonalityRepository = require('./backend/dal/repositories/CORE_PersonalityRepository');
 const PsychologyRepository = require('./backend/dal/repositories/CORE_PsychologyRepository');
+const MemoryEmbeddingRepository = require('./backend/dal/repositories/MemoryEmbeddingRepository');
+const ConversationSummaryRepository = require('./backend/dal/repositories/ConversationSummaryRepository');
+const CharacterRevisionRepository = require('./backend/dal/repositories/CharacterRevisionRepository');
+const LorebookRepository = require('./backend/dal/repositories/LorebookRepository');
+const PromptTemplateRepository = require('./backend/dal/repositories/PromptTemplateRepository');
+const ProactiveJobRepository = require('./backend/dal/repositories/ProactiveJobRepository');
+const ProactiveSettingsRepository = require('./backend/dal/repositories/ProactiveSettingsRepository');
+const PushSubscriptionRepository = require('./backend/dal/repositories/PushSubscriptionRepository');
 const ProactiveRepository = require('./backend/dal/repositories/CORE_ProactiveRepository');
 const SessionRepository = require('./backend/dal/repositories/CORE_SessionRepository');
 // New repositories for unified schema
@@ -62,6 +85,7 @@ const SchemaRepository = require('./backend/dal/repositories/CORE_SchemaReposito
 const CommitmentsRepository = require('./backend/dal/repositories/CORE_CommitmentsRepository');
 const EventsRepository = require('./backend/dal/repositories/CORE_EventsRepository');
 const AuthRepository = require('./backend/dal/repositories/AuthRepository');
+const MigrationRunner = require('./backend/dal/CORE_MigrationRunner');
 
 /**
  * Database Service - Infrastructure Layer
@@ -79,6 +103,7 @@ class DatabaseService {
         
         // Database configuration (unified database)
         this.dbPath = dependencies.dbPath || path.join(__dirname, 'database', 'aria.db');
+        this.migrationsDir = dependencies.migrationsDir || MigrationRunner.DEFAULT_MIGRATIONS_DIR;
         this.db = null;
         this.dal = null;
         this.repositories = new Map();
@@ -107,6 +132,9 @@ class DatabaseService {
             this.dal = new DataAccessLayer(this.db, this.errorHandler);
             await this.dal.initialize();
 
+            // Bring the schema up to date before repositories validate their tables
+            await this.runMigrations();
+
             // Initialize all repositories
             await this.initializeRepositories();
 
@@ -154,6 +182,30 @@ class DatabaseService {
         });
     }
 
+    /**
+     * Apply pending migrations (refuses to start on checksum drift)
+     */
+    async runMigrations() {
+        const runner = new MigrationRunner({
+            dal: this.dal,
+            logger: this.logger,
+            errorHandling: this.errorHandler,
+            migrationsDir: this.migrationsDir
+        });
+
+        const result = await runner.migrate();
+
+        if (this.logger) {
+            this.logger.info('Database schema up to date', 'DatabaseService', {
+                schemaCreated: result.schemaCreated,
+                baselined: result.baselined.length,
+                applied: result.applied
+            });
+        }
+
+        return result;
+    }
+
     /**
      * Initialize all repositories with proper dependencies
      */
@@ -164,13 +216,22 @@ class DatabaseService {
             { name: 'userSessions', class: UserSessionRepository, table: 'user_sessions' },
             { name: 'auth', class: AuthRepository, table: 'users' }, // Auth repository uses users table
             { name: 'chats', class: ChatRepository, table: 'chats' },
+            { name: 'chatCharacters', class: ChatCharacterRepository, table: 'chat_characters' },
             { name: 'conversations', class: ConversationRepository, table: 'conversation_logs' },
             { name: 'personalities', class: PersonalityRepository, table: 'personalities' },
+            { name: 'characterRevisions', class: CharacterRevisionRepository, table: 'character_revisions' },
+            { name: 'lorebooks', class: LorebookRepository, table: 'lorebooks' },
+            { name: 'promptTemplates', class: PromptTemplateRepository, table: 'prompt_templates' },
             { name: 'sessions', class: SessionRepository, table: 'sessions' },
             // Psychology repositories  
             { name: 'psychology', class: PsychologyRepository, table: 'psychology_frameworks' },
+            { name: 'memoryEmbeddings', class: MemoryEmbeddingRepository, table: 'memory_embeddings' },
+            { name: 'conversationSummaries', class: ConversationSummaryRepository, table: 'conversation_summaries' },
             // Proactive intelligence repositories
             { name: 'proactive', class: ProactiveRepository, table: 'proactive_engagements' },
+            { name: 'proactiveJobs', class: ProactiveJobRepository, table: 'proactive_jobs' },
+            { name: 'proactiveSettings', class: ProactiveSettingsRepository, table: 'user_proactive_settings' },
+            { name: 'pushSubscriptions', class: PushSubscriptionRepository, table: 'push_subscriptions' },
             { name: 'commitments', class: CommitmentsRepository, table: 'commitments' },
             { name: 'events', class: EventsRepository, table: 'events' },
             // Configuration and analytics
@@ -227,12 +288,19 @@ class DatabaseService {
             userSessions: this.repositories.get('userSessions'),
             auth: this.repositories.get('auth'),
             chats: this.repositories.get('chats'),
+            chatCharacters: this.repositories.get('chatCharacters'),  // Characters taking part in each chat
             conversations: this.repositories.get('conversations'),
             conversationLogs: this.repositories.get('conversations'),  // Alias for conversation operations
             personalities: this.repositories.get('personalities'),
+            characterRevisions: this.repositories.get('characterRevisions'),  // Numbered character snapshots
+            lorebooks: this.repositories.get('lorebooks'),  // Lorebooks and their entries
+            promptTemplates: this.repositories.get('promptTemplates'),  // Versioned prompt template overrides
             sessions: this.repositories.get('sessions'),
             psychology: this.repositories.get('psychology'),
             proactive: this.repositories.get('proactive'),
+            proactiveJobs: this.repositories.get('proactiveJobs'),  // Persisted queue of delayed proactive messages
+            proactiveSettings: this.repositories.get('proactiveSettings'),  // Quiet hours, do-not-disturb and rate limits
+            pushSubscriptions: this.repositories.get('pushSubscriptions'),  // Browser push subscriptions
             commitments: this.repositories.get('commitments'),
             events: this.repositories.get('events'),
             configuration: this.repositories.get('configuration'),
@@ -246,6 +314,8 @@ class DatabaseService {
             psychologyEvolutionLog: this.repositories.get('psychology'),
             characterMemoryWeights: this.repositories.get('psychology'),
             memories: this.repositories.get('psychology'),  // Memory operations (weights, search) handled by psychology repository
+            memoryEmbeddings: this.repositories.get('memoryEmbeddings'),  // Semantic vector index over conversation_logs
+            conversationSummaries: this.repositories.get('conversationSummaries'),  // Rolling per-chat summaries
             
             // Proactive-related table access through proactive repository
             proactiveEngagements: this.repositories.get('proactive'),
@@ -355,6 +425,19 @@ async function setupServices(config = {}) {
             'configuration'
         ]);
 
+        // Prompt Template Service - Versioned prompt templates with global/user/character overrides
+        serviceFactory.registerService('promptTemplates', PromptTemplateService, [
+            'database',
+            'logger',
+            'errorHandling'
+        ]);
+
+        // Generation Registry Service - In-flight chat replies that can be stopped
+        serviceFactory.registerService('generations', GenerationRegistryService, [
+            'logger',
+            'errorHandling'
+        ]);
+
         // Auth Service - User authentication and session management
         serviceFactory.registerService('auth', AuthService, [
             'database',
@@ -371,22 +454,35 @@ async function setupServices(config = {}) {
         // Structured Response Service - JSON processing with LLM
         serviceFactory.registerService('structuredResponse', StructuredResponseService, ['llm', 'logger', 'errorHandling']);
 
+        // Embedding Service - Text embeddings for the semantic memory index
+        serviceFactory.registerService('embedding', EmbeddingService, ['llmConfig', 'logger', 'errorHandling']);
+
         // ===== INFRASTRUCTURE LAYER (CONTINUED) =====
         // Real-time communication services
 
+        // Push Notification Service - Web Push (VAPID) to subscribed browsers
+        serviceFactory.registerService('pushNotification', PushNotificationService, [
+            'database',
+            'logger',
+            'errorHandling'
+        ]);
+
         // Message Delivery Service - WebSocket connection management and message delivery
         serviceFactory.registerService('messageDelivery', MessageDeliveryService, [
             'database',
             'logger',
-            'errorHandling'
+            'errorHandling',
+            'pushNotification'
         ]);
 
-        // Scheduling Service - Background polling for scheduled proactive messages
+        // Scheduling Service - Background worker for the persisted proactive job queue
         serviceFactory.registerService('scheduling', SchedulingService, [
             'database',
             'logger',
             'errorHandling',
-            'messageDelivery'
+            'messageDelivery',
+            'proactiveDelivery',
+            'proactivePolicy'
         ]);
 
         // Event Scheduler Service - Polls and triggers scheduled events
@@ -394,7 +490,8 @@ async function setupServices(config = {}) {
             'database',
             'logger',
             'errorHandling',
-            'proactiveIntelligence'
+            'proactiveIntelligence',
+            'messageDelivery'
         ]);
 
         // ===== DOMAIN LAYER =====
@@ -402,12 +499,12 @@ async function setupServices(config = {}) {
 
         // Psychology Service - Character psychology and behavior
         serviceFactory.registerService('psychology', PsychologyService, [
-            'database', 'logger', 'errorHandling', 'structuredResponse'
+            'database', 'logger', 'errorHandling', 'structuredResponse', 'promptTemplates'
         ]);
 
         // Task Verification Service - AI-driven commitment verification
         serviceFactory.registerService('taskVerification', TaskVerificationService, [
-            'database', 'logger', 'errorHandling', 'structuredResponse', 'psychology'
+            'database', 'logger', 'errorHandling', 'structuredResponse', 'psychology', 'promptTemplates'
         ]);
 
         // Conversation Analyzer - Conversation flow and context analysis
@@ -425,27 +522,78 @@ async function setupServices(config = {}) {
             'database', 'structuredResponse', 'logger', 'errorHandling'
         ]);
 
+        // Proactive Policy Service - Quiet hours, do-not-disturb and rate limits for proactive messages
+        serviceFactory.registerService('proactivePolicy', ProactivePolicyService, [
+            'database', 'logger', 'errorHandling'
+        ]);
+
         // Proactive Delivery Service - Handles actual delivery of proactive messages
         serviceFactory.registerService('proactiveDelivery', ProactiveDeliveryService, [
-            'database', 'proactiveIntelligence', 'proactiveLearning', 'logger', 'errorHandling'
+            'database', 'proactiveIntelligence', 'proactiveLearning', 'proactivePolicy', 'messageDelivery', 'logger', 'errorHandling'
         ]);
 
         // Background Analysis Service - Handles all post-message background processing
         serviceFactory.registerService('backgroundAnalysis', BackgroundAnalysisService, [
             'database', 'logger', 'psychology', 'conversationAnalyzer', 'proactiveIntelligence', 
-            'proactiveDelivery', 'proactiveLearning', 'configuration'
+            'proactiveDelivery', 'proactiveLearning', 'configuration', 'memorySearch', 'conversationSummary',
+            'conversationBranch'
+        ]);
+
+        // Lorebook Service - World-info entries added to prompts by keyword triggers
+        serviceFactory.registerService('lorebook', LorebookService, [
+            'database', 'logger', 'errorHandling'
         ]);
 
         // Context Builder Service - Builds unified context for LLM conversations
         serviceFactory.registerService('contextBuilder', ContextBuilderService, [
-            'database', 'logger', 'errorHandling', 'llmConfig', 'psychology'
+            'database', 'logger', 'errorHandling', 'llmConfig', 'psychology', 'lorebook'
         ]);
 
         // Memory Search Service - Intelligent deep memory search with LLM-based intent analysis
         serviceFactory.registerService('memorySearch', MemorySearchService, [
+            'database', 'logger', 'errorHandling', 'structuredResponse', 'embedding', 'promptTemplates'
+        ]);
+
+        // Conversation Summary Service - Rolling layered summary of older turns
+        serviceFactory.registerService('conversationSummary', ConversationSummaryService, [
+            'database', 'logger', 'errorHandling', 'structuredResponse', 'contextBuilder'
+        ]);
+
+        // Tool Service - Tools characters can call during conversations
+        serviceFactory.registerService('tools', ToolService, [
+            'database', 'logger', 'errorHandling', 'memorySearch'
+        ]);
+
+        // Conversation Branch Service - Regenerate, edit and switch between message branches
+        serviceFactory.registerService('conversationBranch', ConversationBranchService, [
+            'database', 'logger', 'errorHandling', 'conversationSummary'
+        ]);
+
+        // Conversation Export Service - Markdown, JSON, HTML and SillyTavern exports of a chat
+        serviceFactory.registerService('conversationExport', ConversationExportService, [
+            'database', 'logger', 'errorHandling'
+        ]);
+
+        // Character Card Service - Character Card V1/V2/V3 import and export (JSON and PNG)
+        serviceFactory.registerService('characterCard', CharacterCardService, [
+            'database', 'logger', 'errorHandling'
+        ]);
+
+        // Character Revision Service - Edit history, diffs and rollback of character definitions
+        serviceFactory.registerService('characterRevisions', CharacterRevisionService, [
+            'database', 'logger', 'errorHandling', 'psychology'
+        ]);
+
+        // Group Chat Service - Participants and turn-taking for multi-character chats
+        serviceFactory.registerService('groupChat', GroupChatService, [
             'database', 'logger', 'errorHandling', 'structuredResponse'
         ]);
 
+        // Calendar Service - iCalendar feed and .ics import of character events
+        serviceFactory.registerService('calendar', CalendarService, [
+            'database', 'logger', 'errorHandling'
+        ]);
+
         // ===== INITIALIZE ALL SERVICES =====
         console.log('🚀 Initializing all services in dependency order...');
         
@@ -51,7 +51,7 @@ describe('CharactersRoutes API', () => {
         const charactersRoutes = new CharactersRoutes(mockServiceFactory);
 
         const req = {
-            query: { userId: 'test-user' }
+            user: { id: 'test-user' }, query: {}
         };
         const res = {
             json: jest.fn(),
@@ -96,7 +96,7 @@ describe('CharactersRoutes API', () => {
 
         const req = { 
             params: { characterId: 'aria-1' },
-            query: { userId: 'test-user' }
+            user: { id: 'test-user' }, query: {}
         };
         const res = {
             json: jest.fn(),
@@ -133,7 +133,7 @@ describe('CharactersRoutes API', () => {
 
         const req = { 
             params: { characterId: 'nonexistent' },
-            query: { userId: 'test-user' }
+            user: { id: 'test-user' }, query: {}
         };
         const res = {
             json: jest.fn(),
@@ -171,7 +171,7 @@ describe('CharactersRoutes API', () => {
         const charactersRoutes = new CharactersRoutes(mockServiceFactory);
 
         const req = {
-            query: { userId: 'test-user' },
+            user: { id: 'test-user' }, query: {},
             body: {
                 name: 'Test Character',
                 description: 'A test character',
@@ -210,7 +210,7 @@ describe('CharactersRoutes API', () => {
         const charactersRoutes = new CharactersRoutes(mockServiceFactory);
 
         const req = { 
-            query: { userId: 'test-user' },
+            user: { id: 'test-user' }, query: {},
             body: { name: '' } // Empty name
         };
         const res = {
@@ -258,7 +258,7 @@ describe('CharactersRoutes API', () => {
 
         const req = {
             params: { characterId: 'test-1' },
-            query: { userId: 'test-user' },
+            user: { id: 'test-user' }, query: {},
             body: {
                 name: 'Updated Name',
                 description: 'Updated description'
@@ -284,6 +284,110 @@ describe('CharactersRoutes API', () => {
         );
     });
 
+    it('should reject an invalid memory_scope on update', async () => {
+        const updateCharacter = jest.fn();
+        const mockServiceFactory = createServiceFactory({
+            database: {
+                getDAL: jest.fn().mockReturnValue({
+                    personalities: {
+                        getCharacter: jest.fn().mockResolvedValue({ id: 'test-1', user_id: 'test-user' }),
+                        updateCharacter
+                    }
+                })
+            }
+        });
+
+        const CharactersRoutes = require('../../backend/api/charactersRoutes');
+        const charactersRoutes = new CharactersRoutes(mockServiceFactory);
+
+        const req = {
+            params: { characterId: 'test-1' },
+            user: { id: 'test-user' }, query: {},
+            body: { memory_scope: 'everyone' }
+        };
+        const res = {
+            json: jest.fn(),
+            status: jest.fn().mockReturnThis()
+        };
+
+        const updateHandler = charactersRoutes.router.stack.find(layer => 
+            layer.route && layer.route.path === '/:characterId' && layer.route.methods.put
+        );
+
+        await updateHandler.route.stack[0].handle(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(updateCharacter).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown tool in tool_allowlist on update', async () => {
+        const updateCharacter = jest.fn();
+        const mockServiceFactory = createServiceFactory({
+            database: {
+                getDAL: jest.fn().mockReturnValue({
+                    personalities: {
+                        getCharacter: jest.fn().mockResolvedValue({ id: 'test-1', user_id: 'test-user' }),
+                        updateCharacter
+                    }
+                })
+            }
+        });
+
+        const CharactersRoutes = require('../../backend/api/charactersRoutes');
+        const charactersRoutes = new CharactersRoutes(mockServiceFactory);
+
+        const req = {
+            params: { characterId: 'test-1' },
+            user: { id: 'test-user' }, query: {},
+            body: { tool_allowlist: ['search_memory', 'delete_everything'] }
+        };
+        const res = {
+            json: jest.fn(),
+            status: jest.fn().mockReturnThis()
+        };
+
+        const updateHandler = charactersRoutes.router.stack.find(layer => 
+            layer.route && layer.route.path === '/:characterId' && layer.route.methods.put
+        );
+
+        await updateHandler.route.stack[0].handle(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(updateCharacter).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid stop_sequences and store valid ones on update', async () => {
+        const updateCharacter = jest.fn().mockResolvedValue({ updated: true });
+        const mockServiceFactory = createServiceFactory({
+            database: {
+                getDAL: jest.fn().mockReturnValue({
+                    personalities: {
+                        getCharacter: jest.fn().mockResolvedValue({ id: 'test-1', user_id: 'test-user' }),
+                        updateCharacter
+                    }
+                })
+            }
+        });
+
+        const CharactersRoutes = require('../../backend/api/charactersRoutes');
+        const charactersRoutes = new CharactersRoutes(mockServiceFactory);
+        const updateHandler = charactersRoutes.router.stack.find(layer => 
+            layer.route && layer.route.path === '/:characterId' && layer.route.methods.put
+        );
+        const request = body => ({ params: { characterId: 'test-1' }, user: { id: 'test-user' }, query: {}, body });
+
+        const badRes = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+        await updateHandler.route.stack[0].handle(request({ stop_sequences: ['\nUser:', ''] }), badRes);
+
+        expect(badRes.status).toHaveBeenCalledWith(400);
+        expect(updateCharacter).not.toHaveBeenCalled();
+
+        const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+        await updateHandler.route.stack[0].handle(request({ stop_sequences: ['\n{{user}}:'], merge_consecutive_turns: true }), res);
+
+        expect(updateCharacter).toHaveBeenCalledWith('test-1', { stop_sequences: ['\n{{user}}:'], merge_consecutive_turns: true });
+    });
+
     it('should return 404 when updating nonexistent character', async () => {
         const mockServiceFactory = createServiceFactory({
             database: {
@@ -300,7 +404,7 @@ describe('CharactersRoutes API', () => {
 
         const req = {
             params: { characterId: 'nonexistent' },
-            query: { userId: 'test-user' },
+            user: { id: 'test-user' }, query: {},
             body: { name: 'Updated Name' }
         };
 
@@ -343,7 +447,7 @@ describe('CharactersRoutes API', () => {
 
         const req = { 
             params: { characterId: 'test-1' },
-            query: { userId: 'test-user' }
+            user: { id: 'test-user' }, query: {}
         };
         const res = {
             json: jest.fn(),
@@ -383,7 +487,7 @@ describe('CharactersRoutes API', () => {
             const CharactersRoutes = require('../../backend/api/charactersRoutes');
             const charactersRoutes = new CharactersRoutes(mockServiceFactory);
 
-            const req = { query: { userId: 'user-1' } };
+            const req = { user: { id: 'user-1' }, query: {} };
             const res = {
                 json: jest.fn(),
                 status: jest.fn().mockReturnThis()
@@ -421,7 +525,7 @@ describe('CharactersRoutes API', () => {
 
             const req = { 
                 params: { characterId: 'char-1' },
-                query: { userId: 'user-2' } // Different user
+                user: { id: 'user-2' }, query: {} // Different user
             };
             const res = {
                 json: jest.fn(),
@@ -460,7 +564,7 @@ describe('CharactersRoutes API', () => {
 
             const req = { 
                 params: { characterId: 'char-1' },
-                query: { userId: 'user-2' }, // Different user
+                user: { id: 'user-2' }, query: {}, // Different user
                 body: { name: 'Updated' }
             };
             const res = {
@@ -500,7 +604,7 @@ describe('CharactersRoutes API', () => {
 
             const req = { 
                 params: { characterId: 'char-1' },
-                query: { userId: 'user-2' } // Different user
+                user: { id: 'user-2' }, query: {} // Different user
             };
             const res = {
                 json: jest.fn(),
@@ -522,62 +626,222 @@ describe('CharactersRoutes API', () => {
         });
     });
 
-    describe('Missing userId', () => {
-        it('should return 400 for GET / without userId', async () => {
-            const mockServiceFactory = createServiceFactory({});
+    describe('Character Cards', () => {
+        const CharacterCardService = require('../../backend/services/domain/CharacterCardService');
+        const card = {
+            spec: 'chara_card_v2',
+            spec_version: '2.0',
+            data: { name: 'Seraphina', description: 'Forest guardian', scenario: 'A glade', first_mes: 'Are you hurt?' }
+        };
+
+        const findHandler = (charactersRoutes, path, method) => charactersRoutes.router.stack.find(layer =>
+            layer.route && layer.route.path === path && layer.route.methods[method]
+        ).route.stack[0].handle;
+
+        const setup = (personalities) => {
+            const database = { getDAL: jest.fn().mockReturnValue({ personalities }) };
+            const characterCard = new CharacterCardService({ ...createMockDependencies(), database });
             const CharactersRoutes = require('../../backend/api/charactersRoutes');
-            const charactersRoutes = new CharactersRoutes(mockServiceFactory);
+            return new CharactersRoutes(createServiceFactory({ database, characterCard }));
+        };
 
-            const req = { 
-                query: {},
-                headers: {} // No userId in query or headers
-            };
-            const res = {
-                json: jest.fn(),
-                status: jest.fn().mockReturnThis()
-            };
+        it('should preview a card import without saving it', async () => {
+            const personalities = { createCharacter: jest.fn() };
+            const charactersRoutes = setup(personalities);
+            const req = { user: { id: 'test-user' }, query: {}, headers: {}, body: card };
+            const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
 
-            const getAllHandler = charactersRoutes.router.stack.find(layer => 
-                layer.route && layer.route.path === '/' && layer.route.methods.get
-            );
+            await findHandler(charactersRoutes, '/import/preview', 'post')(req, res);
 
-            await getAllHandler.route.stack[0].handle(req, res);
+            expect(personalities.createCharacter).not.toHaveBeenCalled();
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                success: true,
+                data: expect.objectContaining({
+                    format: 'chara_card_v2',
+                    character: expect.objectContaining({ name: 'Seraphina', background: 'A glade' }),
+                    mapping: expect.arrayContaining([
+                        { source: 'first_mes', target: 'communication_style.first_message', value: 'Are you hurt?' }
+                    ]),
+                    imageUrl: null
+                })
+            }));
+        });
+
+        it('should import a card for the requesting user', async () => {
+            const personalities = { createCharacter: jest.fn().mockResolvedValue({ created: true, id: 'new-id' }) };
+            const charactersRoutes = setup(personalities);
+            const req = { user: { id: 'test-user' }, query: {}, headers: {}, body: card };
+            const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+
+            await findHandler(charactersRoutes, '/import', 'post')(req, res);
+
+            expect(personalities.createCharacter).toHaveBeenCalledWith(expect.objectContaining({
+                user_id: 'test-user',
+                name: 'Seraphina',
+                description: 'Forest guardian',
+                communication_style: { first_message: 'Are you hurt?' }
+            }));
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, format: 'chara_card_v2' }));
+        });
+
+        it('should return 400 for an invalid card', async () => {
+            const charactersRoutes = setup({ createCharacter: jest.fn() });
+            const req = { user: { id: 'test-user' }, query: {}, headers: {}, body: { spec: 'chara_card_v2', data: {} } };
+            const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+
+            await findHandler(charactersRoutes, '/import', 'post')(req, res);
 
             expect(res.status).toHaveBeenCalledWith(400);
-            expect(res.json).toHaveBeenCalledWith(
-                expect.objectContaining({
-                    error: 'userId required'
-                })
-            );
+            expect(res.json).toHaveBeenCalledWith({ error: 'Invalid character data', details: 'Character name is required' });
+        });
+
+        it('should export a PNG card as a download', async () => {
+            const personalities = {
+                getCharacter: jest.fn().mockResolvedValue({ id: 'char-1', user_id: 'test-user', name: 'Seraphina', definition: '' })
+            };
+            const charactersRoutes = setup(personalities);
+            const req = { params: { characterId: 'char-1' }, user: { id: 'test-user' }, query: { format: 'png' }, headers: {} };
+            const res = { json: jest.fn(), send: jest.fn(), setHeader: jest.fn(), status: jest.fn().mockReturnThis() };
+
+            await findHandler(charactersRoutes, '/:characterId/export', 'get')(req, res);
+
+            expect(personalities.getCharacter).toHaveBeenCalledWith('char-1', 'test-user');
+            expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'image/png');
+            expect(res.setHeader).toHaveBeenCalledWith('Content-Disposition', 'attachment; filename="Seraphina.png"');
+            expect(Buffer.isBuffer(res.send.mock.calls[0][0])).toBe(true);
         });
+    });
+
+    describe('Character Revisions', () => {
+        const findHandler = (charactersRoutes, path, method) => charactersRoutes.router.stack.find(layer =>
+            layer.route && layer.route.path === path && layer.route.methods[method]
+        ).route.stack[0].handle;
 
-        it('should return 400 for POST / without userId', async () => {
-            const mockServiceFactory = createServiceFactory({});
+        const setup = (personalities, characterRevisions) => {
+            const database = { getDAL: jest.fn().mockReturnValue({ personalities }) };
             const CharactersRoutes = require('../../backend/api/charactersRoutes');
-            const charactersRoutes = new CharactersRoutes(mockServiceFactory);
+            return new CharactersRoutes(createServiceFactory({ database, characterRevisions }));
+        };
 
-            const req = { 
-                query: {},
-                headers: {}, // No userId in query or headers
-                body: { name: 'Test' }
+        it('should record the baseline before an edit and the new revision after it', async () => {
+            const calls = [];
+            const personalities = {
+                getCharacter: jest.fn().mockResolvedValue({ id: 'char-1', user_id: 'test-user', name: 'Aria' }),
+                updateCharacter: jest.fn(async () => { calls.push('update'); return { updated: true }; })
             };
-            const res = {
-                json: jest.fn(),
-                status: jest.fn().mockReturnThis()
+            const characterRevisions = {
+                ensureBaseline: jest.fn(async () => { calls.push('baseline'); }),
+                recordRevision: jest.fn(async () => {
+                    calls.push('record');
+                    return { revision: { id: 'rev-2', revision_number: 2 }, analysis: Promise.resolve(null) };
+                })
             };
+            const charactersRoutes = setup(personalities, characterRevisions);
+            const req = { params: { characterId: 'char-1' }, user: { id: 'test-user' }, query: {}, headers: {}, body: { background: 'New definition' } };
+            const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
 
-            const createHandler = charactersRoutes.router.stack.find(layer => 
-                layer.route && layer.route.path === '/' && layer.route.methods.post
-            );
+            await findHandler(charactersRoutes, '/:characterId', 'put')(req, res);
 
-            await createHandler.route.stack[0].handle(req, res);
+            expect(calls).toEqual(['baseline', 'update', 'record']);
+            expect(characterRevisions.recordRevision).toHaveBeenCalledWith('char-1', 'test-user', 'edit');
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                success: true,
+                revision: { id: 'rev-2', revision_number: 2 },
+                frameworkReanalysis: true
+            }));
+        });
 
-            expect(res.status).toHaveBeenCalledWith(400);
-            expect(res.json).toHaveBeenCalledWith(
-                expect.objectContaining({
-                    error: 'userId required'
-                })
-            );
+        it('should diff against the revision given in ?against', async () => {
+            const characterRevisions = { diffRevisions: jest.fn().mockResolvedValue({ fields: [], framework: [] }) };
+            const charactersRoutes = setup({}, characterRevisions);
+            const req = { params: { characterId: 'char-1', revisionId: 'rev-3' }, user: { id: 'test-user' }, query: { against: 'rev-1' }, headers: {} };
+            const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+
+            await findHandler(charactersRoutes, '/:characterId/revisions/:revisionId/diff', 'get')(req, res);
+
+            expect(characterRevisions.diffRevisions).toHaveBeenCalledWith('char-1', 'test-user', 'rev-3', 'rev-1');
+            expect(res.json).toHaveBeenCalledWith({ success: true, data: { fields: [], framework: [] } });
+        });
+
+        it('should roll back and report the restored revision number', async () => {
+            const characterRevisions = {
+                rollback: jest.fn().mockResolvedValue({ revision: { id: 'rev-4', rolled_back_to: 1 }, analysis: null })
+            };
+            const charactersRoutes = setup({}, characterRevisions);
+            const req = { params: { characterId: 'char-1', revisionId: 'rev-1' }, user: { id: 'test-user' }, query: {}, headers: {} };
+            const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+
+            await findHandler(charactersRoutes, '/:characterId/revisions/:revisionId/rollback', 'post')(req, res);
+
+            expect(res.json).toHaveBeenCalledWith({
+                success: true,
+                data: { id: 'rev-4', rolled_back_to: 1 },
+                frameworkReanalysis: false,
+                message: 'Character rolled back to revision 1'
+            });
+        });
+
+        it('should map a missing revision to 404', async () => {
+            const notFound = Object.assign(new Error('Revision not found'), { statusCode: 404 });
+            const characterRevisions = { getRevision: jest.fn().mockRejectedValue(notFound) };
+            const charactersRoutes = setup({}, characterRevisions);
+            const req = { params: { characterId: 'char-1', revisionId: 'nope' }, user: { id: 'test-user' }, query: {}, headers: {} };
+            const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+
+            await findHandler(charactersRoutes, '/:characterId/revisions/:revisionId', 'get')(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ error: 'Revision not found' });
+        });
+    });
+
+    describe('Authentication', () => {
+        const setup = () => {
+            const auth = {
+                validateSession: jest.fn(async token => (token === 'token-1'
+                    ? { valid: true, user: { id: 'user-1' }, chatId: null }
+                    : { valid: false, user: null }))
+            };
+            const CharactersRoutes = require('../../backend/api/charactersRoutes');
+            const charactersRoutes = new CharactersRoutes(createServiceFactory({ auth, logger: createMockDependencies().logger }));
+            // The session check runs before every route
+            return charactersRoutes.router.stack.find(layer => !layer.route).handle;
+        };
+
+        it('should return 401 without a session', async () => {
+            const authLayer = setup();
+            const req = { query: { userId: 'user-1' }, headers: {} };
+            const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+            const next = jest.fn();
+
+            await authLayer(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should return 403 when the userId belongs to someone else', async () => {
+            const authLayer = setup();
+            const req = { query: { userId: 'user-2' }, headers: { authorization: 'Bearer token-1' } };
+            const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+            const next = jest.fn();
+
+            await authLayer(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should act as the session user', async () => {
+            const authLayer = setup();
+            const req = { query: {}, headers: { authorization: 'Bearer token-1' } };
+            const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+            const next = jest.fn();
+
+            await authLayer(req, res, next);
+
+            expect(next).toHaveBeenCalled();
+            expect(req.user).toEqual({ id: 'user-1' });
         });
     });
 });
\ No newline at end of file
@@ -300,6 +300,542 @@ describe('ChatRoutes API', () => {
         );
     });
 
+    it('should fit the prompt into the model context length and report trimmed sections', async () => {
+        const mockServiceFactory = createServiceFactory({
+            llmConfig: {
+                resolvePromptBudget: jest.fn().mockResolvedValue({
+                    model: 'llama-3.1-8b',
+                    contextLength: 1024,
+                    responseReserve: 512,
+                    promptTokens: 512,
+                    sectionPriority: null
+                })
+            }
+        });
+
+        const ChatRoutes = require('../../backend/api/chatRoutes');
+        const chatRoutes = new ChatRoutes(mockServiceFactory);
+
+        const { systemPrompt, history, userTurn, promptBudget } = await chatRoutes.assemblePrompt({
+            character: { name: 'Aria', description: 'Friendly AI assistant' },
+            characterBackground: 'Aria grew up by the sea. '.repeat(200),
+            dateTimeContext: 'Current date: Sunday, October 18, 2026',
+            userProfile: null,
+            conversationState: { conversation_started_at: null, messages_exchanged: 2, last_message: null },
+            context: {
+                recentMessages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello!' }],
+                psychologyState: null,
+                topMemories: [],
+                activeCommitments: [],
+                upcomingEvents: [],
+                recentCompletions: []
+            },
+            deepMemories: []
+        }, 'How are you?', 'user-1', 'aria-1');
+
+        expect(mockServiceFactory.get('llmConfig').resolvePromptBudget).toHaveBeenCalledWith('user-1', 'aria-1', 'conversational');
+        expect(systemPrompt.startsWith('You are Aria, Friendly AI assistant')).toBe(true);
+        expect(history).toEqual([{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello!' }]);
+        expect(userTurn).toBe('How are you?');
+        expect(promptBudget.contextLength).toBe(1024);
+        expect(promptBudget.estimatedTokens).toBeLessThanOrEqual(512);
+        expect(promptBudget.dropped).toEqual(expect.arrayContaining([
+            expect.objectContaining({ section: 'background', action: 'truncated' })
+        ]));
+    });
+
+    it('should describe the LLM backend that served a reply', () => {
+        const mockServiceFactory = createServiceFactory({});
+        const ChatRoutes = require('../../backend/api/chatRoutes');
+        const chatRoutes = new ChatRoutes(mockServiceFactory);
+
+        expect(chatRoutes.describeServingBackend({
+            content: 'Hi',
+            provider: 'local-ollama',
+            model: 'llama3.1:8b',
+            attempts: 4,
+            failover: true,
+            endpoint: 'http://localhost:11434'
+        })).toEqual({ provider: 'local-ollama', model: 'llama3.1:8b', attempts: 4, failover: true });
+        expect(chatRoutes.describeServingBackend('plain text')).toBeNull();
+    });
+
+    it('should switch branches and return the annotated active history', async () => {
+        const history = [{ id: 'u1', role: 'user' }, { id: 'a1b', role: 'assistant' }];
+        const mockServiceFactory = createServiceFactory({
+            database: {
+                getDAL: jest.fn().mockReturnValue({
+                    conversations: {
+                        getChatById: jest.fn().mockResolvedValue({ id: 'chat-1', user_id: 'user-1' }),
+                        getSessionHistory: jest.fn().mockResolvedValue(history)
+                    }
+                })
+            },
+            conversationBranch: {
+                switchBranch: jest.fn().mockResolvedValue({ activePath: ['u1', 'a1b'] }),
+                annotateBranches: jest.fn(async (chatId, messages) => messages.map(m => ({ ...m, branch: { index: 1, count: 2 } })))
+            }
+        });
+
+        const ChatRoutes = require('../../backend/api/chatRoutes');
+        const chatRoutes = new ChatRoutes(mockServiceFactory);
+
+        const switchRoute = chatRoutes.router.stack.find(layer =>
+            layer.route && layer.route.path === '/:chatId/messages/:messageId/switch' && layer.route.methods.post
+        ).route;
+        const handler = switchRoute.stack[switchRoute.stack.length - 1].handle;
+
+        const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+        await handler({ params: { chatId: 'chat-1', messageId: 'a1b' }, user: { id: 'user-1' } }, res);
+
+        expect(mockServiceFactory.get('conversationBranch').switchBranch).toHaveBeenCalledWith('chat-1', 'a1b');
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            data: {
+                activePath: ['u1', 'a1b'],
+                messages: [
+                    { id: 'u1', role: 'user', branch: { index: 1, count: 2 } },
+                    { id: 'a1b', role: 'assistant', branch: { index: 1, count: 2 } }
+                ]
+            }
+        });
+
+        // Another user's chat is rejected before anything changes
+        const otherRes = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+        await handler({ params: { chatId: 'chat-1', messageId: 'a1b' }, user: { id: 'user-2' } }, otherRes);
+        expect(otherRes.status).toHaveBeenCalledWith(403);
+        expect(mockServiceFactory.get('conversationBranch').switchBranch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should map branch validation errors to their status code', () => {
+        const ChatRoutes = require('../../backend/api/chatRoutes');
+        const chatRoutes = new ChatRoutes(createServiceFactory({}));
+        const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+        const error = Object.assign(new Error('Only assistant replies can be regenerated'), { statusCode: 400 });
+
+        chatRoutes.sendBranchError(res, error, 'Failed to regenerate message');
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            success: false,
+            error: 'Only assistant replies can be regenerated'
+        }));
+    });
+
+    it('should search the authenticated user\'s messages with filters', async () => {
+        const results = [{ id: 'm1', chat_id: 'chat-1', role: 'user', snippet: 'my dog Rex', highlights: [] }];
+        const searchMessages = jest.fn().mockResolvedValue(results);
+        const mockServiceFactory = createServiceFactory({
+            database: {
+                getDAL: jest.fn().mockReturnValue({
+                    conversations: { searchMessages },
+                    users: { findById: jest.fn().mockResolvedValue({ id: 'user-1' }) }
+                })
+            }
+        });
+
+        const ChatRoutes = require('../../backend/api/chatRoutes');
+        const chatRoutes = new ChatRoutes(mockServiceFactory);
+        const searchRoute = chatRoutes.router.stack.find(layer =>
+            layer.route && layer.route.path === '/search' && layer.route.methods.get
+        ).route;
+        const handler = searchRoute.stack[searchRoute.stack.length - 1].handle;
+
+        const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+        await handler({
+            query: { q: 'dog re', characterId: 'char-1', role: 'user', from: '2026-10-01', limit: '500' },
+            user: { id: 'user-1' }
+        }, res);
+
+        expect(searchMessages).toHaveBeenCalledWith('user-1', '"dog" "re"*', expect.objectContaining({
+            characterId: 'char-1',
+            role: 'user',
+            from: '2026-10-01T00:00:00.000Z',
+            to: null,
+            limit: 100,
+            offset: 0
+        }));
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            data: results,
+            pagination: { limit: 100, offset: 0, hasMore: false }
+        });
+    });
+
+    it('should read date-only search filters in the user\'s time zone', async () => {
+        const searchMessages = jest.fn().mockResolvedValue([]);
+        const ChatRoutes = require('../../backend/api/chatRoutes');
+        const chatRoutes = new ChatRoutes(createServiceFactory({
+            database: {
+                getDAL: jest.fn().mockReturnValue({
+                    conversations: { searchMessages },
+                    users: { findById: jest.fn().mockResolvedValue({ id: 'user-1', timezone: 'Europe/Berlin' }) }
+                })
+            }
+        }));
+        const searchRoute = chatRoutes.router.stack.find(layer =>
+            layer.route && layer.route.path === '/search' && layer.route.methods.get
+        ).route;
+        const handler = searchRoute.stack[searchRoute.stack.length - 1].handle;
+
+        const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+        await handler({
+            query: { q: 'dog', from: '2026-10-01', to: '2026-10-25' },
+            user: { id: 'user-1' }
+        }, res);
+
+        // Berlin is UTC+2 on October 1st and back to UTC+1 from October 25th
+        expect(searchMessages).toHaveBeenCalledWith('user-1', '"dog"*', expect.objectContaining({
+            from: '2026-09-30T22:00:00.000Z',
+            to: '2026-10-25T22:59:59.999Z'
+        }));
+    });
+
+    it('should reject invalid search requests', async () => {
+        const searchMessages = jest.fn();
+        const ChatRoutes = require('../../backend/api/chatRoutes');
+        const chatRoutes = new ChatRoutes(createServiceFactory({
+            database: {
+                getDAL: jest.fn().mockReturnValue({
+                    conversations: { searchMessages },
+                    users: { findById: jest.fn().mockResolvedValue(null) }
+                })
+            }
+        }));
+        const searchRoute = chatRoutes.router.stack.find(layer =>
+            layer.route && layer.route.path === '/search' && layer.route.methods.get
+        ).route;
+        const handler = searchRoute.stack[searchRoute.stack.length - 1].handle;
+
+        for (const query of [{}, { q: '  "" ' }, { q: 'dog', role: 'system' }, { q: 'dog', to: 'yesterday' }]) {
+            const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+            await handler({ query, user: { id: 'user-1' } }, res);
+            expect(res.status).toHaveBeenCalledWith(400);
+        }
+        expect(searchMessages).not.toHaveBeenCalled();
+    });
+
+    it('should send chat exports as file downloads', async () => {
+        const exportChat = jest.fn().mockResolvedValue({
+            filename: 'Aria_chat_2026-10-18.md',
+            contentType: 'text/markdown; charset=utf-8',
+            body: '# Chat with Aria'
+        });
+        const ChatRoutes = require('../../backend/api/chatRoutes');
+        const chatRoutes = new ChatRoutes(createServiceFactory({
+            database: {
+                getDAL: jest.fn().mockReturnValue({
+                    conversations: {
+                        getChatById: jest.fn().mockResolvedValue({ id: 'chat-1', user_id: 'user-1' })
+                    }
+                })
+            },
+            conversationExport: { exportChat }
+        }));
+        const exportRoute = chatRoutes.router.stack.find(layer =>
+            layer.route && layer.route.path === '/:chatId/export' && layer.route.methods.get
+        ).route;
+        const handler = exportRoute.stack[exportRoute.stack.length - 1].handle;
+
+        const res = { setHeader: jest.fn(), send: jest.fn(), json: jest.fn(), status: jest.fn().mockReturnThis() };
+        await handler({ params: { chatId: 'chat-1' }, query: { format: 'md' }, user: { id: 'user-1' } }, res);
+
+        expect(exportChat).toHaveBeenCalledWith('chat-1', 'user-1', 'md');
+        expect(res.setHeader).toHaveBeenCalledWith('Content-Disposition', 'attachment; filename="Aria_chat_2026-10-18.md"');
+        expect(res.send).toHaveBeenCalledWith('# Chat with Aria');
+
+        // Unsupported formats come back as 400, other users' chats as 403
+        exportChat.mockRejectedValueOnce(Object.assign(new Error('Unsupported export format: pdf'), { statusCode: 400 }));
+        const badRes = { setHeader: jest.fn(), send: jest.fn(), json: jest.fn(), status: jest.fn().mockReturnThis() };
+        await handler({ params: { chatId: 'chat-1' }, query: { format: 'pdf' }, user: { id: 'user-1' } }, badRes);
+        expect(badRes.status).toHaveBeenCalledWith(400);
+
+        const otherRes = { setHeader: jest.fn(), send: jest.fn(), json: jest.fn(), status: jest.fn().mockReturnThis() };
+        await handler({ params: { chatId: 'chat-1' }, query: {}, user: { id: 'user-2' } }, otherRes);
+        expect(otherRes.status).toHaveBeenCalledWith(403);
+        expect(exportChat).toHaveBeenCalledTimes(2);
+    });
+
+    it('should tell each group chat character who else is talking', () => {
+        const ChatRoutes = require('../../backend/api/chatRoutes');
+        const chatRoutes = new ChatRoutes(createServiceFactory({}));
+        const group = {
+            participants: [{ id: 'char-1', name: 'Aria' }, { id: 'char-2', name: 'Bram' }]
+        };
+        const recentMessages = [
+            { role: 'user', content: 'Hi both' },
+            { role: 'assistant', content: 'Hello!', personality_id: 'char-2' },
+            { role: 'assistant', content: 'Hey there.', personality_id: 'char-1' },
+            { role: 'user', content: 'What now?' }
+        ];
+        const character = { id: 'char-1', name: 'Aria', description: 'Friendly AI assistant' };
+
+        const sections = chatRoutes.buildPromptSections(
+            character,
+            '',
+            'Current date: Sunday, October 18, 2026',
+            null,
+            { conversation_started_at: null, messages_exchanged: 2, last_message: null },
+            { recentMessages, psychologyState: null, topMemories: [], activeCommitments: [], upcomingEvents: [], recentCompletions: [], group },
+            []
+        );
+        const groupSection = sections.find(section => section.name === 'group_chat');
+
+        expect(groupSection.required).toBe(true);
+        expect(groupSection.content).toContain('Aria (you), Bram');
+        expect(chatRoutes.buildHistoryTurns(character, recentMessages, group, 'What now?')).toEqual([
+            { role: 'user', content: 'Hi both' },
+            { role: 'user', content: 'Bram: Hello!' },
+            { role: 'assistant', content: 'Hey there.' }
+        ]);
+    });
+
+    it('should place triggered lore at each entry position', () => {
+        const ChatRoutes = require('../../backend/api/chatRoutes');
+        const chatRoutes = new ChatRoutes(createServiceFactory({}));
+        const lore = [
+            { id: 'e1', content: 'Magic is outlawed.', position: 'before_character', priority: 100 },
+            { id: 'e2', content: 'The harbor closes at dusk.', position: 'after_character', priority: 200 },
+            { id: 'e3', content: 'Valen owes Aria money.', position: 'after_character', priority: 50 }
+        ];
+
+        const sections = chatRoutes.buildPromptSections(
+            { id: 'char-1', name: 'Aria', description: 'Friendly AI assistant' },
+            '',
+            'Current date: Sunday, October 18, 2026',
+            null,
+            { conversation_started_at: null, messages_exchanged: 0, last_message: null },
+            { recentMessages: [], psychologyState: null, topMemories: [], activeCommitments: [], upcomingEvents: [], recentCompletions: [], lore },
+            []
+        );
+        const names = sections.map(section => section.name);
+        const before = sections.find(section => section.name === 'lore_before_character');
+        const after = sections.find(section => section.name === 'lore_after_character');
+        const beforeMessages = sections.find(section => section.name === 'lore_before_messages');
+
+        expect(names.indexOf('lore_before_character')).toBeLessThan(names.indexOf('identity'));
+        expect(names.indexOf('lore_after_character')).toBeGreaterThan(names.indexOf('identity'));
+        expect(before.render(before.items)).toBe('WORLD INFO:\nMagic is outlawed.');
+        expect(after.render(after.items)).toBe('WORLD INFO:\nThe harbor closes at dusk.\n\nValen owes Aria money.');
+        expect(beforeMessages.items).toEqual([]);
+    });
+
+    it('should lay the prompt out with the resolved and draft templates', async () => {
+        const resolveTemplate = jest.fn(async name => (name === 'chat_user_turn'
+            ? { name, content: '{{user}} says: {{message}}\n{{char}} replies:', scope: 'character', version: 2 }
+            : { name, content: 'Stay in character.', scope: 'default', version: 0 }));
+        const ChatRoutes = require('../../backend/api/chatRoutes');
+        const chatRoutes = new ChatRoutes(createServiceFactory({ promptTemplates: { resolveTemplate } }));
+        const promptParts = {
+            character: { id: 'char-1', name: 'Aria', description: 'Friendly AI assistant' },
+            characterBackground: '',
+            dateTimeContext: 'Current date: Sunday, October 18, 2026',
+            userProfile: { name: 'Sam' },
+            conversationState: { conversation_started_at: null, messages_exchanged: 0, last_message: null },
+            context: { recentMessages: [], psychologyState: null, topMemories: [], activeCommitments: [], upcomingEvents: [], recentCompletions: [] },
+            deepMemories: []
+        };
+
+        const result = await chatRoutes.assemblePrompt(promptParts, 'Hello', 'user-1', 'char-1', {
+            chat_system: 'Draft layout for {{char}}:\n{{identity}}\n\n{{closing}}'
+        });
+
+        expect(resolveTemplate).toHaveBeenCalledWith('chat_user_turn', { userId: 'user-1', characterId: 'char-1' });
+        expect(resolveTemplate).not.toHaveBeenCalledWith('chat_system', expect.anything());
+        expect(result.systemPrompt).toMatch(/^Draft layout for Aria:\n/);
+        expect(result.systemPrompt).not.toContain('Current date');
+        expect(result.userTurn).toBe('Sam says: Hello\nAria replies:');
+        expect(result.templates).toEqual({
+            chat_system: { scope: 'draft', version: null },
+            chat_user_turn: { scope: 'character', version: 2 }
+        });
+    });
+
+    it('should send the history as turns with the character\'s stop sequences', async () => {
+        const ChatRoutes = require('../../backend/api/chatRoutes');
+        const chatRoutes = new ChatRoutes(createServiceFactory({}));
+        const character = {
+            id: 'char-1',
+            name: 'Aria',
+            description: 'Friendly AI assistant',
+            stop_sequences: ['\n{{user}}:', '{{char}}:'],
+            merge_consecutive_turns: true
+        };
+
+        const assembled = await chatRoutes.assemblePrompt({
+            character,
+            characterBackground: '',
+            dateTimeContext: 'Current date: Sunday, October 18, 2026',
+            userProfile: { name: 'Sam' },
+            conversationState: { conversation_started_at: null, messages_exchanged: 3, last_message: null },
+            context: {
+                recentMessages: [
+                    { sender: 'user', message: 'Hi' },
+                    { sender: 'assistant', message: 'Hello!', personality_id: 'char-1' },
+                    { sender: 'user', message: 'How are you?' }
+                ],
+                psychologyState: null,
+                topMemories: [],
+                activeCommitments: [],
+                upcomingEvents: [],
+                recentCompletions: []
+            },
+            deepMemories: []
+        }, 'How are you?', 'user-1', 'char-1');
+
+        expect(assembled.history).toEqual([{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello!' }]);
+        expect(assembled.systemPrompt).not.toContain('Hello!');
+        expect(assembled.promptBudget.sections).toContain('recent_messages');
+        expect(chatRoutes.buildMessageOptions(assembled)).toEqual({
+            systemPrompt: assembled.systemPrompt,
+            contextFitted: true,
+            mergeConsecutiveTurns: true,
+            stop: ['\nSam:', 'Aria:']
+        });
+    });
+
+    describe('Stopping generations', () => {
+        const GenerationRegistryService = require('../../backend/services/infrastructure/GenerationRegistryService');
+        const replyContext = {
+            chatId: 'chat-1',
+            userId: 'user-1',
+            characterId: 'char-1',
+            character: { id: 'char-1', name: 'Aria' },
+            message: 'Tell me a story',
+            parentId: 'msg-1'
+        };
+        let generations;
+        let saveMessage;
+        let processMessageAnalysis;
+
+        const createChatRoutes = (llm) => {
+            const ChatRoutes = require('../../backend/api/chatRoutes');
+            const chatRoutes = new ChatRoutes(createServiceFactory({
+                llm,
+                generations,
+                database: {
+                    getDAL: () => ({
+                        conversations: {
+                            saveMessage,
+                            getChatById: jest.fn().mockResolvedValue({ id: 'chat-1', user_id: 'user-1' })
+                        }
+                    })
+                },
+                backgroundAnalysis: { processMessageAnalysis }
+            }));
+            jest.spyOn(chatRoutes, 'gatherPromptParts').mockResolvedValue({ psychologyState: null, promptParts: { deepMemories: [] } });
+            jest.spyOn(chatRoutes, 'assemblePrompt').mockResolvedValue({
+                systemPrompt: 'You are Aria',
+                history: [],
+                userTurn: 'Tell me a story',
+                stop: [],
+                mergeConsecutiveTurns: false,
+                promptBudget: null
+            });
+            return chatRoutes;
+        };
+
+        const createStreamResponse = () => {
+            const listeners = {};
+            return {
+                writableEnded: false,
+                write: jest.fn(),
+                end: jest.fn(),
+                on: jest.fn((event, listener) => { listeners[event] = listener; }),
+                off: jest.fn(),
+                close: () => listeners.close(),
+                events: function () {
+                    return this.write.mock.calls.map(([data]) => JSON.parse(data.slice(6)));
+                }
+            };
+        };
+
+        beforeEach(() => {
+            generations = new GenerationRegistryService(createMockDependencies());
+            saveMessage = jest.fn().mockResolvedValue({ id: 'msg-2' });
+            processMessageAnalysis = jest.fn().mockResolvedValue();
+        });
+
+        it('should save the partial reply as truncated when the user stops it', async () => {
+            const stopRes = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+            let stopHandler;
+            const chatRoutes = createChatRoutes({
+                generateStreamingResponse: jest.fn(async (prompt, history, options, onChunk) => {
+                    onChunk('Once upon', 'Once upon');
+                    await stopHandler({ params: { chatId: 'chat-1' }, user: { id: 'user-1' } }, stopRes);
+                    return { content: 'Once upon', aborted: options.signal.aborted, provider: 'default', model: 'm1' };
+                })
+            });
+            const stopRoute = chatRoutes.router.stack.find(layer =>
+                layer.route && layer.route.path === '/:chatId/stop' && layer.route.methods.post
+            ).route;
+            stopHandler = stopRoute.stack[stopRoute.stack.length - 1].handle;
+            const res = createStreamResponse();
+
+            await chatRoutes.streamReply(res, replyContext);
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(stopRes.json).toHaveBeenCalledWith({ success: true, data: { stopped: 1 } });
+            expect(saveMessage).toHaveBeenCalledWith(
+                'chat-1',
+                'assistant',
+                'Once upon',
+                'chat',
+                expect.objectContaining({ truncated: true, stop_reason: 'user_stopped' }),
+                { parentId: 'msg-1', personalityId: 'char-1' }
+            );
+            expect(res.events().at(-1)).toMatchObject({ type: 'complete', fullResponse: 'Once upon', truncated: true });
+            expect(processMessageAnalysis).toHaveBeenCalledWith(expect.objectContaining({ messageId: 'msg-2', truncated: true }));
+            expect(generations.isGenerating('chat-1')).toBe(false);
+        });
+
+        it('should abort the generation when the client disconnects', async () => {
+            let res;
+            const chatRoutes = createChatRoutes({
+                generateStreamingResponse: jest.fn(async (prompt, history, options) => {
+                    res.close();
+                    return { content: '', aborted: options.signal.aborted };
+                })
+            });
+            res = createStreamResponse();
+
+            await chatRoutes.streamReply(res, replyContext);
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(res.events()).toEqual([{ type: 'stopped', reason: 'client_disconnected' }]);
+            expect(saveMessage).not.toHaveBeenCalled();
+            expect(processMessageAnalysis).not.toHaveBeenCalled();
+            expect(res.off).toHaveBeenCalledWith('close', expect.any(Function));
+        });
+    });
+
+    it('should create group chats through the group chat service', async () => {
+        const createGroupChat = jest.fn().mockResolvedValue({
+            chat: { id: 'chat-1' },
+            participants: [{ id: 'char-1' }, { id: 'char-2' }]
+        });
+        const ChatRoutes = require('../../backend/api/chatRoutes');
+        const chatRoutes = new ChatRoutes(createServiceFactory({ groupChat: { createGroupChat } }));
+        const groupRoute = chatRoutes.router.stack.find(layer =>
+            layer.route && layer.route.path === '/group' && layer.route.methods.post
+        ).route;
+        const handler = groupRoute.stack[groupRoute.stack.length - 1].handle;
+
+        const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+        await handler({ body: { characterIds: ['char-1', 'char-2'], turnStrategy: 'mention' }, user: { id: 'user-1' } }, res);
+
+        expect(createGroupChat).toHaveBeenCalledWith('user-1', expect.objectContaining({
+            characterIds: ['char-1', 'char-2'],
+            turnStrategy: 'mention'
+        }));
+        expect(res.status).toHaveBeenCalledWith(201);
+
+        createGroupChat.mockRejectedValueOnce(Object.assign(new Error('turnStrategy must be one of: round_robin, mention, llm'), { statusCode: 400 }));
+        const badRes = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+        await handler({ body: { characterIds: ['char-1'], turnStrategy: 'random' }, user: { id: 'user-1' } }, badRes);
+        expect(badRes.status).toHaveBeenCalledWith(400);
+    });
+
     it('should set CORS headers', () => {
         const mockServiceFactory = createServiceFactory({});
         const ChatRoutes = require('../../backend/api/chatRoutes');
@@ -0,0 +1,415 @@
+/**
+ * Route Authorization Tests
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Mounts the chat, character, commitment, event and proactive routers on a real HTTP server
+ * - Identity comes from the session token (mocked AuthService.validateSession)
+ * - Proves that requests without a session are rejected (401)
+ * - Proves that Bob cannot read or change Alice's data through any route (403/404)
+ * - Proves that client-supplied userIds are ignored in favour of the session user
+ * - Proves that the calendar feed answers only to its secret token
+ */
+
+const http = require('http');
+const express = require('express');
+const ChatRoutes = require('../../backend/api/chatRoutes');
+const CharactersRoutes = require('../../backend/api/charactersRoutes');
+const CommitmentRoutes = require('../../backend/api/commitmentRoutes');
+const EventRoutes = require('../../backend/api/eventRoutes');
+const ProactiveRoutes = require('../../backend/api/proactiveRoutes');
+const PushRoutes = require('../../backend/api/pushRoutes');
+const CalendarService = require('../../backend/services/domain/CalendarService');
+const CharacterCardService = require('../../backend/services/domain/CharacterCardService');
+const CharacterRevisionService = require('../../backend/services/domain/CharacterRevisionService');
+
+describe('Route Authorization', () => {
+    let server;
+    let baseUrl;
+    let dal;
+    let services;
+
+    const sessions = {
+        'token-alice': { id: 'alice', username: 'alice' },
+        'token-bob': { id: 'bob', username: 'bob' }
+    };
+
+    // Alice owns every stored record
+    const owned = extra => ({ user_id: 'alice', ...extra });
+
+    // The auth middleware captures the auth service and logger when the routes
+    // are built, so those are plain functions (jest.setup resets mocks after each test)
+    const auth = {
+        validateSession: async token => (sessions[token]
+            ? { valid: true, user: sessions[token], chatId: null }
+            : { valid: false, user: null })
+    };
+    const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+    const createServices = () => {
+        // Characters created during a test, next to Alice's stored one
+        const characters = new Map();
+
+        dal = {
+            conversations: {
+                getChatById: jest.fn(async id => (id === 'chat-alice' ? owned({ id, personality_id: 'char-alice' }) : null)),
+                saveMessage: jest.fn().mockResolvedValue({ id: 'msg-1' }),
+                deleteChat: jest.fn().mockResolvedValue({}),
+                searchMessages: jest.fn().mockResolvedValue([]),
+                getSessionHistory: jest.fn().mockResolvedValue([])
+            },
+            chats: {
+                findById: jest.fn().mockResolvedValue(null),
+                createChat: jest.fn().mockResolvedValue({}),
+                getUserChats: jest.fn().mockResolvedValue({ chats: [] }),
+                getRecentUserChats: jest.fn().mockResolvedValue([]),
+                getUserChat: jest.fn().mockResolvedValue(null)
+            },
+            personalities: {
+                // Services pass the user to get only their own character
+                getCharacter: jest.fn(async (id, userId) => {
+                    const character = id === 'char-alice' ? owned({ id, name: 'Aria' }) : characters.get(id);
+                    return character && (!userId || character.user_id === userId) ? character : null;
+                }),
+                getUserCharacters: jest.fn().mockResolvedValue([]),
+                createCharacter: jest.fn(async character => {
+                    characters.set(character.id, character);
+                    return character;
+                }),
+                updateCharacter: jest.fn(),
+                deleteCharacter: jest.fn()
+            },
+            characterRevisions: {
+                getRevisions: jest.fn().mockResolvedValue([]),
+                getRevision: jest.fn(async (characterId, id) => ({ id, revision_number: 1, snapshot: { name: 'Aria' } })),
+                getLatestRevision: jest.fn().mockResolvedValue(null),
+                createRevision: jest.fn(async revision => ({ id: 'rev-new', revision_number: 1, ...revision }))
+            },
+            commitments: {
+                findById: jest.fn(async id => owned({ id, status: 'submitted' })),
+                getCommitmentWithContext: jest.fn(async id => owned({ id })),
+                getActiveCommitments: jest.fn().mockResolvedValue([]),
+                getUserCommitments: jest.fn().mockResolvedValue([]),
+                submitCommitment: jest.fn(),
+                verifyCommitment: jest.fn(),
+                update: jest.fn(),
+                delete: jest.fn()
+            },
+            events: {
+                getEventById: jest.fn(async id => owned({ id })),
+                getUpcomingEvents: jest.fn().mockResolvedValue([]),
+                updateEventStatus: jest.fn(),
+                updateEventOccurrence: jest.fn(),
+                deactivateEvent: jest.fn(),
+                getCalendarEvents: jest.fn().mockResolvedValue([]),
+                createEvent: jest.fn(),
+                updateExdates: jest.fn()
+            },
+            users: {
+                findById: jest.fn().mockResolvedValue(null),
+                findByCalendarToken: jest.fn(async token => (token === 'feed-alice' ? { id: 'alice', username: 'alice' } : null))
+            },
+            query: jest.fn().mockResolvedValue([]),
+            queryOne: jest.fn(async () => owned({ id: 'engagement-1' })),
+            execute: jest.fn().mockResolvedValue({ changes: 1 })
+        };
+
+        services = {
+            auth,
+            logger,
+            database: { getDAL: () => dal },
+            psychology: {
+                getCharacterState: jest.fn().mockResolvedValue(null),
+                getPersonalityFrameworkRecord: jest.fn().mockResolvedValue(null)
+            },
+            conversationBranch: {
+                annotateBranches: jest.fn(async (chatId, messages) => messages),
+                prepareRegenerate: jest.fn(),
+                editUserMessage: jest.fn(),
+                switchBranch: jest.fn()
+            },
+            conversationSummary: { getSummary: jest.fn(), resetSummary: jest.fn() },
+            conversationExport: { exportChat: jest.fn() },
+            proactiveDelivery: { registerSession: jest.fn(() => () => {}) },
+            proactivePolicy: {
+                getSettings: jest.fn(async userId => ({ userId })),
+                updateSettings: jest.fn(async userId => ({ userId })),
+                getSuppressions: jest.fn().mockResolvedValue([])
+            },
+            pushNotification: {
+                getPublicKey: jest.fn(() => 'public-key'),
+                getSubscriptions: jest.fn().mockResolvedValue([]),
+                subscribe: jest.fn(async userId => ({ userId })),
+                unsubscribe: jest.fn().mockResolvedValue(true),
+                sendToUser: jest.fn().mockResolvedValue({ sent: 0, failed: 0, removed: 0 })
+            }
+        };
+        services.calendar = new CalendarService({
+            database: services.database,
+            logger,
+            errorHandling: createMockDependencies().errorHandling
+        });
+        services.characterCard = new CharacterCardService({
+            database: services.database,
+            logger,
+            errorHandling: createMockDependencies().errorHandling
+        });
+        services.characterRevisions = new CharacterRevisionService({
+            database: services.database,
+            logger,
+            errorHandling: createMockDependencies().errorHandling,
+            psychology: services.psychology
+        });
+    };
+
+    beforeAll(done => {
+        createServices();
+        const serviceFactory = { get: name => services[name] };
+        const app = express();
+        app.use(express.json());
+        app.use('/api/chat', new ChatRoutes(serviceFactory).getRouter());
+        app.use('/api/characters', new CharactersRoutes(serviceFactory).getRouter());
+        app.use('/api/commitments', new CommitmentRoutes(serviceFactory).getRouter());
+        app.use('/api/events', new EventRoutes(serviceFactory).getRouter());
+        app.use('/api/proactive', new ProactiveRoutes(serviceFactory).getRouter());
+        app.use('/api/push', new PushRoutes(serviceFactory).getRouter());
+
+        server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.closeAllConnections();
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        createServices();
+    });
+
+    const request = (method, path, { token, body } = {}) => {
+        return new Promise((resolve, reject) => {
+            const headers = { 'Content-Type': 'application/json' };
+            if (token) headers.Authorization = `Bearer ${token}`;
+            // Node sends DELETE bodies without chunked encoding, so they need a length
+            const data = body ? JSON.stringify(body) : null;
+            if (data) headers['Content-Length'] = Buffer.byteLength(data);
+
+            // No keep-alive, so the server closes cleanly after the suite
+            const req = http.request(new URL(path, baseUrl), { method, headers, agent: false }, (res) => {
+                res.resume();
+                res.on('end', () => resolve(res.statusCode));
+            });
+
+            req.on('error', reject);
+            if (data) {
+                req.write(data);
+            }
+            req.end();
+        });
+    };
+
+    // Every data route, aimed at Alice's records
+    const routeTable = [
+        ['POST', '/api/chat/message', { chatId: 'chat-alice', characterId: 'char-alice', message: 'Hi' }],
+        ['POST', '/api/chat/stream', { chatId: 'chat-alice', characterId: 'char-alice', message: 'Hi' }],
+        ['GET', '/api/chat/history/chat-alice'],
+        ['GET', '/api/chat/psychology/chat-alice'],
+        ['GET', '/api/chat/proactive/chat-alice'],
+        ['GET', '/api/chat/search?q=hello&userId=alice'],
+        ['GET', '/api/chat/user/alice/chats'],
+        ['GET', '/api/chat/user/alice/chats/recent'],
+        ['POST', '/api/chat/user/alice/chats', { chatId: 'chat-new', title: 'New', personalityId: 'char-alice' }],
+        ['POST', '/api/chat/chat-alice/messages/msg-1/regenerate'],
+        ['POST', '/api/chat/chat-alice/messages/msg-1/edit', { content: 'Edited' }],
+        ['POST', '/api/chat/chat-alice/messages/msg-1/switch'],
+        ['GET', '/api/chat/chat-alice/export?format=json'],
+        ['GET', '/api/chat/chat-alice/summary'],
+        ['DELETE', '/api/chat/chat-alice/summary'],
+        ['DELETE', '/api/chat/chat-alice'],
+        ['GET', '/api/characters/char-alice'],
+        ['PUT', '/api/characters/char-alice', { name: 'Renamed' }],
+        ['DELETE', '/api/characters/char-alice'],
+        ['GET', '/api/characters/char-alice/export'],
+        ['GET', '/api/characters/char-alice/export?format=v2'],
+        ['GET', '/api/characters/char-alice/export?format=v3'],
+        ['GET', '/api/characters/char-alice/export?format=png'],
+        ['GET', '/api/characters/char-alice/image'],
+        ['GET', '/api/characters/char-alice/revisions'],
+        ['GET', '/api/characters/char-alice/revisions/rev-1'],
+        ['GET', '/api/characters/char-alice/revisions/rev-1/diff'],
+        ['POST', '/api/characters/char-alice/revisions/rev-1/rollback'],
+        ['GET', '/api/commitments/active?chatId=chat-alice&userId=alice'],
+        ['GET', '/api/commitments/history?userId=alice'],
+        ['POST', '/api/commitments/commitment-1/submit', { submissionText: 'Done' }],
+        ['POST', '/api/commitments/commitment-1/resubmit', { submissionText: 'Done again' }],
+        ['GET', '/api/commitments/commitment-1/verification-history'],
+        ['POST', '/api/commitments/verify/commitment-1', { verificationResult: true }],
+        ['DELETE', '/api/commitments/commitment-1'],
+        ['GET', '/api/events/upcoming?chatId=chat-alice&userId=alice'],
+        ['GET', '/api/events/event-1'],
+        ['PUT', '/api/events/event-1/status', { status: 'cancelled' }],
+        ['POST', '/api/events/event-1/reschedule', { new_time: '2026-10-20T10:00:00.000Z' }],
+        ['DELETE', '/api/events/event-1'],
+        ['POST', '/api/events/import', { chatId: 'chat-alice', ics: 'BEGIN:VCALENDAR\r\nEND:VCALENDAR' }],
+        ['POST', '/api/events/event-1/exceptions', { occurrence: '2026-10-20T10:00:00.000Z' }],
+        ['POST', '/api/proactive/schedule', { chatId: 'chat-alice', characterId: 'char-alice', message: 'Hi', scheduledFor: '2026-10-20T10:00:00.000Z' }],
+        ['GET', '/api/proactive/pending?userId=alice'],
+        ['GET', '/api/proactive/history?userId=alice'],
+        ['DELETE', '/api/proactive/engagement-1']
+    ];
+
+    // Every row carries a body slot so test.each does not read a third argument as done()
+    const aliceRoutes = routeTable.map(([method, path, body = null]) => [method, path, body]);
+
+    test.each(aliceRoutes)('%s %s should require a session', async (method, path, body) => {
+        expect(await request(method, path, { body })).toBe(401);
+        expect(await request(method, path, { token: 'token-expired', body })).toBe(401);
+    });
+
+    test.each(aliceRoutes)('%s %s should deny another user', async (method, path, body) => {
+        const status = await request(method, path, { token: 'token-bob', body });
+
+        expect([403, 404]).toContain(status);
+    });
+
+    test('should not change anything when another user is denied', async () => {
+        for (const [method, path, body] of aliceRoutes) {
+            await request(method, path, { token: 'token-bob', body });
+        }
+
+        expect(dal.conversations.saveMessage).not.toHaveBeenCalled();
+        expect(dal.conversations.deleteChat).not.toHaveBeenCalled();
+        expect(dal.chats.createChat).not.toHaveBeenCalled();
+        expect(dal.personalities.updateCharacter).not.toHaveBeenCalled();
+        expect(dal.personalities.deleteCharacter).not.toHaveBeenCalled();
+        expect(dal.characterRevisions.getRevisions).not.toHaveBeenCalled();
+        expect(dal.characterRevisions.getRevision).not.toHaveBeenCalled();
+        expect(dal.characterRevisions.createRevision).not.toHaveBeenCalled();
+        expect(dal.commitments.submitCommitment).not.toHaveBeenCalled();
+        expect(dal.commitments.verifyCommitment).not.toHaveBeenCalled();
+        expect(dal.commitments.update).not.toHaveBeenCalled();
+        expect(dal.commitments.delete).not.toHaveBeenCalled();
+        expect(dal.events.updateEventStatus).not.toHaveBeenCalled();
+        expect(dal.events.updateEventOccurrence).not.toHaveBeenCalled();
+        expect(dal.events.deactivateEvent).not.toHaveBeenCalled();
+        expect(dal.events.createEvent).not.toHaveBeenCalled();
+        expect(dal.events.updateExdates).not.toHaveBeenCalled();
+        expect(dal.execute).not.toHaveBeenCalled();
+        expect(services.conversationBranch.prepareRegenerate).not.toHaveBeenCalled();
+        expect(services.conversationBranch.editUserMessage).not.toHaveBeenCalled();
+        expect(services.conversationBranch.switchBranch).not.toHaveBeenCalled();
+        expect(services.conversationSummary.resetSummary).not.toHaveBeenCalled();
+        expect(services.conversationExport.exportChat).not.toHaveBeenCalled();
+        expect(services.proactiveDelivery.registerSession).not.toHaveBeenCalled();
+    });
+
+    test('should act as the session user when no userId is supplied', async () => {
+        expect(await request('GET', '/api/commitments/active?chatId=chat-alice', { token: 'token-bob' })).toBe(200);
+        expect(await request('GET', '/api/events/upcoming?chatId=chat-alice', { token: 'token-bob' })).toBe(200);
+        expect(await request('GET', '/api/proactive/pending', { token: 'token-bob' })).toBe(200);
+
+        expect(dal.commitments.getActiveCommitments).toHaveBeenCalledWith('bob', 'chat-alice');
+        expect(dal.events.getUpcomingEvents).toHaveBeenCalledWith('bob', 'chat-alice', 10);
+        expect(dal.query).toHaveBeenCalledWith(expect.stringContaining('proactive_engagements'), ['bob']);
+    });
+
+    test('should keep proactive settings to the session user', async () => {
+        expect(await request('GET', '/api/proactive/settings')).toBe(401);
+        expect(await request('PUT', '/api/proactive/settings', { body: { dailyCap: 1 } })).toBe(401);
+        expect(await request('PUT', '/api/proactive/settings', { token: 'token-bob', body: { userId: 'alice', dailyCap: 1 } })).toBe(403);
+        expect(await request('PUT', '/api/proactive/settings', { token: 'token-bob', body: { dailyCap: 1 } })).toBe(200);
+        expect(await request('GET', '/api/proactive/suppressions', { token: 'token-bob' })).toBe(200);
+
+        expect(services.proactivePolicy.updateSettings).toHaveBeenCalledTimes(1);
+        expect(services.proactivePolicy.updateSettings).toHaveBeenCalledWith('bob', { dailyCap: 1 });
+        expect(services.proactivePolicy.getSuppressions).toHaveBeenCalledWith('bob', 20);
+    });
+
+    test('should keep push subscriptions to the session user', async () => {
+        const subscription = { endpoint: 'https://push.test/bob', keys: { p256dh: 'key', auth: 'secret' } };
+
+        expect(await request('GET', '/api/push/vapid-public-key')).toBe(401);
+        expect(await request('POST', '/api/push/subscriptions', { body: { subscription } })).toBe(401);
+        expect(await request('POST', '/api/push/subscriptions', { token: 'token-bob', body: { userId: 'alice', subscription } })).toBe(403);
+        expect(await request('POST', '/api/push/subscriptions', { token: 'token-bob', body: { subscription } })).toBe(201);
+        expect(await request('DELETE', '/api/push/subscriptions', { token: 'token-bob', body: { endpoint: subscription.endpoint } })).toBe(200);
+        expect(await request('POST', '/api/push/test', { token: 'token-bob' })).toBe(200);
+
+        expect(services.pushNotification.subscribe).toHaveBeenCalledTimes(1);
+        expect(services.pushNotification.subscribe).toHaveBeenCalledWith('bob', subscription, null);
+        expect(services.pushNotification.unsubscribe).toHaveBeenCalledWith('bob', subscription.endpoint);
+        expect(services.pushNotification.sendToUser).toHaveBeenCalledWith('bob', expect.objectContaining({ title: 'Aria' }));
+    });
+
+    test('should keep characters to the session user', async () => {
+        expect(await request('GET', '/api/characters')).toBe(401);
+        expect(await request('POST', '/api/characters', { body: { name: 'Nova' } })).toBe(401);
+        expect(await request('GET', '/api/characters?userId=alice', { token: 'token-bob' })).toBe(403);
+        expect(await request('POST', '/api/characters', { token: 'token-bob', body: { userId: 'alice', name: 'Nova' } })).toBe(403);
+        expect(await request('GET', '/api/characters', { token: 'token-bob' })).toBe(200);
+        expect(await request('POST', '/api/characters', { token: 'token-bob', body: { name: 'Nova' } })).toBe(200);
+
+        expect(dal.personalities.getUserCharacters).toHaveBeenCalledWith('bob');
+        expect(dal.personalities.createCharacter).toHaveBeenCalledTimes(1);
+        expect(dal.personalities.createCharacter).toHaveBeenCalledWith(expect.objectContaining({ name: 'Nova', user_id: 'bob' }));
+    });
+
+    test('should import characters for the session user only', async () => {
+        const card = { spec: 'chara_card_v2', spec_version: '2.0', data: { name: 'Nova', description: 'A pilot', first_mes: 'Hello!' } };
+
+        expect(await request('POST', '/api/characters/import/preview', { body: card })).toBe(401);
+        expect(await request('POST', '/api/characters/import', { body: card })).toBe(401);
+        expect(await request('POST', '/api/characters/import?userId=alice', { token: 'token-bob', body: card })).toBe(403);
+        expect(await request('POST', '/api/characters/import', { token: 'token-bob', body: { ...card, userId: 'alice' } })).toBe(403);
+        expect(await request('POST', '/api/characters/import/preview?userId=alice', { token: 'token-bob', body: card })).toBe(403);
+        expect(dal.personalities.createCharacter).not.toHaveBeenCalled();
+
+        expect(await request('POST', '/api/characters/import/preview', { token: 'token-bob', body: card })).toBe(200);
+        expect(dal.personalities.createCharacter).not.toHaveBeenCalled();
+        expect(await request('POST', '/api/characters/import', { token: 'token-bob', body: card })).toBe(200);
+        expect(dal.personalities.createCharacter).toHaveBeenCalledTimes(1);
+        expect(dal.personalities.createCharacter).toHaveBeenCalledWith(expect.objectContaining({ name: 'Nova', user_id: 'bob' }));
+    });
+
+    test('should export a character card to its owner only', async () => {
+        expect(await request('GET', '/api/characters/char-alice/export?format=v2&userId=alice', { token: 'token-bob' })).toBe(403);
+        expect(await request('GET', '/api/characters/char-alice/export?format=v2', { token: 'token-bob' })).toBe(404);
+        expect(await request('GET', '/api/characters/char-alice/export?format=v2', { token: 'token-alice' })).toBe(200);
+
+        expect(dal.personalities.getCharacter).toHaveBeenCalledWith('char-alice', 'bob');
+        expect(dal.personalities.getCharacter).toHaveBeenCalledWith('char-alice', 'alice');
+    });
+
+    test('should show character revisions to their owner only', async () => {
+        expect(await request('GET', '/api/characters/char-alice/revisions?userId=alice', { token: 'token-bob' })).toBe(403);
+        expect(await request('POST', '/api/characters/char-alice/revisions/rev-1/rollback', { token: 'token-bob', body: { userId: 'alice' } })).toBe(403);
+        expect(await request('GET', '/api/characters/char-alice/revisions', { token: 'token-alice' })).toBe(200);
+        expect(await request('GET', '/api/characters/char-alice/revisions/rev-1', { token: 'token-alice' })).toBe(200);
+
+        expect(dal.personalities.getCharacter).toHaveBeenCalledWith('char-alice', 'alice');
+        expect(dal.characterRevisions.getRevisions).toHaveBeenCalledWith('char-alice');
+        expect(dal.characterRevisions.getRevision).toHaveBeenCalledWith('char-alice', 'rev-1');
+    });
+
+    test('should accept a supplied userId that matches the session', async () => {
+        expect(await request('GET', '/api/commitments/history?userId=alice', { token: 'token-alice' })).toBe(200);
+        expect(dal.commitments.getUserCommitments).toHaveBeenCalledWith('alice', null, 50);
+    });
+
+    test('should serve the calendar feed by its token alone', async () => {
+        expect(await request('GET', '/api/events/calendar.ics')).toBe(401);
+        expect(await request('GET', '/api/events/calendar.ics?token=feed-bob')).toBe(404);
+        expect(await request('GET', '/api/events/calendar.ics?token=feed-alice')).toBe(200);
+
+        expect(dal.events.getCalendarEvents).toHaveBeenCalledTimes(1);
+        expect(dal.events.getCalendarEvents).toHaveBeenCalledWith('alice');
+    });
+
+    test('should let the owner reach their own chat', async () => {
+        expect(await request('GET', '/api/chat/history/chat-alice', { token: 'token-alice' })).toBe(200);
+        expect(await request('DELETE', '/api/chat/chat-alice', { token: 'token-alice' })).toBe(200);
+        expect(dal.conversations.deleteChat).toHaveBeenCalledWith('chat-alice');
+    });
+});
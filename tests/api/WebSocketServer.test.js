@@ -0,0 +1,201 @@
+/**
+ * WebSocket Server Tests
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Runs the WebSocket server on a real HTTP server with ws clients
+ * - Identity comes from AuthService.validateSession at upgrade time
+ * - Proves that a user can hold several connections that all receive messages
+ * - Proves that sockets close when their session expires
+ * - Proves that reconnecting with a last seen message id replays missed messages
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+const { setupWebSocketServer, SESSION_EXPIRED_CODE } = require('../../backend/api/websocket');
+const MessageDeliveryService = require('../../backend/services/infrastructure/CORE_MessageDeliveryService');
+
+describe('WebSocket Server', () => {
+    let server;
+    let wss;
+    let port;
+    let mockDeps;
+    let mockDAL;
+    let messageDelivery;
+    let sessions;
+    let auth;
+    let clients;
+
+    beforeEach(done => {
+        mockDeps = createMockDependencies();
+        mockDAL = {
+            query: jest.fn().mockResolvedValue([]),
+            execute: jest.fn().mockResolvedValue({ changes: 1 })
+        };
+        mockDeps.database = { getDAL: () => mockDAL };
+        messageDelivery = new MessageDeliveryService(mockDeps);
+
+        sessions = {
+            'token-alice': { id: 'alice', username: 'alice' },
+            'token-bob': { id: 'bob', username: 'bob' }
+        };
+        auth = {
+            validateSession: jest.fn(async token => (sessions[token]
+                ? { valid: true, user: sessions[token], expiresAt: null }
+                : { valid: false, user: null }))
+        };
+        const services = { logger: mockDeps.logger, messageDelivery, auth };
+
+        clients = [];
+        server = http.createServer();
+        wss = setupWebSocketServer(server, { get: name => services[name] }, { sessionCheckIntervalMs: 50 });
+        server.listen(0, '127.0.0.1', () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterEach(done => {
+        clients.forEach(client => client.terminate());
+        wss.close(() => server.close(done));
+    });
+
+    // Resolves with the open socket, or rejects with the HTTP status of a refused upgrade
+    const connect = (query = '') => new Promise((resolve, reject) => {
+        const client = new WebSocket(`ws://127.0.0.1:${port}/${query}`);
+        clients.push(client);
+        client.received = [];
+        client.on('message', data => client.received.push(JSON.parse(data.toString())));
+        client.on('unexpected-response', (req, res) => reject(res.statusCode));
+        client.on('error', () => {});
+        client.on('open', () => resolve(client));
+    });
+
+    // Poll until a condition holds (the server handles sockets asynchronously)
+    const waitFor = async (condition) => {
+        for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    };
+
+    describe('Authentication', () => {
+        test('should reject upgrades without a token', async () => {
+            await expect(connect()).rejects.toBe(401);
+        });
+
+        test('should reject upgrades with an invalid session', async () => {
+            await expect(connect('?token=alice-1234')).rejects.toBe(401);
+            expect(messageDelivery.connections.size).toBe(0);
+        });
+
+        test('should register the session user, not a value parsed from the token', async () => {
+            await connect('?token=token-alice');
+            await waitFor(() => messageDelivery.connections.has('alice'));
+
+            expect([...messageDelivery.connections.keys()]).toEqual(['alice']);
+        });
+
+        test('should close the socket once the session expires', async () => {
+            const client = await connect('?token=token-alice');
+            await waitFor(() => messageDelivery.connections.has('alice'));
+
+            const closed = new Promise(resolve => client.on('close', code => resolve(code)));
+            delete sessions['token-alice'];
+
+            expect(await closed).toBe(SESSION_EXPIRED_CODE);
+            await waitFor(() => !messageDelivery.connections.has('alice'));
+            expect(messageDelivery.connections.has('alice')).toBe(false);
+        });
+
+        test('should stop re-checking a socket that closed during a check', async () => {
+            const client = await connect('?token=token-alice');
+            await waitFor(() => messageDelivery.connections.has('alice'));
+
+            let finishCheck;
+            auth.validateSession.mockImplementation(() => new Promise(resolve => { finishCheck = resolve; }));
+            await waitFor(() => finishCheck !== undefined);
+            client.close();
+            await waitFor(() => !messageDelivery.connections.has('alice'));
+
+            finishCheck({ valid: true, user: sessions['token-alice'], expiresAt: null });
+            const checks = auth.validateSession.mock.calls.length;
+            await new Promise(resolve => setTimeout(resolve, 200));
+
+            expect(auth.validateSession).toHaveBeenCalledTimes(checks);
+        });
+
+        test('should unregister a socket that closed while it was being registered', async () => {
+            let finishRegister;
+            const registerConnection = messageDelivery.registerConnection.bind(messageDelivery);
+            jest.spyOn(messageDelivery, 'registerConnection').mockImplementation((userId, ws) =>
+                new Promise(resolve => { finishRegister = () => resolve(registerConnection(userId, ws)); }));
+
+            const client = await connect('?token=token-alice');
+            await waitFor(() => finishRegister !== undefined);
+            const closed = new Promise(resolve => client.on('close', resolve));
+            client.close();
+            await closed;
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            finishRegister();
+            const checks = auth.validateSession.mock.calls.length;
+            await new Promise(resolve => setTimeout(resolve, 200));
+
+            expect(messageDelivery.connections.has('alice')).toBe(false);
+            expect(auth.validateSession).toHaveBeenCalledTimes(checks);
+        });
+    });
+
+    describe('Multiple Connections', () => {
+        test('should deliver to every connection of the user', async () => {
+            const laptop = await connect('?token=token-alice');
+            const phone = await connect('?token=token-alice');
+            const bob = await connect('?token=token-bob');
+            await waitFor(() => messageDelivery.countConnections() === 3);
+
+            await messageDelivery.deliverMessageToUser('alice', { id: 'msg-1', type: 'proactive', content: 'Hi' });
+            await waitFor(() => laptop.received.length === 1 && phone.received.length === 1);
+
+            expect(laptop.received).toEqual([{ id: 'msg-1', type: 'proactive', content: 'Hi' }]);
+            expect(phone.received).toEqual([{ id: 'msg-1', type: 'proactive', content: 'Hi' }]);
+            expect(bob.received).toEqual([]);
+        });
+
+        test('should keep the other connections when one closes', async () => {
+            const laptop = await connect('?token=token-alice');
+            await connect('?token=token-alice');
+            await waitFor(() => messageDelivery.countConnections() === 2);
+
+            laptop.close();
+            await waitFor(() => messageDelivery.countConnections() === 1);
+
+            expect(await messageDelivery.isUserConnected('alice')).toBe(true);
+        });
+    });
+
+    describe('Replay', () => {
+        test('should replay missed messages after the last seen message id', async () => {
+            mockDAL.query.mockResolvedValue([
+                { id: 'msg-2', payload: JSON.stringify({ id: 'msg-2', type: 'proactive', content: 'While you were away' }) }
+            ]);
+
+            const client = await connect('?token=token-alice&lastMessageId=msg-1');
+            await waitFor(() => client.received.length === 2);
+
+            expect(mockDAL.query).toHaveBeenCalledWith(
+                expect.stringContaining('FROM message_delivery_log'),
+                ['alice', 'msg-1', 'alice', MessageDeliveryService.REPLAY_LIMIT]
+            );
+            expect(client.received).toEqual([
+                { id: 'msg-2', type: 'proactive', content: 'While you were away', replayed: true },
+                { type: 'replay_complete', count: 1, lastMessageId: 'msg-2' }
+            ]);
+        });
+
+        test('should not replay on a fresh connection', async () => {
+            await connect('?token=token-alice');
+            await waitFor(() => messageDelivery.connections.has('alice'));
+
+            expect(mockDAL.query).not.toHaveBeenCalled();
+        });
+    });
+});
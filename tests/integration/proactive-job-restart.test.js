@@ -0,0 +1,150 @@
+/**
+ * Integration Tests for Restart-Safe Proactive Scheduling
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Tests a delayed proactive message scheduled before a shutdown is delivered after the next boot
+ * - Uses a file-backed SQLite database with the full schema, real repositories and real services
+ * - Tests a job re-run after a crash does not save its message twice
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const DataAccessLayer = require('../../backend/dal/CORE_DataAccessLayer');
+const ProactiveJobRepository = require('../../backend/dal/repositories/ProactiveJobRepository');
+const ConversationRepository = require('../../backend/dal/repositories/CORE_ConversationRepository');
+const ProactiveDeliveryService = require('../../backend/services/domain/ProactiveDeliveryService');
+const MessageDeliveryService = require('../../backend/services/infrastructure/CORE_MessageDeliveryService');
+const SchedulingService = require('../../backend/services/infrastructure/CORE_SchedulingService');
+
+const SCHEMA_PATH = path.join(__dirname, '../../database/schema.sql');
+
+const openDatabase = file => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, error => (error ? reject(error) : resolve(db)));
+});
+
+const closeDatabase = db => new Promise((resolve, reject) => {
+    db.close(error => (error ? reject(error) : resolve()));
+});
+
+/**
+ * Start the services the scheduling path needs, the way a process boot does
+ */
+async function boot(dbPath) {
+    const db = await openDatabase(dbPath);
+    const deps = createMockDependencies();
+    const dal = new DataAccessLayer(db, deps.errorHandling);
+    const repoDeps = { ...deps, dal };
+    dal.proactiveJobs = new ProactiveJobRepository('proactive_jobs', repoDeps);
+    dal.conversations = new ConversationRepository('conversation_logs', repoDeps);
+
+    const database = { getDAL: () => dal };
+    const proactiveDelivery = new ProactiveDeliveryService({ ...deps, database });
+    const messageDelivery = new MessageDeliveryService({ ...deps, database });
+    const scheduling = new SchedulingService({ ...deps, database, messageDelivery, proactiveDelivery });
+
+    await proactiveDelivery.initialize();
+    await messageDelivery.initialize();
+    // Polls once immediately, like a real start-up
+    await scheduling.initialize();
+
+    return {
+        dal,
+        proactiveDelivery,
+        scheduling,
+        async shutdown() {
+            await scheduling.shutdown();
+            await messageDelivery.shutdown();
+            await proactiveDelivery.shutdown();
+            await closeDatabase(db);
+        }
+    };
+}
+
+describe('Proactive Job Restart Integration', () => {
+    let dbPath;
+
+    beforeEach(async () => {
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask'] });
+        jest.setSystemTime(new Date('2026-03-01T09:00:00Z'));
+
+        dbPath = path.join(os.tmpdir(), `aria-proactive-jobs-${process.pid}-${Date.now()}.db`);
+        const db = await openDatabase(dbPath);
+        const dal = new DataAccessLayer(db, createMockDependencies().errorHandling);
+        await dal.executeScript(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+        await dal.execute(`INSERT INTO users (id, username, email) VALUES ('user-1', 'restart_user', 'restart@test.com')`);
+        await dal.execute(`INSERT INTO personalities (id, name, description, definition, user_id) VALUES ('char-1', 'Mira', 'Friend', 'You are kind.', 'user-1')`);
+        await dal.execute(`INSERT INTO chats (id, user_id, personality_id, title) VALUES ('chat-1', 'user-1', 'char-1', 'Restart chat')`);
+        await closeDatabase(db);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        fs.rmSync(dbPath, { force: true });
+    });
+
+    it('should deliver a job scheduled before shutdown after the next boot', async () => {
+        // First run: schedule a check-in ten minutes out, then shut down before it is due
+        const firstRun = await boot(dbPath);
+        const scheduled = await firstRun.proactiveDelivery.scheduleProactiveMessage({
+            chatId: 'chat-1',
+            userId: 'user-1',
+            personalityId: 'char-1',
+            personalityName: 'Mira',
+            content: 'How did the interview go?',
+            delaySeconds: 600
+        });
+        expect((await firstRun.proactiveDelivery.getDeliveryAnalytics('chat-1')).scheduledMessageCount).toBe(1);
+        await firstRun.shutdown();
+
+        // Second run, after the job became due
+        jest.setSystemTime(new Date('2026-03-01T09:15:00Z'));
+        const secondRun = await boot(dbPath);
+
+        const job = await secondRun.dal.proactiveJobs.getJob(scheduled.scheduleId);
+        expect(job).toMatchObject({ status: 'completed', attempts: 1 });
+
+        const messages = await secondRun.dal.query(
+            `SELECT content, metadata FROM conversation_logs WHERE chat_id = 'chat-1'`
+        );
+        expect(messages).toHaveLength(1);
+        expect(messages[0].content).toBe('How did the interview go?');
+        expect(JSON.parse(messages[0].metadata)).toMatchObject({ message_type: 'proactive', job_id: job.id });
+
+        // Offline user: the push is logged for replay on the next connection
+        const logged = await secondRun.dal.query(`SELECT payload FROM message_delivery_log WHERE user_id = 'user-1'`);
+        expect(logged.map(entry => JSON.parse(entry.payload))).toEqual([
+            expect.objectContaining({ type: 'proactive', chatId: 'chat-1', jobId: job.id })
+        ]);
+
+        await secondRun.shutdown();
+    });
+
+    it('should not save the message twice when a crashed claim is taken over', async () => {
+        const run = await boot(dbPath);
+        const scheduled = await run.proactiveDelivery.scheduleProactiveMessage({
+            chatId: 'chat-1',
+            userId: 'user-1',
+            personalityId: 'char-1',
+            personalityName: 'Mira',
+            content: 'Still on for tomorrow?',
+            delaySeconds: 60
+        });
+
+        // A worker claims the job, saves the message and dies before completing it
+        jest.setSystemTime(new Date('2026-03-01T09:02:00Z'));
+        const [claimed] = await run.dal.proactiveJobs.claimDue('crashed-worker');
+        await run.proactiveDelivery.deliverScheduledJob(claimed);
+
+        // Once the lease runs out, the live worker takes the job over
+        jest.setSystemTime(new Date('2026-03-01T09:10:00Z'));
+        await run.scheduling.checkScheduledMessages();
+
+        const messages = await run.dal.query(`SELECT id FROM conversation_logs WHERE chat_id = 'chat-1'`);
+        expect(messages).toHaveLength(1);
+        expect(await run.dal.proactiveJobs.getJob(scheduled.scheduleId)).toMatchObject({ status: 'completed', attempts: 2 });
+
+        await run.shutdown();
+    });
+});
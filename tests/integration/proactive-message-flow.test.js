@@ -275,20 +275,16 @@ describe('Proactive Message Flow Integration', () => {
                 [engagementId]
             );
 
-            // Simulate message delivery
-            try {
-                await messageDelivery.deliverScheduledMessage(engagement);
-                
-                // If delivery succeeds, verify it was sent
-                if (mockWebSocket.send.mock.calls.length > 0) {
-                    const sentMessage = JSON.parse(mockWebSocket.send.mock.calls[0][0]);
-                    expect(sentMessage).toBeDefined();
-                    expect(sentMessage.type).toBe('proactive_message');
-                }
-            } catch (error) {
-                // Delivery may fail in test environment, that's okay
-                // The important part is testing the flow
-            }
+            const delivered = await messageDelivery.deliverMessageToUser(user.id, {
+                type: 'proactive',
+                content: engagement.engagement_content,
+                engagementId
+            });
+
+            expect(delivered).toBe(true);
+            const sentMessage = JSON.parse(mockWebSocket.send.mock.calls[0][0]);
+            expect(sentMessage.type).toBe('proactive');
+            expect(sentMessage.content).toBe(messageContent);
 
             // Cleanup
             await messageDelivery.unregisterConnection(user.id);
@@ -0,0 +1,262 @@
+/**
+ * Integration Tests for Web Push Fallback of Proactive Messages
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Uses a file-backed SQLite database with the full schema, real repositories and real services
+ * - Uses a local HTTP server as the browser's push service
+ * - Tests a proactive message due while the user has no WebSocket open arrives as a push notification
+ * - Tests an open WebSocket or event stream (SSE) still gets the message live, without a push
+ * - Tests a message sent immediately takes the same route
+ * - Tests a subscription the push service reports gone is deleted
+ * - Tests an endpoint stays with the user who subscribed it
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const DataAccessLayer = require('../../backend/dal/CORE_DataAccessLayer');
+const ProactiveJobRepository = require('../../backend/dal/repositories/ProactiveJobRepository');
+const PushSubscriptionRepository = require('../../backend/dal/repositories/PushSubscriptionRepository');
+const ConfigurationRepository = require('../../backend/dal/repositories/CORE_ConfigurationRepository');
+const ConversationRepository = require('../../backend/dal/repositories/CORE_ConversationRepository');
+const ProactiveDeliveryService = require('../../backend/services/domain/ProactiveDeliveryService');
+const PushNotificationService = require('../../backend/services/infrastructure/PushNotificationService');
+const MessageDeliveryService = require('../../backend/services/infrastructure/CORE_MessageDeliveryService');
+const SchedulingService = require('../../backend/services/infrastructure/CORE_SchedulingService');
+
+const SCHEMA_PATH = path.join(__dirname, '../../database/schema.sql');
+
+const openDatabase = file => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, error => (error ? reject(error) : resolve(db)));
+});
+
+const closeDatabase = db => new Promise((resolve, reject) => {
+    db.close(error => (error ? reject(error) : resolve()));
+});
+
+// Decrypt a request body the way a browser does (RFC 8291)
+const decrypt = (body, { privateKey, auth }) => {
+    const salt = body.subarray(0, 16);
+    const serverPublicKey = body.subarray(21, 21 + body[20]);
+    const ciphertext = body.subarray(21 + body[20]);
+
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.setPrivateKey(Buffer.from(privateKey, 'base64url'));
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), serverPublicKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', ecdh.computeSecret(serverPublicKey), Buffer.from(auth, 'base64url'), keyInfo, 32));
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+    decipher.setAuthTag(ciphertext.subarray(-16));
+    const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+    return JSON.parse(padded.subarray(0, padded.lastIndexOf(2)).toString('utf8'));
+};
+
+const decision = content => ({
+    should_engage_proactively: true,
+    proactive_message_content: content,
+    engagement_timing: 'wait_30_seconds',
+    psychological_reasoning: 'Checking in',
+    confidence_score: 0.8
+});
+
+const context = {
+    chatId: 'chat-1',
+    userId: 'user-1',
+    personality: { id: 'char-1', name: 'Mira' }
+};
+
+describe('Proactive Push Fallback Integration', () => {
+    let pushServer;
+    let pushUrl;
+    let pushRequests;
+    let pushStatus;
+    let dbPath;
+    let db;
+    let dal;
+    let browser;
+    let pushNotification;
+    let messageDelivery;
+    let proactiveDelivery;
+    let scheduling;
+
+    beforeAll(done => {
+        pushServer = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                pushRequests.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+                res.writeHead(pushStatus);
+                res.end();
+            });
+        });
+        pushServer.listen(0, '127.0.0.1', () => {
+            pushUrl = `http://127.0.0.1:${pushServer.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        pushServer.closeAllConnections();
+        pushServer.close(done);
+    });
+
+    beforeEach(async () => {
+        pushRequests = [];
+        pushStatus = 201;
+
+        dbPath = path.join(os.tmpdir(), `aria-push-fallback-${process.pid}-${Date.now()}.db`);
+        db = await openDatabase(dbPath);
+        const deps = createMockDependencies();
+        dal = new DataAccessLayer(db, deps.errorHandling);
+        await dal.executeScript(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+        await dal.execute(`INSERT INTO users (id, username, email) VALUES ('user-1', 'commuter', 'commuter@test.com')`);
+        await dal.execute(`INSERT INTO personalities (id, name, description, definition, display, user_id) VALUES ('char-1', 'Mira', 'Friend', 'You are kind.', 'mira.png', 'user-1')`);
+        await dal.execute(`INSERT INTO chats (id, user_id, personality_id, title) VALUES ('chat-1', 'user-1', 'char-1', 'Morning chat')`);
+
+        const repoDeps = { ...deps, dal };
+        dal.proactiveJobs = new ProactiveJobRepository('proactive_jobs', repoDeps);
+        dal.pushSubscriptions = new PushSubscriptionRepository('push_subscriptions', repoDeps);
+        dal.configuration = new ConfigurationRepository('configuration', repoDeps);
+        dal.conversations = new ConversationRepository('conversation_logs', repoDeps);
+
+        const database = { getDAL: () => dal };
+        pushNotification = new PushNotificationService({ ...deps, database });
+        messageDelivery = new MessageDeliveryService({ ...deps, database, pushNotification });
+        proactiveDelivery = new ProactiveDeliveryService({ ...deps, database, messageDelivery });
+        scheduling = new SchedulingService({ ...deps, database, messageDelivery, proactiveDelivery });
+
+        await pushNotification.initialize();
+        await messageDelivery.initialize();
+        await proactiveDelivery.initialize();
+        await scheduling.initialize();
+
+        const ecdh = crypto.createECDH('prime256v1');
+        ecdh.generateKeys();
+        browser = {
+            privateKey: ecdh.getPrivateKey().toString('base64url'),
+            p256dh: ecdh.getPublicKey().toString('base64url'),
+            auth: crypto.randomBytes(16).toString('base64url')
+        };
+        // Stored directly: subscribe() only takes https endpoints and the stand-in is plain http
+        await dal.pushSubscriptions.saveSubscription('user-1', {
+            endpoint: `${pushUrl}/push/phone`,
+            keys: { p256dh: browser.p256dh, auth: browser.auth }
+        }, 'Mobile Safari');
+    });
+
+    afterEach(async () => {
+        await scheduling.shutdown();
+        await messageDelivery.shutdown();
+        await proactiveDelivery.shutdown();
+        await pushNotification.shutdown();
+        await closeDatabase(db);
+        fs.rmSync(dbPath, { force: true });
+    });
+
+    // Schedule a message and run the worker once it is due
+    const deliverDueMessage = async content => {
+        const scheduled = await proactiveDelivery.processProactiveDecision(decision(content), context);
+        await dal.execute(`UPDATE proactive_jobs SET run_at = ? WHERE id = ?`, [new Date(Date.now() - 1000).toISOString(), scheduled.scheduleId]);
+        await scheduling.checkScheduledMessages();
+        return scheduled;
+    };
+
+    it('should send a proactive message to an offline user as a push notification', async () => {
+        const scheduled = await deliverDueMessage('How did the interview go?');
+
+        expect(pushRequests).toHaveLength(1);
+        expect(pushRequests[0].url).toBe('/push/phone');
+        expect(pushRequests[0].headers.authorization).toMatch(/^vapid t=.+, k=.+$/);
+        expect(decrypt(pushRequests[0].body, browser)).toMatchObject({
+            title: 'Mira',
+            body: 'How did the interview go?',
+            icon: '/avatars/mira.png',
+            data: { type: 'proactive', chatId: 'chat-1' }
+        });
+
+        // The app still replays it on the next connect
+        const logged = await dal.query(`SELECT delivered FROM message_delivery_log WHERE user_id = 'user-1'`);
+        expect(logged).toEqual([{ delivered: 0 }]);
+        expect(await dal.proactiveJobs.getJob(scheduled.scheduleId)).toMatchObject({ status: 'completed' });
+
+        // The keys are generated once and kept
+        const stored = await dal.configuration.getConfigValue(PushNotificationService.VAPID_CONFIG_KEY);
+        expect(stored.publicKey).toBe(pushNotification.getPublicKey());
+        const [subscription] = await dal.pushSubscriptions.getUserSubscriptions('user-1');
+        expect(subscription.last_success_at).not.toBeNull();
+    });
+
+    it('should deliver live without a push while a WebSocket is open', async () => {
+        const websocket = { readyState: 1, send: jest.fn(), on: jest.fn(), close: jest.fn() };
+        await messageDelivery.registerConnection('user-1', websocket);
+
+        await deliverDueMessage('Lunch?');
+
+        expect(websocket.send).toHaveBeenCalledWith(expect.stringContaining('Lunch?'));
+        expect(pushRequests).toHaveLength(0);
+    });
+
+    it('should deliver live without a push while the app listens on an event stream', async () => {
+        const received = [];
+        const cleanup = proactiveDelivery.registerSession('chat-1', message => received.push(message), 'user-1');
+
+        await deliverDueMessage('Lunch?');
+
+        expect(received).toEqual([expect.objectContaining({ content: 'Lunch?' })]);
+        expect(pushRequests).toHaveLength(0);
+
+        cleanup();
+        await deliverDueMessage('Dinner then?');
+
+        expect(received).toHaveLength(1);
+        expect(pushRequests).toHaveLength(1);
+    });
+
+    it('should push a message sent immediately to an offline user', async () => {
+        const immediate = { ...decision('Good luck today!'), engagement_timing: 'immediate' };
+
+        const result = await proactiveDelivery.processProactiveDecision(immediate, context);
+
+        expect(result.delivered).toBe(true);
+        expect(pushRequests).toHaveLength(1);
+        expect(decrypt(pushRequests[0].body, browser)).toMatchObject({
+            body: 'Good luck today!',
+            data: { type: 'proactive', chatId: 'chat-1' }
+        });
+
+        const received = [];
+        const cleanup = proactiveDelivery.registerSession('chat-1', message => received.push(message), 'user-1');
+        await proactiveDelivery.processProactiveDecision(immediate, context);
+        cleanup();
+
+        expect(received).toHaveLength(1);
+        expect(pushRequests).toHaveLength(1);
+    });
+
+    it('should delete a subscription the push service reports gone', async () => {
+        pushStatus = 410;
+
+        await deliverDueMessage('Still there?');
+
+        expect(pushRequests).toHaveLength(1);
+        expect(await dal.pushSubscriptions.getUserSubscriptions('user-1')).toEqual([]);
+    });
+
+    it('should keep an endpoint with the user who subscribed it', async () => {
+        await dal.execute(`INSERT INTO users (id, username, email) VALUES ('user-2', 'neighbour', 'neighbour@test.com')`);
+        const subscription = { endpoint: 'https://push.example.com/laptop', keys: { p256dh: browser.p256dh, auth: browser.auth } };
+        await pushNotification.subscribe('user-1', subscription, 'Firefox');
+
+        await expect(pushNotification.subscribe('user-2', subscription, 'Firefox')).rejects.toMatchObject({ statusCode: 409 });
+        await expect(pushNotification.subscribe('user-1', subscription, 'Firefox')).resolves.toMatchObject({ endpoint: subscription.endpoint });
+
+        const endpoints = (await dal.pushSubscriptions.getUserSubscriptions('user-1')).map(row => row.endpoint);
+        expect(endpoints).toContain(subscription.endpoint);
+        expect(await dal.pushSubscriptions.getUserSubscriptions('user-2')).toEqual([]);
+    });
+});
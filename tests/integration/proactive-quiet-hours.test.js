@@ -0,0 +1,163 @@
+/**
+ * Integration Tests for Proactive Quiet Hours and Rate Limits
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Uses a file-backed SQLite database with the full schema, real repositories and real services
+ * - Tests a message decided during quiet hours is deferred, logged and delivered when they end
+ * - Tests the daily cap moves a second message to the next allowed window
+ * - Tests turning do-not-disturb off brings deferred messages forward
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const DataAccessLayer = require('../../backend/dal/CORE_DataAccessLayer');
+const ProactiveJobRepository = require('../../backend/dal/repositories/ProactiveJobRepository');
+const ProactiveSettingsRepository = require('../../backend/dal/repositories/ProactiveSettingsRepository');
+const ConversationRepository = require('../../backend/dal/repositories/CORE_ConversationRepository');
+const UserRepository = require('../../backend/dal/repositories/CORE_UserRepository');
+const ProactivePolicyService = require('../../backend/services/domain/ProactivePolicyService');
+const ProactiveDeliveryService = require('../../backend/services/domain/ProactiveDeliveryService');
+const MessageDeliveryService = require('../../backend/services/infrastructure/CORE_MessageDeliveryService');
+const SchedulingService = require('../../backend/services/infrastructure/CORE_SchedulingService');
+
+const SCHEMA_PATH = path.join(__dirname, '../../database/schema.sql');
+
+const openDatabase = file => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, error => (error ? reject(error) : resolve(db)));
+});
+
+const closeDatabase = db => new Promise((resolve, reject) => {
+    db.close(error => (error ? reject(error) : resolve()));
+});
+
+const decision = content => ({
+    should_engage_proactively: true,
+    proactive_message_content: content,
+    engagement_timing: 'immediate',
+    psychological_reasoning: 'Checking in',
+    confidence_score: 0.8
+});
+
+const context = {
+    chatId: 'chat-1',
+    userId: 'user-1',
+    personality: { id: 'char-1', name: 'Mira' }
+};
+
+describe('Proactive Quiet Hours Integration', () => {
+    let dbPath;
+    let db;
+    let dal;
+    let policy;
+    let proactiveDelivery;
+    let messageDelivery;
+    let scheduling;
+
+    beforeEach(async () => {
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask'] });
+        jest.setSystemTime(new Date('2026-03-01T21:30:00Z')); // 22:30 in Berlin
+
+        dbPath = path.join(os.tmpdir(), `aria-proactive-limits-${process.pid}-${Date.now()}.db`);
+        db = await openDatabase(dbPath);
+        const deps = createMockDependencies();
+        dal = new DataAccessLayer(db, deps.errorHandling);
+        await dal.executeScript(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+        await dal.execute(`INSERT INTO users (id, username, email, timezone) VALUES ('user-1', 'night_owl', 'owl@test.com', 'Europe/Berlin')`);
+        await dal.execute(`INSERT INTO personalities (id, name, description, definition, user_id) VALUES ('char-1', 'Mira', 'Friend', 'You are kind.', 'user-1')`);
+        await dal.execute(`INSERT INTO chats (id, user_id, personality_id, title) VALUES ('chat-1', 'user-1', 'char-1', 'Late chat')`);
+
+        const repoDeps = { ...deps, dal };
+        dal.users = new UserRepository('users', repoDeps);
+        dal.proactiveJobs = new ProactiveJobRepository('proactive_jobs', repoDeps);
+        dal.proactiveSettings = new ProactiveSettingsRepository('user_proactive_settings', repoDeps);
+        dal.conversations = new ConversationRepository('conversation_logs', repoDeps);
+
+        // Each decision is recorded as an engagement, as ProactiveLearning does
+        let engagements = 0;
+        const proactiveLearning = {
+            recordProactiveDecision: async () => {
+                const id = `engagement-${++engagements}`;
+                await dal.execute(`
+                    INSERT INTO proactive_engagements (id, user_id, personality_id, engagement_type, trigger_context, engagement_content)
+                    VALUES (?, 'user-1', 'char-1', 'immediate', '{}', 'content')
+                `, [id]);
+                return id;
+            }
+        };
+
+        const database = { getDAL: () => dal };
+        policy = new ProactivePolicyService({ ...deps, database });
+        proactiveDelivery = new ProactiveDeliveryService({ ...deps, database, proactiveLearning, proactivePolicy: policy });
+        messageDelivery = new MessageDeliveryService({ ...deps, database });
+        scheduling = new SchedulingService({ ...deps, database, messageDelivery, proactiveDelivery, proactivePolicy: policy });
+
+        await policy.initialize();
+        await proactiveDelivery.initialize();
+        await messageDelivery.initialize();
+        await scheduling.initialize();
+
+        await policy.updateSettings('user-1', { quietHours: { enabled: true }, dailyCap: 1, cooldownMinutes: 0 });
+    });
+
+    afterEach(async () => {
+        await scheduling.shutdown();
+        await messageDelivery.shutdown();
+        await proactiveDelivery.shutdown();
+        await closeDatabase(db);
+        jest.useRealTimers();
+        fs.rmSync(dbPath, { force: true });
+    });
+
+    const chatMessages = () => dal.query(`SELECT content FROM conversation_logs WHERE chat_id = 'chat-1'`);
+
+    it('should defer a message decided during quiet hours and deliver it when they end', async () => {
+        const result = await proactiveDelivery.processProactiveDecision(decision('Sleep well?'), context);
+
+        expect(result).toMatchObject({ scheduled: true, deferred: true, reason: 'quiet_hours' });
+        expect(await dal.proactiveJobs.getJob(result.scheduleId)).toMatchObject({
+            status: 'pending',
+            run_at: '2026-03-02T07:00:00.000Z',
+            deferred_reason: 'quiet_hours'
+        });
+        expect(await chatMessages()).toEqual([]);
+
+        const history = await dal.query(`SELECT * FROM proactive_engagement_history WHERE engagement_id = 'engagement-1'`);
+        expect(history).toHaveLength(1);
+        expect(history[0]).toMatchObject({ user_id: 'user-1', user_action: 'suppressed', system_response: 'deferred', interaction_sequence: 1 });
+        expect(JSON.parse(history[0].outcome_analysis)).toMatchObject({ reason: 'quiet_hours', deferred_until: '2026-03-02T07:00:00.000Z' });
+
+        jest.setSystemTime(new Date('2026-03-02T07:00:30Z'));
+        await scheduling.checkScheduledMessages();
+
+        expect(await chatMessages()).toEqual([{ content: 'Sleep well?' }]);
+        expect(await dal.proactiveJobs.getJob(result.scheduleId)).toMatchObject({ status: 'completed', attempts: 1 });
+    });
+
+    it('should move a message over the daily cap to the next allowed window', async () => {
+        jest.setSystemTime(new Date('2026-03-02T09:00:00Z'));
+        await proactiveDelivery.processProactiveDecision(decision('Good morning!'), context);
+
+        const second = await proactiveDelivery.processProactiveDecision(decision('Lunch plans?'), context);
+
+        // Tomorrow starts at midnight in Berlin, inside quiet hours, so it waits until 08:00
+        expect(second).toMatchObject({ deferred: true, reason: 'daily_cap' });
+        expect((await dal.proactiveJobs.getJob(second.scheduleId)).run_at).toBe('2026-03-03T07:00:00.000Z');
+        expect(await policy.getSuppressions('user-1')).toEqual([
+            expect.objectContaining({ engagement_id: 'engagement-2', reason: 'daily_cap', personality_id: 'char-1' })
+        ]);
+    });
+
+    it('should bring deferred messages forward when do-not-disturb is turned off', async () => {
+        jest.setSystemTime(new Date('2026-03-02T09:00:00Z'));
+        await policy.updateSettings('user-1', { doNotDisturb: { enabled: true } });
+        const result = await proactiveDelivery.processProactiveDecision(decision('Free to talk?'), context);
+        expect(result).toMatchObject({ deferred: true, reason: 'dnd' });
+
+        await policy.updateSettings('user-1', { doNotDisturb: { enabled: false } });
+        await scheduling.checkScheduledMessages();
+
+        expect(await chatMessages()).toEqual([{ content: 'Free to talk?' }]);
+    });
+});
@@ -114,7 +114,8 @@ describe('User-Character Isolation Integration', () => {
         // Mock API request
         const req = {
             params: { characterId: character.id },
-            query: { userId: userB.id }
+            user: { id: userB.id },
+            query: {}
         };
 
         const res = {
@@ -138,7 +139,8 @@ describe('User-Character Isolation Integration', () => {
         // Step 4: Verify User A CAN access their character
         const reqUserA = {
             params: { characterId: character.id },
-            query: { userId: userA.id }
+            user: { id: userA.id },
+            query: {}
         };
 
         const resUserA = {
@@ -189,7 +191,8 @@ describe('User-Character Isolation Integration', () => {
         // Mock API request
         const req = {
             params: { characterId: character.id },
-            query: { userId: userB.id },
+            user: { id: userB.id },
+            query: {},
             body: {
                 name: 'HackedName',
                 description: 'Hacked description'
@@ -222,7 +225,8 @@ describe('User-Character Isolation Integration', () => {
         // Step 5: Verify User A CAN update their character
         const reqUserA = {
             params: { characterId: character.id },
-            query: { userId: userA.id },
+            user: { id: userA.id },
+            query: {},
             body: {
                 name: 'UpdatedName',
                 description: 'Updated description'
@@ -278,7 +282,8 @@ describe('User-Character Isolation Integration', () => {
         // Mock API request
         const req = {
             params: { characterId: character.id },
-            query: { userId: userB.id }
+            user: { id: userB.id },
+            query: {}
         };
 
         const res = {
@@ -310,7 +315,8 @@ describe('User-Character Isolation Integration', () => {
         // Step 5: Verify User A CAN delete their character
         const reqUserA = {
             params: { characterId: character.id },
-            query: { userId: userA.id }
+            user: { id: userA.id },
+            query: {}
         };
 
         const resUserA = {
@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for CharacterRevisionRepository
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Runs against a real in-memory SQLite database through the DAL
+ * - The table comes from migration 019, so the test also covers its SQL
+ * - Test revision numbering, listing and framework back-fill
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const DataAccessLayer = require('../../backend/dal/CORE_DataAccessLayer');
+const CharacterRevisionRepository = require('../../backend/dal/repositories/CharacterRevisionRepository');
+
+const MIGRATION = fs.readFileSync(
+    path.join(__dirname, '../../database/migrations/019_character_revisions.sql'),
+    'utf8'
+);
+
+// The migration records itself in schema_versions
+const SCHEMA_VERSIONS = `
+CREATE TABLE schema_versions (id TEXT PRIMARY KEY, version TEXT NOT NULL, description TEXT, applied_at DATETIME DEFAULT CURRENT_TIMESTAMP);
+`;
+
+describe('CharacterRevisionRepository', () => {
+    let db;
+    let revisionRepo;
+
+    const revision = (overrides = {}) => ({
+        personalityId: 'char-1',
+        userId: 'user-1',
+        source: 'edit',
+        snapshot: { name: 'Aria', definition: 'Curious' },
+        changedFields: ['definition'],
+        ...overrides
+    });
+
+    beforeEach(done => {
+        const mockDeps = createMockDependencies();
+        mockDeps.errorHandling.wrapRepositoryError = jest.fn((error, message) => new Error(`${message}: ${error.message}`));
+
+        db = new sqlite3.Database(':memory:', () => {
+            const dal = new DataAccessLayer(db, mockDeps.errorHandling);
+            revisionRepo = new CharacterRevisionRepository('character_revisions', { ...mockDeps, dal });
+            dal.executeScript(`${SCHEMA_VERSIONS}${MIGRATION}`).then(() => done(), done);
+        });
+    });
+
+    afterEach(done => {
+        db.close(done);
+    });
+
+    describe('Revision Storage', () => {
+        test('should number revisions per character', async () => {
+            const first = await revisionRepo.createRevision(revision({ source: 'initial', changedFields: [] }));
+            const second = await revisionRepo.createRevision(revision());
+            const other = await revisionRepo.createRevision(revision({ personalityId: 'char-2' }));
+
+            expect(first.revision_number).toBe(1);
+            expect(second).toMatchObject({
+                revision_number: 2,
+                source: 'edit',
+                snapshot: { name: 'Aria', definition: 'Curious' },
+                changed_fields: ['definition'],
+                framework_data: null
+            });
+            expect(other.revision_number).toBe(1);
+        });
+
+        test('should list revisions newest first without snapshots', async () => {
+            await revisionRepo.createRevision(revision({ framework: { stress_triggers: ['noise'] }, analysisVersion: 1 }));
+            await revisionRepo.createRevision(revision({ source: 'rollback', rolledBackTo: 1 }));
+
+            const revisions = await revisionRepo.getRevisions('char-1');
+
+            expect(revisions.map(entry => [entry.revision_number, entry.source, entry.analyzed])).toEqual([
+                [2, 'rollback', false],
+                [1, 'edit', true]
+            ]);
+            expect(revisions[0]).not.toHaveProperty('snapshot');
+            expect(revisions[0].rolled_back_to).toBe(1);
+        });
+
+        test('should find revisions by id, number and recency', async () => {
+            const first = await revisionRepo.createRevision(revision());
+            await revisionRepo.createRevision(revision({ snapshot: { name: 'Aria', definition: 'Bold' } }));
+
+            expect((await revisionRepo.getRevision('char-1', first.id)).revision_number).toBe(1);
+            expect(await revisionRepo.getRevision('char-2', first.id)).toBeNull();
+            expect((await revisionRepo.getRevisionByNumber('char-1', 2)).snapshot.definition).toBe('Bold');
+            expect((await revisionRepo.getLatestRevision('char-1')).revision_number).toBe(2);
+        });
+
+        test('should fill in a pending framework only once', async () => {
+            const created = await revisionRepo.createRevision(revision());
+
+            expect(await revisionRepo.setRevisionFramework(created.id, { core_emotional_range: ['calm'] }, 2)).toEqual({ updated: true });
+            expect(await revisionRepo.setRevisionFramework(created.id, { core_emotional_range: ['angry'] }, 3)).toEqual({ updated: false });
+
+            const stored = await revisionRepo.getRevision('char-1', created.id);
+            expect(stored).toMatchObject({ framework_data: { core_emotional_range: ['calm'] }, analysis_version: 2 });
+        });
+
+        test('should require a character, user and snapshot', async () => {
+            await expect(revisionRepo.createRevision({ personalityId: 'char-1' })).rejects.toThrow('Failed to create character revision');
+        });
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit Tests for ChatCharacterRepository
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Runs against a real in-memory SQLite database through the DAL
+ * - Test turn order, adding and removing characters
+ * - Test finding the last speaker on the active branch
+ */
+
+const sqlite3 = require('sqlite3');
+const DataAccessLayer = require('../../backend/dal/CORE_DataAccessLayer');
+const ChatCharacterRepository = require('../../backend/dal/repositories/ChatCharacterRepository');
+
+const SCHEMA = `
+    CREATE TABLE personalities (id TEXT PRIMARY KEY, name TEXT, description TEXT, display TEXT, image_type TEXT, user_id TEXT);
+    CREATE TABLE chat_characters (
+        chat_id TEXT NOT NULL,
+        personality_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (chat_id, personality_id)
+    );
+    CREATE TABLE conversation_logs (
+        id TEXT PRIMARY KEY, chat_id TEXT, role TEXT, content TEXT, personality_id TEXT,
+        is_active BOOLEAN DEFAULT 1, timestamp DATETIME
+    );
+    INSERT INTO personalities (id, name, user_id) VALUES ('char-1', 'Aria', 'user-1'), ('char-2', 'Bram', 'user-1'), ('char-3', 'Cleo', 'user-1');
+`;
+
+describe('ChatCharacterRepository', () => {
+    let db;
+    let dal;
+    let chatCharacterRepo;
+
+    beforeEach(done => {
+        const mockDeps = createMockDependencies();
+        mockDeps.errorHandling.wrapRepositoryError = jest.fn((error, message) => new Error(`${message}: ${error.message}`));
+
+        db = new sqlite3.Database(':memory:', () => {
+            dal = new DataAccessLayer(db, mockDeps.errorHandling);
+            chatCharacterRepo = new ChatCharacterRepository('chat_characters', { ...mockDeps, dal });
+            dal.executeScript(SCHEMA).then(() => done(), done);
+        });
+    });
+
+    afterEach(done => {
+        db.close(done);
+    });
+
+    describe('Participants', () => {
+        test('should append characters to the turn order once', async () => {
+            expect(await chatCharacterRepo.addParticipant('chat-1', 'char-2', 'user-1')).toBe(true);
+            expect(await chatCharacterRepo.addParticipant('chat-1', 'char-1', 'user-1')).toBe(true);
+            expect(await chatCharacterRepo.addParticipant('chat-1', 'char-2', 'user-1')).toBe(false);
+            await chatCharacterRepo.addParticipant('chat-2', 'char-3', 'user-1');
+
+            const participants = await chatCharacterRepo.getParticipants('chat-1');
+
+            expect(participants.map(p => [p.id, p.name, p.position])).toEqual([
+                ['char-2', 'Bram', 0],
+                ['char-1', 'Aria', 1]
+            ]);
+            expect(await chatCharacterRepo.getCharacterIds('chat-2')).toEqual(['char-3']);
+        });
+
+        test('should remove a character from one chat only', async () => {
+            await chatCharacterRepo.addParticipant('chat-1', 'char-1', 'user-1');
+            await chatCharacterRepo.addParticipant('chat-2', 'char-1', 'user-1');
+
+            expect(await chatCharacterRepo.removeParticipant('chat-1', 'char-1')).toBe(true);
+            expect(await chatCharacterRepo.removeParticipant('chat-1', 'char-1')).toBe(false);
+            expect(await chatCharacterRepo.getCharacterIds('chat-1')).toEqual([]);
+            expect(await chatCharacterRepo.getCharacterIds('chat-2')).toEqual(['char-1']);
+        });
+
+        test('should require chat, character and user', async () => {
+            await expect(chatCharacterRepo.addParticipant('chat-1', null, 'user-1')).rejects.toThrow('Failed to add chat character');
+        });
+    });
+
+    describe('Last Speaker', () => {
+        test('should find the latest active reply with a character', async () => {
+            await dal.executeScript(`
+                INSERT INTO conversation_logs (id, chat_id, role, personality_id, is_active, timestamp) VALUES
+                    ('m1', 'chat-1', 'assistant', 'char-1', 1, '2026-10-18 10:00:00'),
+                    ('m2', 'chat-1', 'assistant', 'char-2', 1, '2026-10-18 10:01:00'),
+                    ('m3', 'chat-1', 'assistant', 'char-3', 0, '2026-10-18 10:02:00'),
+                    ('m4', 'chat-1', 'user', NULL, 1, '2026-10-18 10:03:00');
+            `);
+
+            expect(await chatCharacterRepo.getLastSpeakerId('chat-1')).toBe('char-2');
+            expect(await chatCharacterRepo.getLastSpeakerId('chat-2')).toBeNull();
+        });
+    });
+});
@@ -78,6 +78,36 @@ describe('ConversationRepository', () => {
             expect(mockDeps.dal.create).toHaveBeenCalled();
         });
 
+        test('should attach new messages to the active branch', async () => {
+            mockDeps.dal.queryOne
+                .mockResolvedValueOnce({ user_id: 'user-123' })
+                .mockResolvedValueOnce({ id: 'msg-leaf' });
+            mockDeps.dal.create.mockResolvedValue({});
+
+            await conversationRepo.saveMessage('chat-123', 'user', 'Hello', 'human', {});
+
+            expect(mockDeps.dal.queryOne).toHaveBeenLastCalledWith(
+                expect.stringContaining('is_active = 1'),
+                ['chat-123']
+            );
+            expect(mockDeps.dal.create).toHaveBeenCalledWith('conversation_logs', expect.objectContaining({
+                parent_id: 'msg-leaf',
+                is_active: 1
+            }));
+        });
+
+        test('should attach a message to an explicit parent', async () => {
+            mockDeps.dal.queryOne.mockResolvedValue({ user_id: 'user-123' });
+            mockDeps.dal.create.mockResolvedValue({});
+
+            await conversationRepo.saveMessage('chat-123', 'user', 'Hello', 'human', {}, { parentId: null });
+
+            expect(mockDeps.dal.queryOne).toHaveBeenCalledTimes(1);
+            expect(mockDeps.dal.create).toHaveBeenCalledWith('conversation_logs', expect.objectContaining({
+                parent_id: null
+            }));
+        });
+
         test('should validate required fields in saveMessage', async () => {
             await expect(
                 conversationRepo.saveMessage(null, 'user', 'Hello', 'human', {})
@@ -85,6 +115,77 @@ describe('ConversationRepository', () => {
         });
     });
 
+    describe('Conversation Branches', () => {
+        test('should only read the active branch for history', async () => {
+            mockDeps.dal.query.mockResolvedValue([]);
+
+            await conversationRepo.getSessionHistory('chat-123', 10);
+
+            expect(mockDeps.dal.query.mock.calls[0][0]).toContain('is_active = 1');
+        });
+
+        test('should switch the active branch in one transaction', async () => {
+            mockDeps.dal.executeInTransaction = jest.fn().mockResolvedValue([]);
+
+            await conversationRepo.setActiveBranch('chat-123', ['msg-1', 'msg-2']);
+
+            expect(mockDeps.dal.executeInTransaction).toHaveBeenCalledWith([
+                expect.objectContaining({ sql: expect.stringContaining('SET is_active = 0'), params: ['chat-123'] }),
+                expect.objectContaining({ sql: expect.stringContaining('SET is_active = 1'), params: ['chat-123', 'msg-1', 'msg-2'] })
+            ]);
+        });
+
+        test('should deactivate a message subtree', async () => {
+            mockDeps.dal.execute.mockResolvedValue({ changes: 3 });
+
+            const result = await conversationRepo.deactivateSubtree('msg-1');
+
+            expect(mockDeps.dal.execute).toHaveBeenCalledWith(expect.stringContaining('WITH RECURSIVE subtree'), ['msg-1']);
+            expect(result).toEqual({ deactivated: 3 });
+        });
+    });
+
+    describe('Message Search', () => {
+        test('should quote terms and prefix-match the last one', () => {
+            expect(ConversationRepository.buildSearchMatchQuery('my dog "Rex')).toBe('"my" "dog" "Rex"*');
+            expect(ConversationRepository.buildSearchMatchQuery('  ')).toBeNull();
+            expect(ConversationRepository.buildSearchMatchQuery(undefined)).toBeNull();
+        });
+
+        test('should split snippets into highlighted segments', () => {
+            expect(ConversationRepository.parseSnippet('…walked \u0002Rex\u0003 today')).toEqual([
+                { text: '…walked ', match: false },
+                { text: 'Rex', match: true },
+                { text: ' today', match: false }
+            ]);
+        });
+
+        test('should search the user\'s active messages with filters', async () => {
+            mockDeps.dal.query.mockResolvedValue([
+                { id: 'msg-1', chat_id: 'chat-1', role: 'user', snippet: 'my \u0002dog\u0003' }
+            ]);
+
+            const results = await conversationRepo.searchMessages('user-1', '"dog"', {
+                characterId: 'char-1',
+                from: '2026-10-01T00:00:00.000Z',
+                role: 'user',
+                limit: 5
+            });
+
+            const [sql, params] = mockDeps.dal.query.mock.calls[0];
+            expect(sql).toContain('conversation_logs_fts MATCH ?');
+            expect(sql).toContain('cl.is_active = 1');
+            expect(sql).toContain('c.personality_id = ?');
+            expect(sql).not.toContain('cl.timestamp <= ?');
+            expect(params.slice(2)).toEqual(['"dog"', 'user-1', 'user-1', 'char-1', '2026-10-01T00:00:00.000Z', 'user', 5, 0]);
+            expect(results[0].snippet).toBe('my dog');
+            expect(results[0].highlights).toEqual([
+                { text: 'my ', match: false },
+                { text: 'dog', match: true }
+            ]);
+        });
+    });
+
     describe('Error Handling', () => {
         test('should handle database errors gracefully', async () => {
             const dbError = new Error('Database connection failed');
@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for ConversationSummaryRepository
+ * 
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test per-chat summary upsert
+ * - Test summary lookup and reset
+ * - Mock database dependencies for isolated testing
+ */
+
+const ConversationSummaryRepository = require('../../backend/dal/repositories/ConversationSummaryRepository');
+
+describe('ConversationSummaryRepository', () => {
+    let summaryRepo;
+    let mockDeps;
+
+    beforeEach(() => {
+        mockDeps = createMockDependencies();
+        summaryRepo = new ConversationSummaryRepository('conversation_summaries', mockDeps);
+    });
+
+    describe('Architecture Compliance', () => {
+        test('should extend BaseRepository', () => {
+            expect(summaryRepo.constructor.name).toBe('ConversationSummaryRepository');
+            expect(summaryRepo.tableName).toBe('conversation_summaries');
+            expect(summaryRepo.dal).toBeDefined();
+        });
+
+        test('should implement summary-specific methods', () => {
+            [
+                'ensureConversationSummarySchema',
+                'getSummary',
+                'saveSummary',
+                'deleteSummary'
+            ].forEach(method => {
+                expect(typeof summaryRepo[method]).toBe('function');
+            });
+        });
+    });
+
+    describe('Summary Storage', () => {
+        test('should upsert one summary per chat', async () => {
+            mockDeps.dal.execute.mockResolvedValue({ changes: 1 });
+            mockDeps.dal.queryOne.mockResolvedValue({ chat_id: 'c1', mid_summary: 'They talked about Rome.' });
+
+            const result = await summaryRepo.saveSummary({
+                chatId: 'c1',
+                userId: 'u1',
+                midSummary: 'They talked about Rome.',
+                midMessageCount: 12,
+                summarizedMessageCount: 12,
+                summarizedThroughMessageId: 'm12',
+                summarizedThroughTimestamp: '2026-10-18T10:00:00.000Z'
+            });
+
+            expect(result.mid_summary).toBe('They talked about Rome.');
+            const [sql, params] = mockDeps.dal.execute.mock.calls[0];
+            expect(sql).toContain('ON CONFLICT(chat_id) DO UPDATE');
+            expect(params).toEqual(expect.arrayContaining([
+                'c1', 'u1', 'They talked about Rome.', '', 12, 'm12', '2026-10-18T10:00:00.000Z'
+            ]));
+        });
+
+        test('should require chat and user', async () => {
+            await expect(summaryRepo.saveSummary({ chatId: 'c1' })).rejects.toThrow();
+            expect(mockDeps.dal.execute).not.toHaveBeenCalled();
+        });
+
+        test('should look up the summary by chat', async () => {
+            mockDeps.dal.queryOne.mockResolvedValue(null);
+
+            const summary = await summaryRepo.getSummary('c1');
+
+            expect(summary).toBeNull();
+            expect(mockDeps.dal.queryOne).toHaveBeenCalledWith(
+                expect.stringContaining('WHERE chat_id = ?'),
+                ['c1']
+            );
+        });
+
+        test('should report whether a summary was deleted', async () => {
+            mockDeps.dal.execute.mockResolvedValueOnce({ changes: 1 }).mockResolvedValueOnce({ changes: 0 });
+
+            await expect(summaryRepo.deleteSummary('c1')).resolves.toBe(true);
+            await expect(summaryRepo.deleteSummary('c1')).resolves.toBe(false);
+        });
+    });
+});
@@ -565,6 +565,109 @@ describe('EventsRepository', () => {
 
             expect(result).toBeNull();
         });
+
+        test('should keep a daily event at its wall-clock time across a DST change', async () => {
+            // Berlin moves from UTC+1 to UTC+2 on 2026-03-29
+            const event = {
+                id: 'event-1',
+                recurrence_type: 'daily',
+                starts_at: '2026-03-20T06:00:00Z',
+                last_occurrence: '2026-03-28T06:00:00Z',
+                recurrence_data: JSON.stringify({ time: '07:00' })
+            };
+
+            const result = await eventsRepo.calculateNextOccurrence(event, { timeZone: 'Europe/Berlin' });
+
+            expect(result).toBe('2026-03-29T05:00:00.000Z');
+        });
+
+        test('should keep weekly and monthly events at the start time on the user\'s clock', async () => {
+            // 18:30 in New York, which falls back to UTC-5 on 2026-11-01
+            const weekly = {
+                id: 'event-1',
+                recurrence_type: 'weekly',
+                starts_at: '2026-10-16T22:30:00Z',
+                last_occurrence: '2026-10-30T22:31:12Z',
+                recurrence_data: '{}'
+            };
+            const monthly = {
+                id: 'event-2',
+                recurrence_type: 'monthly',
+                starts_at: '2026-01-31T23:30:00Z',
+                last_occurrence: '2026-01-31T23:30:00Z',
+                recurrence_data: '{}'
+            };
+            const newYork = { timeZone: 'America/New_York' };
+
+            expect(await eventsRepo.calculateNextOccurrence(weekly, newYork)).toBe('2026-11-06T23:30:00.000Z');
+            // Jan 31 -> Feb 28 (shorter month)
+            expect(await eventsRepo.calculateNextOccurrence(monthly, newYork)).toBe('2026-02-28T23:30:00.000Z');
+        });
+
+        describe('Recurrence Rules', () => {
+            const rruleEvent = overrides => ({
+                id: 'event-1',
+                user_id: 'user-123',
+                chat_id: 'chat-456',
+                character_id: 'char-789',
+                title: 'Standup',
+                recurrence_type: 'weekly',
+                rrule: 'freq=weekly;byday=mo,we,fr',
+                starts_at: '2026-10-12T05:00:00Z',
+                ...overrides
+            });
+
+            beforeEach(() => {
+                jest.useFakeTimers({ now: new Date('2026-10-18T12:00:00Z') });
+            });
+
+            afterEach(() => {
+                jest.useRealTimers();
+            });
+
+            test('should store the normalized rule and its first upcoming occurrence', async () => {
+                mockDeps.dal.create.mockResolvedValue({ id: 'event-1' });
+
+                await eventsRepo.createEvent(rruleEvent({ exdates: ['2026-10-19T05:00:00Z'] }), { timeZone: 'Europe/Berlin' });
+
+                const createCall = mockDeps.dal.create.mock.calls[0];
+                expect(createCall[1]).toMatchObject({
+                    rrule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR',
+                    exdates: JSON.stringify(['2026-10-19T05:00:00.000Z']),
+                    next_occurrence: '2026-10-21T05:00:00.000Z',
+                    is_active: 1
+                });
+            });
+
+            test('should store a rule that already ended as inactive', async () => {
+                mockDeps.dal.create.mockResolvedValue({ id: 'event-1' });
+
+                await eventsRepo.createEvent(rruleEvent({ rrule: 'FREQ=DAILY;COUNT=2' }), { timeZone: 'Europe/Berlin' });
+
+                expect(mockDeps.dal.create.mock.calls[0][1].is_active).toBe(0);
+            });
+
+            test('should follow the rule and skip excluded occurrences', async () => {
+                const event = rruleEvent({
+                    rrule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR',
+                    next_occurrence: '2026-10-19T05:00:00Z',
+                    exdates: JSON.stringify(['2026-10-21T05:00:00.000Z'])
+                });
+
+                expect(await eventsRepo.calculateNextOccurrence(event, { timeZone: 'Europe/Berlin' }))
+                    .toBe('2026-10-23T05:00:00.000Z');
+            });
+
+            test('should return null after ends_at', async () => {
+                const event = rruleEvent({
+                    rrule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR',
+                    next_occurrence: '2026-10-19T05:00:00Z',
+                    ends_at: '2026-10-20T00:00:00Z'
+                });
+
+                expect(await eventsRepo.calculateNextOccurrence(event, { timeZone: 'Europe/Berlin' })).toBeNull();
+            });
+        });
     });
 
     describe('User Isolation', () => {
@@ -0,0 +1,151 @@
+/**
+ * Unit Tests for LorebookRepository
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Runs against a real in-memory SQLite database through the DAL
+ * - Test lorebook ownership and entry storage (JSON keys, boolean flags)
+ * - Test loading the active entries that apply to a character
+ */
+
+const sqlite3 = require('sqlite3');
+const DataAccessLayer = require('../../backend/dal/CORE_DataAccessLayer');
+const LorebookRepository = require('../../backend/dal/repositories/LorebookRepository');
+
+const SCHEMA = `
+    CREATE TABLE personalities (id TEXT PRIMARY KEY, name TEXT, user_id TEXT);
+    CREATE TABLE lorebooks (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        personality_id TEXT,
+        name TEXT NOT NULL,
+        description TEXT,
+        scan_depth INTEGER NOT NULL DEFAULT 4,
+        token_budget INTEGER NOT NULL DEFAULT 500,
+        is_active BOOLEAN NOT NULL DEFAULT 1,
+        source TEXT NOT NULL DEFAULT 'manual',
+        created_at DATETIME,
+        updated_at DATETIME
+    );
+    CREATE TABLE lorebook_entries (
+        id TEXT PRIMARY KEY,
+        lorebook_id TEXT NOT NULL,
+        name TEXT,
+        keys TEXT NOT NULL DEFAULT '[]',
+        secondary_keys TEXT NOT NULL DEFAULT '[]',
+        selective_logic TEXT NOT NULL DEFAULT 'and_any',
+        content TEXT NOT NULL,
+        priority INTEGER NOT NULL DEFAULT 100,
+        position TEXT NOT NULL DEFAULT 'after_character',
+        token_limit INTEGER,
+        constant BOOLEAN NOT NULL DEFAULT 0,
+        case_sensitive BOOLEAN NOT NULL DEFAULT 0,
+        enabled BOOLEAN NOT NULL DEFAULT 1,
+        created_at DATETIME,
+        updated_at DATETIME
+    );
+    INSERT INTO personalities (id, name, user_id) VALUES ('char-1', 'Aria', 'user-1'), ('char-2', 'Bram', 'user-1');
+`;
+
+describe('LorebookRepository', () => {
+    let db;
+    let dal;
+    let lorebookRepo;
+
+    beforeEach(done => {
+        const mockDeps = createMockDependencies();
+        mockDeps.errorHandling.wrapRepositoryError = jest.fn((error, message) => new Error(`${message}: ${error.message}`));
+
+        db = new sqlite3.Database(':memory:', () => {
+            dal = new DataAccessLayer(db, mockDeps.errorHandling);
+            lorebookRepo = new LorebookRepository('lorebooks', { ...mockDeps, dal });
+            dal.executeScript(SCHEMA).then(() => done(), done);
+        });
+    });
+
+    afterEach(done => {
+        db.close(done);
+    });
+
+    describe('Lorebooks', () => {
+        test('should list books for a character with their entry counts', async () => {
+            const shared = await lorebookRepo.createLorebook({ user_id: 'user-1', name: 'Shared world' });
+            const aria = await lorebookRepo.createLorebook({ user_id: 'user-1', name: 'Aria lore', personality_id: 'char-1' });
+            await lorebookRepo.createLorebook({ user_id: 'user-1', name: 'Bram lore', personality_id: 'char-2' });
+            await lorebookRepo.createLorebook({ user_id: 'user-2', name: 'Someone else' });
+            await lorebookRepo.createEntry(aria.id, { keys: ['harbor'], content: 'The harbor is busy.' });
+
+            const all = await lorebookRepo.getUserLorebooks('user-1');
+            const forAria = await lorebookRepo.getUserLorebooks('user-1', 'char-1');
+
+            expect(all.map(book => book.name)).toEqual(['Aria lore', 'Bram lore', 'Shared world']);
+            expect(forAria.map(book => [book.name, book.character_name, book.entry_count])).toEqual([
+                ['Aria lore', 'Aria', 1],
+                ['Shared world', null, 0]
+            ]);
+            expect(shared).toMatchObject({ scan_depth: 4, token_budget: 500, is_active: true, source: 'manual' });
+        });
+
+        test('should only change and delete books of their owner', async () => {
+            const book = await lorebookRepo.createLorebook({ user_id: 'user-1', name: 'World' });
+            await lorebookRepo.createEntry(book.id, { keys: ['moon'], content: 'Two moons.' });
+
+            expect(await lorebookRepo.getLorebook(book.id, 'user-2')).toBeNull();
+            expect(await lorebookRepo.updateLorebook(book.id, 'user-2', { name: 'Stolen' })).toEqual({ updated: false });
+            expect(await lorebookRepo.updateLorebook(book.id, 'user-1', { is_active: false, scan_depth: 2 })).toEqual({ updated: true });
+            expect(await lorebookRepo.getLorebook(book.id, 'user-1')).toMatchObject({ is_active: false, scan_depth: 2 });
+
+            expect(await lorebookRepo.deleteLorebook(book.id, 'user-1')).toEqual({ deleted: true });
+            expect(await lorebookRepo.getEntries(book.id)).toEqual([]);
+        });
+
+        test('should require a user and a name', async () => {
+            await expect(lorebookRepo.createLorebook({ user_id: 'user-1' })).rejects.toThrow('Failed to create lorebook');
+        });
+    });
+
+    describe('Entries', () => {
+        test('should store keys as arrays and flags as booleans', async () => {
+            const book = await lorebookRepo.createLorebook({ user_id: 'user-1', name: 'World' });
+
+            const entry = await lorebookRepo.createEntry(book.id, {
+                keys: ['Valen', '/guild(s)?/i'],
+                secondary_keys: ['thief'],
+                content: 'Valen leads the thieves guild.',
+                constant: false,
+                case_sensitive: true,
+                token_limit: 40
+            });
+            await lorebookRepo.updateEntry(book.id, entry.id, { enabled: false, priority: 5 });
+
+            expect(entry).toMatchObject({
+                keys: ['Valen', '/guild(s)?/i'],
+                secondary_keys: ['thief'],
+                selective_logic: 'and_any',
+                position: 'after_character',
+                case_sensitive: true,
+                constant: false,
+                enabled: true,
+                token_limit: 40
+            });
+            expect(await lorebookRepo.getEntry(book.id, entry.id)).toMatchObject({ enabled: false, priority: 5 });
+            expect(await lorebookRepo.deleteEntry(book.id, entry.id)).toEqual({ deleted: true });
+            expect(await lorebookRepo.deleteEntry(book.id, entry.id)).toEqual({ deleted: false });
+        });
+
+        test('should load enabled entries of active books that apply to the character', async () => {
+            const shared = await lorebookRepo.createLorebook({ user_id: 'user-1', name: 'Shared', scan_depth: 2 });
+            const bram = await lorebookRepo.createLorebook({ user_id: 'user-1', name: 'Bram', personality_id: 'char-2' });
+            const inactive = await lorebookRepo.createLorebook({ user_id: 'user-1', name: 'Old', is_active: false });
+            await lorebookRepo.createEntry(shared.id, { keys: ['a'], content: 'Low', priority: 10 });
+            await lorebookRepo.createEntry(shared.id, { keys: ['b'], content: 'High', priority: 200 });
+            await lorebookRepo.createEntry(shared.id, { keys: ['c'], content: 'Disabled', enabled: false });
+            await lorebookRepo.createEntry(bram.id, { keys: ['d'], content: 'Bram only' });
+            await lorebookRepo.createEntry(inactive.id, { keys: ['e'], content: 'Inactive' });
+
+            const entries = await lorebookRepo.getActiveEntries('user-1', 'char-1');
+
+            expect(entries.map(entry => entry.content)).toEqual(['High', 'Low']);
+            expect(entries[0]).toMatchObject({ lorebook_name: 'Shared', scan_depth: 2, token_budget: 500, keys: ['b'] });
+        });
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit Tests for MemoryEmbeddingRepository
+ * 
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test vector storage and replacement
+ * - Test per-model vector lookup
+ * - Test backfill discovery of unindexed messages
+ * - Mock database dependencies for isolated testing
+ */
+
+const MemoryEmbeddingRepository = require('../../backend/dal/repositories/MemoryEmbeddingRepository');
+
+describe('MemoryEmbeddingRepository', () => {
+    let embeddingRepo;
+    let mockDeps;
+
+    beforeEach(() => {
+        mockDeps = createMockDependencies();
+        embeddingRepo = new MemoryEmbeddingRepository('memory_embeddings', mockDeps);
+    });
+
+    describe('Architecture Compliance', () => {
+        test('should extend BaseRepository', () => {
+            expect(embeddingRepo.constructor.name).toBe('MemoryEmbeddingRepository');
+            expect(embeddingRepo.tableName).toBe('memory_embeddings');
+            expect(embeddingRepo.dal).toBeDefined();
+        });
+
+        test('should implement embedding-specific methods', () => {
+            [
+                'ensureMemoryEmbeddingSchema',
+                'saveEmbedding',
+                'getEmbeddingsForMessages',
+                'getMessagesWithoutEmbeddings',
+                'countEmbeddings',
+                'deleteChatEmbeddings'
+            ].forEach(method => {
+                expect(typeof embeddingRepo[method]).toBe('function');
+            });
+        });
+    });
+
+    describe('Embedding Storage', () => {
+        test('should upsert the embedding as JSON', async () => {
+            const result = await embeddingRepo.saveEmbedding({
+                messageId: 'm1',
+                chatId: 'c1',
+                userId: 'u1',
+                model: 'nomic-embed',
+                embedding: [0.1, 0.2, 0.3]
+            });
+
+            expect(result).toEqual({ messageId: 'm1', model: 'nomic-embed', dimensions: 3 });
+            const [sql, params] = mockDeps.dal.execute.mock.calls[0];
+            expect(sql).toContain('ON CONFLICT(message_id) DO UPDATE');
+            expect(params).toEqual(expect.arrayContaining(['m1', 'c1', 'u1', 'nomic-embed', 3, '[0.1,0.2,0.3]']));
+        });
+
+        test('should require message, chat, user, model and embedding', async () => {
+            await expect(embeddingRepo.saveEmbedding({ messageId: 'm1' })).rejects.toThrow();
+            expect(mockDeps.dal.execute).not.toHaveBeenCalled();
+        });
+
+        test('should return vectors keyed by message id for the requested model', async () => {
+            mockDeps.dal.query.mockResolvedValue([
+                { message_id: 'm1', embedding: '[1,0]' },
+                { message_id: 'm2', embedding: '[0,1]' }
+            ]);
+
+            const vectors = await embeddingRepo.getEmbeddingsForMessages(['m1', 'm2', 'm3'], 'nomic-embed');
+
+            expect(vectors.get('m1')).toEqual([1, 0]);
+            expect(vectors.has('m3')).toBe(false);
+            expect(mockDeps.dal.query).toHaveBeenCalledWith(
+                expect.stringContaining('WHERE model = ?'),
+                ['nomic-embed', 'm1', 'm2', 'm3']
+            );
+        });
+
+        test('should skip the query for an empty id list', async () => {
+            const vectors = await embeddingRepo.getEmbeddingsForMessages([], 'nomic-embed');
+
+            expect(vectors.size).toBe(0);
+            expect(mockDeps.dal.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Backfill Discovery', () => {
+        test('should find messages missing an embedding for the model', async () => {
+            await embeddingRepo.getMessagesWithoutEmbeddings('nomic-embed', { userId: 'u1', chatId: 'c1', limit: 10 });
+
+            const [sql, params] = mockDeps.dal.query.mock.calls[0];
+            expect(sql).toContain('LEFT JOIN memory_embeddings');
+            expect(sql).toContain('me.id IS NULL');
+            expect(params).toEqual(['nomic-embed', 'c1', 'u1', 10]);
+        });
+
+        test('should leave out whitespace-only messages', async () => {
+            await embeddingRepo.getMessagesWithoutEmbeddings('nomic-embed');
+
+            expect(mockDeps.dal.query.mock.calls[0][0]).toContain("TRIM(cl.content, char(32, 9, 10, 13)) != ''");
+        });
+
+        test('should default the batch size', async () => {
+            await embeddingRepo.getMessagesWithoutEmbeddings('nomic-embed');
+
+            const params = mockDeps.dal.query.mock.calls[0][1];
+            expect(params).toEqual(['nomic-embed', 50]);
+        });
+    });
+});
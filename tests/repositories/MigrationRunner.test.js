@@ -0,0 +1,364 @@
+/**
+ * Unit Tests for MigrationRunner
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Runs against a real in-memory SQLite database through the DAL
+ * - Migration files come from a temporary directory per test
+ * - Proves fresh creation, pending application, drift refusal, dry-run,
+ *   rollback with down-migrations, status and adoption of pre-runner databases
+ * - Proves the repository's schema.sql holds everything its migrations add,
+ *   so fresh and migrated databases have the same tables, columns and indexes
+ * - Proves a database created from the schema.sql shipped before the runner
+ *   is brought up to date without a manual baseline
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const DataAccessLayer = require('../../backend/dal/CORE_DataAccessLayer');
+const MigrationRunner = require('../../backend/dal/CORE_MigrationRunner');
+
+const SCHEMA = `
+CREATE TABLE users (id TEXT PRIMARY KEY, username TEXT);
+CREATE TABLE schema_versions (
+    id TEXT PRIMARY KEY,
+    version TEXT NOT NULL,
+    name TEXT,
+    checksum TEXT,
+    description TEXT,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE notes (id TEXT PRIMARY KEY, body TEXT);
+`;
+
+const MIGRATION_001 = `-- Migration 001: Notes
+CREATE TABLE IF NOT EXISTS notes (id TEXT PRIMARY KEY, body TEXT);
+`;
+
+const REPOSITORY_SCHEMA = path.join(__dirname, '../../database/schema.sql');
+const REPOSITORY_MIGRATIONS = path.join(__dirname, '../../database/migrations');
+const LEGACY_SCHEMA = path.join(__dirname, 'fixtures/legacy_schema.sql');
+
+// Tables, added columns and indexes (by their column list) the repository's
+// migrations leave behind, each with the migration that added it
+const readMigratedObjects = () => {
+    const tables = new Map();
+    const getTable = (name, file) => {
+        if (!tables.has(name)) tables.set(name, { file, columns: new Map(), indexes: new Map() });
+        return tables.get(name);
+    };
+    const files = fs.readdirSync(REPOSITORY_MIGRATIONS)
+        .filter(file => file.endsWith('.sql') && !file.endsWith('.down.sql'))
+        .sort();
+
+    for (const file of files) {
+        const sql = fs.readFileSync(path.join(REPOSITORY_MIGRATIONS, file), 'utf8').replace(/--.*$/gm, '');
+        for (const statement of sql.split(';')) {
+            let match;
+            if ((match = statement.match(/CREATE\s+(?:VIRTUAL\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(\w+)/i))) {
+                getTable(match[1], file);
+            } else if ((match = statement.match(/ALTER\s+TABLE\s+(\w+)\s+RENAME\s+TO\s+(\w+)/i))) {
+                tables.set(match[2], getTable(match[1], file));
+                tables.delete(match[1]);
+            } else if ((match = statement.match(/ALTER\s+TABLE\s+(\w+)\s+ADD\s+(?:COLUMN\s+)?(\w+)/i))) {
+                getTable(match[1], file).columns.set(match[2], file);
+            } else if ((match = statement.match(/DROP\s+TABLE\s+(?:IF\s+EXISTS\s+)?(\w+)/i))) {
+                tables.delete(match[1]);
+            } else if ((match = statement.match(/CREATE\s+(?:UNIQUE\s+)?INDEX\s+(?:IF\s+NOT\s+EXISTS\s+)?\w+\s+ON\s+(\w+)\s*\(([^)]*)\)/i))) {
+                getTable(match[1], file).indexes.set(match[2].replace(/\s+/g, ' ').trim().toLowerCase(), file);
+            }
+        }
+    }
+    return tables;
+};
+
+const MIGRATION_002 = `-- Migration 002: Note Tags
+CREATE TABLE tags (id TEXT PRIMARY KEY, note_id TEXT);
+INSERT INTO schema_versions (id, version, description) VALUES ('migration_002', '002', 'Add tags');
+`;
+
+describe('MigrationRunner', () => {
+    let db;
+    let dal;
+    let dir;
+    let runner;
+
+    const write = (file, sql) => fs.writeFileSync(path.join(dir, 'migrations', file), sql);
+
+    const tables = async () => (await dal.query(
+        "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name"
+    )).map(row => row.name);
+
+    // What readMigratedObjects() lists that the database lacks
+    const findMissingMigratedObjects = async () => {
+        const indexRows = await dal.query("SELECT tbl_name, sql FROM sqlite_master WHERE type = 'index' AND sql IS NOT NULL");
+        const missing = [];
+
+        for (const [table, expected] of readMigratedObjects()) {
+            const columns = (await dal.query(`PRAGMA table_info(${table})`)).map(column => column.name);
+            if (columns.length === 0) {
+                missing.push(`${expected.file}: table ${table}`);
+                continue;
+            }
+            for (const [column, file] of expected.columns) {
+                if (!columns.includes(column)) missing.push(`${file}: column ${table}.${column}`);
+            }
+            const indexes = indexRows
+                .filter(row => row.tbl_name === table)
+                .map(row => row.sql.match(/ON\s+\w+\s*\(([^)]*)\)/i)[1].replace(/\s+/g, ' ').trim().toLowerCase());
+            for (const [index, file] of expected.indexes) {
+                if (!indexes.includes(index)) missing.push(`${file}: index ${table}(${index})`);
+            }
+        }
+        return missing;
+    };
+
+    beforeEach(done => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aria-migrations-'));
+        fs.mkdirSync(path.join(dir, 'migrations'));
+        fs.writeFileSync(path.join(dir, 'schema.sql'), SCHEMA);
+
+        const mockDeps = createMockDependencies();
+        mockDeps.errorHandling.wrapInfrastructureError = jest.fn((error, message) => new Error(`${message}: ${error.message}`));
+
+        db = new sqlite3.Database(':memory:', () => {
+            dal = new DataAccessLayer(db, mockDeps.errorHandling);
+            runner = new MigrationRunner({
+                dal,
+                logger: mockDeps.logger,
+                errorHandling: mockDeps.errorHandling,
+                migrationsDir: path.join(dir, 'migrations'),
+                schemaPath: path.join(dir, 'schema.sql')
+            });
+            done();
+        });
+    });
+
+    afterEach(done => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        db.close(done);
+    });
+
+    describe('Migration Files', () => {
+        test('should load migrations in order with checksum, title and down file', () => {
+            write('002_tags.sql', MIGRATION_002);
+            write('002_tags.down.sql', 'DROP TABLE tags;');
+            write('001_notes.sql', MIGRATION_001);
+            write('README.md', 'not a migration');
+
+            const migrations = runner.loadMigrations();
+
+            expect(migrations.map(migration => migration.name)).toEqual(['001_notes', '002_tags']);
+            expect(migrations[0]).toMatchObject({ version: '001', description: 'Notes', downSql: null });
+            expect(migrations[1].downSql).toBe('DROP TABLE tags;');
+            expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+        });
+    });
+
+    describe('Fresh Database', () => {
+        test('should create the schema and record every migration as baseline', async () => {
+            write('001_notes.sql', MIGRATION_001);
+            write('002_tags.sql', MIGRATION_002);
+
+            const result = await runner.migrate();
+
+            expect(result).toMatchObject({ schemaCreated: true, baselined: ['001_notes', '002_tags'], applied: [] });
+            expect(await tables()).toEqual(['notes', 'schema_versions', 'users']);
+            const status = await runner.status();
+            expect(status.migrations.map(migration => migration.state)).toEqual(['applied', 'applied']);
+        });
+    });
+
+    describe('Pending Migrations', () => {
+        beforeEach(async () => {
+            write('001_notes.sql', MIGRATION_001);
+            await runner.migrate();
+        });
+
+        test('should apply and record new migrations once', async () => {
+            write('002_tags.sql', MIGRATION_002);
+
+            expect((await runner.migrate()).applied).toEqual(['002_tags']);
+            expect((await runner.migrate()).applied).toEqual([]);
+
+            expect(await tables()).toContain('tags');
+            const row = await dal.queryOne('SELECT checksum FROM schema_versions WHERE name = ?', ['002_tags']);
+            expect(row.checksum).toBe(runner.checksum(MIGRATION_002));
+        });
+
+        test('should not change the database on a dry run', async () => {
+            write('002_tags.sql', MIGRATION_002);
+
+            const result = await runner.migrate({ dryRun: true });
+
+            expect(result).toMatchObject({ dryRun: true, applied: ['002_tags'] });
+            expect(await tables()).not.toContain('tags');
+            expect((await runner.status()).migrations[1].state).toBe('pending');
+        });
+
+        test('should roll back a failing migration and leave it pending', async () => {
+            write('002_broken.sql', 'CREATE TABLE half (id TEXT); INSERT INTO missing_table VALUES (1);');
+
+            await expect(runner.migrate()).rejects.toMatchObject({ code: 'MIGRATION_FAILED' });
+
+            expect(await tables()).not.toContain('half');
+            expect((await runner.status()).migrations[1].state).toBe('pending');
+        });
+    });
+
+    describe('Checksum Drift', () => {
+        test('should refuse to migrate when an applied file changed', async () => {
+            write('001_notes.sql', MIGRATION_001);
+            await runner.migrate();
+            write('001_notes.sql', `${MIGRATION_001}ALTER TABLE notes ADD COLUMN title TEXT;\n`);
+            write('002_tags.sql', MIGRATION_002);
+
+            await expect(runner.migrate()).rejects.toMatchObject({
+                code: 'MIGRATION_CHECKSUM_DRIFT',
+                migrations: [expect.objectContaining({ name: '001_notes' })]
+            });
+
+            expect(await tables()).not.toContain('tags');
+            expect((await runner.status()).migrations[0].state).toBe('drifted');
+        });
+    });
+
+    describe('Rollback', () => {
+        beforeEach(async () => {
+            write('001_notes.sql', MIGRATION_001);
+            await runner.migrate();
+            write('002_tags.sql', MIGRATION_002);
+            await runner.migrate();
+        });
+
+        test('should revert the last migration with its down file', async () => {
+            write('002_tags.down.sql', "DROP TABLE tags;\nDELETE FROM schema_versions WHERE id = 'migration_002';");
+
+            const result = await runner.rollback();
+
+            expect(result.rolledBack).toEqual(['002_tags']);
+            expect(await tables()).not.toContain('tags');
+            expect((await runner.status()).migrations[1].state).toBe('pending');
+            expect((await runner.migrate()).applied).toEqual(['002_tags']);
+        });
+
+        test('should not revert anything on a dry run', async () => {
+            write('002_tags.down.sql', 'DROP TABLE tags;');
+
+            const result = await runner.rollback({ dryRun: true });
+
+            expect(result).toEqual({ dryRun: true, rolledBack: ['002_tags'] });
+            expect(await tables()).toContain('tags');
+        });
+
+        test('should refuse when a migration in range has no down file', async () => {
+            write('002_tags.down.sql', 'DROP TABLE tags;');
+
+            await expect(runner.rollback({ steps: 2 })).rejects.toMatchObject({ code: 'MIGRATION_DOWN_MISSING' });
+
+            expect(await tables()).toContain('tags');
+        });
+    });
+
+    describe('Pre-runner Databases', () => {
+        beforeEach(async () => {
+            await dal.executeScript(`
+                CREATE TABLE users (id TEXT PRIMARY KEY);
+                CREATE TABLE schema_versions (id TEXT PRIMARY KEY, version TEXT NOT NULL, description TEXT, applied_at DATETIME DEFAULT CURRENT_TIMESTAMP);
+                CREATE TABLE notes (id TEXT PRIMARY KEY, body TEXT);
+            `);
+            write('001_notes.sql', MIGRATION_001);
+            write('002_tags.sql', MIGRATION_002);
+        });
+
+        test('should baseline up to the recorded legacy version and apply the rest', async () => {
+            await dal.execute("INSERT INTO schema_versions (id, version) VALUES ('migration_001', '001')");
+
+            const result = await runner.migrate();
+
+            expect(result).toMatchObject({ schemaCreated: false, baselined: ['001_notes'], applied: ['002_tags'] });
+            expect(await tables()).toContain('tags');
+            const columns = (await dal.query('PRAGMA table_info(schema_versions)')).map(column => column.name);
+            expect(columns).toEqual(expect.arrayContaining(['name', 'checksum']));
+        });
+
+        test('should baseline up to the last migration whose tables exist when no version was recorded', async () => {
+            expect((await runner.status()).legacyVersion).toBe(1);
+
+            const result = await runner.migrate();
+
+            expect(result).toMatchObject({ baselined: ['001_notes'], added: [], applied: ['002_tags'] });
+        });
+
+        test('should add a column a baselined migration lacks', async () => {
+            write('001_notes.sql', `${MIGRATION_001}ALTER TABLE notes ADD COLUMN title TEXT;\n`);
+            await dal.execute('CREATE TABLE tags (id TEXT PRIMARY KEY, note_id TEXT)');
+
+            const result = await runner.migrate();
+
+            expect(result).toMatchObject({ baselined: ['001_notes', '002_tags'], added: ['notes.title'], applied: [] });
+            const columns = (await dal.query('PRAGMA table_info(notes)')).map(column => column.name);
+            expect(columns).toContain('title');
+        });
+
+        test('should require an explicit baseline without a numeric legacy version or known tables', async () => {
+            await dal.execute('DROP TABLE notes');
+            await dal.execute("INSERT INTO schema_versions (id, version) VALUES ('init_unified', 'unified_v1')");
+
+            expect((await runner.status()).needsBaseline).toBe(true);
+            await expect(runner.migrate()).rejects.toMatchObject({ code: 'MIGRATION_BASELINE_REQUIRED' });
+
+            expect((await runner.baseline('001')).baselined).toEqual(['001_notes']);
+            expect((await runner.migrate()).applied).toEqual(['002_tags']);
+        });
+    });
+
+    describe('Repository Schema', () => {
+        test('should create everything the migrations add from schema.sql', async () => {
+            await dal.executeScript(fs.readFileSync(REPOSITORY_SCHEMA, 'utf8'));
+            expect(await findMissingMigratedObjects()).toEqual([]);
+        });
+
+        test('should record each migration from 009 on in schema_versions and remove it on rollback', () => {
+            runner.migrationsDir = REPOSITORY_MIGRATIONS;
+            const problems = [];
+            for (const migration of runner.loadMigrations()) {
+                if (Number(migration.version) < 9) continue;
+                const id = `'migration_${migration.version}'`;
+                if (!new RegExp(`INSERT INTO schema_versions[^;]*${id}`).test(migration.sql)) {
+                    problems.push(`${migration.name}: no INSERT INTO schema_versions`);
+                }
+                if (migration.downSql && !migration.downSql.includes(`DELETE FROM schema_versions WHERE id = ${id}`)) {
+                    problems.push(`${migration.name}.down: no DELETE FROM schema_versions`);
+                }
+            }
+
+            expect(problems).toEqual([]);
+        });
+
+        test('should bring a database created from the pre-runner schema.sql up to date', async () => {
+            await dal.executeScript(fs.readFileSync(LEGACY_SCHEMA, 'utf8'));
+            runner = new MigrationRunner({
+                dal,
+                logger: runner.logger,
+                errorHandling: runner.errorHandler,
+                migrationsDir: REPOSITORY_MIGRATIONS,
+                schemaPath: REPOSITORY_SCHEMA
+            });
+
+            const result = await runner.migrate();
+
+            expect(result.baselined.every(name => name <= '008_~')).toBe(true);
+            expect(result.baselined).toContain('008_personality_image_storage');
+            expect(result.added).toEqual([
+                'users.llm_preferences',
+                'idx_personalities_user_active',
+                'idx_personalities_image_type'
+            ]);
+            expect(result.applied[0]).toBe('009_memory_embeddings');
+            expect(await findMissingMigratedObjects()).toEqual([]);
+            expect((await runner.migrate()).applied).toEqual([]);
+        });
+    });
+});
@@ -163,6 +163,105 @@ describe('PersonalityRepository', () => {
             });
         });
 
+        test('createCharacter defaults memory_scope to chat', async () => {
+            mockDeps.dal.create.mockResolvedValue({ id: 'char-1' });
+
+            await personalityRepo.createCharacter({ id: 'char-1', name: 'Test', user_id: 'user-1' });
+
+            expect(mockDeps.dal.create.mock.calls[0][1].memory_scope).toBe('chat');
+        });
+
+        test('createCharacter merges imported traits and communication style over the defaults', async () => {
+            mockDeps.dal.create.mockResolvedValue({ id: 'char-1' });
+
+            await personalityRepo.createCharacter({
+                id: 'char-1',
+                name: 'Test',
+                user_id: 'user-1',
+                personality_traits: { summary: 'kind' },
+                communication_style: { first_message: 'Hello!' },
+                llm_preferences: { conversational: { temperature: 0.9 } }
+            });
+
+            const data = mockDeps.dal.create.mock.calls[0][1];
+            expect(JSON.parse(data.personality_traits)).toMatchObject({ summary: 'kind', learning_style: 'adaptive' });
+            expect(JSON.parse(data.communication_style)).toMatchObject({ first_message: 'Hello!', default_tone: 'friendly' });
+            expect(JSON.parse(data.llm_preferences)).toEqual({ conversational: { temperature: 0.9 } });
+        });
+
+        test('createCharacter rejects an unknown memory_scope', async () => {
+            await expect(
+                personalityRepo.createCharacter({ id: 'char-1', name: 'Test', user_id: 'user-1', memory_scope: 'global' })
+            ).rejects.toThrow();
+            expect(mockDeps.dal.create).not.toHaveBeenCalled();
+        });
+
+        test('updateCharacter stores memory_scope', async () => {
+            mockDeps.dal.findById.mockResolvedValue({ id: 'char-1', user_id: 'user-1' });
+            mockDeps.dal.update.mockResolvedValue({ changes: 1 });
+
+            await personalityRepo.updateCharacter('char-1', { memory_scope: 'character' });
+
+            expect(mockDeps.dal.update).toHaveBeenCalledWith(
+                'personalities',
+                expect.objectContaining({ memory_scope: 'character' }),
+                { id: 'char-1' }
+            );
+        });
+
+        test('updateCharacter stores tool_allowlist as JSON', async () => {
+            mockDeps.dal.findById.mockResolvedValue({ id: 'char-1', user_id: 'user-1' });
+            mockDeps.dal.update.mockResolvedValue({ changes: 1 });
+
+            await personalityRepo.updateCharacter('char-1', { tool_allowlist: ['search_memory', 'get_datetime'] });
+
+            expect(mockDeps.dal.update).toHaveBeenCalledWith(
+                'personalities',
+                expect.objectContaining({ tool_allowlist: '["search_memory","get_datetime"]' }),
+                { id: 'char-1' }
+            );
+        });
+
+        test('updateCharacter stores stop sequences as JSON and the merge flag as 0/1', async () => {
+            mockDeps.dal.findById.mockResolvedValue({ id: 'char-1', user_id: 'user-1' });
+            mockDeps.dal.update.mockResolvedValue({ changes: 1 });
+
+            await personalityRepo.updateCharacter('char-1', { stop_sequences: ['\n{{user}}:'], merge_consecutive_turns: true });
+            await personalityRepo.updateCharacter('char-1', { stop_sequences: [] });
+
+            expect(mockDeps.dal.update).toHaveBeenNthCalledWith(1,
+                'personalities',
+                expect.objectContaining({ stop_sequences: '["\\n{{user}}:"]', merge_consecutive_turns: 1 }),
+                { id: 'char-1' }
+            );
+            expect(mockDeps.dal.update).toHaveBeenNthCalledWith(2,
+                'personalities',
+                expect.objectContaining({ stop_sequences: null }),
+                { id: 'char-1' }
+            );
+            await expect(personalityRepo.updateCharacter('char-1', { stop_sequences: ['a', 'b', 'c', 'd', 'e'] }))
+                .rejects.toThrow();
+        });
+
+        test('updateCharacter replaces personality_traits and communication_style', async () => {
+            mockDeps.dal.findById.mockResolvedValue({ id: 'char-1', user_id: 'user-1' });
+            mockDeps.dal.update.mockResolvedValue({ changes: 1 });
+
+            await personalityRepo.updateCharacter('char-1', {
+                personality_traits: { core_traits: ['calm'] },
+                communication_style: '{"default_tone":"warm"}'
+            });
+
+            expect(mockDeps.dal.update).toHaveBeenCalledWith(
+                'personalities',
+                expect.objectContaining({
+                    personality_traits: '{"core_traits":["calm"]}',
+                    communication_style: '{"default_tone":"warm"}'
+                }),
+                { id: 'char-1' }
+            );
+        });
+
         test('getUserCharacters returns empty array when user has no characters', async () => {
             mockDeps.dal.findAll.mockResolvedValue([]);
 
@@ -0,0 +1,186 @@
+/**
+ * Unit Tests for ProactiveJobRepository
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Runs against a real in-memory SQLite database through the DAL
+ * - Test that a due job is claimed by one worker only
+ * - Test complete/retry/dead-letter transitions and their idempotency
+ * - Test taking over a claim whose lease ran out
+ * - Test deferring a claim without using up an attempt, and releasing deferred jobs
+ */
+
+const sqlite3 = require('sqlite3');
+const DataAccessLayer = require('../../backend/dal/CORE_DataAccessLayer');
+const ProactiveJobRepository = require('../../backend/dal/repositories/ProactiveJobRepository');
+
+const SCHEMA = `
+    CREATE TABLE proactive_jobs (
+        id TEXT PRIMARY KEY,
+        job_type TEXT NOT NULL DEFAULT 'proactive_message',
+        user_id TEXT NOT NULL,
+        chat_id TEXT,
+        personality_id TEXT,
+        engagement_id TEXT,
+        payload TEXT NOT NULL DEFAULT '{}',
+        run_at DATETIME NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 5,
+        last_error TEXT,
+        locked_by TEXT,
+        locked_at DATETIME,
+        completed_at DATETIME,
+        deferred_reason TEXT,
+        created_at DATETIME,
+        updated_at DATETIME
+    );
+    CREATE TABLE conversation_logs (
+        id TEXT PRIMARY KEY,
+        chat_id TEXT,
+        metadata TEXT
+    );
+`;
+
+const past = seconds => new Date(Date.now() - seconds * 1000);
+const future = seconds => new Date(Date.now() + seconds * 1000);
+
+describe('ProactiveJobRepository', () => {
+    let db;
+    let dal;
+    let jobRepo;
+
+    beforeEach(done => {
+        const mockDeps = createMockDependencies();
+        mockDeps.errorHandling.wrapRepositoryError = jest.fn((error, message) => new Error(`${message}: ${error.message}`));
+
+        db = new sqlite3.Database(':memory:', () => {
+            dal = new DataAccessLayer(db, mockDeps.errorHandling);
+            jobRepo = new ProactiveJobRepository('proactive_jobs', { ...mockDeps, dal });
+            dal.executeScript(SCHEMA).then(() => done(), done);
+        });
+    });
+
+    afterEach(done => {
+        db.close(done);
+    });
+
+    describe('Enqueue', () => {
+        test('should store a pending job with its payload', async () => {
+            const job = await jobRepo.enqueue({
+                userId: 'user-1',
+                chatId: 'chat-1',
+                runAt: future(60),
+                payload: { content: 'How did it go?' }
+            });
+
+            expect(job).toMatchObject({ status: 'pending', attempts: 0, max_attempts: 5, chat_id: 'chat-1' });
+            expect(job.payload).toEqual({ content: 'How did it go?' });
+            expect((await jobRepo.getPendingJobs({ chatId: 'chat-1' })).map(pending => pending.id)).toEqual([job.id]);
+        });
+
+        test('should require a user and a run time', async () => {
+            await expect(jobRepo.enqueue({ userId: 'user-1' })).rejects.toThrow('Failed to enqueue proactive job');
+        });
+    });
+
+    describe('Claiming', () => {
+        test('should claim only due jobs, once', async () => {
+            const due = await jobRepo.enqueue({ userId: 'user-1', runAt: past(5) });
+            await jobRepo.enqueue({ userId: 'user-1', runAt: future(600) });
+
+            const claimed = await jobRepo.claimDue('worker-a');
+            const claimedAgain = await jobRepo.claimDue('worker-b');
+
+            expect(claimed.map(job => job.id)).toEqual([due.id]);
+            expect(claimed[0]).toMatchObject({ status: 'running', locked_by: 'worker-a', attempts: 1 });
+            expect(claimedAgain).toEqual([]);
+        });
+
+        test('should take over a claim whose lease ran out', async () => {
+            const job = await jobRepo.enqueue({ userId: 'user-1', runAt: past(5) });
+            await jobRepo.claimDue('worker-a');
+
+            expect(await jobRepo.claimDue('worker-b', { leaseMs: 60000 })).toEqual([]);
+
+            const takenOver = await jobRepo.claimDue('worker-b', { leaseMs: 60000, now: future(120) });
+            expect(takenOver[0]).toMatchObject({ id: job.id, locked_by: 'worker-b', attempts: 2 });
+            expect(await jobRepo.complete(job.id, 'worker-a')).toBe(false);
+        });
+    });
+
+    describe('Transitions', () => {
+        test('should complete a claimed job once', async () => {
+            const job = await jobRepo.enqueue({ userId: 'user-1', runAt: past(5) });
+            await jobRepo.claimDue('worker-a');
+
+            expect(await jobRepo.complete(job.id, 'worker-a')).toBe(true);
+            expect(await jobRepo.complete(job.id, 'worker-a')).toBe(false);
+            expect(await jobRepo.getJob(job.id)).toMatchObject({ status: 'completed', locked_by: null });
+            expect(await jobRepo.getPendingJobs()).toEqual([]);
+        });
+
+        test('should put a retried job back in the queue for later', async () => {
+            const job = await jobRepo.enqueue({ userId: 'user-1', runAt: past(5) });
+            await jobRepo.claimDue('worker-a');
+
+            expect(await jobRepo.retry(job.id, 'worker-a', 'socket closed', future(60))).toBe(true);
+            expect(await jobRepo.getJob(job.id)).toMatchObject({ status: 'pending', attempts: 1, last_error: 'socket closed' });
+            expect(await jobRepo.claimDue('worker-a')).toEqual([]);
+            expect(await jobRepo.claimDue('worker-a', { now: future(61) })).toHaveLength(1);
+        });
+
+        test('should dead-letter a job and keep it out of the queue', async () => {
+            const job = await jobRepo.enqueue({ userId: 'user-1', runAt: past(5), maxAttempts: 1 });
+            await jobRepo.claimDue('worker-a');
+
+            expect(await jobRepo.deadLetter(job.id, 'worker-a', 'chat deleted')).toBe(true);
+            expect(await jobRepo.getJob(job.id)).toMatchObject({ status: 'dead_letter', last_error: 'chat deleted' });
+            expect(await jobRepo.claimDue('worker-a', { now: future(3600) })).toEqual([]);
+        });
+
+        test('should cancel pending jobs only', async () => {
+            const job = await jobRepo.enqueue({ userId: 'user-1', runAt: future(60), engagementId: 'eng-1' });
+            const running = await jobRepo.enqueue({ userId: 'user-1', runAt: past(5), engagementId: 'eng-2' });
+            await jobRepo.claimDue('worker-a');
+
+            expect(await jobRepo.cancel(job.id)).toBe(true);
+            expect(await jobRepo.cancel(job.id)).toBe(false);
+            expect(await jobRepo.cancelByEngagement('eng-2')).toBe(0);
+            expect((await jobRepo.getJob(running.id)).status).toBe('running');
+        });
+    });
+
+    describe('Deferral', () => {
+        test('should defer a claim without using up an attempt', async () => {
+            const job = await jobRepo.enqueue({ userId: 'user-1', runAt: past(5) });
+            await jobRepo.claimDue('worker-a');
+
+            expect(await jobRepo.defer(job.id, 'worker-b', future(3600), 'quiet_hours')).toBe(false);
+            expect(await jobRepo.defer(job.id, 'worker-a', future(3600), 'quiet_hours')).toBe(true);
+            expect(await jobRepo.getJob(job.id)).toMatchObject({
+                status: 'pending', attempts: 0, deferred_reason: 'quiet_hours', locked_by: null
+            });
+            expect(await jobRepo.claimDue('worker-a')).toEqual([]);
+        });
+
+        test('should make a user\'s deferred jobs due again', async () => {
+            const deferred = await jobRepo.enqueue({ userId: 'user-1', runAt: future(3600), deferredReason: 'dnd' });
+            const planned = await jobRepo.enqueue({ userId: 'user-1', runAt: future(3600) });
+            await jobRepo.enqueue({ userId: 'user-2', runAt: future(3600), deferredReason: 'dnd' });
+
+            expect(await jobRepo.releaseDeferred('user-1')).toBe(1);
+            expect((await jobRepo.claimDue('worker-a', { now: future(1) })).map(job => job.id)).toEqual([deferred.id]);
+            expect((await jobRepo.getJob(planned.id)).status).toBe('pending');
+        });
+    });
+
+    describe('Delivered Messages', () => {
+        test('should find the message a job already saved', async () => {
+            await dal.execute('INSERT INTO conversation_logs (id, chat_id, metadata) VALUES (?, ?, ?)',
+                ['msg-1', 'chat-1', JSON.stringify({ job_id: 'job-1' })]);
+
+            expect(await jobRepo.getDeliveredMessageId('job-1', 'chat-1')).toBe('msg-1');
+            expect(await jobRepo.getDeliveredMessageId('job-2', 'chat-1')).toBeNull();
+        });
+    });
+});
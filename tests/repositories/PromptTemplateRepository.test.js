@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for PromptTemplateRepository
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Runs against a real in-memory SQLite database through the DAL
+ * - Test version numbering per template and scope key
+ * - Test loading the current overrides that apply to a user and character
+ */
+
+const sqlite3 = require('sqlite3');
+const DataAccessLayer = require('../../backend/dal/CORE_DataAccessLayer');
+const PromptTemplateRepository = require('../../backend/dal/repositories/PromptTemplateRepository');
+
+const SCHEMA = `
+    CREATE TABLE prompt_templates (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        scope TEXT NOT NULL CHECK (scope IN ('global', 'user', 'character')),
+        user_id TEXT,
+        personality_id TEXT,
+        version INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        note TEXT NOT NULL DEFAULT '',
+        created_by TEXT,
+        created_at DATETIME
+    );
+`;
+
+const GLOBAL = { scope: 'global', userId: null, personalityId: null };
+const USER = { scope: 'user', userId: 'user-1', personalityId: null };
+const CHARACTER = { scope: 'character', userId: 'user-1', personalityId: 'char-1' };
+
+describe('PromptTemplateRepository', () => {
+    let db;
+    let dal;
+    let templateRepo;
+
+    beforeEach(done => {
+        const mockDeps = createMockDependencies();
+        mockDeps.errorHandling.wrapRepositoryError = jest.fn((error, message) => new Error(`${message}: ${error.message}`));
+
+        db = new sqlite3.Database(':memory:', () => {
+            dal = new DataAccessLayer(db, mockDeps.errorHandling);
+            templateRepo = new PromptTemplateRepository('prompt_templates', { ...mockDeps, dal });
+            dal.executeScript(SCHEMA).then(() => done(), done);
+        });
+    });
+
+    afterEach(done => {
+        db.close(done);
+    });
+
+    describe('Versions', () => {
+        test('should number versions separately per scope key', async () => {
+            const first = await templateRepo.createVersion('chat_user_turn', USER, { content: 'Me: {{message}}', createdBy: 'user-1' });
+            const second = await templateRepo.createVersion('chat_user_turn', USER, { content: 'I say: {{message}}', note: 'Shorter' });
+            const global = await templateRepo.createVersion('chat_user_turn', GLOBAL, { content: 'User: {{message}}' });
+            const character = await templateRepo.createVersion('chat_user_turn', CHARACTER, { content: '> {{message}}' });
+
+            expect([first.version, second.version, global.version, character.version]).toEqual([1, 2, 1, 1]);
+            expect(second).toMatchObject({ scope: 'user', user_id: 'user-1', personality_id: null, note: 'Shorter' });
+            expect((await templateRepo.getCurrent('chat_user_turn', USER)).content).toBe('I say: {{message}}');
+            expect((await templateRepo.getCurrent('chat_user_turn', GLOBAL)).content).toBe('User: {{message}}');
+            expect(await templateRepo.getCurrent('chat_user_turn', { ...USER, userId: 'user-2' })).toBeNull();
+        });
+
+        test('should list history newest first and delete a whole override', async () => {
+            await templateRepo.createVersion('memory_filter', USER, { content: 'one' });
+            await templateRepo.createVersion('memory_filter', USER, { content: 'two' });
+            await templateRepo.createVersion('memory_filter', GLOBAL, { content: 'global' });
+
+            expect((await templateRepo.getVersions('memory_filter', USER)).map(row => row.version)).toEqual([2, 1]);
+            expect((await templateRepo.getVersion('memory_filter', USER, 1)).content).toBe('one');
+
+            expect(await templateRepo.deleteOverride('memory_filter', USER)).toEqual({ deleted: 2 });
+            expect(await templateRepo.getVersions('memory_filter', USER)).toEqual([]);
+            expect((await templateRepo.getCurrent('memory_filter', GLOBAL)).content).toBe('global');
+        });
+
+        test('should require content', async () => {
+            await expect(templateRepo.createVersion('memory_filter', USER, { content: '' }))
+                .rejects.toThrow('Failed to save prompt template');
+        });
+    });
+
+    describe('Current Overrides', () => {
+        test('should return the latest version of every override that applies', async () => {
+            await templateRepo.createVersion('chat_system', GLOBAL, { content: 'global v1' });
+            await templateRepo.createVersion('chat_system', GLOBAL, { content: 'global v2' });
+            await templateRepo.createVersion('chat_system', USER, { content: 'user v1' });
+            await templateRepo.createVersion('chat_system', CHARACTER, { content: 'character v1' });
+            await templateRepo.createVersion('chat_system', { ...CHARACTER, personalityId: 'char-2' }, { content: 'other character' });
+            await templateRepo.createVersion('chat_system', { ...USER, userId: 'user-2' }, { content: 'other user' });
+
+            const withoutCharacter = await templateRepo.getCurrentOverrides('user-1');
+            const withCharacter = await templateRepo.getCurrentOverrides('user-1', 'char-1');
+
+            expect(withoutCharacter.map(row => row.content).sort()).toEqual(['global v2', 'user v1']);
+            expect(withCharacter.map(row => row.content).sort()).toEqual(['character v1', 'global v2', 'user v1']);
+        });
+    });
+});
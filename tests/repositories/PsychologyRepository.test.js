@@ -96,6 +96,115 @@ describe('PsychologyRepository', () => {
         });
     });
 
+    describe('Memory Scope Queries', () => {
+        test('should search all chats with the character for character scope', async () => {
+            mockDeps.dal.query.mockResolvedValue([{ id: 'w1', memory_tags: '["injury"]' }]);
+
+            const result = await psychologyRepo.getScopedSignificantMemories(
+                'character', { userId: 'user-1', characterId: 'char-1' }, ['m9'], 7
+            );
+
+            expect(result[0].memory_tags).toEqual(['injury']);
+            const [sql, params] = mockDeps.dal.query.mock.calls[0];
+            expect(sql).toContain('c.personality_id = ?');
+            expect(sql).not.toContain('cmw.session_id = ?');
+            expect(params).toEqual(['user-1', 'user-1', 'user-1', 'char-1', 'm9', 7, 7, 7, 7]);
+        });
+
+        test('should search all of the user\'s chats for user scope', async () => {
+            await psychologyRepo.getScopedSignificantMemories('user', { userId: 'user-1' }, [], 5);
+
+            const [sql, params] = mockDeps.dal.query.mock.calls[0];
+            expect(sql).not.toContain('c.personality_id = ?');
+            expect(params).toEqual(['user-1', 'user-1', 'user-1', 5, 5, 5, 5]);
+        });
+
+        test('should always restrict to the owning user', async () => {
+            await psychologyRepo.getScopedSignificantMemories('user', { userId: 'user-1' }, [], 5);
+
+            const sql = mockDeps.dal.query.mock.calls[0][0];
+            expect(sql).toContain('cmw.user_id = ? AND cl.user_id = ? AND c.user_id = ?');
+        });
+
+        test('should reject scoped searches without a user', async () => {
+            await expect(
+                psychologyRepo.getScopedSignificantMemories('user', {}, [], 5)
+            ).rejects.toThrow();
+            expect(mockDeps.dal.query).not.toHaveBeenCalled();
+        });
+
+        test('should reject unknown scopes and character scope without a character', async () => {
+            await expect(
+                psychologyRepo.getScopedSignificantMemories('everyone', { userId: 'user-1' }, [], 5)
+            ).rejects.toThrow();
+            await expect(
+                psychologyRepo.getScopedSignificantMemories('character', { userId: 'user-1' }, [], 5)
+            ).rejects.toThrow();
+            expect(mockDeps.dal.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Branch State Snapshots', () => {
+        test('should only use memories on the active branch', async () => {
+            await psychologyRepo.getScopedSignificantMemories('user', { userId: 'user-1' }, [], 5);
+
+            expect(mockDeps.dal.query.mock.calls[0][0]).toContain('cl.is_active = 1');
+        });
+
+        test('should snapshot the current state at a message', async () => {
+            mockDeps.dal.queryOne.mockResolvedValue({ session_id: 'chat-1', user_id: 'user-1', current_emotion: 'happy' });
+
+            const result = await psychologyRepo.saveStateSnapshot('chat-1', 'msg-1');
+
+            expect(result).toEqual({ messageId: 'msg-1', chatId: 'chat-1' });
+            const [sql, params] = mockDeps.dal.execute.mock.calls[0];
+            expect(sql).toContain('INSERT OR REPLACE INTO psychology_state_snapshots');
+            expect(params.slice(0, 3)).toEqual(['msg-1', 'chat-1', 'user-1']);
+            expect(JSON.parse(params[3]).current_emotion).toBe('happy');
+        });
+
+        test('should skip the snapshot when the chat has no state yet', async () => {
+            mockDeps.dal.queryOne.mockResolvedValue(null);
+
+            expect(await psychologyRepo.saveStateSnapshot('chat-1', 'msg-1')).toBeNull();
+            expect(mockDeps.dal.execute).not.toHaveBeenCalled();
+        });
+
+        test('should read the latest snapshot on the active branch', async () => {
+            mockDeps.dal.queryOne.mockResolvedValue({ state_data: '{"current_emotion":"calm"}' });
+
+            const snapshot = await psychologyRepo.getActiveBranchStateSnapshot('chat-1');
+
+            expect(snapshot).toEqual({ current_emotion: 'calm' });
+            expect(mockDeps.dal.queryOne.mock.calls[0][0]).toContain('cl.is_active = 1');
+        });
+
+        test('should keep snapshots apart per character in group chats', async () => {
+            mockDeps.dal.queryOne.mockResolvedValue({ session_id: 'chat-1', user_id: 'user-1', personality_id: 'char-2' });
+
+            await psychologyRepo.saveStateSnapshot('chat-1', 'msg-1', 'char-2');
+            await psychologyRepo.getActiveBranchStateSnapshot('chat-1', 'char-2');
+
+            expect(mockDeps.dal.queryOne.mock.calls[0][1]).toEqual(['chat-1', 'char-2']);
+            expect(mockDeps.dal.queryOne.mock.calls[1][0]).toContain("json_extract(pss.state_data, '$.personality_id') = ?");
+            expect(mockDeps.dal.queryOne.mock.calls[1][1]).toEqual(['chat-1', 'char-2']);
+        });
+    });
+
+    describe('Group Chat State', () => {
+        test('should read one character\'s state within a chat', async () => {
+            mockDeps.dal.queryOne.mockResolvedValue({ session_id: 'chat-1', personality_id: 'char-2', current_emotion: 'calm' });
+
+            const state = await psychologyRepo.getPsychologicalState('chat-1', 'char-2');
+
+            expect(state.personality_id).toBe('char-2');
+            expect(mockDeps.dal.queryOne).toHaveBeenCalledWith(
+                'SELECT * FROM character_psychological_state WHERE session_id = ? AND personality_id = ?',
+                ['chat-1', 'char-2']
+            );
+        });
+    });
+
     describe('Error Handling', () => {
         test('should handle database errors gracefully', async () => {
             const dbError = new Error('Database connection failed');
@@ -55,6 +55,38 @@ describe('SchemaRepository', () => {
         });
     });
 
+    describe('Migration Tracking', () => {
+        test('should add name and checksum columns to an older schema_versions table', async () => {
+            mockDeps.dal.query.mockResolvedValue([{ name: 'id' }, { name: 'version' }, { name: 'description' }]);
+
+            await schemaRepo.ensureSchemaVersionsSchema();
+
+            expect(mockDeps.dal.execute).toHaveBeenCalledWith('ALTER TABLE schema_versions ADD COLUMN name TEXT');
+            expect(mockDeps.dal.execute).toHaveBeenCalledWith('ALTER TABLE schema_versions ADD COLUMN checksum TEXT');
+        });
+
+        test('should record a migration with its checksum', async () => {
+            mockDeps.dal.execute.mockResolvedValue({ changes: 1 });
+
+            await schemaRepo.recordMigration({ version: '018', name: '018_message_delivery_log', checksum: 'abc', description: 'Message Delivery Log' });
+
+            expect(mockDeps.dal.execute).toHaveBeenCalledWith(
+                expect.stringContaining('INSERT INTO schema_versions'),
+                [expect.any(String), '018', '018_message_delivery_log', 'abc', 'Message Delivery Log', expect.any(String)]
+            );
+        });
+
+        test('should separate runner records from legacy versions', async () => {
+            mockDeps.dal.query.mockResolvedValue([{ version: '008' }]);
+
+            expect(await schemaRepo.getLegacyVersions()).toEqual(['008']);
+            expect(mockDeps.dal.query).toHaveBeenCalledWith(expect.stringContaining('WHERE name IS NULL'), []);
+
+            await schemaRepo.getAppliedMigrations();
+            expect(mockDeps.dal.query).toHaveBeenLastCalledWith(expect.stringContaining('WHERE name IS NOT NULL'), []);
+        });
+    });
+
     describe('Basic Repository Operations', () => {
         test('should create schema version record', async () => {
             const mockVersion = {
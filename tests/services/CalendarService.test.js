@@ -0,0 +1,257 @@
+/**
+ * Unit Tests for CalendarService
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test issuing and rotating the feed secret
+ * - Test the iCalendar feed (RRULE, EXDATE, escaping, line folding)
+ * - Test .ics import: time zones, duplicates, past and unsupported events
+ * - Test skipping one occurrence of a recurring event
+ * - Mock DAL dependencies
+ */
+
+const CalendarService = require('../../backend/services/domain/CalendarService');
+const ICalUtils = require('../../backend/utils/ical_utils');
+
+describe('CalendarService', () => {
+    let calendarService;
+    let mockDeps;
+    let mockDAL;
+
+    const storedEvent = (overrides = {}) => ({
+        id: 'event-1',
+        user_id: 'user-1',
+        title: 'Standup',
+        description: 'Quick sync; bring notes',
+        recurrence_type: 'weekly',
+        recurrence_data: '{}',
+        rrule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR',
+        exdates: JSON.stringify(['2026-10-21T05:00:00.000Z']),
+        starts_at: '2026-10-19T05:00:00.000Z',
+        next_occurrence: '2026-10-19T05:00:00.000Z',
+        ical_uid: null,
+        status: 'scheduled',
+        ...overrides
+    });
+
+    const ics = (...events) => [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Test//EN',
+        ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+        'END:VCALENDAR'
+    ].join('\r\n');
+
+    beforeEach(async () => {
+        jest.useFakeTimers({ now: new Date('2026-10-18T12:00:00Z') });
+
+        mockDeps = createMockDependencies();
+        mockDAL = {
+            users: {
+                getCalendarToken: jest.fn().mockResolvedValue(null),
+                setCalendarToken: jest.fn().mockResolvedValue(true),
+                findByCalendarToken: jest.fn(async token => (token === 'secret'
+                    ? { id: 'user-1', username: 'alice', display_name: 'Alice', timezone: 'Europe/Berlin' } : null)),
+                getTimeSettings: jest.fn().mockResolvedValue({ timezone: 'Europe/Berlin', locale: 'en-US' })
+            },
+            chats: {
+                getUserChat: jest.fn(async (userId, chatId) => (userId === 'user-1' && chatId === 'chat-1'
+                    ? { id: 'chat-1', personality_id: 'char-1' } : null))
+            },
+            events: {
+                getCalendarEvents: jest.fn().mockResolvedValue([storedEvent()]),
+                findByIcalUid: jest.fn().mockResolvedValue(null),
+                createEvent: jest.fn(async data => ({ ...data, is_active: 1 })),
+                getEventById: jest.fn(async id => (id === 'event-1' ? storedEvent() : null)),
+                updateExdates: jest.fn(async (eventId, exdates) => exdates),
+                deactivateEvent: jest.fn().mockResolvedValue(true)
+            }
+        };
+        mockDeps.database = { getDAL: jest.fn().mockReturnValue(mockDAL) };
+
+        calendarService = new CalendarService(mockDeps);
+        await calendarService.initialize();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('Feed Secret', () => {
+        test('should issue a secret once and reuse it', async () => {
+            const feed = await calendarService.getFeed('user-1');
+
+            expect(feed.token).toMatch(/^[0-9a-f]{48}$/);
+            expect(feed.path).toBe(`/api/events/calendar.ics?token=${feed.token}`);
+            expect(mockDAL.users.setCalendarToken).toHaveBeenCalledWith('user-1', feed.token);
+
+            mockDAL.users.getCalendarToken.mockResolvedValue(feed.token);
+            expect((await calendarService.getFeed('user-1')).token).toBe(feed.token);
+            expect(mockDAL.users.setCalendarToken).toHaveBeenCalledTimes(1);
+        });
+
+        test('should replace the secret on rotate', async () => {
+            mockDAL.users.getCalendarToken.mockResolvedValue('old-secret');
+
+            const feed = await calendarService.getFeed('user-1', { rotate: true });
+
+            expect(feed.token).not.toBe('old-secret');
+            expect(mockDAL.users.setCalendarToken).toHaveBeenCalledWith('user-1', feed.token);
+        });
+    });
+
+    describe('Feed', () => {
+        test('should export recurring events with RRULE and EXDATE on the user\'s clock', async () => {
+            const text = await calendarService.renderFeed('secret');
+
+            expect(text).toContain('BEGIN:VCALENDAR\r\n');
+            expect(text).toContain('X-WR-TIMEZONE:Europe/Berlin');
+            expect(text).toContain('UID:event-1@aria');
+            expect(text).toContain('DTSTART;TZID=Europe/Berlin:20261019T070000');
+            expect(text).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR');
+            expect(text).toContain('EXDATE;TZID=Europe/Berlin:20261021T070000');
+            expect(text).toContain('DESCRIPTION:Quick sync\\; bring notes');
+            expect(mockDAL.events.getCalendarEvents).toHaveBeenCalledWith('user-1');
+        });
+
+        test('should export one-time and legacy daily events', async () => {
+            mockDAL.events.getCalendarEvents.mockResolvedValue([
+                storedEvent({ id: 'event-2', rrule: null, recurrence_type: 'once', starts_at: '2026-10-20T18:30:00.000Z', status: 'cancelled' }),
+                storedEvent({ id: 'event-3', rrule: null, recurrence_type: 'daily', recurrence_data: '{"time":"07:30"}', starts_at: '2026-10-19T00:00:00.000Z' })
+            ]);
+
+            const { events } = ICalUtils.parseCalendar(await calendarService.renderFeed('secret'), { timeZone: 'UTC' });
+
+            expect(events).toEqual([
+                expect.objectContaining({ uid: 'event-2@aria', rrule: null, status: 'CANCELLED', start: new Date('2026-10-20T18:30:00.000Z') }),
+                expect.objectContaining({ uid: 'event-3@aria', rrule: 'FREQ=DAILY', start: new Date('2026-10-19T05:30:00.000Z') })
+            ]);
+        });
+
+        test('should fold long lines at 75 octets', async () => {
+            mockDAL.events.getCalendarEvents.mockResolvedValue([storedEvent({ description: 'Ü'.repeat(100) })]);
+
+            const text = await calendarService.renderFeed('secret');
+
+            for (const line of text.split('\r\n')) {
+                expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+            }
+            expect(ICalUtils.parseCalendar(text).events[0].description).toBe('Ü'.repeat(100));
+        });
+
+        test('should not find a feed for an unknown secret', async () => {
+            await expect(calendarService.renderFeed('guess')).rejects.toMatchObject({
+                statusCode: 404,
+                message: 'Calendar feed not found'
+            });
+        });
+    });
+
+    describe('Import', () => {
+        test('should create events in the chat\'s character', async () => {
+            const result = await calendarService.importCalendar('user-1', {
+                chatId: 'chat-1',
+                ics: ics(
+                    ['UID:gym@example.com', 'SUMMARY:Gym', 'DTSTART;TZID=America/New_York:20261020T180000',
+                        'RRULE:FREQ=WEEKLY;BYDAY=TU,TH', 'EXDATE;TZID=America/New_York:20261022T180000'],
+                    ['UID:call@example.com', 'SUMMARY:Call\\, Mum', 'DTSTART:20261025T150000Z']
+                )
+            });
+
+            expect(result.imported).toHaveLength(2);
+            expect(result.skipped).toBe(0);
+            expect(mockDAL.events.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+                user_id: 'user-1',
+                chat_id: 'chat-1',
+                character_id: 'char-1',
+                title: 'Gym',
+                recurrence_type: 'weekly',
+                rrule: 'FREQ=WEEKLY;BYDAY=TU,TH',
+                exdates: ['2026-10-22T22:00:00.000Z'],
+                starts_at: '2026-10-20T22:00:00.000Z',
+                ical_uid: 'gym@example.com'
+            }), { timeZone: 'Europe/Berlin', locale: 'en-US' });
+            expect(mockDAL.events.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+                title: 'Call, Mum',
+                recurrence_type: 'once',
+                rrule: null,
+                starts_at: '2026-10-25T15:00:00.000Z'
+            }), expect.any(Object));
+        });
+
+        test('should skip duplicates, past, cancelled and unsupported events', async () => {
+            mockDAL.events.findByIcalUid.mockImplementation(async (userId, uid) => (uid === 'seen' ? { id: 'event-1' } : null));
+
+            const result = await calendarService.importCalendar('user-1', {
+                chatId: 'chat-1',
+                ics: ics(
+                    ['UID:seen', 'SUMMARY:Seen', 'DTSTART:20261025T150000Z'],
+                    ['UID:past', 'SUMMARY:Past', 'DTSTART:20261001T150000Z'],
+                    ['UID:ended', 'SUMMARY:Ended', 'DTSTART:20260101T150000Z', 'RRULE:FREQ=DAILY;COUNT=3'],
+                    ['UID:off', 'SUMMARY:Off', 'DTSTART:20261025T150000Z', 'STATUS:CANCELLED'],
+                    ['UID:hourly', 'SUMMARY:Hourly', 'DTSTART:20261025T150000Z', 'RRULE:FREQ=HOURLY'],
+                    ['UID:moved', 'SUMMARY:Moved', 'RECURRENCE-ID:20261027T150000Z', 'DTSTART:20261028T150000Z']
+                )
+            });
+
+            expect(result.imported).toEqual([]);
+            expect(result.skipped).toBe(5);
+            expect(result.warnings).toEqual(expect.arrayContaining([
+                expect.stringContaining('"Past": it is in the past'),
+                expect.stringContaining('"Ended": it has no upcoming occurrences'),
+                expect.stringContaining('"Off": it is cancelled'),
+                expect.stringContaining('"Hourly"'),
+                expect.stringContaining('RECURRENCE-ID')
+            ]));
+            expect(mockDAL.events.createEvent).not.toHaveBeenCalled();
+        });
+
+        test('should read unknown time zones in the user\'s zone with a warning', async () => {
+            const result = await calendarService.importCalendar('user-1', {
+                chatId: 'chat-1',
+                ics: ics(['UID:x', 'SUMMARY:Lunch', 'DTSTART;TZID=W. Europe Standard Time:20261020T120000'])
+            });
+
+            expect(result.warnings).toEqual([expect.stringContaining('unknown time zone W. Europe Standard Time')]);
+            expect(mockDAL.events.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+                starts_at: '2026-10-20T10:00:00.000Z'
+            }), expect.any(Object));
+        });
+
+        test('should reject invalid input and other users\' chats', async () => {
+            await expect(calendarService.importCalendar('user-1', { chatId: 'chat-1', ics: 'hello' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+            await expect(calendarService.importCalendar('user-1', { ics: ics() }))
+                .rejects.toMatchObject({ statusCode: 400, message: 'chatId is required' });
+            await expect(calendarService.importCalendar('user-2', { chatId: 'chat-1', ics: ics() }))
+                .rejects.toMatchObject({ statusCode: 404, message: 'Chat not found' });
+        });
+    });
+
+    describe('Exceptions', () => {
+        test('should skip the next occurrence and move on to the one after it', async () => {
+            const result = await calendarService.skipOccurrence('user-1', 'event-1', '2026-10-19T05:00:00.000Z');
+
+            // Wednesday the 21st is already excluded
+            expect(result.next_occurrence).toBe('2026-10-23T05:00:00.000Z');
+            expect(mockDAL.events.updateExdates).toHaveBeenCalledWith('event-1', [
+                '2026-10-21T05:00:00.000Z',
+                '2026-10-19T05:00:00.000Z'
+            ], '2026-10-23T05:00:00.000Z');
+        });
+
+        test('should keep next_occurrence when a later occurrence is skipped', async () => {
+            const result = await calendarService.skipOccurrence('user-1', 'event-1', '2026-10-26T06:00:00.000Z');
+
+            expect(result.next_occurrence).toBe('2026-10-19T05:00:00.000Z');
+        });
+
+        test('should only accept the owner\'s events with a rule', async () => {
+            await expect(calendarService.skipOccurrence('user-2', 'event-1', '2026-10-19T05:00:00.000Z'))
+                .rejects.toMatchObject({ statusCode: 404 });
+
+            mockDAL.events.getEventById.mockResolvedValue(storedEvent({ rrule: null }));
+            await expect(calendarService.skipOccurrence('user-1', 'event-1', '2026-10-19T05:00:00.000Z'))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+    });
+});
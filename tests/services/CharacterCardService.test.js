@@ -0,0 +1,265 @@
+/**
+ * Unit Tests for CharacterCardService
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test service creation and inheritance
+ * - Test Character Card V1/V2/V3 mapping onto personalities fields
+ * - Test PNG cards (chara / ccv3 tEXt chunks) in both directions
+ * - Mock external dependencies for isolated testing
+ */
+
+const CharacterCardService = require('../../backend/services/domain/CharacterCardService');
+const PngUtils = require('../../backend/utils/png_utils');
+
+describe('CharacterCardService', () => {
+    let cardService;
+    let mockDeps;
+    let mockDAL;
+
+    const v2Card = {
+        spec: 'chara_card_v2',
+        spec_version: '2.0',
+        data: {
+            name: 'Seraphina',
+            description: 'A guardian of the forest glade.',
+            personality: 'kind, protective, curious',
+            scenario: 'You wake up in her glade after a storm.',
+            first_mes: '*She kneels beside you.* Are you hurt?',
+            mes_example: '<START>\n{{char}}: Rest now.',
+            alternate_greetings: ['Welcome back, traveller.'],
+            system_prompt: '',
+            post_history_instructions: '',
+            creator_notes: 'Works best with long replies',
+            tags: ['fantasy', 'guardian'],
+            creator: 'someone',
+            character_version: '1.2',
+            character_book: { entries: [{ keys: ['glade'], content: 'A hidden clearing' }] },
+            extensions: { depth_prompt: { prompt: 'Stay in character', depth: 4 } }
+        }
+    };
+
+    const pngBase64 = (card, keyword = 'chara') => PngUtils.writeTextChunks(PngUtils.PLACEHOLDER, {
+        [keyword]: Buffer.from(JSON.stringify(card), 'utf8').toString('base64')
+    }).toString('base64');
+
+    beforeEach(() => {
+        mockDeps = createMockDependencies();
+        mockDAL = {
+            personalities: {
+                getCharacter: jest.fn()
+            }
+        };
+        mockDeps.database = {
+            getDAL: jest.fn(() => mockDAL)
+        };
+
+        cardService = new CharacterCardService(mockDeps);
+    });
+
+    describe('Architecture Compliance', () => {
+        test('should extend AbstractService', () => {
+            expect(cardService.name).toBe('CharacterCardService');
+            expect(typeof cardService.initialize).toBe('function');
+        });
+    });
+
+    describe('Card Import', () => {
+        test('should map a V2 card onto character fields', () => {
+            const result = cardService.parseImport(v2Card);
+
+            expect(result.format).toBe('chara_card_v2');
+            expect(result.character).toMatchObject({
+                name: 'Seraphina',
+                description: 'A guardian of the forest glade.',
+                background: 'Personality: kind, protective, curious\n\nScenario: You wake up in her glade after a storm.',
+                memory_scope: 'chat',
+                tool_allowlist: null,
+                personality_traits: {
+                    summary: 'kind, protective, curious',
+                    core_traits: ['kind', 'protective', 'curious'],
+                    tags: ['fantasy', 'guardian'],
+                    card: { creator: 'someone', creator_notes: 'Works best with long replies', character_version: '1.2' }
+                },
+                communication_style: {
+                    first_message: '*She kneels beside you.* Are you hurt?',
+                    example_dialogue: '<START>\n{{char}}: Rest now.',
+                    alternate_greetings: ['Welcome back, traveller.']
+                }
+            });
+            expect(result.character.communication_style).not.toHaveProperty('system_prompt');
+        });
+
+        test('should describe the mapping and list fields that are not imported', () => {
+            const result = cardService.parseImport(v2Card);
+
+            expect(result.mapping).toEqual(expect.arrayContaining([
+                { source: 'scenario', target: 'definition', value: 'You wake up in her glade after a storm.' },
+                { source: 'first_mes', target: 'communication_style.first_message', value: '*She kneels beside you.* Are you hurt?' }
+            ]));
+            expect(result.mapping.map(entry => entry.source)).not.toContain('system_prompt');
+            expect(result.unmapped).toEqual(['character_book', 'extensions.depth_prompt']);
+        });
+
+        test('should read V1 cards with fields at the top level', () => {
+            const result = cardService.parseImport({ name: 'Old Card', personality: 'grumpy', first_mes: 'What?' });
+
+            expect(result.format).toBe('chara_card_v1');
+            expect(result.character.background).toBe('Personality: grumpy');
+            expect(result.character.communication_style.first_message).toBe('What?');
+        });
+
+        test('should take the avatar from a V3 icon asset', () => {
+            const icon = `data:image/png;base64,${PngUtils.PLACEHOLDER.toString('base64')}`;
+            const result = cardService.parseImport({
+                spec: 'chara_card_v3',
+                spec_version: '3.0',
+                data: { name: 'Nova', assets: [{ type: 'icon', uri: icon, name: 'main', ext: 'png' }] }
+            });
+
+            expect(result.character).toMatchObject({
+                imageData: PngUtils.PLACEHOLDER.toString('base64'),
+                imageMimetype: 'image/png',
+                imageFilename: 'main.png'
+            });
+            expect(result.unmapped).toEqual([]);
+        });
+
+        test('should restore project settings from extensions.aria and warn about unknown values', () => {
+            const result = cardService.parseImport({
+                spec: 'chara_card_v2',
+                data: { name: 'Aria', extensions: { aria: { memory_scope: 'global', tool_allowlist: ['search_memory'] } } }
+            });
+
+            expect(result.character.memory_scope).toBe('chat');
+            expect(result.character.tool_allowlist).toEqual(['search_memory']);
+            expect(result.warnings).toEqual(['Unknown memory scope "global" replaced with "chat"']);
+        });
+
+        test.each([
+            [{ spec: 'chara_card_v9', data: { name: 'X' } }, 'Unsupported card spec: chara_card_v9'],
+            [{ spec: 'chara_card_v2' }, 'Missing data field'],
+            [{ spec: 'chara_card_v2', data: { name: '  ' } }, 'Character name is required'],
+            [{ character: { name: 'Aria' } }, 'Missing version field'],
+            [{ file: Buffer.from('not a png').toString('base64') }, 'File is not a PNG image'],
+            [{ file: PngUtils.PLACEHOLDER.toString('base64') }, 'PNG has no embedded character card (chara or ccv3 chunk)']
+        ])('should reject invalid imports (%#)', (body, details) => {
+            expect(() => cardService.parseImport(body)).toThrow(expect.objectContaining({ statusCode: 400, details }));
+        });
+
+        test('should keep accepting the project export format', () => {
+            const result = cardService.parseImport({
+                version: '2.0',
+                character: { name: ' Aria ', description: 'Friendly', background: 'Lives online', memory_scope: 'user' }
+            });
+
+            expect(result.format).toBe('aria');
+            expect(result.character).toMatchObject({ name: 'Aria', description: 'Friendly', background: 'Lives online', memory_scope: 'user' });
+            expect(result.mapping).toContainEqual({ source: 'character.background', target: 'definition', value: 'Lives online' });
+        });
+    });
+
+    describe('PNG Cards', () => {
+        test('should read the ccv3 chunk before chara and strip both from the avatar', () => {
+            const v3 = { spec: 'chara_card_v3', data: { name: 'Version Three' } };
+            const withV2 = Buffer.from(pngBase64(v2Card), 'base64');
+            const file = PngUtils.writeTextChunks(withV2, {
+                ccv3: Buffer.from(JSON.stringify(v3)).toString('base64')
+            }).toString('base64');
+
+            const result = cardService.parseImport({ file, filename: 'card.png' });
+
+            expect(result.character.name).toBe('Version Three');
+            const avatar = Buffer.from(result.character.imageData, 'base64');
+            expect(PngUtils.readTextChunks(avatar)).toEqual({});
+            expect(result.character).toMatchObject({ imageMimetype: 'image/png', imageFilename: 'card.png' });
+        });
+
+        test('should accept a data URL', () => {
+            const result = cardService.parseImport({ file: `data:image/png;base64,${pngBase64(v2Card)}` });
+
+            expect(result.character.name).toBe('Seraphina');
+        });
+    });
+
+    describe('Card Export', () => {
+        const stored = {
+            id: 'char-1',
+            user_id: 'user-1',
+            name: 'Seraphina',
+            description: 'A guardian of the forest glade.',
+            definition: 'Personality: kind, protective, curious\n\nScenario: You wake up in her glade after a storm.',
+            personality_traits: JSON.stringify({ core_traits: ['kind'], summary: 'kind, protective, curious', tags: ['fantasy'] }),
+            communication_style: JSON.stringify({ default_tone: 'friendly', first_message: 'Are you hurt?' }),
+            memory_scope: 'character',
+            tool_allowlist: ['search_memory'],
+            llm_preferences: null,
+            created_at: '2026-10-01T10:00:00.000Z',
+            updated_at: '2026-10-02T10:00:00.000Z'
+        };
+
+        test('should split the definition back into personality and scenario', async () => {
+            mockDAL.personalities.getCharacter.mockResolvedValue(stored);
+
+            const exported = await cardService.exportCard('char-1', 'user-1', 'v2');
+            const card = JSON.parse(exported.body);
+
+            expect(mockDAL.personalities.getCharacter).toHaveBeenCalledWith('char-1', 'user-1');
+            expect(exported.filename).toBe('Seraphina.card.json');
+            expect(card).toMatchObject({
+                spec: 'chara_card_v2',
+                spec_version: '2.0',
+                data: {
+                    personality: 'kind, protective, curious',
+                    scenario: 'You wake up in her glade after a storm.',
+                    first_mes: 'Are you hurt?',
+                    tags: ['fantasy'],
+                    extensions: { aria: { memory_scope: 'character', tool_allowlist: ['search_memory'], llm_preferences: null } }
+                }
+            });
+        });
+
+        test('should export a hand-written definition as the scenario', async () => {
+            mockDAL.personalities.getCharacter.mockResolvedValue({ ...stored, definition: 'Grew up by the sea', personality_traits: '{}' });
+
+            const card = JSON.parse((await cardService.exportCard('char-1', 'user-1', 'v3')).body);
+
+            expect(card.spec).toBe('chara_card_v3');
+            expect(card.data).toMatchObject({ personality: '', scenario: 'Grew up by the sea', creation_date: 1790848800 });
+        });
+
+        test('should embed V2 and V3 cards in a PNG that imports back to the same character', async () => {
+            mockDAL.personalities.getCharacter.mockResolvedValue(stored);
+
+            const exported = await cardService.exportCard('char-1', 'user-1', 'png');
+            const texts = PngUtils.readTextChunks(exported.body);
+            const roundTrip = cardService.parseImport({ file: exported.body.toString('base64') });
+
+            expect(exported.contentType).toBe('image/png');
+            expect(JSON.parse(Buffer.from(texts.chara, 'base64').toString()).spec).toBe('chara_card_v2');
+            expect(JSON.parse(Buffer.from(texts.ccv3, 'base64').toString()).spec).toBe('chara_card_v3');
+            expect(roundTrip.character).toMatchObject({
+                name: stored.name,
+                description: stored.description,
+                background: stored.definition,
+                memory_scope: 'character',
+                tool_allowlist: ['search_memory']
+            });
+        });
+
+        test('should use the uploaded PNG avatar as the card image', async () => {
+            const avatar = PngUtils.writeTextChunks(PngUtils.PLACEHOLDER, { Comment: 'avatar' });
+            mockDAL.personalities.getCharacter.mockResolvedValue({ ...stored, image_type: 'upload', image_data: avatar.toString('base64') });
+
+            const exported = await cardService.exportCard('char-1', 'user-1', 'png');
+
+            expect(PngUtils.readTextChunks(exported.body).Comment).toBe('avatar');
+        });
+
+        test('should reject unknown formats and characters of other users', async () => {
+            await expect(cardService.exportCard('char-1', 'user-1', 'gif')).rejects.toMatchObject({ statusCode: 400 });
+
+            mockDAL.personalities.getCharacter.mockResolvedValue(null);
+            await expect(cardService.exportCard('char-1', 'user-2', 'png')).rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+});
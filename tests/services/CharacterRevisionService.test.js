@@ -0,0 +1,265 @@
+/**
+ * Unit Tests for CharacterRevisionService
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test service creation and inheritance
+ * - Test revision recording, framework re-analysis on definition changes,
+ *   diffs and rollback
+ * - Mock external dependencies for isolated testing
+ */
+
+const CharacterRevisionService = require('../../backend/services/domain/CharacterRevisionService');
+
+describe('CharacterRevisionService', () => {
+    let revisionService;
+    let mockDeps;
+    let mockDAL;
+    let mockPsychology;
+
+    const character = {
+        id: 'char-1',
+        user_id: 'user-1',
+        name: 'Aria',
+        description: 'Friendly',
+        definition: 'Curious and calm',
+        personality_traits: '{"core_traits":["curious"]}',
+        communication_style: '{"default_tone":"friendly"}',
+        llm_preferences: null,
+        memory_scope: 'chat',
+        tool_allowlist: null,
+        image_data: 'base64-image'
+    };
+    const snapshot = {
+        name: 'Aria',
+        description: 'Friendly',
+        definition: 'Curious and calm',
+        personality_traits: { core_traits: ['curious'] },
+        communication_style: { default_tone: 'friendly' },
+        llm_preferences: null,
+        memory_scope: 'chat',
+        tool_allowlist: null
+    };
+    const calmFramework = { core_emotional_range: ['calm', 'curious'], communication_style: 'gentle' };
+    const boldFramework = { core_emotional_range: ['bold', 'curious'], communication_style: 'direct' };
+
+    beforeEach(() => {
+        mockDeps = createMockDependencies();
+        mockDAL = {
+            personalities: {
+                getCharacter: jest.fn().mockResolvedValue(character),
+                updateCharacter: jest.fn().mockResolvedValue({ updated: true })
+            },
+            characterRevisions: {
+                getLatestRevision: jest.fn().mockResolvedValue(null),
+                getRevisions: jest.fn(),
+                getRevision: jest.fn(),
+                getRevisionByNumber: jest.fn(),
+                createRevision: jest.fn(async revision => ({ id: 'rev-new', revision_number: 2, ...revision })),
+                setRevisionFramework: jest.fn().mockResolvedValue({ updated: true })
+            }
+        };
+        mockDeps.database = { getDAL: jest.fn(() => mockDAL) };
+        mockPsychology = {
+            getPersonalityFrameworkRecord: jest.fn().mockResolvedValue({ framework: calmFramework, analysisVersion: 1 }),
+            reanalyzePersonalityFramework: jest.fn().mockResolvedValue({
+                framework: boldFramework,
+                analysisVersion: 2,
+                previousFramework: calmFramework,
+                previousVersion: 1
+            }),
+            restorePersonalityFramework: jest.fn(async (id, framework) => ({ framework, analysisVersion: 3 }))
+        };
+        mockDeps.psychology = mockPsychology;
+
+        revisionService = new CharacterRevisionService(mockDeps);
+    });
+
+    describe('Architecture Compliance', () => {
+        test('should extend AbstractService', () => {
+            expect(revisionService.name).toBe('CharacterRevisionService');
+            expect(typeof revisionService.initialize).toBe('function');
+        });
+    });
+
+    describe('Recording Revisions', () => {
+        test('should record the current state and framework as the initial revision', async () => {
+            await revisionService.ensureBaseline('char-1', 'user-1');
+
+            expect(mockDAL.characterRevisions.createRevision).toHaveBeenCalledWith({
+                personalityId: 'char-1',
+                userId: 'user-1',
+                source: 'initial',
+                snapshot,
+                changedFields: [],
+                framework: calmFramework,
+                analysisVersion: 1
+            });
+        });
+
+        test('should not add a baseline when history exists', async () => {
+            mockDAL.characterRevisions.getLatestRevision.mockResolvedValue({ id: 'rev-1', snapshot });
+
+            await revisionService.ensureBaseline('char-1', 'user-1');
+
+            expect(mockDAL.characterRevisions.createRevision).not.toHaveBeenCalled();
+        });
+
+        test('should skip edits that change no revisioned field', async () => {
+            mockDAL.characterRevisions.getLatestRevision.mockResolvedValue({ id: 'rev-1', snapshot });
+
+            const result = await revisionService.recordRevision('char-1', 'user-1', 'edit');
+
+            expect(result).toEqual({ revision: null, analysis: null });
+            expect(mockDAL.characterRevisions.createRevision).not.toHaveBeenCalled();
+        });
+
+        test('should keep the current framework when the definition is unchanged', async () => {
+            mockDAL.characterRevisions.getLatestRevision.mockResolvedValue({ id: 'rev-1', snapshot: { ...snapshot, description: 'Shy' } });
+
+            const { analysis } = await revisionService.recordRevision('char-1', 'user-1', 'edit');
+
+            expect(analysis).toBeNull();
+            expect(mockPsychology.reanalyzePersonalityFramework).not.toHaveBeenCalled();
+            expect(mockDAL.characterRevisions.createRevision).toHaveBeenCalledWith(expect.objectContaining({
+                changedFields: ['description'],
+                framework: calmFramework,
+                analysisVersion: 1
+            }));
+        });
+
+        test('should re-analyze the framework when the definition changes', async () => {
+            mockDAL.characterRevisions.getLatestRevision.mockResolvedValue({ id: 'rev-1', snapshot: { ...snapshot, definition: 'Calm' } });
+
+            const { revision, analysis } = await revisionService.recordRevision('char-1', 'user-1', 'edit');
+
+            expect(revision.changedFields).toEqual(['definition']);
+            expect(mockDAL.characterRevisions.createRevision).toHaveBeenCalledWith(expect.objectContaining({
+                framework: null,
+                analysisVersion: null
+            }));
+            await expect(analysis).resolves.toMatchObject({ analysisVersion: 2, previousFramework: calmFramework });
+            expect(mockPsychology.reanalyzePersonalityFramework).toHaveBeenCalledWith(character);
+            expect(mockDAL.characterRevisions.setRevisionFramework).toHaveBeenCalledWith('rev-new', boldFramework, 2);
+        });
+
+        test('should log and swallow a failed re-analysis', async () => {
+            mockDAL.characterRevisions.getLatestRevision.mockResolvedValue({ id: 'rev-1', snapshot: { ...snapshot, definition: 'Calm' } });
+            mockPsychology.reanalyzePersonalityFramework.mockRejectedValue(new Error('LLM offline'));
+
+            const { analysis } = await revisionService.recordRevision('char-1', 'user-1', 'edit');
+
+            await expect(analysis).resolves.toBeNull();
+            expect(mockDAL.characterRevisions.setRevisionFramework).not.toHaveBeenCalled();
+            expect(mockDeps.logger.error).toHaveBeenCalledWith('Framework re-analysis failed', 'CharacterRevisionService', expect.any(Object));
+        });
+
+        test('should return 404 for characters of other users', async () => {
+            mockDAL.personalities.getCharacter.mockResolvedValue(null);
+
+            await expect(revisionService.recordRevision('char-1', 'user-2')).rejects.toMatchObject({ statusCode: 404 });
+            expect(mockDAL.personalities.getCharacter).toHaveBeenCalledWith('char-1', 'user-2');
+        });
+    });
+
+    describe('Diffs', () => {
+        test('should diff a revision against the previous one, fields and framework', async () => {
+            mockDAL.characterRevisions.getRevision.mockResolvedValue({
+                id: 'rev-2', revision_number: 2, source: 'edit',
+                snapshot: { ...snapshot, definition: 'Curious and bold\nLoves storms' },
+                framework_data: boldFramework
+            });
+            mockDAL.characterRevisions.getRevisionByNumber.mockResolvedValue({
+                id: 'rev-1', revision_number: 1, source: 'initial',
+                snapshot, framework_data: calmFramework
+            });
+
+            const diff = await revisionService.diffRevisions('char-1', 'user-1', 'rev-2');
+
+            expect(mockDAL.characterRevisions.getRevisionByNumber).toHaveBeenCalledWith('char-1', 1);
+            expect(diff.from).toMatchObject({ id: 'rev-1', revision_number: 1 });
+            expect(diff.fields).toEqual([{
+                field: 'definition',
+                before: 'Curious and calm',
+                after: 'Curious and bold\nLoves storms',
+                lines: [
+                    { type: 'removed', text: 'Curious and calm' },
+                    { type: 'added', text: 'Curious and bold' },
+                    { type: 'added', text: 'Loves storms' }
+                ]
+            }]);
+            expect(diff.framework).toEqual([
+                { key: 'core_emotional_range', before: calmFramework.core_emotional_range, after: boldFramework.core_emotional_range, added: ['bold'], removed: ['calm'] },
+                { key: 'communication_style', before: 'gentle', after: 'direct' }
+            ]);
+        });
+
+        test('should diff the first revision against an empty character', async () => {
+            mockDAL.characterRevisions.getRevision.mockResolvedValue({
+                id: 'rev-1', revision_number: 1, source: 'create', snapshot, framework_data: null
+            });
+            mockDAL.characterRevisions.getRevisionByNumber.mockResolvedValue(null);
+
+            const diff = await revisionService.diffRevisions('char-1', 'user-1', 'rev-1');
+
+            expect(diff.from).toBeNull();
+            expect(diff.fields.map(field => field.field)).toEqual([
+                'name', 'description', 'definition', 'personality_traits', 'communication_style', 'memory_scope'
+            ]);
+            expect(diff.framework).toEqual([]);
+        });
+
+        test('should return 404 for an unknown revision', async () => {
+            mockDAL.characterRevisions.getRevision.mockResolvedValue(null);
+
+            await expect(revisionService.diffRevisions('char-1', 'user-1', 'missing')).rejects.toMatchObject({
+                statusCode: 404,
+                message: 'Revision not found'
+            });
+        });
+    });
+
+    describe('Rollback', () => {
+        test('should write the snapshot back and restore its framework as a new revision', async () => {
+            const target = {
+                id: 'rev-1', revision_number: 1,
+                snapshot: { ...snapshot, definition: 'Calm' },
+                framework_data: calmFramework
+            };
+            mockDAL.characterRevisions.getLatestRevision.mockResolvedValue({ id: 'rev-2', snapshot });
+            mockDAL.characterRevisions.getRevision.mockResolvedValue(target);
+
+            const { analysis } = await revisionService.rollback('char-1', 'user-1', 'rev-1');
+
+            expect(mockDAL.personalities.updateCharacter).toHaveBeenCalledWith('char-1', {
+                name: 'Aria',
+                description: 'Friendly',
+                background: 'Calm',
+                personality_traits: snapshot.personality_traits,
+                communication_style: snapshot.communication_style,
+                llm_preferences: null,
+                memory_scope: 'chat',
+                tool_allowlist: null
+            });
+            expect(mockPsychology.restorePersonalityFramework).toHaveBeenCalledWith('char-1', calmFramework);
+            expect(mockDAL.characterRevisions.createRevision).toHaveBeenCalledWith(expect.objectContaining({
+                source: 'rollback',
+                rolledBackTo: 1,
+                framework: calmFramework,
+                analysisVersion: 3
+            }));
+            expect(analysis).toBeNull();
+            expect(mockPsychology.reanalyzePersonalityFramework).not.toHaveBeenCalled();
+        });
+
+        test('should re-analyze when the target revision has no framework', async () => {
+            mockDAL.characterRevisions.getLatestRevision.mockResolvedValue({ id: 'rev-2', snapshot: { ...snapshot, definition: 'Bold' } });
+            mockDAL.characterRevisions.getRevision.mockResolvedValue({ id: 'rev-1', revision_number: 1, snapshot, framework_data: null });
+
+            const { analysis } = await revisionService.rollback('char-1', 'user-1', 'rev-1');
+
+            await analysis;
+            expect(mockPsychology.restorePersonalityFramework).not.toHaveBeenCalled();
+            expect(mockPsychology.reanalyzePersonalityFramework).toHaveBeenCalled();
+        });
+    });
+});
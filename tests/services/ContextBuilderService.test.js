@@ -237,6 +237,27 @@ describe('ContextBuilderService', () => {
         });
     });
 
+    describe('Lorebook Triggers', () => {
+        test('should pass the recent messages and the pending message to the lorebook scanner', async () => {
+            const lore = [{ id: 'entry-1', content: 'The harbor closes at dusk.', position: 'after_character' }];
+            const recentMessages = [{ role: 'user', content: 'Hello' }];
+            contextBuilderService.lorebook = { findTriggeredEntries: jest.fn().mockResolvedValue(lore) };
+
+            const result = await contextBuilderService.getTriggeredLore(1, 5, recentMessages, 'Is the harbor open?');
+
+            expect(result).toEqual(lore);
+            expect(contextBuilderService.lorebook.findTriggeredEntries).toHaveBeenCalledWith(1, 5, recentMessages, 'Is the harbor open?');
+        });
+
+        test('should return no lore when the scan fails or lorebooks are not configured', async () => {
+            expect(await contextBuilderService.getTriggeredLore(1, 5, [])).toEqual([]);
+
+            contextBuilderService.lorebook = { findTriggeredEntries: jest.fn().mockRejectedValue(new Error('DB locked')) };
+            expect(await contextBuilderService.getTriggeredLore(1, 5, [])).toEqual([]);
+            expect(mockDeps.logger.warn).toHaveBeenCalledWith('Failed to scan lorebooks', 'ContextBuilderService', expect.any(Object));
+        });
+    });
+
     describe('Recent Messages Query', () => {
         const mockChatId = 100;
 
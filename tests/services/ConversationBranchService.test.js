@@ -0,0 +1,186 @@
+/**
+ * Unit Tests for ConversationBranchService
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test service creation and inheritance
+ * - Test regenerate / edit preparation and validation
+ * - Test switching the active branch and restoring psychological state
+ * - Test sibling navigation for history messages
+ * - Mock external dependencies for isolated testing
+ */
+
+const ConversationBranchService = require('../../backend/services/domain/ConversationBranchService');
+
+describe('ConversationBranchService', () => {
+    let branchService;
+    let mockDeps;
+    let mockDAL;
+
+    // u1 -> a1 -> u2 -> a2 (active), with a2b an older version of a2
+    // and u2b an edited version of u2 with reply a3
+    const tree = [
+        { id: 'u1', parent_id: null, role: 'user', is_active: 1, timestamp: '2026-10-18T10:00:00.000Z' },
+        { id: 'a1', parent_id: 'u1', role: 'assistant', is_active: 1, timestamp: '2026-10-18T10:00:05.000Z' },
+        { id: 'u2', parent_id: 'a1', role: 'user', is_active: 1, timestamp: '2026-10-18T10:01:00.000Z' },
+        { id: 'a2b', parent_id: 'u2', role: 'assistant', is_active: 0, timestamp: '2026-10-18T10:01:05.000Z' },
+        { id: 'a2', parent_id: 'u2', role: 'assistant', is_active: 1, timestamp: '2026-10-18T10:02:00.000Z' },
+        { id: 'u2b', parent_id: 'a1', role: 'user', is_active: 0, timestamp: '2026-10-18T10:03:00.000Z' },
+        { id: 'a3', parent_id: 'u2b', role: 'assistant', is_active: 0, timestamp: '2026-10-18T10:03:05.000Z' }
+    ];
+    const message = id => ({ ...tree.find(node => node.id === id), chat_id: 'chat-1', content: `content ${id}`, metadata: '{}' });
+
+    beforeEach(() => {
+        mockDeps = createMockDependencies();
+
+        mockDAL = {
+            conversations: {
+                getMessageById: jest.fn(async id => (tree.some(node => node.id === id) ? message(id) : null)),
+                getMessageTree: jest.fn().mockResolvedValue(tree),
+                deactivateSubtree: jest.fn().mockResolvedValue({ deactivated: 1 }),
+                setActiveBranch: jest.fn().mockResolvedValue({}),
+                saveMessage: jest.fn().mockResolvedValue({ id: 'u2c', messageData: { id: 'u2c', content: 'Edited' } })
+            },
+            chatCharacters: {
+                getCharacterIds: jest.fn().mockResolvedValue(['char-1'])
+            },
+            memories: {
+                getActiveBranchStateSnapshot: jest.fn().mockResolvedValue(null),
+                hasStateSnapshots: jest.fn().mockResolvedValue(true),
+                restorePsychologicalState: jest.fn().mockResolvedValue({}),
+                clearPsychologicalState: jest.fn().mockResolvedValue({})
+            }
+        };
+
+        mockDeps.database = {
+            getDAL: jest.fn(() => mockDAL)
+        };
+
+        mockDeps.conversationSummary = {
+            getSummary: jest.fn().mockResolvedValue(null),
+            resetSummary: jest.fn().mockResolvedValue(true)
+        };
+
+        branchService = new ConversationBranchService(mockDeps);
+    });
+
+    describe('Architecture Compliance', () => {
+        test('should extend AbstractService', () => {
+            const AbstractService = require('../../backend/services/base/CORE_AbstractService');
+            expect(branchService).toBeInstanceOf(AbstractService);
+        });
+
+        test('should have correct service name', () => {
+            expect(branchService.name).toBe('ConversationBranchService');
+        });
+    });
+
+    describe('Regenerate', () => {
+        test('should deactivate the reply and return its user message', async () => {
+            const result = await branchService.prepareRegenerate('chat-1', 'a2');
+
+            expect(mockDAL.conversations.deactivateSubtree).toHaveBeenCalledWith('a2');
+            expect(result.parentId).toBe('u2');
+            expect(result.userMessage.content).toBe('content u2');
+        });
+
+        test('should only regenerate assistant replies', async () => {
+            await expect(branchService.prepareRegenerate('chat-1', 'u2')).rejects.toMatchObject({
+                statusCode: 400,
+                message: 'Only assistant replies can be regenerated'
+            });
+            expect(mockDAL.conversations.deactivateSubtree).not.toHaveBeenCalled();
+        });
+
+        test('should not find messages from another chat', async () => {
+            await expect(branchService.prepareRegenerate('chat-2', 'a2')).rejects.toMatchObject({ statusCode: 404 });
+        });
+
+        test('should roll back the psychological state to the branch point', async () => {
+            const snapshot = { personality_id: 'char-1', current_emotion: 'calm' };
+            mockDAL.memories.getActiveBranchStateSnapshot.mockResolvedValue(snapshot);
+
+            await branchService.prepareRegenerate('chat-1', 'a2');
+
+            expect(mockDAL.memories.restorePsychologicalState).toHaveBeenCalledWith('chat-1', snapshot);
+        });
+    });
+
+    describe('Edit', () => {
+        test('should save the edited message as a sibling of the original', async () => {
+            const edited = await branchService.editUserMessage('chat-1', 'u2', '  Edited  ');
+
+            expect(mockDAL.conversations.deactivateSubtree).toHaveBeenCalledWith('u2');
+            expect(mockDAL.conversations.saveMessage).toHaveBeenCalledWith(
+                'chat-1', 'user', 'Edited', 'chat',
+                expect.objectContaining({ edited_from: 'u2' }),
+                { parentId: 'a1' }
+            );
+            expect(edited.id).toBe('u2c');
+        });
+
+        test('should reject empty content and assistant messages', async () => {
+            await expect(branchService.editUserMessage('chat-1', 'u2', '  ')).rejects.toMatchObject({ statusCode: 400 });
+            await expect(branchService.editUserMessage('chat-1', 'a2', 'Hi')).rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        test('should reset the summary when the edited turn is already summarized', async () => {
+            mockDeps.conversationSummary.getSummary.mockResolvedValue({
+                summarized_through_timestamp: '2026-10-18T10:01:30.000Z'
+            });
+
+            await branchService.editUserMessage('chat-1', 'u2', 'Edited');
+
+            expect(mockDeps.conversationSummary.resetSummary).toHaveBeenCalledWith('chat-1');
+        });
+    });
+
+    describe('Switch Branch', () => {
+        test('should activate the path through the message and its latest descendants', async () => {
+            const result = await branchService.switchBranch('chat-1', 'u2b');
+
+            expect(result.activePath).toEqual(['u1', 'a1', 'u2b', 'a3']);
+            expect(mockDAL.conversations.setActiveBranch).toHaveBeenCalledWith('chat-1', ['u1', 'a1', 'u2b', 'a3']);
+        });
+
+        test('should restore the snapshot of the new branch', async () => {
+            const snapshot = { personality_id: 'char-1', current_emotion: 'playful' };
+            mockDAL.memories.getActiveBranchStateSnapshot.mockResolvedValue(snapshot);
+
+            await branchService.switchBranch('chat-1', 'a2b');
+
+            expect(mockDAL.memories.restorePsychologicalState).toHaveBeenCalledWith('chat-1', snapshot);
+        });
+
+        test('should clear the state when the new branch has no snapshot', async () => {
+            await branchService.switchBranch('chat-1', 'a2b');
+
+            expect(mockDAL.memories.clearPsychologicalState).toHaveBeenCalledWith('chat-1');
+        });
+
+        test('should keep the state of chats without any snapshots', async () => {
+            mockDAL.memories.hasStateSnapshots.mockResolvedValue(false);
+
+            await branchService.switchBranch('chat-1', 'a2b');
+
+            expect(mockDAL.memories.clearPsychologicalState).not.toHaveBeenCalled();
+            expect(mockDAL.memories.restorePsychologicalState).not.toHaveBeenCalled();
+        });
+
+        test('should do nothing when the message is already on the active branch', async () => {
+            const result = await branchService.switchBranch('chat-1', 'a2');
+
+            expect(result.activePath).toEqual(['u1', 'a1', 'u2', 'a2']);
+            expect(mockDAL.conversations.setActiveBranch).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Branch Navigation', () => {
+        test('should annotate messages with their siblings', async () => {
+            const annotated = await branchService.annotateBranches('chat-1', [message('u1'), message('u2'), message('a2')]);
+
+            expect(annotated[0].branch).toEqual({ index: 1, count: 1, siblingIds: ['u1'] });
+            expect(annotated[1].branch).toEqual({ index: 1, count: 2, siblingIds: ['u2', 'u2b'] });
+            expect(annotated[2].branch).toEqual({ index: 2, count: 2, siblingIds: ['a2b', 'a2'] });
+        });
+    });
+});
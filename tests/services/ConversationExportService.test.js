@@ -0,0 +1,143 @@
+/**
+ * Unit Tests for ConversationExportService
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test service creation and inheritance
+ * - Test Markdown, JSON, HTML and SillyTavern JSONL output
+ * - Test active-branch transcripts and swipes for alternative replies
+ * - Mock external dependencies for isolated testing
+ */
+
+const ConversationExportService = require('../../backend/services/domain/ConversationExportService');
+
+describe('ConversationExportService', () => {
+    let exportService;
+    let mockDeps;
+    let mockDAL;
+
+    // u1 -> a1b (active) with a1 an older version of the reply
+    const messages = [
+        { id: 'u1', parent_id: null, role: 'user', is_active: 1, content: 'Hi <Aria> & co', metadata: '{}', timestamp: '2026-10-18T10:00:00.000Z' },
+        { id: 'a1', parent_id: 'u1', role: 'assistant', is_active: 0, content: 'Old reply', metadata: '{}', timestamp: '2026-10-18T10:00:05.000Z' },
+        { id: 'a1b', parent_id: 'u1', role: 'assistant', is_active: 1, content: 'Hello!\nNice to see you.', metadata: '{"tokens":12}', timestamp: '2026-10-18T10:01:00.000Z' }
+    ];
+
+    beforeEach(() => {
+        mockDeps = createMockDependencies();
+
+        mockDAL = {
+            conversations: {
+                getChatById: jest.fn().mockResolvedValue({
+                    id: 'chat-1',
+                    user_id: 'user-1',
+                    title: 'Chat with Aria',
+                    personality_id: 'char-1',
+                    chat_metadata: '{"pinned":true}',
+                    created_at: '2026-10-18 09:59:00'
+                }),
+                getAllMessages: jest.fn().mockResolvedValue(messages)
+            },
+            personalities: {
+                getCharacter: jest.fn().mockResolvedValue({ id: 'char-1', name: 'Aria', description: 'Friendly' })
+            },
+            users: {
+                findById: jest.fn().mockResolvedValue({ id: 'user-1', username: 'sam', display_name: 'Sam' })
+            },
+            memories: {
+                getPsychologyEvolution: jest.fn().mockResolvedValue([{ id: 'evo-2' }, { id: 'evo-1' }])
+            },
+            commitments: {
+                getChatCommitments: jest.fn().mockResolvedValue([{ id: 'commitment-1', description: 'Read a chapter' }])
+            },
+            events: {
+                getChatEvents: jest.fn().mockResolvedValue([{ id: 'event-1', title: 'Check-in', recurrence_data: '{"time":"07:00"}' }])
+            }
+        };
+
+        mockDeps.database = {
+            getDAL: jest.fn(() => mockDAL)
+        };
+
+        exportService = new ConversationExportService(mockDeps);
+    });
+
+    describe('Architecture Compliance', () => {
+        test('should extend AbstractService', () => {
+            const AbstractService = require('../../backend/services/base/CORE_AbstractService');
+            expect(exportService).toBeInstanceOf(AbstractService);
+        });
+
+        test('should have correct service name', () => {
+            expect(exportService.name).toBe('ConversationExportService');
+        });
+    });
+
+    describe('Formats', () => {
+        test('should export the active branch as Markdown', async () => {
+            const result = await exportService.exportChat('chat-1', 'user-1', 'md');
+
+            expect(result.contentType).toContain('text/markdown');
+            expect(result.filename).toMatch(/^Aria_chat_\d{4}-\d{2}-\d{2}\.md$/);
+            expect(result.body).toContain('# Chat with Aria');
+            expect(result.body).toContain('**Sam**');
+            expect(result.body).toContain('Hello!\nNice to see you.');
+            expect(result.body).not.toContain('Old reply');
+        });
+
+        test('should keep every message and the chat history in the JSON archive', async () => {
+            const result = await exportService.exportChat('chat-1', 'user-1', 'json');
+            const archive = JSON.parse(result.body);
+
+            expect(archive.format).toBe('aria-chat-export');
+            expect(archive.chat.metadata).toEqual({ pinned: true });
+            expect(archive.chat.created_at).toBe('2026-10-18T09:59:00.000Z');
+            expect(archive.messages.map(message => message.id)).toEqual(['u1', 'a1', 'a1b']);
+            expect(archive.messages[1]).toMatchObject({ parent_id: 'u1', is_active: false });
+            expect(archive.messages[2].metadata).toEqual({ tokens: 12 });
+            expect(archive.psychology_evolution.map(entry => entry.id)).toEqual(['evo-1', 'evo-2']);
+            expect(archive.commitments).toHaveLength(1);
+            expect(archive.events[0].recurrence_data).toEqual({ time: '07:00' });
+        });
+
+        test('should escape message text in the HTML export', async () => {
+            const result = await exportService.exportChat('chat-1', 'user-1', 'html');
+
+            expect(result.body).toMatch(/^<!DOCTYPE html>/);
+            expect(result.body).toContain('Hi &lt;Aria&gt; &amp; co');
+            expect(result.body).toContain('Hello!<br>Nice to see you.');
+            expect(result.body).not.toContain('<Aria>');
+            expect(result.body).not.toContain('Old reply');
+        });
+
+        test('should export SillyTavern JSONL with alternative replies as swipes', async () => {
+            const result = await exportService.exportChat('chat-1', 'user-1', 'jsonl');
+            const [header, userLine, replyLine] = result.body.trim().split('\n').map(line => JSON.parse(line));
+
+            expect(header).toMatchObject({ user_name: 'Sam', character_name: 'Aria', chat_metadata: {} });
+            expect(header.create_date).toMatch(/^\d{4}-\d{1,2}-\d{1,2}@\d{2}h\d{2}m\d{2}s$/);
+            expect(userLine).toMatchObject({ name: 'Sam', is_user: true, is_system: false, mes: 'Hi <Aria> & co' });
+            expect(userLine.swipes).toBeUndefined();
+            expect(replyLine).toMatchObject({
+                name: 'Aria',
+                is_user: false,
+                mes: 'Hello!\nNice to see you.',
+                swipes: ['Old reply', 'Hello!\nNice to see you.'],
+                swipe_id: 1
+            });
+            expect(replyLine.send_date).toMatch(/^October 18, 2026 \d{1,2}:\d{2}(am|pm)$/);
+        });
+
+        test('should reject unknown formats', async () => {
+            await expect(exportService.exportChat('chat-1', 'user-1', 'pdf')).rejects.toMatchObject({ statusCode: 400 });
+            expect(mockDAL.conversations.getAllMessages).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Error Handling', () => {
+        test('should report missing chats as not found', async () => {
+            mockDAL.conversations.getChatById.mockResolvedValue(null);
+
+            await expect(exportService.exportChat('missing', 'user-1', 'json')).rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+});
@@ -0,0 +1,213 @@
+/**
+ * Unit Tests for ConversationSummaryService
+ * 
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test service creation and inheritance
+ * - Test that only messages older than the recent window are summarized
+ * - Test folding the mid-range summary into the long-range gist
+ * - Test summary lookup and reset
+ * - Mock external dependencies for isolated testing
+ */
+
+const ConversationSummaryService = require('../../backend/services/domain/ConversationSummaryService');
+
+function buildMessages(count, startIndex = 1) {
+    return Array.from({ length: count }, (_, i) => {
+        const n = startIndex + i;
+        return {
+            id: `m${n}`,
+            role: n % 2 === 0 ? 'assistant' : 'user',
+            content: `Message ${n}`,
+            timestamp: new Date(Date.UTC(2026, 9, 18, 10, 0, n)).toISOString()
+        };
+    });
+}
+
+describe('ConversationSummaryService', () => {
+    let summaryService;
+    let mockDeps;
+    let mockDAL;
+
+    beforeEach(async () => {
+        mockDeps = createMockDependencies();
+
+        mockDAL = {
+            conversations: {
+                getMessagesSince: jest.fn()
+            },
+            conversationSummaries: {
+                getSummary: jest.fn().mockResolvedValue(null),
+                saveSummary: jest.fn(async data => ({
+                    chat_id: data.chatId,
+                    user_id: data.userId,
+                    mid_summary: data.midSummary,
+                    long_gist: data.longGist,
+                    mid_message_count: data.midMessageCount,
+                    summarized_message_count: data.summarizedMessageCount,
+                    summarized_through_message_id: data.summarizedThroughMessageId,
+                    summarized_through_timestamp: data.summarizedThroughTimestamp
+                })),
+                deleteSummary: jest.fn()
+            }
+        };
+
+        mockDeps.database = {
+            getDAL: jest.fn(() => mockDAL)
+        };
+
+        mockDeps.structuredResponse = {
+            generateStructuredResponse: jest.fn()
+        };
+
+        mockDeps.contextBuilder = {
+            resolveContextWindow: jest.fn().mockResolvedValue(10)
+        };
+
+        summaryService = new ConversationSummaryService(mockDeps);
+        await summaryService.initialize();
+    });
+
+    describe('Architecture Compliance', () => {
+        test('should extend AbstractService', () => {
+            expect(summaryService.constructor.name).toBe('ConversationSummaryService');
+            expect(summaryService.name).toBe('ConversationSummaryService');
+            expect(summaryService.logger).toBeDefined();
+            expect(summaryService.errorHandler).toBeDefined();
+        });
+
+        test('should implement summary methods', () => {
+            ['updateSummary', 'summarizeBatch', 'summarizeMessages', 'compressToGist', 'getSummary', 'resetSummary']
+                .forEach(method => {
+                    expect(typeof summaryService[method]).toBe('function');
+                });
+        });
+    });
+
+    describe('Rolling Summary', () => {
+        test('should leave the recent window verbatim', async () => {
+            // 15 messages with a window of 10 leaves 5 older ones: below the batch minimum
+            mockDAL.conversations.getMessagesSince.mockResolvedValue(buildMessages(15));
+
+            const result = await summaryService.updateSummary('c1', 'u1', 'p1');
+
+            expect(result.updated).toBe(false);
+            expect(mockDeps.structuredResponse.generateStructuredResponse).not.toHaveBeenCalled();
+            expect(mockDAL.conversationSummaries.saveSummary).not.toHaveBeenCalled();
+        });
+
+        test('should summarize messages older than the recent window', async () => {
+            mockDAL.conversations.getMessagesSince.mockResolvedValue(buildMessages(22));
+            mockDeps.structuredResponse.generateStructuredResponse.mockResolvedValue({
+                summary: 'The user planned a trip to Rome.'
+            });
+
+            const result = await summaryService.updateSummary('c1', 'u1', 'p1');
+
+            expect(result.updated).toBe(true);
+            expect(result.summarizedCount).toBe(12);
+            expect(mockDeps.contextBuilder.resolveContextWindow).toHaveBeenCalledWith('u1', 'p1', 'conversational');
+
+            const prompt = mockDeps.structuredResponse.generateStructuredResponse.mock.calls[0][0];
+            expect(prompt).toContain('Message 12');
+            expect(prompt).not.toContain('Message 13');
+
+            expect(mockDAL.conversationSummaries.saveSummary).toHaveBeenCalledWith(expect.objectContaining({
+                chatId: 'c1',
+                userId: 'u1',
+                midSummary: 'The user planned a trip to Rome.',
+                midMessageCount: 12,
+                summarizedMessageCount: 12,
+                summarizedThroughMessageId: 'm12'
+            }));
+        });
+
+        test('should continue from the last summarized message', async () => {
+            mockDAL.conversationSummaries.getSummary.mockResolvedValue({
+                mid_summary: 'Earlier summary',
+                long_gist: '',
+                mid_message_count: 12,
+                summarized_message_count: 12,
+                summarized_through_timestamp: '2026-10-18T10:00:12.000Z'
+            });
+            mockDAL.conversations.getMessagesSince.mockResolvedValue(buildMessages(20, 13));
+            mockDeps.structuredResponse.generateStructuredResponse.mockResolvedValue({ summary: 'Updated summary' });
+
+            const result = await summaryService.updateSummary('c1', 'u1', 'p1');
+
+            expect(mockDAL.conversations.getMessagesSince).toHaveBeenCalledWith('c1', '2026-10-18T10:00:12.000Z');
+            expect(result.summary.summarized_message_count).toBe(22);
+            expect(result.summary.summarized_through_message_id).toBe('m22');
+
+            const prompt = mockDeps.structuredResponse.generateStructuredResponse.mock.calls[0][0];
+            expect(prompt).toContain('Earlier summary');
+        });
+
+        test('should fold a full mid-range summary into the long-range gist', async () => {
+            mockDAL.conversationSummaries.getSummary.mockResolvedValue({
+                mid_summary: 'Mid summary',
+                long_gist: 'Old gist',
+                mid_message_count: 55,
+                summarized_message_count: 80,
+                summarized_through_timestamp: '2026-10-18T09:00:00.000Z'
+            });
+            mockDAL.conversations.getMessagesSince.mockResolvedValue(buildMessages(20));
+            mockDeps.structuredResponse.generateStructuredResponse
+                .mockResolvedValueOnce({ gist: 'New gist' })
+                .mockResolvedValueOnce({ summary: 'Fresh mid summary' });
+
+            await summaryService.updateSummary('c1', 'u1', 'p1');
+
+            const gistPrompt = mockDeps.structuredResponse.generateStructuredResponse.mock.calls[0][0];
+            expect(gistPrompt).toContain('Old gist');
+            expect(gistPrompt).toContain('Mid summary');
+
+            const midPrompt = mockDeps.structuredResponse.generateStructuredResponse.mock.calls[1][0];
+            expect(midPrompt).not.toContain('Mid summary');
+
+            expect(mockDAL.conversationSummaries.saveSummary).toHaveBeenCalledWith(expect.objectContaining({
+                longGist: 'New gist',
+                midSummary: 'Fresh mid summary',
+                midMessageCount: 10,
+                summarizedMessageCount: 90
+            }));
+        });
+
+        test('should catch up on long histories in several batches', async () => {
+            mockDAL.conversations.getMessagesSince.mockResolvedValue(buildMessages(100));
+            mockDeps.structuredResponse.generateStructuredResponse.mockResolvedValue({ summary: 'S', gist: 'G' });
+
+            const result = await summaryService.updateSummary('c1', 'u1', 'p1');
+
+            // 90 older messages: 40 + 40 + 10
+            expect(result.summarizedCount).toBe(90);
+            expect(mockDAL.conversationSummaries.saveSummary).toHaveBeenCalledTimes(3);
+            expect(result.summary.summarized_through_message_id).toBe('m90');
+        });
+
+        test('should wrap LLM failures as domain errors', async () => {
+            mockDAL.conversations.getMessagesSince.mockResolvedValue(buildMessages(30));
+            mockDeps.structuredResponse.generateStructuredResponse.mockRejectedValue(new Error('LLM down'));
+
+            await expect(summaryService.updateSummary('c1', 'u1', 'p1'))
+                .rejects.toThrow('Failed to update conversation summary');
+            expect(mockDAL.conversationSummaries.saveSummary).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Summary Management', () => {
+        test('should return the stored summary', async () => {
+            mockDAL.conversationSummaries.getSummary.mockResolvedValue({ chat_id: 'c1', mid_summary: 'S' });
+
+            const summary = await summaryService.getSummary('c1');
+
+            expect(summary.mid_summary).toBe('S');
+        });
+
+        test('should reset the summary', async () => {
+            mockDAL.conversationSummaries.deleteSummary.mockResolvedValue(true);
+
+            await expect(summaryService.resetSummary('c1')).resolves.toBe(true);
+            expect(mockDAL.conversationSummaries.deleteSummary).toHaveBeenCalledWith('c1');
+        });
+    });
+});
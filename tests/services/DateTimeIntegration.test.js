@@ -376,4 +376,60 @@ Stay in character as ${mockCharacter.name}. Adapt your response based on this ps
             expect(in30Seconds).toEqual(new Date('2023-01-01T12:00:30Z'));
         });
     });
+
+    describe('User Time Context Tests', () => {
+        const tokyo = { timeZone: 'Asia/Tokyo', locale: 'de-DE' };
+        const newYork = { timeZone: 'America/New_York', locale: 'en-US' };
+
+        test('should build a context from a user row and fall back to server defaults', () => {
+            expect(DateTimeUtils.getUserContext({ timezone: 'Asia/Tokyo', locale: 'de-DE' })).toEqual(tokyo);
+            expect(DateTimeUtils.getUserContext({ timezone: 'Mars/Olympus', locale: '' })).toEqual({
+                timeZone: DateTimeUtils.getServerTimeZone(),
+                locale: 'en-US'
+            });
+        });
+
+        test('should describe the time on the user\'s clock in their locale', () => {
+            const date = new Date('2026-03-01T20:00:00Z');
+            const context = DateTimeUtils.getSystemPromptDateTime(date, tokyo);
+
+            expect(context).toMatch(/Current date and time: Montag, 2\. März 2026/);
+            expect(context).toContain('Local date: 2026-03-02');
+            expect(context).toContain('Timezone: Asia/Tokyo');
+            expect(context).toContain('Current UTC time: 2026-03-01T20:00:00.000Z');
+        });
+
+        test('should greet and check business hours for the user\'s hour', () => {
+            // Monday 13:00 UTC is 08:00 in New York and 22:00 in Tokyo
+            const date = new Date('2026-03-02T13:00:00Z');
+
+            expect(DateTimeUtils.getTimeAwareGreeting(date, newYork)).toBe('Good morning');
+            expect(DateTimeUtils.getTimeAwareGreeting(date, tokyo)).toBe('Good night');
+            expect(DateTimeUtils.isBusinessHours(date, newYork)).toBe(false);
+            expect(DateTimeUtils.isBusinessHours(new Date('2026-03-02T15:00:00Z'), newYork)).toBe(true);
+        });
+
+        test('should read absolute times on the user\'s clock', () => {
+            const baseDate = new Date('2026-03-02T13:00:00Z'); // 08:00 in New York
+
+            expect(DateTimeUtils.parseAbsoluteTime('at 4 PM', baseDate, newYork)).toEqual(new Date('2026-03-02T21:00:00Z'));
+            expect(DateTimeUtils.parseDateTime('tomorrow', baseDate, newYork)).toEqual(new Date('2026-03-04T04:59:59.999Z'));
+        });
+
+        test('should keep the wall-clock time when adding days across a DST change', () => {
+            // New York springs forward on 2026-03-08
+            const saturdayNine = new Date('2026-03-07T14:00:00Z');
+
+            expect(DateTimeUtils.addTime(saturdayNine, 1, 'days', newYork)).toEqual(new Date('2026-03-08T13:00:00Z'));
+            expect(DateTimeUtils.addTime(saturdayNine, 24, 'hours', newYork)).toEqual(new Date('2026-03-08T14:00:00Z'));
+        });
+
+        test('should resolve skipped and repeated wall-clock times', () => {
+            // 02:30 does not exist on 2026-03-08 in New York; 01:30 happens twice on 2026-11-01
+            expect(DateTimeUtils.zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, 'America/New_York'))
+                .toEqual(new Date('2026-03-08T07:30:00Z'));
+            expect(DateTimeUtils.zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, 'America/New_York'))
+                .toEqual(new Date('2026-11-01T05:30:00Z'));
+        });
+    });
 });
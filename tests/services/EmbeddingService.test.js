@@ -0,0 +1,152 @@
+/**
+ * Unit Tests for EmbeddingService
+ * 
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test service creation and inheritance
+ * - Test deterministic fake embedder
+ * - Test OpenAI-compatible /v1/embeddings requests
+ * - Mock external dependencies for isolated testing
+ */
+
+const EmbeddingService = require('../../backend/services/intelligence/EmbeddingService');
+const EmbeddingUtils = require('../../backend/utils/embedding_utils');
+
+describe('EmbeddingService', () => {
+    let embeddingService;
+    let mockDeps;
+    let originalFetch;
+
+    beforeEach(async () => {
+        mockDeps = createMockDependencies();
+        mockDeps.errorHandling.wrapDomainError = jest.fn((error, message) => new Error(`${message}: ${error.message}`));
+        mockDeps.llmConfig = {
+            resolveEmbeddingConfig: jest.fn().mockResolvedValue({
+                provider: 'openai',
+                endpoint: 'http://localhost:1234/v1/embeddings',
+                model: 'nomic-embed',
+                api_key: null
+            })
+        };
+
+        originalFetch = global.fetch;
+        global.fetch = jest.fn();
+
+        embeddingService = new EmbeddingService(mockDeps);
+        await embeddingService.initialize();
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    describe('Architecture Compliance', () => {
+        test('should extend AbstractService', () => {
+            expect(embeddingService.constructor.name).toBe('EmbeddingService');
+            expect(embeddingService.name).toBe('Embedding');
+            expect(embeddingService.logger).toBeDefined();
+            expect(embeddingService.errorHandler).toBeDefined();
+        });
+
+        test('should implement embedding methods', () => {
+            ['embedTexts', 'embedText', 'getModel'].forEach(method => {
+                expect(typeof embeddingService[method]).toBe('function');
+            });
+        });
+    });
+
+    describe('Fake Embedder', () => {
+        beforeEach(() => {
+            mockDeps.llmConfig.resolveEmbeddingConfig.mockResolvedValue({ provider: 'fake', model: 'fake-embed', dimensions: 32 });
+        });
+
+        test('should produce deterministic vectors without network access', async () => {
+            const first = await embeddingService.embedText('remember my knee injury', {});
+            const second = await embeddingService.embedText('remember my knee injury', {});
+
+            expect(first.vector).toEqual(second.vector);
+            expect(first.vector).toHaveLength(32);
+            expect(first.model).toBe('fake-embed');
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+
+        test('should give related texts a higher similarity', () => {
+            const query = EmbeddingUtils.createFakeEmbedding('knee injury recovery');
+            const related = EmbeddingUtils.createFakeEmbedding('my knee injury is in recovery');
+            const unrelated = EmbeddingUtils.createFakeEmbedding('pizza with pineapple');
+
+            expect(EmbeddingUtils.cosineSimilarity(query, related))
+                .toBeGreaterThan(EmbeddingUtils.cosineSimilarity(query, unrelated));
+        });
+    });
+
+    describe('OpenAI-compatible Endpoint', () => {
+        test('should post inputs and return vectors in input order', async () => {
+            global.fetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({
+                    data: [
+                        { index: 1, embedding: [0, 1] },
+                        { index: 0, embedding: [1, 0] }
+                    ]
+                })
+            });
+
+            const result = await embeddingService.embedTexts(['first', 'second'], { userId: 'user-1' });
+
+            expect(result.vectors).toEqual([[1, 0], [0, 1]]);
+            expect(global.fetch).toHaveBeenCalledWith(
+                'http://localhost:1234/v1/embeddings',
+                expect.objectContaining({ method: 'POST' })
+            );
+            const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+            expect(body).toEqual({ model: 'nomic-embed', input: ['first', 'second'] });
+            expect(mockDeps.llmConfig.resolveEmbeddingConfig).toHaveBeenCalledWith('user-1');
+        });
+
+        test('should send the API key when configured', async () => {
+            mockDeps.llmConfig.resolveEmbeddingConfig.mockResolvedValue({
+                provider: 'openai',
+                endpoint: 'http://localhost:1234/v1/embeddings',
+                model: 'nomic-embed',
+                api_key: 'secret'
+            });
+            global.fetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ data: [{ index: 0, embedding: [1] }] })
+            });
+
+            await embeddingService.embedText('hello', {});
+
+            expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer secret');
+        });
+
+        test('should batch large inputs', async () => {
+            embeddingService.batchSize = 2;
+            global.fetch.mockImplementation(async (url, options) => {
+                const { input } = JSON.parse(options.body);
+                return {
+                    ok: true,
+                    json: async () => ({ data: input.map((_, index) => ({ index, embedding: [index] })) })
+                };
+            });
+
+            const result = await embeddingService.embedTexts(['a', 'b', 'c'], {});
+
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(result.vectors).toHaveLength(3);
+        });
+
+        test('should reject failed responses', async () => {
+            global.fetch.mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' });
+
+            await expect(embeddingService.embedText('hello', {})).rejects.toThrow('Embedding request failed');
+        });
+
+        test('should return no vectors for empty input', async () => {
+            const result = await embeddingService.embedTexts([], {});
+
+            expect(result.vectors).toEqual([]);
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+    });
+});
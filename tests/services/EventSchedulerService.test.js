@@ -42,6 +42,11 @@ describe('EventSchedulerService', () => {
         mockDeps.proactiveIntelligence = {
             triggerEventNotification: jest.fn().mockResolvedValue(true)
         };
+
+        // Add messageDelivery service mock
+        mockDeps.messageDelivery = {
+            deliverMessageToUser: jest.fn().mockResolvedValue(true)
+        };
         
         eventSchedulerService = new EventSchedulerService(mockDeps);
     });
@@ -281,6 +286,30 @@ describe('EventSchedulerService', () => {
             expect(mockDeps.proactiveIntelligence.triggerEventNotification).toHaveBeenCalledWith(event);
         });
 
+        test('should push the event to the user over the WebSocket', async () => {
+            const event = {
+                id: 'event-1',
+                user_id: 'user-123',
+                chat_id: 'chat-456',
+                character_id: 'char-789',
+                title: 'Morning Check-in',
+                recurrence_type: 'once',
+                next_occurrence: '2025-10-08T07:00:00Z'
+            };
+            
+            mockEventsRepo.calculateNextOccurrence.mockResolvedValue(null);
+            
+            await eventSchedulerService.processEvent(event);
+            
+            expect(mockDeps.messageDelivery.deliverMessageToUser).toHaveBeenCalledWith('user-123', expect.objectContaining({
+                type: 'event',
+                eventId: 'event-1',
+                chatId: 'chat-456',
+                title: 'Morning Check-in',
+                occurrence: '2025-10-08T07:00:00Z'
+            }));
+        });
+
         test('should log event processing', async () => {
             const event = {
                 id: 'event-1',
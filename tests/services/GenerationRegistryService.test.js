@@ -0,0 +1,66 @@
+/**
+ * Unit Tests for GenerationRegistryService
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test tracking in-flight generations per chat
+ * - Test stopping a user's generations with an abort reason
+ * - Test that finished generations are forgotten
+ */
+
+const GenerationRegistryService = require('../../backend/services/infrastructure/GenerationRegistryService');
+
+describe('GenerationRegistryService', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new GenerationRegistryService(createMockDependencies());
+    });
+
+    describe('Architecture Compliance', () => {
+        test('should extend AbstractService', () => {
+            expect(registry.constructor.name).toBe('GenerationRegistryService');
+            expect(registry.name).toBe('GenerationRegistryService');
+        });
+    });
+
+    describe('Tracking', () => {
+        test('should track generations per chat until they finish', () => {
+            const first = registry.start('chat-1', { userId: 'user-1', characterId: 'char-1' });
+            const second = registry.start('chat-1', { userId: 'user-1', characterId: 'char-2' });
+            registry.start('chat-2', { userId: 'user-1' });
+
+            expect(registry.getActive('chat-1').map(generation => generation.id)).toEqual([first.id, second.id]);
+            expect(first.signal.aborted).toBe(false);
+
+            registry.finish(first);
+            registry.finish(second);
+
+            expect(registry.isGenerating('chat-1')).toBe(false);
+            expect(registry.isGenerating('chat-2')).toBe(true);
+        });
+    });
+
+    describe('Stopping', () => {
+        test('should abort only the owner\'s generations of the chat', () => {
+            const generation = registry.start('chat-1', { userId: 'user-1' });
+            const other = registry.start('chat-2', { userId: 'user-1' });
+
+            expect(registry.stop('chat-1', 'user-2')).toBe(0);
+            expect(generation.isAborted()).toBe(false);
+
+            expect(registry.stop('chat-1', 'user-1')).toBe(1);
+            expect(generation.signal.aborted).toBe(true);
+            expect(generation.getAbortReason()).toBe('user_stopped');
+            expect(other.isAborted()).toBe(false);
+        });
+
+        test('should keep the first abort reason', () => {
+            const generation = registry.start('chat-1', { userId: 'user-1' });
+
+            expect(generation.abort('client_disconnected')).toBe(true);
+            expect(generation.abort('user_stopped')).toBe(false);
+            expect(registry.stop('chat-1', 'user-1')).toBe(0);
+            expect(generation.getAbortReason()).toBe('client_disconnected');
+        });
+    });
+});
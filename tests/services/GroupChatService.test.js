@@ -0,0 +1,205 @@
+/**
+ * Unit Tests for GroupChatService
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test group chat creation and participant management
+ * - Test next-speaker selection for each turn strategy
+ * - Test speaker annotation of history messages
+ * - Mock DAL and structured response dependencies
+ */
+
+const GroupChatService = require('../../backend/services/domain/GroupChatService');
+
+describe('GroupChatService', () => {
+    let groupChatService;
+    let mockDeps;
+    let mockDAL;
+
+    const characters = {
+        'char-1': { id: 'char-1', name: 'Aria Lane', user_id: 'user-1' },
+        'char-2': { id: 'char-2', name: 'Bram', user_id: 'user-1' },
+        'char-3': { id: 'char-3', name: 'Cleo', user_id: 'user-1' }
+    };
+    const participants = ['char-1', 'char-2', 'char-3'].map((id, position) => ({ ...characters[id], position }));
+    const chat = { id: 'chat-1', user_id: 'user-1', personality_id: 'char-1', turn_strategy: 'round_robin' };
+
+    beforeEach(() => {
+        mockDeps = createMockDependencies();
+        mockDAL = {
+            chats: {
+                createChat: jest.fn(async (userId, data) => ({ ...data, id: data.id || 'chat-new', user_id: userId })),
+                updateTurnStrategy: jest.fn().mockResolvedValue({ updated: true }),
+                updatePrimaryCharacter: jest.fn().mockResolvedValue({ updated: true })
+            },
+            chatCharacters: {
+                getParticipants: jest.fn().mockResolvedValue(participants),
+                addParticipant: jest.fn().mockResolvedValue(true),
+                removeParticipant: jest.fn().mockResolvedValue(true),
+                getLastSpeakerId: jest.fn().mockResolvedValue(null)
+            },
+            personalities: {
+                getCharacter: jest.fn(async (id, userId) => {
+                    const character = characters[id];
+                    return character && (!userId || character.user_id === userId) ? character : null;
+                })
+            },
+            conversations: {
+                getSessionHistory: jest.fn().mockResolvedValue([])
+            }
+        };
+        mockDeps.database = { getDAL: jest.fn().mockReturnValue(mockDAL) };
+        mockDeps.structuredResponse = { generateStructuredResponse: jest.fn() };
+
+        groupChatService = new GroupChatService(mockDeps);
+    });
+
+    describe('Architecture Compliance', () => {
+        test('should extend AbstractService', () => {
+            expect(groupChatService.constructor.name).toBe('GroupChatService');
+            expect(groupChatService.name).toBe('GroupChatService');
+            expect(groupChatService.dal).toBe(mockDAL);
+        });
+    });
+
+    describe('Participants', () => {
+        test('should create a chat with the first character as primary', async () => {
+            mockDAL.chatCharacters.getParticipants.mockResolvedValue(participants.slice(0, 2));
+
+            const result = await groupChatService.createGroupChat('user-1', {
+                characterIds: ['char-1', 'char-2', 'char-1'],
+                turnStrategy: 'mention'
+            });
+
+            expect(mockDAL.chats.createChat).toHaveBeenCalledWith('user-1', expect.objectContaining({
+                title: 'Chat with Aria Lane, Bram',
+                personality_id: 'char-1',
+                turn_strategy: 'mention'
+            }));
+            expect(mockDAL.chatCharacters.addParticipant).toHaveBeenCalledTimes(1);
+            expect(mockDAL.chatCharacters.addParticipant).toHaveBeenCalledWith('chat-new', 'char-2', 'user-1');
+            expect(result.participants.map(p => p.id)).toEqual(['char-1', 'char-2']);
+        });
+
+        test('should reject empty lists, unknown strategies and foreign characters', async () => {
+            await expect(groupChatService.createGroupChat('user-1', { characterIds: [] }))
+                .rejects.toMatchObject({ statusCode: 400 });
+            await expect(groupChatService.createGroupChat('user-1', { characterIds: ['char-1'], turnStrategy: 'random' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+            await expect(groupChatService.createGroupChat('user-2', { characterIds: ['char-1'] }))
+                .rejects.toMatchObject({ statusCode: 404 });
+            expect(mockDAL.chats.createChat).not.toHaveBeenCalled();
+        });
+
+        test('should fall back to the chat character for chats without participants', async () => {
+            mockDAL.chatCharacters.getParticipants.mockResolvedValue([]);
+
+            const result = await groupChatService.getParticipants(chat);
+
+            expect(result).toEqual([{ id: 'char-1', name: 'Aria Lane', position: 0 }]);
+        });
+
+        test('should reject adding a character twice', async () => {
+            mockDAL.chatCharacters.addParticipant.mockResolvedValue(false);
+
+            await expect(groupChatService.addParticipant(chat, 'char-2', 'user-1'))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        test('should hand the chat to the next character when the primary leaves', async () => {
+            const remaining = await groupChatService.removeParticipant(chat, 'char-1', 'user-1');
+
+            expect(mockDAL.chatCharacters.removeParticipant).toHaveBeenCalledWith('chat-1', 'char-1');
+            expect(mockDAL.chats.updatePrimaryCharacter).toHaveBeenCalledWith('user-1', 'chat-1', 'char-2');
+            expect(remaining.map(p => p.id)).toEqual(['char-2', 'char-3']);
+        });
+
+        test('should keep the last character and reject strangers', async () => {
+            await expect(groupChatService.removeParticipant(chat, 'char-9', 'user-1'))
+                .rejects.toMatchObject({ statusCode: 404 });
+
+            mockDAL.chatCharacters.getParticipants.mockResolvedValue(participants.slice(0, 1));
+            await expect(groupChatService.removeParticipant(chat, 'char-1', 'user-1'))
+                .rejects.toMatchObject({ statusCode: 400 });
+            expect(mockDAL.chatCharacters.removeParticipant).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Speaker Selection', () => {
+        test('should return null for single-character chats', async () => {
+            mockDAL.chatCharacters.getParticipants.mockResolvedValue(participants.slice(0, 1));
+
+            expect(await groupChatService.selectSpeaker(chat, 'Hello')).toBeNull();
+        });
+
+        test('should rotate after the last speaker', async () => {
+            mockDAL.chatCharacters.getLastSpeakerId.mockResolvedValue('char-3');
+            const first = await groupChatService.selectSpeaker(chat, 'Hello');
+
+            mockDAL.chatCharacters.getLastSpeakerId.mockResolvedValue('char-1');
+            const second = await groupChatService.selectSpeaker(chat, 'Hello');
+
+            expect(first).toMatchObject({ speaker: { id: 'char-1' }, strategy: 'round_robin' });
+            expect(second.speaker.id).toBe('char-2');
+        });
+
+        test('should answer with the first character mentioned', async () => {
+            const mentionChat = { ...chat, turn_strategy: 'mention' };
+
+            const byFirstName = await groupChatService.selectSpeaker(mentionChat, 'Hey @cleo, and you @Bram?');
+            const byFullName = await groupChatService.selectSpeaker(mentionChat, 'What do you think, @Aria Lane?');
+
+            expect(byFirstName).toMatchObject({ speaker: { id: 'char-3' }, strategy: 'mention' });
+            expect(byFullName.speaker.id).toBe('char-1');
+        });
+
+        test('should not treat a longer word as a mention', async () => {
+            mockDAL.chatCharacters.getLastSpeakerId.mockResolvedValue('char-1');
+
+            const result = await groupChatService.selectSpeaker({ ...chat, turn_strategy: 'mention' }, 'Ask @Bramble about it');
+
+            expect(result).toMatchObject({ speaker: { id: 'char-2' }, strategy: 'round_robin' });
+        });
+
+        test('should let the analytical model choose and fall back to rotation', async () => {
+            const llmChat = { ...chat, turn_strategy: 'llm' };
+            mockDeps.structuredResponse.generateStructuredResponse.mockResolvedValueOnce({ next_speaker: 'Cleo' });
+
+            const chosen = await groupChatService.selectSpeaker(llmChat, 'Who likes painting?', { userId: 'user-1' });
+
+            expect(chosen).toMatchObject({ speaker: { id: 'char-3' }, strategy: 'llm' });
+            expect(mockDeps.structuredResponse.generateStructuredResponse).toHaveBeenCalledWith(
+                expect.stringContaining('Latest user message: "Who likes painting?"'),
+                expect.objectContaining({ required: ['next_speaker'] }),
+                expect.objectContaining({ userId: 'user-1', role: 'analytical' })
+            );
+
+            mockDeps.structuredResponse.generateStructuredResponse.mockRejectedValueOnce(new Error('LLM offline'));
+            const fallback = await groupChatService.selectSpeaker(llmChat, 'Anyone?', { userId: 'user-1' });
+            expect(fallback).toMatchObject({ speaker: { id: 'char-1' }, strategy: 'round_robin' });
+        });
+
+        test('should honour an explicit speaker', async () => {
+            const result = await groupChatService.selectSpeaker(chat, 'Hello', { speakerId: 'char-2' });
+
+            expect(result).toMatchObject({ speaker: { id: 'char-2' }, strategy: 'explicit' });
+            await expect(groupChatService.selectSpeaker(chat, 'Hello', { speakerId: 'char-9' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+    });
+
+    describe('Speaker Annotation', () => {
+        test('should name the character of each reply', async () => {
+            const messages = [
+                { id: 'm1', role: 'user', content: 'Hi' },
+                { id: 'm2', role: 'assistant', content: 'Hello', personality_id: 'char-2' },
+                { id: 'm3', role: 'assistant', content: 'Hey', personality_id: null }
+            ];
+
+            const result = await groupChatService.annotateSpeakers(chat, messages);
+
+            expect(result[0]).not.toHaveProperty('speaker');
+            expect(result[1].speaker).toEqual({ id: 'char-2', name: 'Bram' });
+            expect(result[2]).not.toHaveProperty('speaker');
+        });
+    });
+});
@@ -711,6 +711,106 @@ describe('CORE_LLMConfigService', () => {
         });
     });
 
+    describe('Prompt Budget', () => {
+        test('should use the context length of the resolved model', async () => {
+            jest.spyOn(llmConfigService, 'resolveModelConfig').mockResolvedValue({
+                model: 'llama-3.1-8b',
+                context_length: 4096,
+                max_tokens: 512
+            });
+
+            const budget = await llmConfigService.resolvePromptBudget(1, 2);
+
+            expect(llmConfigService.resolveModelConfig).toHaveBeenCalledWith(1, 2, 'conversational');
+            expect(budget).toEqual({
+                model: 'llama-3.1-8b',
+                contextLength: 4096,
+                responseReserve: 512,
+                promptTokens: 3584,
+                sectionPriority: null
+            });
+        });
+
+        test('should fall back to the global context length and cap the reply reserve', async () => {
+            jest.spyOn(llmConfigService, 'resolveModelConfig').mockResolvedValue({ model: 'm', max_tokens: 4096 });
+            mockDAL.configuration.getConfigValue.mockImplementation(async key => {
+                if (key === 'llm_context_length') return 2048;
+                if (key === 'prompt_section_priority') return ['identity', 'background'];
+                return null;
+            });
+
+            const budget = await llmConfigService.resolvePromptBudget(1, 2);
+
+            expect(budget.contextLength).toBe(2048);
+            expect(budget.responseReserve).toBe(1024);
+            expect(budget.promptTokens).toBe(1024);
+            expect(budget.sectionPriority).toEqual(['identity', 'background']);
+        });
+    });
+
+    describe('Model Chains', () => {
+        test('should append role config and global fallbacks after the primary model', async () => {
+            jest.spyOn(llmConfigService, 'resolveModelConfig').mockResolvedValue({
+                model: 'primary-model',
+                temperature: 0.8,
+                max_tokens: 1024,
+                fallbacks: [{ provider: 'local-ollama', model: 'llama3.1:8b' }]
+            });
+            mockDAL.configuration.getConfigValue.mockImplementation(async key => key === 'llm_fallbacks'
+                ? { conversational: [{ provider: 'claude', model: 'claude-haiku', max_tokens: 512 }, { model: 'primary-model' }] }
+                : null);
+
+            const chain = await llmConfigService.resolveModelChain(1, 2, 'conversational');
+
+            expect(chain.map(entry => `${entry.provider}/${entry.model}`)).toEqual([
+                'default/primary-model',
+                'local-ollama/llama3.1:8b',
+                'claude/claude-haiku'
+            ]);
+            expect(chain[0].fallbacks).toBeUndefined();
+            expect(chain[1]).toEqual(expect.objectContaining({ temperature: 0.8, max_tokens: 1024 }));
+            expect(chain[2].max_tokens).toBe(512);
+        });
+
+        test('should return an empty chain when no model is configured', async () => {
+            jest.spyOn(llmConfigService, 'resolveModelConfig').mockResolvedValue({ context_window_messages: 30 });
+
+            await expect(llmConfigService.resolveModelChain(1, null, 'analytical')).resolves.toEqual([]);
+        });
+    });
+
+    describe('Named Providers', () => {
+        const providers = {
+            'local-ollama': { type: 'ollama', endpoint: 'http://localhost:11434' },
+            'claude': { type: 'anthropic', api_key: 'secret' }
+        };
+
+        test('should return a named provider config', async () => {
+            mockDAL.configuration.getConfigValue.mockImplementation(async key => key === 'llm_providers' ? providers : null);
+
+            const config = await llmConfigService.getProviderConfig('local-ollama');
+
+            expect(config).toEqual({ type: 'ollama', endpoint: 'http://localhost:11434' });
+        });
+
+        test('should reject unknown provider names', async () => {
+            mockDAL.configuration.getConfigValue.mockResolvedValue(null);
+
+            await expect(llmConfigService.getProviderConfig('missing')).rejects.toThrow('Unknown LLM provider: missing');
+        });
+
+        test('should list providers without credentials', async () => {
+            mockDAL.configuration.getConfigValue.mockImplementation(async key => key === 'llm_providers' ? providers : null);
+
+            const list = await llmConfigService.listProviders();
+
+            expect(list).toEqual([
+                { name: 'local-ollama', type: 'ollama', endpoint: 'http://localhost:11434', hasApiKey: false },
+                { name: 'claude', type: 'anthropic', endpoint: null, hasApiKey: true }
+            ]);
+        });
+    });
+
     describe('Error Handling', () => {
         test('should wrap errors in resolveModelConfig', async () => {
             mockDeps.database.users.findById.mockRejectedValue(new Error('DB error'));
@@ -0,0 +1,479 @@
+/**
+ * Unit Tests for LLM provider adapters
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test request translation for each wire format
+ * - Test complete and streaming responses against local mock HTTP servers
+ * - Test provider selection by name and type
+ */
+
+const http = require('http');
+const {
+    createProvider,
+    OpenAICompatibleProvider,
+    OllamaProvider,
+    AnthropicProvider,
+    CircuitBreaker
+} = require('../../backend/services/intelligence/providers');
+
+/**
+ * Start a mock LLM server on a random local port.
+ * handler(req, body, res) answers each request; every request is recorded.
+ */
+function startMockServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : null;
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            handler(req, body, res);
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                server,
+                requests,
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+function sendJSON(res, data, status = 200) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Write stream lines in separate chunks, splitting one line across two writes
+ * to exercise the adapter's line buffering.
+ */
+function sendStream(res, lines, contentType) {
+    res.writeHead(200, { 'Content-Type': contentType });
+    const payload = lines.join('\n') + '\n';
+    const middle = Math.floor(payload.length / 2);
+    res.write(payload.slice(0, middle));
+    setTimeout(() => res.end(payload.slice(middle)), 10);
+}
+
+const request = {
+    model: 'test-model',
+    messages: [
+        { role: 'system', content: 'You are Aria.' },
+        { role: 'user', content: 'Hello' }
+    ],
+    temperature: 0.4,
+    maxTokens: 256
+};
+
+describe('LLM Providers', () => {
+    describe('createProvider', () => {
+        test('should map server types to adapters', () => {
+            expect(createProvider('lm', { type: 'lmstudio' })).toBeInstanceOf(OpenAICompatibleProvider);
+            expect(createProvider('vllm', { type: 'vllm' })).toBeInstanceOf(OpenAICompatibleProvider);
+            expect(createProvider('cpp', { type: 'llamacpp' })).toBeInstanceOf(OpenAICompatibleProvider);
+            expect(createProvider('local', { type: 'ollama' })).toBeInstanceOf(OllamaProvider);
+            expect(createProvider('claude', { type: 'anthropic' })).toBeInstanceOf(AnthropicProvider);
+        });
+
+        test('should default to the OpenAI-compatible adapter', () => {
+            const provider = createProvider('default', { endpoint: 'http://localhost:1234/v1/' });
+
+            expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+            expect(provider.getRequestUrl()).toBe('http://localhost:1234/v1/chat/completions');
+            expect(provider.getHealthUrl()).toBe('http://localhost:1234/v1/models');
+        });
+
+        test('should reject unknown provider types', () => {
+            expect(() => createProvider('bad', { type: 'carrier-pigeon' }))
+                .toThrow("Unknown LLM provider type 'carrier-pigeon' for provider 'bad'");
+        });
+
+        test('should describe providers without exposing credentials', () => {
+            const provider = createProvider('claude', { type: 'anthropic', api_key: 'secret' });
+
+            expect(provider.describe()).toEqual({
+                name: 'claude',
+                type: 'anthropic',
+                endpoint: 'https://api.anthropic.com',
+                hasApiKey: true
+            });
+        });
+    });
+
+    describe('OpenAICompatibleProvider', () => {
+        let mock;
+
+        beforeAll(async () => {
+            mock = await startMockServer((req, body, res) => {
+                if (req.method === 'GET' && req.url === '/v1/models') {
+                    return sendJSON(res, { data: [{ id: 'test-model' }] });
+                }
+                if (body.stream) {
+                    return sendStream(res, [
+                        'data: {"choices":[{"delta":{"content":"Hel"}}]}',
+                        '',
+                        'data: {"choices":[{"delta":{"content":"lo!"}}]}',
+                        'data: {"choices":[],"usage":{"prompt_tokens":5,"completion_tokens":2,"total_tokens":7}}',
+                        'data: [DONE]'
+                    ], 'text/event-stream');
+                }
+                sendJSON(res, {
+                    model: 'test-model',
+                    choices: [{ message: { role: 'assistant', content: ' Hello there ' } }],
+                    usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }
+                });
+            });
+        });
+
+        afterAll(() => mock.close());
+
+        test('should send an OpenAI chat completions request', async () => {
+            const provider = createProvider('lm', { type: 'lmstudio', endpoint: `${mock.url}/v1`, api_key: 'sk-test' });
+
+            const result = await provider.complete(request);
+
+            expect(result).toEqual(expect.objectContaining({
+                content: 'Hello there',
+                model: 'test-model',
+                provider: 'lm',
+                usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }
+            }));
+
+            const sent = mock.requests[mock.requests.length - 1];
+            expect(sent.url).toBe('/v1/chat/completions');
+            expect(sent.headers.authorization).toBe('Bearer sk-test');
+            expect(sent.body).toEqual({
+                model: 'test-model',
+                messages: request.messages,
+                max_tokens: 256,
+                temperature: 0.4,
+                stream: false
+            });
+        });
+
+        test('should stream SSE deltas', async () => {
+            const provider = createProvider('lm', { type: 'lmstudio', endpoint: `${mock.url}/v1/chat/completions` });
+            const chunks = [];
+
+            const result = await provider.stream(request, chunk => chunks.push(chunk));
+
+            expect(chunks).toEqual(['Hel', 'lo!']);
+            expect(result.content).toBe('Hello!');
+            expect(result.streaming).toBe(true);
+            expect(result.provider).toBe('lm');
+            expect(result.usage.total_tokens).toBe(7);
+            expect(mock.requests[mock.requests.length - 1].body.stream).toBe(true);
+        });
+
+        test('should check the connection against /models', async () => {
+            const provider = createProvider('lm', { type: 'lmstudio', endpoint: `${mock.url}/v1` });
+
+            await expect(provider.checkConnection()).resolves.toBe(true);
+        });
+    });
+
+    describe('OllamaProvider', () => {
+        let mock;
+
+        beforeAll(async () => {
+            mock = await startMockServer((req, body, res) => {
+                if (req.method === 'GET' && req.url === '/api/tags') {
+                    return sendJSON(res, { models: [] });
+                }
+                if (body.model === 'missing-model') {
+                    return sendJSON(res, { error: "model 'missing-model' not found" }, 404);
+                }
+                if (body.stream) {
+                    return sendStream(res, [
+                        '{"model":"test-model","message":{"role":"assistant","content":"Hi"},"done":false}',
+                        '{"model":"test-model","message":{"role":"assistant","content":" there"},"done":false}',
+                        '{"model":"test-model","message":{"role":"assistant","content":""},"done":true,"prompt_eval_count":12,"eval_count":3}'
+                    ], 'application/x-ndjson');
+                }
+                sendJSON(res, {
+                    model: 'test-model',
+                    message: { role: 'assistant', content: 'Hi there' },
+                    done: true,
+                    prompt_eval_count: 12,
+                    eval_count: 3
+                });
+            });
+        });
+
+        afterAll(() => mock.close());
+
+        test('should send a native /api/chat request with options', async () => {
+            const provider = createProvider('local', { type: 'ollama', endpoint: mock.url });
+
+            const result = await provider.complete(request);
+
+            expect(result.content).toBe('Hi there');
+            expect(result.provider).toBe('local');
+            expect(result.usage).toEqual({ prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 });
+
+            const sent = mock.requests[mock.requests.length - 1];
+            expect(sent.url).toBe('/api/chat');
+            expect(sent.body).toEqual({
+                model: 'test-model',
+                messages: request.messages,
+                stream: false,
+                options: { temperature: 0.4, num_predict: 256 }
+            });
+        });
+
+        test('should stream NDJSON chunks', async () => {
+            const provider = createProvider('local', { type: 'ollama', endpoint: mock.url });
+            const chunks = [];
+
+            const result = await provider.stream(request, chunk => chunks.push(chunk));
+
+            expect(chunks).toEqual(['Hi', ' there']);
+            expect(result.content).toBe('Hi there');
+            expect(result.usage.total_tokens).toBe(15);
+        });
+
+        test('should reject failed streaming requests', async () => {
+            const provider = createProvider('local', { type: 'ollama', endpoint: mock.url });
+
+            await expect(provider.stream({ ...request, model: 'missing-model' }))
+                .rejects.toThrow('LLM request failed: 404');
+        });
+
+        test('should check the connection against /api/tags', async () => {
+            const provider = createProvider('local', { type: 'ollama', endpoint: mock.url });
+
+            await expect(provider.checkConnection()).resolves.toBe(true);
+        });
+    });
+
+    describe('AnthropicProvider', () => {
+        let mock;
+
+        beforeAll(async () => {
+            mock = await startMockServer((req, body, res) => {
+                if (body.stream) {
+                    return sendStream(res, [
+                        'event: message_start',
+                        'data: {"type":"message_start","message":{"id":"msg_1","usage":{"input_tokens":9,"output_tokens":0}}}',
+                        '',
+                        'event: content_block_delta',
+                        'data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Good "}}',
+                        '',
+                        'event: content_block_delta',
+                        'data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"morning"}}',
+                        '',
+                        'event: message_delta',
+                        'data: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"input_tokens":9,"output_tokens":2}}',
+                        '',
+                        'event: message_stop',
+                        'data: {"type":"message_stop"}'
+                    ], 'text/event-stream');
+                }
+                sendJSON(res, {
+                    type: 'message',
+                    model: 'test-model',
+                    content: [{ type: 'text', text: 'Good morning' }],
+                    usage: { input_tokens: 9, output_tokens: 2 }
+                });
+            });
+        });
+
+        afterAll(() => mock.close());
+
+        test('should move system messages to the system field', async () => {
+            const provider = createProvider('claude', { type: 'anthropic', endpoint: mock.url, api_key: 'ak-test' });
+
+            const result = await provider.complete(request);
+
+            expect(result.content).toBe('Good morning');
+            expect(result.usage).toEqual({ prompt_tokens: 9, completion_tokens: 2, total_tokens: 11 });
+
+            const sent = mock.requests[mock.requests.length - 1];
+            expect(sent.url).toBe('/v1/messages');
+            expect(sent.headers['x-api-key']).toBe('ak-test');
+            expect(sent.headers['anthropic-version']).toBe('2023-06-01');
+            expect(sent.body).toEqual({
+                model: 'test-model',
+                system: 'You are Aria.',
+                messages: [{ role: 'user', content: 'Hello' }],
+                max_tokens: 256,
+                temperature: 0.4,
+                stream: false
+            });
+        });
+
+        test('should stream content_block_delta events', async () => {
+            const provider = createProvider('claude', { type: 'anthropic', endpoint: mock.url });
+            const chunks = [];
+
+            const result = await provider.stream(request, chunk => chunks.push(chunk));
+
+            expect(chunks).toEqual(['Good ', 'morning']);
+            expect(result.content).toBe('Good morning');
+            expect(result.usage).toEqual({ prompt_tokens: 9, completion_tokens: 2, total_tokens: 11 });
+        });
+
+        test('should surface stream error events', async () => {
+            const provider = new AnthropicProvider('claude', { endpoint: mock.url });
+
+            expect(provider.parseStreamLine('data: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}'))
+                .toEqual({ error: 'Overloaded' });
+        });
+    });
+
+    describe('Tool calling', () => {
+        const tools = [{
+            type: 'function',
+            function: { name: 'search_memory', description: 'Search memory', parameters: { type: 'object', properties: { query: { type: 'string' } } } }
+        }];
+        const toolRequest = {
+            ...request,
+            tools,
+            messages: [
+                ...request.messages,
+                { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'search_memory', arguments: { query: 'dog' } }] },
+                { role: 'tool', toolCallId: 'call_1', name: 'search_memory', content: '{"memories":[]}' }
+            ]
+        };
+
+        test('should translate tools and tool messages for OpenAI-compatible servers', () => {
+            const provider = new OpenAICompatibleProvider('lm', { endpoint: 'http://localhost:1234/v1' });
+
+            const body = provider.buildRequestBody({ ...toolRequest, toolChoice: 'none' }, false);
+
+            expect(body.tools).toBe(tools);
+            expect(body.tool_choice).toBe('none');
+            expect(body.messages.slice(-2)).toEqual([
+                {
+                    role: 'assistant',
+                    content: null,
+                    tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'search_memory', arguments: '{"query":"dog"}' } }]
+                },
+                { role: 'tool', tool_call_id: 'call_1', content: '{"memories":[]}' }
+            ]);
+            expect(provider.parseResponse({
+                choices: [{ message: { content: null, tool_calls: [{ id: 'call_9', function: { name: 'search_memory', arguments: '{"query":"cat"}' } }] } }]
+            }).toolCalls).toEqual([{ id: 'call_9', name: 'search_memory', arguments: { query: 'cat' } }]);
+        });
+
+        test('should leave tools out of Ollama requests that ask for a plain answer', () => {
+            const provider = new OllamaProvider('local', { endpoint: 'http://localhost:11434' });
+
+            expect(provider.buildRequestBody(toolRequest, false).tools).toBe(tools);
+            expect(provider.buildRequestBody({ ...toolRequest, toolChoice: 'none' }, false).tools).toBeUndefined();
+            expect(provider.parseResponse({
+                message: { content: '', tool_calls: [{ function: { name: 'search_memory', arguments: { query: 'cat' } } }] }
+            }).toolCalls).toEqual([{ id: 'call_1', name: 'search_memory', arguments: { query: 'cat' } }]);
+        });
+
+        test('should use tool_use and tool_result blocks for Anthropic', () => {
+            const provider = new AnthropicProvider('claude', { endpoint: 'http://localhost:9999' });
+
+            const body = provider.buildRequestBody({ ...toolRequest, toolChoice: 'auto' }, false);
+
+            expect(body.tools).toEqual([{ name: 'search_memory', description: 'Search memory', input_schema: tools[0].function.parameters }]);
+            expect(body.tool_choice).toEqual({ type: 'auto' });
+            expect(body.messages.slice(-2)).toEqual([
+                { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'search_memory', input: { query: 'dog' } }] },
+                { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: '{"memories":[]}' }] }
+            ]);
+            expect(provider.parseResponse({
+                content: [{ type: 'tool_use', id: 'toolu_1', name: 'search_memory', input: { query: 'cat' } }]
+            }).toolCalls).toEqual([{ id: 'toolu_1', name: 'search_memory', arguments: { query: 'cat' } }]);
+        });
+    });
+
+    describe('Stop sequences', () => {
+        const stopRequest = { ...request, stop: ['\nSam:', '\n', 'Aria:', '###', 'END'] };
+
+        test('should send stop sequences in each server\'s format', () => {
+            const openai = new OpenAICompatibleProvider('lm', { endpoint: 'http://localhost:1234/v1' });
+            const ollama = new OllamaProvider('local', { endpoint: 'http://localhost:11434' });
+            const anthropic = new AnthropicProvider('claude', { endpoint: 'http://localhost:9999' });
+
+            expect(openai.buildRequestBody(stopRequest, false).stop).toEqual(['\nSam:', '\n', 'Aria:', '###']);
+            expect(ollama.buildRequestBody(stopRequest, false).options.stop).toEqual(stopRequest.stop);
+            expect(anthropic.buildRequestBody(stopRequest, false).stop_sequences).toEqual(['\nSam:', 'Aria:', '###', 'END']);
+            expect(openai.buildRequestBody(request, false)).not.toHaveProperty('stop');
+            expect(anthropic.buildRequestBody(request, false)).not.toHaveProperty('stop_sequences');
+        });
+    });
+
+    describe('Cancellation', () => {
+        let mock;
+        let upstreamClosed;
+
+        beforeAll(async () => {
+            // Sends one delta, then keeps the stream open until the client goes away
+            mock = await startMockServer((req, body, res) => {
+                if (!body.stream) {
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                res.write('data: {"choices":[{"delta":{"content":"Once upon"}}]}\n');
+                res.on('close', () => upstreamClosed());
+            });
+        });
+
+        afterAll(() => mock.close());
+
+        test('should close the upstream stream and keep the partial reply when aborted', async () => {
+            const provider = new OpenAICompatibleProvider('lm', { endpoint: `${mock.url}/v1` });
+            const controller = new AbortController();
+            const closed = new Promise(resolve => { upstreamClosed = resolve; });
+
+            const result = await provider.stream(request, () => controller.abort(), controller.signal);
+
+            expect(result).toEqual(expect.objectContaining({ content: 'Once upon', aborted: true, streaming: true }));
+            await closed;
+        });
+
+        test('should not send requests that were aborted before they started', async () => {
+            const provider = new OpenAICompatibleProvider('lm', { endpoint: `${mock.url}/v1` });
+            const controller = new AbortController();
+            controller.abort();
+            const sent = mock.requests.length;
+
+            const streamed = await provider.stream(request, null, controller.signal);
+
+            expect(streamed).toEqual(expect.objectContaining({ content: '', aborted: true }));
+            await expect(provider.complete(request, controller.signal)).rejects.toThrow();
+            expect(mock.requests.length).toBe(sent);
+        });
+    });
+
+    describe('CircuitBreaker', () => {
+        test('should open after the failure threshold and half-open after the reset timeout', () => {
+            const breaker = new CircuitBreaker('http://a', { failureThreshold: 2, resetTimeoutMs: 1000 });
+
+            breaker.recordFailure(new Error('down'), 0);
+            expect(breaker.canRequest(0)).toBe(true);
+            breaker.recordFailure(new Error('down'), 10);
+            expect(breaker.state).toBe('open');
+            expect(breaker.canRequest(500)).toBe(false);
+
+            expect(breaker.canRequest(1010)).toBe(true);
+            expect(breaker.state).toBe('half_open');
+        });
+
+        test('should reopen on a failed trial and close on a successful one', () => {
+            const breaker = new CircuitBreaker('http://a', { failureThreshold: 1, resetTimeoutMs: 1000 });
+
+            breaker.recordFailure(new Error('down'), 0);
+            breaker.canRequest(1000);
+            breaker.recordFailure(new Error('still down'), 1000);
+            expect(breaker.state).toBe('open');
+            expect(breaker.getStatus().lastError).toBe('still down');
+
+            breaker.canRequest(2000);
+            breaker.recordSuccess(2000);
+            expect(breaker.getStatus()).toEqual(expect.objectContaining({ state: 'closed', failures: 0 }));
+        });
+    });
+});
@@ -58,4 +58,333 @@ describe('LLMService', () => {
             await expect(llmService.shutdown()).resolves.not.toThrow();
         });
     });
-});
\ No newline at end of file
+
+    describe('Provider Selection', () => {
+        beforeEach(async () => {
+            await llmService.loadConfiguration();
+            llmService.llmConfig = {
+                resolveModelChain: jest.fn(),
+                getProviderConfig: jest.fn()
+            };
+        });
+
+        test('should use the default provider when the model config names none', async () => {
+            llmService.llmConfig.resolveModelChain.mockResolvedValue([{ provider: 'default', model: 'local-model', temperature: 0.5 }]);
+
+            const { provider, request } = await llmService.prepareRequest('Hello', null, { userId: 1, characterId: 2 });
+
+            expect(provider.name).toBe('default');
+            expect(provider.type).toBe(llmService.config.serverType);
+            expect(request).toEqual(expect.objectContaining({ model: 'local-model', temperature: 0.5 }));
+            expect(llmService.llmConfig.getProviderConfig).not.toHaveBeenCalled();
+        });
+
+        test('should use the named provider from the resolved model config', async () => {
+            llmService.llmConfig.resolveModelChain.mockResolvedValue([{ model: 'claude-model', provider: 'claude' }]);
+            llmService.llmConfig.getProviderConfig.mockResolvedValue({ type: 'anthropic', endpoint: 'http://localhost:9999' });
+
+            const { provider, request } = await llmService.prepareRequest('Hello', null, { userId: 1, characterId: 2, role: 'analytical' });
+
+            expect(llmService.llmConfig.resolveModelChain).toHaveBeenCalledWith(1, 2, 'analytical');
+            expect(llmService.llmConfig.getProviderConfig).toHaveBeenCalledWith('claude');
+            expect(provider.name).toBe('claude');
+            expect(provider.getRequestUrl()).toBe('http://localhost:9999/v1/messages');
+            expect(request.model).toBe('claude-model');
+        });
+
+        test('should build one candidate per chain entry and skip unknown providers', async () => {
+            llmService.llmConfig.resolveModelChain.mockResolvedValue([
+                { provider: 'default', model: 'primary-model' },
+                { provider: 'missing', model: 'lost-model' },
+                { provider: 'local', model: 'backup-model', max_tokens: 512 }
+            ]);
+            llmService.llmConfig.getProviderConfig.mockImplementation(async name => {
+                if (name === 'local') return { type: 'ollama', endpoint: 'http://localhost:11434' };
+                throw new Error(`Unknown LLM provider: ${name}`);
+            });
+
+            const { candidates } = await llmService.prepareRequest('Hello', null, { userId: 1 });
+
+            expect(candidates.map(c => `${c.provider.name}/${c.request.model}`)).toEqual(['default/primary-model', 'local/backup-model']);
+            expect(candidates[1].request.maxTokens).toBe(512);
+        });
+
+        test('should pass stop sequences to every candidate request', async () => {
+            llmService.llmConfig.resolveModelChain.mockResolvedValue([
+                { provider: 'default', model: 'primary-model' },
+                { provider: 'default', model: 'backup-model' }
+            ]);
+
+            const { candidates } = await llmService.prepareRequest('Hello', null, { userId: 1, stop: ['\nSam:', ''] });
+            const plain = await llmService.prepareRequest('Hello', null, { userId: 1 });
+
+            expect(candidates.map(c => c.request.stop)).toEqual([['\nSam:'], ['\nSam:']]);
+            expect(plain.request).not.toHaveProperty('stop');
+        });
+    });
+
+    describe('Conversation Messages', () => {
+        const history = [
+            { role: 'user', content: 'Hi' },
+            { role: 'assistant', content: 'Hello!' },
+            { role: 'user', content: 'Bram: Welcome back.' },
+            { role: 'assistant', content: 'x'.repeat(2500) },
+            { role: 'user', content: 'Bram: Long story.' },
+            { role: 'assistant', content: 'Indeed.' }
+        ];
+
+        test('should send only the last short context messages by default', async () => {
+            const messages = await llmService.buildConversationMessages('How are you?', history, { systemPrompt: 'You are Aria' });
+
+            expect(messages.map(m => m.content)).toEqual(['You are Aria', 'Hello!', 'Bram: Welcome back.', 'Bram: Long story.', 'Indeed.', 'How are you?']);
+        });
+
+        test('should send fitted context in full and merge consecutive turns on request', async () => {
+            const fitted = await llmService.buildConversationMessages('How are you?', history.slice(0, 3), {
+                systemPrompt: 'You are Aria',
+                contextFitted: true
+            });
+            const merged = await llmService.buildConversationMessages('How are you?', history.slice(0, 3), {
+                systemPrompt: 'You are Aria',
+                contextFitted: true,
+                mergeConsecutiveTurns: true
+            });
+            const long = await llmService.buildConversationMessages('Go on', history, { contextFitted: true });
+
+            expect(fitted.map(m => m.role)).toEqual(['system', 'user', 'assistant', 'user', 'user']);
+            expect(merged).toEqual([
+                { role: 'system', content: 'You are Aria' },
+                { role: 'user', content: 'Hi' },
+                { role: 'assistant', content: 'Hello!' },
+                { role: 'user', content: 'Bram: Welcome back.\n\nHow are you?' }
+            ]);
+            expect(long).toHaveLength(history.length + 1);
+        });
+    });
+
+    describe('Failover', () => {
+        const candidate = (name, endpoint, model) => ({
+            provider: { name, endpoint },
+            request: { model, messages: [] }
+        });
+
+        beforeEach(() => {
+            jest.spyOn(llmService, 'sleep').mockResolvedValue();
+            llmService.retryPolicy = { maxRetries: 2, baseDelayMs: 10, maxDelayMs: 100 };
+            llmService.circuitBreakerConfig = { failureThreshold: 3, resetTimeoutMs: 60000 };
+        });
+
+        test('should retry transient errors with backoff before succeeding', async () => {
+            const attempt = jest.fn()
+                .mockRejectedValueOnce(Object.assign(new Error('LLM request failed: 503'), { status: 503 }))
+                .mockResolvedValueOnce({ content: 'Hi' });
+
+            const result = await llmService.executeWithFailover([candidate('default', 'http://a', 'm1')], attempt);
+
+            expect(result).toEqual(expect.objectContaining({ content: 'Hi', provider: 'default', model: 'm1', attempts: 2, failover: false }));
+            expect(llmService.sleep).toHaveBeenCalledTimes(1);
+        });
+
+        test('should fail over to the next backend and report it', async () => {
+            const attempt = jest.fn(async (provider) => {
+                if (provider.name === 'primary') {
+                    throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+                }
+                return { content: 'From backup' };
+            });
+
+            const result = await llmService.executeWithFailover([
+                candidate('primary', 'http://a', 'm1'),
+                candidate('backup', 'http://b', 'm2')
+            ], attempt);
+
+            expect(result.provider).toBe('backup');
+            expect(result.model).toBe('m2');
+            expect(result.failover).toBe(true);
+            expect(result.attempts).toBe(4);
+            expect(result.failedBackends).toEqual([expect.objectContaining({ provider: 'primary', model: 'm1' })]);
+        });
+
+        test('should not retry requests the backend rejected', async () => {
+            const attempt = jest.fn()
+                .mockRejectedValueOnce(Object.assign(new Error('LLM request failed: 404'), { status: 404 }))
+                .mockResolvedValueOnce({ content: 'Backup' });
+
+            const result = await llmService.executeWithFailover([
+                candidate('primary', 'http://a', 'missing-model'),
+                candidate('backup', 'http://b', 'm2')
+            ], attempt);
+
+            expect(result.attempts).toBe(2);
+            expect(llmService.sleep).not.toHaveBeenCalled();
+            expect(llmService.getCircuit({ name: 'primary', endpoint: 'http://a' }).failures).toBe(0);
+        });
+
+        test('should open the circuit and skip the endpoint on later requests', async () => {
+            const down = jest.fn().mockRejectedValue(new Error('socket hang up'));
+            await expect(llmService.executeWithFailover([candidate('primary', 'http://a', 'm1')], down))
+                .rejects.toThrow('All LLM backends failed');
+            expect(down).toHaveBeenCalledTimes(3);
+
+            const attempt = jest.fn().mockResolvedValue({ content: 'Backup' });
+            const result = await llmService.executeWithFailover([
+                candidate('primary', 'http://a', 'm1'),
+                candidate('backup', 'http://b', 'm2')
+            ], attempt);
+
+            expect(attempt).toHaveBeenCalledTimes(1);
+            expect(result.provider).toBe('backup');
+            expect(llmService.getCircuitStatus()).toEqual(expect.arrayContaining([
+                expect.objectContaining({ provider: 'primary', state: 'open' })
+            ]));
+        });
+
+        test('should stop retrying once streamed chunks have been sent', async () => {
+            const attempt = jest.fn().mockRejectedValue(new Error('stream interrupted'));
+
+            await expect(llmService.executeWithFailover([
+                candidate('primary', 'http://a', 'm1'),
+                candidate('backup', 'http://b', 'm2')
+            ], attempt, () => false)).rejects.toThrow('stream interrupted');
+            expect(attempt).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Tool Calling', () => {
+        const tools = [{ type: 'function', function: { name: 'get_datetime', description: 'Get the current date and time.', parameters: { type: 'object', properties: {} } } }];
+        const candidate = (provider = { name: 'default', endpoint: 'http://a' }) => ({
+            provider,
+            request: { model: 'm1', messages: [{ role: 'system', content: 'You are Aria' }, { role: 'user', content: 'What time is it?' }] }
+        });
+
+        beforeEach(() => {
+            jest.spyOn(llmService, 'sleep').mockResolvedValue();
+        });
+
+        test('should execute native tool calls and return the final answer', async () => {
+            const executeTool = jest.fn().mockResolvedValue({ time: '10:00' });
+            const attempt = jest.fn()
+                .mockResolvedValueOnce({ content: '', toolCalls: [{ id: 'call_1', name: 'get_datetime', arguments: {} }] })
+                .mockResolvedValueOnce({ content: 'It is 10:00.' });
+
+            const loop = await llmService.runToolLoop([candidate()], { tools, executeTool }, attempt);
+
+            expect(loop.done).toBe(true);
+            expect(loop.result.content).toBe('It is 10:00.');
+            expect(loop.result.toolCalls).toEqual([{ name: 'get_datetime', arguments: {}, result: { time: '10:00' } }]);
+            expect(attempt.mock.calls[0][1].tools).toBe(tools);
+            expect(attempt.mock.calls[1][1].messages.slice(-2)).toEqual([
+                { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'get_datetime', arguments: {} }] },
+                { role: 'tool', toolCallId: 'call_1', name: 'get_datetime', content: '{"time":"10:00"}' }
+            ]);
+        });
+
+        test('should fall back to the text protocol when the server rejects tools', async () => {
+            const executeTool = jest.fn().mockResolvedValue({ time: '10:00' });
+            const attempt = jest.fn()
+                .mockRejectedValueOnce(Object.assign(new Error('LLM request failed: 400'), { status: 400 }))
+                .mockResolvedValueOnce({ content: '<tool_call>{"name": "get_datetime", "arguments": {}}</tool_call>' })
+                .mockResolvedValueOnce({ content: 'It is 10:00.' });
+
+            const loop = await llmService.runToolLoop([candidate()], { tools, executeTool }, attempt);
+
+            expect(loop.result.toolMode).toBe('text');
+            expect(loop.result.content).toBe('It is 10:00.');
+            expect(executeTool).toHaveBeenCalledWith(expect.objectContaining({ name: 'get_datetime' }));
+            const textRequest = attempt.mock.calls[1][1];
+            expect(textRequest.tools).toBeUndefined();
+            expect(textRequest.messages[0].content).toContain('<tool_call>');
+            expect(attempt.mock.calls[2][1].messages.at(-1).content).toBe('<tool_result name="get_datetime">{"time":"10:00"}</tool_result>');
+        });
+
+        test('should request the answer without tools after the last round', async () => {
+            const executeTool = jest.fn().mockResolvedValue({ time: '10:00' });
+            const attempt = jest.fn().mockResolvedValue({ content: '', toolCalls: [{ id: 'call_1', name: 'get_datetime', arguments: {} }] });
+
+            const loop = await llmService.runToolLoop([candidate()], { tools, executeTool }, attempt, 2);
+
+            expect(loop.done).toBe(false);
+            expect(attempt).toHaveBeenCalledTimes(2);
+            expect(loop.toolCalls).toHaveLength(2);
+            expect(loop.candidates[0].request.toolChoice).toBe('none');
+        });
+
+        test('should run one tool round before streaming the answer', async () => {
+            const provider = {
+                name: 'default',
+                endpoint: 'http://a',
+                complete: jest.fn().mockResolvedValue({ content: '', toolCalls: [{ id: 'call_1', name: 'get_datetime', arguments: {} }] }),
+                stream: jest.fn(async (request, onChunk) => {
+                    onChunk('It is 10:00.', 'It is 10:00.');
+                    return { content: 'It is 10:00.' };
+                })
+            };
+            jest.spyOn(llmService, 'prepareRequest').mockResolvedValue({ candidates: [candidate(provider)] });
+            const executeTool = jest.fn().mockResolvedValue({ time: '10:00' });
+            const onChunk = jest.fn();
+
+            const result = await llmService.generateStreamingResponse('What time is it?', [], { tools, executeTool }, onChunk);
+
+            expect(provider.complete).toHaveBeenCalledTimes(1);
+            expect(provider.stream.mock.calls[0][0].toolChoice).toBe('none');
+            expect(onChunk).toHaveBeenCalledWith('It is 10:00.', 'It is 10:00.');
+            expect(result.content).toBe('It is 10:00.');
+            expect(result.toolCalls).toEqual([{ name: 'get_datetime', arguments: {}, result: { time: '10:00' } }]);
+        });
+    });
+
+    describe('Cancellation', () => {
+        const candidate = (name, endpoint, provider) => ({
+            provider: { name, endpoint, ...provider },
+            request: { model: 'm1', messages: [{ role: 'user', content: 'Tell me a story' }] }
+        });
+
+        beforeEach(() => {
+            jest.spyOn(llmService, 'sleep').mockResolvedValue();
+        });
+
+        test('should pass the signal to the provider and return the partial reply', async () => {
+            const controller = new AbortController();
+            const primary = candidate('primary', 'http://a', {
+                stream: jest.fn(async (request, onChunk, signal) => {
+                    onChunk('Once upon', 'Once upon');
+                    controller.abort();
+                    return { content: 'Once upon', aborted: signal.aborted };
+                })
+            });
+            jest.spyOn(llmService, 'prepareRequest').mockResolvedValue({ candidates: [primary] });
+
+            const result = await llmService.generateStreamingResponse('Tell me a story', [], { signal: controller.signal }, jest.fn());
+
+            expect(primary.provider.stream.mock.calls[0][2]).toBe(controller.signal);
+            expect(result).toEqual(expect.objectContaining({ content: 'Once upon', aborted: true, provider: 'primary' }));
+        });
+
+        test('should not retry or fail over once the request was aborted', async () => {
+            const controller = new AbortController();
+            const abortError = Object.assign(new Error('This operation was aborted'), { name: 'AbortError' });
+            const primary = candidate('primary', 'http://a', {
+                complete: jest.fn(async () => {
+                    controller.abort();
+                    throw abortError;
+                }),
+                stream: jest.fn()
+            });
+            const backup = candidate('backup', 'http://b', { complete: jest.fn(), stream: jest.fn() });
+            jest.spyOn(llmService, 'prepareRequest').mockResolvedValue({ candidates: [primary, backup] });
+            const tools = [{ type: 'function', function: { name: 'get_datetime', parameters: { type: 'object', properties: {} } } }];
+
+            const result = await llmService.generateStreamingResponse('What time is it?', [], {
+                tools,
+                executeTool: jest.fn(),
+                signal: controller.signal
+            }, jest.fn());
+
+            expect(result).toEqual(expect.objectContaining({ content: '', aborted: true }));
+            expect(primary.provider.complete).toHaveBeenCalledTimes(1);
+            expect(backup.provider.complete).not.toHaveBeenCalled();
+            expect(primary.provider.stream).not.toHaveBeenCalled();
+            expect(llmService.sleep).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,249 @@
+/**
+ * Unit Tests for LorebookService
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test keyword, regex and secondary-key triggers
+ * - Test scan depth, token limits and per-book token budgets
+ * - Test SillyTavern world-info and character_book import mapping
+ * - Test validation and ownership errors
+ * - Mock DAL dependencies
+ */
+
+const LorebookService = require('../../backend/services/domain/LorebookService');
+
+describe('LorebookService', () => {
+    let lorebookService;
+    let mockDeps;
+    let mockDAL;
+
+    const entry = (overrides = {}) => ({
+        id: 'entry-1',
+        lorebook_id: 'book-1',
+        name: '',
+        keys: ['harbor'],
+        secondary_keys: [],
+        selective_logic: 'and_any',
+        content: 'The harbor closes at dusk.',
+        priority: 100,
+        position: 'after_character',
+        token_limit: null,
+        constant: false,
+        case_sensitive: false,
+        enabled: true,
+        scan_depth: 4,
+        token_budget: 500,
+        ...overrides
+    });
+
+    beforeEach(() => {
+        mockDeps = createMockDependencies();
+        mockDAL = {
+            lorebooks: {
+                getUserLorebooks: jest.fn().mockResolvedValue([]),
+                getLorebook: jest.fn(async (id, userId) => (id === 'book-1' && userId === 'user-1'
+                    ? { id: 'book-1', user_id: 'user-1', name: 'World' } : null)),
+                createLorebook: jest.fn(async data => ({ ...data, id: 'book-new' })),
+                updateLorebook: jest.fn().mockResolvedValue({ updated: true }),
+                deleteLorebook: jest.fn().mockResolvedValue({ deleted: true }),
+                getEntries: jest.fn().mockResolvedValue([]),
+                getEntry: jest.fn(),
+                createEntry: jest.fn(async (lorebookId, data) => ({ ...data, id: 'entry-new', lorebook_id: lorebookId })),
+                updateEntry: jest.fn().mockResolvedValue({ updated: true }),
+                deleteEntry: jest.fn().mockResolvedValue({ deleted: true }),
+                getActiveEntries: jest.fn().mockResolvedValue([])
+            },
+            personalities: {
+                getCharacter: jest.fn(async (id, userId) => (id === 'char-1' && userId === 'user-1' ? { id } : null))
+            }
+        };
+        mockDeps.database = { getDAL: jest.fn().mockReturnValue(mockDAL) };
+
+        lorebookService = new LorebookService(mockDeps);
+    });
+
+    describe('Architecture Compliance', () => {
+        test('should extend AbstractService', () => {
+            expect(lorebookService.constructor.name).toBe('LorebookService');
+            expect(lorebookService.name).toBe('LorebookService');
+            expect(lorebookService.dal).toBe(mockDAL);
+        });
+    });
+
+    describe('Key Matching', () => {
+        test('should match whole words case-insensitively', () => {
+            expect(lorebookService.matchesKey('harbor', 'We met at the Harbor.')).toBe(true);
+            expect(lorebookService.matchesKey('harbor', 'The harbormaster waved.')).toBe(false);
+            expect(lorebookService.matchesKey('Old Town', 'Walking through old town now')).toBe(true);
+            expect(lorebookService.matchesKey('Café', 'see you at the café!')).toBe(true);
+            expect(lorebookService.matchesKey('Harbor', 'the harbor', true)).toBe(false);
+        });
+
+        test('should treat /pattern/flags keys as regular expressions', () => {
+            expect(lorebookService.matchesKey('/dragon(s|kin)?/i', 'The DRAGONKIN arrived')).toBe(true);
+            expect(lorebookService.matchesKey('/^exact$/', 'not exact')).toBe(false);
+            expect(lorebookService.matchesKey('/harbor/g', 'harbor')).toBe(true);
+            expect(lorebookService.matchesKey('/(unclosed/', 'unclosed')).toBe(false);
+        });
+
+        test('should not run stored regex keys that could backtrack without end', () => {
+            const start = Date.now();
+
+            expect(lorebookService.matchesKey('/^(a+)+$/', `${'a'.repeat(40)}!`)).toBe(false);
+            expect(lorebookService.matchesKey('/^(a|a)+$/', `${'a'.repeat(40)}!`)).toBe(false);
+            expect(Date.now() - start).toBeLessThan(1000);
+        });
+
+        test('should combine secondary keys with the selective logic', () => {
+            const text = 'The guild of thieves met in the harbor';
+            const check = (selective_logic, secondary_keys) =>
+                lorebookService.matchesEntry(entry({ selective_logic, secondary_keys }), text);
+
+            expect(check('and_any', ['guild', 'castle'])).toBe(true);
+            expect(check('and_all', ['guild', 'castle'])).toBe(false);
+            expect(check('not_any', ['castle', 'king'])).toBe(true);
+            expect(check('not_any', ['guild'])).toBe(false);
+            expect(check('not_all', ['guild', 'castle'])).toBe(true);
+            expect(check('not_all', ['guild', 'thieves'])).toBe(false);
+        });
+    });
+
+    describe('Triggered Entries', () => {
+        test('should scan each book only to its scan depth and add the pending message', async () => {
+            mockDAL.lorebooks.getActiveEntries.mockResolvedValue([
+                entry({ id: 'deep', keys: ['harbor'], scan_depth: 3 }),
+                entry({ id: 'shallow', lorebook_id: 'book-2', keys: ['harbor'], scan_depth: 1 }),
+                entry({ id: 'latest', keys: ['lighthouse'], scan_depth: 1 }),
+                entry({ id: 'always', keys: [], constant: true, position: 'before_character' })
+            ]);
+            const messages = [
+                { role: 'user', content: 'Tell me about the harbor' },
+                { role: 'assistant', content: 'It is old.' }
+            ];
+
+            const result = await lorebookService.findTriggeredEntries('user-1', 'char-1', messages, 'And the lighthouse?');
+
+            expect(result.map(item => item.id)).toEqual(['deep', 'latest', 'always']);
+            expect(result[2]).toMatchObject({ position: 'before_character', content: 'The harbor closes at dusk.' });
+            expect(mockDAL.lorebooks.getActiveEntries).toHaveBeenCalledWith('user-1', 'char-1');
+        });
+
+        test('should shorten entries to their token limit and keep each book within its budget', async () => {
+            const long = 'word '.repeat(200).trim();
+            mockDAL.lorebooks.getActiveEntries.mockResolvedValue([
+                entry({ id: 'limited', content: long, token_limit: 20, token_budget: 60, priority: 300 }),
+                entry({ id: 'too-big', content: long, token_budget: 60, priority: 200 }),
+                entry({ id: 'fits', content: 'Small fact.', token_budget: 60, priority: 100 })
+            ]);
+
+            const result = await lorebookService.findTriggeredEntries('user-1', 'char-1', [{ content: 'harbor' }]);
+
+            expect(result.map(item => item.id)).toEqual(['limited', 'fits']);
+            expect(result[0].content.length).toBeLessThan(long.length);
+        });
+
+        test('should return nothing without active entries', async () => {
+            expect(await lorebookService.findTriggeredEntries('user-1', 'char-1', [{ content: 'harbor' }])).toEqual([]);
+        });
+    });
+
+    describe('World Info Import', () => {
+        test('should map SillyTavern world info entries', () => {
+            const parsed = lorebookService.parseWorldInfo({
+                name: 'Port City',
+                entries: {
+                    0: { uid: 0, key: ['harbor', 'docks'], keysecondary: ['night'], selective: true, selectiveLogic: 3, content: 'Closed at night.', order: 50, position: 0, comment: 'Harbor', caseSensitive: true },
+                    1: { uid: 1, key: [], constant: true, content: 'Always foggy.', position: 4, disable: true },
+                    2: { uid: 2, key: ['nothing'], content: '' }
+                }
+            });
+
+            expect(parsed).toMatchObject({ source: 'sillytavern', name: 'Port City' });
+            expect(parsed.entries).toEqual([
+                expect.objectContaining({
+                    name: 'Harbor', keys: ['harbor', 'docks'], secondary_keys: ['night'], selective_logic: 'and_all',
+                    priority: 50, position: 'before_character', case_sensitive: true, enabled: true
+                }),
+                expect.objectContaining({ constant: true, position: 'before_messages', enabled: false, priority: 100 })
+            ]);
+            expect(parsed.warnings).toHaveLength(2);
+        });
+
+        test('should map character_book entries and reject other JSON', () => {
+            const parsed = lorebookService.parseWorldInfo({
+                entries: [{ keys: ['sword'], secondary_keys: ['broken'], selective: false, content: 'An heirloom.', insertion_order: 7, position: 'after_char', enabled: true, name: 'Sword' }]
+            });
+
+            expect(parsed).toMatchObject({ source: 'character_book', name: 'Imported lorebook', warnings: [] });
+            expect(parsed.entries[0]).toMatchObject({ name: 'Sword', keys: ['sword'], secondary_keys: [], priority: 7, position: 'after_character' });
+            expect(() => lorebookService.parseWorldInfo([])).toThrow('World info must be a JSON object with entries');
+        });
+
+        test('should create the imported book with its entries', async () => {
+            const result = await lorebookService.importWorldInfo('user-1', {
+                name: 'Port City',
+                entries: { 0: { key: ['harbor'], content: 'Busy.' } }
+            }, { characterId: 'char-1' });
+
+            expect(mockDAL.lorebooks.createLorebook).toHaveBeenCalledWith(expect.objectContaining({
+                user_id: 'user-1', name: 'Port City', personality_id: 'char-1', source: 'sillytavern'
+            }));
+            expect(mockDAL.lorebooks.createEntry).toHaveBeenCalledWith('book-new', expect.objectContaining({ keys: ['harbor'], content: 'Busy.' }));
+            expect(result.warnings).toEqual([]);
+        });
+    });
+
+    describe('Validation', () => {
+        test('should reject invalid entries', () => {
+            expect(() => lorebookService.normalizeEntry({ keys: ['a'] })).toThrow('content is required');
+            expect(() => lorebookService.normalizeEntry({ content: 'x', keys: [] })).toThrow('keys must list at least one trigger');
+            expect(() => lorebookService.normalizeEntry({ content: 'x', keys: 'a' })).toThrow('keys must be an array of strings');
+            expect(() => lorebookService.normalizeEntry({ content: 'x', keys: ['a'], position: 'middle' })).toThrow('position must be one of');
+            expect(() => lorebookService.normalizeEntry({ content: 'x', keys: ['a'], token_limit: 0 })).toThrow('token_limit must be a positive integer');
+            expect(lorebookService.normalizeEntry({ content: ' x ', constant: 1 })).toEqual({ content: 'x', constant: true });
+            expect(lorebookService.normalizeEntry({ priority: 3 }, true)).toEqual({ priority: 3 });
+        });
+
+        test.each([
+            ['/(a+)+$/', '/(a+)+$/'],
+            ['/^(\\w*\\s?)*$/i', '/^(\\w*\\s?)*$/i'],
+            ['/(?:ab|c+){2,}/', '/(?:ab|c+){2,}/'],
+            ['/((x+)y)*/', '/((x+)y)*/'],
+            ['/(a|a)+$/', '/(a|a)+$/'],
+            ['/(a|ab)*c/', '/(a|ab)*c/'],
+            ['/((a|b))+/', '/((a|b))+/'],
+            ['a pattern over the length limit', `/${'a'.repeat(LorebookService.MAX_REGEX_KEY_LENGTH + 1)}/`]
+        ])('should reject the unsafe regex key %s', (label, key) => {
+            expect(() => lorebookService.normalizeEntry({ content: 'x', keys: ['harbor', key] })).toThrow(/^keys regex /);
+            expect(() => lorebookService.normalizeEntry({ content: 'x', keys: ['harbor'], secondary_keys: [key] }))
+                .toThrow(expect.objectContaining({ statusCode: 400 }));
+        });
+
+        test.each([
+            '/dragon(s|kin)?/i',
+            '/(a+|b)c/',
+            '/[(a+)+]+/',
+            '/\\(a+\\)+/',
+            '/(ab){2}/',
+            '/(north|south) gate/',
+            '/a|b+/',
+            '(a+)+'
+        ])('should accept the regex or plain key %s', (key) => {
+            expect(lorebookService.normalizeEntry({ content: 'x', keys: [key] }).keys).toEqual([key]);
+        });
+
+        test('should reject foreign lorebooks and characters', async () => {
+            await expect(lorebookService.getLorebook('book-1', 'user-2')).rejects.toMatchObject({ statusCode: 404 });
+            await expect(lorebookService.createLorebook('user-1', { name: 'World', characterId: 'char-9' }))
+                .rejects.toMatchObject({ statusCode: 404 });
+            await expect(lorebookService.createLorebook('user-1', { name: ' ' })).rejects.toMatchObject({ statusCode: 400 });
+            expect(mockDAL.lorebooks.createLorebook).not.toHaveBeenCalled();
+        });
+
+        test('should report missing entries as not found', async () => {
+            mockDAL.lorebooks.updateEntry.mockResolvedValue({ updated: false });
+
+            await expect(lorebookService.updateEntry('book-1', 'entry-9', 'user-1', { priority: 1 }))
+                .rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+});
@@ -7,10 +7,13 @@
  * - Test significant memory queries
  * - Test LLM-based relevance filtering
  * - Test deep search execution flow
+ * - Test embedding-based semantic ranking with a deterministic fake embedder
+ * - Test cross-chat memory scopes
  * - Mock external dependencies for isolated testing
  */
 
 const MemorySearchService = require('../../backend/services/domain/CORE_MemorySearchService');
+const EmbeddingService = require('../../backend/services/intelligence/EmbeddingService');
 
 describe('MemorySearchService', () => {
     let memorySearchService;
@@ -30,7 +33,8 @@ describe('MemorySearchService', () => {
         // Mock database service with DAL
         mockDAL = {
             memories: {
-                getSignificantMemories: jest.fn()
+                getSignificantMemories: jest.fn(),
+                getScopedSignificantMemories: jest.fn()
             },
             conversations: {
                 getMessagesByIds: jest.fn()
@@ -575,6 +579,177 @@ describe('MemorySearchService', () => {
         });
     });
 
+    describe('Memory Scope', () => {
+        test('should search only the current chat by default', async () => {
+            mockDAL.memories.getSignificantMemories.mockResolvedValue([]);
+
+            await memorySearchService.searchSignificantMemories('chat-1', [], 7);
+
+            expect(mockDAL.memories.getSignificantMemories).toHaveBeenCalledWith('chat-1', [], 7);
+            expect(mockDAL.memories.getScopedSignificantMemories).not.toHaveBeenCalled();
+        });
+
+        test('should search all chats with the character for character scope', async () => {
+            mockDAL.memories.getScopedSignificantMemories.mockResolvedValue([]);
+
+            await memorySearchService.searchSignificantMemories('chat-1', ['m1'], 7, {
+                memoryScope: 'character', userId: 'user-1', characterId: 'char-1'
+            });
+
+            expect(mockDAL.memories.getScopedSignificantMemories).toHaveBeenCalledWith(
+                'character', { userId: 'user-1', characterId: 'char-1' }, ['m1'], 7
+            );
+        });
+
+        test('should fall back to the current chat when the user is unknown', async () => {
+            mockDAL.memories.getSignificantMemories.mockResolvedValue([]);
+
+            await memorySearchService.searchSignificantMemories('chat-1', [], 7, { memoryScope: 'user' });
+
+            expect(mockDAL.memories.getSignificantMemories).toHaveBeenCalledWith('chat-1', [], 7);
+            expect(mockDAL.memories.getScopedSignificantMemories).not.toHaveBeenCalled();
+        });
+
+        test('should pass the character scope through deep search with the requesting user', async () => {
+            mockDAL.conversations.getMessagesByIds.mockResolvedValue([]);
+            mockDAL.memories.getScopedSignificantMemories.mockResolvedValue([]);
+            mockDeps.structuredResponse.generateStructuredResponse.mockResolvedValueOnce({
+                needs_search: true, search_query: 'old trip', reasoning: 'past reference'
+            });
+
+            await memorySearchService.executeDeepSearch('chat-2', 'Remember our trip?', [], 7, 'user-1', {
+                memoryScope: 'character', characterId: 'char-1'
+            });
+
+            expect(mockDAL.memories.getScopedSignificantMemories).toHaveBeenCalledWith(
+                'character', { userId: 'user-1', characterId: 'char-1' }, [], 7
+            );
+        });
+    });
+
+    describe('Semantic Ranking', () => {
+        let semanticSearch;
+        let storedVectors;
+
+        beforeEach(async () => {
+            storedVectors = new Map();
+            mockDAL.memoryEmbeddings = {
+                getEmbeddingsForMessages: jest.fn(async (ids) => new Map(
+                    ids.filter(id => storedVectors.has(id)).map(id => [id, storedVectors.get(id)])
+                )),
+                saveEmbedding: jest.fn(async ({ messageId, embedding }) => {
+                    storedVectors.set(messageId, embedding);
+                }),
+                getMessagesWithoutEmbeddings: jest.fn().mockResolvedValue([])
+            };
+
+            const embedding = new EmbeddingService({
+                ...createMockDependencies(),
+                llmConfig: {
+                    resolveEmbeddingConfig: jest.fn().mockResolvedValue({ provider: 'fake', model: 'fake-embed' })
+                }
+            });
+            await embedding.initialize();
+
+            semanticSearch = new MemorySearchService({ ...mockDeps, embedding });
+            await semanticSearch.initialize();
+        });
+
+        test('should rank memories by similarity to the search query', async () => {
+            const memories = [
+                { id: 'w1', message_id: 'm1', chat_id: 'c1', content: 'We talked about pizza toppings', total_significance: 30 },
+                { id: 'w2', message_id: 'm2', chat_id: 'c1', content: 'My knee injury from soccer still hurts', total_significance: 20 },
+                { id: 'w3', message_id: 'm3', chat_id: 'c1', content: 'Weather looks sunny tomorrow', total_significance: 25 }
+            ];
+
+            const ranked = await semanticSearch.rankBySimilarity(memories, 'knee injury soccer', 'user-1');
+
+            expect(ranked[0].message_id).toBe('m2');
+            expect(ranked[0].similarity).toBeGreaterThan(ranked[1].similarity);
+            expect(ranked[0].relevance_score).toBeDefined();
+        });
+
+        test('should embed and store unindexed candidates on the fly', async () => {
+            const memories = [
+                { id: 'w1', message_id: 'm1', session_id: 'c1', user_id: 'user-1', content: 'First memory', total_significance: 20 }
+            ];
+
+            await semanticSearch.rankBySimilarity(memories, 'memory', 'user-1');
+
+            expect(mockDAL.memoryEmbeddings.saveEmbedding).toHaveBeenCalledWith(expect.objectContaining({
+                messageId: 'm1',
+                chatId: 'c1',
+                userId: 'user-1',
+                model: 'fake-embed'
+            }));
+        });
+
+        test('should blend significance into the score', async () => {
+            const memories = [
+                { id: 'w1', message_id: 'm1', chat_id: 'c1', content: 'identical text', total_significance: 4 },
+                { id: 'w2', message_id: 'm2', chat_id: 'c1', content: 'identical text', total_significance: 40 }
+            ];
+
+            const ranked = await semanticSearch.rankBySimilarity(memories, 'identical text', 'user-1');
+
+            expect(ranked[0].message_id).toBe('m2');
+        });
+
+        test('should only send the top-k candidates to the LLM rerank', async () => {
+            semanticSearch.semanticTopK = 3;
+            const candidates = Array.from({ length: 8 }, (_, i) => ({
+                id: `w${i}`,
+                message_id: `m${i}`,
+                chat_id: 'c1',
+                content: i === 5 ? 'User has ACL injury' : `Unrelated topic number ${i}`,
+                total_significance: 20
+            }));
+
+            mockDAL.conversations.getMessagesByIds.mockResolvedValue([]);
+            mockDAL.memories.getSignificantMemories.mockResolvedValue(candidates);
+            mockDeps.structuredResponse.generateStructuredResponse
+                .mockResolvedValueOnce({ needs_search: true, search_query: 'ACL injury', reasoning: 'past injury' })
+                .mockResolvedValueOnce({ relevant_indices: [1], reasoning: 'injury' });
+
+            const result = await semanticSearch.executeDeepSearch('c1', 'Remember my ACL injury?', [], 7, 'user-1');
+
+            const rerankPrompt = mockDeps.structuredResponse.generateStructuredResponse.mock.calls[1][0];
+            expect(rerankPrompt).toContain('Candidate memories (3 total)');
+            expect(result[0].content).toBe('User has ACL injury');
+        });
+
+        test('should fall back to all candidates when embedding fails', async () => {
+            semanticSearch.embedding.embedTexts = jest.fn().mockRejectedValue(new Error('server down'));
+            const candidates = [{ id: 'w1', message_id: 'm1', chat_id: 'c1', content: 'Memory' }];
+
+            const result = await semanticSearch.selectSemanticCandidates(candidates, 'query', 'user-1');
+
+            expect(result).toBe(candidates);
+            expect(mockDeps.logger.warn).toHaveBeenCalled();
+        });
+
+        test('should backfill messages in batches until none remain', async () => {
+            mockDAL.memoryEmbeddings.getMessagesWithoutEmbeddings
+                .mockResolvedValueOnce([
+                    { id: 'm1', chat_id: 'c1', user_id: 'user-1', content: 'hello there' },
+                    { id: 'm2', chat_id: 'c1', user_id: 'user-1', content: 'general kenobi' }
+                ])
+                .mockResolvedValueOnce([{ id: 'm3', chat_id: 'c2', user_id: 'user-1', content: 'another chat' }])
+                .mockResolvedValueOnce([]);
+
+            const result = await semanticSearch.backfillEmbeddings({ userId: 'user-1', batchSize: 2 });
+
+            expect(result).toEqual({ model: 'fake-embed', indexed: 3, batches: 2 });
+            expect(storedVectors.size).toBe(3);
+        });
+
+        test('should skip indexing when no embedding service is configured', async () => {
+            const indexed = await memorySearchService.indexChatMessages('c1', 'user-1');
+
+            expect(indexed).toBe(0);
+        });
+    });
+
     describe('Edge Cases', () => {
         test('should handle no significant memories above threshold', async () => {
             const chatId = 100;
@@ -21,6 +21,7 @@ describe('MessageDeliveryService', () => {
         
         // Create mock DAL
         mockDAL = {
+            query: jest.fn().mockResolvedValue([]),
             execute: jest.fn().mockResolvedValue({ lastID: 1, changes: 1 })
         };
         
@@ -29,13 +30,6 @@ describe('MessageDeliveryService', () => {
             getDAL: jest.fn().mockReturnValue(mockDAL)
         };
 
-        // Add LLM service mock
-        mockDeps.llm = {
-            generateResponse: jest.fn().mockResolvedValue({
-                content: 'Generated proactive message'
-            })
-        };
-
         // Create mock WebSocket
         mockWebSocket = {
             send: jest.fn(),
@@ -78,7 +72,6 @@ describe('MessageDeliveryService', () => {
             const deliveryMethods = [
                 'registerConnection',
                 'unregisterConnection',
-                'deliverScheduledMessage',
                 'deliverMessageToUser',
                 'isUserConnected',
                 'getConnectionCount'
@@ -94,7 +87,7 @@ describe('MessageDeliveryService', () => {
             await messageDeliveryService.registerConnection('user-123', mockWebSocket);
             
             expect(messageDeliveryService.connections.has('user-123')).toBe(true);
-            expect(messageDeliveryService.connections.get('user-123')).toBe(mockWebSocket);
+            expect(messageDeliveryService.connections.get('user-123').has(mockWebSocket)).toBe(true);
             expect(mockDeps.logger.info).toHaveBeenCalledWith(
                 'User connection registered',
                 'MessageDeliveryService',
@@ -108,19 +101,40 @@ describe('MessageDeliveryService', () => {
             expect(mockWebSocket.on).toHaveBeenCalledWith('close', expect.any(Function));
         });
 
-        test('should replace existing connection for same user', async () => {
-            const oldWebSocket = {
+        test('should keep every connection of the same user', async () => {
+            const otherWebSocket = {
                 send: jest.fn(),
                 readyState: 1,
                 close: jest.fn(),
                 on: jest.fn()
             };
             
-            await messageDeliveryService.registerConnection('user-123', oldWebSocket);
+            await messageDeliveryService.registerConnection('user-123', otherWebSocket);
             await messageDeliveryService.registerConnection('user-123', mockWebSocket);
             
-            expect(oldWebSocket.close).toHaveBeenCalled();
-            expect(messageDeliveryService.connections.get('user-123')).toBe(mockWebSocket);
+            expect(otherWebSocket.close).not.toHaveBeenCalled();
+            expect(messageDeliveryService.connections.get('user-123').size).toBe(2);
+            expect(await messageDeliveryService.getConnectionCount()).toBe(2);
+        });
+
+        test('should only drop the connection that closed', async () => {
+            const otherWebSocket = {
+                send: jest.fn(),
+                readyState: 1,
+                close: jest.fn(),
+                on: jest.fn()
+            };
+            
+            await messageDeliveryService.registerConnection('user-123', otherWebSocket);
+            await messageDeliveryService.registerConnection('user-123', mockWebSocket);
+            
+            // Fire the close handler registered for the first connection
+            const onClose = otherWebSocket.on.mock.calls.find(([event]) => event === 'close')[1];
+            onClose();
+            
+            expect(messageDeliveryService.connections.get('user-123').has(otherWebSocket)).toBe(false);
+            expect(messageDeliveryService.connections.get('user-123').has(mockWebSocket)).toBe(true);
+            expect(await messageDeliveryService.isUserConnected('user-123')).toBe(true);
         });
 
         test('should unregister user connection', async () => {
@@ -182,6 +196,79 @@ describe('MessageDeliveryService', () => {
             );
         });
 
+        test('should deliver message to every open connection of the user', async () => {
+            const otherWebSocket = {
+                send: jest.fn(),
+                readyState: 1,
+                close: jest.fn(),
+                on: jest.fn()
+            };
+            const closedWebSocket = { ...otherWebSocket, send: jest.fn(), readyState: 3 };
+            
+            await messageDeliveryService.registerConnection('user-123', mockWebSocket);
+            await messageDeliveryService.registerConnection('user-123', otherWebSocket);
+            await messageDeliveryService.registerConnection('user-123', closedWebSocket);
+            
+            const result = await messageDeliveryService.deliverMessageToUser('user-123', {
+                id: 'msg-1',
+                type: 'proactive',
+                content: 'Test message'
+            });
+            
+            expect(result).toBe(true);
+            expect(mockWebSocket.send).toHaveBeenCalledTimes(1);
+            expect(otherWebSocket.send).toHaveBeenCalledTimes(1);
+            expect(closedWebSocket.send).not.toHaveBeenCalled();
+        });
+
+        test('should log delivered messages for replay', async () => {
+            await messageDeliveryService.registerConnection('user-123', mockWebSocket);
+            
+            await messageDeliveryService.deliverMessageToUser('user-123', {
+                id: 'msg-1',
+                type: 'proactive',
+                content: 'Test message'
+            });
+            
+            expect(mockDAL.execute).toHaveBeenCalledWith(
+                expect.stringContaining('INSERT INTO message_delivery_log'),
+                ['msg-1', 'user-123', 'proactive', JSON.stringify({ id: 'msg-1', type: 'proactive', content: 'Test message' }), 1, expect.any(String)]
+            );
+        });
+
+        test('should log messages for offline users with a generated id', async () => {
+            const result = await messageDeliveryService.deliverMessageToUser('user-123', {
+                type: 'event',
+                title: 'Check-in'
+            });
+            
+            expect(result).toBe(false);
+            const [sql, params] = mockDAL.execute.mock.calls[0];
+            expect(sql).toContain('INSERT INTO message_delivery_log');
+            expect(params[0]).toEqual(expect.any(String));
+            expect(params.slice(1, 3)).toEqual(['user-123', 'event']);
+            expect(JSON.parse(params[3])).toEqual({ type: 'event', title: 'Check-in', id: params[0] });
+            expect(params[4]).toBe(0);
+        });
+
+        test('should still deliver when the delivery log fails', async () => {
+            mockDAL.execute.mockRejectedValue(new Error('Database error'));
+            await messageDeliveryService.registerConnection('user-123', mockWebSocket);
+            
+            const result = await messageDeliveryService.deliverMessageToUser('user-123', {
+                id: 'msg-1',
+                type: 'proactive',
+                content: 'Test'
+            });
+            
+            expect(result).toBe(true);
+            expect(mockDeps.logger.error).toHaveBeenCalledWith(
+                'Failed to log delivered message',
+                'MessageDeliveryService',
+                expect.objectContaining({ error: 'Database error' })
+            );
+        });
+
         test('should fail to deliver to disconnected user', async () => {
             const result = await messageDeliveryService.deliverMessageToUser('user-123', {
                 type: 'proactive',
@@ -208,100 +295,131 @@ describe('MessageDeliveryService', () => {
             
             expect(result).toBe(false);
         });
+    });
 
-        test('should deliver scheduled message to online user', async () => {
-            await messageDeliveryService.registerConnection('user-123', mockWebSocket);
-            
-            const engagement = {
-                id: 'engagement-1',
-                user_id: 'user-123',
-                session_id: 'session-1',
-                engagement_content: 'Proactive message content',
-                trigger_context: 'Test context'
-            };
-            
-            jest.spyOn(messageDeliveryService, 'saveProactiveMessage').mockResolvedValue('msg-1');
+    describe('Replay', () => {
+        test('should replay messages logged after the last seen message', async () => {
+            mockDAL.query.mockResolvedValue([
+                { id: 'msg-2', payload: JSON.stringify({ id: 'msg-2', type: 'proactive', content: 'While you were away' }) },
+                { id: 'msg-3', payload: JSON.stringify({ id: 'msg-3', type: 'event', title: 'Check-in' }) }
+            ]);
             
-            const result = await messageDeliveryService.deliverScheduledMessage(engagement);
+            const count = await messageDeliveryService.replayMissedMessages('user-123', 'msg-1', mockWebSocket);
             
-            expect(result.delivered).toBe(true);
-            expect(result.messageId).toBe('msg-1');
-            expect(mockWebSocket.send).toHaveBeenCalled();
+            expect(count).toBe(2);
+            expect(mockDAL.query).toHaveBeenCalledWith(
+                expect.stringContaining('FROM message_delivery_log'),
+                ['user-123', 'msg-1', 'user-123', MessageDeliveryService.REPLAY_LIMIT]
+            );
+            const sent = mockWebSocket.send.mock.calls.map(([data]) => JSON.parse(data));
+            expect(sent).toEqual([
+                { id: 'msg-2', type: 'proactive', content: 'While you were away', replayed: true },
+                { id: 'msg-3', type: 'event', title: 'Check-in', replayed: true },
+                { type: 'replay_complete', count: 2, lastMessageId: 'msg-3' }
+            ]);
+            expect(mockDAL.execute).toHaveBeenCalledWith(
+                expect.stringContaining('SET delivered = 1'),
+                ['msg-2', 'msg-3']
+            );
         });
 
-        test('should save proactive message to database', async () => {
-            await messageDeliveryService.registerConnection('user-123', mockWebSocket);
+        test('should report an empty replay when nothing was missed', async () => {
+            const count = await messageDeliveryService.replayMissedMessages('user-123', 'msg-1', mockWebSocket);
             
-            const engagement = {
-                id: 'engagement-1',
-                user_id: 'user-123',
-                session_id: 'session-1',
-                chat_id: 'chat-1',
-                engagement_content: 'Test message'
-            };
-            
-            await messageDeliveryService.saveProactiveMessage(engagement, 'Test message');
+            expect(count).toBe(0);
+            expect(mockDAL.execute).not.toHaveBeenCalled();
+            expect(JSON.parse(mockWebSocket.send.mock.calls[0][0])).toEqual({
+                type: 'replay_complete',
+                count: 0,
+                lastMessageId: 'msg-1'
+            });
+        });
+
+        test('should prune the delivery log on initialization', async () => {
+            await messageDeliveryService.onInitialize();
             
             expect(mockDAL.execute).toHaveBeenCalledWith(
-                expect.stringContaining('INSERT INTO conversation_logs'),
-                expect.arrayContaining([
-                    expect.any(String), // messageId
-                    'user-123',
-                    'chat-1',
-                    'session-1',
-                    'Test message',
-                    'assistant',
-                    1, // is_proactive
-                    'engagement-1'
-                ])
+                expect.stringContaining('DELETE FROM message_delivery_log'),
+                [`-${MessageDeliveryService.REPLAY_RETENTION_DAYS} days`]
             );
         });
     });
 
-    describe('Offline Handling', () => {
-        test('should return not delivered when user is offline', async () => {
-            const engagement = {
-                id: 'engagement-1',
-                user_id: 'offline-user',
-                session_id: 'session-1',
-                engagement_content: 'Test message'
+    describe('Push Fallback', () => {
+        let pushNotification;
+        const message = { id: 'msg-1', type: 'proactive', chatId: 'chat-1', content: 'Thinking of you' };
+
+        beforeEach(() => {
+            pushNotification = {
+                notifyMessage: jest.fn().mockResolvedValue({ sent: 1, failed: 0, removed: 0 })
             };
-            
-            const result = await messageDeliveryService.deliverScheduledMessage(engagement);
-            
-            expect(result.delivered).toBe(false);
-            expect(result.reason).toBe('user_offline');
-            expect(mockDeps.logger.info).toHaveBeenCalledWith(
-                'User offline, message will remain pending',
-                'MessageDeliveryService',
-                expect.objectContaining({ userId: 'offline-user' })
+            messageDeliveryService = new MessageDeliveryService({ ...mockDeps, pushNotification });
+        });
+
+        test('should send a proactive message as a push notification when the user has no open connection', async () => {
+            const result = await messageDeliveryService.deliverMessageToUser('user-1', message);
+
+            expect(result).toBe(true);
+            expect(pushNotification.notifyMessage).toHaveBeenCalledWith('user-1', message);
+            // Still logged as undelivered so the app replays it on the next connect
+            expect(mockDAL.execute).toHaveBeenCalledWith(
+                expect.stringContaining('INSERT INTO message_delivery_log'),
+                ['msg-1', 'user-1', 'proactive', JSON.stringify(message), 0, expect.any(String)]
             );
         });
 
-        test('should not save message to database when user offline', async () => {
-            const engagement = {
-                id: 'engagement-1',
-                user_id: 'offline-user',
-                session_id: 'session-1',
-                engagement_content: 'Test message'
-            };
-            
-            await messageDeliveryService.deliverScheduledMessage(engagement);
-            
-            expect(mockDAL.execute).not.toHaveBeenCalled();
+        test('should not push while a connection is open', async () => {
+            await messageDeliveryService.registerConnection('user-1', mockWebSocket);
+
+            const result = await messageDeliveryService.deliverMessageToUser('user-1', message);
+
+            expect(result).toBe(true);
+            expect(mockWebSocket.send).toHaveBeenCalled();
+            expect(pushNotification.notifyMessage).not.toHaveBeenCalled();
         });
 
-        test('should not send WebSocket message when user offline', async () => {
-            const engagement = {
-                id: 'engagement-1',
-                user_id: 'offline-user',
-                session_id: 'session-1',
-                engagement_content: 'Test message'
-            };
-            
-            await messageDeliveryService.deliverScheduledMessage(engagement);
-            
-            expect(mockWebSocket.send).not.toHaveBeenCalled();
+        test('should push when the only connection is closing', async () => {
+            await messageDeliveryService.registerConnection('user-1', { ...mockWebSocket, readyState: 2 });
+
+            await messageDeliveryService.deliverMessageToUser('user-1', message);
+
+            expect(pushNotification.notifyMessage).toHaveBeenCalledTimes(1);
+        });
+
+        test('should not push while the user listens on an event stream', async () => {
+            const unregister = messageDeliveryService.registerListener('user-1');
+
+            expect(await messageDeliveryService.deliverMessageToUser('user-1', message)).toBe(true);
+            expect(pushNotification.notifyMessage).not.toHaveBeenCalled();
+
+            unregister();
+            await messageDeliveryService.deliverMessageToUser('user-1', message);
+
+            expect(pushNotification.notifyMessage).toHaveBeenCalledTimes(1);
+        });
+
+        test('should not push other message types', async () => {
+            const result = await messageDeliveryService.deliverMessageToUser('user-1', { type: 'event', title: 'Dentist' });
+
+            expect(result).toBe(false);
+            expect(pushNotification.notifyMessage).not.toHaveBeenCalled();
+        });
+
+        test('should report not delivered when no subscription accepted the push', async () => {
+            pushNotification.notifyMessage.mockResolvedValue({ sent: 0, failed: 0, removed: 1 });
+
+            expect(await messageDeliveryService.deliverMessageToUser('user-1', message)).toBe(false);
+        });
+
+        test('should not throw when push fails', async () => {
+            pushNotification.notifyMessage.mockRejectedValue(new Error('push service down'));
+
+            expect(await messageDeliveryService.deliverMessageToUser('user-1', message)).toBe(false);
+            expect(mockDeps.logger.error).toHaveBeenCalledWith(
+                'Failed to send push notification',
+                'MessageDeliveryService',
+                expect.objectContaining({ userId: 'user-1', error: 'push service down' })
+            );
         });
     });
 
@@ -356,44 +474,6 @@ describe('MessageDeliveryService', () => {
             // Restore
             messageDeliveryService.connections.has = originalHas;
         });
-
-        test('should handle database error when saving message', async () => {
-            mockDAL.execute.mockRejectedValue(new Error('Database error'));
-            
-            const engagement = {
-                id: 'engagement-1',
-                user_id: 'user-123',
-                session_id: 'session-1',
-                engagement_content: 'Test'
-            };
-            
-            await expect(
-                messageDeliveryService.saveProactiveMessage(engagement, 'Test message')
-            ).rejects.toThrow();
-        });
-
-        test('should use fallback if LLM generation fails', async () => {
-            await messageDeliveryService.registerConnection('user-123', mockWebSocket);
-            
-            mockDeps.llm.generateResponse.mockRejectedValue(new Error('LLM error'));
-            
-            const engagement = {
-                id: 'engagement-1',
-                user_id: 'user-123',
-                session_id: 'session-1',
-                trigger_context: 'Fallback message'
-            };
-            
-            jest.spyOn(messageDeliveryService, 'saveProactiveMessage').mockResolvedValue('msg-1');
-            
-            await messageDeliveryService.deliverScheduledMessage(engagement);
-            
-            expect(mockDeps.logger.error).toHaveBeenCalledWith(
-                'Error generating proactive message',
-                'MessageDeliveryService',
-                expect.objectContaining({ error: 'LLM error' })
-            );
-        });
     });
 
     describe('Connection Status', () => {
@@ -420,6 +500,18 @@ describe('MessageDeliveryService', () => {
             expect(isConnected).toBe(false);
         });
 
+        test('should report user as connected while an event stream is open', async () => {
+            const unregisterFirst = messageDeliveryService.registerListener('user-123');
+            const unregisterSecond = messageDeliveryService.registerListener('user-123');
+
+            unregisterFirst();
+            unregisterFirst();
+            expect(await messageDeliveryService.isUserConnected('user-123')).toBe(true);
+
+            unregisterSecond();
+            expect(await messageDeliveryService.isUserConnected('user-123')).toBe(false);
+        });
+
         test('should get connection count', async () => {
             const ws1 = { ...mockWebSocket };
             const ws2 = { ...mockWebSocket };
@@ -458,13 +550,14 @@ describe('MessageDeliveryService', () => {
 
         test('should provide connection statistics', () => {
             messageDeliveryService.initialized = true;
-            messageDeliveryService.connections.set('user-1', mockWebSocket);
-            messageDeliveryService.connections.set('user-2', mockWebSocket);
+            messageDeliveryService.connections.set('user-1', new Set([mockWebSocket, { ...mockWebSocket }]));
+            messageDeliveryService.connections.set('user-2', new Set([mockWebSocket]));
             
             const stats = messageDeliveryService.getConnectionStats();
             
             expect(stats).toEqual({
-                totalConnections: 2,
+                totalConnections: 3,
+                connectedUsers: 2,
                 initialized: true
             });
         });
@@ -320,4 +320,34 @@ describe('ProactiveIntelligenceService', () => {
             expect(result.confidence).toBeLessThanOrEqual(1.0);
         });
     });
+    describe('Event Detection', () => {
+        beforeEach(async () => {
+            await proactiveService.initialize();
+        });
+
+        const detection = event => ({ has_event: true, confidence: 0.9, event: { title: 'Standup', starts_at: '2026-10-19T07:00:00', reminder_preference: 'at_event', ...event } });
+
+        test('should keep a valid recurrence rule and derive the recurrence type from it', () => {
+            const result = proactiveService.validateEventDetection(detection({
+                recurrence_type: 'daily',
+                rrule: 'RRULE:freq=weekly;byday=mo,tu,we,th,fr;byhour=7;byminute=0',
+                exdates: ['2026-10-21T07:00:00', 'not a date']
+            }));
+
+            expect(result.event).toMatchObject({
+                recurrence_type: 'weekly',
+                rrule: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;BYHOUR=7;BYMINUTE=0',
+                exdates: ['2026-10-21T07:00:00']
+            });
+        });
+
+        test('should drop an invalid recurrence rule', () => {
+            const result = proactiveService.validateEventDetection(detection({
+                recurrence_type: 'weekly',
+                rrule: 'FREQ=WEEKLY;BYDAY=1TU'
+            }));
+
+            expect(result.event).toMatchObject({ recurrence_type: 'weekly', rrule: null, exdates: [] });
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,213 @@
+/**
+ * Unit Tests for ProactivePolicyService
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test quiet hours on the user's clock, including windows spanning midnight and DST
+ * - Test do-not-disturb, the per-character daily cap and the cool-down after an ignored message
+ * - Test that a held-back message gets the start of the next allowed window
+ * - Test settings validation and logging suppressions
+ */
+
+const ProactivePolicyService = require('../../backend/services/domain/ProactivePolicyService');
+const ProactiveSettingsRepository = require('../../backend/dal/repositories/ProactiveSettingsRepository');
+
+describe('ProactivePolicyService', () => {
+    let service;
+    let mockDeps;
+    let mockDAL;
+    let settings;
+
+    const evaluate = at => service.evaluate({ userId: 'user-1', personalityId: 'char-1', at: new Date(at) });
+
+    beforeEach(() => {
+        mockDeps = createMockDependencies();
+        settings = { user_id: 'user-1', ...ProactiveSettingsRepository.DEFAULTS, daily_cap: 0, cooldown_minutes: 0 };
+
+        mockDAL = {
+            users: {
+                getTimeSettings: jest.fn().mockResolvedValue({ timezone: 'Europe/Berlin', locale: 'de-DE' })
+            },
+            proactiveSettings: {
+                getSettings: jest.fn(async () => settings),
+                saveSettings: jest.fn(async (userId, columns) => ({ ...settings, ...columns })),
+                countProactiveMessages: jest.fn().mockResolvedValue(0),
+                getLastProactiveMessage: jest.fn().mockResolvedValue(null),
+                recordSuppression: jest.fn().mockResolvedValue('history-1'),
+                getSuppressions: jest.fn().mockResolvedValue([])
+            },
+            proactiveJobs: {
+                releaseDeferred: jest.fn().mockResolvedValue(2)
+            }
+        };
+        mockDeps.database = { getDAL: jest.fn().mockReturnValue(mockDAL) };
+
+        service = new ProactivePolicyService(mockDeps);
+    });
+
+    describe('Quiet Hours', () => {
+        beforeEach(() => {
+            settings.quiet_hours_enabled = 1;
+        });
+
+        test('should allow messages outside quiet hours', async () => {
+            expect(await evaluate('2026-10-18T10:00:00Z')).toEqual({ allowed: true });
+        });
+
+        test('should move a message to the end of a window spanning midnight', async () => {
+            const evening = await evaluate('2026-10-18T21:00:00Z'); // 23:00 in Berlin
+            const night = await evaluate('2026-10-18T23:30:00Z');   // 01:30 in Berlin
+
+            expect(evening).toEqual({ allowed: false, reason: 'quiet_hours', deferUntil: new Date('2026-10-19T06:00:00Z') });
+            expect(night.deferUntil).toEqual(new Date('2026-10-19T06:00:00Z'));
+        });
+
+        test('should end quiet hours at local time across a DST change', async () => {
+            const result = await evaluate('2026-10-24T21:00:00Z'); // 23:00 CEST; 08:00 is CET
+
+            expect(result.deferUntil).toEqual(new Date('2026-10-25T07:00:00Z'));
+        });
+
+        test('should handle a window within one day', async () => {
+            Object.assign(settings, { quiet_hours_start: '13:00', quiet_hours_end: '15:00' });
+
+            expect(await evaluate('2026-10-18T11:30:00Z')).toMatchObject({ reason: 'quiet_hours', deferUntil: new Date('2026-10-18T13:00:00Z') });
+            expect(await evaluate('2026-10-18T13:00:00Z')).toEqual({ allowed: true });
+        });
+    });
+
+    describe('Do Not Disturb', () => {
+        test('should hold messages until dnd_until', async () => {
+            Object.assign(settings, { dnd_enabled: 1, dnd_until: '2026-10-18T16:00:00.000Z' });
+
+            expect(await evaluate('2026-10-18T10:00:00Z')).toMatchObject({ reason: 'dnd', deferUntil: new Date('2026-10-18T16:00:00Z') });
+            expect(await evaluate('2026-10-18T16:00:00Z')).toEqual({ allowed: true });
+        });
+
+        test('should check an open-ended do-not-disturb again a day later', async () => {
+            settings.dnd_enabled = 1;
+
+            const result = await evaluate('2026-10-18T10:00:00Z');
+
+            expect(result.reason).toBe('dnd');
+            expect(result.deferUntil.getTime() - new Date('2026-10-18T10:00:00Z').getTime()).toBeGreaterThanOrEqual(ProactivePolicyService.DND_RECHECK_MS);
+        });
+    });
+
+    describe('Rate Limits', () => {
+        test('should move a message past the daily cap to the next local day', async () => {
+            settings.daily_cap = 3;
+            mockDAL.proactiveSettings.countProactiveMessages.mockResolvedValueOnce(3).mockResolvedValue(0);
+
+            const result = await evaluate('2026-10-18T10:00:00Z');
+
+            expect(result).toEqual({ allowed: false, reason: 'daily_cap', deferUntil: new Date('2026-10-18T22:00:00Z') });
+            expect(mockDAL.proactiveSettings.countProactiveMessages).toHaveBeenCalledWith(
+                'user-1', 'char-1', new Date('2026-10-17T22:00:00Z'), new Date('2026-10-18T22:00:00Z')
+            );
+        });
+
+        test('should pause all characters after an unanswered message', async () => {
+            settings.cooldown_minutes = 120;
+            mockDAL.proactiveSettings.getLastProactiveMessage.mockResolvedValue({ sent_at: '2026-10-18T09:30:00Z', answered: false });
+
+            expect(await evaluate('2026-10-18T10:00:00Z')).toMatchObject({ reason: 'cooldown', deferUntil: new Date('2026-10-18T11:30:00Z') });
+        });
+
+        test('should not pause after an answered message', async () => {
+            settings.cooldown_minutes = 120;
+            mockDAL.proactiveSettings.getLastProactiveMessage.mockResolvedValue({ sent_at: '2026-10-18T09:30:00Z', answered: true });
+
+            expect(await evaluate('2026-10-18T10:00:00Z')).toEqual({ allowed: true });
+        });
+
+        test('should move a cool-down that ends in quiet hours to the end of quiet hours', async () => {
+            Object.assign(settings, { quiet_hours_enabled: 1, cooldown_minutes: 120 });
+            mockDAL.proactiveSettings.getLastProactiveMessage.mockResolvedValue({ sent_at: '2026-10-18T19:30:00Z', answered: false });
+
+            expect(await evaluate('2026-10-18T19:45:00Z')).toEqual({ // 21:45 in Berlin
+                allowed: false,
+                reason: 'cooldown',
+                deferUntil: new Date('2026-10-19T06:00:00Z')
+            });
+        });
+    });
+
+    describe('Settings', () => {
+        test('should return settings in the API shape', async () => {
+            expect(await service.getSettings('user-1')).toEqual({
+                quietHours: { enabled: false, start: '22:00', end: '08:00' },
+                doNotDisturb: { enabled: false, until: null },
+                dailyCap: 0,
+                cooldownMinutes: 0
+            });
+        });
+
+        test('should save changes and release deferred messages', async () => {
+            const result = await service.updateSettings('user-1', {
+                quietHours: { enabled: true, start: '23:00' },
+                doNotDisturb: { enabled: false },
+                dailyCap: 2
+            });
+
+            expect(mockDAL.proactiveSettings.saveSettings).toHaveBeenCalledWith('user-1', {
+                quiet_hours_enabled: 1,
+                quiet_hours_start: '23:00',
+                dnd_enabled: 0,
+                daily_cap: 2
+            });
+            expect(mockDAL.proactiveJobs.releaseDeferred).toHaveBeenCalledWith('user-1');
+            expect(result.quietHours).toEqual({ enabled: true, start: '23:00', end: '08:00' });
+        });
+
+        test.each([
+            [{ quietHours: { start: '25:00' } }, 'quietHours.start'],
+            [{ doNotDisturb: { until: 'soon' } }, 'doNotDisturb.until'],
+            [{ dailyCap: 51 }, 'dailyCap'],
+            [{ cooldownMinutes: -1 }, 'cooldownMinutes']
+        ])('should reject %j', async (data, field) => {
+            await expect(service.updateSettings('user-1', data)).rejects.toMatchObject({
+                statusCode: 400,
+                message: expect.stringContaining(field)
+            });
+            expect(mockDAL.proactiveSettings.saveSettings).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Suppression Log', () => {
+        test('should add the suppression to the engagement history', async () => {
+            await service.recordSuppression({
+                userId: 'user-1',
+                engagementId: 'engagement-1',
+                personalityId: 'char-1',
+                chatId: 'chat-1',
+                jobId: 'job-1',
+                reason: 'quiet_hours',
+                deferUntil: new Date('2026-10-19T06:00:00Z')
+            });
+
+            expect(mockDAL.proactiveSettings.recordSuppression).toHaveBeenCalledWith({
+                userId: 'user-1',
+                engagementId: 'engagement-1',
+                reason: 'quiet_hours',
+                details: {
+                    deferred_until: '2026-10-19T06:00:00.000Z',
+                    personality_id: 'char-1',
+                    chat_id: 'chat-1',
+                    job_id: 'job-1'
+                }
+            });
+        });
+
+        test('should not fail the deferral when the history cannot be written', async () => {
+            mockDAL.proactiveSettings.recordSuppression.mockRejectedValue(new Error('database locked'));
+
+            await expect(service.recordSuppression({
+                userId: 'user-1',
+                engagementId: 'engagement-1',
+                reason: 'dnd',
+                deferUntil: new Date()
+            })).resolves.toBeNull();
+            expect(mockDeps.logger.error).toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * Unit Tests for PromptAssembler
+ * 
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test token estimation
+ * - Test that prompts within budget are left untouched
+ * - Test trimming by priority (items, truncation, dropping)
+ * - Test that required sections survive any budget
+ * - Test laying sections out with a template
+ * - Test detached sections (budgeted, but returned as items)
+ */
+
+const PromptAssembler = require('../../backend/utils/prompt_assembler');
+
+describe('PromptAssembler', () => {
+    const longText = (words) => Array.from({ length: words }, (_, i) => `word${i}`).join(' ');
+
+    const buildSections = () => [
+        { name: 'identity', required: true, content: 'You are Aria, a friendly companion' },
+        { name: 'background', truncatable: true, content: `Background: ${longText(400)}` },
+        {
+            name: 'recent_messages',
+            items: ['m1', 'm2', 'm3', 'm4'],
+            trimFrom: 'start',
+            render: items => `RECENT:\n${items.join('\n')}`
+        },
+        { name: 'top_memories', items: ['first', 'second'], render: items => `TOP MEMORIES:\n${items.join('\n')}` },
+        { name: 'completions', content: 'RECENT COMPLETIONS:\n(No recent completions)' },
+        { name: 'closing', required: true, content: 'Stay in character as Aria.' }
+    ];
+
+    describe('Token Estimation', () => {
+        test('should estimate tokens from text length', () => {
+            expect(PromptAssembler.estimateTokens('')).toBe(0);
+            expect(PromptAssembler.estimateTokens(null)).toBe(0);
+            expect(PromptAssembler.estimateTokens('abcdefg')).toBe(2);
+        });
+    });
+
+    describe('Assembly', () => {
+        test('should keep every section in order when within budget', () => {
+            const { prompt, report } = PromptAssembler.assemble(buildSections(), { maxTokens: 100000 });
+
+            expect(prompt.startsWith('You are Aria')).toBe(true);
+            expect(prompt.endsWith('Stay in character as Aria.')).toBe(true);
+            expect(prompt.indexOf('RECENT:')).toBeLessThan(prompt.indexOf('TOP MEMORIES:'));
+            expect(report.dropped).toEqual([]);
+            expect(report.overBudget).toBe(false);
+        });
+
+        test('should skip empty sections', () => {
+            const { report } = PromptAssembler.assemble([
+                { name: 'identity', content: 'You are Aria' },
+                { name: 'user_profile', content: '' }
+            ]);
+
+            expect(report.sections).toEqual(['identity']);
+            expect(report.budgetTokens).toBeNull();
+        });
+
+        test('should trim the lowest priority sections first', () => {
+            const sections = buildSections();
+            const fullTokens = PromptAssembler.assemble(sections).report.estimatedTokens;
+
+            // Slightly over budget: only the least important section should go
+            const { prompt, report } = PromptAssembler.assemble(sections, { maxTokens: fullTokens - 5 });
+
+            expect(report.dropped).toEqual([expect.objectContaining({ section: 'completions', action: 'dropped' })]);
+            expect(prompt).not.toContain('RECENT COMPLETIONS');
+            expect(report.overBudget).toBe(false);
+        });
+
+        test('should remove list items before dropping a list section', () => {
+            const sections = [
+                { name: 'identity', required: true, content: 'You are Aria' },
+                {
+                    name: 'recent_messages',
+                    items: [longText(20), longText(20), 'newest message'],
+                    trimFrom: 'start',
+                    render: items => `RECENT:\n${items.join('\n')}`
+                }
+            ];
+            const fullTokens = PromptAssembler.assemble(sections).report.estimatedTokens;
+
+            const { prompt, report } = PromptAssembler.assemble(sections, { maxTokens: fullTokens - 10 });
+
+            expect(prompt).toContain('newest message');
+            expect(report.dropped[0]).toEqual(expect.objectContaining({
+                section: 'recent_messages',
+                action: 'trimmed',
+                itemsRemoved: 1,
+                itemsKept: 2
+            }));
+        });
+
+        test('should truncate long truncatable sections instead of dropping them', () => {
+            const { prompt, report } = PromptAssembler.assemble(buildSections(), {
+                maxTokens: 400,
+                priority: ['identity', 'closing', 'recent_messages', 'top_memories', 'completions', 'background']
+            });
+
+            const background = report.dropped.find(entry => entry.section === 'background');
+            expect(background.action).toBe('truncated');
+            expect(prompt).toContain('Background: word0');
+            expect(prompt).toContain('[…]');
+            expect(report.estimatedTokens).toBeLessThanOrEqual(400);
+            expect(prompt).toContain('TOP MEMORIES');
+        });
+
+        test('should count reserved text against the budget', () => {
+            const sections = buildSections();
+            const fullTokens = PromptAssembler.assemble(sections).report.estimatedTokens;
+
+            const { report } = PromptAssembler.assemble(sections, {
+                maxTokens: fullTokens,
+                reservedText: 'User: hello there, how are you doing today?'
+            });
+
+            expect(report.dropped.length).toBeGreaterThan(0);
+            expect(report.overBudget).toBe(false);
+        });
+
+        test('should never drop required sections', () => {
+            const { prompt, report } = PromptAssembler.assemble(buildSections(), { maxTokens: 5 });
+
+            expect(prompt).toContain('You are Aria');
+            expect(prompt).toContain('Stay in character as Aria.');
+            expect(report.sections).toEqual(['identity', 'closing']);
+            expect(report.overBudget).toBe(true);
+        });
+    });
+
+    describe('Detached Sections', () => {
+        test('should budget detached items without writing them into the prompt', () => {
+            const sections = buildSections()
+                .filter(section => ['identity', 'recent_messages', 'closing'].includes(section.name))
+                .map(section => (section.name === 'recent_messages' ? { ...section, detached: true } : section));
+
+            const full = PromptAssembler.assemble(sections, { template: '{{identity}}\n\n{{closing}}' });
+            const trimmed = PromptAssembler.assemble(sections, { maxTokens: 22 });
+
+            expect(full.prompt).toBe('You are Aria, a friendly companion\n\nStay in character as Aria.');
+            expect(full.detached).toEqual({ recent_messages: ['m1', 'm2', 'm3', 'm4'] });
+            expect(full.report.estimatedTokens).toBe(24);
+            expect(trimmed.prompt).toBe(full.prompt);
+            expect(trimmed.detached.recent_messages).toEqual(['m3', 'm4']);
+            expect(trimmed.report.estimatedTokens).toBe(22);
+        });
+    });
+
+    describe('Template Layout', () => {
+        test('should match the default layout when the template lists every section', () => {
+            const template = buildSections().map(section => `{{${section.name}}}`).join('\n\n');
+
+            const plain = PromptAssembler.assemble(buildSections());
+            const templated = PromptAssembler.assemble(buildSections(), { template });
+
+            expect(templated.prompt).toBe(plain.prompt);
+            expect(templated.report.estimatedTokens).toBe(plain.report.estimatedTokens);
+        });
+
+        test('should place sections where the template says and leave out unlisted ones', () => {
+            const { prompt, report } = PromptAssembler.assemble(buildSections(), {
+                template: 'Rules first:\n{{closing}}\n\n{{completions}}\n\n{{identity}}\n{{unknown}}'
+            });
+
+            expect(prompt).toBe('Rules first:\nStay in character as Aria.\n\nRECENT COMPLETIONS:\n(No recent completions)\n\nYou are Aria, a friendly companion\n{{unknown}}');
+            expect(report.sections).toEqual(['identity', 'completions', 'closing']);
+        });
+
+        test('should count template text against the budget', () => {
+            const sections = buildSections().filter(section => ['identity', 'top_memories', 'closing'].includes(section.name));
+            const template = 'Context for this reply follows.\n\n{{identity}}\n\n{{top_memories}}\n\n{{closing}}';
+
+            const plain = PromptAssembler.assemble(sections);
+            const templated = PromptAssembler.assemble(sections, { template });
+            const trimmed = PromptAssembler.assemble(sections, { template, maxTokens: plain.report.estimatedTokens });
+
+            expect(templated.report.estimatedTokens).toBe(
+                plain.report.estimatedTokens + PromptAssembler.estimateTokens('Context for this reply follows.')
+            );
+            expect(trimmed.report.dropped.map(entry => entry.section)).toEqual(['top_memories']);
+        });
+
+        test('should close the gap left by empty and dropped sections', () => {
+            const sections = [
+                { name: 'identity', required: true, content: 'You are Aria' },
+                { name: 'background', content: '' },
+                { name: 'closing', required: true, content: 'Stay in character.' }
+            ];
+
+            const { prompt } = PromptAssembler.assemble(sections, { template: '{{background}}\n\n{{identity}}\n\n{{background}}\n\n{{closing}}' });
+
+            expect(prompt).toBe('You are Aria\n\nStay in character.');
+        });
+    });
+});
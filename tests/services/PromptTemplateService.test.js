@@ -0,0 +1,174 @@
+/**
+ * Unit Tests for PromptTemplateService
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test the override cascade for conversational and analytical templates
+ * - Test placeholder validation, version restore and reset
+ * - Test the built-in fallback when an override cannot be loaded
+ * - Mock DAL dependencies
+ */
+
+const PromptTemplateService = require('../../backend/services/infrastructure/PromptTemplateService');
+const PromptTemplates = require('../../backend/utils/prompt_templates');
+
+describe('PromptTemplateService', () => {
+    let templateService;
+    let mockDeps;
+    let mockDAL;
+    let rows;
+
+    const keyOf = row => `${row.name}|${row.scope}|${row.user_id}|${row.personality_id}`;
+    const matches = (name, key) => row => keyOf(row) === keyOf({
+        name,
+        scope: key.scope,
+        user_id: key.userId || null,
+        personality_id: key.personalityId || null
+    });
+
+    beforeEach(() => {
+        rows = [];
+        mockDeps = createMockDependencies();
+        mockDAL = {
+            promptTemplates: {
+                getCurrent: jest.fn(async (name, key) => rows.filter(matches(name, key)).sort((a, b) => b.version - a.version)[0] || null),
+                getVersions: jest.fn(async (name, key) => rows.filter(matches(name, key)).sort((a, b) => b.version - a.version)),
+                getVersion: jest.fn(async (name, key, version) => rows.find(row => matches(name, key)(row) && row.version === version) || null),
+                createVersion: jest.fn(async (name, key, data) => {
+                    const row = {
+                        name,
+                        scope: key.scope,
+                        user_id: key.userId || null,
+                        personality_id: key.personalityId || null,
+                        version: rows.filter(matches(name, key)).length + 1,
+                        content: data.content,
+                        note: data.note
+                    };
+                    rows.push(row);
+                    return row;
+                }),
+                deleteOverride: jest.fn(async (name, key) => {
+                    const before = rows.length;
+                    rows = rows.filter(row => !matches(name, key)(row));
+                    return { deleted: before - rows.length };
+                }),
+                getCurrentOverrides: jest.fn().mockResolvedValue([])
+            },
+            personalities: {
+                getCharacter: jest.fn(async (id, userId) => (id === 'char-1' && userId === 'user-1' ? { id } : null))
+            }
+        };
+        mockDeps.database = { getDAL: jest.fn().mockReturnValue(mockDAL) };
+
+        templateService = new PromptTemplateService(mockDeps);
+    });
+
+    describe('Architecture Compliance', () => {
+        test('should extend AbstractService', () => {
+            expect(templateService.constructor.name).toBe('PromptTemplateService');
+            expect(templateService.name).toBe('PromptTemplateService');
+            expect(templateService.dal).toBe(mockDAL);
+        });
+    });
+
+    describe('Resolution', () => {
+        test('should use the built-in template when nothing overrides it', async () => {
+            const resolved = await templateService.resolveTemplate('chat_user_turn', { userId: 'user-1', characterId: 'char-1' });
+
+            expect(resolved).toEqual({
+                name: 'chat_user_turn',
+                content: PromptTemplates.getDefault('chat_user_turn').content,
+                scope: 'default',
+                version: 0
+            });
+        });
+
+        test('should prefer character over user over global for conversational templates', async () => {
+            await templateService.saveTemplate('chat_user_turn', 'user-1', { scope: 'global', content: 'G: {{message}}' });
+            await templateService.saveTemplate('chat_user_turn', 'user-1', { scope: 'user', content: 'U: {{message}}' });
+            await templateService.saveTemplate('chat_user_turn', 'user-1', { scope: 'character', characterId: 'char-1', content: 'C: {{message}}' });
+
+            const forCharacter = await templateService.resolveTemplate('chat_user_turn', { userId: 'user-1', characterId: 'char-1' });
+            const forUser = await templateService.resolveTemplate('chat_user_turn', { userId: 'user-1', characterId: 'char-2' });
+            const forOtherUser = await templateService.resolveTemplate('chat_user_turn', { userId: 'user-2' });
+
+            expect([forCharacter.scope, forCharacter.content]).toEqual(['character', 'C: {{message}}']);
+            expect([forUser.scope, forUser.content]).toEqual(['user', 'U: {{message}}']);
+            expect([forOtherUser.scope, forOtherUser.content]).toEqual(['global', 'G: {{message}}']);
+        });
+
+        test('should render values into the override and fall back to the built-in on lookup errors', async () => {
+            await templateService.saveTemplate('memory_search_intent', 'user-1', { scope: 'user', content: 'Find: {{message}}' });
+
+            expect(await templateService.render('memory_search_intent', { message: 'the trip' }, { userId: 'user-1' }))
+                .toBe('Find: the trip');
+
+            mockDAL.promptTemplates.getCurrent.mockRejectedValue(new Error('database is locked'));
+            const rendered = await templateService.render('memory_search_intent', { message: 'the trip', recent_context: '' }, { userId: 'user-1' });
+
+            expect(rendered).toBe(PromptTemplates.renderDefault('memory_search_intent', { message: 'the trip', recent_context: '' }));
+            expect(mockDeps.logger.warn).toHaveBeenCalled();
+        });
+    });
+
+    describe('Editing', () => {
+        test('should reject unknown placeholders and list the available ones', async () => {
+            await expect(templateService.saveTemplate('chat_user_turn', 'user-1', { scope: 'user', content: '{{message}} {{mood}}' }))
+                .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('{{mood}}') });
+            await expect(templateService.saveTemplate('chat_user_turn', 'user-1', { scope: 'user', content: '  ' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+            expect(mockDAL.promptTemplates.createVersion).not.toHaveBeenCalled();
+        });
+
+        test('should only allow character overrides of conversational templates on owned characters', async () => {
+            await expect(templateService.saveTemplate('memory_filter', 'user-1', { scope: 'character', characterId: 'char-1', content: '{{memories}}' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+            await expect(templateService.saveTemplate('chat_system', 'user-2', { scope: 'character', characterId: 'char-1', content: '{{identity}}' }))
+                .rejects.toMatchObject({ statusCode: 404 });
+            await expect(templateService.saveTemplate('chat_system', 'user-1', { scope: 'team', content: '{{identity}}' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+            await expect(templateService.saveTemplate('no_such_template', 'user-1', { scope: 'user', content: 'x' }))
+                .rejects.toMatchObject({ statusCode: 404 });
+        });
+
+        test('should restore an earlier version as a new version', async () => {
+            await templateService.saveTemplate('memory_filter', 'user-1', { scope: 'user', content: 'first {{memories}}' });
+            await templateService.saveTemplate('memory_filter', 'user-1', { scope: 'user', content: 'second {{memories}}' });
+
+            const restored = await templateService.restoreVersion('memory_filter', 'user-1', { scope: 'user', version: 1 });
+
+            expect(restored).toMatchObject({ version: 3, content: 'first {{memories}}', note: 'Restored version 1' });
+            await expect(templateService.restoreVersion('memory_filter', 'user-1', { scope: 'user', version: 9 }))
+                .rejects.toMatchObject({ statusCode: 404 });
+        });
+
+        test('should reset an override so the next scope applies again', async () => {
+            await templateService.saveTemplate('memory_filter', 'user-1', { scope: 'global', content: 'global {{memories}}' });
+            await templateService.saveTemplate('memory_filter', 'user-1', { scope: 'user', content: 'mine {{memories}}' });
+
+            await templateService.resetTemplate('memory_filter', 'user-1', { scope: 'user' });
+
+            expect((await templateService.resolveTemplate('memory_filter', { userId: 'user-1' })).scope).toBe('global');
+            await expect(templateService.resetTemplate('memory_filter', 'user-1', { scope: 'user' }))
+                .rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+
+    describe('Listing', () => {
+        test('should report the built-in text, overrides and active version of every template', async () => {
+            mockDAL.promptTemplates.getCurrentOverrides.mockResolvedValue([
+                { name: 'chat_user_turn', scope: 'global', version: 2, content: 'G: {{message}}', note: '' },
+                { name: 'chat_user_turn', scope: 'character', version: 1, content: 'C: {{message}}', note: '' }
+            ]);
+
+            const templates = await templateService.listTemplates('user-1', 'char-1');
+            const userTurn = templates.find(template => template.name === 'chat_user_turn');
+            const filter = templates.find(template => template.name === 'memory_filter');
+
+            expect(templates.map(template => template.name)).toEqual(Object.keys(PromptTemplates.DEFAULTS));
+            expect(userTurn.overrides.user).toBeNull();
+            expect(userTurn.active).toMatchObject({ scope: 'character', version: 1, content: 'C: {{message}}' });
+            expect(filter.active).toMatchObject({ scope: 'default', version: 0 });
+            expect(filter.variables).toContain('memories');
+        });
+    });
+});
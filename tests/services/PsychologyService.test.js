@@ -101,4 +101,50 @@ describe('PsychologyService', () => {
             expect(typeof result).toBe('number');
         });
     });
+
+    describe('Framework Versions', () => {
+        let psychologyDAL;
+
+        beforeEach(() => {
+            psychologyDAL = mockDeps.database.getDAL().psychology;
+            psychologyDAL.getFrameworkWithMetadata = jest.fn().mockResolvedValue({
+                personality_id: 'char-1',
+                framework_data: { core_emotional_range: ['calm'] },
+                analysis_version: 2
+            });
+            psychologyDAL.updatePsychologyFramework = jest.fn().mockResolvedValue([]);
+        });
+
+        test('should re-analyze a definition under the next analysis version', async () => {
+            jest.spyOn(psychologyService, 'analyzePersonalityFramework').mockResolvedValue({ core_emotional_range: ['bold'] });
+
+            const result = await psychologyService.reanalyzePersonalityFramework({ id: 'char-1', name: 'Aria', definition: 'Bold' });
+
+            expect(psychologyService.analyzePersonalityFramework).toHaveBeenCalledWith('Bold', 'Aria');
+            expect(psychologyDAL.updatePsychologyFramework).toHaveBeenCalledWith('char-1', { core_emotional_range: ['bold'] }, 3);
+            expect(result).toEqual({
+                framework: { core_emotional_range: ['bold'] },
+                analysisVersion: 3,
+                previousFramework: { core_emotional_range: ['calm'] },
+                previousVersion: 2
+            });
+        });
+
+        test('should restore an earlier framework under the next analysis version', async () => {
+            const result = await psychologyService.restorePersonalityFramework('char-1', { core_emotional_range: ['shy'] });
+
+            expect(psychologyDAL.updatePsychologyFramework).toHaveBeenCalledWith('char-1', { core_emotional_range: ['shy'] }, 3);
+            expect(result.analysisVersion).toBe(3);
+        });
+
+        test('should start at version 1 without a stored framework', async () => {
+            psychologyDAL.getFrameworkWithMetadata.mockResolvedValue(null);
+            jest.spyOn(psychologyService, 'analyzePersonalityFramework').mockResolvedValue({ core_emotional_range: ['bold'] });
+
+            const result = await psychologyService.reanalyzePersonalityFramework({ id: 'char-1', name: 'Aria', definition: 'Bold' });
+
+            expect(result).toMatchObject({ analysisVersion: 1, previousFramework: null, previousVersion: null });
+            expect(await psychologyService.getPersonalityFrameworkRecord('char-1')).toBeNull();
+        });
+    });
 });
\ No newline at end of file
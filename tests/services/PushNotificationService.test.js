@@ -0,0 +1,294 @@
+/**
+ * Unit Tests for PushNotificationService
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test VAPID keys come from the environment or are generated once and stored
+ * - Test subscription validation (https endpoints, owned by one user) and removal
+ * - Test notifications carry the character's name and avatar, sent to a local push endpoint stand-in
+ * - Test gone and failing subscriptions are removed
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const PushNotificationService = require('../../backend/services/infrastructure/PushNotificationService');
+const WebPush = require('../../backend/utils/web_push');
+
+// Decrypt a request body the way a browser does (RFC 8291)
+const decrypt = (body, { privateKey, auth }) => {
+    const salt = body.subarray(0, 16);
+    const serverPublicKey = body.subarray(21, 21 + body[20]);
+    const ciphertext = body.subarray(21 + body[20]);
+
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.setPrivateKey(Buffer.from(privateKey, 'base64url'));
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), serverPublicKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', ecdh.computeSecret(serverPublicKey), Buffer.from(auth, 'base64url'), keyInfo, 32));
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+    decipher.setAuthTag(ciphertext.subarray(-16));
+    const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+    return JSON.parse(padded.subarray(0, padded.lastIndexOf(2)).toString('utf8'));
+};
+
+describe('PushNotificationService', () => {
+    let service;
+    let mockDeps;
+    let mockDAL;
+    let server;
+    let baseUrl;
+    let requests;
+    let status;
+    let browser;
+
+    const subscriptionRow = (id, path = `/push/${id}`) => ({
+        id,
+        user_id: 'user-1',
+        endpoint: `${baseUrl}${path}`,
+        p256dh: browser.p256dh,
+        auth: browser.auth,
+        user_agent: 'Firefox',
+        created_at: '2026-10-18T10:00:00.000Z',
+        last_success_at: null
+    });
+
+    beforeAll(done => {
+        // Local stand-in for a browser's push service
+        server = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                requests.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+                res.writeHead(typeof status === 'function' ? status(req.url) : status);
+                res.end();
+            });
+        });
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.closeAllConnections();
+        server.close(done);
+    });
+
+    beforeEach(async () => {
+        requests = [];
+        status = 201;
+
+        const ecdh = crypto.createECDH('prime256v1');
+        ecdh.generateKeys();
+        browser = {
+            privateKey: ecdh.getPrivateKey().toString('base64url'),
+            p256dh: ecdh.getPublicKey().toString('base64url'),
+            auth: crypto.randomBytes(16).toString('base64url')
+        };
+
+        mockDeps = createMockDependencies();
+        mockDAL = {
+            queryOne: jest.fn().mockResolvedValue({ name: 'Mira', display: 'mira.png' }),
+            configuration: {
+                getConfigValue: jest.fn().mockResolvedValue(WebPush.generateVAPIDKeys()),
+                setConfigValue: jest.fn().mockResolvedValue(true)
+            },
+            pushSubscriptions: {
+                saveSubscription: jest.fn(async (userId, subscription, userAgent) => ({
+                    id: 'sub-1',
+                    user_id: userId,
+                    endpoint: subscription.endpoint,
+                    user_agent: userAgent,
+                    created_at: '2026-10-18T10:00:00.000Z'
+                })),
+                getUserSubscriptions: jest.fn(async () => [subscriptionRow('sub-1')]),
+                deleteSubscription: jest.fn().mockResolvedValue(true),
+                deleteById: jest.fn().mockResolvedValue(true),
+                markSuccess: jest.fn().mockResolvedValue(),
+                markFailure: jest.fn().mockResolvedValue(1)
+            }
+        };
+        mockDeps.database = { getDAL: jest.fn().mockReturnValue(mockDAL) };
+
+        service = new PushNotificationService(mockDeps);
+        await service.initialize();
+    });
+
+    describe('VAPID Keys', () => {
+        afterEach(() => {
+            delete process.env.VAPID_PUBLIC_KEY;
+            delete process.env.VAPID_PRIVATE_KEY;
+            delete process.env.VAPID_SUBJECT;
+        });
+
+        test('should generate and store keys on first start', async () => {
+            mockDAL.configuration.getConfigValue.mockResolvedValue(null);
+
+            const vapid = await service.loadVapidKeys();
+
+            expect(vapid.source).toBe('configuration');
+            expect(Buffer.from(vapid.publicKey, 'base64url')).toHaveLength(65);
+            expect(mockDAL.configuration.setConfigValue).toHaveBeenCalledWith(
+                'push.vapid_keys',
+                { publicKey: vapid.publicKey, privateKey: vapid.privateKey },
+                'json',
+                expect.any(String),
+                'push',
+                false
+            );
+        });
+
+        test('should reuse stored keys', async () => {
+            const stored = await mockDAL.configuration.getConfigValue();
+            mockDAL.configuration.getConfigValue.mockResolvedValue(stored);
+
+            expect(await service.loadVapidKeys()).toMatchObject({ publicKey: stored.publicKey, privateKey: stored.privateKey });
+            expect(mockDAL.configuration.setConfigValue).not.toHaveBeenCalled();
+        });
+
+        test('should prefer keys from the environment', async () => {
+            const keys = WebPush.generateVAPIDKeys();
+            Object.assign(process.env, {
+                VAPID_PUBLIC_KEY: keys.publicKey,
+                VAPID_PRIVATE_KEY: keys.privateKey,
+                VAPID_SUBJECT: 'mailto:ops@example.com'
+            });
+
+            const fresh = new PushNotificationService(mockDeps);
+            await fresh.initialize();
+
+            expect(fresh.getPublicKey()).toBe(keys.publicKey);
+            expect(fresh.vapid).toMatchObject({ subject: 'mailto:ops@example.com', source: 'environment' });
+        });
+    });
+
+    describe('Subscriptions', () => {
+        test('should save a valid subscription', async () => {
+            const subscription = { endpoint: 'https://push.example.com/abc', keys: { p256dh: browser.p256dh, auth: browser.auth } };
+
+            const result = await service.subscribe('user-1', subscription, 'Firefox');
+
+            expect(mockDAL.pushSubscriptions.saveSubscription).toHaveBeenCalledWith('user-1', subscription, 'Firefox');
+            expect(result).toEqual({
+                id: 'sub-1',
+                endpoint: 'https://push.example.com/abc',
+                userAgent: 'Firefox',
+                createdAt: '2026-10-18T10:00:00.000Z',
+                lastSuccessAt: null
+            });
+        });
+
+        test('should reject a subscription without keys', async () => {
+            await expect(service.subscribe('user-1', { endpoint: 'https://push.example.com/abc' })).rejects.toMatchObject({ statusCode: 400 });
+            expect(mockDAL.pushSubscriptions.saveSubscription).not.toHaveBeenCalled();
+        });
+
+        test('should reject a subscription without an https endpoint', async () => {
+            const subscription = { endpoint: `${baseUrl}/push/abc`, keys: { p256dh: browser.p256dh, auth: browser.auth } };
+
+            await expect(service.subscribe('user-1', subscription)).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('https') });
+            expect(mockDAL.pushSubscriptions.saveSubscription).not.toHaveBeenCalled();
+        });
+
+        test('should refuse an endpoint subscribed for another user', async () => {
+            mockDAL.pushSubscriptions.saveSubscription.mockResolvedValue(null);
+            const subscription = { endpoint: 'https://push.example.com/abc', keys: { p256dh: browser.p256dh, auth: browser.auth } };
+
+            await expect(service.subscribe('user-2', subscription)).rejects.toMatchObject({ statusCode: 409 });
+        });
+
+        test('should report an unknown endpoint on unsubscribe', async () => {
+            mockDAL.pushSubscriptions.deleteSubscription.mockResolvedValue(false);
+
+            await expect(service.unsubscribe('user-1', 'https://push.example.com/abc')).rejects.toMatchObject({ statusCode: 404 });
+            await expect(service.unsubscribe('user-1')).rejects.toMatchObject({ statusCode: 400 });
+        });
+    });
+
+    describe('Sending', () => {
+        test('should notify with the character name and avatar', async () => {
+            const result = await service.notifyMessage('user-1', {
+                id: 'msg-1',
+                type: 'proactive',
+                chatId: 'chat-1',
+                content: 'Did the interview go well?'
+            });
+
+            expect(result).toEqual({ sent: 1, failed: 0, removed: 0 });
+            expect(mockDAL.queryOne).toHaveBeenCalledWith(expect.stringContaining('JOIN personalities'), ['chat-1', 'user-1']);
+            expect(requests).toHaveLength(1);
+            expect(requests[0].url).toBe('/push/sub-1');
+            expect(requests[0].headers).toMatchObject({
+                'content-encoding': 'aes128gcm',
+                ttl: '86400',
+                authorization: expect.stringMatching(new RegExp(`, k=${service.getPublicKey()}$`))
+            });
+            expect(decrypt(requests[0].body, browser)).toEqual({
+                title: 'Mira',
+                body: 'Did the interview go well?',
+                icon: '/avatars/mira.png',
+                tag: 'chat-chat-1',
+                data: { type: 'proactive', chatId: 'chat-1', messageId: 'msg-1', url: '/' }
+            });
+            expect(mockDAL.pushSubscriptions.markSuccess).toHaveBeenCalledWith('sub-1');
+        });
+
+        test('should prefer the name on the message and shorten long bodies', async () => {
+            await service.notifyMessage('user-1', {
+                type: 'proactive',
+                chatId: 'chat-1',
+                personalityName: 'Mira (group)',
+                content: 'word '.repeat(100)
+            });
+
+            const notification = decrypt(requests[0].body, browser);
+            expect(notification.title).toBe('Mira (group)');
+            expect(notification.body).toHaveLength(PushNotificationService.BODY_LENGTH);
+            expect(notification.body.endsWith('…')).toBe(true);
+        });
+
+        test('should remove a subscription the push service reports gone', async () => {
+            mockDAL.pushSubscriptions.getUserSubscriptions.mockResolvedValue([subscriptionRow('sub-1'), subscriptionRow('sub-2')]);
+            status = url => (url === '/push/sub-1' ? 410 : 201);
+
+            const result = await service.sendToUser('user-1', { title: 'Mira' });
+
+            expect(result).toEqual({ sent: 1, failed: 0, removed: 1 });
+            expect(mockDAL.pushSubscriptions.deleteById).toHaveBeenCalledWith('sub-1');
+            expect(mockDAL.pushSubscriptions.markSuccess).toHaveBeenCalledWith('sub-2');
+        });
+
+        test('should count failures and remove a subscription that keeps failing', async () => {
+            status = 500;
+
+            expect(await service.sendToUser('user-1', { title: 'Mira' })).toEqual({ sent: 0, failed: 1, removed: 0 });
+            expect(mockDAL.pushSubscriptions.deleteById).not.toHaveBeenCalled();
+
+            mockDAL.pushSubscriptions.markFailure.mockResolvedValue(PushNotificationService.MAX_FAILURES);
+            expect(await service.sendToUser('user-1', { title: 'Mira' })).toEqual({ sent: 0, failed: 0, removed: 1 });
+            expect(mockDAL.pushSubscriptions.deleteById).toHaveBeenCalledWith('sub-1');
+        });
+
+        test('should count an unreachable push service as a failure', async () => {
+            const closed = http.createServer();
+            await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+            const endpoint = `http://127.0.0.1:${closed.address().port}/push/sub-1`;
+            await new Promise(resolve => closed.close(resolve));
+            mockDAL.pushSubscriptions.getUserSubscriptions.mockResolvedValue([{ ...subscriptionRow('sub-1'), endpoint }]);
+
+            expect(await service.sendToUser('user-1', { title: 'Mira' })).toEqual({ sent: 0, failed: 1, removed: 0 });
+            expect(mockDAL.pushSubscriptions.markFailure).toHaveBeenCalledWith('sub-1');
+        });
+
+        test.each([
+            ['mira.png', '/avatars/mira.png'],
+            ['https://cdn.example.com/mira.png', 'https://cdn.example.com/mira.png'],
+            ['/uploads/mira.png', '/uploads/mira.png'],
+            ['data:image/png;base64,AAAA', null],
+            [null, null]
+        ])('should map avatar %j to %j', (display, icon) => {
+            expect(service.getAvatarUrl(display)).toBe(icon);
+        });
+    });
+});
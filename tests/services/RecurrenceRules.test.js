@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for RecurrenceRules
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test parsing, normalizing and rejecting RRULE values
+ * - Test expansion of weekday, every-other-week and last-weekday rules
+ * - Test COUNT/UNTIL, EXDATE and skipped month days
+ * - Test that occurrences keep their wall-clock time across DST changes
+ */
+
+const RecurrenceRules = require('../../backend/utils/recurrence_rules');
+
+describe('RecurrenceRules', () => {
+    const occurrences = (rrule, options) => RecurrenceRules
+        .getOccurrences(rrule, { limit: 5, ...options })
+        .map(date => date.toISOString());
+
+    describe('Parsing', () => {
+        test('should normalize a rule', () => {
+            expect(RecurrenceRules.normalize('freq=weekly;byday=mo,we')).toBe('FREQ=WEEKLY;BYDAY=MO,WE');
+            expect(RecurrenceRules.parse('FREQ=MONTHLY;BYDAY=-1FR').byDay).toEqual([{ weekday: 'FR', ordinal: -1 }]);
+        });
+
+        test('should reject unsupported or contradictory rules', () => {
+            expect(RecurrenceRules.isValid('FREQ=HOURLY')).toBe(false);
+            expect(() => RecurrenceRules.parse('FREQ=DAILY;COUNT=2;UNTIL=20261001')).toThrow('both COUNT and UNTIL');
+            expect(() => RecurrenceRules.parse('FREQ=WEEKLY;BYDAY=1MO')).toThrow('ordinals');
+        });
+
+        test('should reject rules that repeat too often within one period', () => {
+            const hours = Array.from({ length: 24 }, (_, hour) => hour).join(',');
+            const minutes = Array.from({ length: 60 }, (_, minute) => minute).join(',');
+            const monthDays = Array.from({ length: 31 }, (_, day) => day + 1).join(',');
+
+            expect(() => RecurrenceRules.parse(`FREQ=DAILY;BYHOUR=${hours};BYMINUTE=${minutes}`)).toThrow('at most 1000');
+            expect(() => RecurrenceRules.parse(`FREQ=YEARLY;BYMONTHDAY=${monthDays};BYHOUR=${hours}`)).toThrow('times per period');
+            expect(() => RecurrenceRules.parse(`FREQ=YEARLY;BYDAY=MO,TU;BYHOUR=${hours}`)).toThrow('times per period');
+            expect(RecurrenceRules.isValid(`FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR,SA,SU;BYHOUR=${hours};BYMINUTE=0,15,30,45`)).toBe(true);
+            expect(RecurrenceRules.isValid(`FREQ=MONTHLY;BYMONTHDAY=${monthDays};BYHOUR=${hours}`)).toBe(true);
+            expect(RecurrenceRules.isValid(`FREQ=YEARLY;BYDAY=1MO,-1FR;BYHOUR=${hours}`)).toBe(true);
+        });
+
+        test('should map between rules and recurrence types', () => {
+            expect(RecurrenceRules.getRecurrenceType('FREQ=YEARLY;BYMONTH=1')).toBe('yearly');
+            expect(RecurrenceRules.fromRecurrenceType('weekly')).toBe('FREQ=WEEKLY');
+            expect(RecurrenceRules.fromRecurrenceType('once')).toBeNull();
+        });
+    });
+
+    describe('Expansion', () => {
+        test('should repeat every weekday at 07:00', () => {
+            expect(occurrences('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;BYHOUR=7;BYMINUTE=0', {
+                startsAt: '2026-10-16T05:00:00Z',
+                timeZone: 'Europe/Berlin'
+            })).toEqual([
+                '2026-10-16T05:00:00.000Z',
+                '2026-10-19T05:00:00.000Z',
+                '2026-10-20T05:00:00.000Z',
+                '2026-10-21T05:00:00.000Z',
+                '2026-10-22T05:00:00.000Z'
+            ]);
+        });
+
+        test('should repeat every other Tuesday at the same local time across DST', () => {
+            expect(occurrences('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU', {
+                startsAt: '2026-10-20T17:00:00Z',
+                timeZone: 'Europe/Berlin',
+                limit: 3
+            })).toEqual([
+                '2026-10-20T17:00:00.000Z',
+                '2026-11-03T18:00:00.000Z',
+                '2026-11-17T18:00:00.000Z'
+            ]);
+        });
+
+        test('should repeat on the last Friday of the month', () => {
+            expect(occurrences('FREQ=MONTHLY;BYDAY=-1FR', {
+                startsAt: '2026-10-01T16:00:00Z',
+                timeZone: 'Europe/Berlin',
+                limit: 3
+            })).toEqual([
+                '2026-10-30T17:00:00.000Z',
+                '2026-11-27T17:00:00.000Z',
+                '2026-12-25T17:00:00.000Z'
+            ]);
+        });
+
+        test('should skip months without the day', () => {
+            expect(occurrences('FREQ=MONTHLY;BYMONTHDAY=31', {
+                startsAt: '2026-01-31T10:00:00Z',
+                timeZone: 'UTC',
+                limit: 3
+            })).toEqual([
+                '2026-01-31T10:00:00.000Z',
+                '2026-03-31T10:00:00.000Z',
+                '2026-05-31T10:00:00.000Z'
+            ]);
+        });
+
+        test('should count excluded occurrences toward COUNT', () => {
+            expect(occurrences('FREQ=DAILY;COUNT=3', {
+                startsAt: '2026-10-24T05:00:00Z',
+                timeZone: 'Europe/Berlin',
+                exdates: ['2026-10-25T06:00:00Z']
+            })).toEqual([
+                '2026-10-24T05:00:00.000Z',
+                '2026-10-26T06:00:00.000Z'
+            ]);
+        });
+    });
+
+    describe('Next Occurrence', () => {
+        test('should return the first occurrence after a time', () => {
+            const next = RecurrenceRules.nextOccurrence('FREQ=WEEKLY;BYDAY=MO,WE', {
+                startsAt: '2026-10-19T09:00:00Z',
+                after: '2026-10-19T09:00:00Z',
+                timeZone: 'UTC'
+            });
+
+            expect(next.toISOString()).toBe('2026-10-21T09:00:00.000Z');
+        });
+
+        test('should return null once UNTIL has passed', () => {
+            expect(RecurrenceRules.nextOccurrence('FREQ=DAILY;UNTIL=20261022T000000Z', {
+                startsAt: '2026-10-20T10:00:00Z',
+                after: '2026-10-21T10:00:00Z',
+                timeZone: 'UTC'
+            })).toBeNull();
+        });
+    });
+});
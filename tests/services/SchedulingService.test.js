@@ -4,7 +4,9 @@
  * CLEAN ARCHITECTURE TESTING:
  * - Test service creation and inheritance
  * - Test polling mechanism with fake timers
- * - Test message detection and delivery
+ * - Test claiming and delivering proactive jobs
+ * - Test retry with backoff and dead-lettering of failed jobs
+ * - Test deferring jobs held back by quiet hours and rate limits
  * - Mock external dependencies for isolated testing
  */
 
@@ -13,6 +15,19 @@ const SchedulingService = require('../../backend/services/infrastructure/CORE_Sc
 // Use fake timers for testing polling intervals
 jest.useFakeTimers();
 
+const job = (overrides = {}) => ({
+    id: 'job-1',
+    user_id: 'user-1',
+    chat_id: 'chat-1',
+    engagement_id: 'engagement-1',
+    payload: { content: 'How did the interview go?' },
+    run_at: '2025-10-07T10:00:00.000Z',
+    status: 'running',
+    attempts: 1,
+    max_attempts: 5,
+    ...overrides
+});
+
 describe('SchedulingService', () => {
     let schedulingService;
     let mockDeps;
@@ -25,7 +40,13 @@ describe('SchedulingService', () => {
         // Create mock DAL
         mockDAL = {
             query: jest.fn().mockResolvedValue([]),
-            execute: jest.fn().mockResolvedValue({ changes: 1 })
+            execute: jest.fn().mockResolvedValue({ changes: 1 }),
+            proactiveJobs: {
+                claimDue: jest.fn().mockResolvedValue([]),
+                complete: jest.fn().mockResolvedValue(true),
+                retry: jest.fn().mockResolvedValue(true),
+                deadLetter: jest.fn().mockResolvedValue(true)
+            }
         };
         
         // Add database service mock with getDAL method
@@ -35,7 +56,12 @@ describe('SchedulingService', () => {
 
         // Add messageDelivery service mock
         mockDeps.messageDelivery = {
-            deliverMessage: jest.fn().mockResolvedValue(true)
+            deliverMessageToUser: jest.fn().mockResolvedValue(true)
+        };
+
+        // Add proactiveDelivery service mock (saves the message to its chat)
+        mockDeps.proactiveDelivery = {
+            deliverScheduledJob: jest.fn().mockResolvedValue({ messageId: 'msg-1', delivered: true })
         };
         
         schedulingService = new SchedulingService(mockDeps);
@@ -158,66 +184,29 @@ describe('SchedulingService', () => {
         });
     });
 
-    describe('Message Detection', () => {
-        test('should find messages due for delivery', async () => {
-            const dueMessages = [
-                {
-                    id: 'engagement-1',
-                    session_id: 'session-123',
-                    status: 'pending',
-                    scheduled_for: '2025-10-07T10:00:00Z'
-                },
-                {
-                    id: 'engagement-2',
-                    session_id: 'session-456',
-                    status: 'pending',
-                    scheduled_for: '2025-10-07T11:00:00Z'
-                }
-            ];
-            
-            mockDAL.query.mockResolvedValue(dueMessages);
+    describe('Job Claiming', () => {
+        test('should claim due jobs under the worker id and complete each', async () => {
+            mockDAL.proactiveJobs.claimDue.mockResolvedValue([job({ id: 'job-1' }), job({ id: 'job-2' })]);
             jest.spyOn(schedulingService, 'deliverScheduledMessage').mockResolvedValue();
-            
+
             await schedulingService.checkScheduledMessages();
-            
-            expect(mockDAL.query).toHaveBeenCalledWith(
-                expect.stringContaining('SELECT * FROM proactive_engagements'),
-                []
-            );
-            expect(mockDAL.query).toHaveBeenCalledWith(
-                expect.stringContaining("status = 'pending'"),
-                []
+
+            expect(mockDAL.proactiveJobs.claimDue).toHaveBeenCalledWith(
+                schedulingService.workerId,
+                expect.objectContaining({ limit: 10, leaseMs: 300000 })
             );
             expect(schedulingService.deliverScheduledMessage).toHaveBeenCalledTimes(2);
+            expect(mockDAL.proactiveJobs.complete).toHaveBeenCalledWith('job-1', schedulingService.workerId);
+            expect(mockDAL.proactiveJobs.complete).toHaveBeenCalledWith('job-2', schedulingService.workerId);
         });
 
-        test('should ignore messages not yet due', async () => {
-            mockDAL.query.mockResolvedValue([]);
-            jest.spyOn(schedulingService, 'deliverScheduledMessage').mockResolvedValue();
-            
+        test('should no longer poll engagements directly', async () => {
             await schedulingService.checkScheduledMessages();
-            
-            expect(mockDAL.query).toHaveBeenCalledWith(
-                expect.stringContaining("datetime(scheduled_for) <= datetime('now')"),
-                []
-            );
-            expect(schedulingService.deliverScheduledMessage).not.toHaveBeenCalled();
-        });
 
-        test('should order messages by scheduled_for ASC', async () => {
-            mockDAL.query.mockResolvedValue([]);
-            
-            await schedulingService.checkScheduledMessages();
-            
-            expect(mockDAL.query).toHaveBeenCalledWith(
-                expect.stringContaining('ORDER BY scheduled_for ASC'),
-                []
-            );
+            expect(mockDAL.query).not.toHaveBeenCalled();
         });
 
         test('should log when no messages are due', async () => {
-            mockDAL.query.mockResolvedValue([]);
-            
             await schedulingService.checkScheduledMessages();
             
             expect(mockDeps.logger.debug).toHaveBeenCalledWith(
@@ -227,10 +216,7 @@ describe('SchedulingService', () => {
         });
 
         test('should log when messages are found', async () => {
-            const dueMessages = [
-                { id: 'engagement-1', session_id: 'session-123', status: 'pending' }
-            ];
-            mockDAL.query.mockResolvedValue(dueMessages);
+            mockDAL.proactiveJobs.claimDue.mockResolvedValue([job()]);
             jest.spyOn(schedulingService, 'deliverScheduledMessage').mockResolvedValue();
             
             await schedulingService.checkScheduledMessages();
@@ -242,74 +228,103 @@ describe('SchedulingService', () => {
         });
     });
 
-    describe('Message Delivery', () => {
-        test('should call messageDelivery.deliverMessage', async () => {
-            const engagement = {
-                id: 'engagement-1',
-                session_id: 'session-123',
-                status: 'pending',
-                scheduled_for: '2025-10-07T10:00:00Z'
+    describe('Quiet Hours and Rate Limits', () => {
+        const deferUntil = new Date('2025-10-08T06:00:00.000Z');
+
+        beforeEach(() => {
+            mockDAL.proactiveJobs.defer = jest.fn().mockResolvedValue(true);
+            mockDAL.proactiveJobs.getDeliveredMessageId = jest.fn().mockResolvedValue(null);
+            mockDeps.proactivePolicy = {
+                evaluate: jest.fn().mockResolvedValue({ allowed: false, reason: 'quiet_hours', deferUntil }),
+                recordSuppression: jest.fn().mockResolvedValue('history-1')
             };
-            
-            jest.spyOn(schedulingService, 'updateEngagementStatus').mockResolvedValue();
-            
-            await schedulingService.deliverScheduledMessage(engagement);
-            
-            expect(mockDeps.messageDelivery.deliverMessage).toHaveBeenCalledWith(engagement);
+            schedulingService = new SchedulingService(mockDeps);
+        });
+
+        test('should defer a held-back job to the next allowed window and log it', async () => {
+            mockDAL.proactiveJobs.claimDue.mockResolvedValue([job({ job_type: 'proactive_message', personality_id: 'char-1' })]);
+
+            await schedulingService.checkScheduledMessages();
+
+            expect(mockDeps.proactivePolicy.evaluate).toHaveBeenCalledWith({ userId: 'user-1', personalityId: 'char-1' });
+            expect(mockDAL.proactiveJobs.defer).toHaveBeenCalledWith('job-1', schedulingService.workerId, deferUntil, 'quiet_hours');
+            expect(mockDeps.proactivePolicy.recordSuppression).toHaveBeenCalledWith(expect.objectContaining({
+                engagementId: 'engagement-1',
+                jobId: 'job-1',
+                reason: 'quiet_hours',
+                deferUntil
+            }));
+            expect(mockDeps.proactiveDelivery.deliverScheduledJob).not.toHaveBeenCalled();
+            expect(mockDAL.proactiveJobs.complete).not.toHaveBeenCalled();
+        });
+
+        test('should deliver an allowed job', async () => {
+            mockDeps.proactivePolicy.evaluate.mockResolvedValue({ allowed: true });
+            mockDAL.proactiveJobs.claimDue.mockResolvedValue([job({ job_type: 'proactive_message' })]);
+
+            await schedulingService.checkScheduledMessages();
+
+            expect(mockDAL.proactiveJobs.defer).not.toHaveBeenCalled();
+            expect(mockDeps.proactiveDelivery.deliverScheduledJob).toHaveBeenCalled();
+            expect(mockDAL.proactiveJobs.complete).toHaveBeenCalledWith('job-1', schedulingService.workerId);
+        });
+
+        test('should finish a job that already saved its message', async () => {
+            mockDAL.proactiveJobs.getDeliveredMessageId.mockResolvedValue('msg-1');
+            mockDAL.proactiveJobs.claimDue.mockResolvedValue([job({ job_type: 'proactive_message' })]);
+
+            await schedulingService.checkScheduledMessages();
+
+            expect(mockDeps.proactivePolicy.evaluate).not.toHaveBeenCalled();
+            expect(mockDAL.proactiveJobs.complete).toHaveBeenCalledWith('job-1', schedulingService.workerId);
+        });
+    });
+
+    describe('Message Delivery', () => {
+        test('should save the message to its chat and push it to the user', async () => {
+            await schedulingService.deliverScheduledMessage(job());
+
+            expect(mockDeps.proactiveDelivery.deliverScheduledJob).toHaveBeenCalledWith(job());
+            expect(mockDeps.messageDelivery.deliverMessageToUser).toHaveBeenCalledWith('user-1', expect.objectContaining({
+                id: 'msg-1',
+                type: 'proactive',
+                chatId: 'chat-1',
+                content: 'How did the interview go?',
+                jobId: 'job-1',
+                engagementId: 'engagement-1'
+            }));
         });
 
         test('should log delivery attempt', async () => {
-            const engagement = {
-                id: 'engagement-1',
-                session_id: 'session-123',
-                status: 'pending',
-                scheduled_for: '2025-10-07T10:00:00Z'
-            };
-            
-            jest.spyOn(schedulingService, 'updateEngagementStatus').mockResolvedValue();
-            
-            await schedulingService.deliverScheduledMessage(engagement);
+            await schedulingService.deliverScheduledMessage(job());
             
             expect(mockDeps.logger.info).toHaveBeenCalledWith(
                 'Delivering scheduled message',
                 'SchedulingService',
                 expect.objectContaining({
-                    engagementId: 'engagement-1',
-                    sessionId: 'session-123'
+                    jobId: 'job-1',
+                    chatId: 'chat-1',
+                    engagementId: 'engagement-1'
                 })
             );
         });
 
         test('should log successful delivery', async () => {
-            const engagement = {
-                id: 'engagement-1',
-                session_id: 'session-123',
-                status: 'pending'
-            };
-            
-            jest.spyOn(schedulingService, 'updateEngagementStatus').mockResolvedValue();
-            
-            await schedulingService.deliverScheduledMessage(engagement);
+            await schedulingService.deliverScheduledMessage(job());
             
             expect(mockDeps.logger.info).toHaveBeenCalledWith(
                 'Successfully delivered scheduled message',
                 'SchedulingService',
-                expect.objectContaining({ engagementId: 'engagement-1' })
+                expect.objectContaining({ jobId: 'job-1', messageId: 'msg-1' })
             );
         });
     });
 
     describe('Status Updates', () => {
         test('should update engagement status to delivered', async () => {
-            const engagement = {
-                id: 'engagement-1',
-                session_id: 'session-123',
-                status: 'pending'
-            };
-            
             jest.spyOn(schedulingService, 'updateEngagementStatus').mockResolvedValue();
             
-            await schedulingService.deliverScheduledMessage(engagement);
+            await schedulingService.deliverScheduledMessage(job());
             
             expect(schedulingService.updateEngagementStatus).toHaveBeenCalledWith(
                 'engagement-1',
@@ -358,7 +373,7 @@ describe('SchedulingService', () => {
 
     describe('Error Handling', () => {
         test('should continue polling if checkScheduledMessages fails', async () => {
-            mockDAL.query.mockRejectedValue(new Error('Database error'));
+            mockDAL.proactiveJobs.claimDue.mockRejectedValue(new Error('Database error'));
             
             await schedulingService.checkScheduledMessages();
             
@@ -369,43 +384,51 @@ describe('SchedulingService', () => {
             );
         });
 
-        test('should continue processing other messages if one delivery fails', async () => {
-            const dueMessages = [
-                { id: 'engagement-1', session_id: 'session-123', status: 'pending' },
-                { id: 'engagement-2', session_id: 'session-456', status: 'pending' }
-            ];
-            
-            mockDAL.query.mockResolvedValue(dueMessages);
-            
-            // First delivery fails, second succeeds
+        test('should continue processing other jobs if one delivery fails', async () => {
+            mockDAL.proactiveJobs.claimDue.mockResolvedValue([job({ id: 'job-1' }), job({ id: 'job-2' })]);
             jest.spyOn(schedulingService, 'deliverScheduledMessage')
                 .mockRejectedValueOnce(new Error('Delivery failed'))
                 .mockResolvedValueOnce();
             
-            jest.spyOn(schedulingService, 'updateEngagementStatus').mockResolvedValue();
-            
             await schedulingService.checkScheduledMessages();
             
             expect(schedulingService.deliverScheduledMessage).toHaveBeenCalledTimes(2);
             expect(mockDeps.logger.error).toHaveBeenCalledWith(
                 'Failed to deliver scheduled message',
                 'SchedulingService',
-                expect.objectContaining({ engagementId: 'engagement-1' })
+                expect.objectContaining({ jobId: 'job-1' })
             );
+            expect(mockDAL.proactiveJobs.complete).toHaveBeenCalledTimes(1);
+            expect(mockDAL.proactiveJobs.complete).toHaveBeenCalledWith('job-2', schedulingService.workerId);
         });
 
-        test('should update status to failed when delivery fails', async () => {
-            const dueMessages = [
-                { id: 'engagement-1', session_id: 'session-123', status: 'pending' }
-            ];
+        test('should retry a failed job with exponential backoff', async () => {
+            jest.setSystemTime(new Date('2026-03-01T10:00:00Z'));
+            mockDAL.proactiveJobs.claimDue.mockResolvedValue([job({ attempts: 3 })]);
+            jest.spyOn(schedulingService, 'deliverScheduledMessage').mockRejectedValue(new Error('Delivery failed'));
             
-            mockDAL.query.mockResolvedValue(dueMessages);
-            jest.spyOn(schedulingService, 'deliverScheduledMessage')
-                .mockRejectedValue(new Error('Delivery failed'));
+            await schedulingService.checkScheduledMessages();
+            
+            expect(mockDAL.proactiveJobs.retry).toHaveBeenCalledWith(
+                'job-1',
+                schedulingService.workerId,
+                'Delivery failed',
+                new Date('2026-03-01T10:04:00Z')
+            );
+            expect(mockDAL.proactiveJobs.deadLetter).not.toHaveBeenCalled();
+            expect(schedulingService.getRetryDelay(1)).toBe(60000);
+            expect(schedulingService.getRetryDelay(20)).toBe(3600000);
+        });
+
+        test('should dead-letter a job out of attempts and fail its engagement', async () => {
+            mockDAL.proactiveJobs.claimDue.mockResolvedValue([job({ attempts: 5 })]);
+            jest.spyOn(schedulingService, 'deliverScheduledMessage').mockRejectedValue(new Error('Delivery failed'));
             jest.spyOn(schedulingService, 'updateEngagementStatus').mockResolvedValue();
             
             await schedulingService.checkScheduledMessages();
             
+            expect(mockDAL.proactiveJobs.deadLetter).toHaveBeenCalledWith('job-1', schedulingService.workerId, 'Delivery failed');
+            expect(mockDAL.proactiveJobs.retry).not.toHaveBeenCalled();
             expect(schedulingService.updateEngagementStatus).toHaveBeenCalledWith(
                 'engagement-1',
                 'failed',
@@ -413,36 +436,29 @@ describe('SchedulingService', () => {
             );
         });
 
-        test('should handle error in updateEngagementStatus', async () => {
-            const dueMessages = [
-                { id: 'engagement-1', session_id: 'session-123', status: 'pending' }
-            ];
-            
-            mockDAL.query.mockResolvedValue(dueMessages);
-            jest.spyOn(schedulingService, 'deliverScheduledMessage')
-                .mockRejectedValue(new Error('Delivery failed'));
-            jest.spyOn(schedulingService, 'updateEngagementStatus')
-                .mockRejectedValue(new Error('Update failed'));
+        test('should handle error when the job status cannot be updated', async () => {
+            mockDAL.proactiveJobs.claimDue.mockResolvedValue([job()]);
+            mockDAL.proactiveJobs.retry.mockRejectedValue(new Error('Update failed'));
+            jest.spyOn(schedulingService, 'deliverScheduledMessage').mockRejectedValue(new Error('Delivery failed'));
             
             await schedulingService.checkScheduledMessages();
             
             expect(mockDeps.logger.error).toHaveBeenCalledWith(
-                'Failed to update engagement status',
+                'Failed to update job status',
                 'SchedulingService',
                 expect.objectContaining({ error: 'Update failed' })
             );
         });
 
         test('should wrap errors with errorHandler in deliverScheduledMessage', async () => {
-            const engagement = { id: 'engagement-1' };
             const error = new Error('Delivery error');
             const wrappedError = new Error('Failed to deliver scheduled message');
             
-            mockDeps.messageDelivery.deliverMessage.mockRejectedValue(error);
+            mockDeps.messageDelivery.deliverMessageToUser.mockRejectedValue(error);
             mockDeps.errorHandler.wrapDomainError.mockReturnValue(wrappedError);
             
             await expect(
-                schedulingService.deliverScheduledMessage(engagement)
+                schedulingService.deliverScheduledMessage(job())
             ).rejects.toThrow('Failed to deliver scheduled message');
         });
 
@@ -0,0 +1,251 @@
+/**
+ * Unit Tests for ToolService and the text tool protocol
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test service creation and inheritance
+ * - Test per-character tool allowlists
+ * - Test tool execution against mocked repositories
+ * - Test parsing of <tool_call> blocks for models without native tool calling
+ * - Mock external dependencies for isolated testing
+ */
+
+const ToolService = require('../../backend/services/domain/ToolService');
+const ToolProtocol = require('../../backend/utils/tool_protocol');
+
+describe('ToolService', () => {
+    let toolService;
+    let mockDeps;
+    let mockDAL;
+
+    const context = {
+        userId: 'user-1',
+        chatId: 'chat-1',
+        characterId: 'char-1',
+        memoryScope: 'character',
+        allowedTools: ToolService.TOOL_NAMES
+    };
+
+    beforeEach(() => {
+        mockDeps = createMockDependencies();
+
+        mockDAL = {
+            commitments: {
+                createCommitment: jest.fn(async data => ({ id: 'commitment-1', ...data }))
+            },
+            events: {
+                createEvent: jest.fn().mockResolvedValue({})
+            }
+        };
+
+        mockDeps.database = {
+            getDAL: jest.fn(() => mockDAL)
+        };
+
+        mockDeps.memorySearch = {
+            searchMemories: jest.fn().mockResolvedValue([
+                { content: 'My dog is called Rex', role: 'user', timestamp: '2026-10-01T10:00:00.000Z' }
+            ])
+        };
+
+        toolService = new ToolService(mockDeps);
+    });
+
+    describe('Architecture Compliance', () => {
+        test('should extend AbstractService', () => {
+            const AbstractService = require('../../backend/services/base/CORE_AbstractService');
+            expect(toolService).toBeInstanceOf(AbstractService);
+        });
+
+        test('should have correct service name', () => {
+            expect(toolService.name).toBe('ToolService');
+        });
+    });
+
+    describe('Allowlist', () => {
+        test('should allow all tools when the character has no allowlist', () => {
+            expect(toolService.getAllowedTools({ id: 'c1', tool_allowlist: null })).toEqual(ToolService.TOOL_NAMES);
+        });
+
+        test('should parse stored allowlists and drop unknown tools', () => {
+            const allowed = toolService.getAllowedTools({ id: 'c1', tool_allowlist: '["search_memory","launch_rockets"]' });
+
+            expect(allowed).toEqual(['search_memory']);
+            expect(toolService.getToolDefinitions(allowed)).toEqual([
+                expect.objectContaining({ type: 'function', function: expect.objectContaining({ name: 'search_memory' }) })
+            ]);
+        });
+
+        test('should disable tools for an empty or invalid allowlist', () => {
+            expect(toolService.getAllowedTools({ id: 'c1', tool_allowlist: [] })).toEqual([]);
+            expect(toolService.getAllowedTools({ id: 'c1', tool_allowlist: 'not json' })).toEqual([]);
+        });
+
+        test('should reject calls to tools outside the allowlist', async () => {
+            const result = await toolService.executeToolCall(
+                { name: 'create_commitment', arguments: { description: 'Run 5k' } },
+                { ...context, allowedTools: ['get_datetime'] }
+            );
+
+            expect(result).toEqual({ error: "Tool 'create_commitment' is not available" });
+            expect(mockDAL.commitments.createCommitment).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Tool Execution', () => {
+        test('should create a commitment for the conversation', async () => {
+            const result = await toolService.executeToolCall({
+                name: 'create_commitment',
+                arguments: { description: ' Run 5k ', due_at: '2026-10-20T18:00:00Z' }
+            }, context);
+
+            expect(result).toEqual({
+                created: true,
+                commitment_id: 'commitment-1',
+                description: 'Run 5k',
+                due_at: '2026-10-20T18:00:00.000Z'
+            });
+            expect(mockDAL.commitments.createCommitment).toHaveBeenCalledWith(expect.objectContaining({
+                user_id: 'user-1',
+                chat_id: 'chat-1',
+                character_id: 'char-1',
+                commitment_type: 'task',
+                status: 'active'
+            }));
+        });
+
+        test('should schedule an event', async () => {
+            const result = await toolService.executeToolCall({
+                name: 'schedule_event',
+                arguments: { title: 'Dentist', starts_at: '2026-10-21T09:30:00Z' }
+            }, context);
+
+            expect(result).toEqual(expect.objectContaining({
+                scheduled: true,
+                title: 'Dentist',
+                starts_at: '2026-10-21T09:30:00.000Z',
+                recurrence_type: 'once'
+            }));
+            expect(mockDAL.events.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+                id: result.event_id,
+                user_id: 'user-1',
+                status: 'scheduled'
+            }), context.timeContext);
+        });
+
+        test('should return invalid arguments to the model as an error', async () => {
+            const result = await toolService.executeToolCall({
+                name: 'schedule_event',
+                arguments: { title: 'Dentist', starts_at: 'next tuesday' }
+            }, context);
+
+            expect(result).toEqual({ error: 'starts_at must be an ISO 8601 date/time' });
+            expect(mockDAL.events.createEvent).not.toHaveBeenCalled();
+        });
+
+        test('should search memory within the character memory scope', async () => {
+            const result = await toolService.executeToolCall({ name: 'search_memory', arguments: { query: 'dog' } }, context);
+
+            expect(mockDeps.memorySearch.searchMemories).toHaveBeenCalledWith('chat-1', 'dog', 'user-1', expect.objectContaining({
+                memoryScope: 'character',
+                characterId: 'char-1',
+                limit: 5
+            }));
+            expect(result.memories).toEqual([
+                { content: 'My dog is called Rex', role: 'user', timestamp: '2026-10-01T10:00:00.000Z' }
+            ]);
+        });
+
+        test('should return the current date and time', async () => {
+            const result = await toolService.executeToolCall({ name: 'get_datetime', arguments: {} }, context);
+
+            expect(result).toEqual(expect.objectContaining({
+                iso: expect.any(String),
+                weekday: expect.any(String),
+                timezone: expect.any(String)
+            }));
+        });
+
+        test('should report date and time on the user\'s clock', async () => {
+            jest.useFakeTimers({ now: new Date('2026-10-20T23:30:00Z') });
+            try {
+                const result = await toolService.executeToolCall({ name: 'get_datetime', arguments: {} }, {
+                    ...context,
+                    timeContext: { timeZone: 'Asia/Tokyo', locale: 'en-US' }
+                });
+
+                expect(result).toEqual(expect.objectContaining({
+                    date: '2026-10-21',
+                    weekday: 'Wednesday',
+                    timezone: 'Asia/Tokyo'
+                }));
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+
+        test('should repeat a daily event at its start time on the user\'s clock', async () => {
+            await toolService.executeToolCall({
+                name: 'schedule_event',
+                arguments: { title: 'Walk', starts_at: '2026-10-21T07:30:00Z', recurrence_type: 'daily' }
+            }, { ...context, timeContext: { timeZone: 'Europe/Berlin' } });
+
+            expect(mockDAL.events.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+                recurrence_type: 'daily',
+                recurrence_data: JSON.stringify({ time: '09:30' })
+            }), { timeZone: 'Europe/Berlin' });
+        });
+
+        test('should schedule an event with a recurrence rule', async () => {
+            const result = await toolService.executeToolCall({
+                name: 'schedule_event',
+                arguments: { title: 'Standup', starts_at: '2026-10-21T07:00:00Z', rrule: 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR' }
+            }, context);
+
+            expect(result).toEqual(expect.objectContaining({ recurrence_type: 'weekly', rrule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR' }));
+            expect(mockDAL.events.createEvent).toHaveBeenCalledWith(expect.objectContaining({
+                recurrence_type: 'weekly',
+                rrule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR'
+            }), context.timeContext);
+        });
+
+        test('should return an invalid recurrence rule to the model as an error', async () => {
+            const result = await toolService.executeToolCall({
+                name: 'schedule_event',
+                arguments: { title: 'Standup', starts_at: '2026-10-21T07:00:00Z', rrule: 'FREQ=HOURLY' }
+            }, context);
+
+            expect(result.error).toMatch(/^Invalid rrule/);
+            expect(mockDAL.events.createEvent).not.toHaveBeenCalled();
+        });
+    });
+});
+
+describe('ToolProtocol', () => {
+    test('should describe tools with required and optional arguments', () => {
+        const toolService = new ToolService({ ...createMockDependencies(), database: { getDAL: () => ({}) } });
+        const instructions = ToolProtocol.buildInstructions(toolService.getToolDefinitions(['create_commitment']));
+
+        expect(instructions).toContain('- create_commitment:');
+        expect(instructions).toContain('- description: What the user committed to do');
+        expect(instructions).toContain('- due_at (optional):');
+        expect(ToolProtocol.buildInstructions([])).toBe('');
+    });
+
+    test('should extract tool calls and strip them from the reply', () => {
+        const parsed = ToolProtocol.parseToolCalls(
+            'Let me check.\n<tool_call>{"name": "search_memory", "arguments": {"query": "dog"}}</tool_call>\n<tool_call>not json</tool_call>'
+        );
+
+        expect(parsed.toolCalls).toEqual([{ id: 'text_call_1', name: 'search_memory', arguments: { query: 'dog' } }]);
+        expect(parsed.content).toBe('Let me check.');
+    });
+
+    test('should leave replies without tool calls untouched', () => {
+        expect(ToolProtocol.parseToolCalls('Hello!')).toEqual({ toolCalls: [], content: 'Hello!' });
+    });
+
+    test('should format tool results', () => {
+        expect(ToolProtocol.formatToolResults([{ name: 'get_datetime', result: { time: '10:00' } }]))
+            .toBe('<tool_result name="get_datetime">{"time":"10:00"}</tool_result>');
+    });
+});
@@ -0,0 +1,215 @@
+/**
+ * Unit Tests for WebPush utilities
+ *
+ * CLEAN ARCHITECTURE TESTING:
+ * - Test aes128gcm payload encryption against the RFC 8291 example
+ * - Test encrypted payloads decrypt with the subscription's private key
+ * - Test the VAPID authorization header (RFC 8292)
+ * - Test sending to a local stand-in for a push service
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const WebPush = require('../../backend/utils/web_push');
+
+// Decrypt a request body the way a browser does (RFC 8188 / RFC 8291)
+const decrypt = (body, { privateKey, auth }) => {
+    const salt = body.subarray(0, 16);
+    const keyLength = body[20];
+    const serverPublicKey = body.subarray(21, 21 + keyLength);
+    const ciphertext = body.subarray(21 + keyLength);
+
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.setPrivateKey(Buffer.from(privateKey, 'base64url'));
+    const sharedSecret = ecdh.computeSecret(serverPublicKey);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), serverPublicKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, Buffer.from(auth, 'base64url'), keyInfo, 32));
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+    decipher.setAuthTag(ciphertext.subarray(-16));
+    const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+    return padded.subarray(0, padded.lastIndexOf(2)).toString('utf8');
+};
+
+const createUserAgentKeys = () => {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return {
+        privateKey: ecdh.getPrivateKey().toString('base64url'),
+        p256dh: ecdh.getPublicKey().toString('base64url'),
+        auth: crypto.randomBytes(16).toString('base64url')
+    };
+};
+
+describe('WebPush', () => {
+    describe('Encryption', () => {
+        // RFC 8291 section 5
+        const example = {
+            plaintext: 'When I grow up, I want to be a watermelon',
+            p256dh: 'BCVxsr7N_eNgVRqvHtD0zTZsEc6-VV-JvLexhqUzORcxaOzi6-AYWXvTBHm4bjyPjs7Vd8pZGH6SRpkNtoIAiw4',
+            userAgentPrivateKey: 'q1dXpw3UpT5VOmu_cf_v6ih07Aems3njxI-JWgLcM94',
+            auth: 'BTBZMqHH6r4Tts7J_aSIgg',
+            serverPrivateKey: 'yfWPiYE-n46HLnH0KqZOF1fJJU3MYrct3AELtAQ-oRw',
+            salt: 'DGv6ra1nlYgDCS1FRnbzlw',
+            body: 'DGv6ra1nlYgDCS1FRnbzlwAAEABBBP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A_yl95bQpu6cVPTpK4Mqgkf1CXztLVBSt2Ks3oZwbuwXPXLWyouBWLVWGNWQexSgSxsj_Qulcy4a-fN'
+        };
+
+        test('should match the RFC 8291 example', () => {
+            const body = WebPush.encrypt(example.plaintext, { p256dh: example.p256dh, auth: example.auth }, {
+                salt: Buffer.from(example.salt, 'base64url'),
+                privateKey: example.serverPrivateKey
+            });
+
+            expect(body.toString('base64url')).toBe(example.body);
+            expect(decrypt(body, { privateKey: example.userAgentPrivateKey, auth: example.auth })).toBe(example.plaintext);
+        });
+
+        test('should produce a body the subscription can decrypt', () => {
+            const keys = createUserAgentKeys();
+            const payload = JSON.stringify({ title: 'Mira', body: 'Are you still up? 🌙' });
+
+            const body = WebPush.encrypt(payload, keys);
+
+            expect(decrypt(body, keys)).toBe(payload);
+            expect(body.readUInt32BE(16)).toBe(4096);
+        });
+
+        test('should use a new key and salt for every message', () => {
+            const keys = createUserAgentKeys();
+
+            expect(WebPush.encrypt('hello', keys).equals(WebPush.encrypt('hello', keys))).toBe(false);
+        });
+
+        test('should reject a payload larger than one record', () => {
+            const keys = createUserAgentKeys();
+
+            expect(() => WebPush.encrypt('x'.repeat(WebPush.MAX_PAYLOAD_BYTES), keys)).not.toThrow();
+            expect(() => WebPush.encrypt('x'.repeat(WebPush.MAX_PAYLOAD_BYTES + 1), keys)).toThrow('limit');
+        });
+    });
+
+    describe('Subscriptions', () => {
+        const { p256dh, auth } = createUserAgentKeys();
+
+        test('should accept a PushSubscription JSON', () => {
+            expect(WebPush.isValidSubscription({ endpoint: 'https://push.example.com/abc', keys: { p256dh, auth } })).toBe(true);
+        });
+
+        test.each([
+            ['no subscription', null],
+            ['no keys', { endpoint: 'https://push.example.com/abc' }],
+            ['a relative endpoint', { endpoint: '/push/abc', keys: { p256dh, auth } }],
+            ['a non-http endpoint', { endpoint: 'ftp://push.example.com/abc', keys: { p256dh, auth } }],
+            ['an http endpoint', { endpoint: 'http://push.example.com/abc', keys: { p256dh, auth } }],
+            ['an http endpoint on this machine', { endpoint: 'http://127.0.0.1:8080/admin', keys: { p256dh, auth } }],
+            ['a short p256dh', { endpoint: 'https://push.example.com/abc', keys: { p256dh: auth, auth } }],
+            ['a short auth secret', { endpoint: 'https://push.example.com/abc', keys: { p256dh, auth: 'c2hvcnQ' } }]
+        ])('should reject %s', (label, subscription) => {
+            expect(WebPush.isValidSubscription(subscription)).toBe(false);
+        });
+    });
+
+    describe('VAPID', () => {
+        test('should sign a JWT for the endpoint origin with the application server key', () => {
+            const vapid = { ...WebPush.generateVAPIDKeys(), subject: 'mailto:admin@example.com' };
+            const now = new Date('2026-10-18T12:00:00Z');
+
+            const header = WebPush.getVapidAuthorization('https://push.example.com:8443/send/abc', vapid, now);
+
+            const [, token, key] = header.match(/^vapid t=([^,]+), k=(.+)$/);
+            expect(key).toBe(vapid.publicKey);
+
+            const [encodedHeader, encodedClaims, signature] = token.split('.');
+            expect(JSON.parse(Buffer.from(encodedHeader, 'base64url'))).toEqual({ typ: 'JWT', alg: 'ES256' });
+            expect(JSON.parse(Buffer.from(encodedClaims, 'base64url'))).toEqual({
+                aud: 'https://push.example.com:8443',
+                exp: Math.floor(now.getTime() / 1000) + 12 * 60 * 60,
+                sub: 'mailto:admin@example.com'
+            });
+
+            const point = Buffer.from(vapid.publicKey, 'base64url');
+            const publicKey = crypto.createPublicKey({
+                format: 'jwk',
+                key: {
+                    kty: 'EC',
+                    crv: 'P-256',
+                    x: point.subarray(1, 33).toString('base64url'),
+                    y: point.subarray(33).toString('base64url')
+                }
+            });
+            expect(crypto.verify(
+                'sha256',
+                Buffer.from(`${encodedHeader}.${encodedClaims}`),
+                { key: publicKey, dsaEncoding: 'ieee-p1363' },
+                Buffer.from(signature, 'base64url')
+            )).toBe(true);
+        });
+    });
+
+    describe('Sending', () => {
+        let server;
+        let endpoint;
+        let requests;
+        let status;
+
+        beforeAll(done => {
+            // Local stand-in for a browser's push service
+            server = http.createServer((req, res) => {
+                const chunks = [];
+                req.on('data', chunk => chunks.push(chunk));
+                req.on('end', () => {
+                    requests.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+                    res.writeHead(status);
+                    res.end();
+                });
+            });
+            server.listen(0, '127.0.0.1', () => {
+                endpoint = `http://127.0.0.1:${server.address().port}/push/subscription-1`;
+                done();
+            });
+        });
+
+        afterAll(done => {
+            server.closeAllConnections();
+            server.close(done);
+        });
+
+        beforeEach(() => {
+            requests = [];
+            status = 201;
+        });
+
+        test('should post the encrypted payload with the Web Push headers', async () => {
+            const keys = createUserAgentKeys();
+            const vapid = { ...WebPush.generateVAPIDKeys(), subject: 'mailto:admin@example.com' };
+
+            const result = await WebPush.sendNotification({ endpoint, keys }, '{"title":"Mira"}', { vapid, ttl: 60, urgency: 'high' });
+
+            expect(result).toEqual({ statusCode: 201, gone: false });
+            expect(requests).toHaveLength(1);
+            expect(requests[0]).toMatchObject({
+                method: 'POST',
+                url: '/push/subscription-1',
+                headers: expect.objectContaining({
+                    ttl: '60',
+                    urgency: 'high',
+                    'content-encoding': 'aes128gcm',
+                    authorization: expect.stringMatching(new RegExp(`^vapid t=.+, k=${vapid.publicKey}$`))
+                })
+            });
+            expect(decrypt(requests[0].body, keys)).toBe('{"title":"Mira"}');
+        });
+
+        test.each([[404, true], [410, true], [429, false]])('should report status %i with gone=%s', async (code, gone) => {
+            status = code;
+            const vapid = { ...WebPush.generateVAPIDKeys(), subject: 'mailto:admin@example.com' };
+
+            const result = await WebPush.sendNotification({ endpoint, keys: createUserAgentKeys() }, 'hi', { vapid });
+
+            expect(result).toEqual({ statusCode: code, gone });
+        });
+    });
+});